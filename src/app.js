@@ -16,6 +16,17 @@
   var MultiCursorFeature = CodeEditor.Features.MultiCursor;
   var SearchFeature = CodeEditor.Features.Search;
   var LineOperationsFeature = CodeEditor.Features.LineOperations;
+  var AutocompleteFeature = CodeEditor.Features.Autocomplete;
+  var HoverFeature = CodeEditor.Features.Hover;
+  var SignatureHelpFeature = CodeEditor.Features.SignatureHelp;
+  var DiagnosticsFeature = CodeEditor.Features.Diagnostics;
+  var NavigationFeature = CodeEditor.Features.Navigation;
+  var RenameFeature = CodeEditor.Features.Rename;
+  var FoldingFeature = CodeEditor.Features.Folding;
+  var CommandRegistry = CodeEditor.CommandRegistry;
+  var KeybindingService = CodeEditor.KeybindingService;
+  var SettingsService = CodeEditor.SettingsService;
+  var TypeCheckerProxy = CodeEditor.TypeCheckerProxy;
 
   // ============================================
   // Sample Code for Syntax Highlighting Demo
@@ -256,6 +267,103 @@
   // Enable Line Operations feature (comment, move, duplicate)
   var lineOperations = new LineOperationsFeature(editor);
 
+  // Enable Folding feature (gutter chevrons, fold/unfold commands)
+  var folding = new FoldingFeature(editor, {
+    tabSize: 2,
+  });
+
+  // Completions, hover, diagnostics, navigation and rename share one analysis of the document, kept
+  // current in a worker as it is edited
+  var typeChecker = TypeCheckerProxy.forDocument(editor.document);
+
+  // Enable Autocomplete feature
+  var autocomplete = new AutocompleteFeature(editor, { typeChecker: typeChecker });
+
+  // Enable Hover feature
+  var hover = new HoverFeature(editor, { typeChecker: typeChecker });
+
+  // Enable Signature Help feature
+  var signatureHelp = new SignatureHelpFeature(editor, { typeChecker: typeChecker });
+
+  // Enable Diagnostics feature (squiggles and gutter marks)
+  var diagnostics = new DiagnosticsFeature(editor, { typeChecker: typeChecker });
+
+  // Enable Navigation feature (go to definition, find all references)
+  var navigation = new NavigationFeature(editor, { typeChecker: typeChecker });
+
+  // Enable Rename feature (scope-aware rename of the symbol at the cursor)
+  var rename = new RenameFeature(editor, { typeChecker: typeChecker });
+
+  // Keyboard shortcuts run the features' commands
+  var commands = new CommandRegistry();
+  [
+    { feature: lineOperations, commands: LineOperationsFeature.COMMANDS },
+    { feature: multiCursor, commands: MultiCursorFeature.COMMANDS },
+    { feature: search, commands: SearchFeature.COMMANDS },
+    { feature: folding, commands: FoldingFeature.COMMANDS },
+    { feature: navigation, commands: NavigationFeature.COMMANDS },
+    { feature: rename, commands: RenameFeature.COMMANDS },
+    { feature: autocomplete, commands: AutocompleteFeature.COMMANDS },
+    { feature: signatureHelp, commands: SignatureHelpFeature.COMMANDS },
+  ].forEach(function(entry) {
+    entry.commands.forEach(function(command) {
+      commands.register(Object.assign({}, command, {
+        isEnabled: function() { return entry.feature.isEnabled(); },
+        run: function() { return command.run(entry.feature); },
+      }));
+    });
+  });
+
+  var keybindings = new KeybindingService({ registry: commands });
+  keybindings.setContext('editorTextFocus', function() { return editor.isFocused(); });
+  keybindings.setContext('editorFocus', function() { return editor.view.container.contains(document.activeElement); });
+  keybindings.setContext('editorLangId', function() { return editor.getLanguage(); });
+  keybindings.setContext('editorHasMultipleSelections', function() { return editor.hasMultipleCursors(); });
+  keybindings.setContext('findWidgetVisible', function() { return search.isVisible(); });
+  keybindings.on('error', function(data) {
+    console.error(data.message, data.error);
+  });
+
+  // Capture phase, before the editor's own key handling
+  keybindings.attach(editor.view.contentElement, true);
+
+  // Settings, as in the IDE's settings.json; change them with
+  // settings.setSettings('user', json)
+  var settings = new SettingsService();
+  var applySettings = function() {
+    var language = editor.getLanguage();
+    editor.updateOptions({
+      fontSize: settings.get('editor.fontSize', language),
+      lineHeight: settings.get('editor.lineHeight', language),
+      fontFamily: settings.get('editor.fontFamily', language),
+      tabSize: settings.get('editor.tabSize', language),
+      insertSpaces: settings.get('editor.insertSpaces', language),
+    });
+    [
+      { feature: autoClose, key: 'editor.autoClosingBrackets' },
+      { feature: autoIndent, key: 'editor.autoIndent' },
+      { feature: bracketMatch, key: 'editor.matchBrackets' },
+      { feature: indentGuide, key: 'editor.guides.indentation' },
+      { feature: folding, key: 'editor.folding' },
+      { feature: autocomplete, key: 'editor.quickSuggestions' },
+      { feature: hover, key: 'editor.hover.enabled' },
+      { feature: signatureHelp, key: 'editor.parameterHints.enabled' },
+    ].forEach(function(entry) {
+      var enabled = settings.get(entry.key, language) !== false;
+      if (enabled === entry.feature.isEnabled()) return;
+      if (enabled) {
+        entry.feature.enable();
+      } else {
+        entry.feature.disable();
+      }
+    });
+  };
+  settings.on('change', applySettings);
+  settings.on('problemsChange', function(data) {
+    if (data.problems.length > 0) console.warn('Problems in the settings:', data.problems.join('; '));
+  });
+  applySettings();
+
   // UI Elements
   var inputModeEl = document.getElementById('input-mode');
   var ecSupportEl = document.getElementById('ec-support');
@@ -313,6 +421,17 @@
   window.multiCursor = multiCursor;
   window.search = search;
   window.lineOperations = lineOperations;
+  window.folding = folding;
+  window.autocomplete = autocomplete;
+  window.hover = hover;
+  window.signatureHelp = signatureHelp;
+  window.diagnostics = diagnostics;
+  window.navigation = navigation;
+  window.rename = rename;
+  window.typeChecker = typeChecker;
+  window.commands = commands;
+  window.keybindings = keybindings;
+  window.settings = settings;
 
   // Expose sample code for testing different languages
   window.SAMPLE_CODE_JS = SAMPLE_CODE_JS;
@@ -347,9 +466,16 @@
   console.log('MultiCursorFeature available as window.multiCursor');
   console.log('SearchFeature available as window.search');
   console.log('LineOperationsFeature available as window.lineOperations');
+  console.log('FoldingFeature available as window.folding');
+  console.log('KeybindingService available as window.keybindings (setUserKeybindings(json) to change keys)');
+  console.log('SettingsService available as window.settings (setSettings(\'user\', json) to change settings)');
   console.log('');
   console.log('Search: Ctrl+F (find), Ctrl+H (replace)');
-  console.log('Line Operations: Ctrl+/ (toggle comment), Alt+Up/Down (move line), Alt+Shift+Up/Down (duplicate line)');
+  console.log('Line Operations: Ctrl+/ (toggle comment), Ctrl+K Ctrl+C / Ctrl+K Ctrl+U (add/remove comment), Alt+Up/Down (move line), Alt+Shift+Up/Down (duplicate line)');
+  console.log('Navigation: F12 / Ctrl+Click (go to definition), Shift+F12 (find all references)');
+  console.log('Rename: F2 (rename symbol)');
+  console.log('Folding: Ctrl+Shift+[ / Ctrl+Shift+] (fold/unfold), Ctrl+K Ctrl+0 / Ctrl+K Ctrl+J (fold/unfold all)');
+  console.log('Undo History: Ctrl+Z / Ctrl+Y (undo/redo), editor.getHistory() and editor.goToHistory(index) to jump to any step');
   console.log('Multi-Cursor: Alt+Click (add cursor), Ctrl+Alt+Up/Down (add cursor above/below), Ctrl+D (select next), Escape (collapse)');
   console.log('');
   console.log('Sample code available: SAMPLE_CODE_JS, SAMPLE_CODE_HTML, SAMPLE_CODE_CSS');
@@ -13,6 +13,7 @@
   var Document = CodeEditor.Document;
   var Selection = CodeEditor.Selection;
   var SelectionCollection = CodeEditor.SelectionCollection;
+  var UndoManager = CodeEditor.UndoManager;
   var EditorView = CodeEditor.EditorView;
 
   // ============================================
@@ -24,11 +25,40 @@
     language: 'javascript',
     readOnly: false,
     tabSize: 2,
+    insertSpaces: true,
     lineHeight: 20,
     fontSize: 14,
     fontFamily: "'Consolas', 'Monaco', 'Courier New', monospace",
   };
 
+  // Options the view draws with
+  var VIEW_OPTIONS = ['lineHeight', 'fontSize', 'fontFamily', 'tabSize'];
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Map an offset from before a set of edits to after them
+   * @param {number} offset - Offset before the edits
+   * @param {Array<{start: number, end: number, text: string}>} edits - Edits sorted by descending start
+   * @returns {number}
+   */
+  function mapOffsetThroughEdits(offset, edits) {
+    var mapped = offset;
+    for (var i = 0; i < edits.length; i++) {
+      var edit = edits[i];
+      if (offset <= edit.start) continue;
+
+      if (offset < edit.end) {
+        mapped = edit.start + edit.text.length;
+      } else {
+        mapped += edit.text.length - (edit.end - edit.start);
+      }
+    }
+    return mapped;
+  }
+
   // ============================================
   // Class Definition
   // ============================================
@@ -53,11 +83,10 @@
     _view = null;
     _inputHandler = null;
     _selections = null;
-    _undoStack = [];
-    _redoStack = [];
+    _history = null;
     _listeners = new Map();
     _disposed = false;
-    _batchingUndo = false;
+    _replayingHistory = false;
     _suppressUndo = false;
 
     // ----------------------------------------
@@ -107,10 +136,19 @@
       this._inputHandler = new InputHandler(this._view.contentElement, this);
 
       // Track document changes for undo
+      this._history = new UndoManager();
       this._document.on('change', function(change) {
         self._onDocumentChange(change);
       });
 
+      // An edit's entry takes the selections its first selection change leaves
+      this.on('selectionChange', function() {
+        self._history.settle(self._selections);
+      });
+      this._history.on('change', function() {
+        if (!self._replayingHistory) self._emit('historyChange', self._history.getHistory());
+      });
+
       // Log input mode
       console.log('[Editor] Initialized with ' + this._inputHandler.getMode() + ' input');
       console.log('[Editor] EditContext supported: ' + isEditContextSupported());
@@ -121,19 +159,9 @@
     // ----------------------------------------
 
     _onDocumentChange(change) {
-      // Skip undo tracking during batch operations or suppression (tab switches)
-      if (!this._batchingUndo && !this._suppressUndo) {
-        // Add to undo stack
-        this._undoStack.push({
-          type: 'replace',
-          startOffset: change.startOffset,
-          deletedText: change.deletedText,
-          insertedText: change.insertedText,
-          selectionsBefore: this._selections.clone(),
-        });
-
-        // Clear redo stack on new change
-        this._redoStack = [];
+      // Skip undo tracking while replaying history or suppressed (tab switches)
+      if (!this._replayingHistory && !this._suppressUndo) {
+        this._history.record(change, this._selections);
       }
 
       // Emit change event
@@ -311,120 +339,104 @@
     // ----------------------------------------
 
     /**
-     * Undo last change
+     * Undo the last change, restoring the selections from before it
      */
     undo() {
-      if (this._undoStack.length === 0) return;
-
-      var action = this._undoStack.pop();
-
-      this._batchingUndo = true;
-
-      if (action.type === 'multiCursor') {
-        // Multi-cursor undo: reverse all changes in forward order
-        var changes = action.changes.slice().reverse();
-        for (var i = 0; i < changes.length; i++) {
-          var change = changes[i];
-          this._document.replaceRange(
-            change.startOffset,
-            change.startOffset + change.insertedText.length,
-            change.deletedText
-          );
-        }
-      } else {
-        // Single change undo
+      this._history.settle(this._selections);
+      if (this._options.readOnly || !this._history.canUndo()) return;
+
+      // Revert the changes last to first, each at the offsets it was made at
+      this._replayingHistory = true;
+      var entry = this._history.undo();
+      for (var i = entry.changes.length - 1; i >= 0; i--) {
+        var change = entry.changes[i];
         this._document.replaceRange(
-          action.startOffset,
-          action.startOffset + action.insertedText.length,
-          action.deletedText
+          change.startOffset,
+          change.startOffset + change.insertedText.length,
+          change.deletedText
         );
       }
+      this._replayingHistory = false;
 
-      this._batchingUndo = false;
-
-      // Restore selections from before the change
-      var selectionsBefore = action.selectionsBefore;
-      if (selectionsBefore instanceof SelectionCollection) {
-        this._selections = selectionsBefore.clone();
-      } else if (selectionsBefore) {
-        // Legacy format: { start, end }
-        this._selections.setSingle(selectionsBefore.start, selectionsBefore.end);
-      }
-
+      this._selections = entry.selectionsBefore.clone();
       this._view.scrollToCursor();
       this._emit('selectionChange', this._selections);
-
-      this._redoStack.push(action);
+      this._emit('historyChange', this._history.getHistory());
     }
 
     /**
-     * Redo last undone change
+     * Redo the last undone change, restoring the selections from after it
      */
     redo() {
-      if (this._redoStack.length === 0) return;
-
-      var action = this._redoStack.pop();
-
-      this._batchingUndo = true;
-
-      if (action.type === 'multiCursor') {
-        // Multi-cursor redo: apply all changes in reverse order (highest offset first)
-        for (var i = 0; i < action.changes.length; i++) {
-          var change = action.changes[i];
-          this._document.replaceRange(
-            change.startOffset,
-            change.startOffset + change.deletedText.length,
-            change.insertedText
-          );
-        }
-
-        // Calculate new cursor positions
-        var originalSels = action.selectionsBefore.sorted(false);
-        var newSelections = [];
-        var cumulativeOffset = 0;
+      if (this._options.readOnly || !this._history.canRedo()) return;
 
-        for (var j = 0; j < originalSels.length; j++) {
-          var sel = originalSels[j];
-          var deletedLength = sel.end - sel.start;
-          var insertedLength = action.changes[0] ? action.changes[0].insertedText.length : 0;
-          var newPos = sel.start + cumulativeOffset + insertedLength;
-          newSelections.push(Selection.cursor(newPos));
-          cumulativeOffset += insertedLength - deletedLength;
-        }
-
-        this._selections.setAll(newSelections);
-      } else {
-        // Single change redo
+      this._replayingHistory = true;
+      var entry = this._history.redo();
+      for (var i = 0; i < entry.changes.length; i++) {
+        var change = entry.changes[i];
         this._document.replaceRange(
-          action.startOffset,
-          action.startOffset + action.deletedText.length,
-          action.insertedText
+          change.startOffset,
+          change.startOffset + change.deletedText.length,
+          change.insertedText
         );
-
-        var newOffset = action.startOffset + action.insertedText.length;
-        this._selections.setSingle(newOffset, newOffset);
       }
+      this._replayingHistory = false;
 
-      this._batchingUndo = false;
-
+      this._selections = entry.selectionsAfter.clone();
       this._view.scrollToCursor();
       this._emit('selectionChange', this._selections);
-
-      this._undoStack.push(action);
+      this._emit('historyChange', this._history.getHistory());
     }
 
     /**
      * Check if undo is available
      */
     canUndo() {
-      return this._undoStack.length > 0;
+      return this._history.canUndo();
     }
 
     /**
      * Check if redo is available
      */
     canRedo() {
-      return this._redoStack.length > 0;
+      return this._history.canRedo();
+    }
+
+    /**
+     * Run a function whose edits undo and redo as one step. Transactions
+     * nest; the outermost one makes the step.
+     * @param {Function} fn - Makes the edits and moves the selections
+     * @param {string} [label] - Name shown in the undo history; derived from the edits if omitted
+     * @returns {*} What fn returns
+     */
+    transact(fn, label) {
+      this._history.begin(label, this._selections);
+      try {
+        return fn();
+      } finally {
+        this._history.end(this._selections);
+      }
+    }
+
+    /**
+     * Get the undo history of the document, oldest entry first
+     * @returns {{entries: Array<{label: string, timestamp: number}>, index: number}}
+     *   Entries, and how many of them are applied
+     */
+    getHistory() {
+      return this._history.getHistory();
+    }
+
+    /**
+     * Undo or redo until the given number of history entries are applied
+     * @param {number} index - 0 for the state before the first entry
+     */
+    goToHistory(index) {
+      var history = this._history.getHistory();
+      var target = Math.max(0, Math.min(index, history.entries.length));
+
+      for (var i = history.index; i > target; i--) this.undo();
+      for (var j = history.index; j < target; j++) this.redo();
     }
 
     /**
@@ -432,7 +444,7 @@
      * @returns {Array} Undo stack
      */
     getUndoStack() {
-      return this._undoStack;
+      return this._history.getUndoStack();
     }
 
     /**
@@ -440,7 +452,8 @@
      * @param {Array} stack - New undo stack
      */
     setUndoStack(stack) {
-      this._undoStack = stack || [];
+      this._history.settle(this._selections);
+      this._history.setUndoStack(stack);
     }
 
     /**
@@ -448,7 +461,7 @@
      * @returns {Array} Redo stack
      */
     getRedoStack() {
-      return this._redoStack;
+      return this._history.getRedoStack();
     }
 
     /**
@@ -456,7 +469,7 @@
      * @param {Array} stack - New redo stack
      */
     setRedoStack(stack) {
-      this._redoStack = stack || [];
+      this._history.setRedoStack(stack);
     }
 
     /**
@@ -464,6 +477,8 @@
      * @param {boolean} suppress - Whether to suppress
      */
     setSuppressUndo(suppress) {
+      // The last edit keeps the selections it left, not the next tab's
+      if (suppress) this._history.settle(this._selections);
       this._suppressUndo = suppress;
     }
 
@@ -484,8 +499,11 @@
      * @param {string} text
      */
     setValue(text) {
-      this._document.setText(text);
-      this.setSelection(0, 0);
+      var self = this;
+      this.transact(function() {
+        self._document.setText(text);
+        self.setSelection(0, 0);
+      }, 'Replace Content');
     }
 
     /**
@@ -494,6 +512,8 @@
      * @param {string} text
      */
     insertText(text) {
+      if (this._options.readOnly) return;
+
       if (!this._selections.isMultiple) {
         // Single cursor: simple case
         var sel = this.getSelection();
@@ -508,6 +528,39 @@
       this._insertTextAtAllCursors(text);
     }
 
+    /**
+     * Replace several ranges of the document as one undoable change.
+     * Selections move with the text around them; one inside a replaced
+     * range moves to the end of its replacement.
+     * @param {Array<{start: number, end: number, text: string}>} edits - Non-overlapping ranges, in current offsets
+     * @param {string} [label] - Name shown in the undo history
+     */
+    applyEdits(edits, label) {
+      var self = this;
+
+      if (this._options.readOnly || !edits || edits.length === 0) return;
+
+      var selectionsBefore = this._selections.clone();
+
+      // Apply from the end so earlier offsets stay valid
+      var sorted = edits.slice().sort(function(a, b) {
+        return b.start - a.start;
+      });
+
+      this.transact(function() {
+        for (var i = 0; i < sorted.length; i++) {
+          self._document.replaceRange(sorted[i].start, sorted[i].end, sorted[i].text);
+        }
+
+        self._selections.setAll(selectionsBefore.all.map(function(sel) {
+          return Selection.range(mapOffsetThroughEdits(sel.anchor, sorted), mapOffsetThroughEdits(sel.cursor, sorted));
+        }));
+      }, label);
+
+      this._view.scrollToCursor();
+      this._emit('selectionChange', this._selections);
+    }
+
     /**
      * Insert text at all cursors (internal method for multi-cursor)
      * @private
@@ -516,60 +569,37 @@
     _insertTextAtAllCursors(text) {
       var self = this;
 
-      // Store selections before for undo
+      // Store selections before to place the cursors after
       var selectionsBefore = this._selections.clone();
 
       // Get selections sorted by offset (descending for reverse processing)
       var sortedSels = this._selections.sorted(true);
 
-      // Start batch undo - we'll create a single undo entry for all changes
-      this._batchingUndo = true;
-
-      // Track all changes for a combined undo entry
-      var changes = [];
-
-      // Process each selection from end to start
-      for (var i = 0; i < sortedSels.length; i++) {
-        var sel = sortedSels[i];
-        var deletedText = sel.isEmpty ? '' : this._document.getTextRange(sel.start, sel.end);
-
-        this._document.replaceRange(sel.start, sel.end, text);
-
-        changes.push({
-          startOffset: sel.start,
-          deletedLength: sel.end - sel.start,
-          deletedText: deletedText,
-          insertedText: text,
-        });
-      }
+      // One undo entry for the edits at every cursor
+      this.transact(function() {
+        // Process each selection from end to start
+        for (var i = 0; i < sortedSels.length; i++) {
+          var sel = sortedSels[i];
+          self._document.replaceRange(sel.start, sel.end, text);
+        }
 
-      this._batchingUndo = false;
+        // Update all selections to point after inserted text
+        // Work forward through original order, tracking cumulative offset
+        var originalSels = selectionsBefore.sorted(false);
+        var newSelections = [];
+        var cumulativeOffset = 0;
 
-      // Create combined undo entry
-      if (changes.length > 0) {
-        this._undoStack.push({
-          type: 'multiCursor',
-          changes: changes,
-          selectionsBefore: selectionsBefore,
-        });
-        this._redoStack = [];
-      }
+        for (var j = 0; j < originalSels.length; j++) {
+          var s = originalSels[j];
+          var deletedLength = s.end - s.start;
+          var newPos = s.start + cumulativeOffset + text.length;
+          newSelections.push(Selection.cursor(newPos));
+          cumulativeOffset += text.length - deletedLength;
+        }
 
-      // Update all selections to point after inserted text
-      // Work forward through original order, tracking cumulative offset
-      var originalSels = selectionsBefore.sorted(false);
-      var newSelections = [];
-      var cumulativeOffset = 0;
-
-      for (var j = 0; j < originalSels.length; j++) {
-        var s = originalSels[j];
-        var deletedLength = s.end - s.start;
-        var newPos = s.start + cumulativeOffset + text.length;
-        newSelections.push(Selection.cursor(newPos));
-        cumulativeOffset += text.length - deletedLength;
-      }
+        self._selections.setAll(newSelections);
+      });
 
-      this._selections.setAll(newSelections);
       this._view.scrollToCursor();
       this._emit('selectionChange', this._selections);
     }
@@ -580,17 +610,19 @@
      * @param {boolean} byWord - True for Ctrl+Backspace/Delete
      */
     deleteAtAllCursors(forward, byWord) {
+      var self = this;
+
       if (forward === undefined) forward = false;
       if (byWord === undefined) byWord = false;
 
+      // Handled: there is nothing to delete in a read-only editor
+      if (this._options.readOnly) return true;
+
       if (!this._selections.isMultiple) {
         // Single cursor is handled by input handlers
         return false;
       }
 
-      var self = this;
-      var selectionsBefore = this._selections.clone();
-
       // Step 1: Pre-calculate all delete ranges BEFORE any modifications
       var deleteRanges = [];
       var ascendingSels = this._selections.sorted(false);
@@ -623,49 +655,32 @@
         });
       }
 
-      // Step 2: Perform deletions from end to start to preserve offsets
-      this._batchingUndo = true;
-      var changes = [];
-
-      // Process in reverse order (descending by offset)
-      for (var j = deleteRanges.length - 1; j >= 0; j--) {
-        var range = deleteRanges[j];
-        if (range.start !== range.end) {
-          var deletedText = this._document.getTextRange(range.start, range.end);
-          this._document.replaceRange(range.start, range.end, '');
-          changes.push({
-            startOffset: range.start,
-            deletedLength: range.end - range.start,
-            deletedText: deletedText,
-            insertedText: '',
-          });
+      // Step 2: Perform deletions from end to start to preserve offsets,
+      // as one undo entry
+      this.transact(function() {
+        // Process in reverse order (descending by offset)
+        for (var j = deleteRanges.length - 1; j >= 0; j--) {
+          var range = deleteRanges[j];
+          if (range.start !== range.end) {
+            self._document.replaceRange(range.start, range.end, '');
+          }
         }
-      }
 
-      this._batchingUndo = false;
+        // Step 3: Calculate new cursor positions
+        var newSelections = [];
+        var cumulativeOffset = 0;
 
-      if (changes.length > 0) {
-        this._undoStack.push({
-          type: 'multiCursor',
-          changes: changes,
-          selectionsBefore: selectionsBefore,
-        });
-        this._redoStack = [];
-      }
+        for (var k = 0; k < deleteRanges.length; k++) {
+          var r = deleteRanges[k];
+          var deleteLength = r.end - r.start;
+          var newPos = r.cursorPos + cumulativeOffset;
+          newSelections.push(Selection.cursor(Math.max(0, newPos)));
+          cumulativeOffset -= deleteLength;
+        }
 
-      // Step 3: Calculate new cursor positions
-      var newSelections = [];
-      var cumulativeOffset = 0;
-
-      for (var k = 0; k < deleteRanges.length; k++) {
-        var r = deleteRanges[k];
-        var deleteLength = r.end - r.start;
-        var newPos = r.cursorPos + cumulativeOffset;
-        newSelections.push(Selection.cursor(Math.max(0, newPos)));
-        cumulativeOffset -= deleteLength;
-      }
+        self._selections.setAll(newSelections);
+      });
 
-      this._selections.setAll(newSelections);
       this._view.scrollToCursor();
       this._emit('selectionChange', this._selections);
 
@@ -784,6 +799,7 @@
             } else {
               newOffset = Math.max(0, currentPos - 1);
             }
+            newOffset = this._skipFoldedLines(newOffset, -1);
             break;
 
           case 'right':
@@ -792,19 +808,21 @@
             } else {
               newOffset = Math.min(doc.getLength(), currentPos + 1);
             }
+            newOffset = this._skipFoldedLines(newOffset, 1);
             break;
 
           case 'up':
-            if (pos.line > 0) {
-              var targetLineUp = pos.line - 1;
+            // Folded lines are stepped over
+            var targetLineUp = this._view.getVisibleLine(pos.line, -1);
+            if (targetLineUp < pos.line) {
               var targetColUp = Math.min(pos.column, doc.getLine(targetLineUp).length);
               newOffset = doc.positionToOffset(targetLineUp, targetColUp);
             }
             break;
 
           case 'down':
-            if (pos.line < doc.getLineCount() - 1) {
-              var targetLineDown = pos.line + 1;
+            var targetLineDown = this._view.getVisibleLine(pos.line, 1);
+            if (targetLineDown > pos.line) {
               var targetColDown = Math.min(pos.column, doc.getLine(targetLineDown).length);
               newOffset = doc.positionToOffset(targetLineDown, targetColDown);
             }
@@ -825,6 +843,25 @@
       this._emit('selectionChange', this._selections);
     }
 
+    /**
+     * Move an offset that landed on a folded line past the fold
+     * @private
+     * @param {number} offset - Offset after a cursor movement
+     * @param {number} direction - -1 to stop at the end of the fold's first line, 1 to go to the line after it
+     * @returns {number}
+     */
+    _skipFoldedLines(offset, direction) {
+      var doc = this._document;
+      var hidden = this._view.getHiddenLineRange(doc.offsetToPosition(offset).line);
+      if (!hidden) return offset;
+
+      if (direction > 0 && hidden.endLine + 1 < doc.getLineCount()) {
+        return doc.positionToOffset(hidden.endLine + 1, 0);
+      }
+      var foldLine = hidden.startLine - 1;
+      return doc.positionToOffset(foldLine, doc.getLine(foldLine).length);
+    }
+
     /**
      * Find word boundary from offset (VS Code style)
      * @private
@@ -833,8 +870,26 @@
      * @returns {number} - Offset of word boundary
      */
     _findWordBoundary(offset, direction) {
-      var text = this._document.getText();
-      var pos = offset;
+      // A boundary is on the offset's line or just past the line break
+      // next to it, so the line and the breaks around it are enough
+      var doc = this._document;
+      var line = doc.offsetToPosition(offset).line;
+      var lineStart = doc.positionToOffset(line, 0);
+      var base = Math.max(0, lineStart - 2);
+      var end = Math.min(doc.getLength(), lineStart + doc.getLine(line).length + 2);
+
+      return base + this._scanWordBoundary(doc.getTextRange(base, end), offset - base, direction);
+    }
+
+    /**
+     * Find word boundary in a text
+     * @private
+     * @param {string} text - Text around the starting offset
+     * @param {number} pos - Starting offset in the text
+     * @param {number} direction - -1 for backward, 1 for forward
+     * @returns {number} - Offset of word boundary in the text
+     */
+    _scanWordBoundary(text, pos, direction) {
 
       // Character classification
       var isWordChar = function(char) { return /[\w]/.test(char); };
@@ -970,6 +1025,73 @@
       return this._options.language;
     }
 
+    /**
+     * Get the value of an option
+     * @param {string} name - e.g. 'tabSize'
+     * @returns {*}
+     */
+    getOption(name) {
+      return this._options[name];
+    }
+
+    /**
+     * Change options while the editor is shown. The view redraws with new
+     * font and size options, and 'optionsChange' tells features which
+     * options changed.
+     * @param {Object} options - Options to change, e.g. { tabSize: 4 }
+     */
+    updateOptions(options) {
+      var self = this;
+      var changed = {};
+      var viewOptions = {};
+      var hasViewChange = false;
+
+      Object.keys(options || {}).forEach(function(name) {
+        if (name === 'value' || options[name] === undefined || options[name] === self._options[name]) return;
+        changed[name] = options[name];
+        if (VIEW_OPTIONS.indexOf(name) !== -1) {
+          viewOptions[name] = options[name];
+          hasViewChange = true;
+        }
+      });
+      if (Object.keys(changed).length === 0) return;
+
+      if (changed.language !== undefined) {
+        this.setLanguage(changed.language);
+      }
+      Object.assign(this._options, changed);
+      if (hasViewChange) {
+        this._view.updateOptions(viewOptions);
+      }
+
+      this._emit('optionsChange', changed);
+    }
+
+    /**
+     * Get the text of one level of indentation
+     * @returns {string} tabSize spaces, or a tab without insertSpaces
+     */
+    getIndentText() {
+      return this._options.insertSpaces ? ' '.repeat(this._options.tabSize) : '\t';
+    }
+
+    /**
+     * Allow or refuse edits by the user. A read-only editor still moves
+     * cursors, selects and copies, and setValue() still replaces its text.
+     * @param {boolean} readOnly
+     */
+    setReadOnly(readOnly) {
+      this._options.readOnly = readOnly;
+    }
+
+    /**
+     * Check if the user may edit the text
+     * @returns {boolean}
+     */
+    isReadOnly() {
+      return this._options.readOnly;
+    }
+
     // ----------------------------------------
     // Focus Management
     // ----------------------------------------
@@ -1075,8 +1197,7 @@
       if (this._inputHandler) this._inputHandler.dispose();
       if (this._view) this._view.dispose();
       this._listeners.clear();
-      this._undoStack = [];
-      this._redoStack = [];
+      this._history.dispose();
 
       this._disposed = true;
     }
@@ -111,7 +111,11 @@
 
       // Handle Backspace for pair deletion
       if (key === 'Backspace') {
-        if (this._handleBackspace(event)) {
+        var self = this;
+        var deletedPair = this._editor.transact(function() {
+          return self._handleBackspace(event);
+        });
+        if (deletedPair) {
           return;
         }
       }
@@ -142,6 +146,10 @@
     _handleInput(event) {
       if (!this._enabled) return;
 
+      // Closing text goes in as a transaction of its own, which merges into
+      // the typing undo step that opened it
+      var self = this;
+
       // Check if we should auto-close HTML tag after this input
       if (this._pendingHTMLTagClose) {
         var tagName = this._pendingHTMLTagClose;
@@ -152,7 +160,9 @@
 
         // Verify '>' was actually inserted
         if (text[sel.end - 1] === '>') {
-          this._insertHTMLClosingTag(tagName, sel.end);
+          this._editor.transact(function() {
+            self._insertHTMLClosingTag(tagName, sel.end);
+          });
         }
       }
 
@@ -161,7 +171,9 @@
         var openChar = this._pendingMultiCursorClose.openChar;
         this._pendingMultiCursorClose = null;
 
-        this._insertClosingCharAtAllCursors(openChar);
+        this._editor.transact(function() {
+          self._insertClosingCharAtAllCursors(openChar);
+        });
         return;
       }
 
@@ -175,7 +187,9 @@
         var pairSel = this._editor.getSelection();
 
         if (pairText[pairSel.end - 1] === pairOpenChar) {
-          this._insertClosingChar(pairOpenChar, pairSel.end);
+          this._editor.transact(function() {
+            self._insertClosingChar(pairOpenChar, pairSel.end);
+          });
         }
       }
     }
@@ -50,6 +50,7 @@
     _tabSize = 2;
     _useSpaces = true;
     _boundHandleKeyDown = null;
+    _unsubscribeOptions = null;
 
     // ----------------------------------------
     // Constructor
@@ -85,6 +86,12 @@
         this._boundHandleKeyDown,
         true // capture phase
       );
+
+      // Indentation follows the editor's options
+      this._unsubscribeOptions = this._editor.on('optionsChange', function(changed) {
+        if (changed.tabSize !== undefined) self._tabSize = changed.tabSize;
+        if (changed.insertSpaces !== undefined) self._useSpaces = changed.insertSpaces;
+      });
     }
 
     // ----------------------------------------
@@ -94,14 +101,20 @@
     _handleKeyDown(event) {
       if (!this._enabled) return;
 
-      // Only handle Enter key (without Shift)
+      var self = this;
+
+      // Only handle Enter key (without Shift); the newline and its indent undo together
       if (event.key === 'Enter' && !event.shiftKey) {
-        this._handleEnter(event);
+        this._editor.transact(function() {
+          self._handleEnter(event);
+        });
       }
 
       // Handle Tab key for indentation (only without Shift)
       if (event.key === 'Tab' && !event.shiftKey) {
-        this._handleIndent(event);
+        this._editor.transact(function() {
+          self._handleIndent(event);
+        });
       }
     }
 
@@ -303,7 +316,10 @@
       }
 
       // If there's a selection, indent all selected lines
-      this._indentSelectedLines(sel.start, sel.end);
+      var self = this;
+      this._editor.transact(function() {
+        self._indentSelectedLines(sel.start, sel.end);
+      }, 'Indent Lines');
     }
 
     /**
@@ -323,7 +339,10 @@
       var sel = this._editor.getSelection();
 
       // Dedent lines (works for both cursor and selection)
-      this._dedentSelectedLines(sel.start, sel.end);
+      var self = this;
+      this._editor.transact(function() {
+        self._dedentSelectedLines(sel.start, sel.end);
+      }, 'Outdent Lines');
     }
 
     /**
@@ -637,6 +656,7 @@
           true
         );
       }
+      if (this._unsubscribeOptions) this._unsubscribeOptions();
 
       this._editor = null;
     }
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Incremental analysis of a document being edited
+ * @module features/autocomplete/AnalysisService
+ *
+ * Keeps the parse tree and scope tree of one document current as it is
+ * edited. Edits are recorded as they happen and applied on the next
+ * request: only the top-level statements overlapping the edited region
+ * are reparsed, the statements before and after it (and the scopes built
+ * for them) are kept, with the ones after it moved by the length change.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var ExpressionParser = CodeEditor.ExpressionParser;
+  var Program = CodeEditor.Program;
+  var TypeChecker = CodeEditor.TypeChecker;
+
+  // ============================================
+  // AnalysisService Class
+  // ============================================
+
+  /**
+   * Incremental analysis service for one document
+   * @class
+   * @param {Object} [options] - Configuration options
+   * @param {TypeChecker} [options.typeChecker] - Type checker to analyze with (default: a new instance)
+   */
+  function AnalysisService(options) {
+    options = options || {};
+
+    /**
+     * Type checker the analyses are built and cached in
+     * @type {TypeChecker}
+     */
+    this._typeChecker = options.typeChecker || TypeChecker.create();
+
+    /**
+     * Current source, with all recorded edits applied
+     * @type {string}
+     */
+    this._source = '';
+
+    /**
+     * Source of the current analysis
+     * @type {string|null}
+     */
+    this._analyzedSource = null;
+
+    /**
+     * Current analysis result
+     * @type {Object|null}
+     */
+    this._analysis = null;
+
+    /**
+     * Length of the start of the analyzed source no edit has touched since
+     * @type {number}
+     */
+    this._unchangedPrefix = 0;
+
+    /**
+     * Length of the end of the analyzed source no edit has touched since
+     * @type {number}
+     */
+    this._unchangedSuffix = 0;
+
+    /**
+     * Statistics of the last update, for diagnostics and tests
+     * @type {{full: boolean, reparsed: number, reused: number}|null}
+     */
+    this._lastUpdate = null;
+
+    /**
+     * Unsubscribes from the attached document
+     * @type {Function|null}
+     */
+    this._detach = null;
+
+    this._typeChecker.setAnalysisService(this);
+  }
+
+  // ----------------------------------------
+  // Public API
+  // ----------------------------------------
+
+  /**
+   * Replace the whole source; the next analysis starts from scratch
+   * @param {string} source - Source code
+   */
+  AnalysisService.prototype.open = function(source) {
+    this._source = source || '';
+    this._analyzedSource = null;
+    this._analysis = null;
+  };
+
+  /**
+   * Record an edit of the source
+   * @param {{startOffset: number, endOffset: number, insertedText: string}} change - Edit
+   *   in offsets of the source before it, as emitted by Document
+   */
+  AnalysisService.prototype.applyChange = function(change) {
+    var length = this._source.length;
+    var text = change.insertedText || '';
+
+    this._source = this._source.slice(0, change.startOffset) + text + this._source.slice(change.endOffset);
+
+    if (this._analysis) {
+      this._unchangedPrefix = Math.min(this._unchangedPrefix, change.startOffset);
+      this._unchangedSuffix = Math.min(this._unchangedSuffix, length - change.endOffset);
+    }
+  };
+
+  /**
+   * Follow the edits of a document until detach() or dispose()
+   * @param {Document} document - Document
+   */
+  AnalysisService.prototype.attach = function(document) {
+    var self = this;
+
+    this.detach();
+    this.open(document.getText());
+    this._detach = document.on('change', function(change) {
+      self.applyChange(change);
+    });
+  };
+
+  /**
+   * Stop following the attached document
+   */
+  AnalysisService.prototype.detach = function() {
+    if (this._detach) {
+      this._detach();
+      this._detach = null;
+    }
+  };
+
+  /**
+   * Get the current source
+   * @returns {string}
+   */
+  AnalysisService.prototype.getSource = function() {
+    return this._source;
+  };
+
+  /**
+   * Get the analysis of the current source, applying recorded edits first
+   * @returns {Object} Analysis result (see TypeChecker#analyze)
+   */
+  AnalysisService.prototype.getAnalysis = function() {
+    if (this._analysis && this._analyzedSource === this._source) {
+      return this._typeChecker.activate(this._analysis);
+    }
+
+    if (this._analysis) {
+      this._analysis = this._update();
+    } else {
+      this._analysis = this._analyzeFully();
+    }
+
+    this._analyzedSource = this._source;
+    this._unchangedPrefix = this._source.length;
+    this._unchangedSuffix = this._source.length;
+    return this._analysis;
+  };
+
+  /**
+   * Get statistics of the last update
+   * @returns {{full: boolean, reparsed: number, reused: number}|null}
+   *   reparsed and reused count top-level statements
+   */
+  AnalysisService.prototype.getLastUpdate = function() {
+    return this._lastUpdate;
+  };
+
+  /**
+   * Get the type checker analyses are built in
+   * @returns {TypeChecker}
+   */
+  AnalysisService.prototype.getTypeChecker = function() {
+    return this._typeChecker;
+  };
+
+  /**
+   * Stop following the document and release the analysis
+   */
+  AnalysisService.prototype.dispose = function() {
+    this.detach();
+    this._typeChecker.setAnalysisService(null);
+    this._analysis = null;
+    this._analyzedSource = null;
+  };
+
+  // ----------------------------------------
+  // Incremental Update
+  // ----------------------------------------
+
+  /**
+   * Parse and analyze the whole source
+   * @returns {Object}
+   * @private
+   */
+  AnalysisService.prototype._analyzeFully = function() {
+    var ast = ExpressionParser.parse(this._source);
+
+    this._lastUpdate = { full: true, reparsed: ast.body.length, reused: 0 };
+    return this._typeChecker.analyzeProgram(this._source, ast, null);
+  };
+
+  /**
+   * Reparse the statements around the edited region and analyze the
+   * merged program
+   * @returns {Object}
+   * @private
+   */
+  AnalysisService.prototype._update = function() {
+    var oldSource = this._analyzedSource;
+    var oldAst = this._analysis.ast;
+    var oldBody = oldAst.body;
+    var delta = this._source.length - oldSource.length;
+    var prefix = this._unchangedPrefix;
+    var suffixStart = oldSource.length - this._unchangedSuffix;
+
+    // The first statement reaching into the edit, and the one before it:
+    // its parse looked one token ahead, into the edited text
+    var first = 0;
+    while (first < oldBody.length && oldBody[first].end < prefix) {
+      first++;
+    }
+    var prefixCount = Math.max(0, first - 1);
+
+    // An error right at the first reparsed statement came from the lookahead
+    // of a statement before it, kept or failed without a node, so the
+    // reparse would not report it again: start one statement earlier
+    while (prefixCount > 0 && hasErrorAt(oldAst.errors, oldBody[prefixCount].start)) {
+      prefixCount--;
+    }
+    var reparseStart = prefixCount > 0 ? oldBody[prefixCount].start : 0;
+
+    // Statements starting after the edit that the reparse can stop at
+    var suffixStarts = new Map();
+    for (var i = oldBody.length - 1; i >= prefixCount && oldBody[i].start >= suffixStart; i--) {
+      suffixStarts.set(oldBody[i].start + delta, i);
+    }
+
+    var parser = new ExpressionParser(this._source);
+    var parsed = parser.parseStatementsFrom(reparseStart, function(offset) {
+      return suffixStarts.has(offset);
+    });
+
+    var suffixIndex = parsed.end < this._source.length ? suffixStarts.get(parsed.end) : oldBody.length;
+    var suffix = oldBody.slice(suffixIndex);
+    for (var j = 0; j < suffix.length; j++) {
+      shiftNode(suffix[j], delta);
+    }
+
+    var body = oldBody.slice(0, prefixCount).concat(parsed.body, suffix);
+    var ast = new Program(body, 0, this._source.length);
+    ast.errors = mergeErrors(oldAst.errors, parsed.errors, reparseStart,
+      suffix.length ? suffix[0].start - delta : Infinity, delta);
+
+    this._lastUpdate = { full: false, reparsed: parsed.body.length, reused: prefixCount + suffix.length };
+
+    return this._typeChecker.analyzeProgram(this._source, ast, {
+      analysis: this._analysis,
+      source: oldSource,
+      prefixCount: prefixCount,
+      suffixCount: suffix.length,
+      delta: delta
+    });
+  };
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Move a node and all nodes below it by a number of characters
+   * @param {Node} node - Node
+   * @param {number} delta - Offset change
+   */
+  function shiftNode(node, delta) {
+    if (delta === 0) return;
+
+    node.start += delta;
+    node.end += delta;
+
+    for (var key in node) {
+      var value = node[key];
+      if (!value || typeof value !== 'object') continue;
+
+      if (Array.isArray(value)) {
+        for (var i = 0; i < value.length; i++) {
+          if (value[i] && value[i].type) {
+            shiftNode(value[i], delta);
+          }
+        }
+      } else if (value.type) {
+        shiftNode(value, delta);
+      }
+    }
+  }
+
+  /**
+   * Check if a parse reported an error starting at an offset
+   * @param {Object[]} errors - Parse errors
+   * @param {number} offset - Offset
+   * @returns {boolean}
+   */
+  function hasErrorAt(errors, offset) {
+    for (var i = 0; i < errors.length; i++) {
+      if (errors[i].start === offset) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Combine the errors of the kept statements with those of the reparse
+   * @param {Object[]} oldErrors - Errors of the previous parse
+   * @param {Object[]} newErrors - Errors of the reparsed region
+   * @param {number} reparseStart - Start of the reparsed region
+   * @param {number} keptFrom - Offset in the previous source where kept statements resume
+   * @param {number} delta - Offset change after the edit
+   * @returns {Object[]}
+   */
+  function mergeErrors(oldErrors, newErrors, reparseStart, keptFrom, delta) {
+    var errors = [];
+    var i;
+
+    for (i = 0; i < oldErrors.length && oldErrors[i].start < reparseStart; i++) {
+      errors.push(oldErrors[i]);
+    }
+
+    errors = errors.concat(newErrors);
+
+    for (i = 0; i < oldErrors.length; i++) {
+      var error = oldErrors[i];
+      // An error at the first kept statement was found by the lookahead
+      // of the statement before it, which has been reparsed
+      if (error.start > keptFrom) {
+        errors.push({ message: error.message, start: error.start + delta, end: error.end + delta });
+      }
+    }
+
+    return errors;
+  }
+
+  // ============================================
+  // Static Methods
+  // ============================================
+
+  /**
+   * Create a service following a document
+   * @param {Document} document - Document
+   * @param {Object} [options] - Options (see constructor)
+   * @returns {AnalysisService}
+   */
+  AnalysisService.forDocument = function(document, options) {
+    var service = new AnalysisService(options);
+    service.attach(document);
+    return service;
+  };
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.AnalysisService = AnalysisService;
+
+})(window.CodeEditor = window.CodeEditor || {});
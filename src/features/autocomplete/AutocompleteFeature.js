@@ -0,0 +1,762 @@
+/**
+ * @fileoverview Autocomplete feature - completion popup backed by TypeChecker
+ * @module features/autocomplete/AutocompleteFeature
+ *
+ * Opens after '.' with the members of the inferred object type, and while
+ * typing an identifier with the symbols visible at the cursor. Candidates are
+ * fuzzy filtered as the user keeps typing; the accepted item replaces the
+ * word prefix at every cursor in a single undo step.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var TypeChecker = CodeEditor.TypeChecker;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Delay before analyzing after a trigger character
+  var TRIGGER_DEBOUNCE_MS = 100;
+
+  // Popup dimensions (keep in sync with .ec-autocomplete styles)
+  var MAX_VISIBLE_ITEMS = 10;
+  var ITEM_HEIGHT = 24;
+  var POPUP_WIDTH = 360;
+
+  // Longest type signature shown next to a label
+  var MAX_DETAIL_LENGTH = 60;
+
+  var IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+
+  // Icon glyph per completion kind
+  var KIND_ICONS = {
+    method: 'ƒ',
+    function: 'ƒ',
+    class: 'C',
+    variable: 'V',
+    constant: '#',
+    property: 'P',
+    builtin: 'B',
+    keyword: 'K',
+  };
+
+  // ============================================
+  // Class Definition
+  // ============================================
+
+  /**
+   * Completion popup feature.
+   *
+   * @example
+   * var autocomplete = new AutocompleteFeature(editor);
+   */
+  class AutocompleteFeature {
+    // ----------------------------------------
+    // Commands
+    // ----------------------------------------
+
+    // Offered in the command palette, run with the feature of the active editor
+    static COMMANDS = [
+      {
+        id: 'editor.action.triggerSuggest',
+        title: 'Trigger Suggest',
+        category: 'Edit',
+        keybinding: 'Ctrl+Space',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature.trigger();
+        },
+      },
+    ];
+
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+    _editor = null;
+    _enabled = true;
+    _languages = null;
+    _typeChecker = null;
+    _container = null;
+    _listElement = null;
+    _candidates = [];
+    _items = [];
+    _selectedIndex = 0;
+    _visible = false;
+    _wordStart = 0;
+    _manual = false;
+    _triggerTimer = null;
+    _accepting = false;
+
+    // Completions being computed for the last trigger; the next trigger cancels them
+    _request = null;
+
+    // Bound event handlers
+    _boundHandleKeyDown = null;
+    _boundHandleInput = null;
+    _boundHandleSelectionChange = null;
+    _boundHandleBlur = null;
+    _boundHandleMouseDown = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {Object} editor - Editor instance
+     * @param {Object} options - Configuration options
+     * @param {boolean} options.enabled - Whether autocomplete is enabled (default: true)
+     * @param {string[]} options.languages - Languages to complete (default: javascript, typescript)
+     * @param {TypeChecker|TypeCheckerProxy} options.typeChecker - Type checker to query (default: a new instance)
+     */
+    constructor(editor, options = {}) {
+      this._editor = editor;
+      this._enabled = options.enabled !== false;
+      this._languages = options.languages || ['javascript', 'typescript'];
+      this._typeChecker = options.typeChecker || TypeChecker.create();
+
+      this._createDOM();
+      this._bindEvents();
+    }
+
+    // ----------------------------------------
+    // DOM Setup
+    // ----------------------------------------
+
+    _createDOM() {
+      this._container = document.createElement('div');
+      this._container.className = 'ec-autocomplete';
+      this._container.style.display = 'none';
+
+      this._listElement = document.createElement('ul');
+      this._listElement.className = 'ec-autocomplete-list';
+      this._container.appendChild(this._listElement);
+
+      this._editor.view.contentElement.appendChild(this._container);
+    }
+
+    // ----------------------------------------
+    // Event Binding
+    // ----------------------------------------
+
+    _bindEvents() {
+      var self = this;
+
+      // Capture on the editor root so navigation keys are handled before the
+      // content-level handlers (auto-indent on Enter, indent on Tab)
+      this._boundHandleKeyDown = function(e) {
+        self._handleKeyDown(e);
+      };
+      this._editor.view.container.addEventListener('keydown', this._boundHandleKeyDown, true);
+
+      this._boundHandleInput = function(event) {
+        self._handleInput(event);
+      };
+      this._editor.on('input', this._boundHandleInput);
+
+      this._boundHandleSelectionChange = function() {
+        self._handleSelectionChange();
+      };
+      this._editor.on('selectionChange', this._boundHandleSelectionChange);
+
+      this._boundHandleBlur = function() {
+        self.hide();
+      };
+      this._editor.on('blur', this._boundHandleBlur);
+
+      // Keep focus in the editor when clicking an item
+      this._boundHandleMouseDown = function(e) {
+        self._handleMouseDown(e);
+      };
+      this._listElement.addEventListener('mousedown', this._boundHandleMouseDown);
+    }
+
+    // ----------------------------------------
+    // Event Handlers
+    // ----------------------------------------
+
+    _handleKeyDown(event) {
+      if (!this._enabled || !this._visible) return;
+
+      switch (event.key) {
+        case 'ArrowDown':
+          this._select(this._selectedIndex + 1);
+          break;
+
+        case 'ArrowUp':
+          this._select(this._selectedIndex - 1);
+          break;
+
+        case 'PageDown':
+          this._select(Math.min(this._selectedIndex + MAX_VISIBLE_ITEMS, this._items.length - 1));
+          break;
+
+        case 'PageUp':
+          this._select(Math.max(this._selectedIndex - MAX_VISIBLE_ITEMS, 0));
+          break;
+
+        case 'Enter':
+        case 'Tab':
+          if (event.shiftKey || event.ctrlKey || event.altKey || event.metaKey) return;
+          this._accept();
+          break;
+
+        case 'Escape':
+          this.hide();
+          break;
+
+        default:
+          return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+    }
+
+    _handleInput(event) {
+      if (!this._isActive() || this._accepting || !event || !event.text) return;
+
+      var lastChar = event.text.charAt(event.text.length - 1);
+
+      if (lastChar === '.') {
+        this._scheduleTrigger();
+      } else if (IDENTIFIER_CHAR.test(lastChar)) {
+        // An open popup is refiltered from selectionChange
+        if (!this._visible) {
+          this._scheduleTrigger();
+        }
+      } else {
+        this.hide();
+      }
+    }
+
+    _handleSelectionChange() {
+      if (!this._visible || this._accepting) return;
+
+      var cursor = this._getCursorOffset();
+      if (cursor === null || cursor < this._wordStart) {
+        this.hide();
+        return;
+      }
+
+      var typed = this._editor.document.getTextRange(this._wordStart, cursor);
+      for (var i = 0; i < typed.length; i++) {
+        if (!IDENTIFIER_CHAR.test(typed.charAt(i))) {
+          this.hide();
+          return;
+        }
+      }
+
+      this._refilter();
+    }
+
+    _handleMouseDown(event) {
+      event.preventDefault();
+
+      var itemEl = event.target.closest('.ec-autocomplete-item');
+      if (!itemEl) return;
+
+      this._selectedIndex = Number(itemEl.dataset.index);
+      this._accept();
+    }
+
+    // ----------------------------------------
+    // Completion Logic
+    // ----------------------------------------
+
+    _isActive() {
+      return this._enabled && this._languages.indexOf(this._editor.getLanguage()) !== -1;
+    }
+
+    _scheduleTrigger() {
+      var self = this;
+
+      if (this._triggerTimer) {
+        clearTimeout(this._triggerTimer);
+      }
+      this._triggerTimer = setTimeout(function() {
+        self._triggerTimer = null;
+        self._update(false);
+      }, TRIGGER_DEBOUNCE_MS);
+    }
+
+    /**
+     * Query the type checker at the primary cursor and show the results
+     * @param {boolean} manual - Opened explicitly (Ctrl+Space)
+     */
+    _update(manual) {
+      if (!this._isActive()) return;
+
+      var cursor = this._getCursorOffset();
+      if (cursor === null || this._isInStringOrComment(cursor)) {
+        this.hide();
+        return;
+      }
+
+      var self = this;
+      var version = this._editor.document.version;
+
+      this._cancelRequest();
+      var request = this._typeChecker.getCompletionsAtOffset(this._editor.getValue(), cursor);
+      this._request = request;
+
+      // Answers overtaken by a newer query or by an edit are dropped
+      Promise.resolve(request).then(function(result) {
+        if (self._request !== request) return;
+        self._request = null;
+
+        if (result && self._editor.document.version === version) {
+          self._showCompletions(result, manual);
+        }
+      }, function() {
+        if (self._request === request) self.hide();
+      });
+    }
+
+    /**
+     * Open the popup with the candidates of a completion query
+     * @param {Object} result - Result of TypeChecker#getCompletionsAtOffset
+     * @param {boolean} manual - Opened explicitly (Ctrl+Space)
+     */
+    _showCompletions(result, manual) {
+      // Identifiers only complete once something is typed, unless asked for
+      if (!result.isMember && !result.prefix && !manual) {
+        this.hide();
+        return;
+      }
+
+      // Skip numeric literals such as `12`
+      if (!result.isMember && /^[0-9]/.test(result.prefix)) {
+        this.hide();
+        return;
+      }
+
+      this._candidates = result.items;
+      this._wordStart = result.start;
+      this._manual = manual;
+      this._refilter();
+    }
+
+    /**
+     * Drop the unanswered query; a worker-backed checker also skips it
+     */
+    _cancelRequest() {
+      if (this._request && this._typeChecker.cancel) {
+        this._typeChecker.cancel(this._request);
+      }
+      this._request = null;
+    }
+
+    /**
+     * Filter candidates by the word typed since the popup opened
+     */
+    _refilter() {
+      var cursor = this._getCursorOffset();
+      if (cursor === null) {
+        this.hide();
+        return;
+      }
+
+      var prefix = this._editor.document.getTextRange(this._wordStart, cursor);
+      var scored = [];
+
+      for (var i = 0; i < this._candidates.length; i++) {
+        var candidate = this._candidates[i];
+        var match = fuzzyMatch(prefix, candidate.name);
+        if (match) {
+          scored.push({ item: candidate, score: match.score, matches: match.matches, order: i });
+        }
+      }
+
+      scored.sort(function(a, b) {
+        return b.score - a.score || a.order - b.order;
+      });
+
+      // Nothing left to offer once the only candidate is fully typed
+      var fullyTyped = scored.length === 1 && scored[0].item.name === prefix;
+      if (scored.length === 0 || (fullyTyped && !this._manual)) {
+        this.hide();
+        return;
+      }
+
+      this._items = scored;
+      this._selectedIndex = 0;
+      this._render();
+      this._show();
+      this._position();
+    }
+
+    /**
+     * Replace the word before each cursor with the selected item
+     */
+    _accept() {
+      var entry = this._items[this._selectedIndex];
+      if (!entry) return;
+
+      var editor = this._editor;
+      var text = editor.getValue();
+
+      var ranges = editor.getSelections().all.map(function(sel) {
+        var start = sel.start;
+        while (start > 0 && IDENTIFIER_CHAR.test(text.charAt(start - 1))) {
+          start--;
+        }
+        return { start: start, end: sel.end };
+      });
+
+      this._accepting = true;
+      try {
+        // One undo step, which restores the cursors from before the prefixes were selected
+        editor.transact(function() {
+          editor.setSelections(ranges, true);
+          editor.insertText(entry.item.name);
+        }, 'Accept Suggestion');
+      } finally {
+        this._accepting = false;
+      }
+
+      this.hide();
+    }
+
+    _getCursorOffset() {
+      var sel = this._editor.getSelection();
+      return sel.start === sel.end ? sel.end : null;
+    }
+
+    _isInStringOrComment(offset) {
+      var token = this._editor.view.getTokenAt(offset);
+      if (!token) return false;
+
+      var type = token.type;
+      return type.indexOf('string') === 0 || type.indexOf('comment') === 0;
+    }
+
+    // ----------------------------------------
+    // Rendering
+    // ----------------------------------------
+
+    _render() {
+      var fragment = document.createDocumentFragment();
+
+      for (var i = 0; i < this._items.length; i++) {
+        fragment.appendChild(this._createItemElement(this._items[i], i));
+      }
+
+      this._listElement.innerHTML = '';
+      this._listElement.appendChild(fragment);
+      this._listElement.scrollTop = 0;
+    }
+
+    _createItemElement(entry, index) {
+      var item = entry.item;
+
+      var li = document.createElement('li');
+      li.className = 'ec-autocomplete-item';
+      li.dataset.index = index;
+      if (index === this._selectedIndex) {
+        li.classList.add('ec-autocomplete-item-selected');
+      }
+
+      var icon = document.createElement('span');
+      icon.className = 'ec-autocomplete-icon ec-autocomplete-icon-' + item.kind;
+      icon.textContent = KIND_ICONS[item.kind] || '•';
+      icon.title = item.kind;
+      li.appendChild(icon);
+
+      var label = document.createElement('span');
+      label.className = 'ec-autocomplete-label';
+      appendHighlightedLabel(label, item.name, entry.matches);
+      li.appendChild(label);
+
+      var detailText = this._getDetail(item);
+      if (detailText) {
+        var detail = document.createElement('span');
+        detail.className = 'ec-autocomplete-detail';
+        detail.textContent = detailText;
+        detail.title = detailText;
+        li.appendChild(detail);
+      }
+
+      return li;
+    }
+
+    _getDetail(item) {
+      if (item.kind === 'keyword') return 'keyword';
+      if (!item.type) return '';
+
+      var detail = this._typeChecker.typeToString(item.type);
+      if (detail.length > MAX_DETAIL_LENGTH) {
+        detail = detail.slice(0, MAX_DETAIL_LENGTH - 1) + '…';
+      }
+      return detail;
+    }
+
+    _select(index) {
+      if (this._items.length === 0) return;
+
+      // Wrap around at both ends
+      var count = this._items.length;
+      this._selectedIndex = ((index % count) + count) % count;
+
+      var previous = this._listElement.querySelector('.ec-autocomplete-item-selected');
+      if (previous) {
+        previous.classList.remove('ec-autocomplete-item-selected');
+      }
+
+      var current = this._listElement.children[this._selectedIndex];
+      if (current) {
+        current.classList.add('ec-autocomplete-item-selected');
+      }
+
+      // Keep the selected item inside the scrolled list
+      var top = this._selectedIndex * ITEM_HEIGHT;
+      var viewHeight = MAX_VISIBLE_ITEMS * ITEM_HEIGHT;
+      if (top < this._listElement.scrollTop) {
+        this._listElement.scrollTop = top;
+      } else if (top + ITEM_HEIGHT > this._listElement.scrollTop + viewHeight) {
+        this._listElement.scrollTop = top + ITEM_HEIGHT - viewHeight;
+      }
+    }
+
+    _position() {
+      var view = this._editor.view;
+      var anchorRect = view.getCharacterRect(this._wordStart);
+      var contentRect = view.contentElement.getBoundingClientRect();
+      var editorRect = view.container.getBoundingClientRect();
+
+      var popupHeight = Math.min(this._items.length, MAX_VISIBLE_ITEMS) * ITEM_HEIGHT + 2;
+
+      // Below the word, flipping above when it would leave the editor
+      var top = anchorRect.bottom - contentRect.top + 2;
+      if (anchorRect.bottom + popupHeight > editorRect.bottom &&
+          anchorRect.top - popupHeight >= editorRect.top) {
+        top = anchorRect.top - contentRect.top - popupHeight - 2;
+      }
+
+      var left = anchorRect.left - contentRect.left;
+      if (anchorRect.left + POPUP_WIDTH > editorRect.right) {
+        left = Math.max(0, editorRect.right - contentRect.left - POPUP_WIDTH - 10);
+      }
+
+      this._container.style.top = top + 'px';
+      this._container.style.left = left + 'px';
+    }
+
+    _show() {
+      if (this._visible) return;
+      this._visible = true;
+      this._container.style.display = 'block';
+    }
+
+    // ----------------------------------------
+    // Public API
+    // ----------------------------------------
+
+    /**
+     * Open the popup at the primary cursor
+     */
+    trigger() {
+      if (this._triggerTimer) {
+        clearTimeout(this._triggerTimer);
+        this._triggerTimer = null;
+      }
+      this._update(true);
+    }
+
+    /**
+     * Close the popup
+     */
+    hide() {
+      if (this._triggerTimer) {
+        clearTimeout(this._triggerTimer);
+        this._triggerTimer = null;
+      }
+      this._cancelRequest();
+
+      if (!this._visible) return;
+      this._visible = false;
+      this._container.style.display = 'none';
+      this._listElement.innerHTML = '';
+      this._candidates = [];
+      this._items = [];
+      this._selectedIndex = 0;
+    }
+
+    /**
+     * Check if the popup is open
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._visible;
+    }
+
+    /**
+     * Enable autocomplete
+     */
+    enable() {
+      this._enabled = true;
+    }
+
+    /**
+     * Disable autocomplete
+     */
+    disable() {
+      this._enabled = false;
+      this.hide();
+    }
+
+    /**
+     * Check if autocomplete is enabled
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return this._enabled;
+    }
+
+    // ----------------------------------------
+    // Lifecycle
+    // ----------------------------------------
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+      this.hide();
+
+      if (this._boundHandleKeyDown) {
+        this._editor.view.container.removeEventListener('keydown', this._boundHandleKeyDown, true);
+      }
+      if (this._boundHandleInput) {
+        this._editor.off('input', this._boundHandleInput);
+      }
+      if (this._boundHandleSelectionChange) {
+        this._editor.off('selectionChange', this._boundHandleSelectionChange);
+      }
+      if (this._boundHandleBlur) {
+        this._editor.off('blur', this._boundHandleBlur);
+      }
+
+      if (this._container) {
+        this._container.remove();
+      }
+      this._typeChecker = null;
+      this._editor = null;
+    }
+  }
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Fuzzy match a typed pattern against a candidate name.
+   * Characters must appear in order; the first must start the name or one of
+   * its words. Word starts and consecutive runs score higher, gaps lower.
+   * @param {string} pattern - Typed text
+   * @param {string} word - Candidate name
+   * @returns {{ score: number, matches: number[] } | null}
+   */
+  function fuzzyMatch(pattern, word) {
+    if (!pattern) {
+      return { score: 0, matches: [] };
+    }
+    if (pattern.length > word.length) {
+      return null;
+    }
+
+    var lowerPattern = pattern.toLowerCase();
+    var lowerWord = word.toLowerCase();
+    var matches = [];
+    var score = 0;
+    var previous = -1;
+    var p = 0;
+
+    for (var i = 0; i < word.length && p < pattern.length; i++) {
+      if (lowerWord.charAt(i) !== lowerPattern.charAt(p)) continue;
+
+      var wordStart = isWordStart(word, i);
+      if (p === 0 && !wordStart) continue;
+
+      var bonus = 1;
+      if (i === 0) {
+        bonus += 8;
+      } else if (previous === i - 1) {
+        bonus += 5;
+      } else if (wordStart) {
+        bonus += 4;
+      } else if (previous !== -1) {
+        bonus -= Math.min(i - previous - 1, 3);
+      }
+      if (word.charAt(i) === pattern.charAt(p)) {
+        bonus += 1;
+      }
+
+      score += bonus;
+      matches.push(i);
+      previous = i;
+      p++;
+    }
+
+    if (p < pattern.length) {
+      return null;
+    }
+
+    // Prefer shorter names among equal matches
+    score -= (word.length - pattern.length) * 0.05;
+
+    return { score: score, matches: matches };
+  }
+
+  /**
+   * Check if a character starts a word: the name start, after '_' or '$',
+   * or a camelCase hump
+   * @param {string} word
+   * @param {number} index
+   * @returns {boolean}
+   */
+  function isWordStart(word, index) {
+    if (index === 0) return true;
+
+    var ch = word.charAt(index);
+    var prev = word.charAt(index - 1);
+
+    if (prev === '_' || prev === '$') return true;
+    return ch !== ch.toLowerCase() && prev === prev.toLowerCase();
+  }
+
+  /**
+   * Append a label to an element, wrapping matched characters
+   * @param {HTMLElement} element
+   * @param {string} text
+   * @param {number[]} matches - Sorted indices of matched characters
+   */
+  function appendHighlightedLabel(element, text, matches) {
+    var last = 0;
+
+    for (var i = 0; i < matches.length; i++) {
+      var index = matches[i];
+      if (index > last) {
+        element.appendChild(document.createTextNode(text.slice(last, index)));
+      }
+
+      var mark = document.createElement('span');
+      mark.className = 'ec-autocomplete-match';
+      mark.textContent = text.charAt(index);
+      element.appendChild(mark);
+      last = index + 1;
+    }
+
+    if (last < text.length) {
+      element.appendChild(document.createTextNode(text.slice(last)));
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.Features = CodeEditor.Features || {};
+  CodeEditor.Features.Autocomplete = AutocompleteFeature;
+
+})(window.CodeEditor = window.CodeEditor || {});
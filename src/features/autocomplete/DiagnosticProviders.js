@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Problems found in an analyzed program
+ * @module features/autocomplete/DiagnosticProviders
+ *
+ * Each provider looks at one analysis result and reports ranged
+ * diagnostics: syntax errors recovered by the parser, identifiers that no
+ * scope declares, and calls of values whose inferred type cannot be
+ * called. Providers only report what the analysis is sure about; an
+ * expression of unknown type is never flagged.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var NodeType = CodeEditor.NodeType;
+  var TypeKind = CodeEditor.TypeKind;
+  var SymbolKind = CodeEditor.SymbolKind;
+  var NameRole = CodeEditor.NameRole;
+  var SymbolReferences = CodeEditor.SymbolReferences;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  /**
+   * Diagnostic severity enumeration
+   * @enum {string}
+   */
+  var DiagnosticSeverity = Object.freeze({
+    ERROR: 'error',
+    WARNING: 'warning'
+  });
+
+  /**
+   * Globals of browsers and workers that BuiltinTypes has no types for
+   * @type {Set<string>}
+   */
+  var KNOWN_GLOBALS = new Set([
+    'arguments', 'globalThis', 'window', 'self', 'document', 'navigator',
+    'location', 'history', 'screen', 'performance', 'crypto', 'indexedDB',
+    'localStorage', 'sessionStorage', 'alert', 'confirm', 'prompt',
+    'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval',
+    'requestAnimationFrame', 'cancelAnimationFrame', 'requestIdleCallback',
+    'cancelIdleCallback', 'queueMicrotask', 'structuredClone', 'fetch',
+    'atob', 'btoa', 'getComputedStyle', 'matchMedia', 'importScripts',
+    'postMessage', 'Symbol', 'BigInt', 'Map', 'Set', 'WeakMap', 'WeakSet',
+    'WeakRef', 'FinalizationRegistry', 'Proxy', 'Reflect', 'Intl',
+    'AggregateError', 'ArrayBuffer', 'SharedArrayBuffer', 'DataView',
+    'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array',
+    'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array',
+    'Float64Array', 'BigInt64Array', 'BigUint64Array', 'Atomics',
+    'Worker', 'Blob', 'File', 'FileReader', 'URL', 'URLSearchParams',
+    'CompressionStream', 'DecompressionStream', 'EditContext',
+    'FormData', 'Headers', 'Request', 'Response', 'AbortController',
+    'TextEncoder', 'TextDecoder', 'WebSocket', 'XMLHttpRequest', 'Event',
+    'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'EventTarget', 'Node',
+    'Element', 'HTMLElement', 'NodeFilter', 'DOMRect', 'DOMParser', 'Range',
+    'Image', 'getSelection', 'MutationObserver', 'ResizeObserver',
+    'IntersectionObserver', 'escape', 'unescape', 'require', 'module',
+    'exports', 'process', '__dirname', '__filename'
+  ]);
+
+  /**
+   * Kinds of types that can never be called. Null and undefined are left
+   * out: a variable or field starting as null is usually assigned later.
+   * @type {Set<string>}
+   */
+  var NOT_CALLABLE_KINDS = new Set([
+    TypeKind.STRING, TypeKind.NUMBER, TypeKind.BOOLEAN, TypeKind.SYMBOL,
+    TypeKind.BIGINT, TypeKind.ARRAY, TypeKind.TUPLE, TypeKind.INSTANCE,
+    TypeKind.MAP, TypeKind.SET, TypeKind.WEAKMAP, TypeKind.WEAKSET
+  ]);
+
+  // ============================================
+  // Providers
+  // ============================================
+
+  /**
+   * Syntax errors the parser recovered from
+   * @param {Object} context - {checker, analysis, source}
+   * @returns {Object[]}
+   */
+  function provideSyntaxErrors(context) {
+    return context.analysis.errors.map(function(error) {
+      return createDiagnostic(error.start, error.end, DiagnosticSeverity.ERROR, error.message, 'syntax-error');
+    });
+  }
+
+  /**
+   * Identifiers that resolve neither to a declaration nor to a global.
+   * Reported as warnings: the page may define globals in other scripts.
+   * @param {Object} context - {checker, analysis, source}
+   * @returns {Object[]}
+   */
+  function provideUndefinedIdentifiers(context) {
+    var scopeManager = context.analysis.scopeManager;
+    var checker = context.checker;
+    var diagnostics = [];
+    var names = SymbolReferences.collectNames(context.analysis.ast);
+
+    for (var i = 0; i < names.length; i++) {
+      var identifier = names[i];
+      var name = identifier.name;
+
+      // `typeof name` is how code checks for a global that may be missing
+      if (identifier.role !== NameRole.REFERENCE || identifier.isTypeofOperand) continue;
+
+      if (KNOWN_GLOBALS.has(name) || checker.getSymbolType(name)) continue;
+      if (scopeManager.getScopeAtOffset(identifier.start).resolve(name)) continue;
+
+      diagnostics.push(createDiagnostic(
+        identifier.start, identifier.end, DiagnosticSeverity.WARNING,
+        "'" + name + "' is not defined", 'undefined-identifier'
+      ));
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Calls of classes without `new`, and of values whose type has no call
+   * signature
+   * @param {Object} context - {checker, analysis, source}
+   * @returns {Object[]}
+   */
+  function provideNotCallable(context) {
+    var checker = context.checker;
+    var scopeManager = context.analysis.scopeManager;
+    var diagnostics = [];
+
+    SymbolReferences.walk(context.analysis.ast, function(node) {
+      if (node.type !== NodeType.CALL_EXPRESSION || !node.callee) return;
+
+      var callee = node.callee;
+      var text = context.source.slice(callee.start, callee.end);
+
+      if (callee.type === NodeType.IDENTIFIER) {
+        var symbol = scopeManager.getScopeAtOffset(callee.start).resolve(callee.name);
+        if (symbol && symbol.kind === SymbolKind.CLASS) {
+          diagnostics.push(createDiagnostic(
+            callee.start, callee.end, DiagnosticSeverity.ERROR,
+            "Class constructor '" + text + "' cannot be invoked without 'new'", 'not-callable'
+          ));
+          return;
+        }
+      }
+
+      if (callee.type === NodeType.SUPER) return;
+
+      var type = checker.inferNodeType(callee);
+      if (!type || checker.isCallable(type) || !NOT_CALLABLE_KINDS.has(type.kind)) return;
+
+      diagnostics.push(createDiagnostic(
+        callee.start, callee.end, DiagnosticSeverity.ERROR,
+        "'" + text + "' is not callable: its type is " + checker.typeToString(type), 'not-callable'
+      ));
+    });
+
+    return diagnostics;
+  }
+
+  /**
+   * Providers run by collect(), in order
+   * @type {Function[]}
+   */
+  var PROVIDERS = [provideSyntaxErrors, provideUndefinedIdentifiers, provideNotCallable];
+
+  /**
+   * Run every provider over an analysis
+   * @param {TypeChecker} checker - Type checker the analysis is active in
+   * @param {Object} analysis - Successful analysis result
+   * @param {string} source - Analyzed source
+   * @returns {Array<{start: number, end: number, severity: string, message: string, code: string}>}
+   *   Sorted by start offset
+   */
+  function collect(checker, analysis, source) {
+    var context = { checker: checker, analysis: analysis, source: source };
+    var diagnostics = [];
+
+    for (var i = 0; i < PROVIDERS.length; i++) {
+      diagnostics = diagnostics.concat(PROVIDERS[i](context));
+    }
+
+    return diagnostics.sort(function(a, b) {
+      return a.start - b.start || a.end - b.end;
+    });
+  }
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   * @param {string} severity - DiagnosticSeverity
+   * @param {string} message
+   * @param {string} code - Name of the check that found the problem
+   * @returns {Object}
+   */
+  function createDiagnostic(start, end, severity, message, code) {
+    return { start: start, end: end, severity: severity, message: message, code: code };
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.DiagnosticSeverity = DiagnosticSeverity;
+  CodeEditor.DiagnosticProviders = Object.freeze({
+    collect: collect,
+    provideSyntaxErrors: provideSyntaxErrors,
+    provideUndefinedIdentifiers: provideUndefinedIdentifiers,
+    provideNotCallable: provideNotCallable
+  });
+
+})(window.CodeEditor = window.CodeEditor || {});
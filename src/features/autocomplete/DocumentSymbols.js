@@ -0,0 +1,449 @@
+/**
+ * @fileoverview Outline of the declarations in a program
+ * @module features/autocomplete/DocumentSymbols
+ *
+ * Lists the classes, functions and top-level variables of an analyzed
+ * program as a tree: classes hold their methods, accessors and fields,
+ * including the fields the class type builder found assigned to `this`,
+ * and functions and methods hold the functions and classes declared in
+ * their bodies. Details come from the types the analysis inferred.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var NodeType = CodeEditor.NodeType;
+  var SymbolKind = CodeEditor.SymbolKind;
+  var FunctionType = CodeEditor.FunctionType;
+  var ClassType = CodeEditor.ClassType;
+  var SymbolReferences = CodeEditor.SymbolReferences;
+
+  // ============================================
+  // Symbol Collection
+  // ============================================
+
+  /**
+   * Collect the outline of an analyzed program
+   * @param {TypeChecker} checker - Checker the analysis is current in
+   * @param {Object} analysis - Successful analysis result
+   * @param {string} source - Analyzed source code
+   * @returns {Array<{name: string, kind: string, detail: string, start: number, end: number,
+   *   nameStart: number, nameEnd: number, children: Array}>} Top-level symbols in source order
+   */
+  function collect(checker, analysis, source) {
+    var context = createContext(checker, analysis, source);
+    var symbols = [];
+
+    analysis.ast.body.forEach(function(statement) {
+      collectStatement(context, statement, symbols, true);
+    });
+
+    return symbols;
+  }
+
+  /**
+   * @param {TypeChecker} checker
+   * @param {Object} analysis
+   * @param {string} source
+   * @returns {Object} Lookup of the types the analysis found for top-level declarations
+   */
+  function createContext(checker, analysis, source) {
+    var types = new Map();
+
+    analysis.classes.forEach(function(entry) {
+      types.set(entry.node, entry.type);
+    });
+    analysis.functions.forEach(function(entry) {
+      types.set(entry.node, entry.type);
+    });
+
+    // One declarator can bind several names through a pattern
+    var bindingTypes = new Map();
+    analysis.declarations.forEach(function(entry) {
+      if (!bindingTypes.has(entry.node)) bindingTypes.set(entry.node, new Map());
+      bindingTypes.get(entry.node).set(entry.name, entry.type);
+    });
+
+    return {
+      checker: checker,
+      source: source,
+      types: types,
+      bindingTypes: bindingTypes
+    };
+  }
+
+  /**
+   * Add the symbols a statement declares
+   * @param {Object} context
+   * @param {Node} statement - Statement node
+   * @param {Object[]} symbols - Output array
+   * @param {boolean} isTopLevel - Whether plain variables are listed too
+   */
+  function collectStatement(context, statement, symbols, isTopLevel) {
+    if (!statement) return;
+
+    switch (statement.type) {
+      case NodeType.FUNCTION_DECLARATION:
+        symbols.push(createFunctionSymbol(context, statement, statement.id, statement));
+        return;
+
+      case NodeType.CLASS_DECLARATION:
+        symbols.push(createClassSymbol(context, statement, statement.id, statement));
+        return;
+
+      case NodeType.VARIABLE_DECLARATION:
+        statement.declarations.forEach(function(declarator) {
+          collectDeclarator(context, statement.kind, declarator, symbols, isTopLevel);
+        });
+        return;
+
+      case NodeType.EXPORT_NAMED_DECLARATION:
+      case NodeType.EXPORT_DEFAULT_DECLARATION:
+        if (!isTopLevel || !statement.declaration) return;
+
+        var declaration = statement.declaration;
+        if (declaration.type === NodeType.FUNCTION_DECLARATION && !declaration.id) {
+          symbols.push(createFunctionSymbol(context, declaration, null, statement));
+        } else if (declaration.type === NodeType.CLASS_DECLARATION && !declaration.id) {
+          symbols.push(createClassSymbol(context, declaration, null, statement));
+        } else {
+          var count = symbols.length;
+          collectStatement(context, declaration, symbols, isTopLevel);
+
+          // Exported declarations start at the export keyword
+          for (var i = count; i < symbols.length; i++) {
+            symbols[i].start = statement.start;
+          }
+        }
+        return;
+    }
+  }
+
+  /**
+   * Add the symbols of a variable declarator. A single name bound to a
+   * function or class is listed as that function or class.
+   * @param {Object} context
+   * @param {string} kind - 'var', 'let' or 'const'
+   * @param {Node} declarator - VariableDeclarator node
+   * @param {Object[]} symbols - Output array
+   * @param {boolean} isTopLevel - Whether plain variables are listed too
+   */
+  function collectDeclarator(context, kind, declarator, symbols, isTopLevel) {
+    var id = declarator.id;
+    var init = declarator.init;
+
+    if (id && id.type === NodeType.IDENTIFIER && init) {
+      if (isFunction(init)) {
+        symbols.push(createFunctionSymbol(context, init, id, declarator));
+        return;
+      }
+      if (init.type === NodeType.CLASS_EXPRESSION) {
+        symbols.push(createClassSymbol(context, init, id, declarator));
+        return;
+      }
+    }
+
+    if (!isTopLevel) return;
+
+    var types = context.bindingTypes.get(declarator);
+    forEachBindingName(id, function(identifier) {
+      var type = types && types.get(identifier.name);
+      symbols.push(createSymbol(
+        identifier.name,
+        kind === 'const' ? SymbolKind.CONSTANT : SymbolKind.VARIABLE,
+        type ? context.checker.typeToString(type) : '',
+        declarator,
+        identifier
+      ));
+    });
+  }
+
+  /**
+   * @param {Object} context
+   * @param {Node} node - Function node
+   * @param {Node|null} id - Identifier naming the function, if any
+   * @param {Node} rangeNode - Node spanning the whole declaration
+   * @returns {Object} Symbol
+   */
+  function createFunctionSymbol(context, node, id, rangeNode) {
+    var type = context.types.get(node) || context.checker.inferNodeType(node);
+    var symbol = createSymbol(
+      id ? id.name : 'default',
+      SymbolKind.FUNCTION,
+      context.checker.typeToString(type),
+      rangeNode,
+      id || startOf(node)
+    );
+
+    symbol.children = collectBody(context, node.body);
+    return symbol;
+  }
+
+  /**
+   * @param {Object} context
+   * @param {Node} node - Class node
+   * @param {Node|null} id - Identifier naming the class, if any
+   * @param {Node} rangeNode - Node spanning the whole declaration
+   * @returns {Object} Symbol
+   */
+  function createClassSymbol(context, node, id, rangeNode) {
+    var classType = context.types.get(node) || context.checker.inferNodeType(node);
+    if (!(classType instanceof ClassType)) classType = null;
+
+    var superClass = classType && classType.superClass;
+    var symbol = createSymbol(
+      id ? id.name : 'default',
+      SymbolKind.CLASS,
+      superClass ? 'extends ' + superClass.name : '',
+      rangeNode,
+      id || startOf(node)
+    );
+
+    symbol.children = collectMembers(context, node, classType);
+    return symbol;
+  }
+
+  /**
+   * Collect the members of a class: its methods, accessors and fields, and
+   * the fields its type has from assignments to `this`
+   * @param {Object} context
+   * @param {Node} classNode - Class node
+   * @param {ClassType|null} classType - Type built for the class
+   * @returns {Object[]} Members in source order
+   */
+  function collectMembers(context, classNode, classType) {
+    var members = [];
+    var declared = new Set();
+
+    classNode.body.body.forEach(function(member) {
+      if (member.type !== NodeType.METHOD_DEFINITION && member.type !== NodeType.PROPERTY_DEFINITION) return;
+
+      var name = getMemberName(context, member);
+      var type = getMemberType(classType, member, name);
+      var kind = getMemberKind(member);
+      var detail = '';
+
+      if (type && (kind === SymbolKind.GETTER || kind === SymbolKind.SETTER)) {
+        // A getter and setter pair shares one member typed as either function;
+        // show the value when it is the getter's
+        if (type instanceof FunctionType && type.params.length === 0) {
+          detail = context.checker.typeToString(type.returnType);
+        }
+      } else if (type) {
+        detail = context.checker.typeToString(type);
+      }
+
+      if (!member.static) declared.add(name);
+
+      var symbol = createSymbol(name, kind, detail, member, member.key);
+      if (member.type === NodeType.METHOD_DEFINITION && member.value) {
+        symbol.children = collectBody(context, member.value.body);
+      }
+      members.push(symbol);
+    });
+
+    if (classType) {
+      classType.getInstanceMemberNames().forEach(function(name) {
+        if (declared.has(name)) return;
+
+        var assignment = findThisAssignment(classNode, name);
+        if (!assignment) return;
+
+        members.push(createSymbol(
+          name,
+          SymbolKind.PROPERTY,
+          context.checker.typeToString(classType.getInstanceMember(name)),
+          assignment,
+          assignment.left.property
+        ));
+      });
+    }
+
+    return members.sort(function(a, b) {
+      return a.start - b.start;
+    });
+  }
+
+  /**
+   * Collect the functions and classes declared directly in a function body
+   * @param {Object} context
+   * @param {Node|null} body - Function body; an expression for arrow functions
+   * @returns {Object[]}
+   */
+  function collectBody(context, body) {
+    var symbols = [];
+    if (!body || body.type !== NodeType.BLOCK_STATEMENT) return symbols;
+
+    body.body.forEach(function(statement) {
+      collectStatement(context, statement, symbols, false);
+    });
+    return symbols;
+  }
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * @param {string} name
+   * @param {string} kind - SymbolKind
+   * @param {string} detail - Type or other short description
+   * @param {Node} rangeNode - Node spanning the whole declaration
+   * @param {{start: number, end: number}} nameNode - Node spanning the name
+   * @returns {Object} Symbol without children
+   */
+  function createSymbol(name, kind, detail, rangeNode, nameNode) {
+    return {
+      name: name,
+      kind: kind,
+      detail: detail,
+      start: rangeNode.start,
+      end: rangeNode.end,
+      nameStart: nameNode.start,
+      nameEnd: nameNode.end,
+      children: []
+    };
+  }
+
+  /**
+   * Empty range at the start of a node, standing in for a missing name
+   * @param {Node} node
+   * @returns {{start: number, end: number}}
+   */
+  function startOf(node) {
+    return { start: node.start, end: node.start };
+  }
+
+  function isFunction(node) {
+    return node.type === NodeType.FUNCTION_EXPRESSION || node.type === NodeType.ARROW_FUNCTION;
+  }
+
+  /**
+   * @param {Object} context
+   * @param {Node} member - MethodDefinition or PropertyDefinition node
+   * @returns {string}
+   */
+  function getMemberName(context, member) {
+    if (member.computed) {
+      return '[' + context.source.slice(member.key.start, member.key.end) + ']';
+    }
+    if (member.key.type === NodeType.IDENTIFIER || member.key.type === NodeType.PRIVATE_IDENTIFIER) {
+      return member.key.name;
+    }
+    return String(member.key.value);
+  }
+
+  /**
+   * @param {Node} member - MethodDefinition or PropertyDefinition node
+   * @returns {string} SymbolKind
+   */
+  function getMemberKind(member) {
+    if (member.type === NodeType.PROPERTY_DEFINITION) return SymbolKind.PROPERTY;
+
+    switch (member.kind) {
+      case 'constructor':
+        return SymbolKind.CONSTRUCTOR;
+      case 'get':
+        return SymbolKind.GETTER;
+      case 'set':
+        return SymbolKind.SETTER;
+      default:
+        return SymbolKind.METHOD;
+    }
+  }
+
+  /**
+   * @param {ClassType|null} classType
+   * @param {Node} member - MethodDefinition or PropertyDefinition node
+   * @param {string} name - Member name
+   * @returns {Type|null}
+   */
+  function getMemberType(classType, member, name) {
+    if (!classType || member.computed) return null;
+    if (member.kind === 'constructor') return classType.getConstructor();
+    return (member.static ? classType.getStaticMember(name) : classType.getInstanceMember(name)) || null;
+  }
+
+  /**
+   * Find the first `this.name = ...` in the methods of a class, not
+   * counting functions and classes nested in them, which have their own `this`
+   * @param {Node} classNode - Class node
+   * @param {string} name - Field name
+   * @returns {Node|null} AssignmentExpression node
+   */
+  function findThisAssignment(classNode, name) {
+    var found = null;
+
+    var search = function(node) {
+      if (found) return;
+
+      if (node.type === NodeType.ASSIGNMENT_EXPRESSION) {
+        var left = node.left;
+        if (left.type === NodeType.MEMBER_EXPRESSION && !left.computed &&
+            left.object.type === NodeType.THIS && left.property.name === name) {
+          found = node;
+          return;
+        }
+      }
+
+      if (node.type === NodeType.FUNCTION_EXPRESSION || node.type === NodeType.FUNCTION_DECLARATION ||
+          node.type === NodeType.CLASS_EXPRESSION || node.type === NodeType.CLASS_DECLARATION) {
+        return;
+      }
+
+      SymbolReferences.forEachChild(node, search);
+    };
+
+    classNode.body.body.forEach(function(member) {
+      if (member.type === NodeType.METHOD_DEFINITION && member.value && member.value.body) {
+        SymbolReferences.forEachChild(member.value.body, search);
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Call back with each identifier a binding target declares
+   * @param {Node|null} target - Binding target
+   * @param {Function} callback - Called with each Identifier node
+   */
+  function forEachBindingName(target, callback) {
+    if (!target) return;
+
+    switch (target.type) {
+      case NodeType.IDENTIFIER:
+        if (target.name) callback(target);
+        break;
+
+      case NodeType.OBJECT_PATTERN:
+        target.properties.forEach(function(prop) {
+          forEachBindingName(prop.type === NodeType.REST_ELEMENT ? prop.argument : prop.value, callback);
+        });
+        break;
+
+      case NodeType.ARRAY_PATTERN:
+        target.elements.forEach(function(element) {
+          if (element && element.type === NodeType.REST_ELEMENT) {
+            forEachBindingName(element.argument, callback);
+          } else {
+            forEachBindingName(element, callback);
+          }
+        });
+        break;
+
+      case NodeType.ASSIGNMENT_PATTERN:
+        forEachBindingName(target.left, callback);
+        break;
+    }
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.DocumentSymbols = Object.freeze({
+    collect: collect
+  });
+
+})(window.CodeEditor = window.CodeEditor || {});
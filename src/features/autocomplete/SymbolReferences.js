@@ -0,0 +1,688 @@
+/**
+ * @fileoverview Declarations and references of the symbol under an offset
+ * @module features/autocomplete/SymbolReferences
+ *
+ * Every name in a program is classified by the role it plays: declaring a
+ * binding, referring to one, accessing a member, or declaring a class
+ * member. Bindings resolve through the analysis' scopes, so shadowed
+ * names and closures find the right declaration; member accesses resolve
+ * through the inferred type of their object to the class that declares
+ * the member. Renaming a symbol edits those same occurrences, spelling out
+ * shorthands (`{ a }`, `import { a }`) that name a binding and a property
+ * or export at once.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var NodeType = CodeEditor.NodeType;
+  var SymbolKind = CodeEditor.SymbolKind;
+  var ClassType = CodeEditor.ClassType;
+  var InstanceType = CodeEditor.InstanceType;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  /**
+   * Role of a name occurrence
+   * @enum {string}
+   */
+  var NameRole = Object.freeze({
+    // Binds a variable, parameter, function, class or import
+    DECLARATION: 'declaration',
+    // Reads or assigns a binding
+    REFERENCE: 'reference',
+    // Property name of a non-computed member access (`a.name`)
+    PROPERTY: 'property',
+    // Name of a class method or field
+    MEMBER_DECLARATION: 'memberDeclaration'
+  });
+
+  /**
+   * What else a shorthand name stands for besides its binding
+   * @enum {string}
+   */
+  var Shorthand = Object.freeze({
+    // `{ a }` in an object literal or pattern: also the property name
+    PROPERTY: 'property',
+    // `import { a }`: also the imported name
+    IMPORT: 'import',
+    // `export { a }`: also the exported name
+    EXPORT: 'export'
+  });
+
+  // ============================================
+  // Name Collection
+  // ============================================
+
+  /**
+   * Collect every name occurrence of a program in source order. Labels,
+   * object literal keys and the names of other modules are left out.
+   * @param {Node} ast - Program node
+   * @returns {Array<{name: string, start: number, end: number, role: string,
+   *   node: Node|null, classNode: Node|null, isStatic: boolean, isWrite: boolean,
+   *   isTypeofOperand: boolean, shorthand: string|null}>}
+   */
+  function collectNames(ast) {
+    var names = [];
+    collect(ast, names, null);
+    return names.sort(function(a, b) {
+      return a.start - b.start;
+    });
+  }
+
+  /**
+   * @param {Node} node - Node
+   * @param {Object[]} names - Output array
+   * @param {Node|null} classNode - Innermost enclosing class
+   */
+  function collect(node, names, classNode) {
+    if (!node || typeof node !== 'object') return;
+
+    var visit = function(child) {
+      collect(child, names, classNode);
+    };
+
+    switch (node.type) {
+      case NodeType.IDENTIFIER:
+        addName(names, node, NameRole.REFERENCE);
+        return;
+
+      case NodeType.MEMBER_EXPRESSION:
+        visit(node.object);
+        if (node.computed) {
+          visit(node.property);
+        } else {
+          addName(names, node.property, NameRole.PROPERTY, { node: node });
+        }
+        return;
+
+      case NodeType.ASSIGNMENT_EXPRESSION:
+        if (node.left && node.left.type === NodeType.MEMBER_EXPRESSION && !node.left.computed) {
+          visit(node.left.object);
+          addName(names, node.left.property, NameRole.PROPERTY, { node: node.left, isWrite: true });
+        } else {
+          visit(node.left);
+        }
+        visit(node.right);
+        return;
+
+      case NodeType.PROPERTY:
+        if (node.computed) visit(node.key);
+        visit(node.value);
+        if (node.shorthand) markShorthand(names, node.key, Shorthand.PROPERTY);
+        return;
+
+      case NodeType.METHOD_DEFINITION:
+      case NodeType.PROPERTY_DEFINITION:
+        if (node.computed) {
+          visit(node.key);
+        } else if (node.kind !== 'constructor') {
+          addName(names, node.key, NameRole.MEMBER_DECLARATION, {
+            node: node,
+            classNode: classNode,
+            isStatic: node.static
+          });
+        }
+        visit(node.value);
+        return;
+
+      case NodeType.VARIABLE_DECLARATOR:
+        collectPattern(node.id, names, classNode);
+        visit(node.init);
+        return;
+
+      case NodeType.PARAMETER:
+        collectPattern(node, names, classNode);
+        return;
+
+      case NodeType.FUNCTION_DECLARATION:
+      case NodeType.FUNCTION_EXPRESSION:
+      case NodeType.ARROW_FUNCTION:
+        if (node.id) addName(names, node.id, NameRole.DECLARATION);
+        node.params.forEach(visit);
+        visit(node.body);
+        return;
+
+      case NodeType.CLASS_DECLARATION:
+      case NodeType.CLASS_EXPRESSION:
+        if (node.id) addName(names, node.id, NameRole.DECLARATION);
+        visit(node.superClass);
+        collect(node.body, names, node);
+        return;
+
+      case NodeType.CATCH_CLAUSE:
+        collectPattern(node.param, names, classNode);
+        visit(node.body);
+        return;
+
+      case NodeType.LABELED_STATEMENT:
+        visit(node.body);
+        return;
+
+      case NodeType.UNARY_EXPRESSION:
+        // `typeof name` may name a variable that is not declared anywhere
+        if (node.operator === 'typeof' && node.argument && node.argument.type === NodeType.IDENTIFIER) {
+          addName(names, node.argument, NameRole.REFERENCE, { isTypeofOperand: true });
+          return;
+        }
+        visit(node.argument);
+        return;
+
+      case NodeType.IMPORT_DECLARATION:
+        node.specifiers.forEach(function(specifier) {
+          addName(names, specifier.local, NameRole.DECLARATION);
+          if (specifier.imported === specifier.local) {
+            markShorthand(names, specifier.local, Shorthand.IMPORT);
+          }
+        });
+        return;
+
+      case NodeType.EXPORT_NAMED_DECLARATION:
+        visit(node.declaration);
+        // Specifiers of `export { a } from 'm'` name bindings of the other module
+        if (!node.source) {
+          node.specifiers.forEach(function(specifier) {
+            visit(specifier.local);
+            if (specifier.exported === specifier.local) {
+              markShorthand(names, specifier.local, Shorthand.EXPORT);
+            }
+          });
+        }
+        return;
+
+      case NodeType.BREAK_STATEMENT:
+      case NodeType.CONTINUE_STATEMENT:
+      case NodeType.META_PROPERTY:
+      case NodeType.EXPORT_ALL_DECLARATION:
+        return;
+
+      default:
+        forEachChild(node, visit);
+    }
+  }
+
+  /**
+   * Collect the names a binding target declares, and the references in
+   * its default values and computed keys
+   * @param {Node|null} node - Binding target
+   * @param {Object[]} names - Output array
+   * @param {Node|null} classNode - Innermost enclosing class
+   */
+  function collectPattern(node, names, classNode) {
+    if (!node || typeof node !== 'object') return;
+
+    switch (node.type) {
+      case NodeType.IDENTIFIER:
+        addName(names, node, NameRole.DECLARATION);
+        return;
+
+      case NodeType.OBJECT_PATTERN:
+        for (var i = 0; i < node.properties.length; i++) {
+          var prop = node.properties[i];
+          if (prop.type === NodeType.PROPERTY) {
+            if (prop.computed) collect(prop.key, names, classNode);
+            collectPattern(prop.value, names, classNode);
+            if (prop.shorthand) markShorthand(names, prop.key, Shorthand.PROPERTY);
+          } else {
+            collectPattern(prop, names, classNode);
+          }
+        }
+        return;
+
+      case NodeType.ARRAY_PATTERN:
+        for (var j = 0; j < node.elements.length; j++) {
+          collectPattern(node.elements[j], names, classNode);
+        }
+        return;
+
+      case NodeType.ASSIGNMENT_PATTERN:
+        collectPattern(node.left, names, classNode);
+        collect(node.right, names, classNode);
+        return;
+
+      case NodeType.REST_ELEMENT:
+        collectPattern(node.argument, names, classNode);
+        return;
+
+      case NodeType.PARAMETER:
+        if (typeof node.name === 'string') {
+          // Simple parameters keep only their name; a rest parameter ends with it
+          var start = node.rest ? node.end - node.name.length : node.start;
+          names.push(createName(node.name, start, start + node.name.length, NameRole.DECLARATION, {}));
+        } else {
+          collectPattern(node.name, names, classNode);
+        }
+        collect(node.defaultValue, names, classNode);
+        return;
+
+      default:
+        collect(node, names, classNode);
+    }
+  }
+
+  /**
+   * @param {Object[]} names - Output array
+   * @param {Node} identifier - Identifier or PrivateIdentifier
+   * @param {string} role - NameRole
+   * @param {Object} [extra] - node, classNode, isStatic, isWrite, isTypeofOperand
+   */
+  function addName(names, identifier, role, extra) {
+    if (!identifier || !identifier.name) return;
+    names.push(createName(identifier.name, identifier.start, identifier.end, role, extra || {}));
+  }
+
+  function createName(name, start, end, role, extra) {
+    return {
+      name: name,
+      start: start,
+      end: end,
+      role: role,
+      node: extra.node || null,
+      classNode: extra.classNode || null,
+      isStatic: extra.isStatic || false,
+      isWrite: extra.isWrite || false,
+      isTypeofOperand: extra.isTypeofOperand || false,
+      shorthand: null
+    };
+  }
+
+  /**
+   * Mark the name just collected at an identifier as a shorthand. Names
+   * of a default value (`{ a = b }`) may have been collected after it.
+   * @param {Object[]} names - Output array
+   * @param {Node} identifier - Shared identifier
+   * @param {string} shorthand - Shorthand
+   */
+  function markShorthand(names, identifier, shorthand) {
+    for (var i = names.length - 1; i >= 0; i--) {
+      if (names[i].start === identifier.start) {
+        names[i].shorthand = shorthand;
+        return;
+      }
+    }
+  }
+
+  // ============================================
+  // Resolution
+  // ============================================
+
+  /**
+   * Find the declaration of the name at an offset
+   * @param {TypeChecker} checker - Type checker the analysis is active in
+   * @param {Object} analysis - Successful analysis result
+   * @param {number} offset - Offset inside or at the end of the name
+   * @returns {{name: string, start: number, end: number}|null} Range of the
+   *   declaring name, or null when the name is not declared in the program
+   */
+  function findDefinition(checker, analysis, offset) {
+    var context = createContext(checker, analysis);
+    var occurrence = findNameAt(context.names, offset);
+    if (!occurrence) return null;
+
+    var target = resolve(context, occurrence);
+    if (!target) return null;
+
+    var definition = getTargetDefinition(context, target);
+    if (!definition) return null;
+
+    return { name: occurrence.name, start: definition.start, end: definition.end };
+  }
+
+  /**
+   * Find every occurrence of the symbol named at an offset, its
+   * declaration included
+   * @param {TypeChecker} checker - Type checker the analysis is active in
+   * @param {Object} analysis - Successful analysis result
+   * @param {number} offset - Offset inside or at the end of the name
+   * @returns {Array<{start: number, end: number, isDefinition: boolean}>|null}
+   *   Sorted by start, or null when the name is not declared in the program
+   */
+  function findReferences(checker, analysis, offset) {
+    var found = findOccurrences(checker, analysis, offset);
+    if (!found) return null;
+
+    return found.occurrences.map(function(occurrence) {
+      return {
+        start: occurrence.start,
+        end: occurrence.end,
+        isDefinition: occurrence.start === found.definition.start
+      };
+    });
+  }
+
+  /**
+   * Find the ranges to replace to rename the symbol named at an offset.
+   * A shorthand keeps its other meaning by gaining text around the new
+   * name: `{ a }` becomes `{ a: b }`, `import { a }` becomes
+   * `import { a as b }` and `export { a }` becomes `export { b as a }`.
+   * @param {TypeChecker} checker - Type checker the analysis is active in
+   * @param {Object} analysis - Successful analysis result
+   * @param {number} offset - Offset inside or at the end of the name
+   * @returns {{name: string, start: number, end: number,
+   *   locations: Array<{start: number, end: number, prefixText: string, suffixText: string}>}|null}
+   *   The name and range at the offset with the locations sorted by start,
+   *   or null when the name is not declared in the program
+   */
+  function findRenameLocations(checker, analysis, offset) {
+    var found = findOccurrences(checker, analysis, offset);
+    if (!found) return null;
+
+    return {
+      name: found.occurrence.name,
+      start: found.occurrence.start,
+      end: found.occurrence.end,
+      locations: found.occurrences.map(function(occurrence) {
+        var name = occurrence.name;
+        return {
+          start: occurrence.start,
+          end: occurrence.end,
+          prefixText: occurrence.shorthand === Shorthand.PROPERTY ? name + ': '
+            : occurrence.shorthand === Shorthand.IMPORT ? name + ' as ' : '',
+          suffixText: occurrence.shorthand === Shorthand.EXPORT ? ' as ' + name : ''
+        };
+      })
+    };
+  }
+
+  /**
+   * @param {TypeChecker} checker
+   * @param {Object} analysis
+   * @param {number} offset
+   * @returns {{occurrence: Object, definition: {start: number, end: number},
+   *   occurrences: Object[]}|null} The name at the offset, its declaration
+   *   and all occurrences of the same symbol
+   */
+  function findOccurrences(checker, analysis, offset) {
+    var context = createContext(checker, analysis);
+    var occurrence = findNameAt(context.names, offset);
+    if (!occurrence) return null;
+
+    var target = resolve(context, occurrence);
+    if (!target) return null;
+
+    var definition = getTargetDefinition(context, target);
+    if (!definition) return null;
+
+    var occurrences = context.names.filter(function(candidate) {
+      return candidate.name === occurrence.name && isSameRoleGroup(candidate, target) &&
+        sameTarget(resolve(context, candidate), target);
+    });
+
+    return { occurrence: occurrence, definition: definition, occurrences: occurrences };
+  }
+
+  /**
+   * @param {TypeChecker} checker
+   * @param {Object} analysis
+   * @returns {Object} Shared state of one query
+   */
+  function createContext(checker, analysis) {
+    return {
+      checker: checker,
+      analysis: analysis,
+      scopeManager: analysis.scopeManager,
+      names: collectNames(analysis.ast),
+      // ClassType -> class node, built on first member lookup
+      classNodes: null
+    };
+  }
+
+  /**
+   * Find the occurrence spanning an offset, preferring the one that starts
+   * there when the offset sits between two names
+   * @param {Object[]} names - Occurrences sorted by start
+   * @param {number} offset
+   * @returns {Object|null}
+   */
+  function findNameAt(names, offset) {
+    var found = null;
+    for (var i = 0; i < names.length && names[i].start <= offset; i++) {
+      if (offset <= names[i].end) {
+        found = names[i];
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Resolve an occurrence to what it names: a scope symbol, or a class
+   * member identified by its declaring class node
+   * @param {Object} context - Query state
+   * @param {Object} occurrence - Name occurrence
+   * @returns {{symbol: Symbol}|{classNode: Node, name: string, isStatic: boolean}|null}
+   */
+  function resolve(context, occurrence) {
+    switch (occurrence.role) {
+      case NameRole.DECLARATION:
+        var declared = getDeclaredSymbol(context.scopeManager, occurrence);
+        return declared ? { symbol: declared } : null;
+
+      case NameRole.REFERENCE:
+        var symbol = context.scopeManager.getScopeAtOffset(occurrence.start).resolve(occurrence.name);
+        return symbol ? { symbol: symbol } : null;
+
+      case NameRole.MEMBER_DECLARATION:
+        if (!occurrence.classNode) return null;
+        return { classNode: occurrence.classNode, name: occurrence.name, isStatic: occurrence.isStatic };
+
+      case NameRole.PROPERTY:
+        return resolveMember(context, occurrence);
+    }
+    return null;
+  }
+
+  /**
+   * Find the symbol a declaring name defines. Its scope is the innermost
+   * one on the chain holding a symbol declared at that position, which
+   * keeps e.g. a function's name apart from a parameter of the same name.
+   * @param {ScopeManager} scopeManager
+   * @param {Object} occurrence - Declaration occurrence
+   * @returns {Symbol|null}
+   */
+  function getDeclaredSymbol(scopeManager, occurrence) {
+    var scope = scopeManager.getScopeAtOffset(occurrence.start);
+
+    for (var current = scope; current; current = current.parent) {
+      var symbol = current.get(occurrence.name);
+      if (symbol && symbol.location && symbol.location.start === occurrence.start) {
+        return symbol;
+      }
+    }
+
+    // A redeclaration (`var a; var a;`) replaced the symbol; use the one in effect
+    return scope.resolve(occurrence.name);
+  }
+
+  /**
+   * Resolve a member access through the inferred type of its object to the
+   * class declaring the member
+   * @param {Object} context - Query state
+   * @param {Object} occurrence - Property occurrence
+   * @returns {{classNode: Node, name: string, isStatic: boolean}|null}
+   */
+  function resolveMember(context, occurrence) {
+    var object = occurrence.node.object;
+    var objectType = object.type === NodeType.SUPER
+      ? getSuperType(context, object)
+      : context.checker.inferNodeType(object);
+    var isStatic;
+    var classType;
+
+    if (objectType instanceof InstanceType) {
+      classType = objectType.classType;
+      isStatic = false;
+    } else if (objectType instanceof ClassType) {
+      classType = objectType;
+      isStatic = true;
+    } else {
+      return null;
+    }
+
+    // Walk up to the class that declares the member
+    while (classType) {
+      var members = isStatic ? classType.staticMembers : classType.instanceMembers;
+      if (members.has(occurrence.name)) break;
+      classType = classType.superClass;
+    }
+    if (!classType) return null;
+
+    var classNode = getClassNodes(context).get(classType);
+    return classNode ? { classNode: classNode, name: occurrence.name, isStatic: isStatic } : null;
+  }
+
+  /**
+   * Get the type `super` stands for in a method: an instance of the parent
+   * class, like `this` is one of the class
+   * @param {Object} context - Query state
+   * @param {Node} node - Super node
+   * @returns {Type|null}
+   */
+  function getSuperType(context, node) {
+    var classScope = context.scopeManager.getScopeAtOffset(node.start).getEnclosingClassScope();
+    if (!classScope || !classScope.classSymbol) return null;
+
+    var superClass = classScope.classSymbol.type.superClass;
+    return superClass ? superClass.createInstance() : null;
+  }
+
+  /**
+   * Map the class types of the program's classes to their nodes. A class
+   * can have two: the one of its declared symbol, and the one its class
+   * scope holds, which differ when an incremental update kept the scope.
+   * @param {Object} context - Query state
+   * @returns {Map<ClassType, Node>}
+   */
+  function getClassNodes(context) {
+    if (context.classNodes) return context.classNodes;
+
+    var scopeManager = context.scopeManager;
+    var classNodes = new Map();
+
+    walk(context.analysis.ast, function(node) {
+      if (node.type !== NodeType.CLASS_DECLARATION && node.type !== NodeType.CLASS_EXPRESSION) return;
+
+      var classScope = scopeManager.getScopeAtOffset(node.body.start).getEnclosingClassScope();
+      if (classScope && classScope.classSymbol) {
+        classNodes.set(classScope.classSymbol.type, node);
+      }
+
+      if (node.id) {
+        var symbol = getDeclaredSymbol(scopeManager, { name: node.id.name, start: node.id.start });
+        if (symbol && symbol.kind === SymbolKind.CLASS) {
+          classNodes.set(symbol.type, node);
+        }
+      }
+    });
+
+    context.classNodes = classNodes;
+    return classNodes;
+  }
+
+  /**
+   * Get the range declaring a target: a symbol's recorded location, or a
+   * member's method or field name, falling back to the first assignment of
+   * `this.name` inside the class
+   * @param {Object} context - Query state
+   * @param {Object} target - Result of resolve()
+   * @returns {{start: number, end: number}|null}
+   */
+  function getTargetDefinition(context, target) {
+    if (target.symbol) {
+      return target.symbol.location;
+    }
+
+    var names = context.names;
+    var classNode = target.classNode;
+    var i;
+
+    for (i = 0; i < names.length; i++) {
+      if (names[i].role === NameRole.MEMBER_DECLARATION && sameTarget(resolve(context, names[i]), target)) {
+        return names[i];
+      }
+    }
+
+    for (i = 0; i < names.length; i++) {
+      var name = names[i];
+      if (name.role !== NameRole.PROPERTY || !name.isWrite || name.name !== target.name) continue;
+      if (name.start < classNode.start || name.end > classNode.end) continue;
+      if (sameTarget(resolve(context, name), target)) {
+        return name;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether an occurrence can name a target at all, so member accesses are
+   * not type-inferred when looking for a variable and the other way around
+   * @param {Object} occurrence
+   * @param {Object} target
+   * @returns {boolean}
+   */
+  function isSameRoleGroup(occurrence, target) {
+    var isMember = occurrence.role === NameRole.PROPERTY || occurrence.role === NameRole.MEMBER_DECLARATION;
+    return isMember === !target.symbol;
+  }
+
+  function sameTarget(a, b) {
+    if (!a || !b) return false;
+    if (a.symbol || b.symbol) return a.symbol === b.symbol;
+    return a.classNode === b.classNode && a.name === b.name && a.isStatic === b.isStatic;
+  }
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Visit a node and all nodes below it, parents first
+   * @param {Node} node - Root node
+   * @param {Function} visit - Called with each node
+   */
+  function walk(node, visit) {
+    if (!node || typeof node !== 'object') return;
+
+    visit(node);
+    forEachChild(node, function(child) {
+      walk(child, visit);
+    });
+  }
+
+  /**
+   * Call back with each child node of a node
+   * @param {Node} node - Node
+   * @param {Function} callback - Called with each child
+   */
+  function forEachChild(node, callback) {
+    for (var key in node) {
+      var value = node[key];
+      if (!value || typeof value !== 'object') continue;
+
+      if (Array.isArray(value)) {
+        for (var i = 0; i < value.length; i++) {
+          if (value[i] && value[i].type) callback(value[i]);
+        }
+      } else if (value.type) {
+        callback(value);
+      }
+    }
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.NameRole = NameRole;
+  CodeEditor.SymbolReferences = Object.freeze({
+    collectNames: collectNames,
+    findDefinition: findDefinition,
+    findReferences: findReferences,
+    findRenameLocations: findRenameLocations,
+    walk: walk,
+    forEachChild: forEachChild
+  });
+
+})(window.CodeEditor = window.CodeEditor || {});
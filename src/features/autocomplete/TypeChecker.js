@@ -11,6 +11,10 @@
   var ClassTypeBuilder = CodeEditor.ClassTypeBuilder;
   var ThisContextTracker = CodeEditor.ThisContextTracker;
   var BuiltinTypes = CodeEditor.BuiltinTypes;
+  var ScopeManager = CodeEditor.ScopeManager;
+  var ScopeType = CodeEditor.ScopeType;
+  var Symbol = CodeEditor.Symbol;
+  var SymbolKind = CodeEditor.SymbolKind;
   var NodeType = CodeEditor.NodeType;
   var TypeKind = CodeEditor.TypeKind;
   var Type = CodeEditor.Type;
@@ -20,6 +24,38 @@
   var FunctionType = CodeEditor.FunctionType;
   var ClassType = CodeEditor.ClassType;
   var InstanceType = CodeEditor.InstanceType;
+  var DiagnosticProviders = CodeEditor.DiagnosticProviders;
+  var SymbolReferences = CodeEditor.SymbolReferences;
+  var DocumentSymbols = CodeEditor.DocumentSymbols;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  /**
+   * Maximum number of analyzed sources kept in the cache.
+   * Live editing produces a new source on every keystroke.
+   * @type {number}
+   */
+  var MAX_CACHED_ANALYSES = 16;
+
+  /**
+   * Keywords offered as identifier completions
+   * @type {string[]}
+   */
+  var KEYWORDS = [
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+    'default', 'delete', 'do', 'else', 'export', 'extends', 'false', 'finally',
+    'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null',
+    'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+  ];
+
+  /**
+   * Parameter names of built-in array methods that take a callback
+   * @type {string[]}
+   */
+  var CALLBACK_PARAMETERS = ['callback', 'predicate', 'compareFn'];
 
   // ============================================
   // TypeChecker Class
@@ -39,12 +75,19 @@
      */
     this._builtinTypes = BuiltinTypes.getInstance();
 
+    /**
+     * Scope tree of the most recently analyzed source
+     * @type {ScopeManager}
+     */
+    this._scopeManager = new ScopeManager();
+
     /**
      * Type inference engine
      * @type {TypeInferenceEngine}
      */
     this._inferenceEngine = new TypeInferenceEngine({
-      builtinTypes: this._builtinTypes
+      builtinTypes: this._builtinTypes,
+      scopeManager: this._scopeManager
     });
 
     /**
@@ -76,6 +119,26 @@
      * @type {Map<string, ClassType>}
      */
     this._classTypes = new Map();
+
+    /**
+     * Incremental analysis of the edited document, if attached
+     * @type {AnalysisService|null}
+     */
+    this._analysisService = null;
+
+    /**
+     * While building scopes, the scope `var` declarations are hoisted to:
+     * the enclosing function, class static block or the global scope
+     * @type {Scope|null}
+     */
+    this._varScope = null;
+
+    /**
+     * While collecting and building scopes, whether the code being walked
+     * is strict, where functions declared in blocks are not hoisted
+     * @type {boolean}
+     */
+    this._strictCode = false;
   }
 
   // ----------------------------------------
@@ -90,7 +153,12 @@
   TypeChecker.prototype.analyze = function(source) {
     // Check cache
     if (this._analysisCache.has(source)) {
-      return this._analysisCache.get(source);
+      return this.activate(this._analysisCache.get(source));
+    }
+
+    // An attached service has tracked this source edit by edit
+    if (this._analysisService && this._analysisService.getSource() === source) {
+      return this._analysisService.getAnalysis();
     }
 
     // Parse source
@@ -101,41 +169,129 @@
       return {
         success: false,
         error: e.message,
+        errors: [],
         declarations: [],
         classes: [],
         functions: []
       };
     }
 
+    return this.analyzeProgram(source, ast, null);
+  };
+
+  /**
+   * Analyze an already parsed program. With `reuse`, the scopes of the
+   * top-level statements an incremental reparse kept are carried over
+   * from the previous analysis instead of being rebuilt, as long as the
+   * edit left every global declaration's type unchanged.
+   * @param {string} source - Source code of the program
+   * @param {Program} ast - Parsed program
+   * @param {Object|null} reuse - Statements kept from the previous analysis
+   * @param {Object} reuse.analysis - Previous analysis result
+   * @param {string} reuse.source - Source of the previous analysis
+   * @param {number} reuse.prefixCount - Leading statements kept in place
+   * @param {number} reuse.suffixCount - Trailing statements kept, moved by delta
+   * @param {number} reuse.delta - Length change of the edited region
+   * @returns {Object} Analysis result with declarations and types
+   */
+  TypeChecker.prototype.analyzeProgram = function(source, ast, reuse) {
     // Reset state
     this._symbolTable.clear();
     this._classTypes.clear();
     this._thisTracker.reset();
     this._inferenceEngine.clearCache();
     this._classBuilder.clearCache();
+    this._useScopeManager(new ScopeManager());
 
-    // First pass: collect declarations
+    // First pass: collect top-level declarations into the global scope
     var declarations = [];
     var classes = [];
     var functions = [];
 
     this._collectDeclarations(ast, declarations, classes, functions);
 
+    // The previous analysis shares the kept nodes, which the reparse moved
+    if (reuse) {
+      this._analysisCache.delete(reuse.source);
+
+      var previousGlobals = describeScope(reuse.analysis.scopeManager.getGlobalScope());
+      if (previousGlobals !== describeScope(this._scopeManager.getGlobalScope())) {
+        reuse = null;
+      }
+    }
+
+    // Second pass: build nested function, class and block scopes.
+    // Types cached so far were inferred against the global scope only.
+    this._inferenceEngine.clearCache();
+
+    var globalScope = this._scopeManager.getGlobalScope();
+    var statementScopes = [];
+
+    this._varScope = globalScope;
+    var firstSuffix = ast.body.length - (reuse ? reuse.suffixCount : 0);
+
+    for (var i = 0; i < ast.body.length; i++) {
+      var kept = null;
+      var delta = 0;
+
+      if (reuse && i < reuse.prefixCount) {
+        kept = reuse.analysis.statementScopes[i];
+      } else if (reuse && i >= firstSuffix) {
+        kept = reuse.analysis.statementScopes[reuse.analysis.statementScopes.length - (ast.body.length - i)];
+        delta = reuse.delta;
+      }
+
+      if (kept) {
+        for (var j = 0; j < kept.length; j++) {
+          this._scopeManager.adoptScope(kept[j], delta);
+        }
+        statementScopes.push(kept);
+      } else {
+        var childCount = globalScope.children.length;
+        this._buildScopes(ast.body[i]);
+        statementScopes.push(globalScope.children.slice(childCount));
+      }
+    }
+
     // Build result
     var result = {
       success: true,
       ast: ast,
+      errors: ast.errors,
       declarations: declarations,
       classes: classes,
-      functions: functions
+      functions: functions,
+      scopeManager: this._scopeManager,
+      // Scopes opened by each top-level statement, for incremental updates
+      statementScopes: statementScopes
     };
 
-    // Cache result
-    this._analysisCache.set(source, result);
-
+    this._cacheAnalysis(source, result);
     return result;
   };
 
+  /**
+   * Make an analysis result the current one, so identifiers resolve
+   * against its scopes
+   * @param {Object} analysis - Result of analyze() or analyzeProgram()
+   * @returns {Object} The analysis
+   */
+  TypeChecker.prototype.activate = function(analysis) {
+    if (analysis.scopeManager) {
+      this._useScopeManager(analysis.scopeManager);
+    }
+    return analysis;
+  };
+
+  /**
+   * Attach the service that tracks the edited document, so analyzing its
+   * current source goes through incremental updates
+   * @param {AnalysisService|null} service - Analysis service
+   */
+  TypeChecker.prototype.setAnalysisService = function(service) {
+    this._analysisService = service;
+  };
+
   /**
    * Infer the type of an expression in context
    * @param {string} expression - Expression string
@@ -193,7 +349,405 @@
     }
 
     // Infer type of the found node
-    return this._inferenceEngine.inferType(node);
+    var self = this;
+    return this._inferAtOffset(offset, function() {
+      return self._inferenceEngine.inferType(node);
+    });
+  };
+
+  /**
+   * Get completion candidates for the identifier being typed at an offset.
+   * After a member access (`obj.pre|`) the candidates are the members of the
+   * object's type; otherwise they are the symbols visible in the enclosing
+   * scope, built-in globals and keywords.
+   * @param {string} source - Source code
+   * @param {number} offset - Cursor offset
+   * @returns {{prefix: string, start: number, isMember: boolean, objectType: Type|null,
+   *   items: Array<{name: string, type: Type|null, kind: string}>}}
+   */
+  TypeChecker.prototype.getCompletionsAtOffset = function(source, offset) {
+    var start = offset;
+    while (start > 0 && isIdentifierChar(source.charAt(start - 1))) {
+      start--;
+    }
+
+    var result = {
+      prefix: source.substring(start, offset),
+      start: start,
+      isMember: source.charAt(start - 1) === '.',
+      objectType: null,
+      items: []
+    };
+
+    var analysis = this.analyze(source);
+    if (!analysis.success) {
+      return result;
+    }
+
+    var self = this;
+
+    if (result.isMember) {
+      var objectText = this._getMemberObjectText(source, start - 1);
+      if (!objectText) {
+        return result;
+      }
+
+      result.objectType = this._inferAtOffset(offset, function(thisType) {
+        return self.inferExpressionType(objectText, { thisType: thisType });
+      });
+      result.items = this.getCompletions(result.objectType);
+      return result;
+    }
+
+    var seen = new Set();
+    var symbols = this._scopeManager.getVisibleSymbolsAtOffset(offset);
+
+    for (var i = 0; i < symbols.length; i++) {
+      var symbol = symbols[i];
+      seen.add(symbol.name);
+      result.items.push({
+        name: symbol.name,
+        type: symbol.type,
+        kind: SymbolKind.toCompletionKind(symbol.kind)
+      });
+    }
+
+    var globals = this._builtinTypes.getGlobalNames();
+    for (var j = 0; j < globals.length; j++) {
+      if (seen.has(globals[j])) continue;
+      seen.add(globals[j]);
+      result.items.push({
+        name: globals[j],
+        type: this._builtinTypes.getGlobalType(globals[j]),
+        kind: 'builtin'
+      });
+    }
+
+    for (var k = 0; k < KEYWORDS.length; k++) {
+      if (seen.has(KEYWORDS[k])) continue;
+      result.items.push({
+        name: KEYWORDS[k],
+        type: null,
+        kind: 'keyword'
+      });
+    }
+
+    return result;
+  };
+
+  /**
+   * Describe the identifier under an offset for hover display: its symbol
+   * kind, inferred type and, for class members, the declaring class.
+   * @param {string} source - Source code
+   * @param {number} offset - Character offset inside or at the end of the identifier
+   * @returns {{name: string, start: number, end: number, kind: string, type: Type,
+   *   declarationKind: string|null, containerName: string|null, isStatic: boolean}|null}
+   */
+  TypeChecker.prototype.getHoverInfo = function(source, offset) {
+    var start = offset;
+    var end = offset;
+    while (start > 0 && isIdentifierChar(source.charAt(start - 1))) {
+      start--;
+    }
+    while (end < source.length && isIdentifierChar(source.charAt(end))) {
+      end++;
+    }
+
+    var name = source.substring(start, end);
+    if (!name || /^[0-9]/.test(name)) {
+      return null;
+    }
+
+    var analysis = this.analyze(source);
+    if (!analysis.success) {
+      return null;
+    }
+
+    var self = this;
+    var info = {
+      name: name,
+      start: start,
+      end: end,
+      kind: null,
+      type: null,
+      declarationKind: null,
+      containerName: null,
+      isStatic: false
+    };
+
+    if (source.charAt(start - 1) === '.') {
+      var objectText = this._getMemberObjectText(source, start - 1);
+      if (!objectText) {
+        return null;
+      }
+
+      var objectType = this._inferAtOffset(start, function(thisType) {
+        return self.inferExpressionType(objectText, { thisType: thisType });
+      });
+      return this._describeMember(info, objectType);
+    }
+
+    var scope = this._scopeManager.getScopeAtOffset(start);
+
+    // Method and field names in a class body are not scope symbols
+    var member = this._findClassMemberAt(analysis.ast, start);
+    if (member) {
+      var classScope = scope.getEnclosingClassScope();
+      if (!classScope || !classScope.classSymbol) {
+        return null;
+      }
+
+      var classType = classScope.classSymbol.type;
+      return this._describeMember(info, member.static ? classType : classType.createInstance());
+    }
+
+    var symbol = scope.resolve(name);
+    if (symbol) {
+      info.kind = symbol.kind;
+      info.type = symbol.type;
+      info.declarationKind = symbol.declarationKind;
+      return info;
+    }
+
+    var globalType = this._builtinTypes.getGlobalType(name);
+    if (globalType) {
+      info.kind = SymbolKind.BUILTIN;
+      info.type = globalType;
+      return info;
+    }
+
+    return null;
+  };
+
+  /**
+   * Find the call whose argument list contains an offset and the index of
+   * the argument being written. Parenthesized groups and array literals
+   * are looked through; blocks and statement boundaries end the search.
+   * @param {string} source - Source code
+   * @param {number} offset - Cursor offset
+   * @returns {{start: number, argumentIndex: number}|null} start is the index of the '('
+   */
+  TypeChecker.prototype.getCallContext = function(source, offset) {
+    var depth = 0;
+    var argumentIndex = 0;
+
+    for (var i = offset - 1; i >= 0; i--) {
+      var ch = source.charAt(i);
+
+      if (ch === ')' || ch === ']' || ch === '}') {
+        depth++;
+      } else if (ch === '(' || ch === '[' || ch === '{') {
+        if (depth > 0) {
+          depth--;
+        } else if (ch === '{') {
+          return null;
+        } else if (ch === '(' && isStatementParen(source, i)) {
+          return null;
+        } else if (ch === '(' && isCallParen(source, i)) {
+          return { start: i, argumentIndex: argumentIndex };
+        } else {
+          // Group or array literal inside an argument
+          argumentIndex = 0;
+        }
+      } else if (depth === 0 && ch === ',') {
+        argumentIndex++;
+      } else if (depth === 0 && ch === ';') {
+        return null;
+      } else if (ch === '"' || ch === "'" || ch === '`') {
+        i = source.lastIndexOf(ch, i - 1);
+        if (i === -1) return null;
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Get the signature of the function being called at an offset, with the
+   * parameter for the argument under the cursor. Callback parameters of array
+   * methods are typed from the array's element type.
+   * @param {string} source - Source code
+   * @param {number} offset - Cursor offset
+   * @returns {{name: string, containerName: string|null, isConstructor: boolean,
+   *   signature: FunctionType, activeParameter: number, start: number}|null}
+   */
+  TypeChecker.prototype.getSignatureHelpAtOffset = function(source, offset) {
+    var context = this.getCallContext(source, offset);
+    if (!context) {
+      return null;
+    }
+
+    var calleeText = this._getMemberObjectText(source, context.start);
+    if (!calleeText) {
+      return null;
+    }
+
+    var analysis = this.analyze(source);
+    if (!analysis.success || analysis.errors.length > 0) {
+      // Most often the arguments being typed are incomplete; the parser
+      // recovers from that, but by dropping the enclosing statement
+      var stripped = this.analyze(removeCallArguments(source, context.start, offset));
+      if (stripped.success && (!analysis.success || stripped.errors.length < analysis.errors.length)) {
+        analysis = stripped;
+      } else if (!analysis.success) {
+        return null;
+      } else {
+        this.analyze(source); // Cached; makes its scopes current again
+      }
+    }
+
+    var self = this;
+    var isConstructor = calleeText.indexOf('new ') === 0 && calleeText.indexOf('(') === -1;
+    var expression = isConstructor ? calleeText.slice(4) : calleeText;
+    var member = /^([\s\S]*?)\??\.([A-Za-z_$][\w$]*)$/.exec(expression);
+    var name = /[A-Za-z_$][\w$]*$/.exec(expression);
+
+    var inferAtCall = function(text) {
+      return self._inferAtOffset(context.start, function(thisType) {
+        return self.inferExpressionType(text, { thisType: thisType });
+      });
+    };
+
+    var result = {
+      name: name ? name[0] : '',
+      containerName: null,
+      isConstructor: isConstructor,
+      signature: null,
+      activeParameter: context.argumentIndex,
+      start: context.start
+    };
+
+    var calleeType;
+    var objectType = null;
+
+    if (member) {
+      objectType = inferAtCall(member[1]);
+      var memberInfo = this._describeMember({ name: member[2], isStatic: false }, objectType);
+      if (!memberInfo) {
+        return null;
+      }
+      calleeType = memberInfo.type;
+      result.containerName = memberInfo.containerName;
+    } else {
+      calleeType = inferAtCall(expression);
+    }
+
+    if (isConstructor) {
+      if (!(calleeType instanceof ClassType)) {
+        return null;
+      }
+      result.containerName = null;
+      result.signature = getConstructorSignature(calleeType);
+    } else if (calleeType && calleeType.kind === TypeKind.FUNCTION) {
+      result.signature = calleeType;
+    } else {
+      return null;
+    }
+
+    if (objectType && objectType.kind === TypeKind.ARRAY) {
+      result.signature = this._instantiateArrayCallback(result.signature, result.name, objectType);
+    }
+
+    // Arguments past a rest parameter all belong to it
+    var params = result.signature.params;
+    var last = params[params.length - 1];
+    if (last && last.rest && result.activeParameter > params.length - 1) {
+      result.activeParameter = params.length - 1;
+    }
+
+    return result;
+  };
+
+  /**
+   * Get the problems found in source code (see DiagnosticProviders)
+   * @param {string} source - Source code
+   * @returns {Array<{start: number, end: number, severity: string, message: string, code: string}>}
+   */
+  TypeChecker.prototype.getDiagnostics = function(source) {
+    var analysis = this.analyze(source);
+    if (!analysis.success) {
+      return [];
+    }
+
+    return DiagnosticProviders.collect(this, analysis, source);
+  };
+
+  /**
+   * Find where the variable, function, class or class member named at an
+   * offset is declared (see SymbolReferences)
+   * @param {string} source - Source code
+   * @param {number} offset - Offset inside or at the end of the name
+   * @returns {{name: string, start: number, end: number}|null}
+   */
+  TypeChecker.prototype.getDefinition = function(source, offset) {
+    var analysis = this.analyze(source);
+    if (!analysis.success) {
+      return null;
+    }
+
+    return SymbolReferences.findDefinition(this, analysis, offset);
+  };
+
+  /**
+   * Find all occurrences of the symbol named at an offset, its declaration
+   * included (see SymbolReferences)
+   * @param {string} source - Source code
+   * @param {number} offset - Offset inside or at the end of the name
+   * @returns {Array<{start: number, end: number, isDefinition: boolean}>|null}
+   */
+  TypeChecker.prototype.getReferences = function(source, offset) {
+    var analysis = this.analyze(source);
+    if (!analysis.success) {
+      return null;
+    }
+
+    return SymbolReferences.findReferences(this, analysis, offset);
+  };
+
+  /**
+   * Find the ranges to replace to rename the symbol named at an offset,
+   * with the text a shorthand needs around the new name (see SymbolReferences)
+   * @param {string} source - Source code
+   * @param {number} offset - Offset inside or at the end of the name
+   * @returns {{name: string, start: number, end: number,
+   *   locations: Array<{start: number, end: number, prefixText: string, suffixText: string}>}|null}
+   */
+  TypeChecker.prototype.getRenameLocations = function(source, offset) {
+    var analysis = this.analyze(source);
+    if (!analysis.success) {
+      return null;
+    }
+
+    return SymbolReferences.findRenameLocations(this, analysis, offset);
+  };
+
+  /**
+   * Get the outline of the classes, functions and top-level variables
+   * declared in source code (see DocumentSymbols)
+   * @param {string} source - Source code
+   * @returns {Array<{name: string, kind: string, detail: string, start: number, end: number,
+   *   nameStart: number, nameEnd: number, children: Array}>}
+   */
+  TypeChecker.prototype.getDocumentSymbols = function(source) {
+    var analysis = this.analyze(source);
+    if (!analysis.success) {
+      return [];
+    }
+
+    return DocumentSymbols.collect(this, analysis, source);
+  };
+
+  /**
+   * Infer the type of a node of the current analysis, in the scope the
+   * node appears in
+   * @param {Node} node - Expression node
+   * @returns {Type}
+   */
+  TypeChecker.prototype.inferNodeType = function(node) {
+    var self = this;
+    return this._inferAtOffset(node.start, function() {
+      return self._inferenceEngine.inferType(node);
+    });
   };
 
   /**
@@ -325,6 +879,95 @@
       var node = ast.body[i];
       this._processDeclaration(node, declarations, classes, functions);
     }
+
+    // Hoisted declarations nested in top-level statements are global too.
+    // They are collected here, with the other globals, because the scopes
+    // of statements an incremental reparse kept are not rebuilt.
+    this._strictCode = isStrictProgram(ast);
+    this._collectHoistedDeclarations(ast.body, declarations, functions, true);
+  };
+
+  /**
+   * Define in the global scope the `var` declarations nested in blocks and
+   * loop heads and, outside strict code, the functions declared in blocks.
+   * Nested functions and classes have their own declarations.
+   * @param {Node|Node[]} node - Node or list of nodes
+   * @param {Array} declarations - Output array for variables
+   * @param {Array} functions - Output array for functions
+   * @param {boolean} [topLevel] - Whether node is the program body, whose
+   *   own declarations were processed already
+   * @private
+   */
+  TypeChecker.prototype._collectHoistedDeclarations = function(node, declarations, functions, topLevel) {
+    if (!node || typeof node !== 'object') return;
+
+    var self = this;
+    var globalScope = this._scopeManager.getGlobalScope();
+
+    if (Array.isArray(node)) {
+      for (var i = 0; i < node.length; i++) {
+        var statement = node[i];
+        var declared = statement && (statement.type === NodeType.VARIABLE_DECLARATION ||
+          statement.type === NodeType.FUNCTION_DECLARATION);
+
+        if (topLevel && declared) continue;
+        this._collectHoistedDeclarations(statement, declarations, functions, false);
+      }
+      return;
+    }
+
+    switch (node.type) {
+      case NodeType.FUNCTION_DECLARATION:
+        if (node.id && !this._strictCode && !globalScope.has(node.id.name)) {
+          this._processFunctionDeclaration(node, functions);
+        }
+        return;
+
+      case NodeType.FUNCTION_EXPRESSION:
+      case NodeType.ARROW_FUNCTION:
+      case NodeType.CLASS_DECLARATION:
+      case NodeType.CLASS_EXPRESSION:
+        return;
+
+      case NodeType.VARIABLE_DECLARATION:
+        if (node.kind !== 'var') return;
+
+        for (var j = 0; j < node.declarations.length; j++) {
+          var decl = node.declarations[j];
+          var initType = decl.init ? this._inferenceEngine.inferType(decl.init) : Type.ANY;
+
+          this._forEachBinding(decl.id, initType, function(name, type, identifier) {
+            if (globalScope.has(name)) return;
+            self._symbolTable.set(name, type);
+            setLocation(self._scopeManager.defineVariable(name, type, 'var'), identifier);
+            declarations.push({ name: name, type: type, kind: 'var', node: decl });
+          });
+        }
+        return;
+
+      case NodeType.FOR_IN_STATEMENT:
+      case NodeType.FOR_OF_STATEMENT:
+        var left = node.left;
+
+        if (left && left.type === NodeType.VARIABLE_DECLARATION && left.kind === 'var') {
+          this._forEachBinding(left.declarations[0].id, this._getIterationType(node), function(name, type, identifier) {
+            if (globalScope.has(name)) return;
+            self._symbolTable.set(name, type);
+            setLocation(self._scopeManager.defineVariable(name, type, 'var'), identifier);
+            declarations.push({ name: name, type: type, kind: 'var', node: left.declarations[0] });
+          });
+          this._collectHoistedDeclarations(node.body, declarations, functions, false);
+          return;
+        }
+        break;
+    }
+
+    for (var key in node) {
+      var value = node[key];
+      if (value && typeof value === 'object' && (Array.isArray(value) || value.type)) {
+        this._collectHoistedDeclarations(value, declarations, functions, false);
+      }
+    }
   };
 
   /**
@@ -351,6 +994,26 @@
         this._processClassDeclaration(node, classes);
         break;
 
+      case NodeType.EXPORT_NAMED_DECLARATION:
+      case NodeType.EXPORT_DEFAULT_DECLARATION:
+        this._processDeclaration(node.declaration, declarations, classes, functions);
+        break;
+
+      case NodeType.IMPORT_DECLARATION:
+        // Other modules are not analyzed; imported bindings are untyped
+        for (var i = 0; i < node.specifiers.length; i++) {
+          var local = node.specifiers[i].local;
+          this._symbolTable.set(local.name, Type.ANY);
+          setLocation(this._scopeManager.defineVariable(local.name, Type.ANY, 'const'), local);
+          declarations.push({
+            name: local.name,
+            type: Type.ANY,
+            kind: 'const',
+            node: node.specifiers[i]
+          });
+        }
+        break;
+
       case NodeType.EXPRESSION_STATEMENT:
         // Check for assignment to undeclared variable
         if (node.expression && node.expression.type === NodeType.ASSIGNMENT_EXPRESSION) {
@@ -358,6 +1021,7 @@
           if (left.type === NodeType.IDENTIFIER && !this._symbolTable.has(left.name)) {
             var type = this._inferenceEngine.inferType(node.expression.right);
             this._symbolTable.set(left.name, type);
+            setLocation(this._scopeManager.defineVariable(left.name, type, 'var'), left);
             declarations.push({
               name: left.name,
               type: type,
@@ -377,17 +1041,21 @@
    * @private
    */
   TypeChecker.prototype._processVariableDeclaration = function(node, declarations) {
+    var self = this;
+
     for (var i = 0; i < node.declarations.length; i++) {
       var decl = node.declarations[i];
-      var name = decl.id.name;
-      var type = decl.init ? this._inferenceEngine.inferType(decl.init) : Type.ANY;
-
-      this._symbolTable.set(name, type);
-      declarations.push({
-        name: name,
-        type: type,
-        kind: node.kind,
-        node: decl
+      var initType = decl.init ? this._inferenceEngine.inferType(decl.init) : Type.ANY;
+
+      this._forEachBinding(decl.id, initType, function(name, type, identifier) {
+        self._symbolTable.set(name, type);
+        setLocation(self._scopeManager.defineVariable(name, type, node.kind), identifier);
+        declarations.push({
+          name: name,
+          type: type,
+          kind: node.kind,
+          node: decl
+        });
       });
     }
   };
@@ -405,6 +1073,7 @@
     var type = this._inferenceEngine.inferType(node);
 
     this._symbolTable.set(name, type);
+    setLocation(this._scopeManager.defineFunction(name, type), node.id);
     functions.push({
       name: name,
       type: type,
@@ -426,6 +1095,7 @@
 
     this._symbolTable.set(name, classType);
     this._classTypes.set(name, classType);
+    setLocation(this._scopeManager.defineClass(name, classType), node.id);
     classes.push({
       name: name,
       type: classType,
@@ -434,11 +1104,485 @@
   };
 
   // ----------------------------------------
-  // AST Navigation
+  // Scope Building
   // ----------------------------------------
 
   /**
-   * Find AST node at a specific offset
+   * Walk nodes and open a scope for every nested function, class and block,
+   * defining the parameters and declarations found inside it
+   * @param {Node|Node[]} node - Node or list of nodes
+   * @private
+   */
+  TypeChecker.prototype._buildScopes = function(node) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      for (var i = 0; i < node.length; i++) {
+        this._buildScopes(node[i]);
+      }
+      return;
+    }
+
+    switch (node.type) {
+      case NodeType.FUNCTION_DECLARATION:
+      case NodeType.FUNCTION_EXPRESSION:
+      case NodeType.ARROW_FUNCTION:
+        this._buildFunctionScope(node, null);
+        return;
+
+      case NodeType.CLASS_DECLARATION:
+      case NodeType.CLASS_EXPRESSION:
+        this._buildClassScope(node);
+        return;
+
+      case NodeType.BLOCK_STATEMENT:
+        this._scopeManager.enterBlockScope(node.start);
+        this._declareStatements(node.body);
+        this._buildScopes(node.body);
+        this._scopeManager.exitScope().setRange(node.start, node.end);
+        return;
+
+      case NodeType.STATIC_BLOCK:
+        // A static block keeps its `var` declarations to itself
+        var outerVarScope = this._varScope;
+        this._varScope = this._scopeManager.enterBlockScope(node.start);
+        this._declareStatements(node.body);
+        this._buildScopes(node.body);
+        this._scopeManager.exitScope().setRange(node.start, node.end);
+        this._varScope = outerVarScope;
+        return;
+
+      case NodeType.FOR_STATEMENT:
+      case NodeType.FOR_IN_STATEMENT:
+      case NodeType.FOR_OF_STATEMENT:
+        this._buildLoopScope(node);
+        return;
+
+      case NodeType.SWITCH_STATEMENT:
+        // All cases share one block scope
+        this._buildScopes(node.discriminant);
+        this._scopeManager.enterBlockScope(node.start);
+        for (var j = 0; j < node.cases.length; j++) {
+          this._declareStatements(node.cases[j].consequent);
+        }
+        this._buildScopes(node.cases);
+        this._scopeManager.exitScope().setRange(node.start, node.end);
+        return;
+
+      case NodeType.CATCH_CLAUSE:
+        this._scopeManager.enterCatchScope(node.start);
+        this._declareBindings(node.param, Type.ANY, 'let');
+        this._buildScopes(node.body);
+        this._scopeManager.exitScope().setRange(node.start, node.end);
+        return;
+
+      case NodeType.CALL_EXPRESSION:
+        this._buildCallScopes(node);
+        return;
+    }
+
+    for (var key in node) {
+      var value = node[key];
+      if (value && typeof value === 'object' && (Array.isArray(value) || value.type)) {
+        this._buildScopes(value);
+      }
+    }
+  };
+
+  /**
+   * Open a function scope with its parameters and body declarations
+   * @param {Node} node - Function node
+   * @param {Array<{name: string, type: Type}>|null} paramTypes - Known parameter types
+   * @private
+   */
+  TypeChecker.prototype._buildFunctionScope = function(node, paramTypes) {
+    var manager = this._scopeManager;
+    var outerVarScope = this._varScope;
+    var outerStrict = this._strictCode;
+
+    if (node.type === NodeType.ARROW_FUNCTION) {
+      this._varScope = manager.enterArrowScope(node.start);
+    } else {
+      this._varScope = manager.enterFunctionScope(node.id ? manager.resolve(node.id.name) : null, node.start);
+    }
+
+    // A named function expression sees its own name
+    if (node.type === NodeType.FUNCTION_EXPRESSION && node.id) {
+      setLocation(manager.defineFunction(node.id.name, this._inferenceEngine.inferType(node)), node.id);
+    }
+
+    for (var i = 0; i < node.params.length; i++) {
+      var param = node.params[i];
+      var type = Type.ANY;
+
+      if (paramTypes && paramTypes[i]) {
+        type = paramTypes[i].type;
+      } else if (param.rest) {
+        type = new ArrayType(Type.ANY);
+      } else if (param.defaultValue) {
+        type = this._inferenceEngine.inferType(param.defaultValue);
+      }
+
+      if (typeof param.name === 'string') {
+        // A simple parameter keeps only its name; a rest parameter ends with it
+        var nameStart = param.rest ? param.end - param.name.length : param.start;
+        setLocation(manager.defineParameter(param.name, type), { start: nameStart, end: nameStart + param.name.length });
+      } else {
+        this._forEachBinding(param.name, type, function(name, bindingType, identifier) {
+          setLocation(manager.defineParameter(name, bindingType), identifier);
+        });
+      }
+      this._buildScopes(param.defaultValue);
+    }
+
+    if (node.body && node.body.type === NodeType.BLOCK_STATEMENT) {
+      this._strictCode = outerStrict || hasUseStrictDirective(node.body.body);
+      this._declareStatements(node.body.body);
+      this._buildScopes(node.body.body);
+    } else {
+      this._buildScopes(node.body);
+    }
+
+    manager.exitScope().setRange(node.start, node.end);
+    this._varScope = outerVarScope;
+    this._strictCode = outerStrict;
+  };
+
+  /**
+   * Open a block scope around a for/for-in/for-of loop holding its
+   * loop variables
+   * @param {Node} node - Loop statement
+   * @private
+   */
+  TypeChecker.prototype._buildLoopScope = function(node) {
+    var manager = this._scopeManager;
+    var head = node.type === NodeType.FOR_STATEMENT ? node.init : node.left;
+
+    if (node.right) {
+      this._buildScopes(node.right);
+    }
+
+    manager.enterBlockScope(node.start);
+
+    if (head && head.type === NodeType.VARIABLE_DECLARATION) {
+      if (node.type === NodeType.FOR_STATEMENT) {
+        this._declareStatements([head]);
+      } else if (head.kind === 'var') {
+        this._declareVarBindings(head.declarations[0].id, this._getIterationType(node));
+      } else {
+        this._declareBindings(head.declarations[0].id, this._getIterationType(node), head.kind);
+      }
+    }
+
+    this._buildScopes(head);
+    this._buildScopes(node.test);
+    this._buildScopes(node.update);
+    this._buildScopes(node.body);
+
+    manager.exitScope().setRange(node.start, node.end);
+  };
+
+  /**
+   * Get the type of the loop variable of a for-in/for-of loop
+   * @param {Node} node - ForInStatement or ForOfStatement
+   * @returns {Type}
+   * @private
+   */
+  TypeChecker.prototype._getIterationType = function(node) {
+    if (node.type === NodeType.FOR_IN_STATEMENT) {
+      return PrimitiveType.STRING;
+    }
+
+    var iterableType = this._inferenceEngine.inferType(node.right);
+    if (iterableType.kind === TypeKind.ARRAY) {
+      return iterableType.elementType;
+    }
+    if (iterableType === PrimitiveType.STRING) {
+      return PrimitiveType.STRING;
+    }
+    return Type.ANY;
+  };
+
+  /**
+   * Open a class scope so methods resolve `this` to the class instance
+   * @param {Node} node - Class node
+   * @private
+   */
+  TypeChecker.prototype._buildClassScope = function(node) {
+    var manager = this._scopeManager;
+    var classSymbol = node.id ? manager.resolve(node.id.name) : null;
+
+    if (!classSymbol || classSymbol.kind !== SymbolKind.CLASS) {
+      var name = node.id ? node.id.name : '(anonymous)';
+      classSymbol = Symbol.createClass(name, this._classBuilder.buildClassType(node));
+      if (node.id) {
+        setLocation(classSymbol, node.id);
+      }
+    }
+
+    this._buildScopes(node.superClass);
+
+    // Class bodies are strict code
+    var outerStrict = this._strictCode;
+    this._strictCode = true;
+
+    manager.enterClassScope(classSymbol, node.start);
+    // A named class expression sees its own name
+    if (node.type === NodeType.CLASS_EXPRESSION && node.id) {
+      manager.define(classSymbol);
+    }
+    this._buildScopes(node.body);
+    manager.exitScope().setRange(node.start, node.end);
+
+    this._strictCode = outerStrict;
+  };
+
+  /**
+   * Build scopes for a call, typing inline callbacks of array methods
+   * from the array's element type
+   * @param {Node} node - CallExpression node
+   * @private
+   */
+  TypeChecker.prototype._buildCallScopes = function(node) {
+    var callee = node.callee;
+    var callbackType = null;
+
+    this._buildScopes(callee);
+
+    if (callee.type === NodeType.MEMBER_EXPRESSION && !callee.computed) {
+      var objectType = this._inferenceEngine.inferType(callee.object);
+      if (objectType.kind === TypeKind.ARRAY) {
+        callbackType = this._inferenceEngine.getCallbackType(callee.property.name, objectType);
+      }
+    }
+
+    for (var i = 0; i < node.arguments.length; i++) {
+      var arg = node.arguments[i];
+      var isCallback = arg.type === NodeType.ARROW_FUNCTION || arg.type === NodeType.FUNCTION_EXPRESSION;
+
+      if (isCallback && callbackType && callbackType.params) {
+        this._buildFunctionScope(arg, callbackType.params);
+      } else {
+        this._buildScopes(arg);
+      }
+    }
+  };
+
+  /**
+   * Define the declarations of a statement list in the current scope.
+   * `var` declarations and, outside strict code, functions declared in a
+   * block go to the enclosing function scope instead.
+   * @param {Node[]} statements - Statements
+   * @private
+   */
+  TypeChecker.prototype._declareStatements = function(statements) {
+    var manager = this._scopeManager;
+
+    for (var i = 0; i < statements.length; i++) {
+      var node = statements[i];
+
+      switch (node.type) {
+        case NodeType.VARIABLE_DECLARATION:
+          for (var j = 0; j < node.declarations.length; j++) {
+            var decl = node.declarations[j];
+            var type = decl.init ? this._inferenceEngine.inferType(decl.init) : Type.ANY;
+
+            if (node.kind === 'var') {
+              this._declareVarBindings(decl.id, type);
+            } else {
+              this._declareBindings(decl.id, type, node.kind);
+            }
+          }
+          break;
+
+        case NodeType.FUNCTION_DECLARATION:
+          if (node.id) {
+            this._declareFunction(node);
+          }
+          break;
+
+        case NodeType.CLASS_DECLARATION:
+          if (node.id) {
+            setLocation(manager.defineClass(node.id.name, this._classBuilder.buildClassType(node)), node.id);
+          }
+          break;
+      }
+    }
+  };
+
+  /**
+   * Define a function declaration. One in a block outside strict code is
+   * also bound in the enclosing function scope, so it is hoisted there
+   * unless that scope has a lexical binding of the same name.
+   * @param {Node} node - FunctionDeclaration node
+   * @private
+   */
+  TypeChecker.prototype._declareFunction = function(node) {
+    var manager = this._scopeManager;
+    var scope = manager.currentScope;
+    var name = node.id.name;
+
+    if (scope !== this._varScope && scope.type === ScopeType.BLOCK && !this._strictCode) {
+      var existing = this._varScope.get(name);
+
+      // Global ones were hoisted while collecting declarations
+      if (this._varScope === manager.getGlobalScope()) {
+        if (existing && existing.location && existing.location.start === node.id.start) return;
+      } else if (!existing || !isLexical(existing)) {
+        setLocation(this._varScope.define(Symbol.createFunction(name, this._inferenceEngine.inferType(node))), node.id);
+        return;
+      }
+    }
+
+    setLocation(manager.defineFunction(name, this._inferenceEngine.inferType(node)), node.id);
+  };
+
+  /**
+   * Define the names bound by a `var` declaration target in the enclosing
+   * function scope. Global ones were hoisted while collecting declarations.
+   * @param {Node|null} target - Identifier or destructuring pattern
+   * @param {Type} type - Type of the value assigned to the target
+   * @private
+   */
+  TypeChecker.prototype._declareVarBindings = function(target, type) {
+    var varScope = this._varScope;
+
+    if (varScope === this._scopeManager.getGlobalScope()) return;
+
+    this._forEachBinding(target, type, function(name, bindingType, identifier) {
+      setLocation(varScope.define(Symbol.createVariable(name, bindingType, 'var')), identifier);
+    });
+  };
+
+  /**
+   * Define every name bound by a declaration target in the current scope
+   * @param {Node|null} target - Identifier or destructuring pattern
+   * @param {Type} type - Type of the value assigned to the target
+   * @param {string} kind - Declaration kind (var, let, const)
+   * @private
+   */
+  TypeChecker.prototype._declareBindings = function(target, type, kind) {
+    var manager = this._scopeManager;
+
+    this._forEachBinding(target, type, function(name, bindingType, identifier) {
+      setLocation(manager.defineVariable(name, bindingType, kind), identifier);
+    });
+  };
+
+  /**
+   * Call back with the name, type and node of every identifier a target binds.
+   * Destructured names take the matching member or element type of the
+   * value when it is known, otherwise the type of their default.
+   * @param {Node|null} target - Identifier or destructuring pattern
+   * @param {Type} type - Type of the value assigned to the target
+   * @param {function(string, Type, Identifier)} callback - Receives name, type and identifier
+   * @private
+   */
+  TypeChecker.prototype._forEachBinding = function(target, type, callback) {
+    if (!target) return;
+
+    switch (target.type) {
+      case NodeType.IDENTIFIER:
+        if (target.name) {
+          callback(target.name, type, target);
+        }
+        break;
+
+      case NodeType.OBJECT_PATTERN:
+        for (var i = 0; i < target.properties.length; i++) {
+          var prop = target.properties[i];
+
+          if (prop.type === NodeType.REST_ELEMENT) {
+            this._forEachBinding(prop.argument, Type.ANY, callback);
+            continue;
+          }
+
+          var memberType = null;
+          if (!prop.computed && prop.key) {
+            var key = prop.key.type === NodeType.IDENTIFIER ? prop.key.name : prop.key.value;
+            memberType = type.getMember(String(key));
+          }
+          this._forEachBinding(prop.value, memberType || Type.ANY, callback);
+        }
+        break;
+
+      case NodeType.ARRAY_PATTERN:
+        var elementType = type.kind === TypeKind.ARRAY ? type.elementType : Type.ANY;
+        for (var j = 0; j < target.elements.length; j++) {
+          var element = target.elements[j];
+          if (element && element.type === NodeType.REST_ELEMENT) {
+            this._forEachBinding(element.argument, new ArrayType(elementType), callback);
+          } else {
+            this._forEachBinding(element, elementType, callback);
+          }
+        }
+        break;
+
+      case NodeType.ASSIGNMENT_PATTERN:
+        if (type === Type.ANY) {
+          type = this._inferenceEngine.inferType(target.right);
+        }
+        this._forEachBinding(target.left, type, callback);
+        break;
+    }
+  };
+
+  /**
+   * Cache an analysis result, evicting the oldest entry
+   * @param {string} source - Analyzed source
+   * @param {Object} result - Analysis result
+   * @private
+   */
+  TypeChecker.prototype._cacheAnalysis = function(source, result) {
+    this._analysisCache.delete(source);
+    if (this._analysisCache.size >= MAX_CACHED_ANALYSES) {
+      this._analysisCache.delete(this._analysisCache.keys().next().value);
+    }
+    this._analysisCache.set(source, result);
+  };
+
+  /**
+   * Make a scope tree the one identifiers resolve against
+   * @param {ScopeManager} scopeManager - Scope manager
+   * @private
+   */
+  TypeChecker.prototype._useScopeManager = function(scopeManager) {
+    this._scopeManager = scopeManager;
+    this._inferenceEngine.setScopeManager(scopeManager);
+  };
+
+  /**
+   * Run an inference with identifiers resolving from the scope at an offset
+   * @param {number} offset - Character offset
+   * @param {function(Type): Type} infer - Receives the `this` type at the offset
+   * @returns {Type}
+   * @private
+   */
+  TypeChecker.prototype._inferAtOffset = function(offset, infer) {
+    var manager = this._scopeManager;
+    var previous = manager.currentScope;
+    var scope = manager.getScopeAtOffset(offset);
+    var thisType = scope.getThisType();
+
+    manager.currentScope = scope;
+    this._inferenceEngine.setThisContext(thisType);
+    // Cached node types may have been inferred from a different scope
+    this._inferenceEngine.clearCache();
+
+    try {
+      return infer(thisType) || Type.ANY;
+    } finally {
+      manager.currentScope = previous;
+      this._inferenceEngine.setThisContext(null);
+    }
+  };
+
+  // ----------------------------------------
+  // AST Navigation
+  // ----------------------------------------
+
+  /**
+   * Find AST node at a specific offset
    * @param {Node} root - Root node
    * @param {number} offset - Character offset
    * @returns {Node|null}
@@ -480,6 +1624,89 @@
     return best;
   };
 
+  /**
+   * Find the class method or field whose (non-computed) name spans an offset
+   * @param {Node} node - Node to search
+   * @param {number} offset - Character offset
+   * @returns {Node|null} MethodDefinition or PropertyDefinition node
+   * @private
+   */
+  TypeChecker.prototype._findClassMemberAt = function(node, offset) {
+    if (!node || typeof node !== 'object') return null;
+
+    if (Array.isArray(node)) {
+      for (var i = 0; i < node.length; i++) {
+        var found = this._findClassMemberAt(node[i], offset);
+        if (found) return found;
+      }
+      return null;
+    }
+
+    if (node.start !== undefined && (offset < node.start || offset > node.end)) {
+      return null;
+    }
+
+    if ((node.type === NodeType.METHOD_DEFINITION || node.type === NodeType.PROPERTY_DEFINITION) &&
+        !node.computed && offset >= node.key.start && offset <= node.key.end) {
+      return node;
+    }
+
+    for (var key in node) {
+      var value = node[key];
+      if (value && typeof value === 'object' && (Array.isArray(value) || value.type)) {
+        var result = this._findClassMemberAt(value, offset);
+        if (result) return result;
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Extract the source text of the object expression before a member dot,
+   * e.g. `items[0].name` for `items[0].name.|`
+   * @param {string} source - Source code
+   * @param {number} dotIndex - Index of the '.'
+   * @returns {string|null}
+   * @private
+   */
+  TypeChecker.prototype._getMemberObjectText = function(source, dotIndex) {
+    var end = dotIndex;
+    if (source.charAt(end - 1) === '?') {
+      end--;
+    }
+
+    var pos = end;
+    while (pos > 0) {
+      var ch = source.charAt(pos - 1);
+
+      if (isIdentifierChar(ch)) {
+        pos--;
+      } else if (ch === '.') {
+        pos -= source.charAt(pos - 2) === '?' ? 2 : 1;
+      } else if (ch === ')' || ch === ']') {
+        pos = findOpeningBracket(source, pos - 1);
+        if (pos === -1) return null;
+      } else if (ch === '"' || ch === "'" || ch === '`') {
+        var quote = source.lastIndexOf(ch, pos - 2);
+        if (quote === -1) return null;
+        pos = quote;
+      } else {
+        break;
+      }
+    }
+
+    var text = source.substring(pos, end).trim();
+    // Nothing to complete on, or a number literal being typed (`1.5`)
+    if (!text || text.charAt(0) === '.' || /^[0-9]/.test(text)) {
+      return null;
+    }
+
+    // Include a preceding `new` so `new Foo().` yields an instance
+    var before = /\bnew\s+$/.exec(source.substring(Math.max(0, pos - 16), pos));
+    return before ? 'new ' + text : text;
+  };
+
   // ----------------------------------------
   // Utility Methods
   // ----------------------------------------
@@ -503,6 +1730,67 @@
     }
   };
 
+  /**
+   * Fill hover info for a member of an object type, naming the class that
+   * declares it when the object is a class or class instance
+   * @param {Object} info - Hover info with the member name
+   * @param {Type} objectType - Type of the object
+   * @returns {Object|null} The info, or null when the member is unknown
+   * @private
+   */
+  TypeChecker.prototype._describeMember = function(info, objectType) {
+    var memberType = objectType ? objectType.getMember(info.name) : null;
+    if (!memberType) {
+      return null;
+    }
+
+    info.type = memberType;
+    info.kind = memberType.kind === TypeKind.FUNCTION ? SymbolKind.METHOD : SymbolKind.PROPERTY;
+
+    var classType = null;
+    if (objectType instanceof InstanceType) {
+      classType = objectType.classType;
+    } else if (objectType instanceof ClassType) {
+      classType = objectType;
+      info.isStatic = true;
+    }
+
+    // Walk up to the class that declares the member
+    while (classType) {
+      var members = info.isStatic ? classType.staticMembers : classType.instanceMembers;
+      if (members.has(info.name)) {
+        info.containerName = classType.name;
+        break;
+      }
+      classType = classType.superClass;
+    }
+
+    return info;
+  };
+
+  /**
+   * Replace the untyped callback parameter of an array method with the
+   * callback type instantiated for the array's element type
+   * @param {FunctionType} signature - Array method type
+   * @param {string} methodName - Array method name
+   * @param {ArrayType} arrayType - Array type
+   * @returns {FunctionType}
+   * @private
+   */
+  TypeChecker.prototype._instantiateArrayCallback = function(signature, methodName, arrayType) {
+    var callbackType = null;
+
+    var params = signature.params.map(function(param) {
+      if (CALLBACK_PARAMETERS.indexOf(param.name) === -1) {
+        return param;
+      }
+      callbackType = callbackType || this.getCallbackType(methodName, arrayType);
+      return { name: param.name, type: callbackType, optional: param.optional, rest: param.rest };
+    }, this);
+
+    return callbackType ? new FunctionType(params, signature.returnType) : signature;
+  };
+
   /**
    * Get type string representation
    * @param {Type} type - Type to stringify
@@ -518,6 +1806,7 @@
    */
   TypeChecker.prototype.clearCache = function() {
     this._analysisCache.clear();
+    this._useScopeManager(new ScopeManager());
     this._symbolTable.clear();
     this._classTypes.clear();
     this._inferenceEngine.clearCache();
@@ -555,6 +1844,190 @@
     return TypeChecker._instance;
   };
 
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Record where a symbol is declared
+   * @param {Symbol} symbol - Defined symbol
+   * @param {{start: number, end: number}} range - Declaring name
+   * @returns {Symbol}
+   */
+  function setLocation(symbol, range) {
+    symbol.location = { start: range.start, end: range.end };
+    return symbol;
+  }
+
+  /**
+   * Check if a symbol is a lexical (let, const or class) binding
+   * @param {Symbol} symbol - Symbol
+   * @returns {boolean}
+   */
+  function isLexical(symbol) {
+    return symbol.kind === SymbolKind.CLASS ||
+      symbol.declarationKind === 'let' || symbol.declarationKind === 'const';
+  }
+
+  /**
+   * Check if a statement list starts with a 'use strict' directive
+   * @param {Node[]} statements - Program or function body
+   * @returns {boolean}
+   */
+  function hasUseStrictDirective(statements) {
+    for (var i = 0; i < statements.length; i++) {
+      var node = statements[i];
+      if (node.type !== NodeType.EXPRESSION_STATEMENT || !node.expression ||
+          node.expression.type !== NodeType.STRING_LITERAL) {
+        return false;
+      }
+      if (node.expression.value === 'use strict') return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check if a program is strict code: a module, or a script with a
+   * 'use strict' directive
+   * @param {Program} ast - Program node
+   * @returns {boolean}
+   */
+  function isStrictProgram(ast) {
+    for (var i = 0; i < ast.body.length; i++) {
+      var type = ast.body[i].type;
+      if (type === NodeType.IMPORT_DECLARATION || type === NodeType.EXPORT_NAMED_DECLARATION ||
+          type === NodeType.EXPORT_DEFAULT_DECLARATION || type === NodeType.EXPORT_ALL_DECLARATION) {
+        return true;
+      }
+    }
+    return hasUseStrictDirective(ast.body);
+  }
+
+  /**
+   * Check if a character can be part of an identifier
+   * @param {string} ch - Character
+   * @returns {boolean}
+   */
+  function isIdentifierChar(ch) {
+    return /[A-Za-z0-9_$]/.test(ch);
+  }
+
+  /**
+   * Find the bracket opening the one at closeIndex
+   * @param {string} source - Source code
+   * @param {number} closeIndex - Index of ')' or ']'
+   * @returns {number} Index of the opening bracket, or -1
+   */
+  function findOpeningBracket(source, closeIndex) {
+    var depth = 0;
+
+    for (var i = closeIndex; i >= 0; i--) {
+      var ch = source.charAt(i);
+      if (ch === ')' || ch === ']' || ch === '}') {
+        depth++;
+      } else if (ch === '(' || ch === '[' || ch === '{') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Check if a '(' opens the arguments of a call: it follows a name, a call
+   * or an index expression that is not a keyword
+   * @param {string} source - Source code
+   * @param {number} parenIndex - Index of '('
+   * @returns {boolean}
+   */
+  function isCallParen(source, parenIndex) {
+    var before = source.substring(Math.max(0, parenIndex - 32), parenIndex);
+    var match = /([A-Za-z0-9_$]+|[)\]])\s*$/.exec(before);
+    if (!match) return false;
+
+    return KEYWORDS.indexOf(match[1]) === -1;
+  }
+
+  /**
+   * Check if a '(' belongs to a statement or declaration header such as
+   * `if (` or `function foo(`, where no signature applies
+   * @param {string} source - Source code
+   * @param {number} parenIndex - Index of '('
+   * @returns {boolean}
+   */
+  function isStatementParen(source, parenIndex) {
+    var before = source.substring(Math.max(0, parenIndex - 64), parenIndex);
+    return /\b(if|for|while|switch|catch|with)\s*$/.test(before) ||
+      /\bfunction\b[\s*]*[A-Za-z0-9_$]*\s*$/.test(before);
+  }
+
+  /**
+   * Drop the argument list of a call so a call being typed still parses:
+   * the text up to the matching ')' is removed, or a ')' is supplied
+   * @param {string} source - Source code
+   * @param {number} parenIndex - Index of the call's '('
+   * @param {number} offset - Cursor offset inside the arguments
+   * @returns {string}
+   */
+  function removeCallArguments(source, parenIndex, offset) {
+    var depth = 0;
+
+    for (var i = offset; i < source.length; i++) {
+      var ch = source.charAt(i);
+      if (ch === '(' || ch === '[' || ch === '{') {
+        depth++;
+      } else if (ch === ')' && depth === 0) {
+        return source.substring(0, parenIndex + 1) + source.substring(i);
+      } else if (ch === ')' || ch === ']' || ch === '}') {
+        if (depth === 0) break;
+        depth--;
+      }
+    }
+
+    return source.substring(0, parenIndex + 1) + ')' + source.substring(offset);
+  }
+
+  /**
+   * Describe the symbols of a scope, including class members, so two
+   * analyses can be checked for identical global declarations
+   * @param {Scope} scope - Scope
+   * @returns {string}
+   */
+  function describeScope(scope) {
+    var parts = [];
+
+    scope.getSymbols().forEach(function(symbol) {
+      var type = symbol.type;
+      parts.push(symbol.name + ':' + symbol.kind + ':' + (type ? type.toString() : ''));
+
+      if (type && type.kind === TypeKind.CLASS) {
+        type.staticMembers.forEach(function(memberType, name) {
+          parts.push('static ' + name + ':' + memberType.toString());
+        });
+        type.instanceMembers.forEach(function(memberType, name) {
+          parts.push(name + ':' + memberType.toString());
+        });
+      }
+    });
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Get the constructor signature of a class, inherited if not declared
+   * @param {ClassType} classType - Class type
+   * @returns {FunctionType}
+   */
+  function getConstructorSignature(classType) {
+    for (var current = classType; current; current = current.superClass) {
+      if (current.getConstructor()) {
+        return current.getConstructor();
+      }
+    }
+    return new FunctionType([], classType.createInstance());
+  }
+
   // ============================================
   // Export
   // ============================================
@@ -12,6 +12,7 @@
   var PrimitiveType = CodeEditor.PrimitiveType;
   var ClassType = CodeEditor.ClassType;
   var FunctionType = CodeEditor.FunctionType;
+  var getNestedStatements = CodeEditor.getNestedStatements;
 
   // ============================================
   // ClassTypeBuilder Class
@@ -250,6 +251,9 @@
         if (expr && expr.type === NodeType.ASSIGNMENT_EXPRESSION) {
           this._processThisAssignment(classType, expr, paramBindings);
         }
+      } else {
+        // Assignments inside if/try/loop bodies
+        this._scanForThisAssignments(classType, getNestedStatements(stmt), paramBindings);
       }
     }
   };
@@ -397,6 +401,7 @@
 
     switch (keyNode.type) {
       case NodeType.IDENTIFIER:
+      case NodeType.PRIVATE_IDENTIFIER:
         return keyNode.name;
       case NodeType.STRING_LITERAL:
         return keyNode.value;
@@ -11,6 +11,7 @@
   var TypeKind = CodeEditor.TypeKind;
   var PrimitiveType = CodeEditor.PrimitiveType;
   var UnionType = CodeEditor.UnionType;
+  var getNestedStatements = CodeEditor.getNestedStatements;
 
   // ============================================
   // ReturnTypeAnalyzer Class
@@ -93,6 +94,37 @@
       case NodeType.VARIABLE_DECLARATION:
         return true;
 
+      case NodeType.IF_STATEMENT:
+        var consequentImplicit = this._collectReturnTypes(node.consequent, returnTypes);
+        var alternateImplicit = this._collectReturnTypes(node.alternate, returnTypes);
+        return consequentImplicit || alternateImplicit;
+
+      case NodeType.FOR_STATEMENT:
+      case NodeType.FOR_IN_STATEMENT:
+      case NodeType.FOR_OF_STATEMENT:
+      case NodeType.WHILE_STATEMENT:
+      case NodeType.DO_WHILE_STATEMENT:
+      case NodeType.WITH_STATEMENT:
+        // The body may run zero times or be left with break
+        this._collectReturnTypes(node.body, returnTypes);
+        return true;
+
+      case NodeType.LABELED_STATEMENT:
+        return this._collectReturnTypes(node.body, returnTypes);
+
+      case NodeType.SWITCH_STATEMENT:
+        this._analyzeBlock(getNestedStatements(node), returnTypes);
+        return true;
+
+      case NodeType.TRY_STATEMENT:
+        var blockImplicit = this._collectReturnTypes(node.block, returnTypes);
+        var handlerImplicit = node.handler ? this._collectReturnTypes(node.handler.body, returnTypes) : false;
+        var finalizerImplicit = node.finalizer ? this._collectReturnTypes(node.finalizer, returnTypes) : true;
+        return (blockImplicit || handlerImplicit) && finalizerImplicit;
+
+      case NodeType.THROW_STATEMENT:
+        return false; // Nothing runs after a throw
+
       default:
         // For unsupported nodes, assume implicit return possible
         return true;
@@ -155,11 +187,10 @@
       return true;
     }
 
-    if (node.type === NodeType.BLOCK_STATEMENT) {
-      for (var i = 0; i < node.body.length; i++) {
-        if (this.hasReturnStatement(node.body[i])) {
-          return true;
-        }
+    var nested = getNestedStatements(node);
+    for (var i = 0; i < nested.length; i++) {
+      if (this.hasReturnStatement(nested[i])) {
+        return true;
       }
     }
 
@@ -191,17 +222,11 @@
       return;
     }
 
-    if (node.type === NodeType.BLOCK_STATEMENT) {
-      for (var i = 0; i < node.body.length; i++) {
-        this._collectReturnStatements(node.body[i], statements);
-      }
-    }
-
-    // Don't descend into nested functions
-    if (node.type === NodeType.FUNCTION_EXPRESSION ||
-        node.type === NodeType.FUNCTION_DECLARATION ||
-        node.type === NodeType.ARROW_FUNCTION) {
-      return;
+    // Nested functions are never compound statements, so their
+    // returns are not collected
+    var nested = getNestedStatements(node);
+    for (var i = 0; i < nested.length; i++) {
+      this._collectReturnStatements(nested[i], statements);
     }
   };
 
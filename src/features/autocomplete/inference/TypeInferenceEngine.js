@@ -20,6 +20,7 @@
   var TypeSubstitution = CodeEditor.TypeSubstitution;
   var ReturnTypeAnalyzer = CodeEditor.ReturnTypeAnalyzer;
   var GenericInference = CodeEditor.GenericInference;
+  var getNestedStatements = CodeEditor.getNestedStatements;
 
   // ============================================
   // TypeInferenceEngine Class
@@ -176,6 +177,9 @@
       case NodeType.TEMPLATE_LITERAL:
         return PrimitiveType.STRING;
 
+      case NodeType.REGEX_LITERAL:
+        return this._inferRegexLiteralType();
+
       case NodeType.ARRAY_LITERAL:
         return this._inferArrayLiteralType(node);
 
@@ -211,6 +215,15 @@
       case NodeType.ASSIGNMENT_EXPRESSION:
         return this.inferType(node.right);
 
+      case NodeType.SEQUENCE_EXPRESSION:
+        return this.inferType(node.expressions[node.expressions.length - 1]);
+
+      case NodeType.UPDATE_EXPRESSION:
+        return PrimitiveType.NUMBER;
+
+      case NodeType.AWAIT_EXPRESSION:
+        return this._inferAwaitType(node);
+
       // Functions
       case NodeType.ARROW_FUNCTION:
       case NodeType.FUNCTION_EXPRESSION:
@@ -231,6 +244,19 @@
   // Literal Type Inference
   // ----------------------------------------
 
+  /**
+   * Infer type of regular expression literal
+   * @returns {Type}
+   * @private
+   */
+  TypeInferenceEngine.prototype._inferRegexLiteralType = function() {
+    var regexpClass = this._builtinTypes ? this._builtinTypes.getGlobalType('RegExp') : null;
+    if (regexpClass && regexpClass.kind === TypeKind.CLASS) {
+      return regexpClass.createInstance();
+    }
+    return Type.ANY;
+  };
+
   /**
    * Infer type of array literal
    * @param {Node} node - ArrayLiteral node
@@ -327,6 +353,7 @@
 
     switch (key.type) {
       case NodeType.IDENTIFIER:
+      case NodeType.PRIVATE_IDENTIFIER:
         return key.name;
       case NodeType.STRING_LITERAL:
         return key.value;
@@ -365,7 +392,7 @@
 
     // Check scope manager
     if (this._scopeManager) {
-      var symbol = this._scopeManager.lookupSymbol(name);
+      var symbol = this._scopeManager.resolve(name);
       if (symbol && symbol.type) {
         return symbol.type;
       }
@@ -673,6 +700,22 @@
     }
   };
 
+  /**
+   * Infer type of await expression. Promise results are not tracked, so
+   * awaiting a promise yields any; other values are returned unchanged.
+   * @param {Node} node - AwaitExpression node
+   * @returns {Type}
+   * @private
+   */
+  TypeInferenceEngine.prototype._inferAwaitType = function(node) {
+    var argumentType = this.inferType(node.argument);
+
+    if (argumentType.kind === TypeKind.INSTANCE && argumentType.classType.name === 'Promise') {
+      return Type.ANY;
+    }
+    return argumentType;
+  };
+
   // ----------------------------------------
   // Conditional Expression Type Inference
   // ----------------------------------------
@@ -719,7 +762,7 @@
       }
 
       params.push({
-        name: typeof param.name === 'string' ? param.name : (param.name ? param.name.name : 'arg'),
+        name: typeof param.name === 'string' ? param.name : (param.name && param.name.name) || 'arg',
         type: paramType,
         optional: !!param.defaultValue,
         rest: param.rest || false
@@ -912,6 +955,9 @@
         if (expr && expr.type === NodeType.ASSIGNMENT_EXPRESSION) {
           this._processThisAssignment(expr, classType);
         }
+      } else {
+        // Assignments inside if/try/loop bodies
+        this._scanForThisAssignments(getNestedStatements(stmt), classType);
       }
     }
   };
@@ -28,7 +28,9 @@
 
     // Identifiers
     IDENTIFIER: 'Identifier',
+    PRIVATE_IDENTIFIER: 'PrivateIdentifier',
     THIS: 'ThisExpression',
+    SUPER: 'Super',
 
     // Expressions
     MEMBER_EXPRESSION: 'MemberExpression',
@@ -36,9 +38,15 @@
     NEW_EXPRESSION: 'NewExpression',
     BINARY_EXPRESSION: 'BinaryExpression',
     UNARY_EXPRESSION: 'UnaryExpression',
+    UPDATE_EXPRESSION: 'UpdateExpression',
     CONDITIONAL_EXPRESSION: 'ConditionalExpression',
     ASSIGNMENT_EXPRESSION: 'AssignmentExpression',
     SEQUENCE_EXPRESSION: 'SequenceExpression',
+    AWAIT_EXPRESSION: 'AwaitExpression',
+    YIELD_EXPRESSION: 'YieldExpression',
+    TAGGED_TEMPLATE_EXPRESSION: 'TaggedTemplateExpression',
+    META_PROPERTY: 'MetaProperty',
+    IMPORT_EXPRESSION: 'ImportExpression',
 
     // Functions
     ARROW_FUNCTION: 'ArrowFunction',
@@ -51,13 +59,46 @@
     CLASS_BODY: 'ClassBody',
     METHOD_DEFINITION: 'MethodDefinition',
     PROPERTY_DEFINITION: 'PropertyDefinition',
+    STATIC_BLOCK: 'StaticBlock',
 
-    // Statements (for basic support)
+    // Statements
     VARIABLE_DECLARATION: 'VariableDeclaration',
     VARIABLE_DECLARATOR: 'VariableDeclarator',
     RETURN_STATEMENT: 'ReturnStatement',
     BLOCK_STATEMENT: 'BlockStatement',
     EXPRESSION_STATEMENT: 'ExpressionStatement',
+    EMPTY_STATEMENT: 'EmptyStatement',
+    IF_STATEMENT: 'IfStatement',
+    FOR_STATEMENT: 'ForStatement',
+    FOR_IN_STATEMENT: 'ForInStatement',
+    FOR_OF_STATEMENT: 'ForOfStatement',
+    WHILE_STATEMENT: 'WhileStatement',
+    DO_WHILE_STATEMENT: 'DoWhileStatement',
+    SWITCH_STATEMENT: 'SwitchStatement',
+    SWITCH_CASE: 'SwitchCase',
+    TRY_STATEMENT: 'TryStatement',
+    CATCH_CLAUSE: 'CatchClause',
+    THROW_STATEMENT: 'ThrowStatement',
+    BREAK_STATEMENT: 'BreakStatement',
+    CONTINUE_STATEMENT: 'ContinueStatement',
+    LABELED_STATEMENT: 'LabeledStatement',
+    DEBUGGER_STATEMENT: 'DebuggerStatement',
+    WITH_STATEMENT: 'WithStatement',
+
+    // Modules
+    IMPORT_DECLARATION: 'ImportDeclaration',
+    IMPORT_SPECIFIER: 'ImportSpecifier',
+    IMPORT_DEFAULT_SPECIFIER: 'ImportDefaultSpecifier',
+    IMPORT_NAMESPACE_SPECIFIER: 'ImportNamespaceSpecifier',
+    EXPORT_NAMED_DECLARATION: 'ExportNamedDeclaration',
+    EXPORT_DEFAULT_DECLARATION: 'ExportDefaultDeclaration',
+    EXPORT_ALL_DECLARATION: 'ExportAllDeclaration',
+    EXPORT_SPECIFIER: 'ExportSpecifier',
+
+    // Patterns
+    OBJECT_PATTERN: 'ObjectPattern',
+    ARRAY_PATTERN: 'ArrayPattern',
+    ASSIGNMENT_PATTERN: 'AssignmentPattern',
 
     // Parameters
     PARAMETER: 'Parameter',
@@ -194,6 +235,23 @@
   TemplateLiteral.prototype = Object.create(Node.prototype);
   TemplateLiteral.prototype.constructor = TemplateLiteral;
 
+  /**
+   * Regular expression literal node
+   * @class
+   * @extends Node
+   * @param {string} pattern - Pattern between the slashes
+   * @param {string} flags - Flags after the closing slash
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function RegexLiteral(pattern, flags, start, end) {
+    Node.call(this, NodeType.REGEX_LITERAL, start, end);
+    this.pattern = pattern;
+    this.flags = flags || '';
+  }
+  RegexLiteral.prototype = Object.create(Node.prototype);
+  RegexLiteral.prototype.constructor = RegexLiteral;
+
   /**
    * Array literal node
    * @class
@@ -266,6 +324,22 @@
   Identifier.prototype = Object.create(Node.prototype);
   Identifier.prototype.constructor = Identifier;
 
+  /**
+   * Private class member name node (#name)
+   * @class
+   * @extends Node
+   * @param {string} name - Name including the leading '#', so it can be
+   *   looked up as a member name like any other key
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function PrivateIdentifier(name, start, end) {
+    Node.call(this, NodeType.PRIVATE_IDENTIFIER, start, end);
+    this.name = name;
+  }
+  PrivateIdentifier.prototype = Object.create(Node.prototype);
+  PrivateIdentifier.prototype.constructor = PrivateIdentifier;
+
   /**
    * This expression node
    * @class
@@ -279,6 +353,19 @@
   ThisExpression.prototype = Object.create(Node.prototype);
   ThisExpression.prototype.constructor = ThisExpression;
 
+  /**
+   * Super node (callee of super() or object of super.x)
+   * @class
+   * @extends Node
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function Super(start, end) {
+    Node.call(this, NodeType.SUPER, start, end);
+  }
+  Super.prototype = Object.create(Node.prototype);
+  Super.prototype.constructor = Super;
+
   // ============================================
   // Expression Nodes
   // ============================================
@@ -378,6 +465,25 @@
   UnaryExpression.prototype = Object.create(Node.prototype);
   UnaryExpression.prototype.constructor = UnaryExpression;
 
+  /**
+   * Update expression node (++x, x--)
+   * @class
+   * @extends Node
+   * @param {string} operator - '++' or '--'
+   * @param {Node} argument - Operand
+   * @param {boolean} prefix - Is prefix operator
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function UpdateExpression(operator, argument, prefix, start, end) {
+    Node.call(this, NodeType.UPDATE_EXPRESSION, start, end);
+    this.operator = operator;
+    this.argument = argument;
+    this.prefix = prefix || false;
+  }
+  UpdateExpression.prototype = Object.create(Node.prototype);
+  UpdateExpression.prototype.constructor = UpdateExpression;
+
   /**
    * Conditional expression node (ternary)
    * @class
@@ -416,6 +522,102 @@
   AssignmentExpression.prototype = Object.create(Node.prototype);
   AssignmentExpression.prototype.constructor = AssignmentExpression;
 
+  /**
+   * Sequence expression node (a, b, c)
+   * @class
+   * @extends Node
+   * @param {Node[]} expressions - Expressions in order
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function SequenceExpression(expressions, start, end) {
+    Node.call(this, NodeType.SEQUENCE_EXPRESSION, start, end);
+    this.expressions = expressions || [];
+  }
+  SequenceExpression.prototype = Object.create(Node.prototype);
+  SequenceExpression.prototype.constructor = SequenceExpression;
+
+  /**
+   * Await expression node
+   * @class
+   * @extends Node
+   * @param {Node} argument - Awaited value
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function AwaitExpression(argument, start, end) {
+    Node.call(this, NodeType.AWAIT_EXPRESSION, start, end);
+    this.argument = argument;
+  }
+  AwaitExpression.prototype = Object.create(Node.prototype);
+  AwaitExpression.prototype.constructor = AwaitExpression;
+
+  /**
+   * Yield expression node
+   * @class
+   * @extends Node
+   * @param {Node} argument - Yielded value (optional)
+   * @param {boolean} delegate - Is yield*
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function YieldExpression(argument, delegate, start, end) {
+    Node.call(this, NodeType.YIELD_EXPRESSION, start, end);
+    this.argument = argument || null;
+    this.delegate = delegate || false;
+  }
+  YieldExpression.prototype = Object.create(Node.prototype);
+  YieldExpression.prototype.constructor = YieldExpression;
+
+  /**
+   * Tagged template expression node (tag`...`)
+   * @class
+   * @extends Node
+   * @param {Node} tag - Tag function
+   * @param {TemplateLiteral} quasi - Template
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function TaggedTemplateExpression(tag, quasi, start, end) {
+    Node.call(this, NodeType.TAGGED_TEMPLATE_EXPRESSION, start, end);
+    this.tag = tag;
+    this.quasi = quasi;
+  }
+  TaggedTemplateExpression.prototype = Object.create(Node.prototype);
+  TaggedTemplateExpression.prototype.constructor = TaggedTemplateExpression;
+
+  /**
+   * Meta property node (new.target, import.meta)
+   * @class
+   * @extends Node
+   * @param {Identifier} meta - 'new' or 'import'
+   * @param {Identifier} property - Property name
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function MetaProperty(meta, property, start, end) {
+    Node.call(this, NodeType.META_PROPERTY, start, end);
+    this.meta = meta;
+    this.property = property;
+  }
+  MetaProperty.prototype = Object.create(Node.prototype);
+  MetaProperty.prototype.constructor = MetaProperty;
+
+  /**
+   * Dynamic import node (import(source))
+   * @class
+   * @extends Node
+   * @param {Node} source - Module specifier expression
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ImportExpression(source, start, end) {
+    Node.call(this, NodeType.IMPORT_EXPRESSION, start, end);
+    this.source = source;
+  }
+  ImportExpression.prototype = Object.create(Node.prototype);
+  ImportExpression.prototype.constructor = ImportExpression;
+
   // ============================================
   // Function Nodes
   // ============================================
@@ -424,7 +626,8 @@
    * Parameter node
    * @class
    * @extends Node
-   * @param {string|Node} name - Parameter name or pattern
+   * @param {string|Node} name - Parameter name, or an ObjectPattern/ArrayPattern
+   *   for a destructured parameter
    * @param {Node} defaultValue - Default value
    * @param {boolean} rest - Is rest parameter
    * @param {number} start - Start position
@@ -595,6 +798,21 @@
   PropertyDefinition.prototype = Object.create(Node.prototype);
   PropertyDefinition.prototype.constructor = PropertyDefinition;
 
+  /**
+   * Static initialization block node (static { ... })
+   * @class
+   * @extends Node
+   * @param {Node[]} body - Statements
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function StaticBlock(body, start, end) {
+    Node.call(this, NodeType.STATIC_BLOCK, start, end);
+    this.body = body || [];
+  }
+  StaticBlock.prototype = Object.create(Node.prototype);
+  StaticBlock.prototype.constructor = StaticBlock;
+
   // ============================================
   // Statement Nodes
   // ============================================
@@ -678,6 +896,497 @@
   ExpressionStatement.prototype = Object.create(Node.prototype);
   ExpressionStatement.prototype.constructor = ExpressionStatement;
 
+  /**
+   * Empty statement node (;)
+   * @class
+   * @extends Node
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function EmptyStatement(start, end) {
+    Node.call(this, NodeType.EMPTY_STATEMENT, start, end);
+  }
+  EmptyStatement.prototype = Object.create(Node.prototype);
+  EmptyStatement.prototype.constructor = EmptyStatement;
+
+  /**
+   * If statement node
+   * @class
+   * @extends Node
+   * @param {Node} test - Condition
+   * @param {Node} consequent - Statement run when true
+   * @param {Node} alternate - Else statement (optional)
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function IfStatement(test, consequent, alternate, start, end) {
+    Node.call(this, NodeType.IF_STATEMENT, start, end);
+    this.test = test;
+    this.consequent = consequent;
+    this.alternate = alternate || null;
+  }
+  IfStatement.prototype = Object.create(Node.prototype);
+  IfStatement.prototype.constructor = IfStatement;
+
+  /**
+   * For statement node (for (init; test; update))
+   * @class
+   * @extends Node
+   * @param {Node} init - VariableDeclaration or expression (optional)
+   * @param {Node} test - Condition (optional)
+   * @param {Node} update - Update expression (optional)
+   * @param {Node} body - Loop body
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ForStatement(init, test, update, body, start, end) {
+    Node.call(this, NodeType.FOR_STATEMENT, start, end);
+    this.init = init || null;
+    this.test = test || null;
+    this.update = update || null;
+    this.body = body;
+  }
+  ForStatement.prototype = Object.create(Node.prototype);
+  ForStatement.prototype.constructor = ForStatement;
+
+  /**
+   * For-in statement node
+   * @class
+   * @extends Node
+   * @param {Node} left - VariableDeclaration or assignment target
+   * @param {Node} right - Object being enumerated
+   * @param {Node} body - Loop body
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ForInStatement(left, right, body, start, end) {
+    Node.call(this, NodeType.FOR_IN_STATEMENT, start, end);
+    this.left = left;
+    this.right = right;
+    this.body = body;
+  }
+  ForInStatement.prototype = Object.create(Node.prototype);
+  ForInStatement.prototype.constructor = ForInStatement;
+
+  /**
+   * For-of statement node
+   * @class
+   * @extends Node
+   * @param {Node} left - VariableDeclaration or assignment target
+   * @param {Node} right - Iterable
+   * @param {Node} body - Loop body
+   * @param {boolean} isAwait - Is for await
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ForOfStatement(left, right, body, isAwait, start, end) {
+    Node.call(this, NodeType.FOR_OF_STATEMENT, start, end);
+    this.left = left;
+    this.right = right;
+    this.body = body;
+    this.await = isAwait || false;
+  }
+  ForOfStatement.prototype = Object.create(Node.prototype);
+  ForOfStatement.prototype.constructor = ForOfStatement;
+
+  /**
+   * While statement node
+   * @class
+   * @extends Node
+   * @param {Node} test - Condition
+   * @param {Node} body - Loop body
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function WhileStatement(test, body, start, end) {
+    Node.call(this, NodeType.WHILE_STATEMENT, start, end);
+    this.test = test;
+    this.body = body;
+  }
+  WhileStatement.prototype = Object.create(Node.prototype);
+  WhileStatement.prototype.constructor = WhileStatement;
+
+  /**
+   * Do-while statement node
+   * @class
+   * @extends Node
+   * @param {Node} body - Loop body
+   * @param {Node} test - Condition
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function DoWhileStatement(body, test, start, end) {
+    Node.call(this, NodeType.DO_WHILE_STATEMENT, start, end);
+    this.body = body;
+    this.test = test;
+  }
+  DoWhileStatement.prototype = Object.create(Node.prototype);
+  DoWhileStatement.prototype.constructor = DoWhileStatement;
+
+  /**
+   * Switch statement node
+   * @class
+   * @extends Node
+   * @param {Node} discriminant - Value being switched on
+   * @param {SwitchCase[]} cases - Cases
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function SwitchStatement(discriminant, cases, start, end) {
+    Node.call(this, NodeType.SWITCH_STATEMENT, start, end);
+    this.discriminant = discriminant;
+    this.cases = cases || [];
+  }
+  SwitchStatement.prototype = Object.create(Node.prototype);
+  SwitchStatement.prototype.constructor = SwitchStatement;
+
+  /**
+   * Switch case node
+   * @class
+   * @extends Node
+   * @param {Node} test - Case value (null for default)
+   * @param {Node[]} consequent - Statements
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function SwitchCase(test, consequent, start, end) {
+    Node.call(this, NodeType.SWITCH_CASE, start, end);
+    this.test = test || null;
+    this.consequent = consequent || [];
+  }
+  SwitchCase.prototype = Object.create(Node.prototype);
+  SwitchCase.prototype.constructor = SwitchCase;
+
+  /**
+   * Try statement node
+   * @class
+   * @extends Node
+   * @param {BlockStatement} block - Protected block
+   * @param {CatchClause} handler - Catch clause (optional)
+   * @param {BlockStatement} finalizer - Finally block (optional)
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function TryStatement(block, handler, finalizer, start, end) {
+    Node.call(this, NodeType.TRY_STATEMENT, start, end);
+    this.block = block;
+    this.handler = handler || null;
+    this.finalizer = finalizer || null;
+  }
+  TryStatement.prototype = Object.create(Node.prototype);
+  TryStatement.prototype.constructor = TryStatement;
+
+  /**
+   * Catch clause node
+   * @class
+   * @extends Node
+   * @param {Node} param - Caught value name/pattern (optional)
+   * @param {BlockStatement} body - Handler block
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function CatchClause(param, body, start, end) {
+    Node.call(this, NodeType.CATCH_CLAUSE, start, end);
+    this.param = param || null;
+    this.body = body;
+  }
+  CatchClause.prototype = Object.create(Node.prototype);
+  CatchClause.prototype.constructor = CatchClause;
+
+  /**
+   * Throw statement node
+   * @class
+   * @extends Node
+   * @param {Node} argument - Thrown value
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ThrowStatement(argument, start, end) {
+    Node.call(this, NodeType.THROW_STATEMENT, start, end);
+    this.argument = argument;
+  }
+  ThrowStatement.prototype = Object.create(Node.prototype);
+  ThrowStatement.prototype.constructor = ThrowStatement;
+
+  /**
+   * Break statement node
+   * @class
+   * @extends Node
+   * @param {Identifier} label - Target label (optional)
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function BreakStatement(label, start, end) {
+    Node.call(this, NodeType.BREAK_STATEMENT, start, end);
+    this.label = label || null;
+  }
+  BreakStatement.prototype = Object.create(Node.prototype);
+  BreakStatement.prototype.constructor = BreakStatement;
+
+  /**
+   * Continue statement node
+   * @class
+   * @extends Node
+   * @param {Identifier} label - Target label (optional)
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ContinueStatement(label, start, end) {
+    Node.call(this, NodeType.CONTINUE_STATEMENT, start, end);
+    this.label = label || null;
+  }
+  ContinueStatement.prototype = Object.create(Node.prototype);
+  ContinueStatement.prototype.constructor = ContinueStatement;
+
+  /**
+   * Labeled statement node
+   * @class
+   * @extends Node
+   * @param {Identifier} label - Label
+   * @param {Node} body - Labeled statement
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function LabeledStatement(label, body, start, end) {
+    Node.call(this, NodeType.LABELED_STATEMENT, start, end);
+    this.label = label;
+    this.body = body;
+  }
+  LabeledStatement.prototype = Object.create(Node.prototype);
+  LabeledStatement.prototype.constructor = LabeledStatement;
+
+  /**
+   * Debugger statement node
+   * @class
+   * @extends Node
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function DebuggerStatement(start, end) {
+    Node.call(this, NodeType.DEBUGGER_STATEMENT, start, end);
+  }
+  DebuggerStatement.prototype = Object.create(Node.prototype);
+  DebuggerStatement.prototype.constructor = DebuggerStatement;
+
+  /**
+   * With statement node
+   * @class
+   * @extends Node
+   * @param {Node} object - Scope object
+   * @param {Node} body - Body statement
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function WithStatement(object, body, start, end) {
+    Node.call(this, NodeType.WITH_STATEMENT, start, end);
+    this.object = object;
+    this.body = body;
+  }
+  WithStatement.prototype = Object.create(Node.prototype);
+  WithStatement.prototype.constructor = WithStatement;
+
+  // ============================================
+  // Module Nodes
+  // ============================================
+
+  /**
+   * Import declaration node
+   * @class
+   * @extends Node
+   * @param {Node[]} specifiers - Import specifiers
+   * @param {StringLiteral} source - Module specifier
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ImportDeclaration(specifiers, source, start, end) {
+    Node.call(this, NodeType.IMPORT_DECLARATION, start, end);
+    this.specifiers = specifiers || [];
+    this.source = source;
+  }
+  ImportDeclaration.prototype = Object.create(Node.prototype);
+  ImportDeclaration.prototype.constructor = ImportDeclaration;
+
+  /**
+   * Named import specifier node ({ imported as local })
+   * @class
+   * @extends Node
+   * @param {Node} imported - Exported name in the module
+   * @param {Identifier} local - Local binding
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ImportSpecifier(imported, local, start, end) {
+    Node.call(this, NodeType.IMPORT_SPECIFIER, start, end);
+    this.imported = imported;
+    this.local = local;
+  }
+  ImportSpecifier.prototype = Object.create(Node.prototype);
+  ImportSpecifier.prototype.constructor = ImportSpecifier;
+
+  /**
+   * Default import specifier node (import local from ...)
+   * @class
+   * @extends Node
+   * @param {Identifier} local - Local binding
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ImportDefaultSpecifier(local, start, end) {
+    Node.call(this, NodeType.IMPORT_DEFAULT_SPECIFIER, start, end);
+    this.local = local;
+  }
+  ImportDefaultSpecifier.prototype = Object.create(Node.prototype);
+  ImportDefaultSpecifier.prototype.constructor = ImportDefaultSpecifier;
+
+  /**
+   * Namespace import specifier node (* as local)
+   * @class
+   * @extends Node
+   * @param {Identifier} local - Local binding
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ImportNamespaceSpecifier(local, start, end) {
+    Node.call(this, NodeType.IMPORT_NAMESPACE_SPECIFIER, start, end);
+    this.local = local;
+  }
+  ImportNamespaceSpecifier.prototype = Object.create(Node.prototype);
+  ImportNamespaceSpecifier.prototype.constructor = ImportNamespaceSpecifier;
+
+  /**
+   * Named export node (export declaration, or export { ... } [from ...])
+   * @class
+   * @extends Node
+   * @param {Node} declaration - Exported declaration (optional)
+   * @param {ExportSpecifier[]} specifiers - Export specifiers
+   * @param {StringLiteral} source - Re-export module specifier (optional)
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ExportNamedDeclaration(declaration, specifiers, source, start, end) {
+    Node.call(this, NodeType.EXPORT_NAMED_DECLARATION, start, end);
+    this.declaration = declaration || null;
+    this.specifiers = specifiers || [];
+    this.source = source || null;
+  }
+  ExportNamedDeclaration.prototype = Object.create(Node.prototype);
+  ExportNamedDeclaration.prototype.constructor = ExportNamedDeclaration;
+
+  /**
+   * Default export node
+   * @class
+   * @extends Node
+   * @param {Node} declaration - Function/class declaration or expression
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ExportDefaultDeclaration(declaration, start, end) {
+    Node.call(this, NodeType.EXPORT_DEFAULT_DECLARATION, start, end);
+    this.declaration = declaration;
+  }
+  ExportDefaultDeclaration.prototype = Object.create(Node.prototype);
+  ExportDefaultDeclaration.prototype.constructor = ExportDefaultDeclaration;
+
+  /**
+   * Re-export-all node (export * [as exported] from ...)
+   * @class
+   * @extends Node
+   * @param {Node} exported - Namespace name (optional)
+   * @param {StringLiteral} source - Module specifier
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ExportAllDeclaration(exported, source, start, end) {
+    Node.call(this, NodeType.EXPORT_ALL_DECLARATION, start, end);
+    this.exported = exported || null;
+    this.source = source;
+  }
+  ExportAllDeclaration.prototype = Object.create(Node.prototype);
+  ExportAllDeclaration.prototype.constructor = ExportAllDeclaration;
+
+  /**
+   * Export specifier node ({ local as exported })
+   * @class
+   * @extends Node
+   * @param {Node} local - Local name
+   * @param {Node} exported - Exported name
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ExportSpecifier(local, exported, start, end) {
+    Node.call(this, NodeType.EXPORT_SPECIFIER, start, end);
+    this.local = local;
+    this.exported = exported;
+  }
+  ExportSpecifier.prototype = Object.create(Node.prototype);
+  ExportSpecifier.prototype.constructor = ExportSpecifier;
+
+  // ============================================
+  // Pattern Nodes
+  // ============================================
+
+  /**
+   * Object destructuring pattern node
+   * @class
+   * @extends Node
+   * @param {Node[]} properties - Property nodes whose values are targets, and RestElements
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ObjectPattern(properties, start, end) {
+    Node.call(this, NodeType.OBJECT_PATTERN, start, end);
+    this.properties = properties || [];
+  }
+  ObjectPattern.prototype = Object.create(Node.prototype);
+  ObjectPattern.prototype.constructor = ObjectPattern;
+
+  /**
+   * Array destructuring pattern node
+   * @class
+   * @extends Node
+   * @param {Node[]} elements - Targets (null for holes)
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function ArrayPattern(elements, start, end) {
+    Node.call(this, NodeType.ARRAY_PATTERN, start, end);
+    this.elements = elements || [];
+  }
+  ArrayPattern.prototype = Object.create(Node.prototype);
+  ArrayPattern.prototype.constructor = ArrayPattern;
+
+  /**
+   * Pattern with a default value (target = value)
+   * @class
+   * @extends Node
+   * @param {Node} left - Target
+   * @param {Node} right - Default value
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function AssignmentPattern(left, right, start, end) {
+    Node.call(this, NodeType.ASSIGNMENT_PATTERN, start, end);
+    this.left = left;
+    this.right = right;
+  }
+  AssignmentPattern.prototype = Object.create(Node.prototype);
+  AssignmentPattern.prototype.constructor = AssignmentPattern;
+
+  /**
+   * Rest element node (...target in a pattern)
+   * @class
+   * @extends Node
+   * @param {Node} argument - Target
+   * @param {number} start - Start position
+   * @param {number} end - End position
+   */
+  function RestElement(argument, start, end) {
+    Node.call(this, NodeType.REST_ELEMENT, start, end);
+    this.argument = argument;
+  }
+  RestElement.prototype = Object.create(Node.prototype);
+  RestElement.prototype.constructor = RestElement;
+
   /**
    * Spread element node
    * @class
@@ -704,10 +1413,112 @@
   function Program(body, start, end) {
     Node.call(this, NodeType.PROGRAM, start, end);
     this.body = body || [];
+
+    /**
+     * Syntax errors recovered from while parsing
+     * @type {Array<{message: string, start: number, end: number}>}
+     */
+    this.errors = [];
   }
   Program.prototype = Object.create(Node.prototype);
   Program.prototype.constructor = Program;
 
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Collect the identifiers a binding target declares, e.g. `a`, `b` and
+   * `rest` for `{ a, b: [b], ...rest }`
+   * @param {Node|string} target - Identifier, pattern, or a plain name
+   * @returns {Identifier[]}
+   */
+  function getBoundIdentifiers(target) {
+    var identifiers = [];
+    collectBoundIdentifiers(target, identifiers);
+    return identifiers;
+  }
+
+  /**
+   * Recursive step of getBoundIdentifiers
+   * @param {Node|string} node - Target
+   * @param {Identifier[]} identifiers - Output array
+   */
+  function collectBoundIdentifiers(node, identifiers) {
+    if (!node) return;
+
+    if (typeof node === 'string') {
+      identifiers.push(new Identifier(node));
+      return;
+    }
+
+    switch (node.type) {
+      case NodeType.IDENTIFIER:
+        if (node.name) identifiers.push(node);
+        break;
+      case NodeType.OBJECT_PATTERN:
+        for (var i = 0; i < node.properties.length; i++) {
+          var prop = node.properties[i];
+          collectBoundIdentifiers(prop.type === NodeType.PROPERTY ? prop.value : prop, identifiers);
+        }
+        break;
+      case NodeType.ARRAY_PATTERN:
+        for (var j = 0; j < node.elements.length; j++) {
+          collectBoundIdentifiers(node.elements[j], identifiers);
+        }
+        break;
+      case NodeType.ASSIGNMENT_PATTERN:
+        collectBoundIdentifiers(node.left, identifiers);
+        break;
+      case NodeType.REST_ELEMENT:
+        collectBoundIdentifiers(node.argument, identifiers);
+        break;
+      case NodeType.PARAMETER:
+        collectBoundIdentifiers(node.name, identifiers);
+        break;
+    }
+  }
+
+  /**
+   * Get the statements nested directly inside a compound statement (the
+   * branches of an if, loop bodies, try/catch/finally blocks, switch cases),
+   * without descending into functions or classes
+   * @param {Node} node - Statement
+   * @returns {Node[]}
+   */
+  function getNestedStatements(node) {
+    if (!node) return [];
+
+    switch (node.type) {
+      case NodeType.BLOCK_STATEMENT:
+      case NodeType.STATIC_BLOCK:
+        return node.body;
+      case NodeType.IF_STATEMENT:
+        return node.alternate ? [node.consequent, node.alternate] : [node.consequent];
+      case NodeType.FOR_STATEMENT:
+      case NodeType.FOR_IN_STATEMENT:
+      case NodeType.FOR_OF_STATEMENT:
+      case NodeType.WHILE_STATEMENT:
+      case NodeType.DO_WHILE_STATEMENT:
+      case NodeType.LABELED_STATEMENT:
+      case NodeType.WITH_STATEMENT:
+        return [node.body];
+      case NodeType.SWITCH_STATEMENT:
+        var statements = [];
+        for (var i = 0; i < node.cases.length; i++) {
+          statements = statements.concat(node.cases[i].consequent);
+        }
+        return statements;
+      case NodeType.TRY_STATEMENT:
+        var blocks = [node.block];
+        if (node.handler) blocks.push(node.handler.body);
+        if (node.finalizer) blocks.push(node.finalizer);
+        return blocks;
+      default:
+        return [];
+    }
+  }
+
   // ============================================
   // Export
   // ============================================
@@ -722,13 +1533,16 @@
   CodeEditor.NullLiteral = NullLiteral;
   CodeEditor.UndefinedLiteral = UndefinedLiteral;
   CodeEditor.TemplateLiteral = TemplateLiteral;
+  CodeEditor.RegexLiteral = RegexLiteral;
   CodeEditor.ArrayLiteral = ArrayLiteral;
   CodeEditor.ObjectLiteral = ObjectLiteral;
   CodeEditor.Property = Property;
 
   // Identifiers
   CodeEditor.Identifier = Identifier;
+  CodeEditor.PrivateIdentifier = PrivateIdentifier;
   CodeEditor.ThisExpression = ThisExpression;
+  CodeEditor.Super = Super;
 
   // Expressions
   CodeEditor.MemberExpression = MemberExpression;
@@ -736,8 +1550,15 @@
   CodeEditor.NewExpression = NewExpression;
   CodeEditor.BinaryExpression = BinaryExpression;
   CodeEditor.UnaryExpression = UnaryExpression;
+  CodeEditor.UpdateExpression = UpdateExpression;
   CodeEditor.ConditionalExpression = ConditionalExpression;
   CodeEditor.AssignmentExpression = AssignmentExpression;
+  CodeEditor.SequenceExpression = SequenceExpression;
+  CodeEditor.AwaitExpression = AwaitExpression;
+  CodeEditor.YieldExpression = YieldExpression;
+  CodeEditor.TaggedTemplateExpression = TaggedTemplateExpression;
+  CodeEditor.MetaProperty = MetaProperty;
+  CodeEditor.ImportExpression = ImportExpression;
 
   // Functions
   CodeEditor.Parameter = Parameter;
@@ -751,6 +1572,7 @@
   CodeEditor.ClassBody = ClassBody;
   CodeEditor.MethodDefinition = MethodDefinition;
   CodeEditor.PropertyDefinition = PropertyDefinition;
+  CodeEditor.StaticBlock = StaticBlock;
 
   // Statements
   CodeEditor.VariableDeclaration = VariableDeclaration;
@@ -758,7 +1580,44 @@
   CodeEditor.ReturnStatement = ReturnStatement;
   CodeEditor.BlockStatement = BlockStatement;
   CodeEditor.ExpressionStatement = ExpressionStatement;
+  CodeEditor.EmptyStatement = EmptyStatement;
+  CodeEditor.IfStatement = IfStatement;
+  CodeEditor.ForStatement = ForStatement;
+  CodeEditor.ForInStatement = ForInStatement;
+  CodeEditor.ForOfStatement = ForOfStatement;
+  CodeEditor.WhileStatement = WhileStatement;
+  CodeEditor.DoWhileStatement = DoWhileStatement;
+  CodeEditor.SwitchStatement = SwitchStatement;
+  CodeEditor.SwitchCase = SwitchCase;
+  CodeEditor.TryStatement = TryStatement;
+  CodeEditor.CatchClause = CatchClause;
+  CodeEditor.ThrowStatement = ThrowStatement;
+  CodeEditor.BreakStatement = BreakStatement;
+  CodeEditor.ContinueStatement = ContinueStatement;
+  CodeEditor.LabeledStatement = LabeledStatement;
+  CodeEditor.DebuggerStatement = DebuggerStatement;
+  CodeEditor.WithStatement = WithStatement;
   CodeEditor.SpreadElement = SpreadElement;
   CodeEditor.Program = Program;
 
+  // Modules
+  CodeEditor.ImportDeclaration = ImportDeclaration;
+  CodeEditor.ImportSpecifier = ImportSpecifier;
+  CodeEditor.ImportDefaultSpecifier = ImportDefaultSpecifier;
+  CodeEditor.ImportNamespaceSpecifier = ImportNamespaceSpecifier;
+  CodeEditor.ExportNamedDeclaration = ExportNamedDeclaration;
+  CodeEditor.ExportDefaultDeclaration = ExportDefaultDeclaration;
+  CodeEditor.ExportAllDeclaration = ExportAllDeclaration;
+  CodeEditor.ExportSpecifier = ExportSpecifier;
+
+  // Patterns
+  CodeEditor.ObjectPattern = ObjectPattern;
+  CodeEditor.ArrayPattern = ArrayPattern;
+  CodeEditor.AssignmentPattern = AssignmentPattern;
+  CodeEditor.RestElement = RestElement;
+
+  // Helpers
+  CodeEditor.getBoundIdentifiers = getBoundIdentifiers;
+  CodeEditor.getNestedStatements = getNestedStatements;
+
 })(window.CodeEditor = window.CodeEditor || {});
@@ -1,6 +1,12 @@
 /**
  * @fileoverview Expression parser for JavaScript code analysis
  * @module features/autocomplete/parser/ExpressionParser
+ *
+ * Parses ES2022 scripts and modules into the nodes of ExpressionNode.
+ * Syntax errors do not abort parsing: the statement (or class member)
+ * containing the error is dropped, the error is recorded on
+ * `Program#errors` and parsing resumes at the next statement, so code
+ * that is being edited still yields declarations for everything else.
  */
 
 (function(CodeEditor) {
@@ -16,19 +22,29 @@
   var BooleanLiteral = CodeEditor.BooleanLiteral;
   var NullLiteral = CodeEditor.NullLiteral;
   var UndefinedLiteral = CodeEditor.UndefinedLiteral;
+  var RegexLiteral = CodeEditor.RegexLiteral;
   var TemplateLiteral = CodeEditor.TemplateLiteral;
   var ArrayLiteral = CodeEditor.ArrayLiteral;
   var ObjectLiteral = CodeEditor.ObjectLiteral;
   var Property = CodeEditor.Property;
   var Identifier = CodeEditor.Identifier;
+  var PrivateIdentifier = CodeEditor.PrivateIdentifier;
   var ThisExpression = CodeEditor.ThisExpression;
+  var Super = CodeEditor.Super;
   var MemberExpression = CodeEditor.MemberExpression;
   var CallExpression = CodeEditor.CallExpression;
   var NewExpression = CodeEditor.NewExpression;
   var BinaryExpression = CodeEditor.BinaryExpression;
   var UnaryExpression = CodeEditor.UnaryExpression;
+  var UpdateExpression = CodeEditor.UpdateExpression;
   var ConditionalExpression = CodeEditor.ConditionalExpression;
   var AssignmentExpression = CodeEditor.AssignmentExpression;
+  var SequenceExpression = CodeEditor.SequenceExpression;
+  var AwaitExpression = CodeEditor.AwaitExpression;
+  var YieldExpression = CodeEditor.YieldExpression;
+  var TaggedTemplateExpression = CodeEditor.TaggedTemplateExpression;
+  var MetaProperty = CodeEditor.MetaProperty;
+  var ImportExpression = CodeEditor.ImportExpression;
   var Parameter = CodeEditor.Parameter;
   var ArrowFunction = CodeEditor.ArrowFunction;
   var FunctionExpression = CodeEditor.FunctionExpression;
@@ -38,20 +54,83 @@
   var ClassBody = CodeEditor.ClassBody;
   var MethodDefinition = CodeEditor.MethodDefinition;
   var PropertyDefinition = CodeEditor.PropertyDefinition;
+  var StaticBlock = CodeEditor.StaticBlock;
   var VariableDeclaration = CodeEditor.VariableDeclaration;
   var VariableDeclarator = CodeEditor.VariableDeclarator;
   var ReturnStatement = CodeEditor.ReturnStatement;
   var BlockStatement = CodeEditor.BlockStatement;
   var ExpressionStatement = CodeEditor.ExpressionStatement;
+  var EmptyStatement = CodeEditor.EmptyStatement;
+  var IfStatement = CodeEditor.IfStatement;
+  var ForStatement = CodeEditor.ForStatement;
+  var ForInStatement = CodeEditor.ForInStatement;
+  var ForOfStatement = CodeEditor.ForOfStatement;
+  var WhileStatement = CodeEditor.WhileStatement;
+  var DoWhileStatement = CodeEditor.DoWhileStatement;
+  var SwitchStatement = CodeEditor.SwitchStatement;
+  var SwitchCase = CodeEditor.SwitchCase;
+  var TryStatement = CodeEditor.TryStatement;
+  var CatchClause = CodeEditor.CatchClause;
+  var ThrowStatement = CodeEditor.ThrowStatement;
+  var BreakStatement = CodeEditor.BreakStatement;
+  var ContinueStatement = CodeEditor.ContinueStatement;
+  var LabeledStatement = CodeEditor.LabeledStatement;
+  var DebuggerStatement = CodeEditor.DebuggerStatement;
+  var WithStatement = CodeEditor.WithStatement;
+  var ImportDeclaration = CodeEditor.ImportDeclaration;
+  var ImportSpecifier = CodeEditor.ImportSpecifier;
+  var ImportDefaultSpecifier = CodeEditor.ImportDefaultSpecifier;
+  var ImportNamespaceSpecifier = CodeEditor.ImportNamespaceSpecifier;
+  var ExportNamedDeclaration = CodeEditor.ExportNamedDeclaration;
+  var ExportDefaultDeclaration = CodeEditor.ExportDefaultDeclaration;
+  var ExportAllDeclaration = CodeEditor.ExportAllDeclaration;
+  var ExportSpecifier = CodeEditor.ExportSpecifier;
+  var ObjectPattern = CodeEditor.ObjectPattern;
+  var ArrayPattern = CodeEditor.ArrayPattern;
+  var AssignmentPattern = CodeEditor.AssignmentPattern;
+  var RestElement = CodeEditor.RestElement;
   var SpreadElement = CodeEditor.SpreadElement;
   var Program = CodeEditor.Program;
 
+  // ============================================
+  // Constants
+  // ============================================
+
+  /**
+   * Keywords that can never be used as identifiers
+   * @type {Set<string>}
+   */
+  var RESERVED_WORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'enum', 'export', 'extends', 'finally', 'for',
+    'function', 'if', 'import', 'in', 'instanceof', 'new', 'return', 'super',
+    'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with'
+  ]);
+
+  /**
+   * Token types of words that are identifiers outside their special position
+   * @type {Set<string>}
+   */
+  var IDENTIFIER_TOKENS = new Set([
+    TokenType.IDENTIFIER, TokenType.GET, TokenType.SET, TokenType.ASYNC,
+    TokenType.STATIC, TokenType.OF, TokenType.CONSTRUCTOR, TokenType.LET
+  ]);
+
+  /**
+   * Keywords that begin a statement; used to resynchronize after an error
+   * @type {Set<string>}
+   */
+  var STATEMENT_KEYWORDS = new Set([
+    'if', 'for', 'while', 'do', 'switch', 'try', 'throw', 'break', 'continue',
+    'debugger', 'with', 'import', 'export'
+  ]);
+
   // ============================================
   // ExpressionParser Class
   // ============================================
 
   /**
-   * Parser for JavaScript expressions and basic statements
+   * Parser for JavaScript programs and expressions
    * @class
    * @param {string} source - Source code to parse
    */
@@ -66,7 +145,28 @@
      * Source code
      * @type {string}
      */
-    this._source = source;
+    this._source = source || '';
+
+    /**
+     * Syntax errors recovered from so far
+     * @type {Array<{message: string, start: number, end: number}>}
+     */
+    this._errors = [];
+
+    /**
+     * Set after an error until a statement parses cleanly, so one mistake
+     * is not reported again for every token skipped after it. Cleared at
+     * every top-level statement, so the errors of one do not depend on
+     * those before it and a partial reparse reports what a full one does.
+     * @type {boolean}
+     */
+    this._recovering = false;
+
+    /**
+     * Whether `in` is excluded from relational operators (for-statement heads)
+     * @type {boolean}
+     */
+    this._noIn = false;
   }
 
   // ----------------------------------------
@@ -75,194 +175,1224 @@
 
   /**
    * Parse the source as a full program
-   * @returns {Program}
+   * @returns {Program} Program whose `errors` lists recovered syntax errors
+   */
+  ExpressionParser.prototype.parseProgram = function() {
+    var body = this._parseStatementList(null);
+
+    var program = new Program(body, 0, this._source.length);
+    program.errors = this._errors;
+    return program;
+  };
+
+  /**
+   * Parse top-level statements from an offset, for reparsing part of a
+   * program. Stops at the end of input, or before a statement that would
+   * start at an offset accepted by `stopAt`.
+   * @param {number} start - Offset of the first statement
+   * @param {function(number): boolean} stopAt - Tests statement start offsets
+   * @returns {{body: Node[], errors: Array<{message: string, start: number, end: number}>, end: number}}
+   *   end is the offset parsing stopped at
+   */
+  ExpressionParser.prototype.parseStatementsFrom = function(start, stopAt) {
+    var body = [];
+    this._tokenizer.reset(start);
+
+    while (!this._tokenizer.isEOF()) {
+      if (body.length > 0 && stopAt(this._tokenizer.peek().start)) {
+        return { body: body, errors: this._errors, end: this._tokenizer.peek().start };
+      }
+
+      var stmt = this._parseTopLevelStatement();
+      if (stmt) {
+        body.push(stmt);
+      }
+    }
+
+    return { body: body, errors: this._errors, end: this._source.length };
+  };
+
+  /**
+   * Parse a single expression
+   * @returns {Node}
+   */
+  ExpressionParser.prototype.parseExpression = function() {
+    return this._parseExpression();
+  };
+
+  /**
+   * Parse a single statement
+   * @returns {Node}
+   */
+  ExpressionParser.prototype.parseStatement = function() {
+    return this._parseStatement();
+  };
+
+  /**
+   * Get the syntax errors recovered from so far
+   * @returns {Array<{message: string, start: number, end: number}>}
+   */
+  ExpressionParser.prototype.getErrors = function() {
+    return this._errors;
+  };
+
+  // ----------------------------------------
+  // Error Recovery
+  // ----------------------------------------
+
+  /**
+   * Parse statements until a terminator token or the end of input
+   * @param {string|null} terminator - Token type ending the list
+   * @returns {Node[]}
+   * @private
+   */
+  ExpressionParser.prototype._parseStatementList = function(terminator) {
+    var body = [];
+    var noIn = this._noIn;
+    this._noIn = false;
+
+    while (!this._tokenizer.isEOF() && !(terminator && this._tokenizer.check(terminator))) {
+      var stmt = terminator ? this._parseWithRecovery(this._parseStatement, this._isStatementStart) :
+        this._parseTopLevelStatement();
+      if (stmt) {
+        body.push(stmt);
+      }
+    }
+
+    this._noIn = noIn;
+    return body;
+  };
+
+  /**
+   * Parse a statement of the program, starting out of recovery
+   * @returns {Node|null} Parsed node, or null after an error
+   * @private
+   */
+  ExpressionParser.prototype._parseTopLevelStatement = function() {
+    this._recovering = false;
+    return this._parseWithRecovery(this._parseStatement, this._isStatementStart);
+  };
+
+  /**
+   * Run a statement-level parse function. A syntax error is recorded and
+   * the input skipped to the next statement boundary instead of aborting.
+   * @param {function(): Node} parse - Parse method
+   * @param {function(Token): boolean} isStart - Whether a token on a new
+   *   line can begin the next statement or member
+   * @returns {Node|null} Parsed node, or null after an error
+   * @private
+   */
+  ExpressionParser.prototype._parseWithRecovery = function(parse, isStart) {
+    var start = this._tokenizer.peek().start;
+    var node = null;
+
+    try {
+      node = parse.call(this);
+    } catch (e) {
+      if (!(e instanceof SyntaxError)) throw e;
+      this._addError(e.message, e.start, e.end);
+      this._synchronize(start, isStart);
+    }
+
+    // Always make progress, even on a token nothing can start with
+    if (!this._tokenizer.isEOF() && this._tokenizer.peek().start === start) {
+      var token = this._tokenizer.next();
+      this._addError('Unexpected token \'' + token.value + '\'', token.start, token.end);
+      return null;
+    }
+
+    if (node) {
+      this._recovering = false;
+    }
+    return node;
+  };
+
+  /**
+   * Skip tokens up to the end of the statement that failed to parse: past
+   * a ';', or up to a '}' closing the enclosing block, or a token starting
+   * a new line that can begin the next statement
+   * @param {number} start - Start offset of the failed statement
+   * @param {function(Token): boolean} isStart - Statement start test
+   * @private
+   */
+  ExpressionParser.prototype._synchronize = function(start, isStart) {
+    var depth = 0;
+
+    while (!this._tokenizer.isEOF()) {
+      var token = this._tokenizer.peek();
+
+      if (depth === 0) {
+        if (token.type === TokenType.RBRACE) return;
+        if (token.start > start && token.newlineBefore && isStart.call(this, token)) return;
+      }
+
+      this._tokenizer.next();
+
+      if (token.type === TokenType.LBRACE) {
+        depth++;
+      } else if (token.type === TokenType.RBRACE) {
+        depth--;
+      } else if (token.type === TokenType.SEMICOLON && depth === 0) {
+        return;
+      }
+    }
+  };
+
+  /**
+   * Record a syntax error
+   * @param {string} message - Error message
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @private
+   */
+  ExpressionParser.prototype._addError = function(message, start, end) {
+    var last = this._errors[this._errors.length - 1];
+    if (this._recovering || (last && last.start === start)) return;
+
+    this._recovering = true;
+    this._errors.push({ message: message, start: start, end: end });
+  };
+
+  /**
+   * Throw a syntax error at a token
+   * @param {string} message - Error message
+   * @param {Token} token - Offending token
+   * @private
+   */
+  ExpressionParser.prototype._raise = function(message, token) {
+    var error = new SyntaxError(message);
+    error.start = token.start;
+    error.end = token.end;
+    throw error;
+  };
+
+  /**
+   * Capture parser state for backtracking
+   * @returns {Object}
+   * @private
+   */
+  ExpressionParser.prototype._mark = function() {
+    return {
+      tokenizer: this._tokenizer.mark(),
+      errorCount: this._errors.length,
+      recovering: this._recovering
+    };
+  };
+
+  /**
+   * Return to a state captured with _mark(), forgetting errors since
+   * @param {Object} mark - Captured state
+   * @private
+   */
+  ExpressionParser.prototype._restore = function(mark) {
+    this._tokenizer.restore(mark.tokenizer);
+    this._errors.length = mark.errorCount;
+    this._recovering = mark.recovering;
+  };
+
+  // ----------------------------------------
+  // Token Helpers
+  // ----------------------------------------
+
+  /**
+   * Check if the next token is a given keyword
+   * @param {string} value - Keyword
+   * @returns {boolean}
+   * @private
+   */
+  ExpressionParser.prototype._checkKeyword = function(value) {
+    var token = this._tokenizer.peek();
+    return token.type === TokenType.KEYWORD && token.value === value;
+  };
+
+  /**
+   * Consume the next token if it is a given keyword
+   * @param {string} value - Keyword
+   * @returns {boolean}
+   * @private
+   */
+  ExpressionParser.prototype._matchKeyword = function(value) {
+    if (this._checkKeyword(value)) {
+      this._tokenizer.next();
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Consume a keyword, throw if the next token is something else
+   * @param {string} value - Keyword
+   * @private
+   */
+  ExpressionParser.prototype._expectKeyword = function(value) {
+    if (!this._matchKeyword(value)) {
+      this._raise('Expected \'' + value + '\'', this._tokenizer.peek());
+    }
+  };
+
+  /**
+   * Consume the next token if it is an identifier with a given name
+   * (contextual keywords such as `as` and `from`)
+   * @param {string} value - Word
+   * @returns {boolean}
+   * @private
+   */
+  ExpressionParser.prototype._matchContextual = function(value) {
+    var token = this._tokenizer.peek();
+    if (token.type === TokenType.IDENTIFIER && token.value === value) {
+      this._tokenizer.next();
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Consume a contextual keyword, throw if the next token is something else
+   * @param {string} value - Word
+   * @private
+   */
+  ExpressionParser.prototype._expectContextual = function(value) {
+    if (!this._matchContextual(value)) {
+      this._raise('Expected \'' + value + '\'', this._tokenizer.peek());
+    }
+  };
+
+  /**
+   * Check if a token can be used as an identifier
+   * @param {Token} token - Token
+   * @returns {boolean}
+   * @private
+   */
+  ExpressionParser.prototype._isIdentifierToken = function(token) {
+    return IDENTIFIER_TOKENS.has(token.type) ||
+      (token.type === TokenType.KEYWORD && !RESERVED_WORDS.has(token.value));
+  };
+
+  /**
+   * Check if a token can begin a statement that is not an expression
+   * @param {Token} token - Token
+   * @returns {boolean}
+   * @private
+   */
+  ExpressionParser.prototype._isStatementStart = function(token) {
+    switch (token.type) {
+      case TokenType.VAR:
+      case TokenType.LET:
+      case TokenType.CONST:
+      case TokenType.FUNCTION:
+      case TokenType.CLASS:
+      case TokenType.RETURN:
+        return true;
+      case TokenType.KEYWORD:
+        return STATEMENT_KEYWORDS.has(token.value);
+      default:
+        return false;
+    }
+  };
+
+  /**
+   * Check if a token can begin a class member
+   * @param {Token} token - Token
+   * @returns {boolean}
+   * @private
+   */
+  ExpressionParser.prototype._isClassMemberStart = function(token) {
+    return this._isIdentifierToken(token) ||
+      token.type === TokenType.PRIVATE_NAME ||
+      token.type === TokenType.STAR ||
+      token.type === TokenType.LBRACKET;
+  };
+
+  /**
+   * Check if the next tokens are `async function` on one line
+   * @returns {boolean}
+   * @private
+   */
+  ExpressionParser.prototype._isAsyncFunctionStart = function() {
+    if (!this._tokenizer.check(TokenType.ASYNC)) return false;
+
+    var mark = this._tokenizer.mark();
+    this._tokenizer.next();
+    var token = this._tokenizer.peek();
+    this._tokenizer.restore(mark);
+
+    return token.type === TokenType.FUNCTION && !token.newlineBefore;
+  };
+
+  /**
+   * Check if a token ends an expression (so an optional operand is absent)
+   * @param {Token} token - Token
+   * @returns {boolean}
+   * @private
+   */
+  ExpressionParser.prototype._isExpressionEnd = function(token) {
+    switch (token.type) {
+      case TokenType.RPAREN:
+      case TokenType.RBRACKET:
+      case TokenType.RBRACE:
+      case TokenType.COMMA:
+      case TokenType.SEMICOLON:
+      case TokenType.COLON:
+      case TokenType.EOF:
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  /**
+   * Consume the '}' closing a block. A block left open at the end of the
+   * input (code being typed) ends with the source.
+   * @returns {number} End offset of the block
+   * @private
+   */
+  ExpressionParser.prototype._parseClosingBrace = function() {
+    var token = this._tokenizer.match(TokenType.RBRACE);
+    if (token) {
+      return token.end;
+    }
+
+    var eof = this._tokenizer.peek();
+    this._addError('\'}\' expected', eof.start, eof.end);
+    return this._source.length;
+  };
+
+  // ----------------------------------------
+  // Statement Parsing
+  // ----------------------------------------
+
+  /**
+   * Parse a statement
+   * @returns {Node}
+   * @private
+   */
+  ExpressionParser.prototype._parseStatement = function() {
+    var token = this._tokenizer.peek();
+
+    switch (token.type) {
+      case TokenType.VAR:
+      case TokenType.LET:
+      case TokenType.CONST:
+        return this._parseVariableDeclaration(false);
+
+      case TokenType.FUNCTION:
+        return this._parseFunctionDeclaration();
+
+      case TokenType.ASYNC:
+        if (this._isAsyncFunctionStart()) {
+          return this._parseFunctionDeclaration();
+        }
+        break;
+
+      case TokenType.CLASS:
+        return this._parseClassDeclaration();
+
+      case TokenType.RETURN:
+        return this._parseReturnStatement();
+
+      case TokenType.LBRACE:
+        return this._parseBlockStatement();
+
+      case TokenType.SEMICOLON:
+        this._tokenizer.next();
+        return new EmptyStatement(token.start, token.end);
+
+      case TokenType.KEYWORD:
+        var keywordStatement = this._parseKeywordStatement(token);
+        if (keywordStatement) {
+          return keywordStatement;
+        }
+        break;
+
+      case TokenType.IDENTIFIER:
+        var labeled = this._tryParseLabeledStatement();
+        if (labeled) {
+          return labeled;
+        }
+        break;
+    }
+
+    return this._parseExpressionStatement();
+  };
+
+  /**
+   * Parse a statement introduced by a keyword token
+   * @param {Token} token - Keyword token
+   * @returns {Node|null} Null when the keyword starts an expression
+   * @private
+   */
+  ExpressionParser.prototype._parseKeywordStatement = function(token) {
+    switch (token.value) {
+      case 'if':
+        return this._parseIfStatement();
+      case 'for':
+        return this._parseForStatement();
+      case 'while':
+        return this._parseWhileStatement();
+      case 'do':
+        return this._parseDoWhileStatement();
+      case 'switch':
+        return this._parseSwitchStatement();
+      case 'try':
+        return this._parseTryStatement();
+      case 'throw':
+        return this._parseThrowStatement();
+      case 'break':
+      case 'continue':
+        return this._parseJumpStatement();
+      case 'debugger':
+        this._tokenizer.next();
+        this._tokenizer.match(TokenType.SEMICOLON);
+        return new DebuggerStatement(token.start, this._tokenizer.getLastTokenEnd());
+      case 'with':
+        return this._parseWithStatement();
+      case 'import':
+        return this._isImportExpression() ? null : this._parseImportDeclaration();
+      case 'export':
+        return this._parseExportDeclaration();
+      default:
+        return null;
+    }
+  };
+
+  /**
+   * Parse variable declaration
+   * @param {boolean} inFor - Declaration is the head of a for statement
+   * @returns {VariableDeclaration}
+   * @private
+   */
+  ExpressionParser.prototype._parseVariableDeclaration = function(inFor) {
+    var start = this._tokenizer.peek().start;
+    var kindToken = this._tokenizer.next();
+    var kind = kindToken.value;
+    var declarations = [];
+
+    do {
+      var declStart = this._tokenizer.peek().start;
+      var id = this._parseBindingTarget();
+
+      var init = null;
+      if (this._tokenizer.match(TokenType.ASSIGN)) {
+        init = this._parseAssignment();
+      }
+
+      declarations.push(new VariableDeclarator(id, init, declStart, this._tokenizer.getLastTokenEnd()));
+    } while (this._tokenizer.match(TokenType.COMMA));
+
+    if (!inFor) {
+      this._tokenizer.match(TokenType.SEMICOLON);
+    }
+
+    return new VariableDeclaration(kind, declarations, start, this._tokenizer.getLastTokenEnd());
+  };
+
+  /**
+   * Parse return statement
+   * @returns {ReturnStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseReturnStatement = function() {
+    var start = this._tokenizer.next().start; // consume 'return'
+
+    var argument = null;
+    var next = this._tokenizer.peek();
+    if (!next.newlineBefore && !this._isExpressionEnd(next)) {
+      argument = this._parseExpression();
+    }
+
+    this._tokenizer.match(TokenType.SEMICOLON);
+
+    return new ReturnStatement(argument, start, this._tokenizer.getLastTokenEnd());
+  };
+
+  /**
+   * Parse block statement
+   * @returns {BlockStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseBlockStatement = function() {
+    var start = this._tokenizer.expect(TokenType.LBRACE).start;
+    var body = this._parseStatementList(TokenType.RBRACE);
+
+    return new BlockStatement(body, start, this._parseClosingBrace());
+  };
+
+  /**
+   * Parse expression statement
+   * @returns {ExpressionStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseExpressionStatement = function() {
+    var start = this._tokenizer.peek().start;
+    var expr = this._parseExpression();
+
+    this._tokenizer.match(TokenType.SEMICOLON);
+
+    return new ExpressionStatement(expr, start, this._tokenizer.getLastTokenEnd());
+  };
+
+  /**
+   * Parse `label: statement` if the next tokens are an identifier and a colon
+   * @returns {LabeledStatement|null}
+   * @private
+   */
+  ExpressionParser.prototype._tryParseLabeledStatement = function() {
+    var mark = this._tokenizer.mark();
+    var label = this._parseIdentifier();
+
+    if (!this._tokenizer.match(TokenType.COLON)) {
+      this._tokenizer.restore(mark);
+      return null;
+    }
+
+    var body = this._parseStatement();
+    return new LabeledStatement(label, body, label.start, this._tokenizer.getLastTokenEnd());
+  };
+
+  /**
+   * Parse if statement
+   * @returns {IfStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseIfStatement = function() {
+    var start = this._tokenizer.next().start; // consume 'if'
+
+    this._tokenizer.expect(TokenType.LPAREN);
+    var test = this._parseExpression();
+    this._tokenizer.expect(TokenType.RPAREN);
+
+    var consequent = this._parseStatement();
+    var alternate = null;
+    if (this._matchKeyword('else')) {
+      alternate = this._parseStatement();
+    }
+
+    return new IfStatement(test, consequent, alternate, start, this._tokenizer.getLastTokenEnd());
+  };
+
+  /**
+   * Parse for, for-in, for-of and for-await statements
+   * @returns {Node}
+   * @private
+   */
+  ExpressionParser.prototype._parseForStatement = function() {
+    var start = this._tokenizer.next().start; // consume 'for'
+    var isAwait = this._matchKeyword('await');
+    var init = null;
+
+    this._tokenizer.expect(TokenType.LPAREN);
+
+    if (!this._tokenizer.check(TokenType.SEMICOLON)) {
+      // `in` in the head separates the operands of a for-in loop
+      this._noIn = true;
+      try {
+        if (this._tokenizer.checkAny([TokenType.VAR, TokenType.LET, TokenType.CONST])) {
+          init = this._parseVariableDeclaration(true);
+        } else {
+          init = this._parseExpression();
+        }
+      } finally {
+        this._noIn = false;
+      }
+
+      if (this._tokenizer.checkAny([TokenType.OF, TokenType.IN])) {
+        var isOf = this._tokenizer.next().type === TokenType.OF;
+        var left = init.type === NodeType.VARIABLE_DECLARATION ? init : this._toAssignmentTarget(init);
+        var right = isOf ? this._parseAssignment() : this._parseExpression();
+        this._tokenizer.expect(TokenType.RPAREN);
+
+        var loopBody = this._parseStatement();
+        var end = this._tokenizer.getLastTokenEnd();
+
+        return isOf
+          ? new ForOfStatement(left, right, loopBody, isAwait, start, end)
+          : new ForInStatement(left, right, loopBody, start, end);
+      }
+    }
+
+    this._tokenizer.expect(TokenType.SEMICOLON);
+    var test = this._tokenizer.check(TokenType.SEMICOLON) ? null : this._parseExpression();
+    this._tokenizer.expect(TokenType.SEMICOLON);
+    var update = this._tokenizer.check(TokenType.RPAREN) ? null : this._parseExpression();
+    this._tokenizer.expect(TokenType.RPAREN);
+
+    var body = this._parseStatement();
+
+    return new ForStatement(init, test, update, body, start, this._tokenizer.getLastTokenEnd());
+  };
+
+  /**
+   * Parse while statement
+   * @returns {WhileStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseWhileStatement = function() {
+    var start = this._tokenizer.next().start; // consume 'while'
+
+    this._tokenizer.expect(TokenType.LPAREN);
+    var test = this._parseExpression();
+    this._tokenizer.expect(TokenType.RPAREN);
+
+    var body = this._parseStatement();
+
+    return new WhileStatement(test, body, start, this._tokenizer.getLastTokenEnd());
+  };
+
+  /**
+   * Parse do-while statement
+   * @returns {DoWhileStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseDoWhileStatement = function() {
+    var start = this._tokenizer.next().start; // consume 'do'
+    var body = this._parseStatement();
+
+    this._expectKeyword('while');
+    this._tokenizer.expect(TokenType.LPAREN);
+    var test = this._parseExpression();
+    this._tokenizer.expect(TokenType.RPAREN);
+    this._tokenizer.match(TokenType.SEMICOLON);
+
+    return new DoWhileStatement(body, test, start, this._tokenizer.getLastTokenEnd());
+  };
+
+  /**
+   * Parse switch statement
+   * @returns {SwitchStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseSwitchStatement = function() {
+    var start = this._tokenizer.next().start; // consume 'switch'
+
+    this._tokenizer.expect(TokenType.LPAREN);
+    var discriminant = this._parseExpression();
+    this._tokenizer.expect(TokenType.RPAREN);
+    this._tokenizer.expect(TokenType.LBRACE);
+
+    var cases = [];
+    while (!this._tokenizer.check(TokenType.RBRACE) && !this._tokenizer.isEOF()) {
+      var caseStart = this._tokenizer.peek().start;
+      var test = null;
+
+      if (this._matchKeyword('case')) {
+        test = this._parseExpression();
+      } else if (!this._matchKeyword('default')) {
+        this._raise('Expected \'case\' or \'default\'', this._tokenizer.peek());
+      }
+      this._tokenizer.expect(TokenType.COLON);
+
+      var consequent = [];
+      while (!this._tokenizer.check(TokenType.RBRACE) && !this._tokenizer.isEOF() &&
+             !this._checkKeyword('case') && !this._checkKeyword('default')) {
+        var stmt = this._parseWithRecovery(this._parseStatement, this._isStatementStart);
+        if (stmt) {
+          consequent.push(stmt);
+        }
+      }
+
+      cases.push(new SwitchCase(test, consequent, caseStart, this._tokenizer.getLastTokenEnd()));
+    }
+
+    return new SwitchStatement(discriminant, cases, start, this._parseClosingBrace());
+  };
+
+  /**
+   * Parse try statement
+   * @returns {TryStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseTryStatement = function() {
+    var start = this._tokenizer.next().start; // consume 'try'
+    var block = this._parseBlockStatement();
+    var handler = null;
+    var finalizer = null;
+
+    if (this._checkKeyword('catch')) {
+      var catchStart = this._tokenizer.next().start;
+      var param = null;
+
+      // The binding is optional: catch { ... }
+      if (this._tokenizer.match(TokenType.LPAREN)) {
+        param = this._parseBindingTarget();
+        this._tokenizer.expect(TokenType.RPAREN);
+      }
+
+      var handlerBody = this._parseBlockStatement();
+      handler = new CatchClause(param, handlerBody, catchStart, this._tokenizer.getLastTokenEnd());
+    }
+
+    if (this._matchKeyword('finally')) {
+      finalizer = this._parseBlockStatement();
+    }
+
+    if (!handler && !finalizer) {
+      var next = this._tokenizer.peek();
+      this._addError('\'catch\' or \'finally\' expected', next.start, next.end);
+    }
+
+    return new TryStatement(block, handler, finalizer, start, this._tokenizer.getLastTokenEnd());
+  };
+
+  /**
+   * Parse throw statement
+   * @returns {ThrowStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseThrowStatement = function() {
+    var start = this._tokenizer.next().start; // consume 'throw'
+    var argument = this._parseExpression();
+
+    this._tokenizer.match(TokenType.SEMICOLON);
+
+    return new ThrowStatement(argument, start, this._tokenizer.getLastTokenEnd());
+  };
+
+  /**
+   * Parse break or continue statement
+   * @returns {BreakStatement|ContinueStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseJumpStatement = function() {
+    var keyword = this._tokenizer.next();
+    var label = null;
+
+    var next = this._tokenizer.peek();
+    if (next.type === TokenType.IDENTIFIER && !next.newlineBefore) {
+      label = this._parseIdentifier();
+    }
+
+    this._tokenizer.match(TokenType.SEMICOLON);
+
+    var end = this._tokenizer.getLastTokenEnd();
+    return keyword.value === 'break'
+      ? new BreakStatement(label, keyword.start, end)
+      : new ContinueStatement(label, keyword.start, end);
+  };
+
+  /**
+   * Parse with statement
+   * @returns {WithStatement}
+   * @private
+   */
+  ExpressionParser.prototype._parseWithStatement = function() {
+    var start = this._tokenizer.next().start; // consume 'with'
+
+    this._tokenizer.expect(TokenType.LPAREN);
+    var object = this._parseExpression();
+    this._tokenizer.expect(TokenType.RPAREN);
+
+    var body = this._parseStatement();
+
+    return new WithStatement(object, body, start, this._tokenizer.getLastTokenEnd());
+  };
+
+  // ----------------------------------------
+  // Module Parsing
+  // ----------------------------------------
+
+  /**
+   * Check if the `import` keyword ahead starts import() or import.meta
+   * @returns {boolean}
+   * @private
+   */
+  ExpressionParser.prototype._isImportExpression = function() {
+    var mark = this._tokenizer.mark();
+    this._tokenizer.next();
+    var isExpression = this._tokenizer.checkAny([TokenType.LPAREN, TokenType.DOT]);
+    this._tokenizer.restore(mark);
+    return isExpression;
+  };
+
+  /**
+   * Parse import declaration
+   * @returns {ImportDeclaration}
+   * @private
    */
-  ExpressionParser.prototype.parseProgram = function() {
-    var start = this._tokenizer.getPosition();
-    var body = [];
+  ExpressionParser.prototype._parseImportDeclaration = function() {
+    var start = this._tokenizer.next().start; // consume 'import'
+    var specifiers = [];
+
+    // import 'module' has no bindings
+    if (!this._tokenizer.check(TokenType.STRING)) {
+      var hasNamedImports = true;
+
+      if (this._isIdentifierToken(this._tokenizer.peek())) {
+        var defaultLocal = this._parseBindingIdentifier();
+        specifiers.push(new ImportDefaultSpecifier(defaultLocal, defaultLocal.start, defaultLocal.end));
+        hasNamedImports = !!this._tokenizer.match(TokenType.COMMA);
+      }
 
-    while (!this._tokenizer.isEOF()) {
-      var stmt = this._parseStatement();
-      if (stmt) {
-        body.push(stmt);
+      if (hasNamedImports) {
+        if (this._tokenizer.check(TokenType.STAR)) {
+          var namespaceStart = this._tokenizer.next().start;
+          this._expectContextual('as');
+          var namespaceLocal = this._parseBindingIdentifier();
+          specifiers.push(new ImportNamespaceSpecifier(namespaceLocal, namespaceStart, namespaceLocal.end));
+        } else {
+          this._tokenizer.expect(TokenType.LBRACE);
+
+          while (!this._tokenizer.check(TokenType.RBRACE) && !this._tokenizer.isEOF()) {
+            var specStart = this._tokenizer.peek().start;
+            var imported = this._parseModuleExportName();
+            var local = this._matchContextual('as') ? this._parseBindingIdentifier() : imported;
+            specifiers.push(new ImportSpecifier(imported, local, specStart, this._tokenizer.getLastTokenEnd()));
+
+            if (!this._tokenizer.match(TokenType.COMMA)) break;
+          }
+
+          this._tokenizer.expect(TokenType.RBRACE);
+        }
       }
+
+      this._expectContextual('from');
     }
 
-    return new Program(body, start, this._tokenizer.getPosition());
+    var source = this._parseModuleSource();
+    this._tokenizer.match(TokenType.SEMICOLON);
+
+    return new ImportDeclaration(specifiers, source, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
-   * Parse a single expression
+   * Parse export declaration
    * @returns {Node}
+   * @private
    */
-  ExpressionParser.prototype.parseExpression = function() {
-    return this._parseAssignment();
+  ExpressionParser.prototype._parseExportDeclaration = function() {
+    var start = this._tokenizer.next().start; // consume 'export'
+    var source = null;
+
+    // export default ...
+    if (this._matchKeyword('default')) {
+      var defaultDeclaration;
+
+      if (this._tokenizer.check(TokenType.FUNCTION) || this._isAsyncFunctionStart()) {
+        defaultDeclaration = this._parseFunctionDeclaration();
+      } else if (this._tokenizer.check(TokenType.CLASS)) {
+        defaultDeclaration = this._parseClassDeclaration();
+      } else {
+        defaultDeclaration = this._parseAssignment();
+        this._tokenizer.match(TokenType.SEMICOLON);
+      }
+
+      return new ExportDefaultDeclaration(defaultDeclaration, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    // export * [as name] from 'module'
+    if (this._tokenizer.match(TokenType.STAR)) {
+      var exported = null;
+      if (this._matchContextual('as')) {
+        exported = this._parseModuleExportName();
+      }
+
+      this._expectContextual('from');
+      source = this._parseModuleSource();
+      this._tokenizer.match(TokenType.SEMICOLON);
+
+      return new ExportAllDeclaration(exported, source, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    // export { a, b as c } [from 'module']
+    if (this._tokenizer.match(TokenType.LBRACE)) {
+      var specifiers = [];
+
+      while (!this._tokenizer.check(TokenType.RBRACE) && !this._tokenizer.isEOF()) {
+        var specStart = this._tokenizer.peek().start;
+        var local = this._parseModuleExportName();
+        var exportedName = this._matchContextual('as') ? this._parseModuleExportName() : local;
+        specifiers.push(new ExportSpecifier(local, exportedName, specStart, this._tokenizer.getLastTokenEnd()));
+
+        if (!this._tokenizer.match(TokenType.COMMA)) break;
+      }
+
+      this._tokenizer.expect(TokenType.RBRACE);
+      if (this._matchContextual('from')) {
+        source = this._parseModuleSource();
+      }
+      this._tokenizer.match(TokenType.SEMICOLON);
+
+      return new ExportNamedDeclaration(null, specifiers, source, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    // export var/let/const/function/class
+    var declarationStarts = [TokenType.VAR, TokenType.LET, TokenType.CONST, TokenType.FUNCTION, TokenType.CLASS];
+    if (!this._tokenizer.checkAny(declarationStarts) && !this._isAsyncFunctionStart()) {
+      this._raise('Declaration or statement expected', this._tokenizer.peek());
+    }
+
+    var declaration = this._parseStatement();
+    return new ExportNamedDeclaration(declaration, [], null, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
-   * Parse expression (internal use)
-   * @returns {Node}
+   * Parse a name in an import/export list, which may be a string
+   * @returns {Identifier|StringLiteral}
    * @private
    */
-  ExpressionParser.prototype._parseExpression = function() {
-    return this._parseAssignment();
+  ExpressionParser.prototype._parseModuleExportName = function() {
+    if (this._tokenizer.check(TokenType.STRING)) {
+      var token = this._tokenizer.next();
+      return new StringLiteral(token.value, token.start, token.end);
+    }
+    return this._parseIdentifier();
   };
 
   /**
-   * Parse a single statement
-   * @returns {Node}
+   * Parse the module specifier string of an import/export
+   * @returns {StringLiteral}
+   * @private
    */
-  ExpressionParser.prototype.parseStatement = function() {
-    return this._parseStatement();
+  ExpressionParser.prototype._parseModuleSource = function() {
+    var token = this._tokenizer.expect(TokenType.STRING, 'Module specifier expected');
+    return new StringLiteral(token.value, token.start, token.end);
   };
 
   // ----------------------------------------
-  // Statement Parsing
+  // Pattern Parsing
   // ----------------------------------------
 
   /**
-   * Parse a statement
+   * Parse a binding target: identifier, object pattern or array pattern
    * @returns {Node}
    * @private
    */
-  ExpressionParser.prototype._parseStatement = function() {
-    var token = this._tokenizer.peek();
-
-    switch (token.type) {
-      case TokenType.VAR:
-      case TokenType.LET:
-      case TokenType.CONST:
-        return this._parseVariableDeclaration();
-
-      case TokenType.FUNCTION:
-        return this._parseFunctionDeclaration();
-
-      case TokenType.ASYNC:
-        return this._parseAsyncFunction();
-
-      case TokenType.CLASS:
-        return this._parseClassDeclaration();
-
-      case TokenType.RETURN:
-        return this._parseReturnStatement();
-
-      case TokenType.LBRACE:
-        return this._parseBlockStatement();
-
-      case TokenType.SEMICOLON:
-        this._tokenizer.next();
-        return null;
-
-      default:
-        return this._parseExpressionStatement();
+  ExpressionParser.prototype._parseBindingTarget = function() {
+    if (this._tokenizer.check(TokenType.LBRACKET)) {
+      return this._parseArrayPattern();
+    }
+    if (this._tokenizer.check(TokenType.LBRACE)) {
+      return this._parseObjectPattern();
     }
+    return this._parseBindingIdentifier();
   };
 
   /**
-   * Parse variable declaration
-   * @returns {VariableDeclaration}
+   * Parse a binding target with an optional default value
+   * @returns {Node}
    * @private
    */
-  ExpressionParser.prototype._parseVariableDeclaration = function() {
-    var start = this._tokenizer.peek().start;
-    var kindToken = this._tokenizer.next();
-    var kind = kindToken.value;
-    var declarations = [];
+  ExpressionParser.prototype._parseBindingElement = function() {
+    var target = this._parseBindingTarget();
 
-    do {
-      var declStart = this._tokenizer.peek().start;
-      var id = this._parseIdentifier();
+    if (this._tokenizer.match(TokenType.ASSIGN)) {
+      var value = this._parseAssignment();
+      return new AssignmentPattern(target, value, target.start, this._tokenizer.getLastTokenEnd());
+    }
 
-      var init = null;
-      if (this._tokenizer.match(TokenType.ASSIGN)) {
-        init = this._parseAssignment();
-      }
+    return target;
+  };
 
-      declarations.push(new VariableDeclarator(id, init, declStart, this._tokenizer.getPosition()));
-    } while (this._tokenizer.match(TokenType.COMMA));
+  /**
+   * Parse an identifier that declares a binding
+   * @returns {Identifier}
+   * @private
+   */
+  ExpressionParser.prototype._parseBindingIdentifier = function() {
+    var token = this._tokenizer.peek();
 
-    this._tokenizer.match(TokenType.SEMICOLON);
+    if (!this._isIdentifierToken(token)) {
+      this._raise('Identifier expected', token);
+    }
 
-    return new VariableDeclaration(kind, declarations, start, this._tokenizer.getPosition());
+    this._tokenizer.next();
+    return new Identifier(token.value, token.start, token.end);
   };
 
   /**
-   * Parse return statement
-   * @returns {ReturnStatement}
+   * Parse array destructuring pattern
+   * @returns {ArrayPattern}
    * @private
    */
-  ExpressionParser.prototype._parseReturnStatement = function() {
-    var start = this._tokenizer.next().start; // consume 'return'
+  ExpressionParser.prototype._parseArrayPattern = function() {
+    var start = this._tokenizer.next().start; // consume '['
+    var elements = [];
 
-    var argument = null;
-    if (!this._tokenizer.check(TokenType.SEMICOLON) &&
-        !this._tokenizer.check(TokenType.RBRACE) &&
-        !this._tokenizer.isEOF()) {
-      argument = this._parseExpression();
+    while (!this._tokenizer.check(TokenType.RBRACKET) && !this._tokenizer.isEOF()) {
+      if (this._tokenizer.match(TokenType.COMMA)) {
+        elements.push(null); // Hole
+        continue;
+      }
+
+      if (this._tokenizer.check(TokenType.SPREAD)) {
+        var restStart = this._tokenizer.next().start;
+        var argument = this._parseBindingTarget();
+        elements.push(new RestElement(argument, restStart, this._tokenizer.getLastTokenEnd()));
+      } else {
+        elements.push(this._parseBindingElement());
+      }
+
+      if (!this._tokenizer.check(TokenType.RBRACKET)) {
+        this._tokenizer.expect(TokenType.COMMA);
+      }
     }
 
-    this._tokenizer.match(TokenType.SEMICOLON);
+    this._tokenizer.expect(TokenType.RBRACKET);
 
-    return new ReturnStatement(argument, start, this._tokenizer.getPosition());
+    return new ArrayPattern(elements, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
-   * Parse block statement
-   * @returns {BlockStatement}
+   * Parse object destructuring pattern
+   * @returns {ObjectPattern}
    * @private
    */
-  ExpressionParser.prototype._parseBlockStatement = function() {
+  ExpressionParser.prototype._parseObjectPattern = function() {
     var start = this._tokenizer.next().start; // consume '{'
-    var body = [];
+    var properties = [];
 
     while (!this._tokenizer.check(TokenType.RBRACE) && !this._tokenizer.isEOF()) {
-      var stmt = this._parseStatement();
-      if (stmt) {
-        body.push(stmt);
+      var propStart = this._tokenizer.peek().start;
+
+      if (this._tokenizer.match(TokenType.SPREAD)) {
+        var argument = this._parseBindingIdentifier();
+        properties.push(new RestElement(argument, propStart, this._tokenizer.getLastTokenEnd()));
+      } else {
+        var key = this._parsePropertyKey();
+        var keyNode = key.key || key;
+        var shorthand = false;
+        var value;
+
+        if (this._tokenizer.match(TokenType.COLON)) {
+          value = this._parseBindingElement();
+        } else {
+          shorthand = true;
+          value = keyNode;
+          if (this._tokenizer.match(TokenType.ASSIGN)) {
+            value = new AssignmentPattern(keyNode, this._parseAssignment(), keyNode.start, this._tokenizer.getLastTokenEnd());
+          }
+        }
+
+        properties.push(new Property(keyNode, value, key.computed || false, shorthand, 'init', propStart, this._tokenizer.getLastTokenEnd()));
+      }
+
+      if (!this._tokenizer.check(TokenType.RBRACE)) {
+        this._tokenizer.expect(TokenType.COMMA);
       }
     }
 
-    this._tokenizer.match(TokenType.RBRACE);
+    this._tokenizer.expect(TokenType.RBRACE);
 
-    return new BlockStatement(body, start, this._tokenizer.getPosition());
+    return new ObjectPattern(properties, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
-   * Parse expression statement
-   * @returns {ExpressionStatement}
+   * Reinterpret an array/object literal on the left of `=` (or in a
+   * for-in/of head) as a destructuring pattern
+   * @param {Node} node - Parsed expression
+   * @returns {Node}
    * @private
    */
-  ExpressionParser.prototype._parseExpressionStatement = function() {
-    var start = this._tokenizer.peek().start;
-    var expr = this._parseExpression();
+  ExpressionParser.prototype._toAssignmentTarget = function(node) {
+    if (!node) return node;
+
+    switch (node.type) {
+      case NodeType.ARRAY_LITERAL:
+        var elements = [];
+        for (var i = 0; i < node.elements.length; i++) {
+          var element = node.elements[i];
+          if (element && element.type === NodeType.SPREAD_ELEMENT) {
+            elements.push(new RestElement(this._toAssignmentTarget(element.argument), element.start, element.end));
+          } else {
+            elements.push(element ? this._toAssignmentTarget(element) : null);
+          }
+        }
+        return new ArrayPattern(elements, node.start, node.end);
+
+      case NodeType.OBJECT_LITERAL:
+        var properties = [];
+        for (var j = 0; j < node.properties.length; j++) {
+          var prop = node.properties[j];
+          if (!prop.key && prop.value && prop.value.type === NodeType.SPREAD_ELEMENT) {
+            properties.push(new RestElement(this._toAssignmentTarget(prop.value.argument), prop.start, prop.end));
+          } else {
+            properties.push(new Property(prop.key, this._toAssignmentTarget(prop.value), prop.computed,
+              prop.shorthand, 'init', prop.start, prop.end));
+          }
+        }
+        return new ObjectPattern(properties, node.start, node.end);
 
-    this._tokenizer.match(TokenType.SEMICOLON);
+      case NodeType.ASSIGNMENT_EXPRESSION:
+        if (node.operator === '=') {
+          return new AssignmentPattern(this._toAssignmentTarget(node.left), node.right, node.start, node.end);
+        }
+        return node;
 
-    return new ExpressionStatement(expr, start, this._tokenizer.getPosition());
+      default:
+        return node;
+    }
   };
 
   // ----------------------------------------
   // Expression Parsing
   // ----------------------------------------
 
+  /**
+   * Parse expression, including comma-separated sequences
+   * @returns {Node}
+   * @private
+   */
+  ExpressionParser.prototype._parseExpression = function() {
+    var start = this._tokenizer.peek().start;
+    var expr = this._parseAssignment();
+
+    if (!this._tokenizer.check(TokenType.COMMA)) {
+      return expr;
+    }
+
+    var expressions = [expr];
+    while (this._tokenizer.match(TokenType.COMMA)) {
+      expressions.push(this._parseAssignment());
+    }
+
+    return new SequenceExpression(expressions, start, this._tokenizer.getLastTokenEnd());
+  };
+
   /**
    * Parse assignment expression
    * @returns {Node}
    * @private
    */
   ExpressionParser.prototype._parseAssignment = function() {
+    if (this._checkKeyword('yield')) {
+      return this._parseYieldExpression();
+    }
+
     var start = this._tokenizer.peek().start;
     var left = this._parseConditional();
 
-    if (this._tokenizer.checkAny([TokenType.ASSIGN, TokenType.PLUS_ASSIGN, TokenType.MINUS_ASSIGN])) {
+    if (this._tokenizer.checkAny([TokenType.ASSIGN, TokenType.PLUS_ASSIGN, TokenType.MINUS_ASSIGN, TokenType.COMPOUND_ASSIGN])) {
       var op = this._tokenizer.next().value;
+      if (op === '=') {
+        left = this._toAssignmentTarget(left);
+      }
       var right = this._parseAssignment();
-      return new AssignmentExpression(op, left, right, start, this._tokenizer.getPosition());
+      return new AssignmentExpression(op, left, right, start, this._tokenizer.getLastTokenEnd());
     }
 
     return left;
   };
 
+  /**
+   * Parse yield expression
+   * @returns {YieldExpression}
+   * @private
+   */
+  ExpressionParser.prototype._parseYieldExpression = function() {
+    var start = this._tokenizer.next().start; // consume 'yield'
+    var delegate = false;
+    var argument = null;
+
+    var next = this._tokenizer.peek();
+    if (!next.newlineBefore) {
+      delegate = !!this._tokenizer.match(TokenType.STAR);
+      if (delegate || !this._isExpressionEnd(next)) {
+        argument = this._parseAssignment();
+      }
+    }
+
+    return new YieldExpression(argument, delegate, start, this._tokenizer.getLastTokenEnd());
+  };
+
   /**
    * Parse conditional (ternary) expression
    * @returns {Node}
@@ -276,7 +1406,7 @@
       var consequent = this._parseAssignment();
       this._tokenizer.expect(TokenType.COLON);
       var alternate = this._parseAssignment();
-      return new ConditionalExpression(test, consequent, alternate, start, this._tokenizer.getPosition());
+      return new ConditionalExpression(test, consequent, alternate, start, this._tokenizer.getLastTokenEnd());
     }
 
     return test;
@@ -294,7 +1424,7 @@
     while (this._tokenizer.checkAny([TokenType.OR, TokenType.NULLISH])) {
       var op = this._tokenizer.next().value;
       var right = this._parseLogicalAnd();
-      left = new BinaryExpression(op, left, right, start, this._tokenizer.getPosition());
+      left = new BinaryExpression(op, left, right, start, this._tokenizer.getLastTokenEnd());
     }
 
     return left;
@@ -307,11 +1437,62 @@
    */
   ExpressionParser.prototype._parseLogicalAnd = function() {
     var start = this._tokenizer.peek().start;
-    var left = this._parseEquality();
+    var left = this._parseBitwiseOr();
 
     while (this._tokenizer.match(TokenType.AND)) {
+      var right = this._parseBitwiseOr();
+      left = new BinaryExpression('&&', left, right, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    return left;
+  };
+
+  /**
+   * Parse bitwise OR expression
+   * @returns {Node}
+   * @private
+   */
+  ExpressionParser.prototype._parseBitwiseOr = function() {
+    var start = this._tokenizer.peek().start;
+    var left = this._parseBitwiseXor();
+
+    while (this._tokenizer.match(TokenType.BIT_OR)) {
+      var right = this._parseBitwiseXor();
+      left = new BinaryExpression('|', left, right, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    return left;
+  };
+
+  /**
+   * Parse bitwise XOR expression
+   * @returns {Node}
+   * @private
+   */
+  ExpressionParser.prototype._parseBitwiseXor = function() {
+    var start = this._tokenizer.peek().start;
+    var left = this._parseBitwiseAnd();
+
+    while (this._tokenizer.match(TokenType.BIT_XOR)) {
+      var right = this._parseBitwiseAnd();
+      left = new BinaryExpression('^', left, right, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    return left;
+  };
+
+  /**
+   * Parse bitwise AND expression
+   * @returns {Node}
+   * @private
+   */
+  ExpressionParser.prototype._parseBitwiseAnd = function() {
+    var start = this._tokenizer.peek().start;
+    var left = this._parseEquality();
+
+    while (this._tokenizer.match(TokenType.BIT_AND)) {
       var right = this._parseEquality();
-      left = new BinaryExpression('&&', left, right, start, this._tokenizer.getPosition());
+      left = new BinaryExpression('&', left, right, start, this._tokenizer.getLastTokenEnd());
     }
 
     return left;
@@ -329,7 +1510,7 @@
     while (this._tokenizer.checkAny([TokenType.EQ, TokenType.NEQ, TokenType.STRICT_EQ, TokenType.STRICT_NEQ])) {
       var op = this._tokenizer.next().value;
       var right = this._parseComparison();
-      left = new BinaryExpression(op, left, right, start, this._tokenizer.getPosition());
+      left = new BinaryExpression(op, left, right, start, this._tokenizer.getLastTokenEnd());
     }
 
     return left;
@@ -341,13 +1522,32 @@
    * @private
    */
   ExpressionParser.prototype._parseComparison = function() {
+    var start = this._tokenizer.peek().start;
+    var left = this._parseShift();
+
+    while (this._tokenizer.checkAny([TokenType.LT, TokenType.GT, TokenType.LTE, TokenType.GTE, TokenType.INSTANCEOF]) ||
+           (!this._noIn && this._tokenizer.check(TokenType.IN))) {
+      var op = this._tokenizer.next().value;
+      var right = this._parseShift();
+      left = new BinaryExpression(op, left, right, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    return left;
+  };
+
+  /**
+   * Parse shift expression
+   * @returns {Node}
+   * @private
+   */
+  ExpressionParser.prototype._parseShift = function() {
     var start = this._tokenizer.peek().start;
     var left = this._parseAdditive();
 
-    while (this._tokenizer.checkAny([TokenType.LT, TokenType.GT, TokenType.LTE, TokenType.GTE, TokenType.INSTANCEOF, TokenType.IN])) {
+    while (this._tokenizer.checkAny([TokenType.LEFT_SHIFT, TokenType.RIGHT_SHIFT, TokenType.UNSIGNED_RIGHT_SHIFT])) {
       var op = this._tokenizer.next().value;
       var right = this._parseAdditive();
-      left = new BinaryExpression(op, left, right, start, this._tokenizer.getPosition());
+      left = new BinaryExpression(op, left, right, start, this._tokenizer.getLastTokenEnd());
     }
 
     return left;
@@ -365,7 +1565,7 @@
     while (this._tokenizer.checkAny([TokenType.PLUS, TokenType.MINUS])) {
       var op = this._tokenizer.next().value;
       var right = this._parseMultiplicative();
-      left = new BinaryExpression(op, left, right, start, this._tokenizer.getPosition());
+      left = new BinaryExpression(op, left, right, start, this._tokenizer.getLastTokenEnd());
     }
 
     return left;
@@ -378,12 +1578,29 @@
    */
   ExpressionParser.prototype._parseMultiplicative = function() {
     var start = this._tokenizer.peek().start;
-    var left = this._parseUnary();
+    var left = this._parseExponent();
 
     while (this._tokenizer.checkAny([TokenType.STAR, TokenType.SLASH, TokenType.PERCENT])) {
       var op = this._tokenizer.next().value;
-      var right = this._parseUnary();
-      left = new BinaryExpression(op, left, right, start, this._tokenizer.getPosition());
+      var right = this._parseExponent();
+      left = new BinaryExpression(op, left, right, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    return left;
+  };
+
+  /**
+   * Parse exponentiation expression (right-associative)
+   * @returns {Node}
+   * @private
+   */
+  ExpressionParser.prototype._parseExponent = function() {
+    var start = this._tokenizer.peek().start;
+    var left = this._parseUnary();
+
+    if (this._tokenizer.match(TokenType.POWER)) {
+      var right = this._parseExponent();
+      return new BinaryExpression('**', left, right, start, this._tokenizer.getLastTokenEnd());
     }
 
     return left;
@@ -395,36 +1612,73 @@
    * @private
    */
   ExpressionParser.prototype._parseUnary = function() {
-    if (this._tokenizer.checkAny([TokenType.NOT, TokenType.MINUS, TokenType.PLUS, TokenType.TYPEOF])) {
-      var start = this._tokenizer.peek().start;
-      var op = this._tokenizer.next().value;
-      var argument = this._parseUnary();
-      return new UnaryExpression(op, argument, true, start, this._tokenizer.getPosition());
+    var token = this._tokenizer.peek();
+    var start = token.start;
+    var argument;
+
+    if (this._tokenizer.checkAny([TokenType.NOT, TokenType.MINUS, TokenType.PLUS, TokenType.TYPEOF, TokenType.BIT_NOT]) ||
+        this._checkKeyword('delete') || this._checkKeyword('void')) {
+      this._tokenizer.next();
+      argument = this._parseUnary();
+      return new UnaryExpression(token.value, argument, true, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    if (this._tokenizer.checkAny([TokenType.INCREMENT, TokenType.DECREMENT])) {
+      this._tokenizer.next();
+      argument = this._parseUnary();
+      return new UpdateExpression(token.value, argument, true, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    if (this._checkKeyword('await')) {
+      this._tokenizer.next();
+      argument = this._parseUnary();
+      return new AwaitExpression(argument, start, this._tokenizer.getLastTokenEnd());
     }
 
-    if (this._tokenizer.check(TokenType.NEW)) {
-      return this._parseNewExpression();
+    return this._parsePostfix();
+  };
+
+  /**
+   * Parse postfix update expression (x++, x--)
+   * @returns {Node}
+   * @private
+   */
+  ExpressionParser.prototype._parsePostfix = function() {
+    var expr = this._parseCallMember();
+    var token = this._tokenizer.peek();
+
+    // A line break before ++/-- makes it a prefix of the next statement
+    if ((token.type === TokenType.INCREMENT || token.type === TokenType.DECREMENT) && !token.newlineBefore) {
+      this._tokenizer.next();
+      return new UpdateExpression(token.value, expr, false, expr.start, this._tokenizer.getLastTokenEnd());
     }
 
-    return this._parseCallMember();
+    return expr;
   };
 
   /**
-   * Parse new expression
-   * @returns {NewExpression}
+   * Parse new expression (or the new.target meta property)
+   * @returns {Node}
    * @private
    */
   ExpressionParser.prototype._parseNewExpression = function() {
     var start = this._tokenizer.next().start; // consume 'new'
-    var callee = this._parseCallMember();
+
+    if (this._tokenizer.match(TokenType.DOT)) {
+      var property = this._parseIdentifier();
+      return new MetaProperty(new Identifier('new', start, start + 3), property, start, this._tokenizer.getLastTokenEnd());
+    }
+
+    // The callee is a member chain; the first argument list belongs to `new`
+    var callee = this._parseMember();
     var args = [];
 
-    // Arguments are parsed as part of call expression if present
-    if (callee.type === NodeType.CALL_EXPRESSION) {
-      return new NewExpression(callee.callee, callee.arguments, start, this._tokenizer.getPosition());
+    if (this._tokenizer.match(TokenType.LPAREN)) {
+      args = this._parseArguments();
+      this._tokenizer.expect(TokenType.RPAREN);
     }
 
-    return new NewExpression(callee, args, start, this._tokenizer.getPosition());
+    return new NewExpression(callee, args, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
@@ -433,60 +1687,62 @@
    * @private
    */
   ExpressionParser.prototype._parseCallMember = function() {
-    var member = this._parseMember();
-    return this._parseCallSuffix(member);
+    return this._parseCallMemberSuffix(this._parsePrimary(), true);
   };
 
   /**
-   * Parse call suffix (arguments)
-   * @param {Node} callee - Function to call
+   * Parse member expression without calls (the callee of `new`)
    * @returns {Node}
    * @private
    */
-  ExpressionParser.prototype._parseCallSuffix = function(callee) {
-    if (this._tokenizer.check(TokenType.LPAREN)) {
-      var start = callee.start;
-      this._tokenizer.next(); // consume '('
-      var args = this._parseArguments();
-      this._tokenizer.expect(TokenType.RPAREN);
-
-      var call = new CallExpression(callee, args, false, start, this._tokenizer.getPosition());
-
-      // Check for chained member/call
-      if (this._tokenizer.checkAny([TokenType.DOT, TokenType.OPTIONAL_CHAIN, TokenType.LBRACKET, TokenType.LPAREN])) {
-        return this._parseCallMemberSuffix(call);
-      }
-
-      return call;
-    }
-
-    return callee;
+  ExpressionParser.prototype._parseMember = function() {
+    return this._parseCallMemberSuffix(this._parsePrimary(), false);
   };
 
   /**
    * Parse chained member/call suffixes
    * @param {Node} object - Base object
+   * @param {boolean} allowCalls - Whether argument lists are part of the chain
    * @returns {Node}
    * @private
    */
-  ExpressionParser.prototype._parseCallMemberSuffix = function(object) {
+  ExpressionParser.prototype._parseCallMemberSuffix = function(object, allowCalls) {
     while (true) {
-      if (this._tokenizer.checkAny([TokenType.DOT, TokenType.OPTIONAL_CHAIN])) {
-        var optional = this._tokenizer.peek().type === TokenType.OPTIONAL_CHAIN;
+      var token = this._tokenizer.peek();
+      var args;
+
+      if (token.type === TokenType.DOT) {
+        this._tokenizer.next();
+        var property = this._parseMemberProperty();
+        object = new MemberExpression(object, property, false, false, object.start, this._tokenizer.getLastTokenEnd());
+      } else if (token.type === TokenType.OPTIONAL_CHAIN) {
         this._tokenizer.next();
 
-        var property = this._parseIdentifier();
-        object = new MemberExpression(object, property, false, optional, object.start, this._tokenizer.getPosition());
-      } else if (this._tokenizer.check(TokenType.LBRACKET)) {
+        if (allowCalls && this._tokenizer.match(TokenType.LPAREN)) {
+          args = this._parseArguments();
+          this._tokenizer.expect(TokenType.RPAREN);
+          object = new CallExpression(object, args, true, object.start, this._tokenizer.getLastTokenEnd());
+        } else if (this._tokenizer.match(TokenType.LBRACKET)) {
+          var optionalProp = this._parseExpression();
+          this._tokenizer.expect(TokenType.RBRACKET);
+          object = new MemberExpression(object, optionalProp, true, true, object.start, this._tokenizer.getLastTokenEnd());
+        } else {
+          var optionalProperty = this._parseMemberProperty();
+          object = new MemberExpression(object, optionalProperty, false, true, object.start, this._tokenizer.getLastTokenEnd());
+        }
+      } else if (token.type === TokenType.LBRACKET) {
         this._tokenizer.next();
         var prop = this._parseExpression();
         this._tokenizer.expect(TokenType.RBRACKET);
-        object = new MemberExpression(object, prop, true, false, object.start, this._tokenizer.getPosition());
-      } else if (this._tokenizer.check(TokenType.LPAREN)) {
+        object = new MemberExpression(object, prop, true, false, object.start, this._tokenizer.getLastTokenEnd());
+      } else if (allowCalls && token.type === TokenType.LPAREN) {
         this._tokenizer.next();
-        var args = this._parseArguments();
+        args = this._parseArguments();
         this._tokenizer.expect(TokenType.RPAREN);
-        object = new CallExpression(object, args, false, object.start, this._tokenizer.getPosition());
+        object = new CallExpression(object, args, false, object.start, this._tokenizer.getLastTokenEnd());
+      } else if (token.type === TokenType.TEMPLATE) {
+        var quasi = this._parseTemplateLiteral();
+        object = new TaggedTemplateExpression(object, quasi, object.start, this._tokenizer.getLastTokenEnd());
       } else {
         break;
       }
@@ -495,32 +1751,6 @@
     return object;
   };
 
-  /**
-   * Parse member expression
-   * @returns {Node}
-   * @private
-   */
-  ExpressionParser.prototype._parseMember = function() {
-    var object = this._parsePrimary();
-
-    while (this._tokenizer.checkAny([TokenType.DOT, TokenType.OPTIONAL_CHAIN, TokenType.LBRACKET])) {
-      if (this._tokenizer.checkAny([TokenType.DOT, TokenType.OPTIONAL_CHAIN])) {
-        var optional = this._tokenizer.peek().type === TokenType.OPTIONAL_CHAIN;
-        this._tokenizer.next();
-
-        var property = this._parseIdentifier();
-        object = new MemberExpression(object, property, false, optional, object.start, this._tokenizer.getPosition());
-      } else if (this._tokenizer.check(TokenType.LBRACKET)) {
-        this._tokenizer.next();
-        var prop = this._parseExpression();
-        this._tokenizer.expect(TokenType.RBRACKET);
-        object = new MemberExpression(object, prop, true, false, object.start, this._tokenizer.getPosition());
-      }
-    }
-
-    return object;
-  };
-
   /**
    * Parse primary expression
    * @returns {Node}
@@ -536,7 +1766,7 @@
 
       case TokenType.NUMBER:
         this._tokenizer.next();
-        return new NumberLiteral(parseFloat(token.value), token.value, token.start, token.end);
+        return new NumberLiteral(parseNumberValue(token.value), token.value, token.start, token.end);
 
       case TokenType.BOOLEAN:
         this._tokenizer.next();
@@ -550,17 +1780,35 @@
         this._tokenizer.next();
         return new UndefinedLiteral(token.start, token.end);
 
-      case TokenType.TEMPLATE:
+      case TokenType.REGEX:
         this._tokenizer.next();
-        return new TemplateLiteral(token.value, [], token.start, token.end);
+        var flagsStart = token.value.lastIndexOf('/');
+        return new RegexLiteral(token.value.slice(1, flagsStart), token.value.slice(flagsStart + 1), token.start, token.end);
+
+      case TokenType.TEMPLATE:
+        return this._parseTemplateLiteral();
 
       case TokenType.THIS:
         this._tokenizer.next();
         return new ThisExpression(token.start, token.end);
 
       case TokenType.IDENTIFIER:
+      case TokenType.GET:
+      case TokenType.SET:
+      case TokenType.STATIC:
+      case TokenType.OF:
+      case TokenType.CONSTRUCTOR:
+      case TokenType.LET:
         return this._parseIdentifierOrArrow();
 
+      case TokenType.PRIVATE_NAME:
+        // Only valid as `#name in obj`
+        this._tokenizer.next();
+        return new PrivateIdentifier(token.value, token.start, token.end);
+
+      case TokenType.KEYWORD:
+        return this._parseKeywordExpression(token);
+
       case TokenType.LBRACKET:
         return this._parseArrayLiteral();
 
@@ -579,14 +1827,82 @@
       case TokenType.ASYNC:
         return this._parseAsyncFunction();
 
+      case TokenType.NEW:
+        return this._parseNewExpression();
+
       default:
-        // Return an identifier for unknown tokens to be more forgiving
-        if (token.type === TokenType.EOF) {
-          return new Identifier('', token.start, token.end);
+        // A missing operand (`x = ;` while typing) yields an empty
+        // identifier and leaves the closing token for the enclosing construct
+        if (this._isExpressionEnd(token)) {
+          return new Identifier('', token.start, token.start);
         }
+        this._raise('Unexpected token \'' + token.value + '\'', token);
+    }
+  };
+
+  /**
+   * Parse a primary expression starting with a keyword token
+   * @param {Token} token - Keyword token
+   * @returns {Node}
+   * @private
+   */
+  ExpressionParser.prototype._parseKeywordExpression = function(token) {
+    switch (token.value) {
+      case 'super':
         this._tokenizer.next();
-        return new Identifier(token.value, token.start, token.end);
+        return new Super(token.start, token.end);
+
+      case 'import':
+        this._tokenizer.next();
+
+        if (this._tokenizer.match(TokenType.DOT)) {
+          var property = this._parseIdentifier();
+          var meta = new Identifier('import', token.start, token.end);
+          return new MetaProperty(meta, property, token.start, this._tokenizer.getLastTokenEnd());
+        }
+
+        this._tokenizer.expect(TokenType.LPAREN);
+        var source = this._parseAssignment();
+        this._tokenizer.match(TokenType.COMMA);
+        this._tokenizer.expect(TokenType.RPAREN);
+        return new ImportExpression(source, token.start, this._tokenizer.getLastTokenEnd());
+    }
+
+    if (RESERVED_WORDS.has(token.value)) {
+      this._raise('Unexpected keyword \'' + token.value + '\'', token);
+    }
+
+    return this._parseIdentifierOrArrow();
+  };
+
+  /**
+   * Parse template literal, including its ${...} expressions
+   * @returns {TemplateLiteral}
+   * @private
+   */
+  ExpressionParser.prototype._parseTemplateLiteral = function() {
+    var token = this._tokenizer.next();
+    var ranges = token.expressions || [];
+    var expressions = [];
+
+    for (var i = 0; i < ranges.length; i++) {
+      var parser = new ExpressionParser(this._source);
+      parser._tokenizer.reset(ranges[i].start);
+
+      try {
+        expressions.push(parser._parseExpression());
+      } catch (e) {
+        if (!(e instanceof SyntaxError)) throw e;
+        parser._addError(e.message, e.start, e.end);
+      }
+
+      for (var j = 0; j < parser._errors.length; j++) {
+        var error = parser._errors[j];
+        this._addError(error.message, error.start, error.end);
+      }
     }
+
+    return new TemplateLiteral(token.value, expressions, token.start, token.end);
   };
 
   /**
@@ -604,7 +1920,7 @@
       var param = new Parameter(id.name, null, false, id.start, id.end);
       var body = this._parseArrowBody();
       var isExpression = body.type !== NodeType.BLOCK_STATEMENT;
-      return new ArrowFunction([param], body, isExpression, false, start, this._tokenizer.getPosition());
+      return new ArrowFunction([param], body, isExpression, false, start, this._tokenizer.getLastTokenEnd());
     }
 
     return id;
@@ -626,113 +1942,51 @@
         this._tokenizer.next();
         var body = this._parseArrowBody();
         var isExpression = body.type !== NodeType.BLOCK_STATEMENT;
-        return new ArrowFunction([], body, isExpression, false, start, this._tokenizer.getPosition());
+        return new ArrowFunction([], body, isExpression, false, start, this._tokenizer.getLastTokenEnd());
       }
       // Empty parentheses not followed by arrow - return as empty identifier
-      return new Identifier('', start, this._tokenizer.getPosition());
+      return new Identifier('', start, this._tokenizer.getLastTokenEnd());
     }
 
     // Try to parse as parameters for arrow function
     var params = this._tryParseArrowParams();
 
-    if (params !== null && this._tokenizer.check(TokenType.ARROW)) {
-      this._tokenizer.next();
-      var body = this._parseArrowBody();
-      var isExpression = body.type !== NodeType.BLOCK_STATEMENT;
-      return new ArrowFunction(params, body, isExpression, false, start, this._tokenizer.getPosition());
+    if (params !== null) {
+      this._tokenizer.next(); // consume '=>'
+      var arrowBody = this._parseArrowBody();
+      var isExpressionBody = arrowBody.type !== NodeType.BLOCK_STATEMENT;
+      return new ArrowFunction(params, arrowBody, isExpressionBody, false, start, this._tokenizer.getLastTokenEnd());
     }
 
     // Not an arrow function - parse as parenthesized expression
-    this._tokenizer.reset(start + 1); // Reset to after '('
     var expr = this._parseExpression();
     this._tokenizer.expect(TokenType.RPAREN);
 
-    // Check if followed by arrow (single param case)
-    if (this._tokenizer.check(TokenType.ARROW)) {
-      this._tokenizer.next();
-      var param = this._expressionToParam(expr);
-      var body = this._parseArrowBody();
-      var isExpression = body.type !== NodeType.BLOCK_STATEMENT;
-      return new ArrowFunction([param], body, isExpression, false, start, this._tokenizer.getPosition());
-    }
-
     return expr;
   };
 
   /**
-   * Try to parse arrow function parameters
+   * Try to parse arrow function parameters up to and including ')'.
+   * Succeeds only when '=>' follows; otherwise the parser is rewound.
    * @returns {Parameter[]|null}
    * @private
    */
   ExpressionParser.prototype._tryParseArrowParams = function() {
-    var params = [];
-    var startPos = this._tokenizer.getPosition();
+    var mark = this._mark();
 
     try {
-      // Check for rest parameter first
-      if (this._tokenizer.check(TokenType.SPREAD)) {
-        this._tokenizer.next();
-        var restId = this._parseIdentifier();
-        params.push(new Parameter(restId.name, null, true, restId.start, restId.end));
+      var params = this._parseParameters();
+      this._tokenizer.expect(TokenType.RPAREN);
 
-        if (!this._tokenizer.check(TokenType.RPAREN)) {
-          this._tokenizer.reset(startPos);
-          return null;
-        }
-        this._tokenizer.next(); // consume ')'
+      if (this._tokenizer.check(TokenType.ARROW)) {
         return params;
       }
-
-      do {
-        if (this._tokenizer.check(TokenType.SPREAD)) {
-          this._tokenizer.next();
-          var restId = this._parseIdentifier();
-          params.push(new Parameter(restId.name, null, true, restId.start, restId.end));
-          break;
-        }
-
-        if (!this._tokenizer.check(TokenType.IDENTIFIER)) {
-          this._tokenizer.reset(startPos);
-          return null;
-        }
-
-        var id = this._parseIdentifier();
-        var defaultValue = null;
-
-        if (this._tokenizer.match(TokenType.ASSIGN)) {
-          defaultValue = this._parseAssignment();
-        }
-
-        params.push(new Parameter(id.name, defaultValue, false, id.start, this._tokenizer.getPosition()));
-      } while (this._tokenizer.match(TokenType.COMMA));
-
-      if (!this._tokenizer.check(TokenType.RPAREN)) {
-        this._tokenizer.reset(startPos);
-        return null;
-      }
-
-      this._tokenizer.next(); // consume ')'
-      return params;
     } catch (e) {
-      this._tokenizer.reset(startPos);
-      return null;
+      if (!(e instanceof SyntaxError)) throw e;
     }
-  };
 
-  /**
-   * Convert expression to parameter
-   * @param {Node} expr - Expression to convert
-   * @returns {Parameter}
-   * @private
-   */
-  ExpressionParser.prototype._expressionToParam = function(expr) {
-    if (expr.type === NodeType.IDENTIFIER) {
-      return new Parameter(expr.name, null, false, expr.start, expr.end);
-    }
-    if (expr.type === NodeType.ASSIGNMENT_EXPRESSION && expr.left.type === NodeType.IDENTIFIER) {
-      return new Parameter(expr.left.name, expr.right, false, expr.start, expr.end);
-    }
-    return new Parameter('', null, false, expr.start, expr.end);
+    this._restore(mark);
+    return null;
   };
 
   /**
@@ -766,19 +2020,19 @@
       if (this._tokenizer.check(TokenType.SPREAD)) {
         var spreadStart = this._tokenizer.next().start;
         var arg = this._parseAssignment();
-        elements.push(new SpreadElement(arg, spreadStart, this._tokenizer.getPosition()));
+        elements.push(new SpreadElement(arg, spreadStart, this._tokenizer.getLastTokenEnd()));
       } else {
         elements.push(this._parseAssignment());
       }
 
       if (!this._tokenizer.check(TokenType.RBRACKET)) {
-        this._tokenizer.match(TokenType.COMMA);
+        this._tokenizer.expect(TokenType.COMMA);
       }
     }
 
     this._tokenizer.expect(TokenType.RBRACKET);
 
-    return new ArrayLiteral(elements, start, this._tokenizer.getPosition());
+    return new ArrayLiteral(elements, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
@@ -794,13 +2048,13 @@
       properties.push(this._parseObjectProperty());
 
       if (!this._tokenizer.check(TokenType.RBRACE)) {
-        this._tokenizer.match(TokenType.COMMA);
+        this._tokenizer.expect(TokenType.COMMA);
       }
     }
 
     this._tokenizer.expect(TokenType.RBRACE);
 
-    return new ObjectLiteral(properties, start, this._tokenizer.getPosition());
+    return new ObjectLiteral(properties, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
@@ -810,7 +2064,6 @@
    */
   ExpressionParser.prototype._parseObjectProperty = function() {
     var start = this._tokenizer.peek().start;
-    var computed = false;
     var shorthand = false;
     var kind = 'init';
     var key;
@@ -820,7 +2073,29 @@
     if (this._tokenizer.check(TokenType.SPREAD)) {
       this._tokenizer.next();
       var arg = this._parseAssignment();
-      return new Property(null, new SpreadElement(arg, start, this._tokenizer.getPosition()), false, false, 'init', start, this._tokenizer.getPosition());
+      return new Property(null, new SpreadElement(arg, start, this._tokenizer.getLastTokenEnd()), false, false, 'init', start, this._tokenizer.getLastTokenEnd());
+    }
+
+    // Async and generator methods
+    var isAsync = false;
+    if (this._tokenizer.check(TokenType.ASYNC)) {
+      var mark = this._tokenizer.mark();
+      this._tokenizer.next();
+      var afterAsync = this._tokenizer.peek();
+      if (afterAsync.newlineBefore ||
+          this._tokenizer.checkAny([TokenType.COLON, TokenType.COMMA, TokenType.RBRACE, TokenType.LPAREN, TokenType.ASSIGN])) {
+        // 'async' is the property name
+        this._tokenizer.restore(mark);
+      } else {
+        isAsync = true;
+      }
+    }
+
+    var isGenerator = !!this._tokenizer.match(TokenType.STAR);
+    if (isAsync || isGenerator) {
+      key = this._parsePropertyKey();
+      value = this._parseMethodValue(isAsync, isGenerator);
+      return new Property(key.key || key, value, key.computed || false, false, 'init', start, this._tokenizer.getLastTokenEnd());
     }
 
     // Getter/Setter
@@ -829,8 +2104,8 @@
       if (!this._tokenizer.checkAny([TokenType.COLON, TokenType.COMMA, TokenType.RBRACE, TokenType.LPAREN])) {
         kind = kindToken.value;
         key = this._parsePropertyKey();
-        value = this._parseMethodValue();
-        return new Property(key.key, value, key.computed, false, kind, start, this._tokenizer.getPosition());
+        value = this._parseMethodValue(false, false);
+        return new Property(key.key || key, value, key.computed || false, false, kind, start, this._tokenizer.getLastTokenEnd());
       }
       // 'get' or 'set' is actually the property name
       key = new Identifier(kindToken.value, kindToken.start, kindToken.end);
@@ -840,8 +2115,8 @@
 
     // Method shorthand
     if (this._tokenizer.check(TokenType.LPAREN)) {
-      value = this._parseMethodValue();
-      return new Property(key.key || key, value, key.computed || false, false, 'init', start, this._tokenizer.getPosition());
+      value = this._parseMethodValue(false, false);
+      return new Property(key.key || key, value, key.computed || false, false, 'init', start, this._tokenizer.getLastTokenEnd());
     }
 
     // Regular property
@@ -851,9 +2126,15 @@
       // Shorthand property
       shorthand = true;
       value = key.key || key;
+
+      // `{ a = 1 }` is only valid once the object turns out to be a
+      // destructuring target; keep the default as a pattern
+      if (this._tokenizer.match(TokenType.ASSIGN)) {
+        value = new AssignmentPattern(value, this._parseAssignment(), value.start, this._tokenizer.getLastTokenEnd());
+      }
     }
 
-    return new Property(key.key || key, value, key.computed || false, shorthand, 'init', start, this._tokenizer.getPosition());
+    return new Property(key.key || key, value, key.computed || false, shorthand, 'init', start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
@@ -876,7 +2157,7 @@
 
     if (this._tokenizer.check(TokenType.NUMBER)) {
       var token = this._tokenizer.next();
-      return new NumberLiteral(parseFloat(token.value), token.value, token.start, token.end);
+      return new NumberLiteral(parseNumberValue(token.value), token.value, token.start, token.end);
     }
 
     return this._parseIdentifier();
@@ -884,13 +2165,13 @@
 
   /**
    * Parse method value (function without 'function' keyword)
+   * @param {boolean} isAsync - Is async method
+   * @param {boolean} isGenerator - Is generator method
    * @returns {FunctionExpression}
    * @private
    */
-  ExpressionParser.prototype._parseMethodValue = function() {
+  ExpressionParser.prototype._parseMethodValue = function(isAsync, isGenerator) {
     var start = this._tokenizer.peek().start;
-    var async = false;
-    var generator = false;
 
     this._tokenizer.expect(TokenType.LPAREN);
     var params = this._parseParameters();
@@ -898,7 +2179,7 @@
 
     var body = this._parseBlockStatement();
 
-    return new FunctionExpression(null, params, body, async, generator, start, this._tokenizer.getPosition());
+    return new FunctionExpression(null, params, body, isAsync, isGenerator, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
@@ -907,26 +2188,7 @@
    * @private
    */
   ExpressionParser.prototype._parseFunctionExpression = function() {
-    var start = this._tokenizer.next().start; // consume 'function'
-    var generator = false;
-
-    if (this._tokenizer.check(TokenType.STAR)) {
-      generator = true;
-      this._tokenizer.next();
-    }
-
-    var id = null;
-    if (this._tokenizer.check(TokenType.IDENTIFIER)) {
-      id = this._parseIdentifier();
-    }
-
-    this._tokenizer.expect(TokenType.LPAREN);
-    var params = this._parseParameters();
-    this._tokenizer.expect(TokenType.RPAREN);
-
-    var body = this._parseBlockStatement();
-
-    return new FunctionExpression(id, params, body, false, generator, start, this._tokenizer.getPosition());
+    return this._parseFunction(false);
   };
 
   /**
@@ -935,81 +2197,85 @@
    * @private
    */
   ExpressionParser.prototype._parseFunctionDeclaration = function() {
-    var start = this._tokenizer.next().start; // consume 'function'
-    var generator = false;
+    return this._parseFunction(true);
+  };
 
-    if (this._tokenizer.check(TokenType.STAR)) {
-      generator = true;
-      this._tokenizer.next();
-    }
+  /**
+   * Parse `[async] function [*] [name](params) { body }`
+   * @param {boolean} isDeclaration - Build a FunctionDeclaration
+   * @returns {FunctionDeclaration|FunctionExpression}
+   * @private
+   */
+  ExpressionParser.prototype._parseFunction = function(isDeclaration) {
+    var start = this._tokenizer.peek().start;
+    var isAsync = !!this._tokenizer.match(TokenType.ASYNC);
 
-    var id = this._parseIdentifier();
+    this._tokenizer.expect(TokenType.FUNCTION);
+    var generator = !!this._tokenizer.match(TokenType.STAR);
+
+    // The name is optional for expressions and `export default function`
+    var id = null;
+    if (!this._tokenizer.check(TokenType.LPAREN)) {
+      id = this._parseBindingIdentifier();
+    }
 
     this._tokenizer.expect(TokenType.LPAREN);
     var params = this._parseParameters();
     this._tokenizer.expect(TokenType.RPAREN);
 
     var body = this._parseBlockStatement();
+    var end = this._tokenizer.getLastTokenEnd();
 
-    return new FunctionDeclaration(id, params, body, false, generator, start, this._tokenizer.getPosition());
+    if (isDeclaration) {
+      return new FunctionDeclaration(id, params, body, isAsync, generator, start, end);
+    }
+    return new FunctionExpression(id, params, body, isAsync, generator, start, end);
   };
 
   /**
-   * Parse async function
+   * Parse an expression starting with 'async': an async function or arrow
+   * function, or a plain identifier named async
    * @returns {Node}
    * @private
    */
   ExpressionParser.prototype._parseAsyncFunction = function() {
-    var start = this._tokenizer.next().start; // consume 'async'
-
-    if (this._tokenizer.check(TokenType.FUNCTION)) {
-      this._tokenizer.next();
-
-      var generator = false;
-      var id = null;
-
-      if (this._tokenizer.check(TokenType.IDENTIFIER)) {
-        id = this._parseIdentifier();
-      }
-
-      this._tokenizer.expect(TokenType.LPAREN);
-      var params = this._parseParameters();
-      this._tokenizer.expect(TokenType.RPAREN);
-
-      var body = this._parseBlockStatement();
-
-      if (id) {
-        var func = new FunctionDeclaration(id, params, body, true, generator, start, this._tokenizer.getPosition());
-        return func;
-      }
-      return new FunctionExpression(null, params, body, true, generator, start, this._tokenizer.getPosition());
+    if (this._isAsyncFunctionStart()) {
+      return this._parseFunction(false);
     }
 
-    // Async arrow function
-    if (this._tokenizer.check(TokenType.LPAREN)) {
-      this._tokenizer.next();
-      var params = this._parseParameters();
-      this._tokenizer.expect(TokenType.RPAREN);
-      this._tokenizer.expect(TokenType.ARROW);
-      var body = this._parseArrowBody();
-      var isExpression = body.type !== NodeType.BLOCK_STATEMENT;
-      return new ArrowFunction(params, body, isExpression, true, start, this._tokenizer.getPosition());
-    }
+    var mark = this._mark();
+    var asyncToken = this._tokenizer.next(); // consume 'async'
+    var start = asyncToken.start;
+    var next = this._tokenizer.peek();
+    var body;
 
-    // Async arrow with single param
-    if (this._tokenizer.check(TokenType.IDENTIFIER)) {
-      var id = this._parseIdentifier();
-      if (this._tokenizer.check(TokenType.ARROW)) {
+    if (!next.newlineBefore) {
+      // Async arrow function
+      if (next.type === TokenType.LPAREN) {
         this._tokenizer.next();
-        var param = new Parameter(id.name, null, false, id.start, id.end);
-        var body = this._parseArrowBody();
-        var isExpression = body.type !== NodeType.BLOCK_STATEMENT;
-        return new ArrowFunction([param], body, isExpression, true, start, this._tokenizer.getPosition());
+        var params = this._tryParseArrowParams();
+        if (params !== null) {
+          this._tokenizer.next(); // consume '=>'
+          body = this._parseArrowBody();
+          return new ArrowFunction(params, body, body.type !== NodeType.BLOCK_STATEMENT, true, start, this._tokenizer.getLastTokenEnd());
+        }
+      }
+
+      // Async arrow with single param
+      if (this._isIdentifierToken(next)) {
+        var id = this._parseIdentifier();
+        if (this._tokenizer.match(TokenType.ARROW)) {
+          var param = new Parameter(id.name, null, false, id.start, id.end);
+          body = this._parseArrowBody();
+          return new ArrowFunction([param], body, body.type !== NodeType.BLOCK_STATEMENT, true, start, this._tokenizer.getLastTokenEnd());
+        }
       }
-      return id;
     }
 
-    return new Identifier('async', start, this._tokenizer.getPosition());
+    // An identifier named async, e.g. the callee of async(x)
+    this._restore(mark);
+    this._tokenizer.next();
+    return new Identifier('async', asyncToken.start, asyncToken.end);
   };
 
   /**
@@ -1021,26 +2287,24 @@
     var params = [];
 
     while (!this._tokenizer.check(TokenType.RPAREN) && !this._tokenizer.isEOF()) {
-      if (this._tokenizer.check(TokenType.SPREAD)) {
-        this._tokenizer.next();
-        var restId = this._parseIdentifier();
-        params.push(new Parameter(restId.name, null, true, restId.start, restId.end));
+      var paramStart = this._tokenizer.peek().start;
+
+      if (this._tokenizer.match(TokenType.SPREAD)) {
+        var restTarget = this._parseBindingTarget();
+        params.push(new Parameter(getParameterName(restTarget), null, true, paramStart, this._tokenizer.getLastTokenEnd()));
         break;
       }
 
-      var paramStart = this._tokenizer.peek().start;
-      var id = this._parseIdentifier();
+      var target = this._parseBindingTarget();
       var defaultValue = null;
 
       if (this._tokenizer.match(TokenType.ASSIGN)) {
         defaultValue = this._parseAssignment();
       }
 
-      params.push(new Parameter(id.name, defaultValue, false, paramStart, this._tokenizer.getPosition()));
+      params.push(new Parameter(getParameterName(target), defaultValue, false, paramStart, this._tokenizer.getLastTokenEnd()));
 
-      if (!this._tokenizer.check(TokenType.RPAREN)) {
-        this._tokenizer.match(TokenType.COMMA);
-      }
+      if (!this._tokenizer.match(TokenType.COMMA)) break;
     }
 
     return params;
@@ -1058,14 +2322,12 @@
       if (this._tokenizer.check(TokenType.SPREAD)) {
         var spreadStart = this._tokenizer.next().start;
         var arg = this._parseAssignment();
-        args.push(new SpreadElement(arg, spreadStart, this._tokenizer.getPosition()));
+        args.push(new SpreadElement(arg, spreadStart, this._tokenizer.getLastTokenEnd()));
       } else {
         args.push(this._parseAssignment());
       }
 
-      if (!this._tokenizer.check(TokenType.RPAREN)) {
-        this._tokenizer.match(TokenType.COMMA);
-      }
+      if (!this._tokenizer.match(TokenType.COMMA)) break;
     }
 
     return args;
@@ -1084,8 +2346,8 @@
     var start = this._tokenizer.next().start; // consume 'class'
 
     var id = null;
-    if (this._tokenizer.check(TokenType.IDENTIFIER)) {
-      id = this._parseIdentifier();
+    if (!this._tokenizer.checkAny([TokenType.EXTENDS, TokenType.LBRACE])) {
+      id = this._parseBindingIdentifier();
     }
 
     var superClass = null;
@@ -1095,7 +2357,7 @@
 
     var body = this._parseClassBody();
 
-    return new ClassExpression(id, superClass, body, start, this._tokenizer.getPosition());
+    return new ClassExpression(id, superClass, body, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
@@ -1106,7 +2368,11 @@
   ExpressionParser.prototype._parseClassDeclaration = function() {
     var start = this._tokenizer.next().start; // consume 'class'
 
-    var id = this._parseIdentifier();
+    // The name is optional for `export default class`
+    var id = null;
+    if (!this._tokenizer.checkAny([TokenType.EXTENDS, TokenType.LBRACE])) {
+      id = this._parseBindingIdentifier();
+    }
 
     var superClass = null;
     if (this._tokenizer.match(TokenType.EXTENDS)) {
@@ -1115,7 +2381,7 @@
 
     var body = this._parseClassBody();
 
-    return new ClassDeclaration(id, superClass, body, start, this._tokenizer.getPosition());
+    return new ClassDeclaration(id, superClass, body, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
@@ -1128,15 +2394,13 @@
     var body = [];
 
     while (!this._tokenizer.check(TokenType.RBRACE) && !this._tokenizer.isEOF()) {
-      var member = this._parseClassMember();
+      var member = this._parseWithRecovery(this._parseClassMember, this._isClassMemberStart);
       if (member) {
         body.push(member);
       }
     }
 
-    this._tokenizer.expect(TokenType.RBRACE);
-
-    return new ClassBody(body, start, this._tokenizer.getPosition());
+    return new ClassBody(body, start, this._parseClosingBrace());
   };
 
   /**
@@ -1148,17 +2412,24 @@
     var start = this._tokenizer.peek().start;
     var isStatic = false;
     var kind = 'method';
+    var memberEnd = [TokenType.LPAREN, TokenType.ASSIGN, TokenType.SEMICOLON, TokenType.RBRACE];
 
     // Skip semicolons
-    if (this._tokenizer.match(TokenType.SEMICOLON)) {
-      return null;
+    if (this._tokenizer.check(TokenType.SEMICOLON)) {
+      var semicolon = this._tokenizer.next();
+      return new EmptyStatement(semicolon.start, semicolon.end);
     }
 
     // Static modifier
     if (this._tokenizer.check(TokenType.STATIC)) {
       var staticToken = this._tokenizer.next();
+
+      if (this._tokenizer.check(TokenType.LBRACE)) {
+        return this._parseStaticBlock(start);
+      }
+
       // Check if 'static' is followed by a property name or method
-      if (!this._tokenizer.checkAny([TokenType.LPAREN, TokenType.ASSIGN, TokenType.SEMICOLON])) {
+      if (!this._tokenizer.checkAny(memberEnd)) {
         isStatic = true;
       } else {
         // 'static' is the member name
@@ -1166,33 +2437,47 @@
       }
     }
 
+    // Async method
+    var isAsync = false;
+    if (this._tokenizer.check(TokenType.ASYNC)) {
+      var asyncToken = this._tokenizer.next();
+      if (this._tokenizer.checkAny(memberEnd) || this._tokenizer.peek().newlineBefore) {
+        // 'async' is the member name
+        return this._parseClassMemberWithKey(new Identifier('async', asyncToken.start, asyncToken.end), start, isStatic);
+      }
+      isAsync = true;
+    }
+
+    // Generator method
+    var isGenerator = !!this._tokenizer.match(TokenType.STAR);
+
     // Getter/Setter
-    if (this._tokenizer.checkAny([TokenType.GET, TokenType.SET])) {
+    if (!isAsync && !isGenerator && this._tokenizer.checkAny([TokenType.GET, TokenType.SET])) {
       var kindToken = this._tokenizer.next();
-      if (!this._tokenizer.checkAny([TokenType.LPAREN, TokenType.ASSIGN, TokenType.SEMICOLON])) {
+      if (!this._tokenizer.checkAny(memberEnd)) {
         kind = kindToken.value;
-        var key = this._parseClassMemberKey();
-        return this._parseClassMemberWithKey(key, start, isStatic, kind);
+        var accessorKey = this._parseClassMemberKey();
+        return this._parseClassMemberWithKey(accessorKey, start, isStatic, kind);
       }
       // 'get' or 'set' is the member name
       return this._parseClassMemberWithKey(new Identifier(kindToken.value, kindToken.start, kindToken.end), start, isStatic);
     }
 
-    // Async method
-    if (this._tokenizer.check(TokenType.ASYNC)) {
-      this._tokenizer.next();
-      // TODO: Handle async methods properly
-    }
+    var key = this._parseClassMemberKey();
+    return this._parseClassMemberWithKey(key, start, isStatic, kind, isGenerator, isAsync);
+  };
 
-    // Generator method
-    var isGenerator = false;
-    if (this._tokenizer.check(TokenType.STAR)) {
-      this._tokenizer.next();
-      isGenerator = true;
-    }
+  /**
+   * Parse class static initialization block
+   * @param {number} start - Start position (at 'static')
+   * @returns {StaticBlock}
+   * @private
+   */
+  ExpressionParser.prototype._parseStaticBlock = function(start) {
+    this._tokenizer.expect(TokenType.LBRACE);
+    var body = this._parseStatementList(TokenType.RBRACE);
 
-    var key = this._parseClassMemberKey();
-    return this._parseClassMemberWithKey(key, start, isStatic, kind, isGenerator);
+    return new StaticBlock(body, start, this._parseClosingBrace());
   };
 
   /**
@@ -1201,24 +2486,12 @@
    * @private
    */
   ExpressionParser.prototype._parseClassMemberKey = function() {
-    if (this._tokenizer.check(TokenType.LBRACKET)) {
-      this._tokenizer.next();
-      var key = this._parseAssignment();
-      this._tokenizer.expect(TokenType.RBRACKET);
-      return { key: key, computed: true };
-    }
-
-    if (this._tokenizer.check(TokenType.STRING)) {
-      var token = this._tokenizer.next();
-      return new StringLiteral(token.value, token.start, token.end);
-    }
-
-    if (this._tokenizer.check(TokenType.NUMBER)) {
-      var token = this._tokenizer.next();
-      return new NumberLiteral(parseFloat(token.value), token.value, token.start, token.end);
+    if (this._tokenizer.check(TokenType.PRIVATE_NAME)) {
+      var privateToken = this._tokenizer.next();
+      return new PrivateIdentifier(privateToken.value, privateToken.start, privateToken.end);
     }
 
-    return this._parseIdentifier();
+    return this._parsePropertyKey();
   };
 
   /**
@@ -1228,10 +2501,11 @@
    * @param {boolean} isStatic - Is static member
    * @param {string} kind - Member kind
    * @param {boolean} isGenerator - Is generator method
+   * @param {boolean} isAsync - Is async method
    * @returns {Node}
    * @private
    */
-  ExpressionParser.prototype._parseClassMemberWithKey = function(key, start, isStatic, kind, isGenerator) {
+  ExpressionParser.prototype._parseClassMemberWithKey = function(key, start, isStatic, kind, isGenerator, isAsync) {
     kind = kind || 'method';
     var computed = key.computed || false;
     var keyNode = key.key || key;
@@ -1247,8 +2521,8 @@
       var params = this._parseParameters();
       this._tokenizer.expect(TokenType.RPAREN);
       var body = this._parseBlockStatement();
-      var value = new FunctionExpression(null, params, body, false, isGenerator || false, start, this._tokenizer.getPosition());
-      return new MethodDefinition(keyNode, value, kind, computed, isStatic, start, this._tokenizer.getPosition());
+      var value = new FunctionExpression(null, params, body, isAsync || false, isGenerator || false, start, this._tokenizer.getLastTokenEnd());
+      return new MethodDefinition(keyNode, value, kind, computed, isStatic, start, this._tokenizer.getLastTokenEnd());
     }
 
     // Property with initializer
@@ -1259,7 +2533,7 @@
 
     this._tokenizer.match(TokenType.SEMICOLON);
 
-    return new PropertyDefinition(keyNode, initValue, computed, isStatic, start, this._tokenizer.getPosition());
+    return new PropertyDefinition(keyNode, initValue, computed, isStatic, start, this._tokenizer.getLastTokenEnd());
   };
 
   /**
@@ -1287,6 +2561,62 @@
     return new Identifier(token.value || '', token.start, token.end);
   };
 
+  /**
+   * Parse the property name after '.' or '?.'.
+   * A missing name (`obj.` while typing) yields an empty identifier and
+   * leaves the closing token for the enclosing construct.
+   * @returns {Identifier|PrivateIdentifier}
+   * @private
+   */
+  ExpressionParser.prototype._parseMemberProperty = function() {
+    var token = this._tokenizer.peek();
+
+    switch (token.type) {
+      case TokenType.RPAREN:
+      case TokenType.RBRACKET:
+      case TokenType.RBRACE:
+      case TokenType.SEMICOLON:
+      case TokenType.COMMA:
+      case TokenType.EOF:
+        return new Identifier('', token.start, token.start);
+
+      case TokenType.PRIVATE_NAME:
+        this._tokenizer.next();
+        return new PrivateIdentifier(token.value, token.start, token.end);
+
+      default:
+        return this._parseIdentifier();
+    }
+  };
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Get the numeric value of a number token, which may use separators,
+   * a radix prefix or a BigInt suffix
+   * @param {string} raw - Token text
+   * @returns {number}
+   */
+  function parseNumberValue(raw) {
+    var text = raw.replace(/_/g, '');
+    if (text.charAt(text.length - 1) === 'n') {
+      text = text.slice(0, -1);
+    }
+    return Number(text);
+  }
+
+  /**
+   * Get the Parameter name for a binding target: the identifier's name,
+   * or the pattern node itself for a destructured parameter
+   * @param {Node} target - Identifier or pattern
+   * @returns {string|Node}
+   */
+  function getParameterName(target) {
+    return target.type === NodeType.IDENTIFIER ? target.name : target;
+  }
+
   // ============================================
   // Static Methods
   // ============================================
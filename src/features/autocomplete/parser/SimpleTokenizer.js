@@ -26,6 +26,7 @@
 
     // Identifiers and keywords
     IDENTIFIER: 'identifier',
+    PRIVATE_NAME: 'privateName',
     KEYWORD: 'keyword',
     THIS: 'this',
 
@@ -43,6 +44,7 @@
     ASSIGN: 'assign',
     PLUS_ASSIGN: 'plusAssign',
     MINUS_ASSIGN: 'minusAssign',
+    COMPOUND_ASSIGN: 'compoundAssign', // *= /= %= **= <<= >>= >>>= &= |= ^= &&= ||= ??=
 
     // Arithmetic
     PLUS: 'plus',
@@ -51,6 +53,17 @@
     SLASH: 'slash',
     PERCENT: 'percent',
     POWER: 'power',
+    INCREMENT: 'increment',
+    DECREMENT: 'decrement',
+
+    // Bitwise
+    BIT_AND: 'bitAnd',
+    BIT_OR: 'bitOr',
+    BIT_XOR: 'bitXor',
+    BIT_NOT: 'bitNot',
+    LEFT_SHIFT: 'leftShift',
+    RIGHT_SHIFT: 'rightShift',
+    UNSIGNED_RIGHT_SHIFT: 'unsignedRightShift',
 
     // Comparison
     EQ: 'eq',
@@ -117,6 +130,35 @@
     'protected', 'public', 'static', 'yield', 'async', 'await', 'of', 'get', 'set'
   ]);
 
+  /**
+   * Token types after which '/' is a division operator rather than the
+   * start of a regular expression literal
+   * @type {Set<string>}
+   */
+  var DIVISION_PRECEDERS = new Set([
+    TokenType.IDENTIFIER, TokenType.PRIVATE_NAME, TokenType.NUMBER, TokenType.STRING,
+    TokenType.TEMPLATE, TokenType.REGEX, TokenType.BOOLEAN, TokenType.NULL,
+    TokenType.UNDEFINED, TokenType.THIS, TokenType.RPAREN, TokenType.RBRACKET,
+    TokenType.INCREMENT, TokenType.DECREMENT, TokenType.OF, TokenType.GET,
+    TokenType.SET, TokenType.STATIC, TokenType.ASYNC, TokenType.CONSTRUCTOR
+  ]);
+
+  /**
+   * Keywords whose parenthesized head is followed by a statement, so a '/'
+   * after the closing ')' starts a regular expression
+   * @type {Set<string>}
+   */
+  var CONTROL_HEAD_KEYWORDS = new Set(['if', 'while', 'for', 'with']);
+
+  /**
+   * Unicode ID_Start and ID_Continue for identifier characters outside
+   * ASCII. Surrogates are accepted one code unit at a time so identifiers
+   * with astral characters are read whole.
+   * @type {RegExp}
+   */
+  var UNICODE_ID_START = /[\p{ID_Start}\uD800-\uDFFF]/u;
+  var UNICODE_ID_CONTINUE = /[\p{ID_Continue}\u200C\u200D\uD800-\uDFFF]/u;
+
   // ============================================
   // Token Class
   // ============================================
@@ -134,6 +176,13 @@
     this.value = value;
     this.start = start;
     this.end = end;
+
+    /**
+     * Whether a line break separates this token from the previous one
+     * (used for automatic semicolon insertion)
+     * @type {boolean}
+     */
+    this.newlineBefore = false;
   }
 
   // ============================================
@@ -163,6 +212,30 @@
      * @type {Token|null}
      */
     this._peeked = null;
+
+    /**
+     * End position of the last consumed token
+     * @type {number}
+     */
+    this._lastTokenEnd = 0;
+
+    /**
+     * Whether a '/' at the current position starts a regular expression
+     * @type {boolean}
+     */
+    this._regexAllowed = true;
+
+    /**
+     * For each open '(', whether it starts an if/while/for/with head
+     * @type {boolean[]}
+     */
+    this._parenStack = [];
+
+    /**
+     * Whether the last token was a keyword that takes a parenthesized head
+     * @type {boolean}
+     */
+    this._afterControlKeyword = false;
   }
 
   // ----------------------------------------
@@ -174,13 +247,10 @@
    * @returns {Token}
    */
   SimpleTokenizer.prototype.next = function() {
-    if (this._peeked) {
-      var token = this._peeked;
-      this._peeked = null;
-      return token;
-    }
-
-    return this._readToken();
+    var token = this._peeked || this._readToken();
+    this._peeked = null;
+    this._lastTokenEnd = token.end;
+    return token;
   };
 
   /**
@@ -235,11 +305,14 @@
    * @returns {Token}
    */
   SimpleTokenizer.prototype.expect = function(type, message) {
-    var token = this.next();
+    var token = this.peek();
     if (token.type !== type) {
-      throw new Error(message || 'Expected ' + type + ', got ' + token.type);
+      var error = new SyntaxError(message || 'Expected ' + type + ', got ' + token.type);
+      error.start = token.start;
+      error.end = token.end;
+      throw error;
     }
-    return token;
+    return this.next();
   };
 
   /**
@@ -259,12 +332,53 @@
   };
 
   /**
-   * Reset tokenizer to a position
+   * Get the end position of the last consumed token.
+   * Unlike getPosition() this does not include a peeked token, so it is
+   * the end of the construct just parsed.
+   * @returns {number}
+   */
+  SimpleTokenizer.prototype.getLastTokenEnd = function() {
+    return this._lastTokenEnd;
+  };
+
+  /**
+   * Reset tokenizer to a position at which an expression may start
    * @param {number} pos - Position to reset to
    */
   SimpleTokenizer.prototype.reset = function(pos) {
     this._pos = pos;
     this._peeked = null;
+    this._regexAllowed = true;
+    this._parenStack = [];
+    this._afterControlKeyword = false;
+  };
+
+  /**
+   * Capture the tokenizer state for backtracking
+   * @returns {Object} State to pass to restore()
+   */
+  SimpleTokenizer.prototype.mark = function() {
+    return {
+      pos: this._pos,
+      peeked: this._peeked,
+      lastTokenEnd: this._lastTokenEnd,
+      regexAllowed: this._regexAllowed,
+      parenStack: this._parenStack.slice(),
+      afterControlKeyword: this._afterControlKeyword
+    };
+  };
+
+  /**
+   * Return to a state captured with mark()
+   * @param {Object} state - Captured state
+   */
+  SimpleTokenizer.prototype.restore = function(state) {
+    this._pos = state.pos;
+    this._peeked = state.peeked;
+    this._lastTokenEnd = state.lastTokenEnd;
+    this._regexAllowed = state.regexAllowed;
+    this._parenStack = state.parenStack.slice();
+    this._afterControlKeyword = state.afterControlKeyword;
   };
 
   // ----------------------------------------
@@ -277,13 +391,39 @@
    * @private
    */
   SimpleTokenizer.prototype._readToken = function() {
-    this._skipWhitespaceAndComments();
+    var newlineBefore = this._skipWhitespaceAndComments();
+    var token = this._scanToken();
+    var closesControlHead = false;
+
+    token.newlineBefore = newlineBefore;
+
+    // A ')' ends an operand, except the one closing an if/while/for/with
+    // head, which is followed by a statement: `if (x) /re/.test(s);`
+    if (token.type === TokenType.LPAREN) {
+      this._parenStack.push(this._afterControlKeyword);
+    } else if (token.type === TokenType.RPAREN) {
+      closesControlHead = this._parenStack.pop() === true;
+    }
+
+    this._afterControlKeyword = token.type === TokenType.KEYWORD &&
+      (CONTROL_HEAD_KEYWORDS.has(token.value) ||
+        (token.value === 'await' && this._afterControlKeyword));
+    this._regexAllowed = closesControlHead || (!DIVISION_PRECEDERS.has(token.type) &&
+      !(token.type === TokenType.KEYWORD && token.value === 'super'));
 
+    return token;
+  };
+
+  /**
+   * Scan the token at the current position
+   * @returns {Token}
+   * @private
+   */
+  SimpleTokenizer.prototype._scanToken = function() {
     if (this._pos >= this._source.length) {
       return new Token(TokenType.EOF, '', this._pos, this._pos);
     }
 
-    var start = this._pos;
     var ch = this._source[this._pos];
 
     // String literals
@@ -302,24 +442,48 @@
     }
 
     // Identifiers and keywords
-    if (this._isIdentifierStart(ch)) {
+    if (this._isIdentifierStartAt(this._pos)) {
       return this._readIdentifier();
     }
 
+    // Private class member names
+    if (ch === '#' && this._isIdentifierStartAt(this._pos + 1)) {
+      return this._readPrivateName();
+    }
+
+    // Regular expressions, where an operand is expected
+    if (ch === '/' && this._regexAllowed) {
+      var regex = this._readRegex();
+      if (regex) {
+        return regex;
+      }
+    }
+
     // Operators and punctuation
     return this._readOperator();
   };
 
   /**
    * Skip whitespace and comments
+   * @returns {boolean} Whether a line break was skipped
    * @private
    */
   SimpleTokenizer.prototype._skipWhitespaceAndComments = function() {
+    var newline = false;
+
+    // Hashbang line
+    if (this._pos === 0 && this._source[0] === '#' && this._source[1] === '!') {
+      while (this._pos < this._source.length && this._source[this._pos] !== '\n') {
+        this._pos++;
+      }
+    }
+
     while (this._pos < this._source.length) {
       var ch = this._source[this._pos];
 
       // Whitespace
       if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+        if (ch === '\n') newline = true;
         this._pos++;
         continue;
       }
@@ -341,6 +505,7 @@
             this._pos += 2;
             break;
           }
+          if (this._source[this._pos] === '\n') newline = true;
           this._pos++;
         }
         continue;
@@ -348,6 +513,8 @@
 
       break;
     }
+
+    return newline;
   };
 
   /**
@@ -398,7 +565,8 @@
   };
 
   /**
-   * Read a template literal
+   * Read a template literal. The source ranges of its ${...} expressions
+   * are recorded on the token's `expressions` property.
    * @returns {Token}
    * @private
    */
@@ -406,13 +574,17 @@
     var start = this._pos;
     this._pos++; // Skip opening backtick
     var value = '';
+    var expressions = [];
+    var token;
 
     while (this._pos < this._source.length) {
       var ch = this._source[this._pos];
 
       if (ch === '`') {
         this._pos++;
-        return new Token(TokenType.TEMPLATE, value, start, this._pos);
+        token = new Token(TokenType.TEMPLATE, value, start, this._pos);
+        token.expressions = expressions;
+        return token;
       }
 
       if (ch === '\\' && this._pos + 1 < this._source.length) {
@@ -422,18 +594,12 @@
         continue;
       }
 
-      // Skip template expressions ${...}
+      // Template expressions ${...}
       if (ch === '$' && this._source[this._pos + 1] === '{') {
-        var depth = 1;
         this._pos += 2;
-        value += '${';
-        while (this._pos < this._source.length && depth > 0) {
-          var c = this._source[this._pos];
-          if (c === '{') depth++;
-          else if (c === '}') depth--;
-          value += c;
-          this._pos++;
-        }
+        var range = this._skipTemplateExpression();
+        expressions.push(range);
+        value += '${' + this._source.substring(range.start, range.end) + '}';
         continue;
       }
 
@@ -441,7 +607,43 @@
       this._pos++;
     }
 
-    return new Token(TokenType.TEMPLATE, value, start, this._pos);
+    token = new Token(TokenType.TEMPLATE, value, start, this._pos);
+    token.expressions = expressions;
+    return token;
+  };
+
+  /**
+   * Skip the body of a ${...} template expression, leaving the position
+   * after its closing brace. Nested strings, templates and blocks are
+   * tokenized so their braces do not end the expression early.
+   * @returns {{start: number, end: number}} Range of the expression source
+   * @private
+   */
+  SimpleTokenizer.prototype._skipTemplateExpression = function() {
+    var inner = new SimpleTokenizer(this._source);
+    var start = this._pos;
+    var depth = 0;
+
+    inner.reset(start);
+
+    while (true) {
+      var token = inner.next();
+
+      if (token.type === TokenType.EOF) {
+        this._pos = this._source.length;
+        return { start: start, end: this._pos };
+      }
+
+      if (token.type === TokenType.LBRACE) {
+        depth++;
+      } else if (token.type === TokenType.RBRACE) {
+        if (depth === 0) {
+          this._pos = token.end;
+          return { start: start, end: token.start };
+        }
+        depth--;
+      }
+    }
   };
 
   /**
@@ -459,16 +661,21 @@
       if (next === 'x' || next === 'o' || next === 'b') {
         value += this._source[this._pos] + this._source[this._pos + 1];
         this._pos += 2;
-        while (this._pos < this._source.length && this._isHexDigit(this._source[this._pos])) {
+        while (this._pos < this._source.length &&
+               (this._isHexDigit(this._source[this._pos]) || this._source[this._pos] === '_')) {
           value += this._source[this._pos];
           this._pos++;
         }
+        if (this._source[this._pos] === 'n') {
+          value += 'n';
+          this._pos++;
+        }
         return new Token(TokenType.NUMBER, value, start, this._pos);
       }
     }
 
-    // Regular number
-    while (this._pos < this._source.length && this._isDigit(this._source[this._pos])) {
+    // Regular number (digits may be grouped with '_' separators)
+    while (this._pos < this._source.length && this._isDigitOrSeparator(this._source[this._pos])) {
       value += this._source[this._pos];
       this._pos++;
     }
@@ -477,7 +684,7 @@
     if (this._pos < this._source.length && this._source[this._pos] === '.') {
       value += '.';
       this._pos++;
-      while (this._pos < this._source.length && this._isDigit(this._source[this._pos])) {
+      while (this._pos < this._source.length && this._isDigitOrSeparator(this._source[this._pos])) {
         value += this._source[this._pos];
         this._pos++;
       }
@@ -513,11 +720,11 @@
    */
   SimpleTokenizer.prototype._readIdentifier = function() {
     var start = this._pos;
-    var value = '';
+    var value = this._readIdentifierName();
 
-    while (this._pos < this._source.length && this._isIdentifierPart(this._source[this._pos])) {
-      value += this._source[this._pos];
-      this._pos++;
+    // A name written with escapes is never a keyword
+    if (this._pos - start !== value.length) {
+      return new Token(TokenType.IDENTIFIER, value, start, this._pos);
     }
 
     // Check for special keywords
@@ -575,6 +782,134 @@
     return new Token(TokenType.IDENTIFIER, value, start, this._pos);
   };
 
+  /**
+   * Read a private class member name (#name)
+   * @returns {Token}
+   * @private
+   */
+  SimpleTokenizer.prototype._readPrivateName = function() {
+    var start = this._pos;
+    this._pos++; // Skip '#'
+
+    var name = this._readIdentifierName();
+
+    return new Token(TokenType.PRIVATE_NAME, '#' + name, start, this._pos);
+  };
+
+  /**
+   * Read the characters of an identifier name, decoding \\uXXXX and
+   * \\u{X...} escapes. Reading stops before an escape that is malformed or
+   * does not stand for an identifier character.
+   * @returns {string} The name
+   * @private
+   */
+  SimpleTokenizer.prototype._readIdentifierName = function() {
+    var value = '';
+
+    while (this._pos < this._source.length) {
+      var ch = this._source[this._pos];
+
+      if (ch === '\\') {
+        var escape = this._readUnicodeEscape(this._pos);
+        var valid = escape !== null && (value === '' ?
+          this._isIdentifierStart(escape.value) :
+          this._isIdentifierPart(escape.value));
+
+        if (!valid) break;
+
+        value += escape.value;
+        this._pos = escape.end;
+      } else if (value === '' ? this._isIdentifierStart(ch) : this._isIdentifierPart(ch)) {
+        value += ch;
+        this._pos++;
+      } else {
+        break;
+      }
+    }
+
+    return value;
+  };
+
+  /**
+   * Decode a \\uXXXX or \\u{X...} escape
+   * @param {number} pos - Position of the backslash
+   * @returns {{value: string, end: number}|null} The character and the
+   *   position after the escape, or null when it is malformed
+   * @private
+   */
+  SimpleTokenizer.prototype._readUnicodeEscape = function(pos) {
+    var source = this._source;
+    var hex = '';
+    var end;
+
+    if (source[pos + 1] !== 'u') return null;
+
+    if (source[pos + 2] === '{') {
+      end = pos + 3;
+      while (end < source.length && this._isHexDigit(source[end])) {
+        hex += source[end];
+        end++;
+      }
+      if (hex === '' || source[end] !== '}') return null;
+      end++;
+    } else {
+      hex = source.substring(pos + 2, pos + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) return null;
+      end = pos + 6;
+    }
+
+    var codePoint = parseInt(hex, 16);
+    if (codePoint > 0x10FFFF) return null;
+
+    return { value: String.fromCodePoint(codePoint), end: end };
+  };
+
+  /**
+   * Read a regular expression literal. Returns null, leaving the position
+   * unchanged, when no closing '/' is found on the same line so the '/'
+   * is read as an operator instead.
+   * @returns {Token|null}
+   * @private
+   */
+  SimpleTokenizer.prototype._readRegex = function() {
+    var start = this._pos;
+    var pos = start + 1;
+    var inClass = false;
+
+    while (pos < this._source.length) {
+      var ch = this._source[pos];
+
+      if (ch === '\n' || ch === '\r') {
+        return null;
+      }
+      if (ch === '\\') {
+        pos += 2;
+        continue;
+      }
+      if (ch === '[') {
+        inClass = true;
+      } else if (ch === ']') {
+        inClass = false;
+      } else if (ch === '/' && !inClass) {
+        break;
+      }
+      pos++;
+    }
+
+    if (pos >= this._source.length) {
+      return null;
+    }
+
+    // Skip closing '/' and flags
+    pos++;
+    while (pos < this._source.length && this._isIdentifierPart(this._source[pos])) {
+      pos++;
+    }
+
+    this._pos = pos;
+    return new Token(TokenType.REGEX, this._source.substring(start, pos), start, pos);
+  };
+
   /**
    * Read an operator or punctuation
    * @returns {Token}
@@ -585,6 +920,13 @@
     var ch = this._source[this._pos];
     var next = this._source[this._pos + 1];
     var third = this._source[this._pos + 2];
+    var fourth = this._source[this._pos + 3];
+
+    // Four-character operators
+    if (ch === '>' && next === '>' && third === '>' && fourth === '=') {
+      this._pos += 4;
+      return new Token(TokenType.COMPOUND_ASSIGN, '>>>=', start, this._pos);
+    }
 
     // Three-character operators
     if (ch === '.' && next === '.' && third === '.') {
@@ -599,17 +941,19 @@
       this._pos += 3;
       return new Token(TokenType.STRICT_NEQ, '!==', start, this._pos);
     }
-    if (ch === '*' && next === '*' && third === '=') {
+    if (ch === '>' && next === '>' && third === '>') {
       this._pos += 3;
-      return new Token(TokenType.ASSIGN, '**=', start, this._pos);
+      return new Token(TokenType.UNSIGNED_RIGHT_SHIFT, '>>>', start, this._pos);
     }
-    if (ch === '?' && next === '?' && third === '=') {
+    if (third === '=' && ((ch === '*' && next === '*') || (ch === '?' && next === '?') ||
+        (ch === '<' && next === '<') || (ch === '>' && next === '>') ||
+        (ch === '&' && next === '&') || (ch === '|' && next === '|'))) {
       this._pos += 3;
-      return new Token(TokenType.ASSIGN, '??=', start, this._pos);
+      return new Token(TokenType.COMPOUND_ASSIGN, ch + next + third, start, this._pos);
     }
 
     // Two-character operators
-    if (ch === '?' && next === '.') {
+    if (ch === '?' && next === '.' && !this._isDigit(third)) {
       this._pos += 2;
       return new Token(TokenType.OPTIONAL_CHAIN, '?.', start, this._pos);
     }
@@ -659,11 +1003,23 @@
     }
     if (ch === '+' && next === '+') {
       this._pos += 2;
-      return new Token(TokenType.PLUS, '++', start, this._pos);
+      return new Token(TokenType.INCREMENT, '++', start, this._pos);
     }
     if (ch === '-' && next === '-') {
       this._pos += 2;
-      return new Token(TokenType.MINUS, '--', start, this._pos);
+      return new Token(TokenType.DECREMENT, '--', start, this._pos);
+    }
+    if (ch === '<' && next === '<') {
+      this._pos += 2;
+      return new Token(TokenType.LEFT_SHIFT, '<<', start, this._pos);
+    }
+    if (ch === '>' && next === '>') {
+      this._pos += 2;
+      return new Token(TokenType.RIGHT_SHIFT, '>>', start, this._pos);
+    }
+    if (next === '=' && (ch === '*' || ch === '/' || ch === '%' || ch === '&' || ch === '|' || ch === '^')) {
+      this._pos += 2;
+      return new Token(TokenType.COMPOUND_ASSIGN, ch + '=', start, this._pos);
     }
 
     // Single-character operators
@@ -689,6 +1045,10 @@
       case '<': return new Token(TokenType.LT, '<', start, this._pos);
       case '>': return new Token(TokenType.GT, '>', start, this._pos);
       case '!': return new Token(TokenType.NOT, '!', start, this._pos);
+      case '&': return new Token(TokenType.BIT_AND, '&', start, this._pos);
+      case '|': return new Token(TokenType.BIT_OR, '|', start, this._pos);
+      case '^': return new Token(TokenType.BIT_XOR, '^', start, this._pos);
+      case '~': return new Token(TokenType.BIT_NOT, '~', start, this._pos);
     }
 
     return new Token(TokenType.UNKNOWN, ch, start, this._pos);
@@ -708,6 +1068,16 @@
     return ch >= '0' && ch <= '9';
   };
 
+  /**
+   * Check if character is a digit or a numeric separator
+   * @param {string} ch - Character
+   * @returns {boolean}
+   * @private
+   */
+  SimpleTokenizer.prototype._isDigitOrSeparator = function(ch) {
+    return this._isDigit(ch) || ch === '_';
+  };
+
   /**
    * Check if character is a hex digit
    * @param {string} ch - Character
@@ -729,7 +1099,26 @@
   SimpleTokenizer.prototype._isIdentifierStart = function(ch) {
     return (ch >= 'a' && ch <= 'z') ||
            (ch >= 'A' && ch <= 'Z') ||
-           ch === '_' || ch === '$';
+           ch === '_' || ch === '$' ||
+           (ch > '\x7f' && UNICODE_ID_START.test(ch));
+  };
+
+  /**
+   * Check if an identifier starts at a position, either with an
+   * identifier character or with an escape standing for one
+   * @param {number} pos - Position to check
+   * @returns {boolean}
+   * @private
+   */
+  SimpleTokenizer.prototype._isIdentifierStartAt = function(pos) {
+    var ch = this._source[pos];
+
+    if (ch !== '\\') {
+      return pos < this._source.length && this._isIdentifierStart(ch);
+    }
+
+    var escape = this._readUnicodeEscape(pos);
+    return escape !== null && this._isIdentifierStart(escape.value);
   };
 
   /**
@@ -739,7 +1128,8 @@
    * @private
    */
   SimpleTokenizer.prototype._isIdentifierPart = function(ch) {
-    return this._isIdentifierStart(ch) || this._isDigit(ch);
+    return this._isIdentifierStart(ch) || this._isDigit(ch) ||
+      (ch > '\x7f' && UNICODE_ID_CONTINUE.test(ch));
   };
 
   // ============================================
@@ -143,6 +143,47 @@
     });
   };
 
+  /**
+   * Attach a scope subtree kept from an earlier analysis under the current
+   * scope, moving its offsets by the length change of the edits before it
+   * @param {Scope} scope - Root of the subtree
+   * @param {number} delta - Offset change
+   * @returns {Scope}
+   */
+  ScopeManager.prototype.adoptScope = function(scope, delta) {
+    scope.parent = this.currentScope;
+    this.currentScope.children.push(scope);
+    this._moveSubtree(scope, delta);
+    return scope;
+  };
+
+  /**
+   * Register an adopted subtree and update its depths and offsets, and the
+   * declaration locations of its symbols
+   * @param {Scope} scope - Subtree root, already linked to its parent
+   * @param {number} delta - Offset change
+   * @private
+   */
+  ScopeManager.prototype._moveSubtree = function(scope, delta) {
+    scope.depth = scope.parent.depth + 1;
+    scope.startOffset += delta;
+    scope.endOffset += delta;
+    this._allScopes.push(scope);
+
+    if (delta !== 0) {
+      scope.symbols.forEach(function(symbol) {
+        if (symbol.location) {
+          symbol.location.start += delta;
+          symbol.location.end += delta;
+        }
+      });
+    }
+
+    for (var i = 0; i < scope.children.length; i++) {
+      this._moveSubtree(scope.children[i], delta);
+    }
+  };
+
   // ----------------------------------------
   // Symbol Definition
   // ----------------------------------------
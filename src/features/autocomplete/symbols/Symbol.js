@@ -43,8 +43,8 @@
     this.type = type || Type.ANY;
 
     /**
-     * Location where symbol is defined
-     * @type {{ start: number, end: number, line: number, column: number }|null}
+     * Range of the name that declares the symbol
+     * @type {{ start: number, end: number }|null}
      */
     this.location = options.location || null;
 
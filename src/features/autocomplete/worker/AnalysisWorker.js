@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Entry script of the analysis worker
+ * @module features/autocomplete/worker/AnalysisWorker
+ *
+ * Loads the autocomplete sources into the worker and hands every message
+ * to an AnalysisWorkerHost. Started by TypeCheckerProxy; not loaded as a
+ * page script.
+ */
+
+(function(scope) {
+  'use strict';
+
+  // The modules register on window.CodeEditor
+  scope.window = scope;
+
+  // Same order as the script tags of the page, relative to this file
+  var SCRIPTS = [
+    '../types/TypeKind.js',
+    '../types/Type.js',
+    '../types/PrimitiveType.js',
+    '../types/ObjectType.js',
+    '../types/ArrayType.js',
+    '../types/FunctionType.js',
+    '../types/ClassType.js',
+    '../types/UnionType.js',
+    '../types/TypeVariable.js',
+    '../types/GenericType.js',
+    '../types/TypeSubstitution.js',
+    '../types/BuiltinTypes.js',
+    '../symbols/SymbolKind.js',
+    '../symbols/Symbol.js',
+    '../symbols/Scope.js',
+    '../symbols/ScopeManager.js',
+    '../parser/SimpleTokenizer.js',
+    '../parser/ExpressionNode.js',
+    '../parser/ExpressionParser.js',
+    '../inference/ReturnTypeAnalyzer.js',
+    '../inference/GenericInference.js',
+    '../inference/TypeInferenceEngine.js',
+    '../inference/ClassTypeBuilder.js',
+    '../inference/ThisContextTracker.js',
+    '../SymbolReferences.js',
+    '../DocumentSymbols.js',
+    '../DiagnosticProviders.js',
+    '../TypeChecker.js',
+    '../AnalysisService.js',
+    'WorkerProtocol.js',
+    'AnalysisWorkerHost.js'
+  ];
+
+  scope.importScripts.apply(scope, SCRIPTS);
+
+  var host = new scope.CodeEditor.AnalysisWorkerHost({
+    postMessage: function(message) {
+      scope.postMessage(message);
+    }
+  });
+
+  scope.onmessage = function(event) {
+    host.receive(event.data);
+  };
+
+})(self);
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Worker side of the analysis protocol
+ * @module features/autocomplete/worker/AnalysisWorkerHost
+ *
+ * Keeps an AnalysisService per open document and answers queries against
+ * it. Document messages are applied as they arrive; queries are queued
+ * and run one per task, so that changes and cancellations sent while a
+ * query runs are seen before the next one starts.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var AnalysisService = CodeEditor.AnalysisService;
+  var WorkerProtocol = CodeEditor.WorkerProtocol;
+  var MessageType = WorkerProtocol.MessageType;
+
+  // ============================================
+  // AnalysisWorkerHost Class
+  // ============================================
+
+  /**
+   * Message handler running next to the type checker
+   * @class
+   * @param {Object} options - Configuration options
+   * @param {Function} options.postMessage - Sends a reply to the main thread
+   * @param {Function} [options.schedule] - Runs a callback in a later task (default: setTimeout 0)
+   */
+  function AnalysisWorkerHost(options) {
+    /**
+     * Sends a reply to the main thread
+     * @type {Function}
+     */
+    this._postMessage = options.postMessage;
+
+    /**
+     * Runs a callback in a later task
+     * @type {Function}
+     */
+    this._schedule = options.schedule || function(callback) {
+      setTimeout(callback, 0);
+    };
+
+    /**
+     * Open documents by id
+     * @type {Map<number, AnalysisService>}
+     */
+    this._documents = new Map();
+
+    /**
+     * Queries waiting to run
+     * @type {Object[]}
+     */
+    this._queue = [];
+
+    /**
+     * Whether a task to run the next query is scheduled
+     * @type {boolean}
+     */
+    this._scheduled = false;
+  }
+
+  // ----------------------------------------
+  // Public API
+  // ----------------------------------------
+
+  /**
+   * Handle a message from the main thread
+   * @param {Object} message - Message (see WorkerProtocol.MessageType)
+   */
+  AnalysisWorkerHost.prototype.receive = function(message) {
+    switch (message.type) {
+      case MessageType.OPEN:
+        this._open(message.documentId, message.source);
+        break;
+
+      case MessageType.CHANGE:
+        var service = this._documents.get(message.documentId);
+        if (service) {
+          service.applyChange(message.change);
+        }
+        break;
+
+      case MessageType.CLOSE:
+        this._close(message.documentId);
+        break;
+
+      case MessageType.CANCEL:
+        this._cancel(message.requestId);
+        break;
+
+      default:
+        if (!WorkerProtocol.QUERY_METHODS[message.type]) {
+          this._reply(message.id, MessageType.ERROR, 'Unknown message type: ' + message.type);
+          return;
+        }
+        this._queue.push(message);
+        this._scheduleNext();
+    }
+  };
+
+  /**
+   * Run all queued queries now
+   */
+  AnalysisWorkerHost.prototype.processQueue = function() {
+    while (this._queue.length > 0) {
+      this._run(this._queue.shift());
+    }
+  };
+
+  /**
+   * Get the number of queued queries
+   * @returns {number}
+   */
+  AnalysisWorkerHost.prototype.getPendingCount = function() {
+    return this._queue.length;
+  };
+
+  /**
+   * Get the analysis service of an open document
+   * @param {number} documentId - Document id
+   * @returns {AnalysisService|null}
+   */
+  AnalysisWorkerHost.prototype.getDocument = function(documentId) {
+    return this._documents.get(documentId) || null;
+  };
+
+  // ----------------------------------------
+  // Documents
+  // ----------------------------------------
+
+  /**
+   * @param {number} documentId
+   * @param {string} source
+   * @private
+   */
+  AnalysisWorkerHost.prototype._open = function(documentId, source) {
+    var service = this._documents.get(documentId);
+    if (!service) {
+      service = new AnalysisService();
+      this._documents.set(documentId, service);
+    }
+    service.open(source);
+  };
+
+  /**
+   * @param {number} documentId
+   * @private
+   */
+  AnalysisWorkerHost.prototype._close = function(documentId) {
+    var service = this._documents.get(documentId);
+    if (!service) return;
+
+    service.dispose();
+    this._documents.delete(documentId);
+
+    var remaining = [];
+    for (var i = 0; i < this._queue.length; i++) {
+      if (this._queue[i].documentId === documentId) {
+        this._reply(this._queue[i].id, MessageType.CANCELLED);
+      } else {
+        remaining.push(this._queue[i]);
+      }
+    }
+    this._queue = remaining;
+  };
+
+  // ----------------------------------------
+  // Queries
+  // ----------------------------------------
+
+  /**
+   * Drop a query that has not run yet; one already answered is ignored
+   * @param {number} requestId
+   * @private
+   */
+  AnalysisWorkerHost.prototype._cancel = function(requestId) {
+    for (var i = 0; i < this._queue.length; i++) {
+      if (this._queue[i].id === requestId) {
+        this._queue.splice(i, 1);
+        this._reply(requestId, MessageType.CANCELLED);
+        return;
+      }
+    }
+  };
+
+  /**
+   * @private
+   */
+  AnalysisWorkerHost.prototype._scheduleNext = function() {
+    if (this._scheduled || this._queue.length === 0) return;
+
+    var self = this;
+    this._scheduled = true;
+    this._schedule(function() {
+      self._scheduled = false;
+      if (self._queue.length > 0) {
+        self._run(self._queue.shift());
+      }
+      self._scheduleNext();
+    });
+  };
+
+  /**
+   * Answer one query against the current source of its document, or the
+   * source sent with it
+   * @param {Object} request - Query message
+   * @private
+   */
+  AnalysisWorkerHost.prototype._run = function(request) {
+    var service = this._documents.get(request.documentId);
+    if (!service) {
+      this._reply(request.id, MessageType.ERROR, 'Document is not open: ' + request.documentId);
+      return;
+    }
+
+    var checker = service.getTypeChecker();
+    var method = WorkerProtocol.QUERY_METHODS[request.type];
+
+    try {
+      var source = typeof request.source === 'string' ? request.source : service.getSource();
+      var result = checker[method](source, request.offset);
+      this._reply(request.id, MessageType.RESULT, WorkerProtocol.serialize(result));
+    } catch (e) {
+      this._reply(request.id, MessageType.ERROR, e.message);
+    }
+  };
+
+  /**
+   * @param {number} id - Request id
+   * @param {string} type - Reply type
+   * @param {*} [payload] - Result, or error message
+   * @private
+   */
+  AnalysisWorkerHost.prototype._reply = function(id, type, payload) {
+    var message = { type: type, id: id };
+    if (type === MessageType.RESULT) {
+      message.result = payload;
+    } else if (type === MessageType.ERROR) {
+      message.message = payload;
+    }
+    this._postMessage(message);
+  };
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.AnalysisWorkerHost = AnalysisWorkerHost;
+
+})(window.CodeEditor = window.CodeEditor || {});
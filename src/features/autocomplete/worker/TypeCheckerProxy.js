@@ -0,0 +1,454 @@
+/**
+ * @fileoverview Main-thread proxy for the analysis worker
+ * @module features/autocomplete/worker/TypeCheckerProxy
+ *
+ * Offers the query methods of TypeChecker, returning promises, and runs
+ * them in a Web Worker so that analyzing a large file does not block
+ * typing. Like AnalysisService, a proxy follows one document and forwards
+ * its edits, so queries about it only send an offset. Where workers are not
+ * available (file:// pages, a worker script that fails to load) the same
+ * protocol is served on the main thread.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var WorkerProtocol = CodeEditor.WorkerProtocol;
+  var MessageType = WorkerProtocol.MessageType;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Default location of the worker script, relative to the page
+  var DEFAULT_WORKER_URL = 'src/features/autocomplete/worker/AnalysisWorker.js';
+
+  // Ids of followed documents, unique per page
+  var nextDocumentId = 1;
+
+  // ============================================
+  // TypeCheckerProxy Class
+  // ============================================
+
+  /**
+   * Asynchronous TypeChecker backed by the analysis worker
+   * @class
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.workerUrl] - Worker script URL (default: DEFAULT_WORKER_URL)
+   * @param {boolean} [options.useWorker] - Set to false to analyze on the main thread (default: true)
+   */
+  function TypeCheckerProxy(options) {
+    options = options || {};
+
+    /**
+     * Id of the followed document in the host
+     * @type {number}
+     */
+    this._documentId = nextDocumentId++;
+
+    /**
+     * Current source, as last sent to the host
+     * @type {string}
+     */
+    this._source = '';
+
+    /**
+     * Next request id
+     * @type {number}
+     */
+    this._nextRequestId = 1;
+
+    /**
+     * Unanswered queries by id
+     * @type {Map<number, {message: Object, resolve: Function, reject: Function}>}
+     */
+    this._pending = new Map();
+
+    /**
+     * Worker, or null when analyzing on the main thread
+     * @type {Worker|null}
+     */
+    this._worker = null;
+
+    /**
+     * Main-thread host, when there is no worker
+     * @type {AnalysisWorkerHost|null}
+     */
+    this._localHost = null;
+
+    /**
+     * Unsubscribes from the attached document
+     * @type {Function|null}
+     */
+    this._detach = null;
+
+    this._disposed = false;
+
+    if (options.useWorker !== false && typeof Worker !== 'undefined') {
+      this._startWorker(options.workerUrl || DEFAULT_WORKER_URL);
+    }
+    if (!this._worker) {
+      this._startLocalHost();
+    }
+  }
+
+  // ----------------------------------------
+  // Document Sync
+  // ----------------------------------------
+
+  /**
+   * Replace the whole source
+   * @param {string} source - Source code
+   */
+  TypeCheckerProxy.prototype.open = function(source) {
+    this._source = source || '';
+    this._send({ type: MessageType.OPEN, documentId: this._documentId, source: this._source });
+  };
+
+  /**
+   * Forward an edit of the source
+   * @param {{startOffset: number, endOffset: number, insertedText: string}} change - Edit
+   *   in offsets of the source before it, as emitted by Document
+   */
+  TypeCheckerProxy.prototype.applyChange = function(change) {
+    var text = change.insertedText || '';
+
+    this._source = this._source.slice(0, change.startOffset) + text + this._source.slice(change.endOffset);
+    this._send({
+      type: MessageType.CHANGE,
+      documentId: this._documentId,
+      change: { startOffset: change.startOffset, endOffset: change.endOffset, insertedText: text }
+    });
+  };
+
+  /**
+   * Follow the edits of a document until detach() or dispose()
+   * @param {Document} document - Document
+   */
+  TypeCheckerProxy.prototype.attach = function(document) {
+    var self = this;
+
+    this.detach();
+    this.open(document.getText());
+    this._detach = document.on('change', function(change) {
+      self.applyChange(change);
+    });
+  };
+
+  /**
+   * Stop following the attached document
+   */
+  TypeCheckerProxy.prototype.detach = function() {
+    if (this._detach) {
+      this._detach();
+      this._detach = null;
+    }
+  };
+
+  // ----------------------------------------
+  // Queries
+  // ----------------------------------------
+
+  /**
+   * See TypeChecker#getCompletionsAtOffset
+   * @param {string} source - Source code
+   * @param {number} offset - Cursor offset
+   * @returns {Promise<Object|null>} null when cancelled
+   */
+  TypeCheckerProxy.prototype.getCompletionsAtOffset = function(source, offset) {
+    return this._query(MessageType.COMPLETIONS, source, offset);
+  };
+
+  /**
+   * See TypeChecker#getHoverInfo
+   * @param {string} source - Source code
+   * @param {number} offset - Character offset
+   * @returns {Promise<Object|null>}
+   */
+  TypeCheckerProxy.prototype.getHoverInfo = function(source, offset) {
+    return this._query(MessageType.HOVER, source, offset);
+  };
+
+  /**
+   * See TypeChecker#getTypeAtOffset
+   * @param {string} source - Source code
+   * @param {number} offset - Character offset
+   * @returns {Promise<RemoteType|null>} null when cancelled
+   */
+  TypeCheckerProxy.prototype.getTypeAtOffset = function(source, offset) {
+    return this._query(MessageType.TYPE_AT_OFFSET, source, offset);
+  };
+
+  /**
+   * See TypeChecker#getSignatureHelpAtOffset
+   * @param {string} source - Source code
+   * @param {number} offset - Cursor offset
+   * @returns {Promise<Object|null>}
+   */
+  TypeCheckerProxy.prototype.getSignatureHelpAtOffset = function(source, offset) {
+    return this._query(MessageType.SIGNATURE_HELP, source, offset);
+  };
+
+  /**
+   * See TypeChecker#getCallContext
+   * @param {string} source - Source code
+   * @param {number} offset - Cursor offset
+   * @returns {Promise<Object|null>}
+   */
+  TypeCheckerProxy.prototype.getCallContext = function(source, offset) {
+    return this._query(MessageType.CALL_CONTEXT, source, offset);
+  };
+
+  /**
+   * See TypeChecker#getDiagnostics
+   * @param {string} source - Source code
+   * @returns {Promise<Object[]|null>} null when cancelled
+   */
+  TypeCheckerProxy.prototype.getDiagnostics = function(source) {
+    return this._query(MessageType.DIAGNOSTICS, source, 0);
+  };
+
+  /**
+   * See TypeChecker#getDefinition
+   * @param {string} source - Source code
+   * @param {number} offset - Character offset
+   * @returns {Promise<Object|null>}
+   */
+  TypeCheckerProxy.prototype.getDefinition = function(source, offset) {
+    return this._query(MessageType.DEFINITION, source, offset);
+  };
+
+  /**
+   * See TypeChecker#getReferences
+   * @param {string} source - Source code
+   * @param {number} offset - Character offset
+   * @returns {Promise<Object[]|null>}
+   */
+  TypeCheckerProxy.prototype.getReferences = function(source, offset) {
+    return this._query(MessageType.REFERENCES, source, offset);
+  };
+
+  /**
+   * See TypeChecker#getRenameLocations
+   * @param {string} source - Source code
+   * @param {number} offset - Character offset
+   * @returns {Promise<Object|null>}
+   */
+  TypeCheckerProxy.prototype.getRenameLocations = function(source, offset) {
+    return this._query(MessageType.RENAME_LOCATIONS, source, offset);
+  };
+
+  /**
+   * See TypeChecker#getDocumentSymbols
+   * @param {string} source - Source code
+   * @returns {Promise<Object[]|null>} null when cancelled
+   */
+  TypeCheckerProxy.prototype.getDocumentSymbols = function(source) {
+    return this._query(MessageType.DOCUMENT_SYMBOLS, source, 0);
+  };
+
+  /**
+   * Get type string representation
+   * @param {RemoteType} type - Type from a query result
+   * @returns {string}
+   */
+  TypeCheckerProxy.prototype.typeToString = function(type) {
+    if (!type) return 'any';
+    return type.toString();
+  };
+
+  /**
+   * Cancel a query that has not run yet; its promise resolves to null
+   * @param {Promise|number} request - Promise returned by a query, or its requestId
+   */
+  TypeCheckerProxy.prototype.cancel = function(request) {
+    var id = typeof request === 'number' ? request : request && request.requestId;
+    if (this._pending.has(id)) {
+      this._send({ type: MessageType.CANCEL, requestId: id });
+    }
+  };
+
+  /**
+   * Check whether queries run in a worker
+   * @returns {boolean}
+   */
+  TypeCheckerProxy.prototype.isWorker = function() {
+    return this._worker !== null;
+  };
+
+  /**
+   * Stop the worker; unanswered queries resolve to null
+   */
+  TypeCheckerProxy.prototype.dispose = function() {
+    if (this._disposed) return;
+
+    this.detach();
+    this._send({ type: MessageType.CLOSE, documentId: this._documentId });
+    this._disposed = true;
+
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+    this._localHost = null;
+
+    this._pending.forEach(function(request) {
+      request.resolve(null);
+    });
+    this._pending.clear();
+  };
+
+  // ----------------------------------------
+  // Messaging
+  // ----------------------------------------
+
+  /**
+   * Send a query; a source other than the followed one is sent along
+   * @param {string} type - Query message type
+   * @param {string} source - Source code
+   * @param {number} offset - Offset
+   * @returns {Promise} Carries the request id as `requestId`
+   * @private
+   */
+  TypeCheckerProxy.prototype._query = function(type, source, offset) {
+    if (this._disposed) {
+      return Promise.resolve(null);
+    }
+
+    var self = this;
+    var message = { type: type, id: this._nextRequestId++, documentId: this._documentId, offset: offset };
+    if (source !== this._source) {
+      message.source = source;
+    }
+
+    var promise = new Promise(function(resolve, reject) {
+      self._pending.set(message.id, { message: message, resolve: resolve, reject: reject });
+    });
+    promise.requestId = message.id;
+
+    this._send(message);
+    return promise;
+  };
+
+  /**
+   * @param {Object} message
+   * @private
+   */
+  TypeCheckerProxy.prototype._send = function(message) {
+    if (this._disposed) return;
+
+    if (this._worker) {
+      this._worker.postMessage(message);
+    } else {
+      this._localHost.receive(message);
+    }
+  };
+
+  /**
+   * Settle the query a reply is for
+   * @param {Object} message - Reply
+   * @private
+   */
+  TypeCheckerProxy.prototype._receive = function(message) {
+    var request = this._pending.get(message.id);
+    if (!request) return;
+
+    this._pending.delete(message.id);
+
+    switch (message.type) {
+      case MessageType.RESULT:
+        request.resolve(WorkerProtocol.deserialize(message.result));
+        break;
+      case MessageType.CANCELLED:
+        request.resolve(null);
+        break;
+      default:
+        request.reject(new Error(message.message));
+    }
+  };
+
+  // ----------------------------------------
+  // Hosts
+  // ----------------------------------------
+
+  /**
+   * @param {string} url - Worker script URL
+   * @private
+   */
+  TypeCheckerProxy.prototype._startWorker = function(url) {
+    var self = this;
+
+    try {
+      this._worker = new Worker(url);
+    } catch (e) {
+      // Pages opened from file:// may not start workers
+      this._worker = null;
+      return;
+    }
+
+    this._worker.onmessage = function(event) {
+      self._receive(event.data);
+    };
+
+    // A worker that fails to load its scripts cannot answer; move the
+    // document and the unanswered queries to the main thread
+    this._worker.onerror = function(event) {
+      if (event.preventDefault) {
+        event.preventDefault();
+      }
+      self._worker.terminate();
+      self._worker = null;
+      self._startLocalHost();
+      self._resend();
+    };
+  };
+
+  /**
+   * @private
+   */
+  TypeCheckerProxy.prototype._startLocalHost = function() {
+    var self = this;
+
+    this._localHost = new CodeEditor.AnalysisWorkerHost({
+      postMessage: function(message) {
+        self._receive(message);
+      }
+    });
+  };
+
+  /**
+   * Send the followed source and the unanswered queries again
+   * @private
+   */
+  TypeCheckerProxy.prototype._resend = function() {
+    var self = this;
+
+    this._send({ type: MessageType.OPEN, documentId: this._documentId, source: this._source });
+    this._pending.forEach(function(request) {
+      self._send(request.message);
+    });
+  };
+
+  // ============================================
+  // Static Methods
+  // ============================================
+
+  /**
+   * Create a proxy following a document
+   * @param {Document} document - Document
+   * @param {Object} [options] - Options (see constructor)
+   * @returns {TypeCheckerProxy}
+   */
+  TypeCheckerProxy.forDocument = function(document, options) {
+    var proxy = new TypeCheckerProxy(options);
+    proxy.attach(document);
+    return proxy;
+  };
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.TypeCheckerProxy = TypeCheckerProxy;
+
+})(window.CodeEditor = window.CodeEditor || {});
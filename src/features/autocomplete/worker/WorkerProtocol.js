@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Messages exchanged between the main thread and the analysis worker
+ * @module features/autocomplete/worker/WorkerProtocol
+ *
+ * The main thread keeps the worker's copy of a document current with
+ * open/change/close messages and sends queries carrying an id that the
+ * reply echoes. Types cannot cross the worker boundary (structured clone
+ * drops prototypes), so results carry type descriptions which are turned
+ * back into RemoteType objects on the main thread: enough to print a type
+ * and to read the parameters of a function.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var Type = CodeEditor.Type;
+  var TypeKind = CodeEditor.TypeKind;
+
+  // ============================================
+  // Message Types
+  // ============================================
+
+  /**
+   * Message type enumeration
+   * @enum {string}
+   */
+  var MessageType = Object.freeze({
+    // Document sync (main thread -> worker)
+    OPEN: 'open',
+    CHANGE: 'change',
+    CLOSE: 'close',
+
+    // Queries (main thread -> worker), answered with RESULT, ERROR or CANCELLED
+    COMPLETIONS: 'completions',
+    HOVER: 'hover',
+    TYPE_AT_OFFSET: 'typeAtOffset',
+    SIGNATURE_HELP: 'signatureHelp',
+    CALL_CONTEXT: 'callContext',
+    DIAGNOSTICS: 'diagnostics',
+    DEFINITION: 'definition',
+    REFERENCES: 'references',
+    RENAME_LOCATIONS: 'renameLocations',
+    DOCUMENT_SYMBOLS: 'documentSymbols',
+
+    // Drop a query that has not run yet (main thread -> worker)
+    CANCEL: 'cancel',
+
+    // Replies (worker -> main thread)
+    RESULT: 'result',
+    ERROR: 'error',
+    CANCELLED: 'cancelled'
+  });
+
+  /**
+   * TypeChecker method answering each query
+   * @type {Object<string, string>}
+   */
+  var QUERY_METHODS = Object.freeze({
+    completions: 'getCompletionsAtOffset',
+    hover: 'getHoverInfo',
+    typeAtOffset: 'getTypeAtOffset',
+    signatureHelp: 'getSignatureHelpAtOffset',
+    callContext: 'getCallContext',
+    diagnostics: 'getDiagnostics',
+    definition: 'getDefinition',
+    references: 'getReferences',
+    renameLocations: 'getRenameLocations',
+    documentSymbols: 'getDocumentSymbols'
+  });
+
+  // Function types nested deeper than this are sent as text only
+  var MAX_SIGNATURE_DEPTH = 2;
+
+  // ============================================
+  // RemoteType Class
+  // ============================================
+
+  /**
+   * Main-thread stand-in for a type computed in the worker
+   * @class
+   * @param {string} kind - Type kind
+   * @param {string} text - Printed type
+   */
+  function RemoteType(kind, text) {
+    /**
+     * Type kind
+     * @type {string}
+     */
+    this.kind = kind;
+
+    /**
+     * Printed type
+     * @type {string}
+     */
+    this.text = text;
+
+    /**
+     * Parameters, for function types
+     * @type {Array<{name: string, type: RemoteType, optional: boolean, rest: boolean}>|undefined}
+     */
+    this.params = undefined;
+
+    /**
+     * Return type, for function types
+     * @type {RemoteType|undefined}
+     */
+    this.returnType = undefined;
+  }
+
+  /**
+   * Get string representation
+   * @returns {string}
+   */
+  RemoteType.prototype.toString = function() {
+    return this.text;
+  };
+
+  // ============================================
+  // Serialization
+  // ============================================
+
+  /**
+   * Describe a type as plain data
+   * @param {Type} type - Type
+   * @param {number} [depth] - Nesting depth of function types
+   * @returns {{$type: string, text: string, params?: Object[], returnType?: Object}}
+   */
+  function describeType(type, depth) {
+    depth = depth || 0;
+
+    var description = { $type: type.kind, text: type.toString() };
+
+    if (type.kind === TypeKind.FUNCTION && type.params && depth < MAX_SIGNATURE_DEPTH) {
+      description.params = type.params.map(function(param) {
+        return {
+          name: param.name,
+          type: describeType(param.type || Type.ANY, depth + 1),
+          optional: !!param.optional,
+          rest: !!param.rest
+        };
+      });
+      description.returnType = describeType(type.returnType || Type.VOID, depth + 1);
+    }
+
+    return description;
+  }
+
+  /**
+   * Copy a query result into data that can be posted, describing types
+   * @param {*} value - Result
+   * @returns {*}
+   */
+  function serialize(value) {
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (value instanceof Type) {
+      return describeType(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(serialize);
+    }
+
+    var copy = {};
+    for (var key in value) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        copy[key] = serialize(value[key]);
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Turn posted data back into a result, reviving type descriptions
+   * @param {*} value - Posted data
+   * @returns {*}
+   */
+  function deserialize(value) {
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(deserialize);
+    }
+    if (typeof value.$type === 'string') {
+      return reviveType(value);
+    }
+
+    var result = {};
+    for (var key in value) {
+      result[key] = deserialize(value[key]);
+    }
+    return result;
+  }
+
+  /**
+   * @param {Object} description - Output of describeType
+   * @returns {RemoteType}
+   */
+  function reviveType(description) {
+    var type = new RemoteType(description.$type, description.text);
+
+    if (description.params) {
+      type.params = description.params.map(function(param) {
+        return {
+          name: param.name,
+          type: reviveType(param.type),
+          optional: param.optional,
+          rest: param.rest
+        };
+      });
+      type.returnType = reviveType(description.returnType);
+    }
+
+    return type;
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.WorkerProtocol = Object.freeze({
+    MessageType: MessageType,
+    QUERY_METHODS: QUERY_METHODS,
+    serialize: serialize,
+    deserialize: deserialize
+  });
+  CodeEditor.RemoteType = RemoteType;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -4,6 +4,8 @@
  *
  * Highlights matching brackets when cursor is positioned at or after a bracket.
  * Supports (), [], {}, and <> pairs with depth tracking for nested brackets.
+ * The scanning is also exposed statically, for features that need bracket
+ * pairs without the highlight (code folding).
  */
 
 (function(CodeEditor) {
@@ -31,6 +33,84 @@
   // Maximum characters to scan when searching for matching bracket
   var MAX_SCAN_DISTANCE = 10000;
 
+  // ============================================
+  // Bracket Scanning
+  // ============================================
+
+  /**
+   * Find the matching bracket for a bracket at the given position.
+   * Uses depth tracking to handle nested brackets correctly.
+   *
+   * @param {string} text - Full document text
+   * @param {number} offset - Position of the bracket to match
+   * @param {string} bracket - The bracket character
+   * @returns {number} Position of matching bracket, or -1 if not found
+   */
+  function findMatchingBracket(text, offset, bracket) {
+    var isOpening = OPENING_BRACKETS.has(bracket);
+    var target = BRACKETS[bracket];
+    var direction = isOpening ? 1 : -1;
+
+    var depth = 1;
+    var pos = offset + direction;
+    var scanned = 0;
+
+    while (pos >= 0 && pos < text.length && depth > 0 && scanned < MAX_SCAN_DISTANCE) {
+      var char = text[pos];
+
+      // TODO: In future, skip characters inside strings/comments
+      // For now, we do simple matching
+
+      if (char === bracket) {
+        depth++;
+      } else if (char === target) {
+        depth--;
+      }
+
+      if (depth === 0) {
+        return pos;
+      }
+
+      pos += direction;
+      scanned++;
+    }
+
+    return -1; // No match found
+  }
+
+  /**
+   * Find every matched pair of the given opening brackets in one pass.
+   * Each bracket kind keeps its own depth, like findMatchingBracket, so
+   * the pairs are the ones the highlight shows.
+   *
+   * @param {string} text - Full document text
+   * @param {string} openers - Opening brackets to pair, e.g. '{[('
+   * @returns {Array<{open: number, close: number}>} Pairs ordered by closing position
+   */
+  function findBracketPairs(text, openers) {
+    var stacks = {};
+    var pairs = [];
+
+    for (var i = 0; i < openers.length; i++) {
+      stacks[openers[i]] = [];
+    }
+
+    for (var pos = 0; pos < text.length; pos++) {
+      var char = text[pos];
+
+      if (stacks[char]) {
+        stacks[char].push(pos);
+      } else if (BRACKETS[char] && stacks[BRACKETS[char]] && !OPENING_BRACKETS.has(char)) {
+        var stack = stacks[BRACKETS[char]];
+        if (stack.length > 0) {
+          pairs.push({ open: stack.pop(), close: pos });
+        }
+      }
+    }
+
+    return pairs;
+  }
+
   // ============================================
   // Class Definition
   // ============================================
@@ -43,6 +123,13 @@
    * var bracketMatch = new BracketMatchFeature(editor);
    */
   class BracketMatchFeature {
+    // ----------------------------------------
+    // Static Methods
+    // ----------------------------------------
+
+    static findMatchingBracket = findMatchingBracket;
+    static findBracketPairs = findBracketPairs;
+
     // ----------------------------------------
     // Instance Properties
     // ----------------------------------------
@@ -101,6 +188,9 @@
       // Also listen to document changes to update highlights
       this._editor.document.on('change', this._boundHandleSelectionChange);
 
+      // Highlights are sized by the font
+      this._editor.on('optionsChange', this._boundHandleSelectionChange);
+
       // Initial update
       this._updateHighlight();
     }
@@ -134,8 +224,13 @@
       // Only highlight when there's no selection (just cursor)
       if (sel.start !== sel.end) return;
 
-      var text = this._editor.document.getText();
-      var cursorPos = sel.end;
+      // Only the text a scan can reach: the brackets next to the cursor and
+      // MAX_SCAN_DISTANCE characters beyond them either way
+      var doc = this._editor.document;
+      var windowStart = Math.max(0, sel.end - MAX_SCAN_DISTANCE - 2);
+      var windowEnd = Math.min(doc.getLength(), sel.end + MAX_SCAN_DISTANCE + 2);
+      var text = doc.getTextRange(windowStart, windowEnd);
+      var cursorPos = sel.end - windowStart;
 
       // Check character at cursor position
       var bracketPos = -1;
@@ -158,8 +253,8 @@
       var matchPos = this._findMatchingBracket(text, bracketPos, bracket);
 
       if (matchPos !== -1) {
-        this._addDecoration(bracketPos);
-        this._addDecoration(matchPos);
+        this._addDecoration(windowStart + bracketPos);
+        this._addDecoration(windowStart + matchPos);
       }
     }
 
@@ -168,44 +263,14 @@
     // ----------------------------------------
 
     /**
-     * Find the matching bracket for a bracket at the given position.
-     * Uses depth tracking to handle nested brackets correctly.
-     *
-     * @param {string} text - Full document text
-     * @param {number} offset - Position of the bracket to match
+     * Find the matching bracket for a bracket at the given position
+     * @param {string} text - Document text, or the part of it around the bracket
+     * @param {number} offset - Position of the bracket to match in the text
      * @param {string} bracket - The bracket character
      * @returns {number} Position of matching bracket, or -1 if not found
      */
     _findMatchingBracket(text, offset, bracket) {
-      var isOpening = OPENING_BRACKETS.has(bracket);
-      var target = BRACKETS[bracket];
-      var direction = isOpening ? 1 : -1;
-
-      var depth = 1;
-      var pos = offset + direction;
-      var scanned = 0;
-
-      while (pos >= 0 && pos < text.length && depth > 0 && scanned < MAX_SCAN_DISTANCE) {
-        var char = text[pos];
-
-        // TODO: In future, skip characters inside strings/comments
-        // For now, we do simple matching
-
-        if (char === bracket) {
-          depth++;
-        } else if (char === target) {
-          depth--;
-        }
-
-        if (depth === 0) {
-          return pos;
-        }
-
-        pos += direction;
-        scanned++;
-      }
-
-      return -1; // No match found
+      return findMatchingBracket(text, offset, bracket);
     }
 
     // ----------------------------------------
@@ -217,9 +282,12 @@
       var doc = this._editor.document;
       var pos = doc.offsetToPosition(offset);
 
+      // Brackets inside a fold are not shown
+      if (view.isLineHidden(pos.line)) return;
+
       // Calculate position within content area
       var padding = 10; // Matches EditorView padding
-      var top = pos.line * view.lineHeight + padding;
+      var top = view.getLineTop(pos.line) + padding;
       var left = pos.column * view.charWidth + padding;
 
       var decoration = document.createElement('div');
@@ -284,6 +352,7 @@
 
       if (this._boundHandleSelectionChange) {
         this._editor.off('selectionChange', this._boundHandleSelectionChange);
+        this._editor.off('optionsChange', this._boundHandleSelectionChange);
         this._editor.document.off('change', this._boundHandleSelectionChange);
       }
 
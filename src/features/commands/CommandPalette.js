@@ -0,0 +1,198 @@
+/**
+ * CommandPalette - Find and run any command by name
+ *
+ * Lists the enabled commands of the registry in a quick pick, labelled
+ * 'Category: Title' with their keybinding. Typing filters them by fuzzy
+ * match; without typing, the recently used commands come first.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  var FuzzyMatch = CodeEditor.FuzzyMatch;
+
+  class CommandPalette {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _quickPick = null;
+    _registry = null;
+    _keybindings = null;
+    _listeners = new Map();
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new CommandPalette
+     * @param {Object} options - CommandPalette options
+     * @param {QuickPick} options.quickPick - List to show the commands in
+     * @param {CommandRegistry} options.registry - Commands to offer
+     * @param {KeybindingService} [options.keybindings] - Keys shown beside the
+     *   commands; the commands' default keybindings without it
+     */
+    constructor(options) {
+      this._quickPick = options.quickPick;
+      this._registry = options.registry;
+      this._keybindings = options.keybindings || null;
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Show the palette
+     * @param {string} [value] - Text typed initially
+     */
+    show(value) {
+      var self = this;
+      this._quickPick.show({
+        placeholder: 'Type the name of a command to run',
+        value: value || '',
+        emptyText: 'No matching commands',
+        getItems: function(query) {
+          return self._getItems(query);
+        },
+        onAccept: function(item) {
+          self._run(item.command.id);
+        },
+      });
+    }
+
+    /**
+     * Check if the palette is showing
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._quickPick.isVisible();
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    /**
+     * Subscribe to an event ('error')
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self._listeners.get(event).delete(callback);
+      };
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    /**
+     * Emit an event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(callback) {
+          callback(data);
+        });
+      }
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Get the commands matching the text typed, best first
+     * @param {string} query - Text typed
+     * @returns {Array<Object>} Quick pick items
+     */
+    _getItems(query) {
+      var registry = this._registry;
+      var keybindings = this._keybindings;
+      var recent = registry.getRecent();
+      var items = [];
+
+      registry.getAll().forEach(function(command) {
+        if (!registry.isEnabled(command.id)) return;
+
+        var label = command.category ? command.category + ': ' + command.title : command.title;
+        var match = FuzzyMatch.match(query, label);
+        if (!match) return;
+
+        items.push({
+          label: label,
+          labelMatches: match.matches,
+          keybinding: keybindings ? keybindings.lookupKeybinding(command.id) : command.keybinding,
+          command: command,
+          score: match.score,
+          recentIndex: recent.indexOf(command.id),
+        });
+      });
+
+      // Recently used first, then by score or name; among equal scores the more recent
+      var byRecent = function(a, b) {
+        if (a.recentIndex === -1) return b.recentIndex === -1 ? 0 : 1;
+        if (b.recentIndex === -1) return -1;
+        return a.recentIndex - b.recentIndex;
+      };
+      if (query.trim()) {
+        items.sort(function(a, b) {
+          return b.score - a.score || byRecent(a, b) || a.label.localeCompare(b.label);
+        });
+      } else {
+        items.sort(function(a, b) {
+          return byRecent(a, b) || a.label.localeCompare(b.label);
+        });
+
+        var firstOther = items.findIndex(function(item) { return item.recentIndex === -1; });
+        if (firstOther > 0) {
+          items[0].group = 'recently used';
+          items[firstOther].group = 'other commands';
+        }
+      }
+
+      return items;
+    }
+
+    /**
+     * Run a picked command
+     * @param {string} id - Command id
+     */
+    async _run(id) {
+      try {
+        this._registry.addRecent(id);
+        await this._registry.execute(id);
+      } catch (err) {
+        console.error('Failed to run command ' + id + ':', err);
+        this._emit('error', { message: 'Failed to run command ' + id, error: err });
+      }
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.IDE = CodeEditor.IDE || {};
+  CodeEditor.IDE.CommandPalette = CommandPalette;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,198 @@
+/**
+ * CommandRegistry - Named commands of the IDE and the editor features
+ *
+ * Holds each command with the title and category the command palette
+ * shows, its default keybinding, and the function that runs it. The
+ * commands picked in the palette are remembered, so that it can offer the
+ * recently used ones first; those run from the keyboard are not.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  // Commands remembered as recently used
+  var MAX_RECENT = 20;
+
+  // ============================================
+  // CommandRegistry Class
+  // ============================================
+
+  class CommandRegistry {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _commands = new Map(); // id -> command
+    _recent = []; // Ids, most recently run first
+    _listeners = new Map();
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Add a command
+     * @param {Object} command
+     * @param {string} command.id - Unique name, e.g. 'workbench.action.files.save'
+     * @param {string} command.title - Shown in the command palette
+     * @param {string} [command.category] - Shown before the title, e.g. 'File'
+     * @param {string} [command.keybinding] - Default keys, e.g. 'Ctrl+S' or 'Ctrl+K Ctrl+0'
+     * @param {string} [command.when] - When clause limiting the default keybinding, e.g. 'editorTextFocus'
+     * @param {Function} command.run - Called with the arguments given to execute()
+     * @param {Function} [command.isEnabled] - Returns false when the command does not apply
+     * @returns {Function} Function removing the command
+     */
+    register(command) {
+      if (this._commands.has(command.id)) {
+        throw new Error('Command already registered: ' + command.id);
+      }
+
+      this._commands.set(command.id, {
+        id: command.id,
+        title: command.title,
+        category: command.category || null,
+        keybinding: command.keybinding || null,
+        when: command.when || null,
+        run: command.run,
+        isEnabled: command.isEnabled || null,
+      });
+      this._emit('change', { id: command.id });
+
+      var self = this;
+      return function() {
+        self.unregister(command.id);
+      };
+    }
+
+    /**
+     * Remove a command
+     * @param {string} id - Command id
+     */
+    unregister(id) {
+      if (!this._commands.delete(id)) return;
+
+      var index = this._recent.indexOf(id);
+      if (index !== -1) this._recent.splice(index, 1);
+      this._emit('change', { id: id });
+    }
+
+    /**
+     * Get a command
+     * @param {string} id - Command id
+     * @returns {Object|null}
+     */
+    get(id) {
+      return this._commands.get(id) || null;
+    }
+
+    /**
+     * Get all commands, in the order they were added
+     * @returns {Array<Object>}
+     */
+    getAll() {
+      return Array.from(this._commands.values());
+    }
+
+    /**
+     * Check if a command applies now
+     * @param {string} id - Command id
+     * @returns {boolean} False also for unknown commands
+     */
+    isEnabled(id) {
+      var command = this._commands.get(id);
+      if (!command) return false;
+      return !command.isEnabled || command.isEnabled() !== false;
+    }
+
+    /**
+     * Run a command
+     * @param {string} id - Command id
+     * @param {...*} args - Arguments for the command
+     * @returns {Promise<*>} What the command returns
+     */
+    async execute(id) {
+      var command = this._commands.get(id);
+      if (!command) {
+        throw new Error('Unknown command: ' + id);
+      }
+      if (!this.isEnabled(id)) return undefined;
+
+      this._emit('execute', { id: id });
+      return command.run.apply(null, Array.prototype.slice.call(arguments, 1));
+    }
+
+    /**
+     * Remember a command as recently used
+     * @param {string} id - Command id
+     */
+    addRecent(id) {
+      if (!this._commands.has(id)) return;
+
+      var index = this._recent.indexOf(id);
+      if (index !== -1) this._recent.splice(index, 1);
+      this._recent.unshift(id);
+      if (this._recent.length > MAX_RECENT) this._recent.pop();
+    }
+
+    /**
+     * Get the commands used most recently
+     * @returns {Array<string>} Ids, most recent first
+     */
+    getRecent() {
+      return this._recent.slice();
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    /**
+     * Subscribe to an event ('change', 'execute')
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self._listeners.get(event).delete(callback);
+      };
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    /**
+     * Emit an event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(callback) {
+          callback(data);
+        });
+      }
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.CommandRegistry = CommandRegistry;
+
+})(window.CodeEditor = window.CodeEditor || {});
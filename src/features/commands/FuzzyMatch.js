@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Fuzzy matching of typed text against labels and paths
+ * @module features/commands/FuzzyMatch
+ *
+ * The typed characters must appear in the text in order, ignoring case and
+ * the spaces typed. Of all the ways they can, the best scored one is kept:
+ * characters starting a word or following the previous match score higher,
+ * gaps and a late first match lower. Paths are matched on their file name
+ * first, so typing a name finds the file rather than its folders.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  var SCORE_MATCH = 1;
+  var BONUS_SAME_CASE = 1;
+  var BONUS_TEXT_START = 8;
+  var BONUS_WORD_START = 6;
+  var BONUS_CONSECUTIVE = 5;
+  var PENALTY_GAP = 1;
+  var MAX_PENALTY_LEADING = 3;
+
+  // Added when all the typed characters are in the file name of a path
+  var BONUS_FILE_NAME = 10;
+
+  // Characters after which a word starts
+  var SEPARATORS = ' _-./\\:';
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Check if a character starts a word: the text start, after a separator,
+   * or a camelCase hump
+   * @param {string} text
+   * @param {number} index
+   * @returns {boolean}
+   */
+  function isWordStart(text, index) {
+    if (index === 0) return true;
+
+    var ch = text.charAt(index);
+    var prev = text.charAt(index - 1);
+
+    if (SEPARATORS.indexOf(prev) !== -1) return true;
+    return ch !== ch.toLowerCase() && prev === prev.toLowerCase();
+  }
+
+  /**
+   * Score of one typed character found at an index of the text, apart from
+   * how it follows the previous one
+   * @param {string} text
+   * @param {number} index
+   * @param {string} typed - The character as typed
+   * @returns {number}
+   */
+  function characterScore(text, index, typed) {
+    var score = SCORE_MATCH;
+    if (index === 0) {
+      score += BONUS_TEXT_START;
+    } else if (isWordStart(text, index)) {
+      score += BONUS_WORD_START;
+    }
+    if (text.charAt(index) === typed) {
+      score += BONUS_SAME_CASE;
+    }
+    return score;
+  }
+
+  // ============================================
+  // Matching
+  // ============================================
+
+  /**
+   * Match typed text against a text
+   * @param {string} pattern - Typed text; spaces are ignored
+   * @param {string} text - Label or path to match
+   * @returns {{score: number, matches: number[]}|null} Score, higher is better,
+   *   and the indices of the matched characters; null if the text does not match
+   */
+  function match(pattern, text) {
+    pattern = pattern.replace(/\s+/g, '');
+    if (!pattern) {
+      return { score: 0, matches: [] };
+    }
+
+    var n = text.length;
+    var m = pattern.length;
+    if (m > n) return null;
+
+    var lowerText = text.toLowerCase();
+    var lowerPattern = pattern.toLowerCase();
+
+    // scores[j][i]: best score of the first j + 1 characters with the last at i
+    var scores = [];
+    var previousIndex = [];
+    var previousRow = null;
+
+    for (var j = 0; j < m; j++) {
+      var row = new Array(n).fill(-Infinity);
+      var from = new Array(n).fill(-1);
+
+      // Best score of the previous characters ending two or more before i
+      var bestBefore = -Infinity;
+      var bestBeforeIndex = -1;
+
+      for (var i = j; i < n; i++) {
+        if (previousRow && i >= 2 && previousRow[i - 2] > bestBefore) {
+          bestBefore = previousRow[i - 2];
+          bestBeforeIndex = i - 2;
+        }
+        if (lowerText.charAt(i) !== lowerPattern.charAt(j)) continue;
+
+        var score = characterScore(text, i, pattern.charAt(j));
+        if (!previousRow) {
+          row[i] = score - Math.min(i, MAX_PENALTY_LEADING);
+          continue;
+        }
+
+        var afterGap = bestBefore - PENALTY_GAP;
+        var consecutive = previousRow[i - 1] + BONUS_CONSECUTIVE;
+        if (consecutive >= afterGap && consecutive > -Infinity) {
+          row[i] = score + consecutive;
+          from[i] = i - 1;
+        } else if (afterGap > -Infinity) {
+          row[i] = score + afterGap;
+          from[i] = bestBeforeIndex;
+        }
+      }
+
+      scores.push(row);
+      previousIndex.push(from);
+      previousRow = row;
+    }
+
+    // Best end of the whole pattern, then back to its start
+    var lastRow = scores[m - 1];
+    var end = -1;
+    for (var k = 0; k < n; k++) {
+      if (lastRow[k] > -Infinity && (end === -1 || lastRow[k] > lastRow[end])) {
+        end = k;
+      }
+    }
+    if (end === -1) return null;
+
+    var matches = new Array(m);
+    for (var p = m - 1, index = end; p >= 0; p--) {
+      matches[p] = index;
+      index = previousIndex[p][index];
+    }
+
+    return { score: lastRow[end], matches: matches };
+  }
+
+  /**
+   * Match typed text against a path, preferring matches in the file name
+   * @param {string} pattern - Typed text; spaces are ignored
+   * @param {string} path - Path with '/' separators
+   * @returns {{score: number, matches: number[]}|null} As match(), with
+   *   indices into the whole path
+   */
+  function matchPath(pattern, path) {
+    var nameStart = path.lastIndexOf('/') + 1;
+    var nameMatch = match(pattern, path.slice(nameStart));
+
+    if (nameMatch) {
+      return {
+        score: nameMatch.score + BONUS_FILE_NAME,
+        matches: nameMatch.matches.map(function(index) { return index + nameStart; }),
+      };
+    }
+    return match(pattern, path);
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.FuzzyMatch = {
+    match: match,
+    matchPath: matchPath,
+  };
+
+})(window.CodeEditor = window.CodeEditor || {});
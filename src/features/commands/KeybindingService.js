@@ -0,0 +1,850 @@
+/**
+ * KeybindingService - Run commands from the keyboard
+ *
+ * Maps key chords such as 'Ctrl+S', or two-step chords such as
+ * 'Ctrl+K Ctrl+C', to commands of the registry. A binding can have a
+ * `when` clause over context keys the host provides, like
+ * 'editorTextFocus && findWidgetVisible', and only applies while it holds.
+ * The default bindings come from the commands themselves; a user
+ * keybindings file in JSON adds bindings, and removes default ones with a
+ * '-' before the command id. When several bindings apply, the one added
+ * last wins, so user bindings override the defaults.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  var JSONC = CodeEditor.JSONC;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Modifiers in the order they are written; Cmd on macOS counts as Ctrl
+  var MODIFIERS = ['Ctrl', 'Shift', 'Alt'];
+
+  var MODIFIER_ALIASES = {
+    ctrl: 'Ctrl',
+    control: 'Ctrl',
+    cmd: 'Ctrl',
+    meta: 'Ctrl',
+    shift: 'Shift',
+    alt: 'Alt',
+    option: 'Alt',
+  };
+
+  // Keys written as a name, by lowercase name or KeyboardEvent.key
+  var NAMED_KEYS = {
+    up: 'Up',
+    arrowup: 'Up',
+    down: 'Down',
+    arrowdown: 'Down',
+    left: 'Left',
+    arrowleft: 'Left',
+    right: 'Right',
+    arrowright: 'Right',
+    escape: 'Escape',
+    esc: 'Escape',
+    enter: 'Enter',
+    return: 'Enter',
+    tab: 'Tab',
+    space: 'Space',
+    ' ': 'Space',
+    backspace: 'Backspace',
+    delete: 'Delete',
+    del: 'Delete',
+    insert: 'Insert',
+    home: 'Home',
+    end: 'End',
+    pageup: 'PageUp',
+    pagedown: 'PageDown',
+    contextmenu: 'ContextMenu',
+  };
+
+  // Keys by KeyboardEvent.code, whatever Shift makes them type
+  var CODE_KEYS = {
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: '\'',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+  };
+
+  // Unshifted key of characters typed with Shift, for events without a code
+  var SHIFTED_KEYS = {
+    '~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6',
+    '&': '7', '*': '8', '(': '9', ')': '0', '_': '-', '+': '=', '{': '[',
+    '}': ']', '|': '\\', ':': ';', '"': '\'', '<': ',', '>': '.', '?': '/',
+  };
+
+  var MODIFIER_KEY_NAMES = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+  // Tokens of a when clause: operators, parentheses, quoted or bare words
+  var WHEN_TOKEN = /\s*(&&|\|\||==|!=|!|\(|\)|'[^']*'|"[^"]*"|[^\s!&|=()'"]+)/y;
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Get the canonical name of a key as written in a keybinding
+   * @param {string} name - e.g. 'k', 'up', 'F12' or '/'
+   * @returns {string|null} e.g. 'K', 'Up', 'F12' or '/'; null if unknown
+   */
+  function normalizeKeyName(name) {
+    // The space bar types a character but is written by name
+    if (name === ' ') return NAMED_KEYS[name];
+
+    if (name.length === 1) {
+      return SHIFTED_KEYS[name] || name.toUpperCase();
+    }
+
+    var lower = name.toLowerCase();
+    if (NAMED_KEYS[lower]) return NAMED_KEYS[lower];
+    if (/^f([1-9]|1[0-9])$/.test(lower)) return lower.toUpperCase();
+    return null;
+  }
+
+  /**
+   * Parse one chord, such as 'ctrl+shift+p'
+   * @param {string} text
+   * @returns {string|null} Canonical chord, e.g. 'Ctrl+Shift+P'; null if invalid
+   */
+  function parseChord(text) {
+    // A '+' at the end is the key itself, as in 'Ctrl++'
+    var parts = text.split(/\+(?!$)/);
+    var key = normalizeKeyName(parts.pop());
+    if (!key) return null;
+
+    var modifiers = new Set();
+    for (var i = 0; i < parts.length; i++) {
+      var modifier = MODIFIER_ALIASES[parts[i].toLowerCase()];
+      if (!modifier) return null;
+      modifiers.add(modifier);
+    }
+
+    return formatChord(modifiers, key);
+  }
+
+  /**
+   * Write a chord in canonical form
+   * @param {Set<string>} modifiers - Modifiers held
+   * @param {string} key - Canonical key name
+   * @returns {string}
+   */
+  function formatChord(modifiers, key) {
+    var parts = MODIFIERS.filter(function(modifier) {
+      return modifiers.has(modifier);
+    });
+    parts.push(key);
+    return parts.join('+');
+  }
+
+  /**
+   * Parse a keybinding of one or two chords
+   * @param {string} text - e.g. 'Ctrl+S' or 'ctrl+k ctrl+c'
+   * @returns {string|null} Canonical keybinding; null if invalid
+   */
+  function parseKeybinding(text) {
+    if (typeof text !== 'string') return null;
+
+    var chords = text.trim().split(/\s+/);
+    if (chords.length === 0 || chords.length > 2 || !chords[0]) return null;
+
+    var result = [];
+    for (var i = 0; i < chords.length; i++) {
+      var chord = parseChord(chords[i]);
+      if (!chord) return null;
+      result.push(chord);
+    }
+    return result.join(' ');
+  }
+
+  /**
+   * Get the chord a key press makes
+   * @param {KeyboardEvent} event
+   * @returns {string|null} Canonical chord; null for a modifier alone
+   */
+  function eventToChord(event) {
+    var key = event.key;
+    if (!key || MODIFIER_KEY_NAMES.indexOf(key) !== -1) return null;
+
+    var code = event.code || '';
+    var name;
+
+    // Letters as the layout types them; other keys by position, so that
+    // Shift does not change them
+    if (/^[a-z]$/i.test(key)) {
+      name = key.toUpperCase();
+    } else if (/^Key[A-Z]$/.test(code)) {
+      name = code.slice(3);
+    } else if (/^Digit[0-9]$/.test(code)) {
+      name = code.slice(5);
+    } else if (CODE_KEYS[code]) {
+      name = CODE_KEYS[code];
+    } else {
+      name = normalizeKeyName(key) || key;
+    }
+
+    var modifiers = new Set();
+    if (event.ctrlKey || event.metaKey) modifiers.add('Ctrl');
+    if (event.shiftKey) modifiers.add('Shift');
+    if (event.altKey) modifiers.add('Alt');
+
+    return formatChord(modifiers, name);
+  }
+
+  /**
+   * Compile a when clause, e.g. "editorTextFocus && editorLangId == 'css'"
+   * @param {string} text
+   * @returns {Function} Function of a context getter, returning a boolean
+   * @throws {Error} If the clause is not valid
+   */
+  function compileWhen(text) {
+    var tokens = [];
+    var position = 0;
+    while (text.slice(position).trim()) {
+      WHEN_TOKEN.lastIndex = position;
+      var match = WHEN_TOKEN.exec(text);
+      if (!match) throw new Error('Invalid when clause: ' + text);
+      tokens.push(match[1]);
+      position = WHEN_TOKEN.lastIndex;
+    }
+
+    var index = 0;
+    var peek = function() { return tokens[index]; };
+    var expect = function(token) {
+      if (tokens[index] !== token) throw new Error('Invalid when clause: ' + text);
+      index++;
+    };
+    var isWord = function(token) {
+      return token !== undefined && !/^(&&|\|\||==|!=|!|\(|\))$/.test(token);
+    };
+    var unquote = function(token) {
+      return /^['"]/.test(token) ? token.slice(1, -1) : token;
+    };
+
+    var parseOr, parseAnd, parseUnary, parsePrimary;
+
+    parseOr = function() {
+      var left = parseAnd();
+      while (peek() === '||') {
+        index++;
+        left = (function(a, b) {
+          return function(get) { return a(get) || b(get); };
+        })(left, parseAnd());
+      }
+      return left;
+    };
+
+    parseAnd = function() {
+      var left = parseUnary();
+      while (peek() === '&&') {
+        index++;
+        left = (function(a, b) {
+          return function(get) { return a(get) && b(get); };
+        })(left, parseUnary());
+      }
+      return left;
+    };
+
+    parseUnary = function() {
+      if (peek() === '!') {
+        index++;
+        var operand = parseUnary();
+        return function(get) { return !operand(get); };
+      }
+      return parsePrimary();
+    };
+
+    parsePrimary = function() {
+      if (peek() === '(') {
+        index++;
+        var inner = parseOr();
+        expect(')');
+        return inner;
+      }
+
+      var key = peek();
+      if (!isWord(key)) throw new Error('Invalid when clause: ' + text);
+      index++;
+
+      if (peek() === '==' || peek() === '!=') {
+        var negate = tokens[index++] === '!=';
+        var value = peek();
+        if (!isWord(value)) throw new Error('Invalid when clause: ' + text);
+        index++;
+        value = unquote(value);
+        return function(get) {
+          return (String(get(key)) === value) !== negate;
+        };
+      }
+
+      if (key === 'true' || key === 'false') {
+        var constant = key === 'true';
+        return function() { return constant; };
+      }
+      return function(get) { return Boolean(get(key)); };
+    };
+
+    var clause = parseOr();
+    if (index !== tokens.length) throw new Error('Invalid when clause: ' + text);
+    return clause;
+  }
+
+  // ============================================
+  // KeybindingService Class
+  // ============================================
+
+  class KeybindingService {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _registry = null;
+    _listeners = new Map();
+
+    // Context key -> value, or function returning it
+    _context = new Map();
+
+    // Bindings added by the host besides the commands' own keybindings
+    _extraDefaults = [];
+
+    // From the user keybindings file: bindings to add, and default ones to remove
+    _userBindings = [];
+    _userRemovals = [];
+    _problems = [];
+
+    // Defaults, less the removed ones, then the user's; built when needed
+    _bindings = null;
+
+    // Compiled when clauses by text
+    _whenCache = new Map();
+
+    // First chord of a two-step chord, while waiting for the second
+    _pendingChord = null;
+
+    // Events dispatched already, by an editor before they reach the document
+    _dispatched = new WeakSet();
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new KeybindingService
+     * @param {Object} options - KeybindingService options
+     * @param {CommandRegistry} options.registry - Commands run, and their default keybindings
+     */
+    constructor(options) {
+      var self = this;
+      this._registry = options.registry;
+
+      this._registry.on('change', function() {
+        self._invalidate();
+      });
+    }
+
+    // ============================================
+    // Public Methods - Context
+    // ============================================
+
+    /**
+     * Set a context key used by when clauses
+     * @param {string} key - e.g. 'editorTextFocus'
+     * @param {*|Function} value - Value, or function returning the current value
+     */
+    setContext(key, value) {
+      this._context.set(key, value);
+    }
+
+    /**
+     * Get the current value of a context key
+     * @param {string} key
+     * @returns {*} Undefined for unknown keys
+     */
+    getContext(key) {
+      var value = this._context.get(key);
+      return typeof value === 'function' ? value() : value;
+    }
+
+    // ============================================
+    // Public Methods - Keybindings
+    // ============================================
+
+    /**
+     * Add a default binding besides the commands' own keybindings, such as a
+     * second key for a command
+     * @param {Object} binding
+     * @param {string} binding.key - e.g. 'F1'
+     * @param {string} binding.command - Command id
+     * @param {string} [binding.when] - When clause
+     * @param {*} [binding.args] - Argument for the command
+     */
+    addDefaultKeybinding(binding) {
+      var resolved = this._createBinding(binding, 'default');
+      if (!resolved) {
+        throw new Error('Invalid keybinding: ' + binding.key + ' for ' + binding.command);
+      }
+      this._extraDefaults.push(resolved);
+      this._invalidate();
+    }
+
+    /**
+     * Replace the user keybindings with the content of a keybindings file:
+     * an array of {key, command, when?, args?}, where a command starting
+     * with '-' removes its default bindings (those with the key and when
+     * clause given, if any). Invalid entries are skipped; if the file is
+     * not valid JSON the previous user keybindings are kept.
+     * @param {string} text - File content, JSON with comments
+     * @returns {Array<string>} Problems found in the file
+     */
+    setUserKeybindings(text) {
+      var entries;
+      try {
+        entries = JSONC.parse(text);
+      } catch (err) {
+        this._problems = ['The keybindings file is not valid JSON: ' + err.message];
+        this._emit('change', { problems: this._problems });
+        return this._problems;
+      }
+
+      var self = this;
+      var bindings = [];
+      var removals = [];
+      var problems = [];
+
+      if (entries !== undefined && !Array.isArray(entries)) {
+        problems.push('The keybindings file must contain an array');
+        entries = [];
+      }
+
+      (entries || []).forEach(function(entry, index) {
+        var where = 'Keybinding ' + (index + 1);
+        if (!entry || typeof entry.command !== 'string' || !entry.command) {
+          problems.push(where + ': missing "command"');
+          return;
+        }
+
+        var isRemoval = entry.command.charAt(0) === '-';
+        var command = isRemoval ? entry.command.slice(1) : entry.command;
+        if (!self._registry.get(command)) {
+          problems.push(where + ': unknown command "' + command + '"');
+        }
+
+        if (isRemoval) {
+          var key = entry.key === undefined ? null : parseKeybinding(entry.key);
+          if (entry.key !== undefined && !key) {
+            problems.push(where + ': invalid key "' + entry.key + '"');
+            return;
+          }
+          removals.push({ key: key, command: command, when: typeof entry.when === 'string' ? entry.when : null });
+          return;
+        }
+
+        var binding = null;
+        try {
+          binding = self._createBinding(entry, 'user');
+        } catch (err) {
+          problems.push(where + ': ' + err.message);
+          return;
+        }
+        if (!binding) {
+          problems.push(where + ': invalid key "' + entry.key + '"');
+          return;
+        }
+        bindings.push(binding);
+      });
+
+      this._userBindings = bindings;
+      this._userRemovals = removals;
+      this._problems = problems;
+      this._invalidate();
+      return problems;
+    }
+
+    /**
+     * Get the problems found in the user keybindings file when last loaded
+     * @returns {Array<string>}
+     */
+    getProblems() {
+      return this._problems.slice();
+    }
+
+    /**
+     * Get the default bindings, before the user's changes
+     * @returns {Array<{key: string, command: string, when: string|null}>}
+     */
+    getDefaultKeybindings() {
+      return this._getDefaultBindings().map(KeybindingService._describe);
+    }
+
+    /**
+     * Get the bindings in effect, later ones taking precedence
+     * @returns {Array<{key: string, command: string, when: string|null, source: string}>}
+     */
+    getKeybindings() {
+      return this._getBindings().map(KeybindingService._describe);
+    }
+
+    /**
+     * Get the key that runs a command, for hints in menus
+     * @param {string} commandId
+     * @returns {string|null} e.g. 'Ctrl+Shift+P'; the user's latest binding,
+     *   or else the first default one
+     */
+    lookupKeybinding(commandId) {
+      var bindings = this._getBindings().filter(function(binding) {
+        return binding.command === commandId;
+      });
+      if (bindings.length === 0) return null;
+
+      var last = bindings[bindings.length - 1];
+      return last.source === 'user' ? last.key : bindings[0].key;
+    }
+
+    /**
+     * Find keys bound to several commands that can apply at the same time:
+     * bindings of one key whose when clauses are the same or missing, and
+     * keys that also start a two-step chord
+     * @returns {Array<{key: string, bindings: Array<Object>}>}
+     */
+    getConflicts() {
+      var bindings = this._getBindings();
+      var byKey = new Map();
+      var conflicts = [];
+
+      var overlap = function(a, b) {
+        return a.command !== b.command && (!a.when || !b.when || a.when === b.when);
+      };
+
+      bindings.forEach(function(binding) {
+        if (!byKey.has(binding.key)) byKey.set(binding.key, []);
+        byKey.get(binding.key).push(binding);
+      });
+
+      byKey.forEach(function(group, key) {
+        var conflicting = group.filter(function(binding) {
+          return group.some(function(other) { return overlap(binding, other); });
+        });
+
+        // A key starting a chord waits for the second key instead of running its command
+        if (key.indexOf(' ') === -1) {
+          bindings.forEach(function(other) {
+            if (other.key.indexOf(key + ' ') !== 0) return;
+            group.forEach(function(binding) {
+              if (!overlap(binding, other)) return;
+              if (conflicting.indexOf(binding) === -1) conflicting.push(binding);
+              if (conflicting.indexOf(other) === -1) conflicting.push(other);
+            });
+          });
+        }
+
+        if (conflicting.length > 0) {
+          conflicts.push({ key: key, bindings: conflicting.map(KeybindingService._describe) });
+        }
+      });
+
+      return conflicts;
+    }
+
+    // ============================================
+    // Public Methods - Dispatch
+    // ============================================
+
+    /**
+     * Run the command bound to a key press, if any
+     * @param {KeyboardEvent} event
+     * @returns {boolean} True if the key was handled
+     */
+    dispatch(event) {
+      // Keys handled already, e.g. by an open widget, are left alone
+      if (event.defaultPrevented || this._dispatched.has(event)) return false;
+      this._dispatched.add(event);
+
+      var chord = eventToChord(event);
+      if (!chord) return false;
+
+      if (this._pendingChord) {
+        var keys = this._pendingChord + ' ' + chord;
+        this._pendingChord = null;
+
+        // The second key is used up even when it completes no binding
+        var chordBinding = this._findBinding(keys);
+        event.preventDefault();
+        event.stopPropagation();
+        this._emit('chordEnd', { keys: keys, command: chordBinding ? chordBinding.command : null });
+        if (chordBinding) this._run(chordBinding);
+        return true;
+      }
+
+      if (this._startsChord(chord)) {
+        event.preventDefault();
+        event.stopPropagation();
+        this._pendingChord = chord;
+        this._emit('chordStart', { key: chord });
+        return true;
+      }
+
+      var binding = this._findBinding(chord);
+      if (!binding) return false;
+
+      event.preventDefault();
+      event.stopPropagation();
+      this._run(binding);
+      return true;
+    }
+
+    /**
+     * Dispatch the key presses in an element
+     * @param {EventTarget} target - Element, or document
+     * @param {boolean} [useCapture] - Dispatch before the element's own handlers
+     * @returns {Function} Function that stops dispatching
+     */
+    attach(target, useCapture) {
+      var self = this;
+      var handler = function(e) {
+        self.dispatch(e);
+      };
+      target.addEventListener('keydown', handler, !!useCapture);
+      return function() {
+        target.removeEventListener('keydown', handler, !!useCapture);
+      };
+    }
+
+    /**
+     * Check if the first chord of a two-step chord was pressed
+     * @returns {boolean}
+     */
+    isChordPending() {
+      return this._pendingChord !== null;
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    /**
+     * Subscribe to an event ('change', 'chordStart', 'chordEnd', 'error')
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self._listeners.get(event).delete(callback);
+      };
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    /**
+     * Emit an event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(callback) {
+          try {
+            callback(data);
+          } catch (err) {
+            console.error('Error in ' + event + ' handler:', err);
+          }
+        });
+      }
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Build a binding from a keybinding entry
+     * @param {Object} entry - {key, command, when?, args?}
+     * @param {string} source - 'default' or 'user'
+     * @returns {Object|null} Null if the key is not valid
+     * @throws {Error} If the when clause is not valid
+     */
+    _createBinding(entry, source) {
+      var key = parseKeybinding(entry.key);
+      if (!key) return null;
+
+      var when = typeof entry.when === 'string' && entry.when.trim() ? entry.when.trim() : null;
+      return {
+        key: key,
+        command: entry.command,
+        when: when,
+        whenClause: when ? this._compileWhen(when) : null,
+        args: entry.args,
+        source: source,
+      };
+    }
+
+    /**
+     * Compile a when clause, once per text
+     * @param {string} when
+     * @returns {Function}
+     */
+    _compileWhen(when) {
+      if (!this._whenCache.has(when)) {
+        this._whenCache.set(when, compileWhen(when));
+      }
+      return this._whenCache.get(when);
+    }
+
+    /**
+     * Get the bindings of the commands' keybindings and the host's
+     * @returns {Array<Object>}
+     */
+    _getDefaultBindings() {
+      var self = this;
+      var bindings = [];
+
+      this._registry.getAll().forEach(function(command) {
+        if (!command.keybinding) return;
+        try {
+          var binding = self._createBinding({
+            key: command.keybinding,
+            command: command.id,
+            when: command.when,
+          }, 'default');
+          if (binding) {
+            bindings.push(binding);
+          } else {
+            console.warn('Invalid keybinding ' + command.keybinding + ' of command ' + command.id);
+          }
+        } catch (err) {
+          console.warn('Invalid when clause of command ' + command.id + ':', err.message);
+        }
+      });
+
+      return bindings.concat(this._extraDefaults);
+    }
+
+    /**
+     * Get the bindings in effect
+     * @returns {Array<Object>}
+     */
+    _getBindings() {
+      if (this._bindings) return this._bindings;
+
+      var removals = this._userRemovals;
+      var defaults = this._getDefaultBindings().filter(function(binding) {
+        return !removals.some(function(removal) {
+          return removal.command === binding.command &&
+            (removal.key === null || removal.key === binding.key) &&
+            (removal.when === null || removal.when === binding.when);
+        });
+      });
+
+      this._bindings = defaults.concat(this._userBindings);
+      return this._bindings;
+    }
+
+    /**
+     * Forget the bindings in effect after a change
+     */
+    _invalidate() {
+      this._bindings = null;
+      this._emit('change', { problems: this._problems });
+    }
+
+    /**
+     * Check a binding's when clause now
+     * @param {Object} binding
+     * @returns {boolean}
+     */
+    _applies(binding) {
+      var self = this;
+      if (!binding.whenClause) return true;
+      return binding.whenClause(function(key) {
+        return self.getContext(key);
+      });
+    }
+
+    /**
+     * Find the binding of keys that applies now, the last added first
+     * @param {string} keys - Canonical keybinding
+     * @returns {Object|null}
+     */
+    _findBinding(keys) {
+      var bindings = this._getBindings();
+      for (var i = bindings.length - 1; i >= 0; i--) {
+        var binding = bindings[i];
+        if (binding.key === keys && this._registry.get(binding.command) && this._applies(binding)) {
+          return binding;
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Check if a chord starts a two-step chord that applies now
+     * @param {string} chord - Canonical chord
+     * @returns {boolean}
+     */
+    _startsChord(chord) {
+      var self = this;
+      var prefix = chord + ' ';
+      return this._getBindings().some(function(binding) {
+        return binding.key.indexOf(prefix) === 0 && self._applies(binding);
+      });
+    }
+
+    /**
+     * Run the command of a binding
+     * @param {Object} binding
+     */
+    _run(binding) {
+      var self = this;
+      var args = binding.args !== undefined ? [binding.command, binding.args] : [binding.command];
+
+      // Run now, within the key press, so that the command may focus and select
+      this._registry.execute.apply(this._registry, args).catch(function(err) {
+        console.error('Failed to run command ' + binding.command + ':', err);
+        self._emit('error', { message: 'Failed to run command ' + binding.command, error: err });
+      });
+    }
+
+    /**
+     * Describe a binding for callers
+     * @param {Object} binding
+     * @returns {Object}
+     */
+    static _describe(binding) {
+      return { key: binding.key, command: binding.command, when: binding.when, source: binding.source };
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  KeybindingService.parseKeybinding = parseKeybinding;
+  KeybindingService.eventToChord = eventToChord;
+
+  CodeEditor.KeybindingService = KeybindingService;
+
+})(window.CodeEditor = window.CodeEditor || {});
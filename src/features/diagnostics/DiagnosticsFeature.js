@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Diagnostics feature - squiggles for problems found by the type checker
+ * @module features/diagnostics/DiagnosticsFeature
+ *
+ * Shortly after the document stops changing, asks the type checker for
+ * the problems in it (syntax errors, undefined identifiers, calls of
+ * values that are not functions) and hands them to the view, which
+ * underlines them and marks their lines in the gutter. Listeners of
+ * 'change' receive each new set, e.g. to update a problems list.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var TypeChecker = CodeEditor.TypeChecker;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Pause in typing before the document is checked again
+  var UPDATE_DEBOUNCE_MS = 400;
+
+  // ============================================
+  // Class Definition
+  // ============================================
+
+  /**
+   * Diagnostics feature.
+   *
+   * @example
+   * var diagnostics = new DiagnosticsFeature(editor, { typeChecker: typeChecker });
+   * diagnostics.on('change', function(data) { console.log(data.diagnostics); });
+   */
+  class DiagnosticsFeature {
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+    _editor = null;
+    _enabled = true;
+    _languages = null;
+    _typeChecker = null;
+    _updateTimer = null;
+    _listeners = new Map();
+
+    // Current problems, each with its line and column
+    _diagnostics = [];
+
+    // Diagnostics being computed for the document version of the last check
+    _request = null;
+
+    // Bound event handlers
+    _boundHandleChange = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {Object} editor - Editor instance
+     * @param {Object} options - Configuration options
+     * @param {boolean} options.enabled - Whether diagnostics are shown (default: true)
+     * @param {string[]} options.languages - Languages to check (default: javascript, typescript)
+     * @param {TypeChecker|TypeCheckerProxy} options.typeChecker - Type checker to query (default: a new instance)
+     */
+    constructor(editor, options = {}) {
+      this._editor = editor;
+      this._enabled = options.enabled !== false;
+      this._languages = options.languages || ['javascript', 'typescript'];
+      this._typeChecker = options.typeChecker || TypeChecker.create();
+
+      this._bindEvents();
+      this._scheduleUpdate();
+    }
+
+    // ----------------------------------------
+    // Event Binding
+    // ----------------------------------------
+
+    _bindEvents() {
+      var self = this;
+
+      this._boundHandleChange = function() {
+        self._scheduleUpdate();
+      };
+      this._editor.on('change', this._boundHandleChange);
+    }
+
+    // ----------------------------------------
+    // Update Logic
+    // ----------------------------------------
+
+    _isActive() {
+      return this._enabled && this._languages.indexOf(this._editor.getLanguage()) !== -1;
+    }
+
+    _scheduleUpdate() {
+      var self = this;
+
+      this._cancelUpdate();
+      this._updateTimer = setTimeout(function() {
+        self._updateTimer = null;
+        self._update();
+      }, UPDATE_DEBOUNCE_MS);
+    }
+
+    _cancelUpdate() {
+      if (this._updateTimer) {
+        clearTimeout(this._updateTimer);
+        this._updateTimer = null;
+      }
+    }
+
+    _cancelRequest() {
+      if (this._request && this._typeChecker.cancel) {
+        this._typeChecker.cancel(this._request);
+      }
+      this._request = null;
+    }
+
+    /**
+     * Check the current text and show the result
+     */
+    _update() {
+      this._cancelRequest();
+
+      if (!this._isActive()) {
+        this._setDiagnostics([]);
+        return;
+      }
+
+      var self = this;
+      var version = this._editor.document.version;
+      var request = this._typeChecker.getDiagnostics(this._editor.getValue());
+      this._request = request;
+
+      // An edit after the request schedules another; drop this answer
+      Promise.resolve(request).then(function(diagnostics) {
+        if (self._request !== request) return;
+        self._request = null;
+        if (diagnostics && self._editor.document.version === version) {
+          self._setDiagnostics(diagnostics);
+        }
+      }, function() {
+        if (self._request === request) self._request = null;
+      });
+    }
+
+    /**
+     * @param {Object[]} diagnostics - Result of TypeChecker#getDiagnostics
+     */
+    _setDiagnostics(diagnostics) {
+      var doc = this._editor.document;
+      var length = doc.getLength();
+
+      this._diagnostics = diagnostics.map(function(diagnostic) {
+        var position = doc.offsetToPosition(Math.min(diagnostic.start, length));
+        return Object.assign({}, diagnostic, { line: position.line, column: position.column });
+      });
+
+      this._editor.view.setMarkers(this._diagnostics);
+      this._emit('change', { diagnostics: this.getDiagnostics() });
+    }
+
+    // ----------------------------------------
+    // Public API
+    // ----------------------------------------
+
+    /**
+     * Get the problems of the last check
+     * @returns {Array<{start: number, end: number, line: number, column: number,
+     *   severity: string, message: string, code: string}>}
+     */
+    getDiagnostics() {
+      return this._diagnostics.slice();
+    }
+
+    /**
+     * Check the document now instead of after the typing pause
+     */
+    refresh() {
+      this._cancelUpdate();
+      this._update();
+    }
+
+    /**
+     * Enable diagnostics
+     */
+    enable() {
+      this._enabled = true;
+      this.refresh();
+    }
+
+    /**
+     * Disable diagnostics and remove the shown ones
+     */
+    disable() {
+      this._enabled = false;
+      this.refresh();
+    }
+
+    /**
+     * Check if diagnostics are enabled
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return this._enabled;
+    }
+
+    // ----------------------------------------
+    // Event System
+    // ----------------------------------------
+
+    /**
+     * Subscribe to an event ('change')
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self.off(event, callback);
+      };
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(callback) {
+          callback(data);
+        });
+      }
+    }
+
+    // ----------------------------------------
+    // Lifecycle
+    // ----------------------------------------
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+      this._cancelUpdate();
+      this._cancelRequest();
+      this._editor.off('change', this._boundHandleChange);
+      this._listeners.clear();
+
+      this._typeChecker = null;
+      this._editor = null;
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.Features = CodeEditor.Features || {};
+  CodeEditor.Features.Diagnostics = DiagnosticsFeature;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,155 @@
+/**
+ * DiagnosticsService - Problems of the open files
+ *
+ * Collects the diagnostics reported for each file path and keeps the
+ * error and warning totals that the Problems panel, the activity bar
+ * badge and the status bar show.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // DiagnosticsService Class
+  // ============================================
+
+  class DiagnosticsService {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _diagnostics = new Map();
+    _listeners = new Map();
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Replace the diagnostics of a file
+     * @param {string} path - File path
+     * @param {Array} diagnostics - Diagnostics {start, end, line, column, severity, message, code}
+     */
+    setDiagnostics(path, diagnostics) {
+      var previous = this._diagnostics.get(path);
+      if (!diagnostics || diagnostics.length === 0) {
+        if (!previous) return;
+        this._diagnostics.delete(path);
+      } else {
+        this._diagnostics.set(path, diagnostics.slice());
+      }
+
+      this._emit('change', { path: path, counts: this.getCounts() });
+    }
+
+    /**
+     * Remove the diagnostics of a file (e.g. when it is closed)
+     * @param {string} path - File path
+     */
+    clearDiagnostics(path) {
+      this.setDiagnostics(path, []);
+    }
+
+    /**
+     * Get the diagnostics of a file
+     * @param {string} path - File path
+     * @returns {Array}
+     */
+    getDiagnostics(path) {
+      var diagnostics = this._diagnostics.get(path);
+      return diagnostics ? diagnostics.slice() : [];
+    }
+
+    /**
+     * Get all diagnostics by file path, files in path order
+     * @returns {Map<string, Array>}
+     */
+    getAll() {
+      var paths = Array.from(this._diagnostics.keys()).sort();
+      var all = new Map();
+      for (var i = 0; i < paths.length; i++) {
+        all.set(paths[i], this._diagnostics.get(paths[i]).slice());
+      }
+      return all;
+    }
+
+    /**
+     * Count errors and warnings over all files
+     * @returns {{errors: number, warnings: number}}
+     */
+    getCounts() {
+      var counts = { errors: 0, warnings: 0 };
+      this._diagnostics.forEach(function(diagnostics) {
+        for (var i = 0; i < diagnostics.length; i++) {
+          if (diagnostics[i].severity === 'error') {
+            counts.errors++;
+          } else {
+            counts.warnings++;
+          }
+        }
+      });
+      return counts;
+    }
+
+    /**
+     * Dispose the service
+     */
+    dispose() {
+      this._diagnostics.clear();
+      this._listeners.clear();
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    /**
+     * Subscribe to an event ('change')
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self._listeners.get(event).delete(callback);
+      };
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    /**
+     * Emit an event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(callback) {
+          callback(data);
+        });
+      }
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.DiagnosticsService = DiagnosticsService;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,355 @@
+/**
+ * ProblemsPanel - Sidebar list of diagnostics
+ *
+ * Lists the problems of the open files, grouped by file. Clicking a
+ * problem opens its file and selects the reported range.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  var ICONS = {
+    error: '<svg viewBox="0 0 16 16" width="14" height="14"><path fill="currentColor" fill-rule="evenodd" d="M8 1.5a6.5 6.5 0 1 0 0 13 6.5 6.5 0 0 0 0-13zM0 8a8 8 0 1 1 16 0A8 8 0 0 1 0 8zm10.78-2.72L9.06 7l1.72 1.72-1.06 1.06L8 8.06 6.28 9.78 5.22 8.72 6.94 7 5.22 5.28l1.06-1.06L8 5.94l1.72-1.72 1.06 1.06z"/></svg>',
+    warning: '<svg viewBox="0 0 16 16" width="14" height="14"><path fill="currentColor" fill-rule="evenodd" d="M7.56 1h.88l6.54 12.26-.44.74H1.44L1 13.26 7.56 1zM8 2.28L2.28 13H13.7L8 2.28zM8.625 12v-1h-1.25v1h1.25zm-1.25-2V6h1.25v4h-1.25z"/></svg>',
+    expand: '<svg viewBox="0 0 16 16" width="12" height="12"><path fill="currentColor" d="M6 4l4 4-4 4"/></svg>',
+    collapse: '<svg viewBox="0 0 16 16" width="12" height="12"><path fill="currentColor" d="M4 6l4 4 4-4"/></svg>',
+    file: '<svg viewBox="0 0 16 16" width="14" height="14"><path fill="currentColor" d="M13.71 4.29l-3-3L10 1H4L3 2v12l1 1h9l1-1V5l-.29-.71zM13 14H4V2h5v4h4v8zm-3-9V2l3 3h-3z"/></svg>',
+    check: '<svg viewBox="0 0 16 16" width="14" height="14"><path fill="currentColor" fill-rule="evenodd" d="M13.78 4.22a.75.75 0 0 1 0 1.06l-7.25 7.25a.75.75 0 0 1-1.06 0L2.22 9.28a.75.75 0 0 1 1.06-1.06L6 10.94l6.72-6.72a.75.75 0 0 1 1.06 0z"/></svg>'
+  };
+
+  // ============================================
+  // ProblemsPanel Class
+  // ============================================
+
+  class ProblemsPanel {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _container = null;
+    _ide = null;
+    _diagnosticsService = null;
+    _isVisible = false;
+    _listeners = [];
+
+    // DOM Elements
+    _element = null;
+    _resultsContainer = null;
+    _statusElement = null;
+
+    // State
+    _collapsedFiles = new Set();
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new ProblemsPanel
+     * @param {HTMLElement} container - Container element
+     * @param {Object} options - Panel options
+     * @param {IDE} options.ide - IDE used to open files
+     * @param {DiagnosticsService} options.diagnosticsService - Source of the problems
+     */
+    constructor(container, options) {
+      options = options || {};
+      this._container = container;
+      this._ide = options.ide || null;
+      this._diagnosticsService = options.diagnosticsService || null;
+
+      this._createDOM();
+      this._bindEvents();
+      this._render();
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Show the panel
+     */
+    show() {
+      this._element.style.display = 'flex';
+      this._isVisible = true;
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+      this._element.style.display = 'none';
+      this._isVisible = false;
+    }
+
+    /**
+     * Check if panel is visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._isVisible;
+    }
+
+    /**
+     * Dispose the panel
+     */
+    dispose() {
+      for (var i = 0; i < this._listeners.length; i++) {
+        this._listeners[i]();
+      }
+      this._listeners = [];
+
+      if (this._element && this._element.parentNode) {
+        this._element.parentNode.removeChild(this._element);
+      }
+    }
+
+    // ============================================
+    // Private Methods - DOM Creation
+    // ============================================
+
+    /**
+     * Create DOM structure
+     */
+    _createDOM() {
+      this._element = document.createElement('div');
+      this._element.className = 'ide-problems-panel';
+      this._element.style.display = 'none';
+
+      this._resultsContainer = document.createElement('div');
+      this._resultsContainer.className = 'ide-problems-results';
+      this._element.appendChild(this._resultsContainer);
+
+      this._statusElement = document.createElement('div');
+      this._statusElement.className = 'ide-problems-status';
+      this._element.appendChild(this._statusElement);
+
+      this._container.appendChild(this._element);
+    }
+
+    /**
+     * Bind event handlers
+     */
+    _bindEvents() {
+      var self = this;
+
+      if (this._diagnosticsService) {
+        var unsubChange = this._diagnosticsService.on('change', function() {
+          self._render();
+        });
+        this._listeners.push(unsubChange);
+      }
+    }
+
+    // ============================================
+    // Private Methods - Rendering
+    // ============================================
+
+    /**
+     * Render all problems
+     */
+    _render() {
+      var self = this;
+      this._resultsContainer.innerHTML = '';
+
+      var all = this._diagnosticsService ? this._diagnosticsService.getAll() : new Map();
+      if (all.size === 0) {
+        this._renderEmptyState();
+        this._statusElement.textContent = '';
+        return;
+      }
+
+      all.forEach(function(diagnostics, path) {
+        self._resultsContainer.appendChild(self._renderFileGroup(path, diagnostics));
+      });
+
+      var counts = this._diagnosticsService.getCounts();
+      this._statusElement.textContent =
+        counts.errors + (counts.errors === 1 ? ' error, ' : ' errors, ') +
+        counts.warnings + (counts.warnings === 1 ? ' warning' : ' warnings');
+    }
+
+    /**
+     * Render empty state
+     */
+    _renderEmptyState() {
+      var empty = document.createElement('div');
+      empty.className = 'ide-problems-empty';
+
+      var icon = document.createElement('div');
+      icon.className = 'ide-problems-empty-icon';
+      icon.innerHTML = ICONS.check;
+      empty.appendChild(icon);
+
+      var text = document.createElement('div');
+      text.textContent = 'No problems have been detected in the open files.';
+      empty.appendChild(text);
+
+      this._resultsContainer.appendChild(empty);
+    }
+
+    /**
+     * Render a file group with its problems
+     * @param {string} path - File path
+     * @param {Array} diagnostics - Diagnostics of the file
+     * @returns {HTMLElement}
+     */
+    _renderFileGroup(path, diagnostics) {
+      var self = this;
+      var isExpanded = !this._collapsedFiles.has(path);
+
+      var group = document.createElement('div');
+      group.className = 'ide-problems-file-group';
+
+      // File header
+      var header = document.createElement('div');
+      header.className = 'ide-problems-file-header';
+
+      var toggle = document.createElement('span');
+      toggle.className = 'ide-problems-file-toggle';
+      toggle.innerHTML = isExpanded ? ICONS.collapse : ICONS.expand;
+      header.appendChild(toggle);
+
+      var fileIcon = document.createElement('span');
+      fileIcon.className = 'ide-problems-file-icon';
+      fileIcon.innerHTML = ICONS.file;
+      header.appendChild(fileIcon);
+
+      var fileName = document.createElement('span');
+      fileName.className = 'ide-problems-file-name';
+      fileName.textContent = this._getFileName(path);
+      header.appendChild(fileName);
+
+      var filePath = document.createElement('span');
+      filePath.className = 'ide-problems-file-path';
+      filePath.textContent = this._getDirectoryPath(path);
+      header.appendChild(filePath);
+
+      var count = document.createElement('span');
+      count.className = 'ide-problems-file-count';
+      count.textContent = diagnostics.length;
+      header.appendChild(count);
+
+      group.appendChild(header);
+
+      // Problems
+      var list = document.createElement('div');
+      list.className = 'ide-problems-list';
+      list.style.display = isExpanded ? 'block' : 'none';
+
+      for (var i = 0; i < diagnostics.length; i++) {
+        list.appendChild(this._renderProblem(path, diagnostics[i]));
+      }
+      group.appendChild(list);
+
+      header.onclick = function() {
+        if (self._collapsedFiles.has(path)) {
+          self._collapsedFiles.delete(path);
+          toggle.innerHTML = ICONS.collapse;
+          list.style.display = 'block';
+        } else {
+          self._collapsedFiles.add(path);
+          toggle.innerHTML = ICONS.expand;
+          list.style.display = 'none';
+        }
+      };
+
+      return group;
+    }
+
+    /**
+     * Render a single problem
+     * @param {string} path - File path
+     * @param {Object} diagnostic - Diagnostic
+     * @returns {HTMLElement}
+     */
+    _renderProblem(path, diagnostic) {
+      var self = this;
+      var el = document.createElement('div');
+      el.className = 'ide-problems-item';
+      el.title = diagnostic.message;
+
+      var icon = document.createElement('span');
+      icon.className = 'ide-problems-icon ide-problems-icon-' + diagnostic.severity;
+      icon.innerHTML = ICONS[diagnostic.severity] || ICONS.error;
+      el.appendChild(icon);
+
+      var message = document.createElement('span');
+      message.className = 'ide-problems-message';
+      message.textContent = diagnostic.message;
+      el.appendChild(message);
+
+      var location = document.createElement('span');
+      location.className = 'ide-problems-location';
+      location.textContent = '[Ln ' + (diagnostic.line + 1) + ', Col ' + (diagnostic.column + 1) + ']';
+      el.appendChild(location);
+
+      el.onclick = function() {
+        self._navigateToProblem(path, diagnostic);
+      };
+
+      return el;
+    }
+
+    // ============================================
+    // Private Methods - Navigation
+    // ============================================
+
+    /**
+     * Open the file of a problem and select its range
+     * @param {string} path - File path
+     * @param {Object} diagnostic - Diagnostic
+     */
+    _navigateToProblem(path, diagnostic) {
+      if (!this._ide) return;
+
+      var self = this;
+
+      this._ide.openFile(path).then(function() {
+        var editor = self._ide.getEditor();
+        if (editor) {
+          var length = editor.document.getLength();
+          editor.setSelection(Math.min(diagnostic.start, length), Math.min(diagnostic.end, length));
+          self._ide.focusEditor();
+        }
+      });
+    }
+
+    // ============================================
+    // Private Methods - Utilities
+    // ============================================
+
+    /**
+     * Get file name from path
+     * @param {string} path - File path
+     * @returns {string}
+     */
+    _getFileName(path) {
+      var parts = path.split('/');
+      return parts[parts.length - 1];
+    }
+
+    /**
+     * Get directory path from file path (excludes project name)
+     * @param {string} path - File path
+     * @returns {string}
+     */
+    _getDirectoryPath(path) {
+      var parts = path.split('/');
+      parts.shift(); // Remove project name (root folder)
+      parts.pop();   // Remove filename
+      return parts.join('/');
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.IDE = CodeEditor.IDE || {};
+  CodeEditor.IDE.ProblemsPanel = ProblemsPanel;
+
+})(window.CodeEditor = window.CodeEditor || {});
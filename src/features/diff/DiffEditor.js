@@ -0,0 +1,823 @@
+/**
+ * DiffEditor - Compare a tab's content with another version of it
+ *
+ * Shown by an EditorPane for a tab with a diff. The pane's editor keeps
+ * the tab's content on the right and stays editable; a read-only editor on
+ * the left shows the text it is compared against. Changed lines are
+ * shaded, the words that changed inside them are highlighted, and the two
+ * sides scroll together. The inline layout shows both versions in the
+ * read-only editor instead, each change's removed lines above its added ones.
+ *
+ * Every change has a button that reverts it: its lines in the tab's
+ * content are replaced by the original ones, as an edit undo reverts.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  // Get dependencies
+  var Editor = CodeEditor.Editor;
+  var LineDiff = CodeEditor.LineDiff;
+  var SearchDecorations = CodeEditor.SearchDecorations;
+
+  // Pause after the last edit before the comparison is updated
+  var UPDATE_DELAY_MS = 200;
+
+  // Space EditorView leaves around the text
+  var CONTENT_PADDING = 10;
+
+  // Changes with more text than this are not compared word by word
+  var MAX_WORD_DIFF_LENGTH = 20000;
+
+  // ============================================
+  // Line Highlights
+  // ============================================
+
+  /**
+   * Full-width backgrounds behind runs of lines, drawn for the lines in
+   * the editor's viewport
+   */
+  class LineHighlights {
+    _view = null;
+    _layer = null;
+    _ranges = [];
+    _unsubscribeViewport = null;
+
+    /**
+     * @param {Editor} editor - Editor to draw in
+     */
+    constructor(editor) {
+      var self = this;
+      this._view = editor.view;
+
+      // Behind the text, like the selection
+      this._layer = document.createElement('div');
+      this._layer.className = 'ec-diff-line-layer';
+      this._view.contentElement.insertBefore(this._layer, this._view.contentElement.firstChild);
+
+      this._unsubscribeViewport = this._view.on('viewportChange', function() {
+        self._render();
+      });
+    }
+
+    /**
+     * Replace the highlighted lines
+     * @param {Array<{startLine: number, endLine: number, className: string}>} ranges - Sorted,
+     *   with exclusive ends; an empty range draws a rule above its start line
+     */
+    render(ranges) {
+      this._ranges = ranges;
+      this._render();
+    }
+
+    /**
+     * Remove all highlights
+     */
+    clear() {
+      this.render([]);
+    }
+
+    _render() {
+      this._layer.innerHTML = '';
+
+      var visible = this._view.getVisibleLineRange();
+      var lineHeight = this._view.lineHeight;
+
+      for (var i = 0; i < this._ranges.length; i++) {
+        var range = this._ranges[i];
+        if (range.startLine > visible.endLine + 1) break;
+        if (Math.max(range.endLine - 1, range.startLine) < visible.startLine) continue;
+
+        var top = this._view.getLineTop(range.startLine);
+        var el = document.createElement('div');
+        el.className = range.className;
+        el.style.top = (top + CONTENT_PADDING) + 'px';
+        if (range.endLine > range.startLine) {
+          el.style.height = (this._view.getLineTop(range.endLine - 1) + lineHeight - top) + 'px';
+        }
+        this._layer.appendChild(el);
+      }
+    }
+
+    dispose() {
+      if (this._unsubscribeViewport) this._unsubscribeViewport();
+      this._layer.remove();
+    }
+  }
+
+  // ============================================
+  // DiffEditor
+  // ============================================
+
+  class DiffEditor {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _container = null;
+    _modifiedEditor = null; // The pane's editor, showing the tab's content
+    _originalEditor = null; // Read-only: the original text, or both versions inline
+    _tab = null; // Tab being compared, while shown
+    _inline = false;
+    _listeners = new Map();
+
+    // Changes from LineDiff.compute(), each with its word changes and
+    // the line it starts at in the inline layout
+    _changes = [];
+    _currentChange = -1;
+    _updateTimer = null;
+
+    // Editor -> scroll position set to follow the other side, whose
+    // scroll event is not followed back
+    _syncedScroll = new Map();
+
+    // DOM Elements
+    _toolbar = null;
+    _originalElement = null;
+    _revertStrip = null;
+
+    // Decorations
+    _originalLines = null;
+    _modifiedLines = null;
+    _removedWords = null;
+    _addedWords = null;
+    _inlineAddedWords = null;
+
+    // Event subscriptions removed on dispose
+    _unsubscribers = [];
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new DiffEditor
+     * @param {HTMLElement} container - Container of the modified editor
+     * @param {Editor} modifiedEditor - Editor showing the tab's content
+     * @param {Object} options - Font options of the modified editor
+     * @param {number} options.fontSize
+     * @param {number} options.lineHeight
+     */
+    constructor(container, modifiedEditor, options) {
+      options = options || {};
+      this._container = container;
+      this._modifiedEditor = modifiedEditor;
+
+      this._createDOM(options);
+      this._createDecorations();
+      this._bindEvents();
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Show the comparison of a tab whose content is in the modified editor
+     * @param {Tab} tab - Tab with a diff
+     */
+    show(tab) {
+      this._tab = tab;
+      this._currentChange = -1;
+      this._container.classList.add('ide-diff-mode');
+      this._toolbar.querySelector('.ide-diff-original-label').textContent = tab.diff.originalLabel;
+      this._toolbar.querySelector('.ide-diff-modified-label').textContent = tab.diff.modifiedLabel;
+      this._originalEditor.setLanguage(tab.language);
+      this._originalEditor.view.setScrollPosition({ top: 0, left: 0 });
+      this.update();
+      this._syncScroll(this._modifiedEditor, this._originalEditor, false);
+    }
+
+    /**
+     * Go back to the plain editor
+     */
+    hide() {
+      if (!this._tab) return;
+
+      this._tab = null;
+      this._changes = [];
+      if (this._updateTimer) {
+        clearTimeout(this._updateTimer);
+        this._updateTimer = null;
+      }
+      this._container.classList.remove('ide-diff-mode');
+      this._modifiedLines.clear();
+      this._addedWords.clear();
+      this._revertStrip.innerHTML = '';
+    }
+
+    /**
+     * Check if a comparison is shown
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._tab !== null;
+    }
+
+    /**
+     * Compare the two versions again, such as after the original was saved
+     */
+    update() {
+      if (!this._tab) return;
+      if (this._updateTimer) {
+        clearTimeout(this._updateTimer);
+        this._updateTimer = null;
+      }
+
+      var original = this._getOriginalText();
+      var modified = this._modifiedEditor.getValue();
+      var originalLines = original.split('\n');
+      var modifiedLines = modified.split('\n');
+
+      this._changes = LineDiff.compute(original, modified).map(function(change) {
+        change.words = DiffEditor._compareWords(change, originalLines, modifiedLines);
+        return change;
+      });
+      this._currentChange = Math.min(this._currentChange, this._changes.length - 1);
+
+      this._setOriginalText(this._inline ? this._buildInlineText(originalLines, modifiedLines) : original);
+      this._render();
+    }
+
+    /**
+     * Get the changes shown
+     * @returns {Array<{originalStart: number, originalEnd: number, modifiedStart: number, modifiedEnd: number}>}
+     *   Line ranges with exclusive ends, as from LineDiff.compute()
+     */
+    getChanges() {
+      return this._changes.map(function(change) {
+        return {
+          originalStart: change.originalStart,
+          originalEnd: change.originalEnd,
+          modifiedStart: change.modifiedStart,
+          modifiedEnd: change.modifiedEnd,
+        };
+      });
+    }
+
+    /**
+     * Move to the next change, after the last one back to the first
+     */
+    nextChange() {
+      if (this._changes.length === 0) return;
+      this._goToChange((this._currentChange + 1) % this._changes.length);
+    }
+
+    /**
+     * Move to the previous change, before the first one back to the last
+     */
+    previousChange() {
+      if (this._changes.length === 0) return;
+      this._goToChange((this._currentChange - 1 + this._changes.length) % this._changes.length);
+    }
+
+    /**
+     * Replace a change's lines in the tab's content with the original ones
+     * @param {number} index - Index of the change
+     */
+    revertChange(index) {
+      var change = this._changes[index];
+      if (!change) return;
+
+      var edit = LineDiff.revertEdit(change, this._getOriginalText(), this._modifiedEditor.getValue());
+      this._modifiedEditor.applyEdits([edit], 'Revert Change');
+      this.update();
+    }
+
+    /**
+     * Show both versions in one editor, or side by side
+     * @param {boolean} inline
+     */
+    setInline(inline) {
+      if (this._inline === inline) return;
+
+      this._inline = inline;
+      this._container.classList.toggle('ide-diff-inline', inline);
+      var button = this._toolbar.querySelector('[data-action="layout"]');
+      button.textContent = inline ? 'Side by Side' : 'Inline';
+      button.title = inline ? 'Show Side by Side' : 'Show Inline';
+
+      this._originalEditor.view.setScrollPosition({ top: 0, left: 0 });
+      this.update();
+      if (this._currentChange !== -1) {
+        this._goToChange(this._currentChange);
+      }
+    }
+
+    /**
+     * Check if both versions are shown in one editor
+     * @returns {boolean}
+     */
+    isInline() {
+      return this._inline;
+    }
+
+    /**
+     * Get the read-only editor of the original text
+     * @returns {Editor}
+     */
+    getOriginalEditor() {
+      return this._originalEditor;
+    }
+
+    /**
+     * Dispose the DiffEditor
+     */
+    dispose() {
+      this.hide();
+      this._unsubscribers.forEach(function(unsubscribe) {
+        unsubscribe();
+      });
+      this._unsubscribers = [];
+
+      this._originalLines.dispose();
+      this._modifiedLines.dispose();
+      this._removedWords.dispose();
+      this._addedWords.dispose();
+      this._inlineAddedWords.dispose();
+      this._originalEditor.dispose();
+
+      this._toolbar.remove();
+      this._originalElement.remove();
+      this._revertStrip.remove();
+      this._listeners.clear();
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self._listeners.get(event).delete(callback);
+      };
+    }
+
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(cb) {
+          cb(data);
+        });
+      }
+    }
+
+    // ============================================
+    // Private Methods - Initialization
+    // ============================================
+
+    /**
+     * Create DOM structure
+     * @param {Object} options - Font options
+     */
+    _createDOM(options) {
+      this._toolbar = document.createElement('div');
+      this._toolbar.className = 'ide-diff-toolbar';
+      this._toolbar.innerHTML =
+        '<span class="ide-diff-title">' +
+          '<span class="ide-diff-original-label"></span>' +
+          '<span class="ide-diff-arrow">↔</span>' +
+          '<span class="ide-diff-modified-label"></span>' +
+        '</span>' +
+        '<span class="ide-diff-count"></span>' +
+        '<button class="ide-diff-action" data-action="previous" title="Previous Change (Shift+Alt+F5)">↑</button>' +
+        '<button class="ide-diff-action" data-action="next" title="Next Change (Alt+F5)">↓</button>' +
+        '<button class="ide-diff-action" data-action="layout" title="Show Inline">Inline</button>' +
+        '<button class="ide-diff-action" data-action="close" title="Close Comparison">×</button>';
+      this._container.appendChild(this._toolbar);
+
+      // Editor sets its own class on its container, so it gets an inner one
+      this._originalElement = document.createElement('div');
+      this._originalElement.className = 'ide-diff-original';
+      var editorElement = document.createElement('div');
+      this._originalElement.appendChild(editorElement);
+      this._container.appendChild(this._originalElement);
+
+      this._originalEditor = new Editor(editorElement, {
+        value: '',
+        readOnly: true,
+        fontSize: options.fontSize,
+        lineHeight: options.lineHeight,
+      });
+
+      this._revertStrip = document.createElement('div');
+      this._revertStrip.className = 'ide-diff-revert-strip';
+      this._container.appendChild(this._revertStrip);
+    }
+
+    /**
+     * Create the line and word highlights of both editors
+     */
+    _createDecorations() {
+      this._originalLines = new LineHighlights(this._originalEditor);
+      this._modifiedLines = new LineHighlights(this._modifiedEditor);
+      this._removedWords = new SearchDecorations(this._originalEditor, {
+        className: 'ec-diff-word-removed',
+        layerClassName: 'ec-diff-word-layer',
+      });
+      this._inlineAddedWords = new SearchDecorations(this._originalEditor, {
+        className: 'ec-diff-word-added',
+        layerClassName: 'ec-diff-word-layer',
+      });
+      this._addedWords = new SearchDecorations(this._modifiedEditor, {
+        className: 'ec-diff-word-added',
+        layerClassName: 'ec-diff-word-layer',
+      });
+    }
+
+    /**
+     * Bind event handlers
+     */
+    _bindEvents() {
+      var self = this;
+
+      // Follow edits of the tab's content
+      this._unsubscribers.push(this._modifiedEditor.on('change', function() {
+        if (!self._tab || self._updateTimer) return;
+        self._updateTimer = setTimeout(function() {
+          self._updateTimer = null;
+          self.update();
+        }, UPDATE_DELAY_MS);
+      }));
+
+      // The original side draws with the font of the tab's side
+      this._unsubscribers.push(this._modifiedEditor.on('optionsChange', function(changed) {
+        var fontOptions = {};
+        ['fontSize', 'lineHeight', 'fontFamily', 'tabSize'].forEach(function(name) {
+          if (changed[name] !== undefined) fontOptions[name] = changed[name];
+        });
+        self._originalEditor.updateOptions(fontOptions);
+        if (self._tab) {
+          self._syncScroll(self._modifiedEditor, self._originalEditor, false);
+          self._renderRevertButtons();
+        }
+      }));
+
+      // Scroll the sides together
+      this._unsubscribers.push(this._modifiedEditor.view.on('scroll', function() {
+        if (!self._tab) return;
+        self._syncScroll(self._modifiedEditor, self._originalEditor, false);
+        self._renderRevertButtons();
+      }));
+      this._unsubscribers.push(this._originalEditor.view.on('scroll', function() {
+        if (!self._tab) return;
+        self._syncScroll(self._originalEditor, self._modifiedEditor, true);
+        self._renderRevertButtons();
+      }));
+
+      this._toolbar.addEventListener('click', function(e) {
+        var button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+          case 'previous':
+            self.previousChange();
+            break;
+          case 'next':
+            self.nextChange();
+            break;
+          case 'layout':
+            self.setInline(!self._inline);
+            break;
+          case 'close':
+            self._emit('close', { tab: self._tab });
+            break;
+        }
+      });
+
+      this._revertStrip.addEventListener('mousedown', function(e) {
+        var button = e.target.closest('[data-change]');
+        if (!button) return;
+
+        e.preventDefault();
+        self.revertChange(Number(button.dataset.change));
+      });
+    }
+
+    // ============================================
+    // Private Methods - Comparison
+    // ============================================
+
+    /**
+     * Get the text the tab is compared against
+     * @returns {string}
+     */
+    _getOriginalText() {
+      var original = this._tab.diff.original;
+      return typeof original === 'string' ? original : this._tab.originalContent;
+    }
+
+    /**
+     * Put text in the read-only editor, keeping where it is scrolled to
+     * @param {string} text
+     */
+    _setOriginalText(text) {
+      var editor = this._originalEditor;
+      if (editor.getValue() === text) return;
+
+      var position = editor.view.getScrollPosition();
+      editor.setSuppressUndo(true);
+      editor.setValue(text);
+      editor.setSuppressUndo(false);
+      editor.view.setScrollPosition(position);
+    }
+
+    /**
+     * Build the text of the inline layout: the modified text, with each
+     * change's removed lines above its added ones. Records where each
+     * change starts in it.
+     * @param {string[]} originalLines
+     * @param {string[]} modifiedLines
+     * @returns {string}
+     */
+    _buildInlineText(originalLines, modifiedLines) {
+      var lines = [];
+      var next = 0;
+
+      for (var i = 0; i < this._changes.length; i++) {
+        var change = this._changes[i];
+        lines.push.apply(lines, modifiedLines.slice(next, change.modifiedStart));
+        change.inlineStart = lines.length;
+        lines.push.apply(lines, originalLines.slice(change.originalStart, change.originalEnd));
+        lines.push.apply(lines, modifiedLines.slice(change.modifiedStart, change.modifiedEnd));
+        next = change.modifiedEnd;
+      }
+      lines.push.apply(lines, modifiedLines.slice(next));
+
+      return lines.join('\n');
+    }
+
+    /**
+     * Find the words that changed between the two sides of a change
+     * @param {Object} change - Change from LineDiff.compute()
+     * @param {string[]} originalLines
+     * @param {string[]} modifiedLines
+     * @returns {Array<Object>} Character ranges from LineDiff.computeWords(), relative
+     *   to the first line of the change on each side; empty for pure insertions and deletions
+     */
+    static _compareWords(change, originalLines, modifiedLines) {
+      if (change.originalStart === change.originalEnd || change.modifiedStart === change.modifiedEnd) {
+        return [];
+      }
+
+      var original = originalLines.slice(change.originalStart, change.originalEnd).join('\n');
+      var modified = modifiedLines.slice(change.modifiedStart, change.modifiedEnd).join('\n');
+      if (original.length + modified.length > MAX_WORD_DIFF_LENGTH) return [];
+
+      return LineDiff.computeWords(original, modified);
+    }
+
+    // ============================================
+    // Private Methods - Rendering
+    // ============================================
+
+    /**
+     * Draw the changes and update the toolbar
+     */
+    _render() {
+      if (this._inline) {
+        this._renderInline();
+      } else {
+        this._renderSideBySide();
+      }
+      this._renderRevertButtons();
+      this._renderCount();
+    }
+
+    /**
+     * Shade removed lines on the left and added lines on the right
+     */
+    _renderSideBySide() {
+      var originalDoc = this._originalEditor.document;
+      var modifiedDoc = this._modifiedEditor.document;
+      var originalRanges = [];
+      var modifiedRanges = [];
+      var removedWords = [];
+      var addedWords = [];
+
+      this._changes.forEach(function(change) {
+        originalRanges.push(DiffEditor._lineRange(change.originalStart, change.originalEnd, 'removed'));
+        modifiedRanges.push(DiffEditor._lineRange(change.modifiedStart, change.modifiedEnd, 'added'));
+
+        var originalBase = originalDoc.positionToOffset(change.originalStart, 0);
+        var modifiedBase = modifiedDoc.positionToOffset(change.modifiedStart, 0);
+        change.words.forEach(function(word) {
+          DiffEditor._pushWord(removedWords, originalBase + word.originalStart, originalBase + word.originalEnd);
+          DiffEditor._pushWord(addedWords, modifiedBase + word.modifiedStart, modifiedBase + word.modifiedEnd);
+        });
+      });
+
+      this._originalLines.render(originalRanges);
+      this._modifiedLines.render(modifiedRanges);
+      this._removedWords.render(removedWords, -1);
+      this._addedWords.render(addedWords, -1);
+      this._inlineAddedWords.clear();
+    }
+
+    /**
+     * Shade removed and added lines in the read-only editor's inline text
+     */
+    _renderInline() {
+      var doc = this._originalEditor.document;
+      var ranges = [];
+      var removedWords = [];
+      var addedWords = [];
+
+      this._changes.forEach(function(change) {
+        var removedEnd = change.inlineStart + change.originalEnd - change.originalStart;
+        var addedEnd = removedEnd + change.modifiedEnd - change.modifiedStart;
+        if (removedEnd > change.inlineStart) {
+          ranges.push(DiffEditor._lineRange(change.inlineStart, removedEnd, 'removed'));
+        }
+        if (addedEnd > removedEnd) {
+          ranges.push(DiffEditor._lineRange(removedEnd, addedEnd, 'added'));
+        }
+
+        var removedBase = doc.positionToOffset(change.inlineStart, 0);
+        var addedBase = doc.positionToOffset(removedEnd, 0);
+        change.words.forEach(function(word) {
+          DiffEditor._pushWord(removedWords, removedBase + word.originalStart, removedBase + word.originalEnd);
+          DiffEditor._pushWord(addedWords, addedBase + word.modifiedStart, addedBase + word.modifiedEnd);
+        });
+      });
+
+      this._originalLines.render(ranges);
+      this._removedWords.render(removedWords, -1);
+      this._inlineAddedWords.render(addedWords, -1);
+      this._modifiedLines.clear();
+      this._addedWords.clear();
+    }
+
+    /**
+     * Place a revert button beside the first line of each change in view
+     */
+    _renderRevertButtons() {
+      this._revertStrip.innerHTML = '';
+      if (!this._tab) return;
+
+      var editor = this._inline ? this._originalEditor : this._modifiedEditor;
+      var view = editor.view;
+      var scrollTop = view.getScrollPosition().top;
+      var height = this._revertStrip.clientHeight;
+
+      for (var i = 0; i < this._changes.length; i++) {
+        var change = this._changes[i];
+        var line = this._inline ? change.inlineStart : change.modifiedStart;
+        var top = view.getLineTop(line) + CONTENT_PADDING - scrollTop;
+        if (top < -view.lineHeight || (height && top > height)) continue;
+
+        var button = document.createElement('div');
+        button.className = 'ide-diff-revert';
+        button.dataset.change = i;
+        button.title = 'Revert Change';
+        button.textContent = '↶';
+        button.style.top = top + 'px';
+        button.style.height = view.lineHeight + 'px';
+        this._revertStrip.appendChild(button);
+      }
+    }
+
+    /**
+     * Show how many changes there are, and which one was moved to
+     */
+    _renderCount() {
+      var count = this._changes.length;
+      var text;
+      if (count === 0) {
+        text = 'No changes';
+      } else if (this._currentChange === -1) {
+        text = count + (count === 1 ? ' change' : ' changes');
+      } else {
+        text = (this._currentChange + 1) + ' of ' + count;
+      }
+      this._toolbar.querySelector('.ide-diff-count').textContent = text;
+    }
+
+    /**
+     * Reveal a change and put the cursor on its first line
+     * @param {number} index - Index of the change
+     */
+    _goToChange(index) {
+      var change = this._changes[index];
+      this._currentChange = index;
+
+      if (this._inline) {
+        this._originalEditor.setCursorPosition(change.inlineStart, 0);
+        this._originalEditor.view.revealLine(change.inlineStart);
+      } else {
+        var line = Math.min(change.modifiedStart, this._modifiedEditor.document.getLineCount() - 1);
+        this._modifiedEditor.setCursorPosition(line, 0);
+        this._modifiedEditor.view.revealLine(line);
+        this._modifiedEditor.focus();
+      }
+      this._renderCount();
+    }
+
+    // ============================================
+    // Private Methods - Scrolling
+    // ============================================
+
+    /**
+     * Scroll one side to the lines matching those at the top of the other
+     * @param {Editor} from - Editor that scrolled
+     * @param {Editor} to - Editor to scroll
+     * @param {boolean} fromOriginal - Whether the editor that scrolled is the original side
+     */
+    _syncScroll(from, to, fromOriginal) {
+      if (this._inline) return;
+
+      var position = from.view.getScrollPosition();
+      var synced = this._syncedScroll.get(from);
+      if (synced) {
+        this._syncedScroll.delete(from);
+        if (synced.top === position.top && synced.left === position.left) return;
+      }
+
+      var lineHeight = from.view.lineHeight;
+      var target = {
+        top: Math.round(this._mapLine(position.top / lineHeight, fromOriginal) * lineHeight),
+        left: position.left,
+      };
+      var current = to.view.getScrollPosition();
+      if (current.top === target.top && current.left === target.left) return;
+
+      to.view.setScrollPosition(target);
+      this._syncedScroll.set(to, to.view.getScrollPosition());
+    }
+
+    /**
+     * Find the line on the other side matching a line; lines inside a
+     * change map proportionally onto the other side of the change
+     * @param {number} line - Line, or a fraction of one
+     * @param {boolean} fromOriginal - Whether the line is on the original side
+     * @returns {number}
+     */
+    _mapLine(line, fromOriginal) {
+      var fromEnd = 0;
+      var toEnd = 0;
+
+      for (var i = 0; i < this._changes.length; i++) {
+        var change = this._changes[i];
+        var fromStart = fromOriginal ? change.originalStart : change.modifiedStart;
+        var toStart = fromOriginal ? change.modifiedStart : change.originalStart;
+        if (line < fromStart) break;
+
+        fromEnd = fromOriginal ? change.originalEnd : change.modifiedEnd;
+        toEnd = fromOriginal ? change.modifiedEnd : change.originalEnd;
+        if (line < fromEnd) {
+          return toStart + (line - fromStart) * (toEnd - toStart) / (fromEnd - fromStart);
+        }
+      }
+
+      return toEnd + line - fromEnd;
+    }
+
+    // ============================================
+    // Private Methods - Helpers
+    // ============================================
+
+    /**
+     * Describe the lines of one side of a change for LineHighlights
+     * @param {number} start - First line
+     * @param {number} end - Line after the last
+     * @param {string} kind - 'removed' or 'added'
+     * @returns {{startLine: number, endLine: number, className: string}}
+     */
+    static _lineRange(start, end, kind) {
+      return {
+        startLine: start,
+        endLine: end,
+        className: end > start ? 'ec-diff-line ec-diff-line-' + kind : 'ec-diff-gap',
+      };
+    }
+
+    /**
+     * Add a changed word for SearchDecorations, leaving out empty ones
+     * @param {Array<{start: number, end: number}>} words
+     * @param {number} start
+     * @param {number} end
+     */
+    static _pushWord(words, start, end) {
+      if (end > start) words.push({ start: start, end: end });
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.IDE = CodeEditor.IDE || {};
+  CodeEditor.IDE.DiffEditor = DiffEditor;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Line-based diff of two texts
+ * @module features/diff/LineDiff
+ *
+ * Finds the fewest lines to delete and insert to turn one text into the
+ * other (Myers' O(ND) algorithm), after setting aside the lines both
+ * texts start and end with. Texts too different to diff quickly are
+ * reported as one change spanning everything between those lines.
+ * The same search over words finds what changed inside changed lines.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Most deleted plus inserted lines (or words) searched for before giving up
+  var MAX_EDIT_COST = 2000;
+
+  // Words, runs of whitespace, and single other characters
+  var WORD_PATTERN = /\w+|\s+|[^\w\s]/g;
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Compute the changed line ranges between two texts. Ranges are 0-based
+   * line indices with exclusive ends; an empty range on one side is a pure
+   * insertion or deletion at that line.
+   * @param {string} original - Text before
+   * @param {string} modified - Text after
+   * @returns {Array<{originalStart: number, originalEnd: number, modifiedStart: number, modifiedEnd: number}>}
+   *   Changes in document order
+   */
+  function compute(original, modified) {
+    return diffSequences(original.split('\n'), modified.split('\n'));
+  }
+
+  /**
+   * Compute the changed character ranges between two texts, compared word
+   * by word. Offsets are into each text, with exclusive ends.
+   * @param {string} original - Text before
+   * @param {string} modified - Text after
+   * @returns {Array<{originalStart: number, originalEnd: number, modifiedStart: number, modifiedEnd: number}>}
+   *   Changes in text order
+   */
+  function computeWords(original, modified) {
+    var a = original.match(WORD_PATTERN) || [];
+    var b = modified.match(WORD_PATTERN) || [];
+    var aOffsets = getOffsets(a);
+    var bOffsets = getOffsets(b);
+
+    return diffSequences(a, b).map(function(change) {
+      return {
+        originalStart: aOffsets[change.originalStart],
+        originalEnd: aOffsets[change.originalEnd],
+        modifiedStart: bOffsets[change.modifiedStart],
+        modifiedEnd: bOffsets[change.modifiedEnd],
+      };
+    });
+  }
+
+  /**
+   * Count the lines changes remove and add
+   * @param {Array<Object>} changes - Result of compute()
+   * @returns {{removed: number, added: number}}
+   */
+  function countLines(changes) {
+    var removed = 0;
+    var added = 0;
+    for (var i = 0; i < changes.length; i++) {
+      removed += changes[i].originalEnd - changes[i].originalStart;
+      added += changes[i].modifiedEnd - changes[i].modifiedStart;
+    }
+    return { removed: removed, added: added };
+  }
+
+  /**
+   * Compute the edit that gives one change of the modified text back the
+   * original lines
+   * @param {Object} change - Change from compute()
+   * @param {string} original - Text before
+   * @param {string} modified - Text after
+   * @returns {{start: number, end: number, text: string}} Replacement, with offsets into the modified text
+   */
+  function revertEdit(change, original, modified) {
+    var originalLines = original.split('\n').slice(change.originalStart, change.originalEnd);
+    var modifiedLines = modified.split('\n');
+    var lineOffsets = getOffsets(modifiedLines.map(function(line) { return line + '\n'; }));
+
+    if (change.modifiedEnd < modifiedLines.length) {
+      // Whole lines, each ending in a line break
+      return {
+        start: lineOffsets[change.modifiedStart],
+        end: lineOffsets[change.modifiedEnd],
+        text: originalLines.map(function(line) { return line + '\n'; }).join(''),
+      };
+    }
+    if (change.modifiedStart > 0) {
+      // At the end of the text: the line break before the lines goes with them
+      return {
+        start: lineOffsets[change.modifiedStart] - 1,
+        end: modified.length,
+        text: originalLines.map(function(line) { return '\n' + line; }).join(''),
+      };
+    }
+    return { start: 0, end: modified.length, text: originalLines.join('\n') };
+  }
+
+  // ============================================
+  // Myers Diff
+  // ============================================
+
+  /**
+   * Compute the changed index ranges between two sequences of strings
+   * @param {string[]} a
+   * @param {string[]} b
+   * @returns {Array<{originalStart: number, originalEnd: number, modifiedStart: number, modifiedEnd: number}>}
+   */
+  function diffSequences(a, b) {
+    var start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    var aEnd = a.length;
+    var bEnd = b.length;
+    while (aEnd > start && bEnd > start && a[aEnd - 1] === b[bEnd - 1]) {
+      aEnd--;
+      bEnd--;
+    }
+
+    if (start === aEnd && start === bEnd) return [];
+
+    var matches = findMatches(a.slice(start, aEnd), b.slice(start, bEnd));
+    if (!matches) {
+      return [{ originalStart: start, originalEnd: aEnd, modifiedStart: start, modifiedEnd: bEnd }];
+    }
+
+    // The changes are the gaps between matching items
+    var changes = [];
+    var i = 0;
+    var j = 0;
+    matches.push([aEnd - start, bEnd - start]);
+    for (var m = 0; m < matches.length; m++) {
+      var x = matches[m][0];
+      var y = matches[m][1];
+      if (x > i || y > j) {
+        changes.push({
+          originalStart: start + i,
+          originalEnd: start + x,
+          modifiedStart: start + j,
+          modifiedEnd: start + y,
+        });
+      }
+      i = x + 1;
+      j = y + 1;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Find a longest sequence of items common to both sequences
+   * @param {string[]} a
+   * @param {string[]} b
+   * @returns {Array<Array<number>>|null} [indexInA, indexInB] pairs in order,
+   *   or null if the sequences differ by more than MAX_EDIT_COST items
+   */
+  function findMatches(a, b) {
+    var n = a.length;
+    var m = b.length;
+    var max = Math.min(n + m, MAX_EDIT_COST);
+
+    // v[k] is the furthest x reached on diagonal k (y = x - k); trace keeps
+    // the diagonals -d-1..d+1 of v before each round d for backtracking
+    var v = { 1: 0 };
+    var trace = [];
+
+    for (var d = 0; d <= max; d++) {
+      var saved = [];
+      for (var s = -d - 1; s <= d + 1; s++) saved.push(v[s]);
+      trace.push(saved);
+
+      for (var k = -d; k <= d; k += 2) {
+        var x = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? v[k + 1] : v[k - 1] + 1;
+        var y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[k] = x;
+
+        if (x >= n && y >= m) return backtrack(trace, n, m);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk the search back from the end, collecting the diagonal moves
+   * @param {Array<Array<number>>} trace
+   * @param {number} n - Items in the first sequence
+   * @param {number} m - Items in the second sequence
+   * @returns {Array<Array<number>>} Matching [indexInA, indexInB] pairs in order
+   */
+  function backtrack(trace, n, m) {
+    var matches = [];
+    var x = n;
+    var y = m;
+
+    for (var d = trace.length - 1; d >= 0; d--) {
+      var saved = trace[d];
+      var at = function(diagonal) {
+        return saved[diagonal + d + 1];
+      };
+
+      var k = x - y;
+      var prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+      var prevX = d === 0 ? 0 : at(prevK);
+      var prevY = d === 0 ? 0 : prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        matches.push([x, y]);
+      }
+
+      x = prevX;
+      y = prevY;
+    }
+
+    return matches.reverse();
+  }
+
+  /**
+   * Get the offset of each item in the text they were split from
+   * @param {string[]} items
+   * @returns {number[]} Offsets, followed by the length of the text
+   */
+  function getOffsets(items) {
+    var offsets = [0];
+    for (var i = 0; i < items.length; i++) {
+      offsets.push(offsets[i] + items[i].length);
+    }
+    return offsets;
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.LineDiff = Object.freeze({
+    compute: compute,
+    computeWords: computeWords,
+    countLines: countLines,
+    revertEdit: revertEdit
+  });
+
+})(window.CodeEditor = window.CodeEditor || {});
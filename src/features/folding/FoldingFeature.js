@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Code folding feature for code editor
+ * @module features/folding/FoldingFeature
+ *
+ * Keeps the view's foldable ranges current with the document, computed by
+ * FoldingRanges for its language; the view draws the gutter chevrons and
+ * hides folded lines. Shortcuts:
+ * - Ctrl+Shift+[: Fold the innermost open range at the cursor
+ * - Ctrl+Shift+]: Unfold the fold at the cursor
+ * - Ctrl+K Ctrl+0: Fold all
+ * - Ctrl+K Ctrl+J: Unfold all
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var FoldingRanges = CodeEditor.FoldingRanges;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Delay after the last edit before ranges are recomputed
+  var UPDATE_DELAY_MS = 250;
+
+  // Default tab/indent size, for indentation-based ranges
+  var DEFAULT_TAB_SIZE = 2;
+
+  // ============================================
+  // Class Definition
+  // ============================================
+
+  /**
+   * Code folding feature.
+   *
+   * @example
+   * var folding = new FoldingFeature(editor);
+   * folding.foldAll();
+   */
+  class FoldingFeature {
+    // ----------------------------------------
+    // Commands
+    // ----------------------------------------
+
+    // Offered in the command palette, run with the feature of the active editor
+    static COMMANDS = [
+      {
+        id: 'editor.fold',
+        title: 'Fold',
+        category: 'View',
+        keybinding: 'Ctrl+Shift+[',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature.fold();
+        },
+      },
+      {
+        id: 'editor.unfold',
+        title: 'Unfold',
+        category: 'View',
+        keybinding: 'Ctrl+Shift+]',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature.unfold();
+        },
+      },
+      {
+        id: 'editor.foldAll',
+        title: 'Fold All',
+        category: 'View',
+        keybinding: 'Ctrl+K Ctrl+0',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature.foldAll();
+        },
+      },
+      {
+        id: 'editor.unfoldAll',
+        title: 'Unfold All',
+        category: 'View',
+        keybinding: 'Ctrl+K Ctrl+J',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature.unfoldAll();
+        },
+      },
+    ];
+
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+    _editor = null;
+    _enabled = true;
+    _tabSize = DEFAULT_TAB_SIZE;
+    _updateTimer = null;
+
+    // Bound event handlers
+    _boundHandleChange = null;
+    _unsubscribeOptions = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {Object} editor - Editor instance
+     * @param {Object} options - Configuration options
+     * @param {boolean} options.enabled - Whether folding is enabled (default: true)
+     * @param {number} options.tabSize - Spaces per indent level (default: 2)
+     */
+    constructor(editor, options = {}) {
+      this._editor = editor;
+      this._enabled = options.enabled !== false;
+      this._tabSize = options.tabSize || DEFAULT_TAB_SIZE;
+
+      this._bindEvents();
+      this.update();
+    }
+
+    // ----------------------------------------
+    // Event Binding
+    // ----------------------------------------
+
+    _bindEvents() {
+      var self = this;
+
+      // Ranges are read at the end of a burst of edits; a tab switch sets
+      // the new language before the timer fires
+      this._boundHandleChange = function() {
+        self._scheduleUpdate();
+      };
+      this._editor.on('change', this._boundHandleChange);
+
+      // Indentation ranges follow the editor's tab size
+      this._unsubscribeOptions = this._editor.on('optionsChange', function(changed) {
+        if (changed.tabSize !== undefined) self.setTabSize(changed.tabSize);
+      });
+    }
+
+    // ----------------------------------------
+    // Range Updates
+    // ----------------------------------------
+
+    _scheduleUpdate() {
+      var self = this;
+
+      if (this._updateTimer) {
+        clearTimeout(this._updateTimer);
+      }
+      this._updateTimer = setTimeout(function() {
+        self._updateTimer = null;
+        self.update();
+      }, UPDATE_DELAY_MS);
+    }
+
+    /**
+     * Recompute the foldable ranges now
+     */
+    update() {
+      if (this._updateTimer) {
+        clearTimeout(this._updateTimer);
+        this._updateTimer = null;
+      }
+
+      var ranges = this._enabled
+        ? FoldingRanges.compute(this._editor.getValue(), this._editor.getLanguage(), { tabSize: this._tabSize })
+        : [];
+      this._editor.view.setFoldingRanges(ranges);
+    }
+
+    // ----------------------------------------
+    // Public API
+    // ----------------------------------------
+
+    /**
+     * Fold the innermost open range containing the cursor's line
+     * @returns {boolean} Whether a range was folded
+     */
+    fold() {
+      this._flushUpdate();
+      return this._editor.view.fold(this._editor.getCursorPosition().line);
+    }
+
+    /**
+     * Unfold the fold on the cursor's line
+     * @returns {boolean} Whether a fold was opened
+     */
+    unfold() {
+      return this._editor.view.unfold(this._editor.getCursorPosition().line);
+    }
+
+    /**
+     * Fold every range
+     */
+    foldAll() {
+      this._flushUpdate();
+      this._editor.view.foldAll();
+    }
+
+    /**
+     * Unfold every fold
+     */
+    unfoldAll() {
+      this._editor.view.unfoldAll();
+    }
+
+    /**
+     * Enable folding
+     */
+    enable() {
+      this._enabled = true;
+      this.update();
+    }
+
+    /**
+     * Disable folding, unfolding everything
+     */
+    disable() {
+      this._enabled = false;
+      this.update();
+    }
+
+    /**
+     * Check if folding is enabled
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return this._enabled;
+    }
+
+    /**
+     * Set the tab size and recompute the ranges
+     * @param {number} size - Spaces per indent level
+     */
+    setTabSize(size) {
+      this._tabSize = size;
+      this.update();
+    }
+
+    // Ranges pending after an edit are needed before folding by them
+    _flushUpdate() {
+      if (this._updateTimer) this.update();
+    }
+
+    // ----------------------------------------
+    // Lifecycle
+    // ----------------------------------------
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+      if (this._updateTimer) {
+        clearTimeout(this._updateTimer);
+        this._updateTimer = null;
+      }
+
+      if (this._boundHandleChange) {
+        this._editor.off('change', this._boundHandleChange);
+      }
+      if (this._unsubscribeOptions) {
+        this._unsubscribeOptions();
+      }
+
+      this._editor = null;
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.Features = CodeEditor.Features || {};
+  CodeEditor.Features.Folding = FoldingFeature;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,458 @@
+/**
+ * @fileoverview Foldable line ranges of a document
+ * @module features/folding/FoldingRanges
+ *
+ * Ranges come from the structure of each language: bracket pairs and
+ * block comments in JavaScript-like languages, rule blocks and comments
+ * in CSS, element tags and comments in HTML, and heading sections and
+ * code fences in Markdown. Other languages fold by indentation.
+ *
+ * A range starts on the line its region opens on and ends on the last
+ * line to hide. A closing bracket or tag that begins its line stays shown,
+ * so a folded block reads `if (ready) {⋯` followed by `}`.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Brackets whose pairs fold
+  var FOLDING_BRACKETS = '{[(';
+
+  // Languages folded by brackets and comments
+  var BRACKET_LANGUAGES = new Set(['javascript', 'typescript', 'json']);
+
+  // Languages folded by rule blocks and comments
+  var STYLE_LANGUAGES = new Set(['css', 'scss', 'less']);
+
+  // Words after which a slash starts a regular expression, not a division
+  var KEYWORDS_BEFORE_EXPRESSION = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+  ]);
+
+  var MARKDOWN_HEADING = /^ {0,3}(#{1,6})(\s|$)/;
+  var MARKDOWN_FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Compute the foldable ranges of a document
+   * @param {string} text - Document text
+   * @param {string} language - Language identifier
+   * @param {Object} [options]
+   * @param {number} [options.tabSize=2] - Columns of a tab, for indentation
+   * @returns {Array<{startLine: number, endLine: number}>} Ranges sorted by start line
+   */
+  function compute(text, language, options) {
+    var tabSize = (options && options.tabSize) || 2;
+    var lines = new LineIndex(text);
+    var ranges;
+
+    if (BRACKET_LANGUAGES.has(language)) {
+      ranges = getBracketRanges(text, lines, true, true);
+    } else if (STYLE_LANGUAGES.has(language)) {
+      ranges = getBracketRanges(text, lines, language !== 'css', false);
+    } else if (language === 'html') {
+      ranges = getHtmlRanges(text, lines);
+    } else if (language === 'markdown') {
+      ranges = getMarkdownRanges(text);
+    } else {
+      ranges = getIndentRanges(text, tabSize);
+    }
+
+    return ranges
+      .filter(function(range) {
+        return range.endLine > range.startLine;
+      })
+      .sort(function(a, b) {
+        return a.startLine - b.startLine || b.endLine - a.endLine;
+      });
+  }
+
+  // ============================================
+  // Brackets and Comments
+  // ============================================
+
+  /**
+   * Fold bracket pairs and block comments. Strings, comments, regular
+   * expressions and the text of template literals are blanked out first
+   * so brackets inside them do not pair.
+   * @param {string} text
+   * @param {LineIndex} lines
+   * @param {boolean} lineComments - Whether `//` starts a comment
+   * @param {boolean} regexes - Whether a slash may start a regular expression
+   * @returns {Array<{startLine: number, endLine: number}>}
+   */
+  function getBracketRanges(text, lines, lineComments, regexes) {
+    var ranges = [];
+    var code = maskStringsAndComments(text, lineComments, regexes, function(start, end) {
+      ranges.push({ startLine: lines.lineAt(start), endLine: lines.lineAt(end - 1) });
+    });
+
+    var pairs = CodeEditor.Features.BracketMatch.findBracketPairs(code, FOLDING_BRACKETS);
+    for (var i = 0; i < pairs.length; i++) {
+      ranges.push({
+        startLine: lines.lineAt(pairs[i].open),
+        endLine: lastHiddenLine(text, lines, pairs[i].close)
+      });
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Replace the contents of strings, comments and regular expressions with
+   * spaces, keeping line breaks so offsets and lines stay the same. Only
+   * the text of a template literal is masked; its substitutions are code.
+   * @param {string} text
+   * @param {boolean} lineComments - Whether `//` starts a comment
+   * @param {boolean} regexes - Whether a slash may start a regular expression
+   * @param {function(number, number)} onBlockComment - Called with the range of each block comment
+   * @returns {string}
+   */
+  function maskStringsAndComments(text, lineComments, regexes, onBlockComment) {
+    var parts = [];
+    var copied = 0;
+    var pos = 0;
+    var substitutions = []; // Braces open in each template substitution around pos
+    var regexAllowed = true; // Whether a slash at pos starts a regular expression
+
+    var mask = function(start, end) {
+      parts.push(text.slice(copied, start));
+      parts.push(text.slice(start, end).replace(/[^\n]/g, ' '));
+      copied = end;
+    };
+
+    while (pos < text.length) {
+      var char = text.charAt(pos);
+      var next = text.charAt(pos + 1);
+      var end;
+
+      if (char === '/' && next === '*') {
+        end = text.indexOf('*/', pos + 2);
+        end = end === -1 ? text.length : end + 2;
+        onBlockComment(pos, end);
+      } else if (char === '/' && next === '/' && lineComments) {
+        end = text.indexOf('\n', pos);
+        if (end === -1) end = text.length;
+      } else if (char === '"' || char === "'") {
+        end = skipString(text, pos);
+        regexAllowed = false;
+      } else if (char === '`' || (char === '}' && substitutions[substitutions.length - 1] === 0)) {
+        // A template literal, or its text after the end of a substitution
+        if (char === '}') substitutions.pop();
+        end = skipTemplateText(text, pos);
+        regexAllowed = text.slice(end - 2, end) === '${';
+        if (regexAllowed) substitutions.push(0);
+      } else if (char === '/' && regexes && regexAllowed) {
+        // An unclosed one is a division after all, and only its slash is masked
+        end = skipRegex(text, pos);
+        regexAllowed = end === pos + 1;
+      } else if (/[\w$]/.test(char)) {
+        end = pos + 1;
+        while (end < text.length && /[\w$]/.test(text.charAt(end))) end++;
+        regexAllowed = KEYWORDS_BEFORE_EXPRESSION.has(text.slice(pos, end));
+        pos = end;
+        continue;
+      } else {
+        if (substitutions.length > 0 && (char === '{' || char === '}')) {
+          substitutions[substitutions.length - 1] += char === '{' ? 1 : -1;
+        }
+        if (!/\s/.test(char)) regexAllowed = char !== ')' && char !== ']';
+        pos++;
+        continue;
+      }
+
+      mask(pos, end);
+      pos = end;
+    }
+
+    parts.push(text.slice(copied));
+    return parts.join('');
+  }
+
+  /**
+   * @param {string} text
+   * @param {number} pos - Offset of the opening quote
+   * @returns {number} Offset after the closing quote, or of the end of an unclosed string's line
+   */
+  function skipString(text, pos) {
+    var quote = text.charAt(pos);
+    pos++;
+    while (pos < text.length) {
+      var char = text.charAt(pos);
+      if (char === '\\') {
+        pos += 2;
+      } else if (char === quote) {
+        return pos + 1;
+      } else if (char === '\n') {
+        return pos;
+      } else {
+        pos++;
+      }
+    }
+    return text.length;
+  }
+
+  /**
+   * @param {string} text
+   * @param {number} pos - Offset of the opening backquote, or of the `}` ending a substitution
+   * @returns {number} Offset after the closing backquote or the `${` of the next substitution
+   */
+  function skipTemplateText(text, pos) {
+    pos++;
+    while (pos < text.length) {
+      var char = text.charAt(pos);
+      if (char === '\\') {
+        pos += 2;
+      } else if (char === '`') {
+        return pos + 1;
+      } else if (char === '$' && text.charAt(pos + 1) === '{') {
+        return pos + 2;
+      } else {
+        pos++;
+      }
+    }
+    return text.length;
+  }
+
+  /**
+   * @param {string} text
+   * @param {number} pos - Offset of the opening slash
+   * @returns {number} Offset after the flags, or after the slash if the
+   *   expression does not close on its line
+   */
+  function skipRegex(text, pos) {
+    var inClass = false;
+    for (var i = pos + 1; i < text.length; i++) {
+      var char = text.charAt(i);
+      if (char === '\\') {
+        i++;
+      } else if (char === '\n') {
+        break;
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      } else if (char === '/' && !inClass) {
+        i++;
+        while (i < text.length && /\w/.test(text.charAt(i))) i++;
+        return i;
+      }
+    }
+    return pos + 1;
+  }
+
+  /**
+   * The last line a region closed at an offset hides: the line before the
+   * closing text when that text begins its line, otherwise its own line
+   * @param {string} text
+   * @param {LineIndex} lines
+   * @param {number} closeOffset - Offset of the closing bracket or tag
+   * @returns {number}
+   */
+  function lastHiddenLine(text, lines, closeOffset) {
+    var line = lines.lineAt(closeOffset);
+    var before = text.slice(lines.lineStart(line), closeOffset);
+    return before.trim() === '' ? line - 1 : line;
+  }
+
+  // ============================================
+  // HTML
+  // ============================================
+
+  /**
+   * Fold elements spanning lines and comments
+   * @param {string} text
+   * @param {LineIndex} lines
+   * @returns {Array<{startLine: number, endLine: number}>}
+   */
+  function getHtmlRanges(text, lines) {
+    var ranges = [];
+
+    var visit = function(symbols) {
+      for (var i = 0; i < symbols.length; i++) {
+        var symbol = symbols[i];
+        var tag = symbol.name.split(/[#.]/)[0];
+        var closeOffset = text.lastIndexOf('</', symbol.end - 1);
+        var hasEndTag = closeOffset > symbol.start &&
+          text.substr(closeOffset + 2, tag.length).toLowerCase() === tag;
+
+        // Elements closed by their end tag keep it shown; others hide up to their last text
+        var end = symbol.end;
+        while (!hasEndTag && end > symbol.start + 1 && /\s/.test(text.charAt(end - 1))) end--;
+        var endLine = hasEndTag ? lastHiddenLine(text, lines, closeOffset) : lines.lineAt(end - 1);
+
+        ranges.push({ startLine: lines.lineAt(symbol.start), endLine: endLine });
+        visit(symbol.children);
+      }
+    };
+    visit(CodeEditor.MarkupSymbols.getHtmlSymbols(text));
+
+    var pos = text.indexOf('<!--');
+    while (pos !== -1) {
+      var end = text.indexOf('-->', pos + 4);
+      end = end === -1 ? text.length : end + 3;
+      ranges.push({ startLine: lines.lineAt(pos), endLine: lines.lineAt(end - 1) });
+      pos = text.indexOf('<!--', end);
+    }
+
+    return ranges;
+  }
+
+  // ============================================
+  // Markdown
+  // ============================================
+
+  /**
+   * Fold each heading's section, up to the next heading of the same or a
+   * higher level, and fenced code blocks
+   * @param {string} text
+   * @returns {Array<{startLine: number, endLine: number}>}
+   */
+  function getMarkdownRanges(text) {
+    var lines = text.split('\n');
+    var ranges = [];
+    var open = []; // Headings whose sections are still open: {line, level}
+    var fence = null;
+
+    var closeSections = function(level, nextLine) {
+      while (open.length > 0 && open[open.length - 1].level >= level) {
+        var heading = open.pop();
+        ranges.push({ startLine: heading.line, endLine: lastNonBlankLine(lines, heading.line, nextLine - 1) });
+      }
+    };
+
+    for (var i = 0; i < lines.length; i++) {
+      var fenceMatch = MARKDOWN_FENCE.exec(lines[i]);
+
+      if (fence) {
+        if (fenceMatch && fenceMatch[1].charAt(0) === fence.marker.charAt(0) &&
+            fenceMatch[1].length >= fence.marker.length) {
+          ranges.push({ startLine: fence.line, endLine: i });
+          fence = null;
+        }
+        continue;
+      }
+
+      if (fenceMatch) {
+        fence = { line: i, marker: fenceMatch[1] };
+        continue;
+      }
+
+      var headingMatch = MARKDOWN_HEADING.exec(lines[i]);
+      if (headingMatch) {
+        closeSections(headingMatch[1].length, i);
+        open.push({ line: i, level: headingMatch[1].length });
+      }
+    }
+
+    closeSections(1, lines.length);
+    return ranges;
+  }
+
+  function lastNonBlankLine(lines, from, to) {
+    while (to > from && lines[to].trim() === '') to--;
+    return to;
+  }
+
+  // ============================================
+  // Indentation
+  // ============================================
+
+  /**
+   * Fold each line followed by lines indented deeper than it; blank lines
+   * belong to the block around them but do not end one
+   * @param {string} text
+   * @param {number} tabSize
+   * @returns {Array<{startLine: number, endLine: number}>}
+   */
+  function getIndentRanges(text, tabSize) {
+    var lines = text.split('\n');
+    var ranges = [];
+    var open = []; // Lines that may start a block: {line, indent}
+    var previous = -1; // Last non-blank line
+
+    var closeBlocks = function(indent) {
+      while (open.length > 0 && open[open.length - 1].indent >= indent) {
+        var block = open.pop();
+        ranges.push({ startLine: block.line, endLine: previous });
+      }
+    };
+
+    for (var i = 0; i < lines.length; i++) {
+      if (lines[i].trim() === '') continue;
+
+      var indent = measureIndent(lines[i], tabSize);
+      closeBlocks(indent);
+      open.push({ line: i, indent: indent });
+      previous = i;
+    }
+
+    closeBlocks(0);
+    return ranges;
+  }
+
+  function measureIndent(line, tabSize) {
+    var columns = 0;
+    for (var i = 0; i < line.length; i++) {
+      var char = line.charAt(i);
+      if (char === ' ') {
+        columns++;
+      } else if (char === '\t') {
+        columns += tabSize - (columns % tabSize);
+      } else {
+        break;
+      }
+    }
+    return columns;
+  }
+
+  // ============================================
+  // Line Index
+  // ============================================
+
+  /**
+   * Maps offsets of a text to line indices
+   * @param {string} text
+   */
+  function LineIndex(text) {
+    this._starts = [0];
+    for (var pos = text.indexOf('\n'); pos !== -1; pos = text.indexOf('\n', pos + 1)) {
+      this._starts.push(pos + 1);
+    }
+  }
+
+  LineIndex.prototype.lineAt = function(offset) {
+    var low = 0;
+    var high = this._starts.length - 1;
+    while (low < high) {
+      var mid = (low + high + 1) >>> 1;
+      if (this._starts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  };
+
+  LineIndex.prototype.lineStart = function(line) {
+    return this._starts[line];
+  };
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.FoldingRanges = Object.freeze({
+    compute: compute
+  });
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Markers of the lines changed since the last commit
+ * @module features/git/GitGutterFeature
+ *
+ * Compares the editor's text with the version of its file in the HEAD
+ * commit, given by the owner, and marks added, modified and deleted lines
+ * at the left edge of the gutter. Clicking a marker opens a preview of the
+ * change below its lines: the committed lines it replaced, with buttons to
+ * move between changes and to revert the change.
+ * - Escape: Close the preview
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var LineDiff = CodeEditor.LineDiff;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Delay after the last edit before the changes are recomputed
+  var UPDATE_DELAY_MS = 250;
+
+  // Gap between the change's last line and the preview
+  var WIDGET_OFFSET_Y = 2;
+
+  // ============================================
+  // Class Definition
+  // ============================================
+
+  /**
+   * Change markers against the committed version of a file.
+   *
+   * @example
+   * var gitGutter = new GitGutterFeature(editor);
+   * gitGutter.setBaseContent(committedText);
+   */
+  class GitGutterFeature {
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+    _editor = null;
+    _baseContent = null; // Committed text, or null when there is none to compare with
+    _changes = []; // From LineDiff.compute(), committed text to current text
+    _updateTimer = null;
+
+    // Preview of one change
+    _widget = null;
+    _title = null;
+    _lines = null;
+    _previewIndex = -1;
+
+    // Bound event handlers
+    _boundHandleKeyDown = null;
+    _boundHandleChange = null;
+    _unsubscribeClick = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {Object} editor - Editor instance
+     */
+    constructor(editor) {
+      this._editor = editor;
+
+      this._createDOM();
+      this._bindEvents();
+    }
+
+    // ----------------------------------------
+    // DOM Creation
+    // ----------------------------------------
+
+    _createDOM() {
+      var self = this;
+
+      this._widget = document.createElement('div');
+      this._widget.className = 'ec-git-change-widget';
+      this._widget.style.display = 'none';
+
+      var header = document.createElement('div');
+      header.className = 'ec-git-change-header';
+
+      this._title = document.createElement('span');
+      this._title.className = 'ec-git-change-title';
+      header.appendChild(this._title);
+
+      [
+        { action: 'previous', title: 'Previous Change', html: '&uarr;' },
+        { action: 'next', title: 'Next Change', html: '&darr;' },
+        { action: 'revert', title: 'Revert Change', html: 'Revert' },
+        { action: 'close', title: 'Close (Escape)', html: '&times;' },
+      ].forEach(function(item) {
+        var button = document.createElement('button');
+        button.className = 'ec-git-change-action';
+        button.dataset.action = item.action;
+        button.title = item.title;
+        button.innerHTML = item.html;
+        header.appendChild(button);
+      });
+
+      header.addEventListener('click', function(e) {
+        var button = e.target.closest('[data-action]');
+        if (button) self._handleAction(button.dataset.action);
+      });
+      this._widget.appendChild(header);
+
+      this._lines = document.createElement('div');
+      this._lines.className = 'ec-git-change-lines';
+      this._widget.appendChild(this._lines);
+
+      // Keep clicks from reaching the editor, which would move the cursor
+      this._widget.addEventListener('mousedown', function(e) {
+        e.stopPropagation();
+      });
+
+      this._editor.view.contentElement.appendChild(this._widget);
+    }
+
+    // ----------------------------------------
+    // Event Binding
+    // ----------------------------------------
+
+    _bindEvents() {
+      var self = this;
+
+      this._boundHandleKeyDown = function(e) {
+        if (e.key === 'Escape' && self._previewIndex !== -1) {
+          e.preventDefault();
+          e.stopPropagation();
+          self.closePreview();
+        }
+      };
+      // Capture phase to intercept before the input handler
+      this._editor.view.contentElement.addEventListener('keydown', this._boundHandleKeyDown, true);
+
+      this._boundHandleChange = function() {
+        self._scheduleUpdate();
+      };
+      this._editor.on('change', this._boundHandleChange);
+
+      this._unsubscribeClick = this._editor.view.on('lineChangeClick', function(data) {
+        var index = self._findChangeAt(data.line);
+        if (index === -1) return;
+
+        if (index === self._previewIndex) {
+          self.closePreview();
+        } else {
+          self.showChange(index);
+        }
+      });
+    }
+
+    // ----------------------------------------
+    // Public Methods
+    // ----------------------------------------
+
+    /**
+     * Set the committed version of the editor's text
+     * @param {string|null} content - Committed text, or null to show no markers
+     */
+    setBaseContent(content) {
+      if (content === this._baseContent) return;
+
+      this._baseContent = content;
+      this.closePreview();
+      this.update();
+    }
+
+    /**
+     * Get the changes from the committed text
+     * @returns {Array<{originalStart: number, originalEnd: number, modifiedStart: number, modifiedEnd: number}>}
+     *   Line ranges with exclusive ends, as from LineDiff.compute()
+     */
+    getChanges() {
+      return this._changes.slice();
+    }
+
+    /**
+     * Compare the text with the committed version now
+     */
+    update() {
+      if (this._updateTimer) {
+        clearTimeout(this._updateTimer);
+        this._updateTimer = null;
+      }
+
+      this._changes = this._baseContent === null ? [] : LineDiff.compute(this._baseContent, this._editor.getValue());
+      this._editor.view.setLineChanges(this._changes.map(GitGutterFeature._toLineChange));
+
+      if (this._previewIndex !== -1) {
+        if (this._changes.length === 0) {
+          this.closePreview();
+        } else {
+          this.showChange(Math.min(this._previewIndex, this._changes.length - 1));
+        }
+      }
+    }
+
+    /**
+     * Open the preview of a change and bring it into view
+     * @param {number} index - Index of the change
+     */
+    showChange(index) {
+      var change = this._changes[index];
+      if (!change) return;
+
+      this._previewIndex = index;
+      this._title.textContent = 'Change ' + (index + 1) + ' of ' + this._changes.length;
+      this._renderLines(change);
+
+      var view = this._editor.view;
+      var padding = 10;
+      var line = GitGutterFeature._getLastMarkedLine(change);
+      this._widget.style.display = 'block';
+      this._widget.style.top = (view.getLineTop(line) + view.lineHeight + padding + WIDGET_OFFSET_Y) + 'px';
+      this._widget.style.left = padding + 'px';
+      view.revealLine(line);
+    }
+
+    /**
+     * Close the preview
+     */
+    closePreview() {
+      this._previewIndex = -1;
+      this._widget.style.display = 'none';
+      this._lines.innerHTML = '';
+    }
+
+    /**
+     * Give a change's lines back their committed text
+     * @param {number} index - Index of the change
+     */
+    revertChange(index) {
+      var change = this._changes[index];
+      if (!change) return;
+
+      var edit = LineDiff.revertEdit(change, this._baseContent, this._editor.getValue());
+      this._editor.applyEdits([edit], 'Revert Change');
+      this.update();
+    }
+
+    // ----------------------------------------
+    // Private Methods
+    // ----------------------------------------
+
+    _scheduleUpdate() {
+      var self = this;
+      if (this._updateTimer) {
+        clearTimeout(this._updateTimer);
+      }
+      this._updateTimer = setTimeout(function() {
+        self._updateTimer = null;
+        self.update();
+      }, UPDATE_DELAY_MS);
+    }
+
+    _handleAction(action) {
+      var index = this._previewIndex;
+      var count = this._changes.length;
+      if (index === -1) return;
+
+      switch (action) {
+        case 'previous':
+          this.showChange((index - 1 + count) % count);
+          break;
+        case 'next':
+          this.showChange((index + 1) % count);
+          break;
+        case 'revert':
+          this.revertChange(index);
+          break;
+        case 'close':
+          this.closePreview();
+          break;
+      }
+      this._editor.focus();
+    }
+
+    /**
+     * Show the committed lines a change replaced
+     * @param {Object} change
+     */
+    _renderLines(change) {
+      this._lines.innerHTML = '';
+
+      var removed = this._baseContent.split('\n').slice(change.originalStart, change.originalEnd);
+      if (removed.length === 0) {
+        var empty = document.createElement('div');
+        empty.className = 'ec-git-change-empty';
+        empty.textContent = 'Lines added since the last commit';
+        this._lines.appendChild(empty);
+        return;
+      }
+
+      var self = this;
+      removed.forEach(function(text) {
+        var line = document.createElement('div');
+        line.className = 'ec-git-change-line';
+        line.textContent = text || ' ';
+        self._lines.appendChild(line);
+      });
+    }
+
+    /**
+     * Find the change whose marker is on a line
+     * @param {number} line
+     * @returns {number} Index of the change, or -1
+     */
+    _findChangeAt(line) {
+      for (var i = 0; i < this._changes.length; i++) {
+        var marker = GitGutterFeature._toLineChange(this._changes[i]);
+        if (line === marker.startLine || (line > marker.startLine && line < marker.endLine)) return i;
+      }
+      return -1;
+    }
+
+    /**
+     * Describe a change as a gutter marker
+     * @param {Object} change - Change from LineDiff.compute()
+     * @returns {{startLine: number, endLine: number, type: string}}
+     */
+    static _toLineChange(change) {
+      if (change.modifiedStart === change.modifiedEnd) {
+        // Nothing left of the change; mark the line above where it was
+        var line = Math.max(change.modifiedStart - 1, 0);
+        return { startLine: line, endLine: line + 1, type: 'deleted' };
+      }
+      return {
+        startLine: change.modifiedStart,
+        endLine: change.modifiedEnd,
+        type: change.originalStart === change.originalEnd ? 'added' : 'modified',
+      };
+    }
+
+    /**
+     * @param {Object} change - Change from LineDiff.compute()
+     * @returns {number} Last line the change's marker is on
+     */
+    static _getLastMarkedLine(change) {
+      return GitGutterFeature._toLineChange(change).endLine - 1;
+    }
+
+    // ----------------------------------------
+    // Lifecycle
+    // ----------------------------------------
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+      if (this._updateTimer) {
+        clearTimeout(this._updateTimer);
+        this._updateTimer = null;
+      }
+      this._editor.view.contentElement.removeEventListener('keydown', this._boundHandleKeyDown, true);
+      this._editor.off('change', this._boundHandleChange);
+      if (this._unsubscribeClick) this._unsubscribeClick();
+      this._editor.view.setLineChanges([]);
+      this._widget.remove();
+    }
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.Features = CodeEditor.Features || {};
+  CodeEditor.Features.GitGutter = GitGutterFeature;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,651 @@
+/**
+ * @fileoverview Read-only access to the .git directory of a repository
+ * @module features/git/GitRepository
+ *
+ * Reads what the git status of a folder needs through its directory
+ * handle, without git itself: the commit HEAD points to, the trees and
+ * blobs of that commit from loose objects or pack files, and the entries
+ * of the index. Objects are inflated with DecompressionStream and file
+ * contents hashed with SubtleCrypto, as git hashes them. Nothing is written.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Object types stored in pack files, by type number
+  var PACK_OBJECT_TYPES = { 1: 'commit', 2: 'tree', 3: 'blob', 4: 'tag' };
+  var PACK_OFS_DELTA = 6;
+  var PACK_REF_DELTA = 7;
+
+  // Most bytes an object header in a pack takes: type and size, then a delta base
+  var PACK_HEADER_LENGTH = 32;
+
+  // Objects read from packs kept for deltas based on them
+  var MAX_CACHED_BASES = 64;
+
+  // Tree entry mode of a subdirectory, and of a submodule's commit
+  var TREE_MODE = '40000';
+  var SUBMODULE_MODE = '160000';
+
+  var textDecoder = new TextDecoder();
+  var textEncoder = new TextEncoder();
+
+  // ============================================
+  // GitRepository Class
+  // ============================================
+
+  class GitRepository {
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+
+    _gitDirectory = null;
+    _packs = null; // Pack files, listed on first use
+    _trees = new Map(); // Tree id -> Map of path -> blob id, for all files below it
+    _bases = new Map(); // 'pack name:offset' -> object read from a pack
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {FileSystemDirectoryHandle} gitDirectory - The .git directory
+     */
+    constructor(gitDirectory) {
+      this._gitDirectory = gitDirectory;
+    }
+
+    /**
+     * Open the repository of a folder
+     * @param {FileSystemDirectoryHandle} directory - Folder that may hold a .git directory
+     * @returns {Promise<GitRepository|null>} Null if the folder is not the root of a repository
+     */
+    static async open(directory) {
+      try {
+        return new GitRepository(await directory.getDirectoryHandle('.git'));
+      } catch (err) {
+        return null;
+      }
+    }
+
+    // The parsers of the bytes read, which need no directory handle
+    static parseObject = parseObject;
+    static parseIndex = parseIndex;
+    static parsePackIndex = parsePackIndex;
+    static findInPackIndex = findInPackIndex;
+    static parsePackObjectHeader = parsePackObjectHeader;
+    static applyDelta = applyDelta;
+
+    // ----------------------------------------
+    // Public Methods
+    // ----------------------------------------
+
+    /**
+     * Forget the pack files listed, which git may since have repacked.
+     * Trees stay cached, as a tree id always names the same files.
+     */
+    reset() {
+      this._packs = null;
+      this._bases.clear();
+    }
+
+    /**
+     * Read a file of the .git directory
+     * @param {string} path - Path inside .git, such as 'info/exclude'
+     * @returns {Promise<Uint8Array|null>} Null if there is no such file
+     */
+    async readFile(path) {
+      var file = await this._getFile(path);
+      return file ? new Uint8Array(await file.arrayBuffer()) : null;
+    }
+
+    /**
+     * Find the commit HEAD points to
+     * @returns {Promise<string|null>} Commit id, or null on a branch without commits
+     */
+    async resolveHead() {
+      var head = await this.readFile('HEAD');
+      if (!head) return null;
+
+      var text = textDecoder.decode(head).trim();
+      return text.startsWith('ref: ') ? this._resolveRef(text.slice(5)) : text;
+    }
+
+    /**
+     * List the files of a commit
+     * @param {string|null} commitId - Commit id, or null for none
+     * @returns {Promise<Map<string, string>>} Path -> blob id
+     */
+    async readCommitFiles(commitId) {
+      if (!commitId) return new Map();
+
+      var commit = await this.readObject(commitId);
+      if (commit.type !== 'commit') {
+        throw new Error('Object ' + commitId + ' is a ' + commit.type + ', not a commit');
+      }
+      var match = /^tree ([0-9a-f]{40})/.exec(textDecoder.decode(commit.data));
+      if (!match) {
+        throw new Error('Commit ' + commitId + ' has no tree');
+      }
+      return this.readTree(match[1]);
+    }
+
+    /**
+     * List the files below a tree
+     * @param {string} treeId - Tree id
+     * @returns {Promise<Map<string, string>>} Path relative to the tree -> blob id
+     */
+    async readTree(treeId) {
+      if (this._trees.has(treeId)) return this._trees.get(treeId);
+
+      var tree = await this.readObject(treeId);
+      var data = tree.data;
+      var files = new Map();
+      var pos = 0;
+
+      while (pos < data.length) {
+        var space = data.indexOf(0x20, pos);
+        var nul = data.indexOf(0, space);
+        var mode = textDecoder.decode(data.subarray(pos, space));
+        var name = textDecoder.decode(data.subarray(space + 1, nul));
+        var id = toHex(data, nul + 1);
+        pos = nul + 21;
+
+        if (mode === TREE_MODE) {
+          var subtree = await this.readTree(id);
+          subtree.forEach(function(blobId, path) {
+            files.set(name + '/' + path, blobId);
+          });
+        } else if (mode !== SUBMODULE_MODE) {
+          files.set(name, id);
+        }
+      }
+
+      this._trees.set(treeId, files);
+      return files;
+    }
+
+    /**
+     * Read the content of a blob
+     * @param {string} blobId - Blob id
+     * @returns {Promise<Uint8Array>}
+     */
+    async readBlob(blobId) {
+      var blob = await this.readObject(blobId);
+      if (blob.type !== 'blob') {
+        throw new Error('Object ' + blobId + ' is a ' + blob.type + ', not a blob');
+      }
+      return blob.data;
+    }
+
+    /**
+     * Read an object, loose or from a pack
+     * @param {string} id - Object id
+     * @returns {Promise<{type: string, data: Uint8Array}>}
+     */
+    async readObject(id) {
+      var loose = await this.readFile('objects/' + id.slice(0, 2) + '/' + id.slice(2));
+      if (loose) {
+        return parseObject(await inflate(loose));
+      }
+
+      var packs = await this._getPacks();
+      for (var i = 0; i < packs.length; i++) {
+        var offset = findInPackIndex(packs[i].index, id);
+        if (offset !== -1) {
+          return this._readPackedObject(packs[i], offset);
+        }
+      }
+      throw new Error('Object ' + id + ' not found');
+    }
+
+    /**
+     * Read the entries of the index
+     * @returns {Promise<Map<string, {id: string, size: number, mtime: number, stage: number}>>}
+     *   Path -> blob id, the size and modification time (ms) the file had
+     *   when added, and the merge stage (0 unless in conflict)
+     */
+    async readIndex() {
+      var data = await this.readFile('index');
+      return data ? parseIndex(data) : new Map();
+    }
+
+    /**
+     * Compute the id git gives a file's content
+     * @param {Uint8Array} content
+     * @returns {Promise<string>}
+     */
+    static async hashBlob(content) {
+      var data = concatBytes(textEncoder.encode('blob ' + content.length + '\0'), content);
+      return toHex(new Uint8Array(await crypto.subtle.digest('SHA-1', data)), 0);
+    }
+
+    // ----------------------------------------
+    // Refs
+    // ----------------------------------------
+
+    /**
+     * Find the commit a ref names, following symbolic refs
+     * @param {string} name - Ref name, such as 'refs/heads/main'
+     * @returns {Promise<string|null>} Null if the ref does not exist yet
+     */
+    async _resolveRef(name) {
+      var loose = await this.readFile(name);
+      if (loose) {
+        var text = textDecoder.decode(loose).trim();
+        return text.startsWith('ref: ') ? this._resolveRef(text.slice(5)) : text;
+      }
+
+      var packed = await this.readFile('packed-refs');
+      if (!packed) return null;
+
+      var lines = textDecoder.decode(packed).split('\n');
+      for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].trim();
+        if (line.endsWith(' ' + name) && /^[0-9a-f]{40} /.test(line)) {
+          return line.slice(0, 40);
+        }
+      }
+      return null;
+    }
+
+    // ----------------------------------------
+    // Packs
+    // ----------------------------------------
+
+    /**
+     * List the pack files with their indexes
+     * @returns {Promise<Array<{name: string, index: Object, file: File}>>}
+     */
+    async _getPacks() {
+      if (this._packs) return this._packs;
+
+      var packs = [];
+      var directory = await this._getDirectory('objects/pack');
+      if (directory) {
+        for await (var handle of directory.values()) {
+          if (handle.kind !== 'file' || !handle.name.endsWith('.idx')) continue;
+
+          var name = handle.name.slice(0, -4);
+          try {
+            var index = parsePackIndex(new Uint8Array(await (await handle.getFile()).arrayBuffer()));
+            var file = await (await directory.getFileHandle(name + '.pack')).getFile();
+            packs.push({ name: name, index: index, file: file });
+          } catch (err) {
+            console.warn('Skipping pack ' + name + ':', err);
+          }
+        }
+      }
+
+      this._packs = packs;
+      return packs;
+    }
+
+    /**
+     * Read the object at an offset of a pack, applying deltas
+     * @param {{name: string, index: Object, file: File}} pack
+     * @param {number} offset - Offset of the object's header
+     * @returns {Promise<{type: string, data: Uint8Array}>}
+     */
+    async _readPackedObject(pack, offset) {
+      var key = pack.name + ':' + offset;
+      if (this._bases.has(key)) return this._bases.get(key);
+
+      var bytes = new Uint8Array(await pack.file.slice(offset, offset + PACK_HEADER_LENGTH).arrayBuffer());
+      var header = parsePackObjectHeader(bytes, offset);
+
+      // The compressed data runs up to the next object
+      var end = getPackObjectEnd(pack.index, offset, pack.file.size);
+      var data = await inflate(await pack.file.slice(offset + header.length, end).arrayBuffer());
+
+      var object;
+      if (header.baseOffset !== -1 || header.baseId) {
+        var base = header.baseId
+          ? await this.readObject(header.baseId)
+          : await this._readPackedObject(pack, header.baseOffset);
+        object = { type: base.type, data: applyDelta(base.data, data) };
+      } else {
+        object = { type: PACK_OBJECT_TYPES[header.type], data: data };
+      }
+
+      if (object.type !== 'blob') {
+        if (this._bases.size >= MAX_CACHED_BASES) this._bases.clear();
+        this._bases.set(key, object);
+      }
+      return object;
+    }
+
+    // ----------------------------------------
+    // Files
+    // ----------------------------------------
+
+    /**
+     * @param {string} path - Directory path inside .git
+     * @returns {Promise<FileSystemDirectoryHandle|null>}
+     */
+    async _getDirectory(path) {
+      var directory = this._gitDirectory;
+      var names = path.split('/');
+      try {
+        for (var i = 0; i < names.length; i++) {
+          directory = await directory.getDirectoryHandle(names[i]);
+        }
+        return directory;
+      } catch (err) {
+        return null;
+      }
+    }
+
+    /**
+     * @param {string} path - File path inside .git
+     * @returns {Promise<File|null>}
+     */
+    async _getFile(path) {
+      var slash = path.lastIndexOf('/');
+      var directory = slash === -1 ? this._gitDirectory : await this._getDirectory(path.slice(0, slash));
+      if (!directory) return null;
+
+      try {
+        return await (await directory.getFileHandle(path.slice(slash + 1))).getFile();
+      } catch (err) {
+        return null;
+      }
+    }
+  }
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Inflate zlib data
+   * @param {ArrayBuffer|Uint8Array} data
+   * @returns {Promise<Uint8Array>}
+   */
+  async function inflate(data) {
+    var stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Split an inflated loose object into its type and content
+   * @param {Uint8Array} data - Inflated object: 'type size', a NUL, then the content
+   * @returns {{type: string, data: Uint8Array}}
+   */
+  function parseObject(data) {
+    var nul = data.indexOf(0);
+    var header = textDecoder.decode(data.subarray(0, nul));
+    return { type: header.slice(0, header.indexOf(' ')), data: data.subarray(nul + 1) };
+  }
+
+  /**
+   * Parse the entries of an index file, version 2 to 4
+   * @param {Uint8Array} data
+   * @returns {Map<string, {id: string, size: number, mtime: number, stage: number}>}
+   */
+  function parseIndex(data) {
+    var entries = new Map();
+    var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (textDecoder.decode(data.subarray(0, 4)) !== 'DIRC') {
+      throw new Error('Not a git index');
+    }
+    var version = view.getUint32(4);
+    var count = view.getUint32(8);
+    var pos = 12;
+    var previousPath = new Uint8Array(0);
+
+    for (var i = 0; i < count; i++) {
+      var flags = view.getUint16(pos + 60);
+      var entry = {
+        id: toHex(data, pos + 40),
+        size: view.getUint32(pos + 36),
+        mtime: view.getUint32(pos + 8) * 1000 + Math.floor(view.getUint32(pos + 12) / 1e6),
+        stage: (flags >> 12) & 3,
+      };
+      var nameStart = pos + 62;
+      if (version >= 3 && (flags & 0x4000)) nameStart += 2;
+
+      var path;
+      if (version >= 4) {
+        // Each path drops some bytes from the end of the previous one, then adds its own
+        var strip = readOffsetNumber(data, nameStart);
+        var suffixEnd = data.indexOf(0, strip.pos);
+        path = concatBytes(previousPath.subarray(0, previousPath.length - strip.value), data.subarray(strip.pos, suffixEnd));
+        pos = suffixEnd + 1;
+      } else {
+        var nameEnd = data.indexOf(0, nameStart);
+        path = data.subarray(nameStart, nameEnd);
+        // Entries are padded with 1 to 8 NULs to a multiple of 8 bytes
+        pos += (nameEnd - pos + 8) & ~7;
+      }
+      previousPath = path;
+
+      var name = textDecoder.decode(path);
+      if (!entries.has(name) || entry.stage !== 0) {
+        entries.set(name, entry);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse the header of an object in a pack
+   * @param {Uint8Array} header - Bytes at the object's offset, at least PACK_HEADER_LENGTH of them
+   * @param {number} offset - Offset of the object in the pack
+   * @returns {{type: number, baseOffset: number, baseId: string|null, length: number}}
+   *   The type number; the offset of a PACK_OFS_DELTA's base, or -1; the id
+   *   of a PACK_REF_DELTA's base, or null; and where the compressed data starts
+   */
+  function parsePackObjectHeader(header, offset) {
+    var byte = header[0];
+    var type = (byte >> 4) & 7;
+    var pos = 1;
+    while (byte & 0x80) {
+      byte = header[pos++];
+    }
+
+    var baseOffset = -1;
+    var baseId = null;
+    if (type === PACK_OFS_DELTA) {
+      var distance = readOffsetNumber(header, pos);
+      baseOffset = offset - distance.value;
+      pos = distance.pos;
+    } else if (type === PACK_REF_DELTA) {
+      baseId = toHex(header, pos);
+      pos += 20;
+    }
+
+    return { type: type, baseOffset: baseOffset, baseId: baseId, length: pos };
+  }
+
+  /**
+   * Parse a version 2 pack index
+   * @param {Uint8Array} data
+   * @returns {{fanout: Uint32Array, ids: Uint8Array, offsets: number[], sortedOffsets: number[]}}
+   */
+  function parsePackIndex(data) {
+    var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (view.getUint32(0) !== 0xff744f63 || view.getUint32(4) !== 2) {
+      throw new Error('Unsupported pack index version');
+    }
+
+    var fanout = new Uint32Array(256);
+    for (var i = 0; i < 256; i++) {
+      fanout[i] = view.getUint32(8 + i * 4);
+    }
+    var count = fanout[255];
+    var idsStart = 8 + 256 * 4;
+    var offsetsStart = idsStart + count * 20 + count * 4;
+    var largeOffsetsStart = offsetsStart + count * 4;
+
+    var offsets = new Array(count);
+    for (i = 0; i < count; i++) {
+      var offset = view.getUint32(offsetsStart + i * 4);
+      if (offset & 0x80000000) {
+        // Packs over 2 GB keep the offset in a table of 8-byte ones
+        var at = largeOffsetsStart + (offset & 0x7fffffff) * 8;
+        offset = view.getUint32(at) * 0x100000000 + view.getUint32(at + 4);
+      }
+      offsets[i] = offset;
+    }
+
+    return {
+      fanout: fanout,
+      ids: data.subarray(idsStart, idsStart + count * 20),
+      offsets: offsets,
+      sortedOffsets: offsets.slice().sort(function(a, b) { return a - b; }),
+    };
+  }
+
+  /**
+   * Find the offset of an object in a pack
+   * @param {Object} index - Result of parsePackIndex()
+   * @param {string} id - Object id
+   * @returns {number} Offset, or -1 if the pack does not hold the object
+   */
+  function findInPackIndex(index, id) {
+    var first = parseInt(id.slice(0, 2), 16);
+    var low = first === 0 ? 0 : index.fanout[first - 1];
+    var high = index.fanout[first];
+
+    while (low < high) {
+      var mid = (low + high) >>> 1;
+      var midId = toHex(index.ids, mid * 20);
+      if (midId === id) return index.offsets[mid];
+      if (midId < id) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Find where the object at an offset of a pack ends
+   * @param {Object} index - Result of parsePackIndex()
+   * @param {number} offset - Offset of the object
+   * @param {number} packSize - Size of the pack file, which ends with a 20-byte checksum
+   * @returns {number}
+   */
+  function getPackObjectEnd(index, offset, packSize) {
+    var sorted = index.sortedOffsets;
+    var low = 0;
+    var high = sorted.length;
+    while (low < high) {
+      var mid = (low + high) >>> 1;
+      if (sorted[mid] <= offset) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low < sorted.length ? sorted[low] : packSize - 20;
+  }
+
+  /**
+   * Rebuild an object from its delta against a base object
+   * @param {Uint8Array} base
+   * @param {Uint8Array} delta
+   * @returns {Uint8Array}
+   */
+  function applyDelta(base, delta) {
+    var pos = 0;
+    function readSize() {
+      var size = 0;
+      var shift = 1;
+      var byte;
+      do {
+        byte = delta[pos++];
+        size += (byte & 0x7f) * shift;
+        shift *= 128;
+      } while (byte & 0x80);
+      return size;
+    }
+
+    readSize(); // Size of the base
+    var result = new Uint8Array(readSize());
+    var out = 0;
+
+    while (pos < delta.length) {
+      var command = delta[pos++];
+      if (command & 0x80) {
+        // Copy a range of the base; the flags say which offset and size bytes follow
+        var copyOffset = 0;
+        var copySize = 0;
+        for (var i = 0; i < 4; i++) {
+          if (command & (1 << i)) copyOffset += delta[pos++] * Math.pow(256, i);
+        }
+        for (i = 0; i < 3; i++) {
+          if (command & (0x10 << i)) copySize += delta[pos++] * Math.pow(256, i);
+        }
+        if (copySize === 0) copySize = 0x10000;
+        result.set(base.subarray(copyOffset, copyOffset + copySize), out);
+        out += copySize;
+      } else if (command) {
+        // Insert the next bytes of the delta
+        result.set(delta.subarray(pos, pos + command), out);
+        out += command;
+        pos += command;
+      } else {
+        throw new Error('Invalid delta');
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Read a number in the encoding of pack delta offsets and index v4 paths
+   * @param {Uint8Array} data
+   * @param {number} pos - Offset of the first byte
+   * @returns {{value: number, pos: number}} The number and the offset after it
+   */
+  function readOffsetNumber(data, pos) {
+    var byte = data[pos++];
+    var value = byte & 0x7f;
+    while (byte & 0x80) {
+      byte = data[pos++];
+      value = (value + 1) * 128 + (byte & 0x7f);
+    }
+    return { value: value, pos: pos };
+  }
+
+  /**
+   * Format 20 bytes as an object id
+   * @param {Uint8Array} data
+   * @param {number} start
+   * @returns {string}
+   */
+  function toHex(data, start) {
+    var hex = '';
+    for (var i = start; i < start + 20; i++) {
+      hex += (data[i] < 16 ? '0' : '') + data[i].toString(16);
+    }
+    return hex;
+  }
+
+  /**
+   * @param {Uint8Array} a
+   * @param {Uint8Array} b
+   * @returns {Uint8Array}
+   */
+  function concatBytes(a, b) {
+    var result = new Uint8Array(a.length + b.length);
+    result.set(a, 0);
+    result.set(b, a.length);
+    return result;
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.GitRepository = GitRepository;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,604 @@
+/**
+ * GitService - Git status of the files of the opened folder
+ *
+ * When the opened folder is the root of a git repository, compares its
+ * files with the index and the HEAD commit. Files git does not track are
+ * untracked (unless ignored), files in the index but not in HEAD added,
+ * and files whose content differs from HEAD modified. The status is read
+ * again after saves and file operations, and when the window regains
+ * focus, since git may have run in the meantime.
+ *
+ * Also gives the content files have in HEAD, which editors compare their
+ * buffers with.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  // Get dependencies
+  var GitRepository = CodeEditor.GitRepository;
+
+  // Pause after a file operation before the status is read again
+  var REFRESH_DELAY_MS = 300;
+
+  // HEAD contents of files kept for the editors
+  var MAX_CACHED_CONTENTS = 20;
+
+  var textDecoder = new TextDecoder();
+
+  // ============================================
+  // Ignore Rules
+  // ============================================
+
+  /**
+   * The patterns of .gitignore files and .git/info/exclude; the last
+   * pattern matching a path decides whether it is ignored
+   */
+  class IgnoreRules {
+    _patterns = [];
+
+    /**
+     * Add the patterns of an ignore file, returning new rules
+     * @param {string} text - Content of the file
+     * @param {string} base - Directory the patterns are relative to: '' or ending in '/'
+     * @returns {IgnoreRules}
+     */
+    extend(text, base) {
+      var rules = new IgnoreRules();
+      rules._patterns = this._patterns.concat(text.split(/\r?\n/).map(function(line) {
+        return IgnoreRules._compile(line, base);
+      }).filter(Boolean));
+      return rules;
+    }
+
+    /**
+     * @param {string} path - Path relative to the repository
+     * @param {boolean} isDirectory
+     * @returns {boolean}
+     */
+    isIgnored(path, isDirectory) {
+      var ignored = false;
+      for (var i = 0; i < this._patterns.length; i++) {
+        var pattern = this._patterns[i];
+        if (pattern.directoryOnly && !isDirectory) continue;
+        if (pattern.regex.test(path)) {
+          ignored = !pattern.negate;
+        }
+      }
+      return ignored;
+    }
+
+    /**
+     * Turn a line of an ignore file into a pattern
+     * @param {string} line
+     * @param {string} base - Directory of the ignore file
+     * @returns {{regex: RegExp, negate: boolean, directoryOnly: boolean}|null} Null for blank lines and comments
+     */
+    static _compile(line, base) {
+      line = line.replace(/(^|[^\\])\s+$/, '$1');
+      if (!line || line[0] === '#') return null;
+
+      var negate = line[0] === '!';
+      if (negate) line = line.slice(1);
+      var directoryOnly = line.endsWith('/');
+      if (directoryOnly) line = line.slice(0, -1);
+
+      // A pattern with a slash before its end is relative to its file's directory
+      var anchored = line.indexOf('/') !== -1;
+      if (line[0] === '/') line = line.slice(1);
+
+      var source = '';
+      var i = 0;
+      while (i < line.length) {
+        if (line.startsWith('**/', i)) {
+          source += '(?:.*/)?';
+          i += 3;
+        } else if (line.startsWith('/**', i) && i + 3 === line.length) {
+          source += '/.*';
+          i += 3;
+        } else if (line.startsWith('**', i)) {
+          source += '.*';
+          i += 2;
+        } else if (line[i] === '*') {
+          source += '[^/]*';
+          i++;
+        } else if (line[i] === '?') {
+          source += '[^/]';
+          i++;
+        } else if (line[i] === '[' && line.indexOf(']', i + 2) !== -1) {
+          var end = line.indexOf(']', i + 2);
+          var set = line.slice(i + 1, end).replace(/\\/g, '\\\\');
+          source += '[' + (set[0] === '!' ? '^' + set.slice(1) : set) + ']';
+          i = end + 1;
+        } else {
+          if (line[i] === '\\' && i + 1 < line.length) i++;
+          source += escapeRegExp(line[i]);
+          i++;
+        }
+      }
+
+      return {
+        regex: new RegExp('^' + escapeRegExp(base) + (anchored ? '' : '(?:.*/)?') + source + '$'),
+        negate: negate,
+        directoryOnly: directoryOnly,
+      };
+    }
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // ============================================
+  // GitService
+  // ============================================
+
+  class GitService {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _fileService = null;
+    _repository = null;
+    _rootHandle = null;
+    _rootPath = null;
+    _listeners = new Map();
+
+    // Path -> 'modified', 'added' or 'untracked'; other files are unchanged
+    _status = new Map();
+
+    // HEAD: its commit id, and path (relative to the repository) -> blob id
+    _headCommit = null;
+    _headFiles = null;
+
+    // Blob id -> text, for the HEAD versions asked for
+    _contents = new Map();
+
+    // Path -> { lastModified, size, id } of files hashed, so unchanged ones are not read again
+    _hashes = new Map();
+
+    _refreshing = false;
+    _refreshAgain = false;
+    _refreshTimer = null;
+
+    // Bound event handlers
+    _boundRefresh = null;
+    _unsubscribers = [];
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new GitService
+     * @param {Object} options - GitService options
+     * @param {FileService} options.fileService - Opens folders and changes files
+     */
+    constructor(options) {
+      var self = this;
+      this._fileService = options.fileService;
+      this._boundRefresh = function() {
+        self.refresh();
+      };
+      this._bindFileServiceEvents();
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Read the status again when the window regains focus
+     */
+    start() {
+      window.addEventListener('focus', this._boundRefresh);
+    }
+
+    /**
+     * Stop reading the status on focus
+     */
+    stop() {
+      window.removeEventListener('focus', this._boundRefresh);
+    }
+
+    /**
+     * Check if the opened folder is a git repository
+     * @returns {boolean}
+     */
+    isRepository() {
+      return this._repository !== null;
+    }
+
+    /**
+     * Read the status of all files now
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+      if (!this._repository) return;
+      if (this._refreshing) {
+        this._refreshAgain = true;
+        return;
+      }
+
+      this._refreshing = true;
+      do {
+        this._refreshAgain = false;
+        var repository = this._repository;
+        var head = null;
+        var status = null;
+        try {
+          head = await this._readHead(repository);
+          status = await this._readStatus(repository, head.files);
+        } catch (err) {
+          if (repository === this._repository) {
+            console.error('Failed to read git status:', err);
+          }
+        }
+
+        // The folder was closed or replaced meanwhile
+        if (repository !== this._repository) {
+          this._refreshAgain = this._repository !== null;
+          continue;
+        }
+        if (!status) continue;
+
+        var headChanged = !this._headFiles || head.commit !== this._headCommit;
+        this._headCommit = head.commit;
+        this._headFiles = head.files;
+        if (headChanged) {
+          this._emit('headChange', {});
+        }
+        if (!sameStatus(status, this._status)) {
+          this._status = status;
+          this._emit('statusChange', { status: new Map(status) });
+        }
+      } while (this._refreshAgain);
+      this._refreshing = false;
+    }
+
+    /**
+     * Get the status of a file
+     * @param {string} path - File path
+     * @returns {string|null} 'modified', 'added', 'untracked', or null if unchanged or not in a repository
+     */
+    getStatus(path) {
+      return this._status.get(path) || null;
+    }
+
+    /**
+     * Get the status of all changed files
+     * @returns {Map<string, string>} Path -> 'modified', 'added' or 'untracked'
+     */
+    getAllStatus() {
+      return new Map(this._status);
+    }
+
+    /**
+     * Get the content a file has in the HEAD commit
+     * @param {string} path - File path
+     * @returns {Promise<string|null>} Null if the file is not in HEAD
+     */
+    async getHeadContent(path) {
+      if (!this._repository) return null;
+      if (!this._headFiles) {
+        await this.refresh();
+        if (!this._headFiles) return null;
+      }
+
+      var id = this._headFiles.get(this._toRepositoryPath(path));
+      if (!id) return null;
+
+      if (!this._contents.has(id)) {
+        var content = textDecoder.decode(await this._repository.readBlob(id));
+        if (this._contents.size >= MAX_CACHED_CONTENTS) {
+          this._contents.delete(this._contents.keys().next().value);
+        }
+        this._contents.set(id, content);
+      }
+      return this._contents.get(id);
+    }
+
+    /**
+     * Dispose the service
+     */
+    dispose() {
+      this.stop();
+      this._close();
+      this._unsubscribers.forEach(function(unsubscribe) {
+        unsubscribe();
+      });
+      this._unsubscribers = [];
+      this._listeners.clear();
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self._listeners.get(event).delete(callback);
+      };
+    }
+
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(cb) {
+          try {
+            cb(data);
+          } catch (err) {
+            console.error('Error in GitService event listener for "' + event + '":', err);
+          }
+        });
+      }
+    }
+
+    // ============================================
+    // Private Methods - Folder
+    // ============================================
+
+    /**
+     * Follow the folder opened and the changes made to its files
+     */
+    _bindFileServiceEvents() {
+      var self = this;
+      var fileService = this._fileService;
+
+      this._unsubscribers.push(fileService.on('folderOpened', function(data) {
+        self._open(data.handle, data.root.path);
+      }));
+
+      ['fileSaved', 'entryCreated', 'entryRenamed', 'entryDeleted'].forEach(function(event) {
+        self._unsubscribers.push(fileService.on(event, function() {
+          self._scheduleRefresh();
+        }));
+      });
+    }
+
+    /**
+     * Start reading the status of a newly opened folder
+     * @param {FileSystemDirectoryHandle} handle - Folder handle
+     * @param {string} rootPath - Path of the folder's node
+     * @returns {Promise<void>}
+     */
+    async _open(handle, rootPath) {
+      this._close();
+      this._rootHandle = handle;
+      this._rootPath = rootPath;
+
+      var repository = await GitRepository.open(handle);
+      if (this._rootHandle !== handle) return;
+
+      this._repository = repository;
+      await this.refresh();
+    }
+
+    /**
+     * Forget the repository of the previous folder
+     */
+    _close() {
+      if (this._refreshTimer) {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = null;
+      }
+      var hadHead = this._headFiles !== null;
+      var hadStatus = this._status.size > 0;
+      this._repository = null;
+      this._rootHandle = null;
+      this._headCommit = null;
+      this._headFiles = null;
+      this._status = new Map();
+      this._contents.clear();
+      this._hashes.clear();
+      if (hadHead) {
+        this._emit('headChange', {});
+      }
+      if (hadStatus) {
+        this._emit('statusChange', { status: new Map() });
+      }
+    }
+
+    /**
+     * Read the status again once file operations pause
+     */
+    _scheduleRefresh() {
+      var self = this;
+      if (!this._repository) return;
+
+      if (this._refreshTimer) {
+        clearTimeout(this._refreshTimer);
+      }
+      this._refreshTimer = setTimeout(function() {
+        self._refreshTimer = null;
+        self.refresh();
+      }, REFRESH_DELAY_MS);
+    }
+
+    // ============================================
+    // Private Methods - Status
+    // ============================================
+
+    /**
+     * Read the files of the commit HEAD points to, unless it did not move
+     * @param {GitRepository} repository
+     * @returns {Promise<{commit: string|null, files: Map<string, string>}>}
+     */
+    async _readHead(repository) {
+      // Packs may have been rewritten by a commit or gc since
+      repository.reset();
+
+      var commit = await repository.resolveHead();
+      if (this._headFiles && commit === this._headCommit) {
+        return { commit: commit, files: this._headFiles };
+      }
+      return { commit: commit, files: await repository.readCommitFiles(commit) };
+    }
+
+    /**
+     * Compare the files of the folder with the index and HEAD
+     * @param {GitRepository} repository
+     * @param {Map<string, string>} headFiles - Path -> blob id of the files in HEAD
+     * @returns {Promise<Map<string, string>>} Path -> status of changed files
+     */
+    async _readStatus(repository, headFiles) {
+      var index = await repository.readIndex();
+      var exclude = await repository.readFile('info/exclude');
+      var rules = new IgnoreRules().extend(exclude ? textDecoder.decode(exclude) : '', '');
+
+      var files = new Map();
+      await this._collectFiles(this._rootHandle, '', rules, files);
+
+      // Tracked files are reported even in ignored folders
+      for (var path of index.keys()) {
+        if (!files.has(path)) {
+          var file = await this._getWorkingFile(path);
+          if (file) files.set(path, file);
+        }
+      }
+
+      var status = new Map();
+      for (var [filePath, workingFile] of files) {
+        var state = await this._getFileStatus(filePath, workingFile, index.get(filePath), headFiles);
+        if (state) {
+          status.set(this._rootPath + '/' + filePath, state);
+        }
+      }
+      return status;
+    }
+
+    /**
+     * Decide the status of one file
+     * @param {string} path - Path relative to the repository
+     * @param {File} file - The file in the folder
+     * @param {Object|undefined} entry - Its index entry
+     * @param {Map<string, string>} headFiles - Path -> blob id of the files in HEAD
+     * @returns {Promise<string|null>}
+     */
+    async _getFileStatus(path, file, entry, headFiles) {
+      if (!entry) return 'untracked';
+
+      var headId = headFiles.get(path);
+      if (!headId) return 'added';
+
+      // Staged changes, and merge conflicts
+      if (entry.id !== headId || entry.stage !== 0) return 'modified';
+
+      if (file.size !== entry.size) return 'modified';
+      return (await this._hashFile(path, file, entry)) !== headId ? 'modified' : null;
+    }
+
+    /**
+     * Get the blob id of a file's content, hashing it only if it changed
+     * since it was added to the index or last hashed
+     * @param {string} path - Path relative to the repository
+     * @param {File} file
+     * @param {Object} entry - Index entry of the file
+     * @returns {Promise<string>}
+     */
+    async _hashFile(path, file, entry) {
+      if (file.lastModified === entry.mtime) return entry.id;
+
+      var cached = this._hashes.get(path);
+      if (cached && cached.lastModified === file.lastModified && cached.size === file.size) {
+        return cached.id;
+      }
+
+      var id = await GitRepository.hashBlob(new Uint8Array(await file.arrayBuffer()));
+      this._hashes.set(path, { lastModified: file.lastModified, size: file.size, id: id });
+      return id;
+    }
+
+    /**
+     * Collect the files of a folder that are not ignored
+     * @param {FileSystemDirectoryHandle} directory
+     * @param {string} prefix - Path of the folder relative to the repository: '' or ending in '/'
+     * @param {IgnoreRules} rules - Rules of the folders above
+     * @param {Map<string, File>} files - Filled with path -> file
+     * @returns {Promise<void>}
+     */
+    async _collectFiles(directory, prefix, rules, files) {
+      var handles = [];
+      for await (var handle of directory.values()) {
+        if (handle.name === '.gitignore' && handle.kind === 'file') {
+          rules = rules.extend(await (await handle.getFile()).text(), prefix);
+        }
+        handles.push(handle);
+      }
+
+      for (var i = 0; i < handles.length; i++) {
+        var entry = handles[i];
+        var path = prefix + entry.name;
+        var isDirectory = entry.kind === 'directory';
+        if (entry.name === '.git' || rules.isIgnored(path, isDirectory)) continue;
+
+        if (isDirectory) {
+          await this._collectFiles(entry, path + '/', rules, files);
+        } else {
+          files.set(path, await entry.getFile());
+        }
+      }
+    }
+
+    /**
+     * Find a file of the folder by path
+     * @param {string} path - Path relative to the repository
+     * @returns {Promise<File|null>}
+     */
+    async _getWorkingFile(path) {
+      var names = path.split('/');
+      var directory = this._rootHandle;
+      try {
+        for (var i = 0; i < names.length - 1; i++) {
+          directory = await directory.getDirectoryHandle(names[i]);
+        }
+        return await (await directory.getFileHandle(names[names.length - 1])).getFile();
+      } catch (err) {
+        return null;
+      }
+    }
+
+    /**
+     * @param {string} path - File path, starting with the folder's name
+     * @returns {string} Path relative to the repository
+     */
+    _toRepositoryPath(path) {
+      return path.slice(this._rootPath.length + 1);
+    }
+  }
+
+  /**
+   * @param {Map<string, string>} a
+   * @param {Map<string, string>} b
+   * @returns {boolean}
+   */
+  function sameStatus(a, b) {
+    if (a.size !== b.size) return false;
+    for (var [path, state] of a) {
+      if (b.get(path) !== state) return false;
+    }
+    return true;
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.GitService = GitService;
+
+})(window.CodeEditor = window.CodeEditor || {});
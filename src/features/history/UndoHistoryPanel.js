@@ -0,0 +1,279 @@
+/**
+ * UndoHistoryPanel - Sidebar list of the undo steps of the active editor
+ *
+ * Lists the document's original state followed by every undo step, oldest
+ * first, with the current state highlighted and undone steps dimmed.
+ * Clicking a row undoes or redoes until the document is in that state.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // UndoHistoryPanel Class
+  // ============================================
+
+  class UndoHistoryPanel {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _container = null;
+    _ide = null;
+    _splitContainer = null;
+    _isVisible = false;
+    _listeners = [];
+
+    // DOM Elements
+    _element = null;
+    _listContainer = null;
+    _undoButton = null;
+    _redoButton = null;
+
+    // State
+    _isStale = true;
+    _activeRow = null;
+
+    // Editor the shown history belongs to
+    _editor = null;
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new UndoHistoryPanel
+     * @param {HTMLElement} container - Container element
+     * @param {Object} options - Panel options
+     * @param {IDE} options.ide - IDE whose editor is focused after a jump
+     * @param {SplitContainer} options.splitContainer - Panes whose active editor is shown
+     */
+    constructor(container, options) {
+      options = options || {};
+      this._container = container;
+      this._ide = options.ide || null;
+      this._splitContainer = options.splitContainer || null;
+
+      this._createDOM();
+      this._bindEvents();
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Show the panel
+     */
+    show() {
+      this._element.style.display = 'flex';
+      this._isVisible = true;
+      if (this._isStale) this.refresh();
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+      this._element.style.display = 'none';
+      this._isVisible = false;
+    }
+
+    /**
+     * Check if panel is visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._isVisible;
+    }
+
+    /**
+     * Show the history of the active editor again
+     */
+    refresh() {
+      this._isStale = false;
+
+      var pane = this._splitContainer ? this._splitContainer.getActivePane() : null;
+      var tab = pane ? pane.getCurrentTab() : null;
+      this._editor = tab && !tab.isImage() ? pane.getEditor() : null;
+      this._render();
+    }
+
+    /**
+     * Undo or redo the active editor until the given state
+     * @param {number} index - Number of applied undo steps; 0 for the original document
+     */
+    goTo(index) {
+      var editor = this._editor;
+      if (!editor || !this._splitContainer || this._splitContainer.getEditor() !== editor) return;
+
+      editor.goToHistory(index);
+      if (this._ide) {
+        this._ide.focusEditor();
+      } else {
+        editor.focus();
+      }
+    }
+
+    /**
+     * Dispose the panel
+     */
+    dispose() {
+      for (var i = 0; i < this._listeners.length; i++) {
+        this._listeners[i]();
+      }
+      this._listeners = [];
+
+      if (this._element && this._element.parentNode) {
+        this._element.parentNode.removeChild(this._element);
+      }
+    }
+
+    // ============================================
+    // Private Methods - DOM Creation
+    // ============================================
+
+    /**
+     * Create DOM structure
+     */
+    _createDOM() {
+      this._element = document.createElement('div');
+      this._element.className = 'ide-history-panel';
+      this._element.style.display = 'none';
+
+      this._element.appendChild(this._createToolbar());
+
+      this._listContainer = document.createElement('div');
+      this._listContainer.className = 'ide-history-list';
+      this._element.appendChild(this._listContainer);
+
+      this._container.appendChild(this._element);
+    }
+
+    /**
+     * Create the undo and redo buttons
+     * @returns {HTMLElement}
+     */
+    _createToolbar() {
+      var self = this;
+      var toolbar = document.createElement('div');
+      toolbar.className = 'ide-history-toolbar';
+
+      this._undoButton = document.createElement('button');
+      this._undoButton.className = 'ide-history-button';
+      this._undoButton.textContent = 'Undo';
+      this._undoButton.title = 'Undo (Ctrl+Z)';
+      this._undoButton.onclick = function() {
+        if (self._editor) self.goTo(self._editor.getHistory().index - 1);
+      };
+      toolbar.appendChild(this._undoButton);
+
+      this._redoButton = document.createElement('button');
+      this._redoButton.className = 'ide-history-button';
+      this._redoButton.textContent = 'Redo';
+      this._redoButton.title = 'Redo (Ctrl+Y)';
+      this._redoButton.onclick = function() {
+        if (self._editor) self.goTo(self._editor.getHistory().index + 1);
+      };
+      toolbar.appendChild(this._redoButton);
+
+      return toolbar;
+    }
+
+    /**
+     * Bind event handlers
+     */
+    _bindEvents() {
+      var self = this;
+      if (!this._splitContainer) return;
+
+      var markStale = function() {
+        self._isStale = true;
+        if (self._isVisible) self.refresh();
+      };
+
+      ['historyChange', 'tabActivate', 'tabClose', 'activePaneChanged', 'paneRemoved'].forEach(function(event) {
+        self._listeners.push(self._splitContainer.on(event, markStale));
+      });
+    }
+
+    // ============================================
+    // Private Methods - Rendering
+    // ============================================
+
+    /**
+     * Render the states of the document
+     */
+    _render() {
+      this._listContainer.innerHTML = '';
+      this._activeRow = null;
+
+      var history = this._editor ? this._editor.getHistory() : null;
+      this._undoButton.disabled = !history || history.index === 0;
+      this._redoButton.disabled = !history || history.index === history.entries.length;
+
+      if (!history || history.entries.length === 0) {
+        var empty = document.createElement('div');
+        empty.className = 'ide-history-empty';
+        empty.textContent = !this._editor ? 'No editor is open.' : 'No changes in this document yet.';
+        this._listContainer.appendChild(empty);
+        return;
+      }
+
+      this._listContainer.appendChild(this._renderRow('Original', null, 0, history.index));
+      for (var i = 0; i < history.entries.length; i++) {
+        var entry = history.entries[i];
+        this._listContainer.appendChild(this._renderRow(entry.label, entry.timestamp, i + 1, history.index));
+      }
+
+      if (this._activeRow && this._activeRow.scrollIntoView) {
+        this._activeRow.scrollIntoView({ block: 'nearest' });
+      }
+    }
+
+    /**
+     * Render a single state row
+     * @param {string} label - Name of the step leading to the state
+     * @param {number|null} timestamp - When the step was made
+     * @param {number} index - State the row jumps to
+     * @param {number} currentIndex - State the document is in
+     * @returns {HTMLElement}
+     */
+    _renderRow(label, timestamp, index, currentIndex) {
+      var self = this;
+      var el = document.createElement('div');
+      el.className = 'ide-history-item';
+      if (index === currentIndex) {
+        el.classList.add('active');
+        this._activeRow = el;
+      } else if (index > currentIndex) {
+        el.classList.add('undone');
+      }
+
+      var name = document.createElement('span');
+      name.className = 'ide-history-label';
+      name.textContent = label;
+      el.appendChild(name);
+
+      if (timestamp !== null) {
+        var time = document.createElement('span');
+        time.className = 'ide-history-time';
+        time.textContent = new Date(timestamp).toLocaleTimeString();
+        el.appendChild(time);
+      }
+
+      el.onclick = function() {
+        self.goTo(index);
+      };
+
+      return el;
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.IDE = CodeEditor.IDE || {};
+  CodeEditor.IDE.UndoHistoryPanel = UndoHistoryPanel;
+
+})(window.CodeEditor = window.CodeEditor || {});
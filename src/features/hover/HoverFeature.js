@@ -0,0 +1,535 @@
+/**
+ * @fileoverview Hover feature - type information tooltip backed by TypeChecker
+ * @module features/hover/HoverFeature
+ *
+ * After the mouse rests on an identifier or member name, shows its inferred
+ * type: a signature with parameter names for functions and methods, the
+ * declaration keyword for variables, and the declaring class for members.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var TypeChecker = CodeEditor.TypeChecker;
+  var TypeKind = CodeEditor.TypeKind;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Mouse dwell before the tooltip appears
+  var HOVER_DELAY_MS = 300;
+
+  // Grace period for moving the mouse from the word onto the tooltip
+  var HOVER_HIDE_DELAY_MS = 100;
+
+  // Gap between the hovered line and the tooltip
+  var TOOLTIP_OFFSET_Y = 4;
+
+  // Keep in sync with .ec-hover-tooltip max-width
+  var TOOLTIP_MAX_WIDTH = 500;
+
+  // Longest type text shown (built-in namespaces like Math are huge)
+  var MAX_TYPE_LENGTH = 300;
+
+  var IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+
+  // ============================================
+  // Class Definition
+  // ============================================
+
+  /**
+   * Hover tooltip feature.
+   *
+   * @example
+   * var hover = new HoverFeature(editor);
+   */
+  class HoverFeature {
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+    _editor = null;
+    _enabled = true;
+    _languages = null;
+    _typeChecker = null;
+    _container = null;
+    _visible = false;
+    _showTimer = null;
+    _hideTimer = null;
+
+    // Word range under the mouse ({ start, end }), pending or shown
+    _hoverRange = null;
+
+    // Hover info being computed for _hoverRange
+    _request = null;
+
+    // Bound event handlers
+    _boundHandleMouseMove = null;
+    _boundHandleMouseLeave = null;
+    _boundHandleTooltipEnter = null;
+    _boundHandleTooltipLeave = null;
+    _boundHide = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {Object} editor - Editor instance
+     * @param {Object} options - Configuration options
+     * @param {boolean} options.enabled - Whether hover is enabled (default: true)
+     * @param {string[]} options.languages - Languages to describe (default: javascript, typescript)
+     * @param {TypeChecker|TypeCheckerProxy} options.typeChecker - Type checker to query (default: a new instance)
+     */
+    constructor(editor, options = {}) {
+      this._editor = editor;
+      this._enabled = options.enabled !== false;
+      this._languages = options.languages || ['javascript', 'typescript'];
+      this._typeChecker = options.typeChecker || TypeChecker.create();
+
+      this._createDOM();
+      this._bindEvents();
+    }
+
+    // ----------------------------------------
+    // DOM Setup
+    // ----------------------------------------
+
+    _createDOM() {
+      this._container = document.createElement('div');
+      this._container.className = 'ec-hover-tooltip';
+      this._container.style.display = 'none';
+
+      this._editor.view.contentElement.appendChild(this._container);
+    }
+
+    // ----------------------------------------
+    // Event Binding
+    // ----------------------------------------
+
+    _bindEvents() {
+      var self = this;
+      var view = this._editor.view;
+
+      this._boundHandleMouseMove = function(e) {
+        self._handleMouseMove(e);
+      };
+      view.contentElement.addEventListener('mousemove', this._boundHandleMouseMove);
+
+      this._boundHandleMouseLeave = function() {
+        self._cancelShow();
+        self._scheduleHide();
+      };
+      view.contentElement.addEventListener('mouseleave', this._boundHandleMouseLeave);
+
+      // Moving onto the tooltip keeps it open so its text can be selected
+      this._boundHandleTooltipEnter = function() {
+        self._cancelHide();
+      };
+      this._container.addEventListener('mouseenter', this._boundHandleTooltipEnter);
+
+      this._boundHandleTooltipLeave = function() {
+        self._scheduleHide();
+      };
+      this._container.addEventListener('mouseleave', this._boundHandleTooltipLeave);
+
+      // Any edit, cursor move or scroll invalidates the hovered position
+      this._boundHide = function() {
+        self.hide();
+      };
+      this._editor.on('change', this._boundHide);
+      this._editor.on('selectionChange', this._boundHide);
+      view.container.addEventListener('wheel', this._boundHide, { passive: true });
+    }
+
+    // ----------------------------------------
+    // Event Handlers
+    // ----------------------------------------
+
+    _handleMouseMove(event) {
+      if (!this._isActive()) return;
+
+      // Events bubbling up from the tooltip itself
+      if (this._container.contains(event.target)) return;
+
+      var range = this._getWordRangeAtPoint(event.clientX, event.clientY);
+
+      if (range && this._hoverRange &&
+          range.start === this._hoverRange.start && range.end === this._hoverRange.end) {
+        // Still on the same word: keep the tooltip or the pending timer
+        this._cancelHide();
+        return;
+      }
+
+      this._cancelShow();
+      this._hoverRange = range;
+
+      if (this._visible) {
+        this._scheduleHide();
+      }
+
+      if (range) {
+        this._scheduleShow();
+      }
+    }
+
+    // ----------------------------------------
+    // Hover Logic
+    // ----------------------------------------
+
+    _isActive() {
+      return this._enabled && this._languages.indexOf(this._editor.getLanguage()) !== -1;
+    }
+
+    /**
+     * Find the identifier under the mouse. Positions past the end of a line
+     * or beside a word snap to the nearest column, so the word's on-screen
+     * box is checked as well.
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{ start: number, end: number } | null}
+     */
+    _getWordRangeAtPoint(clientX, clientY) {
+      var editor = this._editor;
+      var position = editor.view.getPositionFromPoint(clientX, clientY);
+      if (!position) return null;
+
+      var lineText = editor.document.getLine(position.line);
+      var startColumn = position.column;
+      var endColumn = position.column;
+
+      while (startColumn > 0 && IDENTIFIER_CHAR.test(lineText.charAt(startColumn - 1))) {
+        startColumn--;
+      }
+      while (endColumn < lineText.length && IDENTIFIER_CHAR.test(lineText.charAt(endColumn))) {
+        endColumn++;
+      }
+
+      if (startColumn === endColumn || /[0-9]/.test(lineText.charAt(startColumn))) {
+        return null;
+      }
+
+      var start = editor.document.positionToOffset(position.line, startColumn);
+      var end = start + (endColumn - startColumn);
+
+      var startRect = editor.view.getCharacterRect(start);
+      var endRect = editor.view.getCharacterRect(end);
+      if (clientX < startRect.left || clientX > endRect.left ||
+          clientY < startRect.top || clientY > startRect.bottom) {
+        return null;
+      }
+
+      return { start: start, end: end };
+    }
+
+    _scheduleShow() {
+      var self = this;
+
+      this._showTimer = setTimeout(function() {
+        self._showTimer = null;
+        self._update();
+      }, HOVER_DELAY_MS);
+    }
+
+    _cancelShow() {
+      if (this._showTimer) {
+        clearTimeout(this._showTimer);
+        this._showTimer = null;
+      }
+    }
+
+    _scheduleHide() {
+      var self = this;
+
+      if (this._hideTimer || !this._visible) return;
+      this._hideTimer = setTimeout(function() {
+        self._hideTimer = null;
+        self.hide();
+      }, HOVER_HIDE_DELAY_MS);
+    }
+
+    _cancelHide() {
+      if (this._hideTimer) {
+        clearTimeout(this._hideTimer);
+        this._hideTimer = null;
+      }
+    }
+
+    _cancelRequest() {
+      if (this._request && this._typeChecker.cancel) {
+        this._typeChecker.cancel(this._request);
+      }
+      this._request = null;
+    }
+
+    /**
+     * Query the type checker for the hovered word and show the result
+     */
+    _update() {
+      var range = this._hoverRange;
+      if (!range || !this._isActive() || this._isInStringOrComment(range.end)) {
+        this.hide();
+        return;
+      }
+
+      var self = this;
+
+      this._cancelRequest();
+      var request = this._typeChecker.getHoverInfo(this._editor.getValue(), range.start);
+      this._request = request;
+
+      // Hovering another word or editing hides, which drops the answer
+      Promise.resolve(request).then(function(info) {
+        if (self._request !== request) return;
+        self._request = null;
+        self._showInfo(info);
+      }, function() {
+        if (self._request === request) self._showInfo(null);
+      });
+    }
+
+    /**
+     * Show the result of a hover query, with the diagnostics of the word
+     * @param {Object|null} info - Result of TypeChecker#getHoverInfo
+     */
+    _showInfo(info) {
+      var range = this._hoverRange;
+      var markers = range ? this._editor.view.getMarkersAt(range.start) : [];
+
+      if (!info && markers.length === 0) {
+        this.hide();
+        return;
+      }
+
+      this._cancelHide();
+      this._render(info, markers);
+      this._show();
+      this._position(info ? info.start : markers[0].start);
+    }
+
+    _isInStringOrComment(offset) {
+      var token = this._editor.view.getTokenAt(offset);
+      if (!token) return false;
+
+      var type = token.type;
+      return type.indexOf('string') === 0 || type.indexOf('comment') === 0;
+    }
+
+    // ----------------------------------------
+    // Rendering
+    // ----------------------------------------
+
+    _render(info, markers) {
+      this._container.innerHTML = '';
+
+      for (var i = 0; i < markers.length; i++) {
+        var problem = document.createElement('div');
+        problem.className = 'ec-hover-text ec-hover-problem ec-hover-problem-' + markers[i].severity;
+        problem.textContent = markers[i].message;
+        this._container.appendChild(problem);
+      }
+
+      if (!info) return;
+
+      var code = document.createElement('div');
+      code.className = 'ec-hover-code';
+      code.textContent = this._formatSignature(info);
+      this._container.appendChild(code);
+
+      if (info.containerName) {
+        var text = document.createElement('div');
+        text.className = 'ec-hover-text';
+        text.textContent = (info.isStatic ? 'Static member of class ' : 'Member of class ') + info.containerName;
+        this._container.appendChild(text);
+      }
+    }
+
+    /**
+     * Build the one-line declaration shown for a symbol, e.g.
+     * `(method) Foo.bar(a: any): string` or `const items: string[]`
+     * @param {Object} info - Result of TypeChecker#getHoverInfo
+     * @returns {string}
+     */
+    _formatSignature(info) {
+      var type = info.type;
+      var name = info.containerName ? info.containerName + '.' + info.name : info.name;
+      var isFunction = type && type.kind === TypeKind.FUNCTION;
+
+      switch (info.kind) {
+        case 'class':
+          return this._typeToString(type);
+
+        case 'function':
+          return 'function ' + name + (isFunction ? formatCallSignature(type) : ': ' + this._typeToString(type));
+
+        case 'method':
+          return '(method) ' + name + (isFunction ? formatCallSignature(type) : ': ' + this._typeToString(type));
+
+        case 'property':
+          return '(property) ' + name + ': ' + this._typeToString(type);
+
+        case 'parameter':
+          return '(parameter) ' + name + ': ' + this._typeToString(type);
+
+        case 'variable':
+        case 'constant':
+          return (info.declarationKind || 'var') + ' ' + name + ': ' + this._typeToString(type);
+
+        default:
+          return '(global) ' + name + ': ' + this._typeToString(type);
+      }
+    }
+
+    _typeToString(type) {
+      var text = this._typeChecker.typeToString(type);
+      if (text.length > MAX_TYPE_LENGTH) {
+        text = text.slice(0, MAX_TYPE_LENGTH - 1) + '…';
+      }
+      return text;
+    }
+
+    _position(offset) {
+      var view = this._editor.view;
+      var anchorRect = view.getCharacterRect(offset);
+      var contentRect = view.contentElement.getBoundingClientRect();
+      var editorRect = view.container.getBoundingClientRect();
+      var tooltipHeight = this._container.offsetHeight;
+
+      // Above the word like a callout, dropping below when it would leave the editor
+      var top = anchorRect.top - contentRect.top - tooltipHeight - TOOLTIP_OFFSET_Y;
+      if (anchorRect.top - tooltipHeight - TOOLTIP_OFFSET_Y < editorRect.top) {
+        top = anchorRect.bottom - contentRect.top + TOOLTIP_OFFSET_Y;
+      }
+
+      var left = anchorRect.left - contentRect.left;
+      if (anchorRect.left + TOOLTIP_MAX_WIDTH > editorRect.right) {
+        left = Math.max(0, editorRect.right - contentRect.left - TOOLTIP_MAX_WIDTH - 10);
+      }
+
+      this._container.style.top = top + 'px';
+      this._container.style.left = left + 'px';
+    }
+
+    _show() {
+      if (this._visible) return;
+      this._visible = true;
+      this._container.style.display = 'block';
+    }
+
+    // ----------------------------------------
+    // Public API
+    // ----------------------------------------
+
+    /**
+     * Show the tooltip for the identifier at an offset without waiting for
+     * the mouse, e.g. from a keyboard shortcut
+     * @param {number} [offset] - Document offset (default: primary cursor)
+     */
+    trigger(offset) {
+      if (offset === undefined) {
+        offset = this._editor.getSelection().end;
+      }
+
+      this._cancelShow();
+      this._hoverRange = { start: offset, end: offset };
+      this._update();
+    }
+
+    /**
+     * Hide the tooltip and cancel a pending one
+     */
+    hide() {
+      this._cancelShow();
+      this._cancelHide();
+      this._cancelRequest();
+      this._hoverRange = null;
+
+      if (!this._visible) return;
+      this._visible = false;
+      this._container.style.display = 'none';
+      this._container.innerHTML = '';
+    }
+
+    /**
+     * Check if the tooltip is showing
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._visible;
+    }
+
+    /**
+     * Enable hover
+     */
+    enable() {
+      this._enabled = true;
+    }
+
+    /**
+     * Disable hover
+     */
+    disable() {
+      this._enabled = false;
+      this.hide();
+    }
+
+    /**
+     * Check if hover is enabled
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return this._enabled;
+    }
+
+    // ----------------------------------------
+    // Lifecycle
+    // ----------------------------------------
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+      this.hide();
+
+      var view = this._editor.view;
+      view.contentElement.removeEventListener('mousemove', this._boundHandleMouseMove);
+      view.contentElement.removeEventListener('mouseleave', this._boundHandleMouseLeave);
+      view.container.removeEventListener('wheel', this._boundHide);
+      this._editor.off('change', this._boundHide);
+      this._editor.off('selectionChange', this._boundHide);
+
+      if (this._container) {
+        this._container.remove();
+      }
+      this._typeChecker = null;
+      this._editor = null;
+    }
+  }
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Format a function type as a call signature with parameter names,
+   * e.g. `(x: number, ...rest: any[]): string`
+   * @param {FunctionType} type
+   * @returns {string}
+   */
+  function formatCallSignature(type) {
+    var params = type.params.map(function(param) {
+      var text = (param.rest ? '...' : '') + param.name + (param.optional ? '?' : '');
+      return text + ': ' + param.type.toString();
+    });
+
+    return '(' + params.join(', ') + '): ' + type.returnType.toString();
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.Features = CodeEditor.Features || {};
+  CodeEditor.Features.Hover = HoverFeature;
+
+})(window.CodeEditor = window.CodeEditor || {});
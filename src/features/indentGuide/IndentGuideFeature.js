@@ -40,6 +40,8 @@
     _decorationLayer = null;
     _decorations = [];
     _boundHandleChange = null;
+    _unsubscribeViewport = null;
+    _unsubscribeOptions = null;
     _rafId = null;
 
     // ----------------------------------------
@@ -82,8 +84,14 @@
         self._scheduleUpdate();
       };
 
-      // Update guides on document changes
+      // Update guides on document changes and when the viewport moves
       this._editor.document.on('change', this._boundHandleChange);
+      this._unsubscribeViewport = this._editor.view.on('viewportChange', this._boundHandleChange);
+
+      // Levels follow the editor's tab size
+      this._unsubscribeOptions = this._editor.on('optionsChange', function(changed) {
+        if (changed.tabSize !== undefined) self.setTabSize(changed.tabSize);
+      });
 
       // Initial render
       this._updateGuides();
@@ -115,11 +123,14 @@
 
       var doc = this._editor.document;
       var view = this._editor.view;
-      var lineCount = doc.getLineCount();
+      var range = view.getVisibleLineRange();
+      var lastLine = Math.min(range.endLine, doc.getLineCount() - 1);
       var padding = 10; // Matches EditorView padding
 
-      // Track which indent guides to render per line
-      for (var lineIndex = 0; lineIndex < lineCount; lineIndex++) {
+      // Track which indent guides to render per line (rendered lines only)
+      for (var lineIndex = range.startLine; lineIndex <= lastLine; lineIndex++) {
+        if (view.isLineHidden(lineIndex)) continue;
+
         var lineText = doc.getLine(lineIndex);
         var indentLevel = this._getIndentLevel(lineText);
 
@@ -131,7 +142,7 @@
           var guide = document.createElement('div');
           guide.className = 'ec-indent-guide ' + colorClass;
           guide.style.left = (column * view.charWidth + padding) + 'px';
-          guide.style.top = (lineIndex * view.lineHeight + padding) + 'px';
+          guide.style.top = (view.getLineTop(lineIndex) + padding) + 'px';
           guide.style.height = view.lineHeight + 'px';
 
           this._decorationLayer.appendChild(guide);
@@ -236,6 +247,12 @@
       if (this._boundHandleChange) {
         this._editor.document.off('change', this._boundHandleChange);
       }
+      if (this._unsubscribeViewport) {
+        this._unsubscribeViewport();
+      }
+      if (this._unsubscribeOptions) {
+        this._unsubscribeOptions();
+      }
 
       if (this._decorationLayer) {
         this._decorationLayer.remove();
@@ -4,8 +4,12 @@
  *
  * Provides line-level operations:
  * - Ctrl+/: Toggle line comment (language-aware)
+ * - Ctrl+K Ctrl+C / Ctrl+K Ctrl+U: Add / remove line comment
  * - Alt+Up/Down: Move line(s) up/down
  * - Alt+Shift+Up/Down: Duplicate line(s) up/down
+ *
+ * A folded block counts as one line: selecting its first line takes the
+ * hidden lines along, and lines move past it as a whole.
  */
 
 (function(CodeEditor) {
@@ -38,6 +42,21 @@
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
+  /**
+   * Find how far the moved range holding a line went
+   * @param {Array<{startLine: number, endLine: number, delta: number}>} deltas
+   * @param {number} line - Line before the move
+   * @returns {number}
+   */
+  function findDelta(deltas, line) {
+    for (var i = 0; i < deltas.length; i++) {
+      if (deltas[i].startLine <= line && line <= deltas[i].endLine) {
+        return deltas[i].delta;
+      }
+    }
+    return 0;
+  }
+
   // ============================================
   // Class Definition
   // ============================================
@@ -50,12 +69,89 @@
    * var lineOps = new LineOperationsFeature(editor);
    */
   class LineOperationsFeature {
+    // ----------------------------------------
+    // Commands
+    // ----------------------------------------
+
+    // Offered in the command palette, run with the feature of the active editor
+    static COMMANDS = [
+      {
+        id: 'editor.action.commentLine',
+        title: 'Toggle Line Comment',
+        category: 'Edit',
+        keybinding: 'Ctrl+/',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature._run(feature._toggleLineComment, 'Toggle Line Comment');
+        },
+      },
+      {
+        id: 'editor.action.addCommentLine',
+        title: 'Add Line Comment',
+        category: 'Edit',
+        keybinding: 'Ctrl+K Ctrl+C',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature._run(feature._addLineComment, 'Add Line Comment');
+        },
+      },
+      {
+        id: 'editor.action.removeCommentLine',
+        title: 'Remove Line Comment',
+        category: 'Edit',
+        keybinding: 'Ctrl+K Ctrl+U',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature._run(feature._removeLineComment, 'Remove Line Comment');
+        },
+      },
+      {
+        id: 'editor.action.moveLinesUpAction',
+        title: 'Move Line Up',
+        category: 'Edit',
+        keybinding: 'Alt+Up',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature._run(feature._moveLinesUp, 'Move Line Up');
+        },
+      },
+      {
+        id: 'editor.action.moveLinesDownAction',
+        title: 'Move Line Down',
+        category: 'Edit',
+        keybinding: 'Alt+Down',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature._run(feature._moveLinesDown, 'Move Line Down');
+        },
+      },
+      {
+        id: 'editor.action.copyLinesUpAction',
+        title: 'Copy Line Up',
+        category: 'Edit',
+        keybinding: 'Shift+Alt+Up',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature._run(feature._duplicateLinesUp, 'Copy Line Up');
+        },
+      },
+      {
+        id: 'editor.action.copyLinesDownAction',
+        title: 'Copy Line Down',
+        category: 'Edit',
+        keybinding: 'Shift+Alt+Down',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature._run(feature._duplicateLinesDown, 'Copy Line Down');
+        },
+      },
+    ];
+
     // ----------------------------------------
     // Instance Properties
     // ----------------------------------------
     _editor = null;
     _enabled = true;
-    _boundHandleKeyDown = null;
 
     // ----------------------------------------
     // Constructor
@@ -69,85 +165,24 @@
     constructor(editor, options = {}) {
       this._editor = editor;
       this._enabled = options.enabled !== false;
-
-      this._bindEvents();
     }
 
     // ----------------------------------------
-    // Event Binding
+    // Helper Methods
     // ----------------------------------------
 
-    _bindEvents() {
+    /**
+     * Run an operation as one undo step
+     * @param {Function} operation - Method of this feature
+     * @param {string} label - Name shown in the undo history
+     */
+    _run(operation, label) {
       var self = this;
-      this._boundHandleKeyDown = function(e) {
-        self._handleKeyDown(e);
-      };
-      this._editor.view.contentElement.addEventListener(
-        'keydown',
-        this._boundHandleKeyDown,
-        true // capture phase
-      );
-    }
-
-    // ----------------------------------------
-    // Event Handlers
-    // ----------------------------------------
-
-    _handleKeyDown(event) {
-      if (!this._enabled) return;
-
-      var key = event.key;
-      var ctrlKey = event.ctrlKey;
-      var metaKey = event.metaKey;
-      var altKey = event.altKey;
-      var shiftKey = event.shiftKey;
-      var modKey = ctrlKey || metaKey;
-
-      // Ctrl+/ or Cmd+/: Toggle line comment
-      if (modKey && !altKey && !shiftKey && key === '/') {
-        event.preventDefault();
-        event.stopPropagation();
-        this._toggleLineComment();
-        return;
-      }
-
-      // Alt+Up: Move line up (no Shift, no Ctrl)
-      if (altKey && !modKey && !shiftKey && key === 'ArrowUp') {
-        event.preventDefault();
-        event.stopPropagation();
-        this._moveLinesUp();
-        return;
-      }
-
-      // Alt+Down: Move line down (no Shift, no Ctrl)
-      if (altKey && !modKey && !shiftKey && key === 'ArrowDown') {
-        event.preventDefault();
-        event.stopPropagation();
-        this._moveLinesDown();
-        return;
-      }
-
-      // Alt+Shift+Up: Duplicate lines up
-      if (altKey && shiftKey && !modKey && key === 'ArrowUp') {
-        event.preventDefault();
-        event.stopPropagation();
-        this._duplicateLinesUp();
-        return;
-      }
-
-      // Alt+Shift+Down: Duplicate lines down
-      if (altKey && shiftKey && !modKey && key === 'ArrowDown') {
-        event.preventDefault();
-        event.stopPropagation();
-        this._duplicateLinesDown();
-        return;
-      }
+      this._editor.transact(function() {
+        operation.call(self);
+      }, label);
     }
 
-    // ----------------------------------------
-    // Helper Methods
-    // ----------------------------------------
-
     /**
      * Get merged line ranges affected by all selections
      * @returns {Array<{startLine: number, endLine: number, selections: Array}>}
@@ -169,6 +204,7 @@
         if (endPos.column === 0 && endPos.line > startPos.line) {
           endLine = endPos.line - 1;
         }
+        endLine = this._getBlockEnd(endLine);
 
         ranges.push({
           startLine: startPos.line,
@@ -212,6 +248,28 @@
       return merged;
     }
 
+    /**
+     * Get the last line of the block a line shows: the last hidden line
+     * when the line is the first line of a fold, else the line itself
+     * @param {number} line
+     * @returns {number}
+     */
+    _getBlockEnd(line) {
+      var hidden = this._editor.view.getHiddenLineRange(line + 1);
+      return hidden ? hidden.endLine : line;
+    }
+
+    /**
+     * Get the first line of the block a line belongs to: the fold's first
+     * line when the line is hidden, else the line itself
+     * @param {number} line
+     * @returns {number}
+     */
+    _getBlockStart(line) {
+      var hidden = this._editor.view.getHiddenLineRange(line);
+      return hidden ? hidden.startLine - 1 : line;
+    }
+
     /**
      * Shift all selections vertically by a line delta
      * @param {number} lineDelta - Number of lines to shift (positive = down, negative = up)
@@ -275,7 +333,8 @@
     /**
      * Restore selections from saved positions with a line delta applied
      * @param {Array} positions - Saved positions from _saveSelectionPositions
-     * @param {number} lineDelta - Number of lines to shift (positive = down, negative = up)
+     * @param {number|Function} lineDelta - Number of lines to shift (positive = down, negative = up),
+     *   or a function of the saved position returning it
      */
     _restoreSelectionPositions(positions, lineDelta) {
       var doc = this._editor.document;
@@ -284,9 +343,10 @@
 
       for (var i = 0; i < positions.length; i++) {
         var pos = positions[i];
+        var delta = typeof lineDelta === 'function' ? lineDelta(pos) : lineDelta;
 
-        var newAnchorLine = pos.anchorLine + lineDelta;
-        var newCursorLine = pos.cursorLine + lineDelta;
+        var newAnchorLine = pos.anchorLine + delta;
+        var newCursorLine = pos.cursorLine + delta;
 
         // Clamp to valid line range
         newAnchorLine = Math.max(0, Math.min(newAnchorLine, lineCount - 1));
@@ -313,6 +373,29 @@
      * Toggle line comments for all affected lines
      */
     _toggleLineComment() {
+      this._setLineComments(null);
+    }
+
+    /**
+     * Comment all affected lines
+     */
+    _addLineComment() {
+      this._setLineComments(true);
+    }
+
+    /**
+     * Uncomment all affected lines that are commented
+     */
+    _removeLineComment() {
+      this._setLineComments(false);
+    }
+
+    /**
+     * Comment or uncomment all affected lines
+     * @param {boolean|null} comment - Whether to comment; null uncomments
+     *   if all lines are commented and comments them otherwise
+     */
+    _setLineComments(comment) {
       var language = this._editor.getLanguage();
       var config = COMMENT_CONFIG[language];
       if (!config) return; // Unsupported language
@@ -322,18 +405,20 @@
 
       if (lineRanges.length === 0) return;
 
-      // Determine toggle state: if ALL lines are commented, uncomment; else comment all
-      var allCommented = this._checkAllLinesCommented(lineRanges, config);
+      // Toggle: if ALL lines are commented, uncomment; else comment all
+      if (comment === null) {
+        comment = !this._checkAllLinesCommented(lineRanges, config);
+      }
 
       // Process lines from bottom to top (reverse) to preserve offsets
       for (var i = lineRanges.length - 1; i >= 0; i--) {
         var range = lineRanges[i];
 
         for (var line = range.endLine; line >= range.startLine; line--) {
-          if (allCommented) {
-            this._uncommentLine(line, config);
-          } else {
+          if (comment) {
             this._commentLine(line, config);
+          } else {
+            this._uncommentLine(line, config);
           }
         }
       }
@@ -467,32 +552,41 @@
       // Save selection positions BEFORE modifying document
       var savedPositions = this._saveSelectionPositions();
 
+      // Lines above a range may be a folded block, moved past as a whole
+      var deltas = [];
+
       // Process ranges from top to bottom for move up
       for (var i = 0; i < lineRanges.length; i++) {
         var range = lineRanges[i];
         var startLine = range.startLine;
         var endLine = range.endLine;
-        var targetLine = startLine - 1;
+        var targetLine = this._getBlockStart(startLine - 1);
 
         // Get line contents
         var linesToMove = [];
         for (var l = startLine; l <= endLine; l++) {
           linesToMove.push(doc.getLine(l));
         }
-        var lineAbove = doc.getLine(targetLine);
+        var linesAbove = [];
+        for (var a = targetLine; a < startLine; a++) {
+          linesAbove.push(doc.getLine(a));
+        }
 
         // Calculate offsets
         var targetLineStart = doc.positionToOffset(targetLine, 0);
         var endLineEnd = doc.positionToOffset(endLine, doc.getLine(endLine).length);
 
-        // Build new text: [linesToMove] + '\n' + [lineAbove]
-        var newText = linesToMove.join('\n') + '\n' + lineAbove;
+        // Build new text: [linesToMove] + '\n' + [linesAbove]
+        var newText = linesToMove.join('\n') + '\n' + linesAbove.join('\n');
 
         doc.replaceRange(targetLineStart, endLineEnd, newText);
+        deltas.push({ startLine: startLine, endLine: endLine, delta: targetLine - startLine });
       }
 
       // Restore selections with line shift applied
-      this._restoreSelectionPositions(savedPositions, -1);
+      this._restoreSelectionPositions(savedPositions, function(pos) {
+        return findDelta(deltas, pos.cursorLine);
+      });
     }
 
     /**
@@ -509,32 +603,41 @@
       // Save selection positions BEFORE modifying document
       var savedPositions = this._saveSelectionPositions();
 
+      // Lines below a range may be a folded block, moved past as a whole
+      var deltas = [];
+
       // Process ranges from bottom to top for move down
       for (var i = lineRanges.length - 1; i >= 0; i--) {
         var range = lineRanges[i];
         var startLine = range.startLine;
         var endLine = range.endLine;
-        var targetLine = endLine + 1;
+        var targetLine = this._getBlockEnd(endLine + 1);
 
         // Get line contents
         var linesToMove = [];
         for (var l = startLine; l <= endLine; l++) {
           linesToMove.push(doc.getLine(l));
         }
-        var lineBelow = doc.getLine(targetLine);
+        var linesBelow = [];
+        for (var b = endLine + 1; b <= targetLine; b++) {
+          linesBelow.push(doc.getLine(b));
+        }
 
         // Calculate offsets
         var startLineStart = doc.positionToOffset(startLine, 0);
         var targetLineEnd = doc.positionToOffset(targetLine, doc.getLine(targetLine).length);
 
-        // Build new text: [lineBelow] + '\n' + [linesToMove]
-        var newText = lineBelow + '\n' + linesToMove.join('\n');
+        // Build new text: [linesBelow] + '\n' + [linesToMove]
+        var newText = linesBelow.join('\n') + '\n' + linesToMove.join('\n');
 
         doc.replaceRange(startLineStart, targetLineEnd, newText);
+        deltas.push({ startLine: startLine, endLine: endLine, delta: targetLine - endLine });
       }
 
       // Restore selections with line shift applied
-      this._restoreSelectionPositions(savedPositions, 1);
+      this._restoreSelectionPositions(savedPositions, function(pos) {
+        return findDelta(deltas, pos.cursorLine);
+      });
     }
 
     // ----------------------------------------
@@ -641,14 +744,6 @@
      * Clean up resources
      */
     dispose() {
-      if (this._boundHandleKeyDown) {
-        this._editor.view.contentElement.removeEventListener(
-          'keydown',
-          this._boundHandleKeyDown,
-          true
-        );
-      }
-
       this._editor = null;
     }
   }
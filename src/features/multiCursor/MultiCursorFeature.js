@@ -27,12 +27,59 @@
    * var multiCursor = new MultiCursorFeature(editor);
    */
   class MultiCursorFeature {
+    // ----------------------------------------
+    // Commands
+    // ----------------------------------------
+
+    // Offered in the command palette, run with the feature of the active editor
+    static COMMANDS = [
+      {
+        id: 'editor.action.insertCursorAbove',
+        title: 'Add Cursor Above',
+        category: 'Selection',
+        keybinding: 'Ctrl+Alt+Up',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature._addCursorsAbove();
+        },
+      },
+      {
+        id: 'editor.action.insertCursorBelow',
+        title: 'Add Cursor Below',
+        category: 'Selection',
+        keybinding: 'Ctrl+Alt+Down',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature._addCursorsBelow();
+        },
+      },
+      {
+        id: 'editor.action.addSelectionToNextFindMatch',
+        title: 'Add Selection to Next Find Match',
+        category: 'Selection',
+        keybinding: 'Ctrl+D',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature._selectNextOccurrence();
+        },
+      },
+      {
+        id: 'removeSecondaryCursors',
+        title: 'Remove Secondary Cursors',
+        category: 'Selection',
+        keybinding: 'Escape',
+        when: 'editorTextFocus && editorHasMultipleSelections',
+        run: function(feature) {
+          feature._editor.collapseToSingleCursor();
+        },
+      },
+    ];
+
     // ----------------------------------------
     // Instance Properties
     // ----------------------------------------
     _editor = null;
     _enabled = true;
-    _boundHandleKeyDown = null;
     _boundHandleMouseDown = null;
 
     // ----------------------------------------
@@ -58,19 +105,11 @@
     _bindEvents() {
       var self = this;
 
-      this._boundHandleKeyDown = function(e) {
-        self._handleKeyDown(e);
-      };
       this._boundHandleMouseDown = function(e) {
         self._handleMouseDown(e);
       };
 
       // Capture phase to intercept before other handlers
-      this._editor.view.contentElement.addEventListener(
-        'keydown',
-        this._boundHandleKeyDown,
-        true
-      );
       this._editor.view.contentElement.addEventListener(
         'mousedown',
         this._boundHandleMouseDown,
@@ -82,49 +121,6 @@
     // Event Handlers
     // ----------------------------------------
 
-    _handleKeyDown(event) {
-      if (!this._enabled) return;
-
-      var key = event.key;
-      var ctrlKey = event.ctrlKey;
-      var metaKey = event.metaKey;
-      var altKey = event.altKey;
-      var shiftKey = event.shiftKey;
-      var modKey = ctrlKey || metaKey;
-
-      // Escape: collapse to single cursor
-      if (key === 'Escape' && this._editor.hasMultipleCursors()) {
-        event.preventDefault();
-        event.stopPropagation();
-        this._editor.collapseToSingleCursor();
-        return;
-      }
-
-      // Ctrl+Alt+Up: Add cursor above
-      if (modKey && altKey && key === 'ArrowUp') {
-        event.preventDefault();
-        event.stopPropagation();
-        this._addCursorsAbove();
-        return;
-      }
-
-      // Ctrl+Alt+Down: Add cursor below
-      if (modKey && altKey && key === 'ArrowDown') {
-        event.preventDefault();
-        event.stopPropagation();
-        this._addCursorsBelow();
-        return;
-      }
-
-      // Ctrl+D: Select next occurrence
-      if (modKey && !altKey && !shiftKey && key === 'd') {
-        event.preventDefault();
-        event.stopPropagation();
-        this._selectNextOccurrence();
-        return;
-      }
-    }
-
     _handleMouseDown(event) {
       if (!this._enabled) return;
 
@@ -366,14 +362,6 @@
      * Clean up resources
      */
     dispose() {
-      if (this._boundHandleKeyDown) {
-        this._editor.view.contentElement.removeEventListener(
-          'keydown',
-          this._boundHandleKeyDown,
-          true
-        );
-      }
-
       if (this._boundHandleMouseDown) {
         this._editor.view.contentElement.removeEventListener(
           'mousedown',
@@ -0,0 +1,410 @@
+/**
+ * @fileoverview Navigation feature - go to definition and find all references
+ * @module features/navigation/NavigationFeature
+ *
+ * F12 or Ctrl/Cmd+click on a name selects its declaration; Shift+F12
+ * highlights every occurrence of the symbol in the document and lists
+ * them in a peek list below the cursor. Names resolve through the type
+ * checker's scopes, so shadowed variables, closures and class members
+ * reached through an instance each find their own declaration.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var TypeChecker = CodeEditor.TypeChecker;
+  var SearchDecorations = CodeEditor.SearchDecorations;
+  var ReferencesWidget = CodeEditor.ReferencesWidget;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  var IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+
+  // ============================================
+  // Class Definition
+  // ============================================
+
+  /**
+   * Go to definition / find all references feature.
+   *
+   * @example
+   * var navigation = new NavigationFeature(editor, { typeChecker: typeChecker });
+   * navigation.findReferences().then(function(references) { ... });
+   */
+  class NavigationFeature {
+    // ----------------------------------------
+    // Commands
+    // ----------------------------------------
+
+    // Offered in the command palette, run with the feature of the active editor
+    static COMMANDS = [
+      {
+        id: 'editor.action.revealDefinition',
+        title: 'Go to Definition',
+        category: 'Go',
+        keybinding: 'F12',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          return feature.goToDefinition();
+        },
+      },
+      {
+        id: 'editor.action.goToReferences',
+        title: 'Find All References',
+        category: 'Go',
+        keybinding: 'Shift+F12',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          return feature.findReferences();
+        },
+      },
+    ];
+
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+    _editor = null;
+    _enabled = true;
+    _languages = null;
+    _typeChecker = null;
+    _decorations = null;
+    _widget = null;
+
+    // References shown in the peek list, each with its line and column
+    _references = [];
+
+    // Definition or references lookup not answered yet (see _query)
+    _request = null;
+
+    // Bound event handlers
+    _boundHandleKeyDown = null;
+    _boundHandleMouseDown = null;
+    _boundHandleChange = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {Object} editor - Editor instance
+     * @param {Object} options - Configuration options
+     * @param {boolean} options.enabled - Whether navigation is enabled (default: true)
+     * @param {string[]} options.languages - Languages to navigate (default: javascript, typescript)
+     * @param {TypeChecker|TypeCheckerProxy} options.typeChecker - Type checker to query (default: a new instance)
+     */
+    constructor(editor, options = {}) {
+      var self = this;
+
+      this._editor = editor;
+      this._enabled = options.enabled !== false;
+      this._languages = options.languages || ['javascript', 'typescript'];
+      this._typeChecker = options.typeChecker || TypeChecker.create();
+
+      this._decorations = new SearchDecorations(editor, {
+        className: 'ec-reference',
+        layerClassName: 'ec-reference-decoration-layer'
+      });
+      this._widget = new ReferencesWidget(editor, {
+        onSelect: function(index) {
+          self._revealReference(index);
+        },
+        onClose: function() {
+          self.closeReferences();
+          self._editor.focus();
+        }
+      });
+
+      this._bindEvents();
+    }
+
+    // ----------------------------------------
+    // Event Binding
+    // ----------------------------------------
+
+    _bindEvents() {
+      var self = this;
+      var contentElement = this._editor.view.contentElement;
+
+      this._boundHandleKeyDown = function(e) {
+        self._handleKeyDown(e);
+      };
+      this._boundHandleMouseDown = function(e) {
+        self._handleMouseDown(e);
+      };
+
+      // Capture phase to intercept before the input handler
+      contentElement.addEventListener('keydown', this._boundHandleKeyDown, true);
+      contentElement.addEventListener('mousedown', this._boundHandleMouseDown, true);
+
+      // Edits move the occurrences; drop them rather than show stale ranges
+      this._boundHandleChange = function() {
+        self._cancelRequest();
+        self.closeReferences();
+      };
+      this._editor.on('change', this._boundHandleChange);
+    }
+
+    // ----------------------------------------
+    // Event Handlers
+    // ----------------------------------------
+
+    _handleKeyDown(event) {
+      // Keys of the references list; F12 and Shift+F12 are commands
+      if (!this._isActive() || !this._widget.isVisible()) return;
+
+      switch (event.key) {
+        case 'Escape':
+          event.preventDefault();
+          event.stopPropagation();
+          this.closeReferences();
+          return;
+
+        case 'ArrowDown':
+        case 'ArrowUp':
+          event.preventDefault();
+          event.stopPropagation();
+          this._widget.setActiveIndex(this._widget.getActiveIndex() + (event.key === 'ArrowDown' ? 1 : -1));
+          this._revealReference(this._widget.getActiveIndex());
+          return;
+
+        case 'Enter':
+          event.preventDefault();
+          event.stopPropagation();
+          this._revealReference(this._widget.getActiveIndex());
+          this.closeReferences();
+          return;
+      }
+    }
+
+    _handleMouseDown(event) {
+      if (!this._isActive()) return;
+
+      // Ctrl/Cmd+Click on a name: Go to definition
+      var modKey = event.ctrlKey || event.metaKey;
+      if (event.button !== 0 || !modKey || event.altKey || event.shiftKey) return;
+
+      var offset = this._getNameOffsetAtPoint(event.clientX, event.clientY);
+      if (offset === null) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      this._editor.focus();
+      this.goToDefinition(offset);
+    }
+
+    // ----------------------------------------
+    // Navigation Logic
+    // ----------------------------------------
+
+    _isActive() {
+      return this._enabled && this._languages.indexOf(this._editor.getLanguage()) !== -1;
+    }
+
+    /**
+     * Offset of the identifier character under the mouse, if any
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {number|null}
+     */
+    _getNameOffsetAtPoint(clientX, clientY) {
+      var position = this._editor.view.getPositionFromPoint(clientX, clientY);
+      if (!position) return null;
+
+      var lineText = this._editor.document.getLine(position.line);
+      var column = position.column;
+      if (!IDENTIFIER_CHAR.test(lineText.charAt(column))) {
+        if (column === 0 || !IDENTIFIER_CHAR.test(lineText.charAt(column - 1))) return null;
+        column--;
+      }
+
+      return this._editor.document.positionToOffset(position.line, column);
+    }
+
+    _getCursorOffset() {
+      return this._editor.getSelection().end;
+    }
+
+    _cancelRequest() {
+      if (this._request && this._typeChecker.cancel) {
+        this._typeChecker.cancel(this._request);
+      }
+      this._request = null;
+    }
+
+    /**
+     * Send a query and resolve with its answer, or with null when the
+     * document changed or another query replaced it in the meantime
+     * @param {Function} query - Called with the source, returns the answer or a promise of it
+     * @returns {Promise<*>}
+     */
+    _query(query) {
+      var self = this;
+      var version = this._editor.document.version;
+
+      this._cancelRequest();
+      var request = query(this._editor.getValue());
+      this._request = request;
+
+      return Promise.resolve(request).then(function(result) {
+        if (self._request !== request) return null;
+        self._request = null;
+        return self._editor.document.version === version ? result : null;
+      }, function() {
+        if (self._request === request) self._request = null;
+        return null;
+      });
+    }
+
+    /**
+     * Select a listed reference without closing the list
+     * @param {number} index - Reference index
+     */
+    _revealReference(index) {
+      var reference = this._references[index];
+      if (!reference) return;
+
+      this._editor.setSelection(reference.start, reference.end);
+      this._decorations.render(this._references, index);
+    }
+
+    // ----------------------------------------
+    // Public API
+    // ----------------------------------------
+
+    /**
+     * Select the declaration of the name at an offset
+     * @param {number} [offset] - Offset in the name (default: the cursor)
+     * @returns {Promise<{name: string, start: number, end: number}|null>} The declaration, if found
+     */
+    goToDefinition(offset) {
+      if (!this._isActive()) return Promise.resolve(null);
+
+      var self = this;
+      var at = offset === undefined ? this._getCursorOffset() : offset;
+
+      return this._query(function(source) {
+        return self._typeChecker.getDefinition(source, at);
+      }).then(function(definition) {
+        if (!definition || !self._editor) return null;
+        self.closeReferences();
+        self._editor.setSelection(definition.start, definition.end);
+        return definition;
+      });
+    }
+
+    /**
+     * Highlight and list every occurrence of the symbol at an offset
+     * @param {number} [offset] - Offset in the name (default: the cursor)
+     * @returns {Promise<Array<{start: number, end: number, line: number, column: number,
+     *   isDefinition: boolean}>|null>} The occurrences, if the name resolves
+     */
+    findReferences(offset) {
+      if (!this._isActive()) return Promise.resolve(null);
+
+      var self = this;
+      var at = offset === undefined ? this._getCursorOffset() : offset;
+
+      return this._query(function(source) {
+        return self._typeChecker.getReferences(source, at);
+      }).then(function(references) {
+        if (!references || references.length === 0 || !self._editor) return null;
+        self._showReferences(references, at);
+        return self.getReferences();
+      });
+    }
+
+    /**
+     * @param {Object[]} references - Result of TypeChecker#getReferences
+     * @param {number} offset - Offset the references were requested at
+     */
+    _showReferences(references, offset) {
+      var doc = this._editor.document;
+      var activeIndex = 0;
+
+      this._references = references.map(function(reference, index) {
+        if (reference.start <= offset && offset <= reference.end) activeIndex = index;
+        var position = doc.offsetToPosition(reference.start);
+        return Object.assign({}, reference, { line: position.line, column: position.column });
+      });
+
+      var first = this._references[activeIndex];
+      var name = doc.getTextRange(first.start, first.end);
+
+      this._decorations.render(this._references, activeIndex);
+      this._widget.show(name, this._references, activeIndex, offset);
+    }
+
+    /**
+     * Get the references currently shown
+     * @returns {Array<{start: number, end: number, line: number, column: number, isDefinition: boolean}>}
+     */
+    getReferences() {
+      return this._references.slice();
+    }
+
+    /**
+     * Remove the reference highlights and close the peek list
+     */
+    closeReferences() {
+      this._references = [];
+      this._decorations.clear();
+      this._widget.hide();
+    }
+
+    /**
+     * Enable navigation
+     */
+    enable() {
+      this._enabled = true;
+    }
+
+    /**
+     * Disable navigation and close the peek list
+     */
+    disable() {
+      this._enabled = false;
+      this._cancelRequest();
+      this.closeReferences();
+    }
+
+    /**
+     * Check if navigation is enabled
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return this._enabled;
+    }
+
+    // ----------------------------------------
+    // Lifecycle
+    // ----------------------------------------
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+      var contentElement = this._editor.view.contentElement;
+
+      this._cancelRequest();
+      contentElement.removeEventListener('keydown', this._boundHandleKeyDown, true);
+      contentElement.removeEventListener('mousedown', this._boundHandleMouseDown, true);
+      this._editor.off('change', this._boundHandleChange);
+
+      this._decorations.dispose();
+      this._widget.dispose();
+
+      this._typeChecker = null;
+      this._editor = null;
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.Features = CodeEditor.Features || {};
+  CodeEditor.Features.Navigation = NavigationFeature;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Peek list of the references of a symbol
+ *
+ * Opens below the line the references were requested on and lists one
+ * row per occurrence: its line number and the line's text with the name
+ * highlighted. The active row follows the keyboard; choosing a row is
+ * left to the owner through callbacks.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Gap between the anchor line and the list
+  var WIDGET_OFFSET_Y = 2;
+
+  // Longest line text shown per row
+  var MAX_LINE_TEXT_LENGTH = 200;
+
+  // ============================================
+  // ReferencesWidget Class
+  // ============================================
+
+  class ReferencesWidget {
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+
+    _editor = null;
+    _container = null;
+    _visible = false;
+
+    // DOM Elements
+    _title = null;
+    _list = null;
+
+    // State
+    _references = [];
+    _activeIndex = -1;
+
+    // Callbacks
+    _onSelect = null;
+    _onClose = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {Object} editor - Editor instance
+     * @param {Object} callbacks - Event callbacks
+     * @param {Function} callbacks.onSelect - Called with the index of a clicked row
+     * @param {Function} callbacks.onClose - Called when the close button is clicked
+     */
+    constructor(editor, callbacks) {
+      if (!callbacks) callbacks = {};
+
+      this._editor = editor;
+      this._onSelect = callbacks.onSelect || function() {};
+      this._onClose = callbacks.onClose || function() {};
+
+      this._createDOM();
+    }
+
+    // ----------------------------------------
+    // DOM Creation
+    // ----------------------------------------
+
+    _createDOM() {
+      var self = this;
+
+      this._container = document.createElement('div');
+      this._container.className = 'ec-references-widget';
+      this._container.style.display = 'none';
+
+      var header = document.createElement('div');
+      header.className = 'ec-references-header';
+
+      this._title = document.createElement('span');
+      this._title.className = 'ec-references-title';
+      header.appendChild(this._title);
+
+      var closeButton = document.createElement('button');
+      closeButton.className = 'ec-references-close';
+      closeButton.title = 'Close (Escape)';
+      closeButton.innerHTML = '&times;';
+      closeButton.addEventListener('click', function() {
+        self._onClose();
+      });
+      header.appendChild(closeButton);
+
+      this._container.appendChild(header);
+
+      this._list = document.createElement('div');
+      this._list.className = 'ec-references-list';
+      this._container.appendChild(this._list);
+
+      // Keep clicks from reaching the editor, which would move the cursor
+      this._container.addEventListener('mousedown', function(e) {
+        e.stopPropagation();
+      });
+
+      this._editor.view.contentElement.appendChild(this._container);
+    }
+
+    // ----------------------------------------
+    // Public Methods
+    // ----------------------------------------
+
+    /**
+     * Show a list of references below the line of an offset
+     * @param {string} name - Name the references are of
+     * @param {Array} references - References {start, end, line, column, isDefinition}
+     * @param {number} activeIndex - Row to mark active
+     * @param {number} anchorOffset - Offset whose line the list opens under
+     */
+    show(name, references, activeIndex, anchorOffset) {
+      this._references = references;
+      this._title.textContent = "'" + name + "' — " + references.length +
+        (references.length === 1 ? ' reference' : ' references');
+
+      this._renderList();
+      this.setActiveIndex(activeIndex);
+
+      this._container.style.display = 'block';
+      this._visible = true;
+      this._position(anchorOffset);
+    }
+
+    /**
+     * Hide the list
+     */
+    hide() {
+      this._container.style.display = 'none';
+      this._visible = false;
+      this._references = [];
+      this._activeIndex = -1;
+      this._list.innerHTML = '';
+    }
+
+    /**
+     * Check if the list is shown
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._visible;
+    }
+
+    /**
+     * Get the index of the active row
+     * @returns {number}
+     */
+    getActiveIndex() {
+      return this._activeIndex;
+    }
+
+    /**
+     * Mark a row active and scroll it into the list's view
+     * @param {number} index - Row index
+     */
+    setActiveIndex(index) {
+      var rows = this._list.children;
+      if (rows.length === 0) return;
+
+      index = Math.max(0, Math.min(index, rows.length - 1));
+      if (this._activeIndex >= 0 && rows[this._activeIndex]) {
+        rows[this._activeIndex].classList.remove('ec-references-item-active');
+      }
+
+      this._activeIndex = index;
+      rows[index].classList.add('ec-references-item-active');
+
+      var row = rows[index];
+      if (row.offsetTop < this._list.scrollTop) {
+        this._list.scrollTop = row.offsetTop;
+      } else if (row.offsetTop + row.offsetHeight > this._list.scrollTop + this._list.clientHeight) {
+        this._list.scrollTop = row.offsetTop + row.offsetHeight - this._list.clientHeight;
+      }
+    }
+
+    // ----------------------------------------
+    // Rendering
+    // ----------------------------------------
+
+    _renderList() {
+      var self = this;
+      var doc = this._editor.document;
+
+      this._list.innerHTML = '';
+      this._activeIndex = -1;
+
+      this._references.forEach(function(reference, index) {
+        var row = document.createElement('div');
+        row.className = reference.isDefinition
+          ? 'ec-references-item ec-references-item-definition'
+          : 'ec-references-item';
+
+        var lineNumber = document.createElement('span');
+        lineNumber.className = 'ec-references-line';
+        lineNumber.textContent = String(reference.line + 1);
+        row.appendChild(lineNumber);
+
+        row.appendChild(self._renderLineText(doc.getLine(reference.line), reference));
+
+        row.addEventListener('click', function() {
+          self.setActiveIndex(index);
+          self._onSelect(index);
+        });
+
+        self._list.appendChild(row);
+      });
+    }
+
+    /**
+     * Line text with the reference's name highlighted, leading
+     * indentation dropped
+     * @param {string} lineText - Text of the reference's line
+     * @param {Object} reference - Reference {start, end, column}
+     * @returns {HTMLElement}
+     */
+    _renderLineText(lineText, reference) {
+      var text = document.createElement('span');
+      text.className = 'ec-references-text';
+
+      var indent = lineText.length - lineText.replace(/^\s+/, '').length;
+      var start = Math.max(reference.column, indent);
+      var end = reference.column + (reference.end - reference.start);
+
+      text.appendChild(document.createTextNode(lineText.slice(indent, start)));
+
+      var match = document.createElement('span');
+      match.className = 'ec-references-match';
+      match.textContent = lineText.slice(start, end);
+      text.appendChild(match);
+
+      text.appendChild(document.createTextNode(lineText.slice(end, indent + MAX_LINE_TEXT_LENGTH)));
+      return text;
+    }
+
+    _position(offset) {
+      var view = this._editor.view;
+      var doc = this._editor.document;
+      var padding = 10;
+      var line = doc.offsetToPosition(offset).line;
+
+      this._container.style.top = (view.getLineTop(line) + view.lineHeight + padding + WIDGET_OFFSET_Y) + 'px';
+      this._container.style.left = padding + 'px';
+    }
+
+    // ----------------------------------------
+    // Lifecycle
+    // ----------------------------------------
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+      if (this._container) this._container.remove();
+      this._container = null;
+      this._editor = null;
+    }
+  }
+
+  // ============================================
+  // Export to Namespace
+  // ============================================
+
+  CodeEditor.ReferencesWidget = ReferencesWidget;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,369 @@
+/**
+ * @fileoverview Outline of HTML and CSS documents
+ * @module features/outline/MarkupSymbols
+ *
+ * HTML documents outline as their element tree, each element labelled
+ * with its tag, id and classes. CSS documents outline as their rules;
+ * at-rules such as @media hold the rules inside them, and so do rules
+ * with nested rules. Both scanners tolerate unfinished documents and
+ * report the same symbol shape as TypeChecker#getDocumentSymbols.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  /**
+   * Kinds of markup symbols
+   * @enum {string}
+   */
+  var MarkupSymbolKind = Object.freeze({
+    ELEMENT: 'element',
+    RULE: 'rule',
+    AT_RULE: 'atRule'
+  });
+
+  // Elements that never have content
+  var VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link',
+    'meta', 'param', 'source', 'track', 'wbr'
+  ]);
+
+  // Elements whose content is text up to their end tag
+  var RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+  // Open elements that an opening tag closes without an end tag
+  var IMPLICITLY_CLOSED = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    option: ['option'],
+    tr: ['tr', 'td', 'th'],
+    td: ['td', 'th'],
+    th: ['td', 'th']
+  };
+
+  // Opening tags that close an open paragraph
+  var CLOSES_PARAGRAPH = new Set([
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset',
+    'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+  ]);
+
+  var TAG_NAME = /[A-Za-z][A-Za-z0-9-]*/y;
+  var ATTRIBUTE = /\s*([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"?|'([^']*)'?|([^\s>]+)))?/y;
+
+  // ============================================
+  // HTML
+  // ============================================
+
+  /**
+   * Outline an HTML document as its element tree
+   * @param {string} source - HTML source
+   * @returns {Array<{name: string, kind: string, detail: string, start: number, end: number,
+   *   nameStart: number, nameEnd: number, children: Array}>} Top-level elements
+   */
+  function getHtmlSymbols(source) {
+    var root = { tag: null, children: [] };
+    var stack = [root];
+    var pos = 0;
+
+    var closeTop = function(end) {
+      var open = stack.pop();
+      open.symbol.end = end;
+    };
+
+    while (pos < source.length) {
+      var lt = source.indexOf('<', pos);
+      if (lt === -1) break;
+
+      // Comments, doctype and processing instructions
+      if (source.startsWith('<!--', lt)) {
+        pos = skipPast(source, '-->', lt + 4);
+        continue;
+      }
+      if (source.charAt(lt + 1) === '!' || source.charAt(lt + 1) === '?') {
+        pos = skipPast(source, '>', lt + 2);
+        continue;
+      }
+
+      // End tag: close up to the matching open element, if there is one
+      if (source.charAt(lt + 1) === '/') {
+        var closeName = matchAt(TAG_NAME, source, lt + 2);
+        var tagEnd = skipPast(source, '>', lt + 2);
+        if (closeName) {
+          var index = findOpen(stack, closeName.toLowerCase());
+          if (index !== -1) {
+            while (stack.length > index + 1) closeTop(lt);
+            closeTop(tagEnd);
+          }
+        }
+        pos = tagEnd;
+        continue;
+      }
+
+      var name = matchAt(TAG_NAME, source, lt + 1);
+      if (!name) {
+        pos = lt + 1;
+        continue;
+      }
+
+      var tag = name.toLowerCase();
+      var top = stack[stack.length - 1];
+      if ((IMPLICITLY_CLOSED[tag] && IMPLICITLY_CLOSED[tag].indexOf(top.tag) !== -1) ||
+          (top.tag === 'p' && CLOSES_PARAGRAPH.has(tag))) {
+        closeTop(lt);
+      }
+
+      var openTag = readAttributes(source, lt + 1 + name.length);
+      var symbol = {
+        name: describeElement(tag, openTag.attributes),
+        kind: MarkupSymbolKind.ELEMENT,
+        detail: '',
+        start: lt,
+        end: openTag.end,
+        nameStart: lt + 1,
+        nameEnd: lt + 1 + name.length,
+        children: []
+      };
+      stack[stack.length - 1].children.push(symbol);
+      pos = openTag.end;
+
+      if (openTag.selfClosing || VOID_ELEMENTS.has(tag)) continue;
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        var close = source.toLowerCase().indexOf('</' + tag, pos);
+        symbol.end = close === -1 ? source.length : skipPast(source, '>', close);
+        pos = symbol.end;
+        continue;
+      }
+
+      stack.push({ tag: tag, symbol: symbol, children: symbol.children });
+    }
+
+    while (stack.length > 1) closeTop(source.length);
+    return root.children;
+  }
+
+  /**
+   * Read the attributes of an opening tag
+   * @param {string} source - HTML source
+   * @param {number} pos - Offset after the tag name
+   * @returns {{attributes: Object<string, string>, selfClosing: boolean, end: number}}
+   */
+  function readAttributes(source, pos) {
+    var attributes = {};
+
+    while (pos < source.length) {
+      var char = source.charAt(pos);
+      if (char === '>') {
+        return { attributes: attributes, selfClosing: false, end: pos + 1 };
+      }
+      if (char === '/' && source.charAt(pos + 1) === '>') {
+        return { attributes: attributes, selfClosing: true, end: pos + 2 };
+      }
+      // An unfinished tag ends where the next one starts
+      if (char === '<') {
+        return { attributes: attributes, selfClosing: false, end: pos };
+      }
+
+      ATTRIBUTE.lastIndex = pos;
+      var match = ATTRIBUTE.exec(source);
+      if (!match || match[0].length === 0) {
+        pos++;
+        continue;
+      }
+
+      var value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+      attributes[match[1].toLowerCase()] = value || '';
+      pos += match[0].length;
+    }
+
+    return { attributes: attributes, selfClosing: false, end: source.length };
+  }
+
+  /**
+   * Label an element like a selector: tag#id.class
+   * @param {string} tag - Lowercase tag name
+   * @param {Object<string, string>} attributes
+   * @returns {string}
+   */
+  function describeElement(tag, attributes) {
+    var label = tag;
+    if (attributes.id) label += '#' + attributes.id;
+    if (attributes['class']) {
+      attributes['class'].trim().split(/\s+/).forEach(function(className) {
+        if (className) label += '.' + className;
+      });
+    }
+    return label;
+  }
+
+  function findOpen(stack, tag) {
+    for (var i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) return i;
+    }
+    return -1;
+  }
+
+  function matchAt(regex, source, pos) {
+    regex.lastIndex = pos;
+    var match = regex.exec(source);
+    return match ? match[0] : null;
+  }
+
+  function skipPast(source, text, pos) {
+    var index = source.indexOf(text, pos);
+    return index === -1 ? source.length : index + text.length;
+  }
+
+  // ============================================
+  // CSS
+  // ============================================
+
+  /**
+   * Outline a style sheet as its rules
+   * @param {string} source - CSS source
+   * @returns {Array<{name: string, kind: string, detail: string, start: number, end: number,
+   *   nameStart: number, nameEnd: number, children: Array}>} Top-level rules
+   */
+  function getCssSymbols(source) {
+    return readBlock(source, { pos: 0 }, false).symbols;
+  }
+
+  /**
+   * Read rules up to the `}` closing the current block, or the end of the
+   * source. Declarations between the rules are skipped.
+   * @param {string} source - CSS source
+   * @param {{pos: number}} state - Read position, advanced past the block
+   * @param {boolean} nested - Whether a `}` ends the block; at the top level it is stray
+   * @returns {{symbols: Object[], closed: boolean}}
+   */
+  function readBlock(source, state, nested) {
+    var symbols = [];
+
+    while (state.pos < source.length) {
+      var preludeStart = skipSpaceAndComments(source, state.pos);
+      var stop = findPreludeEnd(source, preludeStart);
+      var char = source.charAt(stop);
+      var prelude = trimRange(source, preludeStart, stop);
+
+      if (char === '}') {
+        state.pos = stop + 1;
+        if (nested) return { symbols: symbols, closed: true };
+        continue;
+      }
+
+      if (char === ';' || stop >= source.length) {
+        // Statement at-rules (@import, @charset) are listed, declarations are not
+        if (source.charAt(prelude.start) === '@') {
+          symbols.push(createRule(source, prelude, stop + 1, MarkupSymbolKind.AT_RULE));
+        }
+        state.pos = stop + 1;
+        continue;
+      }
+
+      // '{': a rule whose block may hold nested rules
+      var kind = source.charAt(prelude.start) === '@' ? MarkupSymbolKind.AT_RULE : MarkupSymbolKind.RULE;
+      state.pos = stop + 1;
+      var block = readBlock(source, state, true);
+      var symbol = createRule(source, prelude, block.closed ? state.pos : source.length, kind);
+      symbol.children = block.symbols;
+      symbols.push(symbol);
+    }
+
+    return { symbols: symbols, closed: false };
+  }
+
+  /**
+   * @param {string} source
+   * @param {{start: number, end: number}} prelude - Selector or at-rule range
+   * @param {number} end - End of the rule
+   * @param {string} kind - MarkupSymbolKind
+   * @returns {Object} Symbol
+   */
+  function createRule(source, prelude, end, kind) {
+    return {
+      name: source.slice(prelude.start, prelude.end).replace(/\s+/g, ' '),
+      kind: kind,
+      detail: '',
+      start: prelude.start,
+      end: Math.min(end, source.length),
+      nameStart: prelude.start,
+      nameEnd: prelude.end,
+      children: []
+    };
+  }
+
+  /**
+   * Find the `{`, `;` or `}` ending a selector, at-rule prelude or
+   * declaration, skipping strings and comments
+   * @param {string} source
+   * @param {number} pos
+   * @returns {number} Offset of the character, or the source length
+   */
+  function findPreludeEnd(source, pos) {
+    while (pos < source.length) {
+      var char = source.charAt(pos);
+
+      if (char === '{' || char === ';' || char === '}') return pos;
+
+      if (char === '"' || char === "'") {
+        pos = skipString(source, pos);
+      } else if (char === '/' && source.charAt(pos + 1) === '*') {
+        pos = skipPast(source, '*/', pos + 2);
+      } else {
+        pos++;
+      }
+    }
+    return source.length;
+  }
+
+  function skipString(source, pos) {
+    var quote = source.charAt(pos);
+    pos++;
+    while (pos < source.length) {
+      var char = source.charAt(pos);
+      if (char === '\\') {
+        pos += 2;
+      } else if (char === quote || char === '\n') {
+        return pos + 1;
+      } else {
+        pos++;
+      }
+    }
+    return pos;
+  }
+
+  function skipSpaceAndComments(source, pos) {
+    while (pos < source.length) {
+      if (/\s/.test(source.charAt(pos))) {
+        pos++;
+      } else if (source.charAt(pos) === '/' && source.charAt(pos + 1) === '*') {
+        pos = skipPast(source, '*/', pos + 2);
+      } else {
+        break;
+      }
+    }
+    return pos;
+  }
+
+  function trimRange(source, start, end) {
+    while (end > start && /\s/.test(source.charAt(end - 1))) end--;
+    return { start: start, end: end };
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.MarkupSymbolKind = MarkupSymbolKind;
+  CodeEditor.MarkupSymbols = Object.freeze({
+    getHtmlSymbols: getHtmlSymbols,
+    getCssSymbols: getCssSymbols
+  });
+
+})(window.CodeEditor = window.CodeEditor || {});
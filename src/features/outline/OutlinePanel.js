@@ -0,0 +1,610 @@
+/**
+ * OutlinePanel - Sidebar tree of the symbols in the active editor
+ *
+ * Shows the classes, methods, functions and top-level variables the type
+ * checker finds in JavaScript, the element tree of HTML and the rules of
+ * CSS. Symbols can be sorted by position, name or kind; clicking one
+ * selects its name in the editor, and with Follow Cursor the symbol
+ * around the cursor is highlighted as it moves.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  var MarkupSymbols = CodeEditor.MarkupSymbols;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  var REFRESH_DELAY = 300;
+
+  // Languages outlined by the type checker
+  var SCRIPT_LANGUAGES = ['javascript', 'typescript'];
+
+  var ICONS = {
+    expand: '<svg viewBox="0 0 16 16" width="12" height="12"><path fill="currentColor" d="M6 4l4 4-4 4"/></svg>',
+    collapse: '<svg viewBox="0 0 16 16" width="12" height="12"><path fill="currentColor" d="M4 6l4 4 4-4"/></svg>'
+  };
+
+  // Icon glyph per symbol kind
+  var KIND_ICONS = {
+    class: 'C',
+    constructor: 'ƒ',
+    method: 'ƒ',
+    function: 'ƒ',
+    getter: 'P',
+    setter: 'P',
+    property: 'P',
+    variable: 'V',
+    constant: '#',
+    element: '<>',
+    rule: '{}',
+    atRule: '@'
+  };
+
+  // Order of kinds when sorting by kind
+  var KIND_ORDER = [
+    'class', 'constructor', 'property', 'getter', 'setter', 'method', 'function',
+    'constant', 'variable', 'atRule', 'rule', 'element'
+  ];
+
+  // ============================================
+  // OutlinePanel Class
+  // ============================================
+
+  class OutlinePanel {
+    // ============================================
+    // Static Members
+    // ============================================
+
+    static SORT = {
+      POSITION: 'position',
+      NAME: 'name',
+      KIND: 'kind',
+    };
+
+    /**
+     * Ask for the symbols of the editor of a pane
+     * @param {EditorPane} pane - Pane showing a code tab
+     * @returns {Promise<Object[]|null>|Object[]|null} Symbol tree in source
+     *   order, or the type checker query for it; null when the language has
+     *   no outline
+     */
+    static requestSymbols(pane) {
+      var editor = pane.getEditor();
+      var source = editor.getValue();
+      var language = editor.getLanguage();
+
+      if (SCRIPT_LANGUAGES.indexOf(language) !== -1) {
+        return pane.getTypeChecker().getDocumentSymbols(source);
+      } else if (language === 'html') {
+        return MarkupSymbols.getHtmlSymbols(source);
+      } else if (language === 'css') {
+        return MarkupSymbols.getCssSymbols(source);
+      }
+      return null;
+    }
+
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _container = null;
+    _ide = null;
+    _splitContainer = null;
+    _isVisible = false;
+    _listeners = [];
+
+    // DOM Elements
+    _element = null;
+    _treeContainer = null;
+    _sortButtons = {};
+    _followButton = null;
+
+    // State
+    _symbols = [];
+    _sortMode = 'position';
+    _followCursor = true;
+    _collapsed = new Set();
+    _rows = new Map();
+    _activeRow = null;
+    _isUnsupported = false;
+    _isStale = true;
+    _refreshTimer = null;
+
+    // Outline being computed: the editor, its document version and the
+    // unanswered type checker query, if any
+    _pending = null;
+
+    // Editor the shown symbols were computed for
+    _editor = null;
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new OutlinePanel
+     * @param {HTMLElement} container - Container element
+     * @param {Object} options - Panel options
+     * @param {IDE} options.ide - IDE whose editor is revealed into
+     * @param {SplitContainer} options.splitContainer - Panes whose active editor is outlined
+     */
+    constructor(container, options) {
+      options = options || {};
+      this._container = container;
+      this._ide = options.ide || null;
+      this._splitContainer = options.splitContainer || null;
+
+      this._createDOM();
+      this._bindEvents();
+      this._render();
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Show the panel
+     */
+    show() {
+      this._element.style.display = 'flex';
+      this._isVisible = true;
+      if (this._isStale) {
+        this.refresh();
+      } else {
+        this._highlightCursorSymbol();
+      }
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+      this._element.style.display = 'none';
+      this._isVisible = false;
+    }
+
+    /**
+     * Check if panel is visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._isVisible;
+    }
+
+    /**
+     * Outline the active editor again
+     * @returns {Promise<void>} Resolves once the outline is shown
+     */
+    refresh() {
+      var self = this;
+
+      this._clearRefreshTimer();
+      this._cancelPending();
+      this._isStale = false;
+
+      var pane = this._splitContainer ? this._splitContainer.getActivePane() : null;
+      var tab = pane ? pane.getCurrentTab() : null;
+      if (!tab || tab.isImage()) {
+        this._showSymbols(null, []);
+        return Promise.resolve();
+      }
+
+      var editor = pane.getEditor();
+      var pending = { editor: editor, version: editor.document.version, checker: null, request: null };
+      this._pending = pending;
+
+      var symbols = OutlinePanel.requestSymbols(pane);
+      if (symbols === null) {
+        this._pending = null;
+        this._showSymbols(editor, null);
+        return Promise.resolve();
+      }
+      if (SCRIPT_LANGUAGES.indexOf(editor.getLanguage()) !== -1) {
+        pending.checker = pane.getTypeChecker();
+        pending.request = symbols;
+      }
+
+      return Promise.resolve(symbols).then(function(result) {
+        if (self._pending !== pending) return;
+        self._pending = null;
+
+        // Computed for text that has changed since; a newer refresh is scheduled
+        if (!result || editor.document.version !== pending.version) return;
+        self._showSymbols(editor, result);
+      }, function() {
+        if (self._pending === pending) self._pending = null;
+      });
+    }
+
+    /**
+     * Set how symbols are ordered
+     * @param {string} mode - One of OutlinePanel.SORT
+     */
+    setSortMode(mode) {
+      this._sortMode = mode;
+      for (var key in this._sortButtons) {
+        this._sortButtons[key].classList.toggle('active', key === mode);
+      }
+      this._render();
+    }
+
+    /**
+     * Get how symbols are ordered
+     * @returns {string} One of OutlinePanel.SORT
+     */
+    getSortMode() {
+      return this._sortMode;
+    }
+
+    /**
+     * Set whether the symbol around the cursor is highlighted
+     * @param {boolean} follow
+     */
+    setFollowCursor(follow) {
+      this._followCursor = follow;
+      this._followButton.classList.toggle('active', follow);
+      this._highlightCursorSymbol();
+    }
+
+    /**
+     * Check whether the symbol around the cursor is highlighted
+     * @returns {boolean}
+     */
+    isFollowingCursor() {
+      return this._followCursor;
+    }
+
+    /**
+     * Get the symbols shown
+     * @returns {Object[]} Symbol tree in source order
+     */
+    getSymbols() {
+      return this._symbols;
+    }
+
+    /**
+     * Dispose the panel
+     */
+    dispose() {
+      this._clearRefreshTimer();
+      this._cancelPending();
+
+      for (var i = 0; i < this._listeners.length; i++) {
+        this._listeners[i]();
+      }
+      this._listeners = [];
+
+      if (this._element && this._element.parentNode) {
+        this._element.parentNode.removeChild(this._element);
+      }
+    }
+
+    // ============================================
+    // Private Methods - DOM Creation
+    // ============================================
+
+    /**
+     * Create DOM structure
+     */
+    _createDOM() {
+      this._element = document.createElement('div');
+      this._element.className = 'ide-outline-panel';
+      this._element.style.display = 'none';
+
+      this._element.appendChild(this._createToolbar());
+
+      this._treeContainer = document.createElement('div');
+      this._treeContainer.className = 'ide-outline-tree';
+      this._element.appendChild(this._treeContainer);
+
+      this._container.appendChild(this._element);
+    }
+
+    /**
+     * Create the sort and follow cursor buttons
+     * @returns {HTMLElement}
+     */
+    _createToolbar() {
+      var self = this;
+      var toolbar = document.createElement('div');
+      toolbar.className = 'ide-outline-toolbar';
+
+      var sortLabels = {
+        position: 'Position',
+        name: 'Name',
+        kind: 'Kind',
+      };
+
+      Object.keys(sortLabels).forEach(function(mode) {
+        var btn = document.createElement('button');
+        btn.className = 'ide-outline-option' + (mode === self._sortMode ? ' active' : '');
+        btn.textContent = sortLabels[mode];
+        btn.title = 'Sort By: ' + sortLabels[mode];
+        btn.onclick = function() {
+          self.setSortMode(mode);
+        };
+        self._sortButtons[mode] = btn;
+        toolbar.appendChild(btn);
+      });
+
+      var spacer = document.createElement('div');
+      spacer.style.flex = '1';
+      toolbar.appendChild(spacer);
+
+      this._followButton = document.createElement('button');
+      this._followButton.className = 'ide-outline-option' + (this._followCursor ? ' active' : '');
+      this._followButton.textContent = 'Follow';
+      this._followButton.title = 'Follow Cursor';
+      this._followButton.onclick = function() {
+        self.setFollowCursor(!self._followCursor);
+      };
+      toolbar.appendChild(this._followButton);
+
+      return toolbar;
+    }
+
+    /**
+     * Bind event handlers
+     */
+    _bindEvents() {
+      var self = this;
+      if (!this._splitContainer) return;
+
+      var scheduleRefresh = function() {
+        self._scheduleRefresh();
+      };
+
+      ['tabActivate', 'tabClose', 'contentChange', 'activePaneChanged', 'paneRemoved'].forEach(function(event) {
+        self._listeners.push(self._splitContainer.on(event, scheduleRefresh));
+      });
+
+      this._listeners.push(this._splitContainer.on('selectionChange', function() {
+        self._highlightCursorSymbol();
+      }));
+    }
+
+    // ============================================
+    // Private Methods - Refreshing
+    // ============================================
+
+    /**
+     * Refresh after edits settle; while hidden, only remember to
+     */
+    _scheduleRefresh() {
+      var self = this;
+
+      this._isStale = true;
+      if (!this._isVisible) return;
+
+      this._clearRefreshTimer();
+      this._refreshTimer = setTimeout(function() {
+        self._refreshTimer = null;
+        self.refresh();
+      }, REFRESH_DELAY);
+    }
+
+    _clearRefreshTimer() {
+      if (this._refreshTimer) {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = null;
+      }
+    }
+
+    _cancelPending() {
+      var pending = this._pending;
+      if (pending && pending.request && pending.checker.cancel) {
+        pending.checker.cancel(pending.request);
+      }
+      this._pending = null;
+    }
+
+    /**
+     * @param {Editor|null} editor - Outlined editor
+     * @param {Object[]|null} symbols - Symbols, or null when the language has no outline
+     */
+    _showSymbols(editor, symbols) {
+      this._editor = editor;
+      this._symbols = symbols || [];
+      this._isUnsupported = symbols === null && editor !== null;
+      this._render();
+    }
+
+    // ============================================
+    // Private Methods - Rendering
+    // ============================================
+
+    /**
+     * Render the symbol tree
+     */
+    _render() {
+      this._treeContainer.innerHTML = '';
+      this._rows = new Map();
+      this._activeRow = null;
+
+      if (this._symbols.length === 0) {
+        var empty = document.createElement('div');
+        empty.className = 'ide-outline-empty';
+        empty.textContent = !this._editor ? 'No editor is open.' :
+          this._isUnsupported ? 'The active editor cannot provide outline information.' :
+          'No symbols found in document.';
+        this._treeContainer.appendChild(empty);
+        return;
+      }
+
+      this._renderSymbols(this._symbols, this._treeContainer, 0, '');
+      this._highlightCursorSymbol();
+    }
+
+    /**
+     * Render symbols and their expanded children
+     * @param {Object[]} symbols - Symbols to render
+     * @param {HTMLElement} parent - Element to append rows to
+     * @param {number} depth - Nesting level
+     * @param {string} parentKey - Key of the parent symbol
+     */
+    _renderSymbols(symbols, parent, depth, parentKey) {
+      var self = this;
+
+      this._sortSymbols(symbols).forEach(function(symbol) {
+        var key = parentKey + '/' + symbol.kind + ':' + symbol.name;
+        var row = self._renderSymbol(symbol, depth, key);
+        parent.appendChild(row);
+        self._rows.set(symbol, row);
+
+        if (symbol.children.length > 0 && !self._collapsed.has(key)) {
+          self._renderSymbols(symbol.children, parent, depth + 1, key);
+        }
+      });
+    }
+
+    /**
+     * Render a single symbol row
+     * @param {Object} symbol - Symbol
+     * @param {number} depth - Nesting level
+     * @param {string} key - Key remembering whether the symbol is collapsed
+     * @returns {HTMLElement}
+     */
+    _renderSymbol(symbol, depth, key) {
+      var self = this;
+      var el = document.createElement('div');
+      el.className = 'ide-outline-item';
+      el.style.paddingLeft = (8 + depth * 12) + 'px';
+      el.title = symbol.detail ? symbol.name + ': ' + symbol.detail : symbol.name;
+
+      var toggle = document.createElement('span');
+      toggle.className = 'ide-outline-toggle';
+      if (symbol.children.length > 0) {
+        toggle.innerHTML = this._collapsed.has(key) ? ICONS.expand : ICONS.collapse;
+        toggle.onclick = function(e) {
+          e.stopPropagation();
+          if (self._collapsed.has(key)) {
+            self._collapsed.delete(key);
+          } else {
+            self._collapsed.add(key);
+          }
+          self._render();
+        };
+      }
+      el.appendChild(toggle);
+
+      var icon = document.createElement('span');
+      icon.className = 'ide-outline-icon ide-outline-icon-' + symbol.kind;
+      icon.textContent = KIND_ICONS[symbol.kind] || '•';
+      el.appendChild(icon);
+
+      var name = document.createElement('span');
+      name.className = 'ide-outline-name';
+      name.textContent = symbol.name;
+      el.appendChild(name);
+
+      if (symbol.detail) {
+        var detail = document.createElement('span');
+        detail.className = 'ide-outline-detail';
+        detail.textContent = symbol.detail;
+        el.appendChild(detail);
+      }
+
+      el.onclick = function() {
+        self._revealSymbol(symbol);
+      };
+
+      return el;
+    }
+
+    /**
+     * Order symbols by the sort mode
+     * @param {Object[]} symbols - Symbols in source order
+     * @returns {Object[]} Sorted copy
+     */
+    _sortSymbols(symbols) {
+      var sorted = symbols.slice();
+
+      if (this._sortMode === OutlinePanel.SORT.NAME) {
+        sorted.sort(function(a, b) {
+          return a.name.localeCompare(b.name) || a.start - b.start;
+        });
+      } else if (this._sortMode === OutlinePanel.SORT.KIND) {
+        sorted.sort(function(a, b) {
+          return KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) || a.start - b.start;
+        });
+      } else {
+        sorted.sort(function(a, b) {
+          return a.start - b.start;
+        });
+      }
+
+      return sorted;
+    }
+
+    // ============================================
+    // Private Methods - Navigation
+    // ============================================
+
+    /**
+     * Select the name of a symbol in the editor it was found in
+     * @param {Object} symbol - Symbol
+     */
+    _revealSymbol(symbol) {
+      var editor = this._editor;
+      if (!editor || !this._splitContainer || this._splitContainer.getEditor() !== editor) return;
+
+      var length = editor.document.getLength();
+      editor.setSelection(Math.min(symbol.nameStart, length), Math.min(symbol.nameEnd, length));
+      if (this._ide) {
+        this._ide.focusEditor();
+      } else {
+        editor.focus();
+      }
+    }
+
+    /**
+     * Highlight the innermost shown symbol around the cursor
+     */
+    _highlightCursorSymbol() {
+      if (this._activeRow) {
+        this._activeRow.classList.remove('active');
+        this._activeRow = null;
+      }
+
+      var editor = this._editor;
+      if (!this._isVisible || !this._followCursor || !editor || !this._splitContainer || this._splitContainer.getEditor() !== editor) {
+        return;
+      }
+
+      var offset = editor.getSelection().end;
+      var row = null;
+      var symbols = this._symbols;
+
+      // Descend while a shown child contains the cursor
+      while (symbols.length > 0) {
+        var found = null;
+        for (var i = 0; i < symbols.length; i++) {
+          if (symbols[i].start <= offset && offset <= symbols[i].end && this._rows.has(symbols[i])) {
+            found = symbols[i];
+          }
+        }
+        if (!found) break;
+
+        row = this._rows.get(found);
+        symbols = found.children;
+      }
+
+      if (row) {
+        row.classList.add('active');
+        this._activeRow = row;
+        if (row.scrollIntoView) row.scrollIntoView({ block: 'nearest' });
+      }
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.IDE = CodeEditor.IDE || {};
+  CodeEditor.IDE.OutlinePanel = OutlinePanel;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,514 @@
+/**
+ * QuickOpen - Find a file of the workspace by name
+ *
+ * Lists the files of the open folder in a quick pick, loading the folders
+ * the explorer has not expanded yet. Typing filters them by fuzzy match on
+ * their path, preferring file names and the recently opened files. A
+ * ':line:column' suffix opens the file at that position, and text starting
+ * with '@' lists the symbols of the active editor instead.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  var FuzzyMatch = CodeEditor.FuzzyMatch;
+  var OutlinePanel = CodeEditor.IDE.OutlinePanel;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Files remembered as recently opened
+  var MAX_RECENT = 50;
+
+  // Added to the score of recently opened files
+  var BONUS_RECENT = 5;
+
+  // Folders never listed, too large to load and not edited by hand
+  var EXCLUDED_FOLDERS = ['.git', 'node_modules'];
+
+  // Text starting a symbol search
+  var SYMBOL_PREFIX = '@';
+
+  // 'path:line' or 'path:line:column'
+  var POSITION_PATTERN = /^(.*?):(\d+)(?::(\d+))?\s*$/;
+
+  class QuickOpen {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _quickPick = null;
+    _ide = null;
+    _workspaceService = null;
+    _fileService = null;
+    _splitContainer = null;
+    _listeners = new Map();
+    _subscriptions = [];
+
+    // Paths, most recently opened first
+    _recent = [];
+
+    // Loading of the folders not loaded yet, while running
+    _loading = null;
+
+    // Symbols of the active editor: the editor, its document version, and
+    // the symbols or null when its language has none
+    _symbolCache = null;
+    _symbolRequest = null;
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new QuickOpen
+     * @param {Object} options - QuickOpen options
+     * @param {QuickPick} options.quickPick - List to show the files in
+     * @param {IDE} options.ide - IDE opening the files
+     * @param {WorkspaceService} options.workspaceService - Folder and tabs
+     * @param {FileService} options.fileService - Loads the folders
+     * @param {SplitContainer} options.splitContainer - Panes whose active editor has the symbols
+     */
+    constructor(options) {
+      this._quickPick = options.quickPick;
+      this._ide = options.ide;
+      this._workspaceService = options.workspaceService;
+      this._fileService = options.fileService;
+      this._splitContainer = options.splitContainer;
+
+      this._bindEvents();
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Show the file list
+     * @param {string} [value] - Text typed initially, e.g. '@' for the symbols
+     */
+    show(value) {
+      var self = this;
+      this._loadFolders();
+      this._quickPick.show({
+        placeholder: 'Search files by name (append :line to go to a line or start with @ to go to a symbol)',
+        value: value || '',
+        emptyText: function(query) {
+          return self._getEmptyText(query);
+        },
+        getItems: function(query) {
+          return self._isSymbolQuery(query) ? self._getSymbolItems(query) : self._getFileItems(query);
+        },
+        onAccept: function(item) {
+          if (item.symbol) {
+            self._revealSymbol(item);
+          } else {
+            self._openFile(item);
+          }
+        },
+      });
+    }
+
+    /**
+     * Check if the file list is showing
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._quickPick.isVisible();
+    }
+
+    /**
+     * Get the files opened most recently
+     * @returns {Array<string>} Paths, most recent first
+     */
+    getRecent() {
+      return this._recent.slice();
+    }
+
+    /**
+     * Dispose the quick open
+     */
+    dispose() {
+      this._subscriptions.forEach(function(unsubscribe) {
+        unsubscribe();
+      });
+      this._subscriptions = [];
+      this._listeners.clear();
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    /**
+     * Subscribe to an event ('error')
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self._listeners.get(event).delete(callback);
+      };
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    /**
+     * Emit an event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(callback) {
+          callback(data);
+        });
+      }
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Keep the recently opened files up to date
+     */
+    _bindEvents() {
+      var self = this;
+      var workspace = this._workspaceService;
+
+      this._subscriptions.push(workspace.on('tabActivated', function(data) {
+        if (!data.tab) return;
+        self._removeRecent(data.tab.path);
+        self._recent.unshift(data.tab.path);
+        if (self._recent.length > MAX_RECENT) self._recent.pop();
+      }));
+
+      this._subscriptions.push(workspace.on('tabRenamed', function(data) {
+        var index = self._recent.indexOf(data.oldPath);
+        if (index !== -1) self._recent[index] = data.tab.path;
+      }));
+
+      this._subscriptions.push(workspace.on('rootChanged', function() {
+        self._recent = [];
+      }));
+    }
+
+    /**
+     * Forget a recently opened file
+     * @param {string} path - File path
+     */
+    _removeRecent(path) {
+      var index = this._recent.indexOf(path);
+      if (index !== -1) this._recent.splice(index, 1);
+    }
+
+    /**
+     * Get the text shown when nothing matches
+     * @param {string} query - Text typed
+     * @returns {string}
+     */
+    _getEmptyText(query) {
+      if (!this._isSymbolQuery(query)) {
+        if (!this._workspaceService.getRootFolder()) return 'Open a folder to search its files';
+        return this._loading ? 'Loading files...' : 'No matching files';
+      }
+
+      var cache = this._symbolCache;
+      if (!this._getCodePane()) return 'No editor is open';
+      if (!cache) return 'Loading symbols...';
+      if (cache.symbols === null) return 'The active editor cannot provide symbols';
+      return 'No matching symbols';
+    }
+
+    /**
+     * Check if typed text searches the symbols
+     * @param {string} query - Text typed
+     * @returns {boolean}
+     */
+    _isSymbolQuery(query) {
+      return query.charAt(0) === SYMBOL_PREFIX;
+    }
+
+    // ============================================
+    // Private Methods - Files
+    // ============================================
+
+    /**
+     * Load the folders of the workspace not loaded yet, then list their files
+     * @returns {Promise<void>}
+     */
+    _loadFolders() {
+      var self = this;
+      if (this._loading) return this._loading;
+
+      var root = this._workspaceService.getRootFolder();
+      if (!root) return Promise.resolve();
+
+      this._loading = (async function() {
+        var folders = [root];
+        while (folders.length > 0) {
+          var folder = folders.shift();
+          if (!folder.loaded && folder.handle) {
+            await self._fileService.loadDirectoryContents(folder);
+            folder.loaded = true;
+          }
+          folder.children.forEach(function(child) {
+            if (child.isDirectory && EXCLUDED_FOLDERS.indexOf(child.name) === -1) {
+              folders.push(child);
+            }
+          });
+        }
+      })().catch(function(err) {
+        console.error('Failed to list the workspace files:', err);
+        self._emit('error', { message: 'Failed to list the workspace files', error: err });
+      }).then(function() {
+        self._loading = null;
+        if (self._quickPick.isVisible()) self._quickPick.update();
+      });
+
+      return this._loading;
+    }
+
+    /**
+     * Get the files loaded so far
+     * @returns {Array<FileNode>}
+     */
+    _getFiles() {
+      var files = [];
+      var root = this._workspaceService.getRootFolder();
+
+      var collect = function(node) {
+        node.children.forEach(function(child) {
+          if (child.isFile) {
+            files.push(child);
+          } else if (child.loaded && EXCLUDED_FOLDERS.indexOf(child.name) === -1) {
+            collect(child);
+          }
+        });
+      };
+      if (root) collect(root);
+
+      return files;
+    }
+
+    /**
+     * Get the files matching the text typed, best first
+     * @param {string} query - Text typed, optionally ending in ':line:column'
+     * @returns {Array<Object>} Quick pick items
+     */
+    _getFileItems(query) {
+      var root = this._workspaceService.getRootFolder();
+      if (!root) return [];
+
+      var position = POSITION_PATTERN.exec(query);
+      var pattern = position ? position[1] : query;
+      var recent = this._recent;
+      var prefixLength = root.path.length + 1;
+      var items = [];
+
+      this._getFiles().forEach(function(node) {
+        // Match the path inside the folder, not the folder's own name
+        var relativePath = node.path.slice(prefixLength);
+        var match = FuzzyMatch.matchPath(pattern, relativePath);
+        if (!match) return;
+
+        var nameStart = relativePath.length - node.name.length;
+        var recentIndex = recent.indexOf(node.path);
+        items.push({
+          label: node.name,
+          labelMatches: match.matches.filter(function(index) { return index >= nameStart; })
+            .map(function(index) { return index - nameStart; }),
+          description: relativePath.slice(0, Math.max(nameStart - 1, 0)),
+          descriptionMatches: match.matches.filter(function(index) { return index < nameStart - 1; }),
+          node: node,
+          line: position ? Number(position[2]) : null,
+          column: position && position[3] ? Number(position[3]) : null,
+          score: match.score + (recentIndex !== -1 ? BONUS_RECENT : 0),
+          recentIndex: recentIndex,
+        });
+      });
+
+      // Among equal scores the more recent, then the shorter path
+      var byRecent = function(a, b) {
+        if (a.recentIndex === -1) return b.recentIndex === -1 ? 0 : 1;
+        if (b.recentIndex === -1) return -1;
+        return a.recentIndex - b.recentIndex;
+      };
+      var byPath = function(a, b) {
+        return a.node.path.length - b.node.path.length || a.node.path.localeCompare(b.node.path);
+      };
+
+      if (pattern.trim()) {
+        items.sort(function(a, b) {
+          return b.score - a.score || byRecent(a, b) || byPath(a, b);
+        });
+      } else {
+        items.sort(function(a, b) {
+          return byRecent(a, b) || byPath(a, b);
+        });
+
+        var firstOther = items.findIndex(function(item) { return item.recentIndex === -1; });
+        if (firstOther !== 0 && items.length > 0) {
+          items[0].group = 'recently opened';
+          if (firstOther > 0) items[firstOther].group = 'files';
+        }
+      }
+
+      return items;
+    }
+
+    /**
+     * Open a picked file, at the line typed if any
+     * @param {Object} item - Quick pick item of the file
+     */
+    async _openFile(item) {
+      var path = item.node.path;
+      await this._ide.openFile(path, item.node);
+
+      var pane = this._getCodePane();
+      if (!pane || pane.getCurrentTab().path !== path) return;
+
+      if (item.line !== null) {
+        pane.getEditor().setCursorPosition(item.line - 1, item.column !== null ? item.column - 1 : 0);
+      }
+      this._ide.focusEditor();
+    }
+
+    // ============================================
+    // Private Methods - Symbols
+    // ============================================
+
+    /**
+     * Get the active pane if it shows a code tab
+     * @returns {EditorPane|null}
+     */
+    _getCodePane() {
+      var pane = this._splitContainer.getActivePane();
+      var tab = pane ? pane.getCurrentTab() : null;
+      return tab && !tab.isImage() ? pane : null;
+    }
+
+    /**
+     * Get the symbols of the active editor matching the text typed; asks
+     * for them and lists them once answered if not known yet
+     * @param {string} query - Text typed, starting with '@'
+     * @returns {Array<Object>} Quick pick items
+     */
+    _getSymbolItems(query) {
+      var pane = this._getCodePane();
+      if (!pane) return [];
+
+      var editor = pane.getEditor();
+      var cache = this._symbolCache;
+      if (!cache || cache.editor !== editor || cache.version !== editor.document.version) {
+        this._symbolCache = null;
+        this._requestSymbols(pane);
+        return [];
+      }
+      if (cache.symbols === null) return [];
+
+      var pattern = query.slice(SYMBOL_PREFIX.length);
+      var items = [];
+
+      var collect = function(symbols, container) {
+        symbols.forEach(function(symbol) {
+          var match = FuzzyMatch.match(pattern, symbol.name);
+          if (match) {
+            items.push({
+              label: symbol.name,
+              labelMatches: match.matches,
+              description: container,
+              symbol: symbol,
+              editor: editor,
+              score: match.score,
+            });
+          }
+          collect(symbol.children || [], container ? container + '.' + symbol.name : symbol.name);
+        });
+      };
+      collect(cache.symbols, '');
+
+      items.sort(function(a, b) {
+        return b.score - a.score || a.symbol.start - b.symbol.start;
+      });
+      return items;
+    }
+
+    /**
+     * Ask for the symbols of the editor of a pane, then list them
+     * @param {EditorPane} pane - Pane showing a code tab
+     */
+    _requestSymbols(pane) {
+      var self = this;
+      var editor = pane.getEditor();
+      var version = editor.document.version;
+      if (this._symbolRequest && this._symbolRequest.editor === editor && this._symbolRequest.version === version) {
+        return;
+      }
+
+      var symbols = OutlinePanel.requestSymbols(pane);
+      if (symbols === null) {
+        this._symbolCache = { editor: editor, version: version, symbols: null };
+        return;
+      }
+
+      var request = { editor: editor, version: version };
+      this._symbolRequest = request;
+
+      Promise.resolve(symbols).then(function(result) {
+        if (self._symbolRequest !== request) return;
+        self._symbolRequest = null;
+
+        // A cancelled query answers null; the next one lists the symbols
+        if (!result) return;
+        self._symbolCache = { editor: editor, version: version, symbols: result };
+
+        if (self._quickPick.isVisible() && self._isSymbolQuery(self._quickPick.getValue())) {
+          self._quickPick.update();
+        }
+      }, function(err) {
+        if (self._symbolRequest === request) self._symbolRequest = null;
+        console.error('Failed to get document symbols:', err);
+      });
+    }
+
+    /**
+     * Select the name of a picked symbol in its editor
+     * @param {Object} item - Quick pick item of the symbol
+     */
+    _revealSymbol(item) {
+      var editor = item.editor;
+      if (this._splitContainer.getEditor() !== editor) return;
+
+      var length = editor.document.getLength();
+      editor.setSelection(Math.min(item.symbol.nameStart, length), Math.min(item.symbol.nameEnd, length));
+      this._ide.focusEditor();
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.IDE = CodeEditor.IDE || {};
+  CodeEditor.IDE.QuickOpen = QuickOpen;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,242 @@
+/**
+ * BackupService - Background snapshots of unsaved buffers
+ *
+ * Every few seconds, writes the content of each dirty tab to IndexedDB and
+ * deletes the backups of files that were saved or closed since. The saved
+ * session already brings dirty tabs back after a normal reload; backups
+ * cover a crash, when the session may be older than the last edits.
+ *
+ * On launch, findRecoverable() reports the backups that hold changes not
+ * on disk and not in any open tab, with their differences from the file.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  // Get dependencies
+  var LineDiff = CodeEditor.LineDiff;
+
+  // Time between snapshots
+  var BACKUP_INTERVAL_MS = 5000;
+
+  class BackupService {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _store = null;
+    _workspaceService = null;
+    _splitContainer = null;
+    _timer = null;
+
+    // Path -> content of the backups written by this session
+    _written = new Map();
+
+    // Paths of backups found on launch that the user has not decided on;
+    // their tabs are not backed up so the snapshot survives until then
+    _pending = new Set();
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new BackupService
+     * @param {Object} options - BackupService options
+     * @param {SessionStore} options.store - Where backups are kept
+     * @param {WorkspaceService} options.workspaceService - Reads files on disk
+     * @param {SplitContainer} options.splitContainer - Panes whose tabs are backed up
+     */
+    constructor(options) {
+      this._store = options.store;
+      this._workspaceService = options.workspaceService;
+      this._splitContainer = options.splitContainer;
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Start taking snapshots
+     */
+    start() {
+      var self = this;
+      if (this._timer) return;
+
+      this._timer = setInterval(function() {
+        self.backup();
+      }, BACKUP_INTERVAL_MS);
+    }
+
+    /**
+     * Stop taking snapshots
+     */
+    stop() {
+      if (this._timer) {
+        clearInterval(this._timer);
+        this._timer = null;
+      }
+    }
+
+    /**
+     * Snapshot dirty tabs now, and delete the backups of tabs that are
+     * clean or closed
+     * @returns {Promise<void>}
+     */
+    async backup() {
+      var dirty = this._getDirtyTabs();
+
+      try {
+        for (var [path, tab] of dirty) {
+          if (this._pending.has(path) || this._written.get(path) === tab.content) continue;
+
+          await this._store.saveBackup({
+            path: path,
+            content: tab.content,
+            originalContent: tab.originalContent,
+            language: tab.language,
+            timestamp: Date.now(),
+          });
+          this._written.set(path, tab.content);
+        }
+
+        for (var written of Array.from(this._written.keys())) {
+          if (!dirty.has(written)) {
+            await this._store.deleteBackup(written);
+            this._written.delete(written);
+          }
+        }
+      } catch (err) {
+        console.error('Failed to back up unsaved changes:', err);
+      }
+    }
+
+    /**
+     * Find the backups left by a session that ended without saving, such
+     * as one that crashed. Backups matching the file on disk are deleted;
+     * those matching an open tab are kept up to date from then on.
+     * @returns {Promise<Array<{path: string, backup: Object, diskContent: string|null,
+     *   changes: Array<Object>, removed: number, added: number}>>}
+     *   Backups to recover; diskContent is null when the file is gone
+     */
+    async findRecoverable() {
+      var backups = await this._store.loadBackups();
+      var dirty = this._getDirtyTabs();
+      var items = [];
+
+      for (var i = 0; i < backups.length; i++) {
+        var backup = backups[i];
+        var tab = this._findTab(backup.path);
+
+        if (tab && tab.content === backup.content) {
+          // Restored with the session; back it up like any dirty tab
+          if (dirty.has(backup.path)) {
+            this._written.set(backup.path, backup.content);
+          } else {
+            await this._store.deleteBackup(backup.path);
+          }
+          continue;
+        }
+
+        var diskContent = tab ? tab.originalContent : null;
+        if (!tab) {
+          var fileData = await this._workspaceService.readFileAtPath(backup.path);
+          diskContent = fileData ? fileData.content : null;
+        }
+
+        if (diskContent === backup.content) {
+          await this._store.deleteBackup(backup.path);
+          continue;
+        }
+
+        var changes = LineDiff.compute(diskContent === null ? '' : diskContent, backup.content);
+        var counts = LineDiff.countLines(changes);
+        this._pending.add(backup.path);
+        items.push({
+          path: backup.path,
+          backup: backup,
+          diskContent: diskContent,
+          changes: changes,
+          removed: counts.removed,
+          added: counts.added,
+        });
+      }
+
+      return items;
+    }
+
+    /**
+     * Stop holding a recovered backup back: its tab now has the content
+     * worth keeping, and is backed up from the next snapshot
+     * @param {string} path - File path
+     */
+    resolve(path) {
+      this._pending.delete(path);
+    }
+
+    /**
+     * Delete a backup the user does not want to recover
+     * @param {string} path - File path
+     * @returns {Promise<void>}
+     */
+    async discard(path) {
+      this._pending.delete(path);
+      this._written.delete(path);
+      try {
+        await this._store.deleteBackup(path);
+      } catch (err) {
+        console.error('Failed to delete backup:', err);
+      }
+    }
+
+    /**
+     * Dispose the service
+     */
+    dispose() {
+      this.stop();
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Collect the dirty code tabs of all panes, one per path
+     * @returns {Map<string, Tab>}
+     */
+    _getDirtyTabs() {
+      var dirty = new Map();
+      this._splitContainer.getPanes().forEach(function(pane) {
+        pane.getTabBar().getAllTabs().forEach(function(tab) {
+          if (tab.isDirty && !tab.isImage() && tab.path && !dirty.has(tab.path)) {
+            dirty.set(tab.path, tab);
+          }
+        });
+      });
+      return dirty;
+    }
+
+    /**
+     * Find an open tab of a file
+     * @param {string} path - File path
+     * @returns {Tab|null}
+     */
+    _findTab(path) {
+      var panes = this._splitContainer.getPanes();
+      for (var i = 0; i < panes.length; i++) {
+        var tabs = panes[i].getTabBar().getAllTabs();
+        for (var j = 0; j < tabs.length; j++) {
+          if (tabs[j].path === path) return tabs[j];
+        }
+      }
+      return null;
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.BackupService = BackupService;
+
+})(window.CodeEditor = window.CodeEditor || {});
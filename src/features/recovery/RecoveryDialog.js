@@ -0,0 +1,249 @@
+/**
+ * RecoveryDialog - Prompt for backups of unsaved changes found on launch
+ *
+ * Lists each backed up file with how its backup differs from the file on
+ * disk, and offers to restore the backup into the file's tab, discard it,
+ * or open it beside the file on disk to compare. Closing the dialog leaves
+ * the remaining backups for the next launch.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  class RecoveryDialog {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _items = [];
+    _onRestore = null;
+    _onDiscard = null;
+    _onCompare = null;
+    _onClose = null;
+
+    // DOM Elements
+    _overlay = null;
+    _list = null;
+    _elements = new Map(); // item -> row
+
+    // Bound event handlers
+    _boundHandleKeyDown = null;
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new RecoveryDialog
+     * @param {Array<Object>} items - Recoverable backups, from BackupService#findRecoverable
+     * @param {Object} callbacks - Called with an item when the user decides on it
+     * @param {Function} callbacks.onRestore - Restore the backup into the file's tab
+     * @param {Function} callbacks.onDiscard - Delete the backup
+     * @param {Function} callbacks.onCompare - Open the backup beside the file on disk
+     * @param {Function} callbacks.onClose - Called once the dialog is closed
+     */
+    constructor(items, callbacks) {
+      callbacks = callbacks || {};
+      this._items = items.slice();
+      this._onRestore = callbacks.onRestore || function() {};
+      this._onDiscard = callbacks.onDiscard || function() {};
+      this._onCompare = callbacks.onCompare || function() {};
+      this._onClose = callbacks.onClose || function() {};
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Show the dialog
+     */
+    show() {
+      var self = this;
+      if (this._overlay) return;
+
+      this._createDOM();
+      document.body.appendChild(this._overlay);
+
+      this._boundHandleKeyDown = function(e) {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          self.close();
+        }
+      };
+      document.addEventListener('keydown', this._boundHandleKeyDown);
+
+      var restoreBtn = this._overlay.querySelector('[data-action="restore"]');
+      if (restoreBtn) restoreBtn.focus();
+    }
+
+    /**
+     * Close the dialog, keeping the backups not decided on
+     */
+    close() {
+      if (!this._overlay) return;
+
+      document.removeEventListener('keydown', this._boundHandleKeyDown);
+      this._overlay.remove();
+      this._overlay = null;
+      this._onClose();
+    }
+
+    /**
+     * Check if the dialog is showing
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._overlay !== null;
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Create DOM structure
+     */
+    _createDOM() {
+      var self = this;
+
+      this._overlay = document.createElement('div');
+      this._overlay.className = 'ide-dialog-overlay';
+
+      var dialog = document.createElement('div');
+      dialog.className = 'ide-dialog ide-recovery-dialog';
+      dialog.innerHTML =
+        '<div class="ide-dialog-header">Recover Unsaved Changes</div>' +
+        '<div class="ide-dialog-content">' +
+        '<div class="ide-recovery-message">' +
+        'The editor closed before these files were saved. Their unsaved changes were backed up.' +
+        '</div>' +
+        '<div class="ide-recovery-list"></div>' +
+        '</div>' +
+        '<div class="ide-dialog-footer">' +
+        '<button class="ide-dialog-btn ide-dialog-btn-secondary" data-action="later">Decide Later</button>' +
+        '<button class="ide-dialog-btn ide-dialog-btn-primary" data-action="restore-all">Restore All</button>' +
+        '</div>';
+
+      this._list = dialog.querySelector('.ide-recovery-list');
+      this._items.forEach(function(item) {
+        self._list.appendChild(self._renderItem(item));
+      });
+
+      dialog.querySelector('[data-action="later"]').onclick = function() {
+        self.close();
+      };
+      dialog.querySelector('[data-action="restore-all"]').onclick = function() {
+        self._items.slice().forEach(function(item) {
+          self._decide(item, 'restore');
+        });
+      };
+
+      this._overlay.appendChild(dialog);
+    }
+
+    /**
+     * Render one backed up file
+     * @param {Object} item - Recoverable backup
+     * @returns {HTMLElement}
+     */
+    _renderItem(item) {
+      var self = this;
+      var el = document.createElement('div');
+      el.className = 'ide-recovery-item';
+
+      var slash = item.path.lastIndexOf('/');
+
+      var info = document.createElement('div');
+      info.className = 'ide-recovery-info';
+
+      var name = document.createElement('span');
+      name.className = 'ide-recovery-name';
+      name.textContent = item.path.slice(slash + 1);
+      info.appendChild(name);
+
+      var folder = document.createElement('span');
+      folder.className = 'ide-recovery-path';
+      folder.textContent = slash > 0 ? item.path.slice(0, slash) : '';
+      info.appendChild(folder);
+
+      var details = document.createElement('div');
+      details.className = 'ide-recovery-details';
+      details.textContent = this._describe(item);
+      info.appendChild(details);
+
+      el.appendChild(info);
+
+      [
+        { action: 'compare', label: 'Compare', primary: false },
+        { action: 'discard', label: 'Discard', primary: false },
+        { action: 'restore', label: 'Restore', primary: true },
+      ].forEach(function(button) {
+        var btn = document.createElement('button');
+        btn.className = 'ide-dialog-btn ' + (button.primary ? 'ide-dialog-btn-primary' : 'ide-dialog-btn-secondary');
+        btn.dataset.action = button.action;
+        btn.textContent = button.label;
+        btn.onclick = function() {
+          self._decide(item, button.action);
+        };
+        el.appendChild(btn);
+      });
+
+      this._elements.set(item, el);
+      return el;
+    }
+
+    /**
+     * Describe how a backup differs from the file on disk
+     * @param {Object} item - Recoverable backup
+     * @returns {string}
+     */
+    _describe(item) {
+      var parts = [];
+      if (item.added > 0) parts.push(item.added + (item.added === 1 ? ' line' : ' lines') + ' added');
+      if (item.removed > 0) parts.push(item.removed + (item.removed === 1 ? ' line' : ' lines') + ' removed');
+
+      if (item.diskContent === null) {
+        parts.push('file no longer on disk');
+      } else if (item.backup.originalContent !== item.diskContent) {
+        parts.push('file changed on disk since');
+      }
+
+      parts.push('backed up ' + new Date(item.backup.timestamp).toLocaleString());
+      return parts.join(', ');
+    }
+
+    /**
+     * Act on a decision and remove the file from the list
+     * @param {Object} item - Recoverable backup
+     * @param {string} action - 'restore', 'discard' or 'compare'
+     */
+    _decide(item, action) {
+      var index = this._items.indexOf(item);
+      if (index === -1) return;
+
+      this._items.splice(index, 1);
+      this._elements.get(item).remove();
+      this._elements.delete(item);
+
+      if (action === 'restore') {
+        this._onRestore(item);
+      } else if (action === 'discard') {
+        this._onDiscard(item);
+      } else {
+        this._onCompare(item);
+      }
+
+      if (this._items.length === 0) {
+        this.close();
+      }
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.IDE = CodeEditor.IDE || {};
+  CodeEditor.IDE.RecoveryDialog = RecoveryDialog;
+
+})(window.CodeEditor = window.CodeEditor || {});
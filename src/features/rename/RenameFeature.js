@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Rename feature - scope-aware rename of the symbol under the cursor
+ * @module features/rename/RenameFeature
+ *
+ * F2 asks the type checker for every occurrence of the symbol at the
+ * cursor and opens an input under it. Occurrences resolve through
+ * scopes and class types, so a shadowing variable in an inner scope or
+ * an unrelated property of the same name is left alone. The new name is
+ * written to all occurrences as one undoable edit.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var TypeChecker = CodeEditor.TypeChecker;
+  var RenameWidget = CodeEditor.RenameWidget;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  var IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+  // Words that cannot name a binding
+  var RESERVED_WORDS = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+    'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let',
+    'new', 'null', 'return', 'static', 'super', 'switch', 'this', 'throw',
+    'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+  ]);
+
+  // ============================================
+  // Class Definition
+  // ============================================
+
+  /**
+   * Rename symbol feature.
+   *
+   * @example
+   * var rename = new RenameFeature(editor, { typeChecker: typeChecker });
+   * rename.rename('total');
+   */
+  class RenameFeature {
+    // ----------------------------------------
+    // Commands
+    // ----------------------------------------
+
+    // Offered in the command palette, run with the feature of the active editor
+    static COMMANDS = [
+      {
+        id: 'editor.action.rename',
+        title: 'Rename Symbol',
+        category: 'Edit',
+        keybinding: 'F2',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          return feature.startRename();
+        },
+      },
+    ];
+
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+    _editor = null;
+    _enabled = true;
+    _languages = null;
+    _typeChecker = null;
+    _widget = null;
+
+    // Rename in progress: result of TypeChecker#getRenameLocations and the
+    // document version it was computed for
+    _session = null;
+
+    // Occurrences being looked up by _findLocations
+    _request = null;
+
+    // Bound event handlers
+    _boundHandleChange = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {Object} editor - Editor instance
+     * @param {Object} options - Configuration options
+     * @param {boolean} options.enabled - Whether rename is enabled (default: true)
+     * @param {string[]} options.languages - Languages to rename in (default: javascript, typescript)
+     * @param {TypeChecker|TypeCheckerProxy} options.typeChecker - Type checker to query (default: a new instance)
+     */
+    constructor(editor, options = {}) {
+      var self = this;
+
+      this._editor = editor;
+      this._enabled = options.enabled !== false;
+      this._languages = options.languages || ['javascript', 'typescript'];
+      this._typeChecker = options.typeChecker || TypeChecker.create();
+
+      this._widget = new RenameWidget(editor, {
+        onSubmit: function(newName) {
+          self._submit(newName);
+        },
+        onCancel: function() {
+          self.cancel();
+          self._editor.focus();
+        }
+      });
+
+      this._bindEvents();
+    }
+
+    // ----------------------------------------
+    // Event Binding
+    // ----------------------------------------
+
+    _bindEvents() {
+      var self = this;
+
+      // The occurrences were found in the text as it was
+      this._boundHandleChange = function() {
+        self.cancel();
+      };
+      this._editor.on('change', this._boundHandleChange);
+    }
+
+    // ----------------------------------------
+    // Rename Logic
+    // ----------------------------------------
+
+    _isActive() {
+      return this._enabled && this._languages.indexOf(this._editor.getLanguage()) !== -1;
+    }
+
+    _cancelRequest() {
+      if (this._request && this._typeChecker.cancel) {
+        this._typeChecker.cancel(this._request);
+      }
+      this._request = null;
+    }
+
+    /**
+     * Find the occurrences of the symbol at an offset
+     * @param {number} offset
+     * @returns {Promise<Object|null>} Result of TypeChecker#getRenameLocations with
+     *   the document version, or null when superseded or the document changed
+     */
+    _findLocations(offset) {
+      var self = this;
+      var version = this._editor.document.version;
+
+      this._cancelRequest();
+      var request = this._typeChecker.getRenameLocations(this._editor.getValue(), offset);
+      this._request = request;
+
+      return Promise.resolve(request).then(function(result) {
+        if (self._request !== request) return null;
+        self._request = null;
+        if (self._editor.document.version !== version) return null;
+        return { result: result, version: version };
+      }, function() {
+        if (self._request === request) self._request = null;
+        return null;
+      });
+    }
+
+    /**
+     * @param {string} newName - Name from the input
+     */
+    _submit(newName) {
+      var session = this._session;
+      if (!session) return;
+
+      var error = this.validateName(newName);
+      if (error) {
+        this._widget.showError(error);
+        return;
+      }
+
+      this._session = null;
+      this._widget.hide();
+      this._applyRename(session, newName);
+      this._editor.focus();
+    }
+
+    /**
+     * Write a new name to every occurrence as one undoable edit
+     * @param {Object} session - Rename session
+     * @param {string} newName - Valid identifier
+     * @returns {boolean} Whether the document changed
+     */
+    _applyRename(session, newName) {
+      var result = session.result;
+      if (newName === result.name || this._editor.document.version !== session.version) return false;
+
+      this._editor.applyEdits(result.locations.map(function(location) {
+        return {
+          start: location.start,
+          end: location.end,
+          text: location.prefixText + newName + location.suffixText
+        };
+      }), 'Rename');
+      return true;
+    }
+
+    // ----------------------------------------
+    // Public API
+    // ----------------------------------------
+
+    /**
+     * Open the rename input for the symbol at an offset
+     * @param {number} [offset] - Offset in the name (default: the cursor)
+     * @returns {Promise<boolean>} Whether the input opened
+     */
+    startRename(offset) {
+      if (!this._isActive()) return Promise.resolve(false);
+
+      var self = this;
+      var at = offset === undefined ? this._editor.getSelection().end : offset;
+
+      this.cancel();
+      return this._findLocations(at).then(function(found) {
+        if (!found || !self._editor) return false;
+
+        if (!found.result) {
+          self._widget.showMessage('You cannot rename this element.', at);
+          return false;
+        }
+
+        self._session = found;
+        self._widget.show(found.result.name, found.result.start);
+        return true;
+      });
+    }
+
+    /**
+     * Rename the symbol at an offset without asking for the name
+     * @param {string} newName - New name
+     * @param {number} [offset] - Offset in the name (default: the cursor)
+     * @returns {Promise<boolean>} Whether the document changed
+     */
+    rename(newName, offset) {
+      if (!this._isActive() || this.validateName(newName)) return Promise.resolve(false);
+
+      var self = this;
+      var at = offset === undefined ? this._editor.getSelection().end : offset;
+
+      this.cancel();
+      return this._findLocations(at).then(function(found) {
+        if (!found || !found.result || !self._editor) return false;
+        return self._applyRename(found, newName);
+      });
+    }
+
+    /**
+     * Check a new name
+     * @param {string} name - Entered name
+     * @returns {string|null} Why the name cannot be used, or null when it can
+     */
+    validateName(name) {
+      if (!IDENTIFIER.test(name)) {
+        return "'" + name + "' is not a valid identifier.";
+      }
+      if (RESERVED_WORDS.has(name)) {
+        return "'" + name + "' is a reserved word.";
+      }
+      return null;
+    }
+
+    /**
+     * Close the rename input without renaming
+     */
+    cancel() {
+      this._cancelRequest();
+      this._session = null;
+      if (this._widget.isVisible()) this._widget.hide();
+    }
+
+    /**
+     * Check if the rename input is open
+     * @returns {boolean}
+     */
+    isRenaming() {
+      return this._session !== null;
+    }
+
+    /**
+     * Enable rename
+     */
+    enable() {
+      this._enabled = true;
+    }
+
+    /**
+     * Disable rename and close the input
+     */
+    disable() {
+      this._enabled = false;
+      this.cancel();
+    }
+
+    /**
+     * Check if rename is enabled
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return this._enabled;
+    }
+
+    // ----------------------------------------
+    // Lifecycle
+    // ----------------------------------------
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+      this.cancel();
+      this._editor.off('change', this._boundHandleChange);
+      this._widget.dispose();
+
+      this._typeChecker = null;
+      this._editor = null;
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.Features = CodeEditor.Features || {};
+  CodeEditor.Features.Rename = RenameFeature;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Inline input for the new name of a renamed symbol
+ *
+ * Opens under the name being renamed, prefilled with it. Enter submits
+ * and Escape or leaving the input cancels, both through callbacks; a
+ * message row shows why a name was refused or a rename is not possible.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Gap between the renamed name and the input
+  var WIDGET_OFFSET_Y = 2;
+
+  // How long a message without an input stays up
+  var MESSAGE_DURATION_MS = 2500;
+
+  // ============================================
+  // RenameWidget Class
+  // ============================================
+
+  class RenameWidget {
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+
+    _editor = null;
+    _container = null;
+    _visible = false;
+    _anchorOffset = 0;
+    _messageTimer = null;
+    _unsubscribeViewport = null;
+
+    // DOM Elements
+    _input = null;
+    _message = null;
+
+    // Callbacks
+    _onSubmit = null;
+    _onCancel = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {Object} editor - Editor instance
+     * @param {Object} callbacks - Event callbacks
+     * @param {Function} callbacks.onSubmit - Called with the entered name on Enter
+     * @param {Function} callbacks.onCancel - Called on Escape or when the input loses focus
+     */
+    constructor(editor, callbacks) {
+      if (!callbacks) callbacks = {};
+
+      this._editor = editor;
+      this._onSubmit = callbacks.onSubmit || function() {};
+      this._onCancel = callbacks.onCancel || function() {};
+
+      this._createDOM();
+      this._bindEvents();
+    }
+
+    // ----------------------------------------
+    // DOM Creation
+    // ----------------------------------------
+
+    _createDOM() {
+      this._container = document.createElement('div');
+      this._container.className = 'ec-rename-widget';
+      this._container.style.display = 'none';
+
+      this._input = document.createElement('input');
+      this._input.type = 'text';
+      this._input.className = 'ec-rename-input';
+      this._input.spellcheck = false;
+      this._container.appendChild(this._input);
+
+      this._message = document.createElement('div');
+      this._message.className = 'ec-rename-message';
+      this._container.appendChild(this._message);
+
+      // Outside the content element so typing does not reach the editor's input handling
+      this._editor.view.container.appendChild(this._container);
+    }
+
+    // ----------------------------------------
+    // Event Binding
+    // ----------------------------------------
+
+    _bindEvents() {
+      var self = this;
+
+      this._input.addEventListener('keydown', function(e) {
+        e.stopPropagation();
+
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          self._onSubmit(self._input.value);
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          self._onCancel();
+        }
+      });
+
+      this._input.addEventListener('input', function() {
+        self._setMessage('');
+      });
+
+      this._input.addEventListener('blur', function() {
+        if (self._visible) self._onCancel();
+      });
+
+      this._unsubscribeViewport = this._editor.view.on('viewportChange', function() {
+        if (self._visible) self._position();
+      });
+    }
+
+    // ----------------------------------------
+    // Public Methods
+    // ----------------------------------------
+
+    /**
+     * Show the input under a name, with the name selected
+     * @param {string} name - Current name
+     * @param {number} offset - Start of the name
+     */
+    show(name, offset) {
+      this._clearMessageTimer();
+      this._anchorOffset = offset;
+      this._input.style.display = '';
+      this._input.value = name;
+      this._input.size = Math.max(name.length + 4, 16);
+      this._setMessage('');
+
+      this._container.style.display = 'block';
+      this._visible = true;
+      this._position();
+
+      this._input.focus();
+      this._input.select();
+    }
+
+    /**
+     * Show a message without an input, hiding after a moment
+     * @param {string} message - Message text
+     * @param {number} offset - Offset the message is about
+     */
+    showMessage(message, offset) {
+      var self = this;
+
+      this._clearMessageTimer();
+      this._anchorOffset = offset;
+      this._input.style.display = 'none';
+      this._setMessage(message);
+
+      this._container.style.display = 'block';
+      this._visible = true;
+      this._position();
+
+      this._messageTimer = setTimeout(function() {
+        self._messageTimer = null;
+        self.hide();
+      }, MESSAGE_DURATION_MS);
+    }
+
+    /**
+     * Show why the entered name cannot be used, keeping the input open
+     * @param {string} message - Message text
+     */
+    showError(message) {
+      this._setMessage(message, true);
+      this._input.focus();
+    }
+
+    /**
+     * Hide the widget
+     */
+    hide() {
+      this._clearMessageTimer();
+      this._visible = false;
+      this._container.style.display = 'none';
+    }
+
+    /**
+     * Check if the widget is shown
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._visible;
+    }
+
+    // ----------------------------------------
+    // Private Methods
+    // ----------------------------------------
+
+    _setMessage(message, isError) {
+      this._message.textContent = message;
+      this._message.className = isError ? 'ec-rename-message ec-rename-message-error' : 'ec-rename-message';
+      this._message.style.display = message ? 'block' : 'none';
+    }
+
+    _clearMessageTimer() {
+      if (this._messageTimer) {
+        clearTimeout(this._messageTimer);
+        this._messageTimer = null;
+      }
+    }
+
+    _position() {
+      var view = this._editor.view;
+      var anchorRect = view.getCharacterRect(this._anchorOffset);
+      var containerRect = view.container.getBoundingClientRect();
+
+      this._container.style.top = (anchorRect.bottom - containerRect.top + WIDGET_OFFSET_Y) + 'px';
+      this._container.style.left = Math.max(0, anchorRect.left - containerRect.left) + 'px';
+    }
+
+    // ----------------------------------------
+    // Lifecycle
+    // ----------------------------------------
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+      this._clearMessageTimer();
+      if (this._unsubscribeViewport) this._unsubscribeViewport();
+      if (this._container) this._container.remove();
+      this._container = null;
+      this._editor = null;
+    }
+  }
+
+  // ============================================
+  // Export to Namespace
+  // ============================================
+
+  CodeEditor.RenameWidget = RenameWidget;
+
+})(window.CodeEditor = window.CodeEditor || {});
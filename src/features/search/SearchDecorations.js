@@ -1,5 +1,8 @@
 /**
  * @fileoverview Search match decoration layer for highlighting search results
+ *
+ * Also highlights other ranges of the document, such as the references
+ * of a symbol, when created with its own class names.
  */
 
 (function(CodeEditor) {
@@ -15,8 +18,13 @@
     // ----------------------------------------
 
     _editor = null;
+    _className = 'ec-search-match';
+    _layerClassName = 'ec-search-decoration-layer';
     _layer = null;
     _decorations = [];
+    _matches = [];
+    _currentIndex = -1;
+    _unsubscribeViewport = null;
 
     // ----------------------------------------
     // Constructor
@@ -24,10 +32,21 @@
 
     /**
      * @param {Object} editor - Editor instance
+     * @param {Object} options - Configuration options
+     * @param {string} options.className - Class of each decoration; the current one adds `<className>-current`
+     * @param {string} options.layerClassName - Extra class of the layer element
      */
-    constructor(editor) {
+    constructor(editor, options = {}) {
+      var self = this;
       this._editor = editor;
+      if (options.className) this._className = options.className;
+      if (options.layerClassName) this._layerClassName = options.layerClassName;
       this._createLayer();
+
+      // Only matches in the rendered viewport get elements; refresh as it moves
+      this._unsubscribeViewport = editor.view.on('viewportChange', function() {
+        self._renderVisible();
+      });
     }
 
     // ----------------------------------------
@@ -36,7 +55,7 @@
 
     _createLayer() {
       this._layer = document.createElement('div');
-      this._layer.className = 'ec-decoration-layer ec-search-decoration-layer';
+      this._layer.className = 'ec-decoration-layer ' + this._layerClassName;
       this._editor.view.contentElement.appendChild(this._layer);
     }
 
@@ -45,24 +64,70 @@
     // ----------------------------------------
 
     /**
-     * Render all match decorations
-     * @param {Array} matches - Array of match objects {start, end, line}
+     * Render match decorations for the matches inside the viewport
+     * @param {Array} matches - Array of match objects {start, end, line}, sorted by start
      * @param {number} currentIndex - Index of current match (0-based)
      */
     render(matches, currentIndex) {
-      this.clear();
+      this._matches = matches || [];
+      this._currentIndex = currentIndex;
+      this._renderVisible();
+    }
 
-      if (!matches || matches.length === 0) {
+    /**
+     * Clear all decorations
+     */
+    clear() {
+      this._matches = [];
+      this._currentIndex = -1;
+      this._clearDecorations();
+    }
+
+    /**
+     * Scroll a match into view
+     * @param {Object} match - Match object {start, end, line}
+     */
+    scrollToMatch(match) {
+      if (!match) return;
+
+      var pos = this._editor.document.offsetToPosition(match.start);
+      this._editor.view.revealLine(pos.line);
+    }
+
+    // ----------------------------------------
+    // Private Methods
+    // ----------------------------------------
+
+    _renderVisible() {
+      this._clearDecorations();
+
+      var matches = this._matches;
+      if (matches.length === 0) {
         return;
       }
 
       var view = this._editor.view;
       var doc = this._editor.document;
       var padding = 10;
+      var range = view.getVisibleLineRange();
+      var rangeStart = doc.positionToOffset(range.startLine, 0);
+      var rangeEnd = doc.positionToOffset(range.endLine + 1, 0);
+
+      // Binary search for the first match ending inside the viewport
+      var low = 0;
+      var high = matches.length;
+      while (low < high) {
+        var mid = (low + high) >>> 1;
+        if (matches[mid].end < rangeStart) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
 
-      for (var i = 0; i < matches.length; i++) {
+      for (var i = low; i < matches.length && matches[i].start <= rangeEnd; i++) {
         var match = matches[i];
-        var isCurrent = i === currentIndex;
+        var isCurrent = i === this._currentIndex;
 
         var startPos = doc.offsetToPosition(match.start);
         var endPos = doc.offsetToPosition(match.end);
@@ -100,47 +165,20 @@
       }
     }
 
-    /**
-     * Clear all decorations
-     */
-    clear() {
+    _clearDecorations() {
       for (var i = 0; i < this._decorations.length; i++) {
         this._decorations[i].remove();
       }
       this._decorations = [];
     }
 
-    /**
-     * Scroll a match into view
-     * @param {Object} match - Match object {start, end, line}
-     */
-    scrollToMatch(match) {
-      if (!match) return;
-
-      var pos = this._editor.document.offsetToPosition(match.start);
-      var view = this._editor.view;
-
-      var scrollTop = view.contentElement.scrollTop;
-      var scrollHeight = view.contentElement.clientHeight;
-      var lineTop = pos.line * view.lineHeight;
-      var padding = view.lineHeight * 2;
-
-      if (lineTop < scrollTop + padding) {
-        view.contentElement.scrollTop = Math.max(0, lineTop - padding);
-      } else if (lineTop > scrollTop + scrollHeight - padding) {
-        view.contentElement.scrollTop = lineTop - scrollHeight + padding + view.lineHeight;
-      }
-    }
-
-    // ----------------------------------------
-    // Private Methods
-    // ----------------------------------------
-
     _createDecoration(line, column, length, isCurrent, padding, view) {
+      if (view.isLineHidden(line)) return;
+
       var decoration = document.createElement('div');
-      decoration.className = isCurrent ? 'ec-search-match ec-search-match-current' : 'ec-search-match';
+      decoration.className = isCurrent ? this._className + ' ' + this._className + '-current' : this._className;
 
-      decoration.style.top = (line * view.lineHeight + padding) + 'px';
+      decoration.style.top = (view.getLineTop(line) + padding) + 'px';
       decoration.style.left = (column * view.charWidth + padding) + 'px';
       decoration.style.width = (length * view.charWidth) + 'px';
       decoration.style.height = view.lineHeight + 'px';
@@ -158,6 +196,7 @@
      */
     dispose() {
       this.clear();
+      if (this._unsubscribeViewport) this._unsubscribeViewport();
       if (this._layer) this._layer.remove();
       this._editor = null;
     }
@@ -16,6 +16,64 @@
   // ============================================
 
   class SearchFeature {
+    // ----------------------------------------
+    // Commands
+    // ----------------------------------------
+
+    // Offered in the command palette, run with the feature of the active editor
+    static COMMANDS = [
+      {
+        id: 'actions.find',
+        title: 'Find',
+        category: 'Edit',
+        keybinding: 'Ctrl+F',
+        when: 'editorFocus',
+        run: function(feature) {
+          feature.openFind();
+        },
+      },
+      {
+        id: 'editor.action.startFindReplaceAction',
+        title: 'Replace',
+        category: 'Edit',
+        keybinding: 'Ctrl+H',
+        when: 'editorFocus',
+        run: function(feature) {
+          feature.openReplace();
+        },
+      },
+      {
+        id: 'editor.action.nextMatchFindAction',
+        title: 'Find Next',
+        category: 'Edit',
+        keybinding: 'F3',
+        when: 'editorFocus && findWidgetVisible',
+        run: function(feature) {
+          feature.findNext();
+        },
+      },
+      {
+        id: 'editor.action.previousMatchFindAction',
+        title: 'Find Previous',
+        category: 'Edit',
+        keybinding: 'Shift+F3',
+        when: 'editorFocus && findWidgetVisible',
+        run: function(feature) {
+          feature.findPrevious();
+        },
+      },
+      {
+        id: 'closeFindWidget',
+        title: 'Close Find',
+        category: 'Edit',
+        keybinding: 'Escape',
+        when: 'editorFocus && findWidgetVisible',
+        run: function(feature) {
+          feature.close();
+        },
+      },
+    ];
+
     // ----------------------------------------
     // Instance Properties
     // ----------------------------------------
@@ -28,7 +86,6 @@
     _isReplacing = false;
 
     // Bound event handlers
-    _boundHandleKeyDown = null;
     _boundHandleDocumentChange = null;
 
     // ----------------------------------------
@@ -80,12 +137,6 @@
     _bindEvents() {
       var self = this;
 
-      // Keyboard shortcuts (capture phase to intercept before editor)
-      this._boundHandleKeyDown = function(e) {
-        self._handleKeyDown(e);
-      };
-      this._editor.view.contentElement.addEventListener('keydown', this._boundHandleKeyDown, true);
-
       // Document changes - update match positions
       this._boundHandleDocumentChange = function() {
         self._handleDocumentChange();
@@ -93,53 +144,6 @@
       this._editor.document.on('change', this._boundHandleDocumentChange);
     }
 
-    // ----------------------------------------
-    // Keyboard Handling
-    // ----------------------------------------
-
-    _handleKeyDown(e) {
-      if (!this._enabled) return;
-
-      var isMac = navigator.platform.includes('Mac');
-      var modKey = isMac ? e.metaKey : e.ctrlKey;
-
-      // Ctrl/Cmd + F: Open Find
-      if (modKey && e.key === 'f') {
-        e.preventDefault();
-        e.stopPropagation();
-        this.openFind();
-        return;
-      }
-
-      // Ctrl/Cmd + H: Open Replace
-      if (modKey && e.key === 'h') {
-        e.preventDefault();
-        e.stopPropagation();
-        this.openReplace();
-        return;
-      }
-
-      // F3 / Shift+F3: Find Next/Previous (when widget is open)
-      if (e.key === 'F3' && this._widget.isVisible()) {
-        e.preventDefault();
-        e.stopPropagation();
-        if (e.shiftKey) {
-          this.findPrevious();
-        } else {
-          this.findNext();
-        }
-        return;
-      }
-
-      // Escape: Close widget
-      if (e.key === 'Escape' && this._widget.isVisible()) {
-        e.preventDefault();
-        e.stopPropagation();
-        this.close();
-        return;
-      }
-    }
-
     // ----------------------------------------
     // Search Handlers
     // ----------------------------------------
@@ -172,7 +176,10 @@
     }
 
     _handleReplace(replacement) {
-      var result = this._service.replace(replacement);
+      var self = this;
+      var result = this._editor.transact(function() {
+        return self._service.replace(replacement);
+      }, 'Replace');
       if (result) {
         this._updateUI();
         // Move to next match
@@ -184,8 +191,11 @@
 
     _handleReplaceAll(replacement) {
       // Temporarily disable document change handler during batch replace
+      var self = this;
       this._isReplacing = true;
-      var count = this._service.replaceAll(replacement);
+      this._editor.transact(function() {
+        self._service.replaceAll(replacement);
+      }, 'Replace All');
       this._isReplacing = false;
 
       // Update UI to show 0 matches remaining
@@ -332,10 +342,6 @@
      * Clean up resources
      */
     dispose() {
-      if (this._boundHandleKeyDown) {
-        this._editor.view.contentElement.removeEventListener('keydown', this._boundHandleKeyDown, true);
-      }
-
       if (this._boundHandleDocumentChange) {
         this._editor.document.off('change', this._boundHandleDocumentChange);
       }
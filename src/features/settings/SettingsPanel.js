@@ -0,0 +1,580 @@
+/**
+ * SettingsPanel - Sidebar editor of the user and workspace settings
+ *
+ * Lists every declared setting with a control for its value in the chosen
+ * settings file, user or workspace, and optionally for one language only.
+ * Changing a control writes the value into that file; a setting the file
+ * sets is marked as modified and can be reset to the value below it. The
+ * search box matches words of the title, key and description, and
+ * "@modified" keeps the settings the file sets.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  var FileNode = CodeEditor.FileNode;
+
+  // Search term keeping the settings the chosen file sets
+  var MODIFIED_FILTER = '@modified';
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Turn a part of a setting key into words, e.g. 'fontSize' into 'Font Size'
+   * @param {string} part
+   * @returns {string}
+   */
+  function humanize(part) {
+    var words = part.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Get the title of a setting from its key
+   * @param {string} key - e.g. 'editor.guides.indentation'
+   * @returns {{category: string, name: string}} e.g. 'Editor › Guides' and 'Indentation'
+   */
+  function getTitle(key) {
+    var parts = key.split('.').map(humanize);
+    return { category: parts.slice(0, -1).join(' › '), name: parts[parts.length - 1] };
+  }
+
+  // ============================================
+  // SettingsPanel Class
+  // ============================================
+
+  class SettingsPanel {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _container = null;
+    _ide = null;
+    _settingsService = null;
+    _isVisible = false;
+    _listeners = [];
+
+    // DOM Elements
+    _element = null;
+    _searchInput = null;
+    _targetSelect = null;
+    _languageSelect = null;
+    _problemsElement = null;
+    _listContainer = null;
+
+    // State
+    _isStale = true;
+    _target = 'user';
+    _language = '';
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new SettingsPanel
+     * @param {HTMLElement} container - Container element
+     * @param {Object} options - Panel options
+     * @param {IDE} options.ide - IDE writing the settings files
+     * @param {SettingsService} options.settingsService - Settings shown
+     */
+    constructor(container, options) {
+      options = options || {};
+      this._container = container;
+      this._ide = options.ide || null;
+      this._settingsService = options.settingsService;
+
+      this._createDOM();
+      this._bindEvents();
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Show the panel
+     */
+    show() {
+      this._element.style.display = 'flex';
+      this._isVisible = true;
+      if (this._isStale) this.refresh();
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+      this._element.style.display = 'none';
+      this._isVisible = false;
+    }
+
+    /**
+     * Check if panel is visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._isVisible;
+    }
+
+    /**
+     * Focus the search box
+     */
+    focus() {
+      this._searchInput.focus();
+      this._searchInput.select();
+    }
+
+    /**
+     * Search the settings
+     * @param {string} query - Words to match, and optionally '@modified'
+     */
+    search(query) {
+      this._searchInput.value = query;
+      this.refresh();
+    }
+
+    /**
+     * Choose the settings file and language the controls change
+     * @param {string} target - 'user' or 'workspace'
+     * @param {string} [language] - Language the values are for; all languages if omitted
+     */
+    setTarget(target, language) {
+      this._target = target === 'workspace' ? 'workspace' : 'user';
+      this._language = language || '';
+      this.refresh();
+    }
+
+    /**
+     * Show the settings again
+     */
+    refresh() {
+      this._isStale = false;
+      this._updateSelects();
+      this._renderProblems();
+      this._renderList();
+    }
+
+    /**
+     * Dispose the panel
+     */
+    dispose() {
+      for (var i = 0; i < this._listeners.length; i++) {
+        this._listeners[i]();
+      }
+      this._listeners = [];
+
+      if (this._element && this._element.parentNode) {
+        this._element.parentNode.removeChild(this._element);
+      }
+    }
+
+    // ============================================
+    // Private Methods - DOM Creation
+    // ============================================
+
+    /**
+     * Create DOM structure
+     */
+    _createDOM() {
+      this._element = document.createElement('div');
+      this._element.className = 'ide-settings-panel';
+      this._element.style.display = 'none';
+
+      this._element.appendChild(this._createToolbar());
+
+      this._problemsElement = document.createElement('div');
+      this._problemsElement.className = 'ide-settings-problems';
+      this._element.appendChild(this._problemsElement);
+
+      this._listContainer = document.createElement('div');
+      this._listContainer.className = 'ide-settings-list';
+      this._element.appendChild(this._listContainer);
+
+      this._container.appendChild(this._element);
+    }
+
+    /**
+     * Create the search box, the file and language choice and the button
+     * opening the file
+     * @returns {HTMLElement}
+     */
+    _createToolbar() {
+      var self = this;
+      var toolbar = document.createElement('div');
+      toolbar.className = 'ide-settings-toolbar';
+
+      this._searchInput = document.createElement('input');
+      this._searchInput.type = 'text';
+      this._searchInput.className = 'ide-settings-search';
+      this._searchInput.placeholder = 'Search settings';
+      this._searchInput.spellcheck = false;
+      this._searchInput.addEventListener('input', function() {
+        self._renderList();
+      });
+      this._searchInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && self._searchInput.value) {
+          e.stopPropagation();
+          self.search('');
+        }
+      });
+      toolbar.appendChild(this._searchInput);
+
+      var row = document.createElement('div');
+      row.className = 'ide-settings-toolbar-row';
+
+      this._targetSelect = document.createElement('select');
+      this._targetSelect.className = 'ide-settings-select';
+      this._targetSelect.title = 'Settings file the changes go to';
+      [['user', 'User'], ['workspace', 'Workspace']].forEach(function(option) {
+        var el = document.createElement('option');
+        el.value = option[0];
+        el.textContent = option[1];
+        self._targetSelect.appendChild(el);
+      });
+      this._targetSelect.addEventListener('change', function() {
+        self.setTarget(self._targetSelect.value, self._language);
+      });
+      row.appendChild(this._targetSelect);
+
+      this._languageSelect = document.createElement('select');
+      this._languageSelect.className = 'ide-settings-select';
+      this._languageSelect.title = 'Language the values are for';
+      this._languageSelect.addEventListener('change', function() {
+        self.setTarget(self._target, self._languageSelect.value);
+      });
+      row.appendChild(this._languageSelect);
+
+      var openButton = document.createElement('button');
+      openButton.className = 'ide-settings-button';
+      openButton.textContent = 'Edit JSON';
+      openButton.title = 'Open the settings file';
+      openButton.onclick = function() {
+        if (self._ide) self._ide.openSettingsFile(self._target);
+      };
+      row.appendChild(openButton);
+
+      toolbar.appendChild(row);
+      return toolbar;
+    }
+
+    /**
+     * Bind event handlers
+     */
+    _bindEvents() {
+      var self = this;
+
+      var markStale = function() {
+        self._isStale = true;
+        if (self._isVisible) self.refresh();
+      };
+
+      this._listeners.push(this._settingsService.on('change', markStale));
+      this._listeners.push(this._settingsService.on('problemsChange', markStale));
+      if (this._ide) {
+        this._listeners.push(this._ide.on('folderOpened', markStale));
+      }
+    }
+
+    // ============================================
+    // Private Methods - Rendering
+    // ============================================
+
+    /**
+     * Update the choices of file and language
+     */
+    _updateSelects() {
+      var self = this;
+      var hasFolder = !!(this._ide && this._ide.getWorkspaceService().getRootFolder());
+      if (!hasFolder && this._target === 'workspace') this._target = 'user';
+
+      this._targetSelect.options[1].disabled = !hasFolder;
+      this._targetSelect.value = this._target;
+
+      // Languages of files, and any other language a settings file mentions
+      var languages = {};
+      Object.keys(FileNode.LANGUAGE_MAP).forEach(function(extension) {
+        languages[FileNode.LANGUAGE_MAP[extension]] = true;
+      });
+      ['user', 'workspace'].forEach(function(layer) {
+        self._settingsService.getLanguages(layer).forEach(function(language) {
+          languages[language] = true;
+        });
+      });
+      if (this._language) languages[this._language] = true;
+
+      this._languageSelect.innerHTML = '';
+      var all = document.createElement('option');
+      all.value = '';
+      all.textContent = 'All languages';
+      this._languageSelect.appendChild(all);
+      Object.keys(languages).sort().forEach(function(language) {
+        var el = document.createElement('option');
+        el.value = language;
+        el.textContent = '[' + language + ']';
+        self._languageSelect.appendChild(el);
+      });
+      this._languageSelect.value = this._language;
+    }
+
+    /**
+     * Show the problems of the chosen settings file
+     */
+    _renderProblems() {
+      var problems = this._settingsService.getProblems(this._target);
+      this._problemsElement.innerHTML = '';
+      this._problemsElement.style.display = problems.length > 0 ? '' : 'none';
+
+      problems.forEach(function(problem) {
+        var el = document.createElement('div');
+        el.className = 'ide-settings-problem';
+        el.textContent = problem;
+        this._problemsElement.appendChild(el);
+      }, this);
+    }
+
+    /**
+     * Render the settings matching the search
+     */
+    _renderList() {
+      var self = this;
+
+      // Keep the focus in the control being used when the list is redrawn
+      var focused = document.activeElement;
+      var focusedKey = focused && this._listContainer.contains(focused) ? focused.dataset.key : null;
+
+      this._listContainer.innerHTML = '';
+
+      var words = this._searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+      var modifiedOnly = words.indexOf(MODIFIED_FILTER) !== -1;
+      words = words.filter(function(word) {
+        return word !== MODIFIED_FILTER;
+      });
+
+      var definitions = this._settingsService.getDefinitions().filter(function(definition) {
+        if (self._language && !definition.languageOverridable) return false;
+        if (modifiedOnly && self._getTargetValue(definition.key) === undefined) return false;
+
+        var title = getTitle(definition.key);
+        var text = (title.category + ' ' + title.name + ' ' + definition.key + ' ' + definition.description).toLowerCase();
+        return words.every(function(word) {
+          return text.indexOf(word) !== -1;
+        });
+      });
+
+      if (definitions.length === 0) {
+        var empty = document.createElement('div');
+        empty.className = 'ide-settings-empty';
+        empty.textContent = 'No settings found.';
+        this._listContainer.appendChild(empty);
+        return;
+      }
+
+      definitions.forEach(function(definition) {
+        self._listContainer.appendChild(self._renderRow(definition));
+      });
+
+      if (focusedKey) {
+        var control = this._listContainer.querySelector('[data-key="' + focusedKey + '"]');
+        if (control) control.focus();
+      }
+    }
+
+    /**
+     * Render a single setting
+     * @param {Object} definition - Setting definition
+     * @returns {HTMLElement}
+     */
+    _renderRow(definition) {
+      var self = this;
+      var key = definition.key;
+      var values = this._settingsService.inspect(key, this._language || undefined);
+      var isModified = this._getTargetValue(key) !== undefined;
+
+      var el = document.createElement('div');
+      el.className = 'ide-settings-item';
+      if (isModified) el.classList.add('modified');
+
+      var header = document.createElement('div');
+      header.className = 'ide-settings-header';
+
+      var title = getTitle(key);
+      var titleEl = document.createElement('span');
+      titleEl.className = 'ide-settings-title';
+      if (title.category) {
+        var category = document.createElement('span');
+        category.className = 'ide-settings-category';
+        category.textContent = title.category + ': ';
+        titleEl.appendChild(category);
+      }
+      titleEl.appendChild(document.createTextNode(title.name));
+      titleEl.title = key;
+      header.appendChild(titleEl);
+
+      // A file above the chosen one decides the value
+      var overriddenBy = this._getOverridingScope(values);
+      if (overriddenBy) {
+        var note = document.createElement('span');
+        note.className = 'ide-settings-note';
+        note.textContent = 'Also modified in: ' + overriddenBy;
+        header.appendChild(note);
+      }
+
+      if (isModified) {
+        var reset = document.createElement('button');
+        reset.className = 'ide-settings-reset';
+        reset.textContent = 'Reset';
+        reset.title = 'Remove the setting from the ' + this._target + ' settings';
+        reset.onclick = function() {
+          self._update(key, undefined);
+        };
+        header.appendChild(reset);
+      }
+      el.appendChild(header);
+
+      var description = document.createElement('div');
+      description.className = 'ide-settings-description';
+      description.textContent = definition.description;
+      el.appendChild(description);
+
+      var control = this._createControl(definition, this._getShownValue(key, values));
+      control.dataset.key = key;
+      el.appendChild(control);
+
+      return el;
+    }
+
+    /**
+     * Create the control of a setting
+     * @param {Object} definition - Setting definition
+     * @param {*} value - Value shown
+     * @returns {HTMLElement}
+     */
+    _createControl(definition, value) {
+      var self = this;
+      var key = definition.key;
+      var control;
+
+      if (definition.type === 'boolean') {
+        control = document.createElement('input');
+        control.type = 'checkbox';
+        control.className = 'ide-settings-checkbox';
+        control.checked = value === true;
+        control.addEventListener('change', function() {
+          self._update(key, control.checked);
+        });
+        return control;
+      }
+
+      if (definition.enum) {
+        control = document.createElement('select');
+        control.className = 'ide-settings-select';
+        definition.enum.forEach(function(option) {
+          var el = document.createElement('option');
+          el.value = option;
+          el.textContent = option;
+          control.appendChild(el);
+        });
+        control.value = value;
+        control.addEventListener('change', function() {
+          self._update(key, control.value);
+        });
+        return control;
+      }
+
+      control = document.createElement('input');
+      control.type = definition.type === 'number' ? 'number' : 'text';
+      control.className = 'ide-settings-input';
+      control.spellcheck = false;
+      control.value = value;
+      if (definition.minimum !== undefined) control.min = definition.minimum;
+      if (definition.maximum !== undefined) control.max = definition.maximum;
+
+      control.addEventListener('change', function() {
+        var newValue = definition.type === 'number' ? Number(control.value) : control.value;
+        var problem = control.value.trim() === '' && definition.type === 'number'
+          ? '"' + key + '" must be a number'
+          : self._settingsService.validate(key, newValue);
+
+        control.classList.toggle('invalid', !!problem);
+        control.title = problem || '';
+        if (!problem) self._update(key, newValue);
+      });
+      control.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') control.blur();
+      });
+      return control;
+    }
+
+    // ============================================
+    // Private Methods - Values
+    // ============================================
+
+    /**
+     * Get the value the chosen file sets for a setting
+     * @param {string} key
+     * @returns {*} Undefined if the file does not set it
+     */
+    _getTargetValue(key) {
+      var values = this._settingsService.inspect(key, this._language || undefined);
+      var name = this._target + (this._language ? 'LanguageValue' : 'Value');
+      return values[name];
+    }
+
+    /**
+     * Get the value a control shows: the one applying with the chosen
+     * file on top, so that files above it do not hide what it sets
+     * @param {string} key
+     * @param {Object} values - Values of the setting, as from inspect
+     * @returns {*}
+     */
+    _getShownValue(key, values) {
+      var order = ['userValue', 'defaultValue'];
+      if (this._target === 'workspace') order.unshift('workspaceValue');
+      if (this._language) {
+        order.unshift('userLanguageValue');
+        if (this._target === 'workspace') order.unshift('workspaceLanguageValue');
+      }
+
+      for (var i = 0; i < order.length; i++) {
+        if (values[order[i]] !== undefined) return values[order[i]];
+      }
+      return undefined;
+    }
+
+    /**
+     * Get the settings above the chosen file that set a setting
+     * @param {Object} values - Values of the setting, as from inspect
+     * @returns {string} e.g. 'Workspace', or '' if none
+     */
+    _getOverridingScope(values) {
+      var scopes = [];
+      if (this._target === 'user' && values.workspaceValue !== undefined) {
+        scopes.push('Workspace');
+      }
+      if (this._target === 'user' && values.workspaceLanguageValue !== undefined) {
+        scopes.push('Workspace [' + this._language + ']');
+      }
+      return scopes.join(', ');
+    }
+
+    /**
+     * Write a value into the chosen settings file
+     * @param {string} key
+     * @param {*} value - New value; undefined removes the setting from the file
+     */
+    _update(key, value) {
+      if (!this._ide) return;
+      this._ide.updateSetting(key, value, this._target, this._language || undefined);
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.IDE = CodeEditor.IDE || {};
+  CodeEditor.IDE.SettingsPanel = SettingsPanel;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,498 @@
+/**
+ * @fileoverview Signature help feature - parameter hints while typing call arguments
+ * @module features/signatureHelp/SignatureHelpFeature
+ *
+ * Opens when '(' or ',' is typed inside a call and shows the callee's
+ * parameters with the one for the argument under the cursor highlighted.
+ * Moving between arguments updates the highlight; leaving the argument
+ * list, typing the closing ')' or pressing Escape closes the widget.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var TypeChecker = CodeEditor.TypeChecker;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Delay before analyzing after a trigger character
+  var TRIGGER_DEBOUNCE_MS = 100;
+
+  // Gap between the cursor line and the widget
+  var WIDGET_OFFSET_Y = 2;
+
+  // Keep in sync with .ec-signature-help max-width
+  var WIDGET_MAX_WIDTH = 500;
+
+  // ============================================
+  // Class Definition
+  // ============================================
+
+  /**
+   * Signature help feature.
+   *
+   * @example
+   * var signatureHelp = new SignatureHelpFeature(editor);
+   */
+  class SignatureHelpFeature {
+    // ----------------------------------------
+    // Commands
+    // ----------------------------------------
+
+    // Offered in the command palette, run with the feature of the active editor
+    static COMMANDS = [
+      {
+        id: 'editor.action.triggerParameterHints',
+        title: 'Trigger Parameter Hints',
+        category: 'Edit',
+        keybinding: 'Ctrl+Shift+Space',
+        when: 'editorTextFocus',
+        run: function(feature) {
+          feature.trigger();
+        },
+      },
+    ];
+
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+    _editor = null;
+    _enabled = true;
+    _languages = null;
+    _typeChecker = null;
+    _container = null;
+    _visible = false;
+    _triggerTimer = null;
+
+    // Result of TypeChecker#getSignatureHelpAtOffset for the open call
+    _help = null;
+
+    // Signature help being computed for the call at the cursor
+    _request = null;
+
+    // Bound event handlers
+    _boundHandleKeyDown = null;
+    _boundHandleInput = null;
+    _boundHandleSelectionChange = null;
+    _boundHandleBlur = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+
+    /**
+     * @param {Object} editor - Editor instance
+     * @param {Object} options - Configuration options
+     * @param {boolean} options.enabled - Whether signature help is enabled (default: true)
+     * @param {string[]} options.languages - Languages to assist (default: javascript, typescript)
+     * @param {TypeChecker|TypeCheckerProxy} options.typeChecker - Type checker to query (default: a new instance)
+     */
+    constructor(editor, options = {}) {
+      this._editor = editor;
+      this._enabled = options.enabled !== false;
+      this._languages = options.languages || ['javascript', 'typescript'];
+      this._typeChecker = options.typeChecker || TypeChecker.create();
+
+      this._createDOM();
+      this._bindEvents();
+    }
+
+    // ----------------------------------------
+    // DOM Setup
+    // ----------------------------------------
+
+    _createDOM() {
+      this._container = document.createElement('div');
+      this._container.className = 'ec-signature-help';
+      this._container.style.display = 'none';
+
+      this._editor.view.contentElement.appendChild(this._container);
+    }
+
+    // ----------------------------------------
+    // Event Binding
+    // ----------------------------------------
+
+    _bindEvents() {
+      var self = this;
+
+      // Capture on the editor root, like autocomplete, so Escape is seen
+      // before content-level handlers act on it
+      this._boundHandleKeyDown = function(e) {
+        self._handleKeyDown(e);
+      };
+      this._editor.view.container.addEventListener('keydown', this._boundHandleKeyDown, true);
+
+      this._boundHandleInput = function(event) {
+        self._handleInput(event);
+      };
+      this._editor.on('input', this._boundHandleInput);
+
+      this._boundHandleSelectionChange = function() {
+        self._handleSelectionChange();
+      };
+      this._editor.on('selectionChange', this._boundHandleSelectionChange);
+
+      this._boundHandleBlur = function() {
+        self.hide();
+      };
+      this._editor.on('blur', this._boundHandleBlur);
+    }
+
+    // ----------------------------------------
+    // Event Handlers
+    // ----------------------------------------
+
+    _handleKeyDown(event) {
+      if (!this._enabled) return;
+
+      if (this._visible && event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        this.hide();
+      }
+    }
+
+    _handleInput(event) {
+      if (!this._isActive() || !event || !event.text) return;
+
+      var lastChar = event.text.charAt(event.text.length - 1);
+
+      // While open, moving to the next argument is handled on selectionChange
+      if (lastChar === '(' || (lastChar === ',' && !this._visible)) {
+        this._scheduleTrigger();
+      } else if (lastChar === ')') {
+        this.hide();
+      }
+    }
+
+    _handleSelectionChange() {
+      if (!this._visible) return;
+
+      var cursor = this._getCursorOffset();
+      if (cursor === null) {
+        this.hide();
+        return;
+      }
+
+      // Only the argument index can change while the cursor stays inside
+      // the same argument list, so the source is not re-analyzed here
+      var self = this;
+      var help = this._help;
+
+      Promise.resolve(this._typeChecker.getCallContext(this._editor.getValue(), cursor)).then(function(context) {
+        // Closed, reopened or moved again meanwhile
+        if (self._help !== help || self._getCursorOffset() !== cursor) return;
+
+        if (!context || context.start !== help.start) {
+          self.hide();
+          return;
+        }
+
+        var activeParameter = self._clampParameter(context.argumentIndex);
+        if (activeParameter !== help.activeParameter) {
+          help.activeParameter = activeParameter;
+          self._render();
+        }
+        self._position(cursor);
+      });
+    }
+
+    // ----------------------------------------
+    // Signature Logic
+    // ----------------------------------------
+
+    _isActive() {
+      return this._enabled && this._languages.indexOf(this._editor.getLanguage()) !== -1;
+    }
+
+    _scheduleTrigger() {
+      var self = this;
+
+      if (this._triggerTimer) {
+        clearTimeout(this._triggerTimer);
+      }
+      this._triggerTimer = setTimeout(function() {
+        self._triggerTimer = null;
+        self._update();
+      }, TRIGGER_DEBOUNCE_MS);
+    }
+
+    /**
+     * Query the type checker at the primary cursor and show the result
+     */
+    _update() {
+      if (!this._isActive()) return;
+
+      var cursor = this._getCursorOffset();
+      if (cursor === null || this._isInStringOrComment(cursor)) {
+        this.hide();
+        return;
+      }
+
+      var self = this;
+      var version = this._editor.document.version;
+
+      this._cancelRequest();
+      var request = this._typeChecker.getSignatureHelpAtOffset(this._editor.getValue(), cursor);
+      this._request = request;
+
+      // Answers overtaken by a newer query, an edit or a cursor move are dropped
+      Promise.resolve(request).then(function(help) {
+        if (self._request !== request) return;
+        self._request = null;
+
+        if (self._editor.document.version !== version || self._getCursorOffset() !== cursor) return;
+        if (!help) {
+          self.hide();
+          return;
+        }
+
+        self._help = help;
+        self._render();
+        self._show();
+        self._position(cursor);
+      }, function() {
+        if (self._request === request) self.hide();
+      });
+    }
+
+    _cancelRequest() {
+      if (this._request && this._typeChecker.cancel) {
+        this._typeChecker.cancel(this._request);
+      }
+      this._request = null;
+    }
+
+    /**
+     * Map an argument index to a parameter; extra arguments go to a rest
+     * parameter when there is one
+     * @param {number} argumentIndex
+     * @returns {number}
+     */
+    _clampParameter(argumentIndex) {
+      var params = this._help.signature.params;
+      var last = params[params.length - 1];
+
+      if (last && last.rest && argumentIndex > params.length - 1) {
+        return params.length - 1;
+      }
+      return argumentIndex;
+    }
+
+    _getCursorOffset() {
+      var sel = this._editor.getSelection();
+      return sel.start === sel.end ? sel.end : null;
+    }
+
+    _isInStringOrComment(offset) {
+      var token = this._editor.view.getTokenAt(offset);
+      if (!token) return false;
+
+      var type = token.type;
+      return type.indexOf('string') === 0 || type.indexOf('comment') === 0;
+    }
+
+    // ----------------------------------------
+    // Rendering
+    // ----------------------------------------
+
+    _render() {
+      var help = this._help;
+      var signature = help.signature;
+      var params = signature.params;
+
+      this._container.innerHTML = '';
+
+      var label = document.createElement('div');
+      label.className = 'ec-signature-help-label';
+
+      var prefix = help.isConstructor ? 'new ' : '';
+      if (help.containerName) {
+        prefix += help.containerName + '.';
+      }
+      label.appendChild(document.createTextNode(prefix + help.name + '('));
+
+      for (var i = 0; i < params.length; i++) {
+        if (i > 0) {
+          label.appendChild(document.createTextNode(', '));
+        }
+
+        var param = document.createElement('span');
+        param.className = 'ec-signature-help-param';
+        if (i === help.activeParameter) {
+          param.classList.add('ec-signature-help-param-active');
+        }
+        param.textContent = formatParameter(params[i]);
+        label.appendChild(param);
+      }
+
+      var suffix = help.isConstructor ? ')' : '): ' + signature.returnType.toString();
+      label.appendChild(document.createTextNode(suffix));
+      this._container.appendChild(label);
+
+      // Spell out the active parameter, which matters for long callback types
+      var active = params[help.activeParameter];
+      if (active) {
+        var detail = document.createElement('div');
+        detail.className = 'ec-signature-help-detail';
+        detail.textContent = formatParameter(active);
+        this._container.appendChild(detail);
+      }
+    }
+
+    _position(cursor) {
+      var view = this._editor.view;
+      var anchorRect = view.getCharacterRect(cursor);
+      var contentRect = view.contentElement.getBoundingClientRect();
+      var editorRect = view.container.getBoundingClientRect();
+      var widgetHeight = this._container.offsetHeight;
+
+      // Above the cursor line, keeping the line and the completion list
+      // below it visible; drop below when there is no room above
+      var top = anchorRect.top - contentRect.top - widgetHeight - WIDGET_OFFSET_Y;
+      if (anchorRect.top - widgetHeight - WIDGET_OFFSET_Y < editorRect.top) {
+        top = anchorRect.bottom - contentRect.top + WIDGET_OFFSET_Y;
+      }
+
+      var left = anchorRect.left - contentRect.left;
+      if (anchorRect.left + WIDGET_MAX_WIDTH > editorRect.right) {
+        left = Math.max(0, editorRect.right - contentRect.left - WIDGET_MAX_WIDTH - 10);
+      }
+
+      this._container.style.top = top + 'px';
+      this._container.style.left = left + 'px';
+    }
+
+    _show() {
+      if (this._visible) return;
+      this._visible = true;
+      this._container.style.display = 'block';
+    }
+
+    // ----------------------------------------
+    // Public API
+    // ----------------------------------------
+
+    /**
+     * Show signature help for the call around the primary cursor
+     */
+    trigger() {
+      if (this._triggerTimer) {
+        clearTimeout(this._triggerTimer);
+        this._triggerTimer = null;
+      }
+      this._update();
+    }
+
+    /**
+     * Close the widget
+     */
+    hide() {
+      if (this._triggerTimer) {
+        clearTimeout(this._triggerTimer);
+        this._triggerTimer = null;
+      }
+      this._cancelRequest();
+
+      if (!this._visible) return;
+      this._visible = false;
+      this._container.style.display = 'none';
+      this._container.innerHTML = '';
+      this._help = null;
+    }
+
+    /**
+     * Check if the widget is open
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this._visible;
+    }
+
+    /**
+     * Index of the highlighted parameter, or -1 when closed
+     * @returns {number}
+     */
+    getActiveParameter() {
+      return this._help ? this._help.activeParameter : -1;
+    }
+
+    /**
+     * Enable signature help
+     */
+    enable() {
+      this._enabled = true;
+    }
+
+    /**
+     * Disable signature help
+     */
+    disable() {
+      this._enabled = false;
+      this.hide();
+    }
+
+    /**
+     * Check if signature help is enabled
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return this._enabled;
+    }
+
+    // ----------------------------------------
+    // Lifecycle
+    // ----------------------------------------
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+      this.hide();
+
+      if (this._boundHandleKeyDown) {
+        this._editor.view.container.removeEventListener('keydown', this._boundHandleKeyDown, true);
+      }
+      if (this._boundHandleInput) {
+        this._editor.off('input', this._boundHandleInput);
+      }
+      if (this._boundHandleSelectionChange) {
+        this._editor.off('selectionChange', this._boundHandleSelectionChange);
+      }
+      if (this._boundHandleBlur) {
+        this._editor.off('blur', this._boundHandleBlur);
+      }
+
+      if (this._container) {
+        this._container.remove();
+      }
+      this._typeChecker = null;
+      this._editor = null;
+    }
+  }
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Format a parameter as `name?: type` or `...name: type`
+   * @param {{name: string, type: Type, optional?: boolean, rest?: boolean}} param
+   * @returns {string}
+   */
+  function formatParameter(param) {
+    var text = (param.rest ? '...' : '') + param.name + (param.optional ? '?' : '');
+    return text + ': ' + param.type.toString();
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.Features = CodeEditor.Features || {};
+  CodeEditor.Features.SignatureHelp = SignatureHelpFeature;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -54,25 +54,10 @@
       theme: 'dark',
     });
 
-    // Set up global keyboard shortcuts
-    document.addEventListener('keydown', function(e) {
-      // Ctrl+Shift+E: Focus explorer
-      if (e.ctrlKey && e.shiftKey && e.key === 'E') {
-        e.preventDefault();
-        ide.setActiveView('explorer');
-      }
-
-      // Ctrl+Shift+F: Focus search (placeholder)
-      if (e.ctrlKey && e.shiftKey && e.key === 'F') {
-        e.preventDefault();
-        ide.setActiveView('search');
-      }
-
-      // Ctrl+` : Toggle sidebar (alternative)
-      if (e.ctrlKey && e.key === '`') {
-        e.preventDefault();
-        ide.toggleSidebar();
-      }
+    // Ctrl+` : Toggle sidebar (alternative)
+    ide.getKeybindingService().addDefaultKeybinding({
+      key: 'Ctrl+`',
+      command: 'workbench.action.toggleSidebarVisibility',
     });
 
     // Log IDE info
@@ -80,10 +65,27 @@
     console.log('IDE instance available as window.ide');
     console.log('');
     console.log('Keyboard shortcuts:');
+    console.log('  Ctrl+Shift+P/F1 - Command Palette');
+    console.log('  Ctrl+P          - Go to file (:line, @symbol)');
+    console.log('  Ctrl+Shift+O    - Go to symbol in editor');
     console.log('  Ctrl+B          - Toggle sidebar');
     console.log('  Ctrl+S          - Save file');
     console.log('  Ctrl+Shift+E    - Focus Explorer');
     console.log('  Ctrl+Shift+F    - Focus Search');
+    console.log('  Ctrl+Shift+M    - Show Problems');
+    console.log('  Ctrl+,          - Settings');
+    console.log('  Ctrl+K Ctrl+T   - Color theme');
+    console.log('  F12             - Go to Definition');
+    console.log('  Shift+F12       - Find All References');
+    console.log('  F2              - Rename Symbol');
+    console.log('  Ctrl+Shift+[ ]  - Fold / Unfold');
+    console.log('  Ctrl+K Ctrl+0/J - Fold / Unfold All');
+    console.log('  Ctrl+K Ctrl+C/U - Add / Remove Line Comment');
+    console.log('  Ctrl+Alt+N      - New File in Explorer (Shift: New Folder)');
+    console.log('  F2 / Delete     - Rename / Delete in Explorer');
+    console.log('  Alt+F5          - Next Change in Comparison (Shift: Previous)');
+    console.log('');
+    console.log('Change the keys with "Preferences: Open Keyboard Shortcuts (JSON)" in the Command Palette.');
     console.log('');
     console.log('Click "Open Folder" in the sidebar or welcome screen to get started.');
 
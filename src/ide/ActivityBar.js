@@ -28,6 +28,9 @@
     static ICONS = {
       explorer: '<svg viewBox="0 0 24 24"><path d="M17.5 0h-9L7 1.5V6H2.5L1 7.5v15.07L2.5 24h12.07L16 22.57V18h4.7l1.3-1.43V4.5L17.5 0zm0 2.12l2.38 2.38H17.5V2.12zm-3 20.38h-12v-15H7v9.07L8.5 18h6v4.5zm6-6h-12v-15H16V6h4.5v10.5z"/></svg>',
       search: '<svg viewBox="0 0 24 24"><path d="M15.25 0a8.25 8.25 0 0 0-6.18 13.72L1 22.88l1.12 1.12 8.05-9.12A8.251 8.251 0 1 0 15.25 0zm0 15a6.75 6.75 0 1 1 0-13.5 6.75 6.75 0 0 1 0 13.5z"/></svg>',
+      outline: '<svg viewBox="0 0 24 24"><path d="M1.5 3h4.5v4.5H1.5V3zm7.5 1.5h13.5V6H9V4.5zM6 10.5h4.5V15H6v-4.5zm7.5 1.5h9v1.5h-9V12zM6 18h4.5v4.5H6V18zm7.5 1.5h9V21h-9v-1.5z"/></svg>',
+      history: '<svg viewBox="0 0 24 24"><path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6a7 7 0 1 1 2.05 4.95l-1.42 1.42A9 9 0 1 0 13 3zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z"/></svg>',
+      problems: '<svg viewBox="0 0 24 24"><path d="M12 0a12 12 0 1 0 0 24 12 12 0 0 0 0-24zm0 22.5a10.5 10.5 0 1 1 0-21 10.5 10.5 0 0 1 0 21zM11.25 5.25h1.5v9h-1.5v-9zm0 11.25h1.5V18h-1.5v-1.5z"/></svg>',
       git: '<svg viewBox="0 0 24 24"><path d="M21.007 8.222A3.738 3.738 0 0 0 15.045 5.2a3.737 3.737 0 0 0 1.156 6.583 2.988 2.988 0 0 1-2.668 1.67h-2.99a4.456 4.456 0 0 0-2.989 1.165V7.4a3.737 3.737 0 1 0-1.494 0v9.117a3.776 3.776 0 1 0 1.816.099 2.99 2.99 0 0 1 2.668-1.667h2.99a4.484 4.484 0 0 0 4.223-3.039 3.736 3.736 0 0 0 3.25-3.687zM4.565 3.738a2.242 2.242 0 1 1 4.484 0 2.242 2.242 0 0 1-4.484 0zm4.484 16.441a2.242 2.242 0 1 1-4.484 0 2.242 2.242 0 0 1 4.484 0zm8.221-9.715a2.242 2.242 0 1 1 0-4.485 2.242 2.242 0 0 1 0 4.485z"/></svg>',
       debug: '<svg viewBox="0 0 24 24"><path d="M10.94 13.5l-1.32 1.32a3.73 3.73 0 0 0-7.24 0L1.06 13.5 0 14.56l1.72 1.72-.22.22V18H0v1.5h1.5v.08c.077.489.214.966.41 1.42L0 22.94 1.06 24l1.65-1.65A4.308 4.308 0 0 0 6 24a4.31 4.31 0 0 0 3.29-1.65L10.94 24 12 22.94 10.09 21c.198-.464.336-.951.41-1.45v-.07H12V18h-1.5v-1.5l-.22-.22L12 14.56l-1.06-1.06zM6 13.5a2.25 2.25 0 0 1 2.25 2.25h-4.5A2.25 2.25 0 0 1 6 13.5zm3 8.25A3 3 0 0 1 6 21a3 3 0 0 1-3-.75v-2.75h6v3zM21 6a3 3 0 0 0-3-3h-3.18a3 3 0 0 0-5.64 0H6a3 3 0 0 0-3 3v6.5h1.5V6A1.5 1.5 0 0 1 6 4.5h3.18a3 3 0 0 0 5.64 0H18A1.5 1.5 0 0 1 19.5 6v6H21V6zm-9-1.5A1.5 1.5 0 1 1 13.5 6 1.5 1.5 0 0 1 12 4.5zm6 9a2.25 2.25 0 0 1 4.5 0v.75h-4.5v-.75zm0 2.25h4.5v3a3 3 0 0 1-4.5.75v-3.75zm4.5-2.25a2.25 2.25 0 0 0-4.5 0H16.5v-1.5l.22-.22L15 10.06l1.06-1.06 1.32 1.32a3.73 3.73 0 0 1 7.24 0l1.32-1.32L27 10.06l-1.72 1.72.22.22v1.5h-1.5zM27 18h-1.5v1.5H27V18zm0 3h-1.5v.08a5.18 5.18 0 0 1-.41 1.42L27 24.44l-1.06 1.06-1.65-1.65a4.31 4.31 0 0 1-3.29 1.65 4.308 4.308 0 0 1-3.29-1.65L16.06 25.5 15 24.44l1.91-1.94a5.18 5.18 0 0 1-.41-1.42v-.08H15V19.5h1.5v-.08c.077-.489.214-.966.41-1.42L15 16.06l1.06-1.06 1.72 1.72.22-.22V15H19.5v1.5z"/></svg>',
       extensions: '<svg viewBox="0 0 24 24"><path d="M13.5 1.5L15 0h7.5L24 1.5V9l-1.5 1.5H15L13.5 9V1.5zm1.5 0V9h7.5V1.5H15zM0 15l1.5-1.5H9L10.5 15v7.5L9 24H1.5L0 22.5V15zm1.5 0v7.5H9V15H1.5zm0-13.5L0 0h7.5L9 1.5V9L7.5 10.5H0L-1.5 9V1.5zm0 0V9H7.5V1.5H0z"/></svg>',
@@ -293,6 +296,27 @@
         position: 'top',
       });
 
+      this.addItem('problems', {
+        icon: 'problems',
+        label: 'Problems',
+        tooltip: 'Problems (Ctrl+Shift+M)',
+        position: 'top',
+      });
+
+      this.addItem('outline', {
+        icon: 'outline',
+        label: 'Outline',
+        tooltip: 'Outline',
+        position: 'top',
+      });
+
+      this.addItem('history', {
+        icon: 'history',
+        label: 'Undo History',
+        tooltip: 'Undo History',
+        position: 'top',
+      });
+
       // Bottom items
       this.addItem('settings', {
         icon: 'settings',
@@ -19,10 +19,53 @@
   var SearchFeature = CodeEditor.Features.Search;
   var MultiCursorFeature = CodeEditor.Features.MultiCursor;
   var LineOperationsFeature = CodeEditor.Features.LineOperations;
+  var AutocompleteFeature = CodeEditor.Features.Autocomplete;
+  var HoverFeature = CodeEditor.Features.Hover;
+  var SignatureHelpFeature = CodeEditor.Features.SignatureHelp;
+  var DiagnosticsFeature = CodeEditor.Features.Diagnostics;
+  var NavigationFeature = CodeEditor.Features.Navigation;
+  var RenameFeature = CodeEditor.Features.Rename;
+  var FoldingFeature = CodeEditor.Features.Folding;
+  var GitGutterFeature = CodeEditor.Features.GitGutter;
+  var TypeCheckerProxy = CodeEditor.TypeCheckerProxy;
+  var DiffEditor = CodeEditor.IDE.DiffEditor;
 
   // Unique ID counter
   var paneIdCounter = 0;
 
+  // Features whose commands act on the pane's editor, by key in _features
+  var COMMAND_FEATURES = {
+    lineOperations: LineOperationsFeature,
+    multiCursor: MultiCursorFeature,
+    search: SearchFeature,
+    folding: FoldingFeature,
+    navigation: NavigationFeature,
+    rename: RenameFeature,
+    autocomplete: AutocompleteFeature,
+    signatureHelp: SignatureHelpFeature,
+  };
+
+  // Settings turning an editor feature on or off, by setting key
+  var FEATURE_SETTINGS = {
+    'editor.autoClosingBrackets': 'autoClose',
+    'editor.autoIndent': 'autoIndent',
+    'editor.matchBrackets': 'bracketMatch',
+    'editor.guides.indentation': 'indentGuide',
+    'editor.folding': 'folding',
+    'editor.quickSuggestions': 'autocomplete',
+    'editor.hover.enabled': 'hover',
+    'editor.parameterHints.enabled': 'signatureHelp',
+  };
+
+  // Settings giving an editor option, by setting key
+  var OPTION_SETTINGS = {
+    'editor.fontSize': 'fontSize',
+    'editor.lineHeight': 'lineHeight',
+    'editor.fontFamily': 'fontFamily',
+    'editor.tabSize': 'tabSize',
+    'editor.insertSpaces': 'insertSpaces',
+  };
+
   class EditorPane {
     // ============================================
     // Instance Members
@@ -31,6 +74,7 @@
     _id = null;
     _container = null;
     _tabBarContainer = null;
+    _conflictBar = null;
     _editorContainer = null;
 
     _tabBar = null;
@@ -39,6 +83,8 @@
 
     _workspaceService = null;
     _fileService = null;
+    _settingsService = null;
+    _unsubscribeSettings = null;
     _listeners = new Map();
 
     // Editor features
@@ -47,6 +93,9 @@
     // Active state
     _isActive = false;
 
+    // Comparison shown for tabs with a diff
+    _diffEditor = null;
+
     // Image viewer
     _imageViewer = null;
     _zoomLevel = 100;
@@ -73,12 +122,38 @@
       this._container = container;
       this._workspaceService = options.workspaceService || null;
       this._fileService = options.fileService || null;
+      this._settingsService = options.settingsService || null;
 
       this._createDOM();
       this._initComponents();
       this._bindEvents();
     }
 
+    // ============================================
+    // Static Methods
+    // ============================================
+
+    /**
+     * Get the commands of the editor features
+     * @returns {Array<Object>} Commands as for CommandRegistry#register, except
+     *   that run takes the pane whose editor to act on
+     */
+    static getEditorCommands() {
+      var commands = [];
+      Object.keys(COMMAND_FEATURES).forEach(function(key) {
+        COMMAND_FEATURES[key].COMMANDS.forEach(function(command) {
+          commands.push(Object.assign({}, command, {
+            run: function(pane) {
+              var feature = pane._features[key];
+              if (!feature.isEnabled()) return undefined;
+              return command.run(feature);
+            },
+          }));
+        });
+      });
+      return commands;
+    }
+
     // ============================================
     // Public Methods
     // ============================================
@@ -149,6 +224,117 @@
      */
     updateTabDirty(tabId, isDirty) {
       this._tabBar.updateTabDirty(tabId, isDirty);
+      this._updateDiff(tabId);
+    }
+
+    /**
+     * Show a tab's current name and language, after its file was renamed
+     * @param {string} tabId - Tab ID
+     */
+    refreshTab(tabId) {
+      this._tabBar.refreshTab(tabId);
+
+      var tab = this._currentTab;
+      if (tab && tab.id === tabId && !tab.isImage()) {
+        this._editor.setLanguage(tab.language);
+        this._applySettings();
+      }
+    }
+
+    /**
+     * Give a tab the content of its file on disk, leaving it clean. In the
+     * editor this is one step that undo reverts; a tab in the background
+     * loses its history, which no longer applies.
+     * @param {string} tabId - Tab ID
+     * @param {string} content - Content of the file on disk
+     * @param {string} label - Name of the undo step
+     */
+    reloadTab(tabId, content, label) {
+      var tab = this._tabBar.getTab(tabId);
+      if (!tab || tab.isImage()) return;
+
+      tab.setOriginalContent(content);
+      if (tab === this._currentTab) {
+        var editor = this._editor;
+        if (editor.getValue() !== content) {
+          editor.transact(function() {
+            editor.setValue(content);
+          }, label);
+        }
+      } else {
+        tab.setContent(content);
+        tab.undoStack = [];
+        tab.redoStack = [];
+      }
+      this._tabBar.updateTabDirty(tab.id, tab.isDirty);
+      this._updateDiff(tab.id);
+    }
+
+    /**
+     * Compare a tab's content with another text, or stop comparing it
+     * @param {string} tabId - Tab ID
+     * @param {{original: string|null, originalLabel: string, modifiedLabel: string}|null} diff -
+     *   Comparison as for Tab#diff, or null to show the plain editor
+     */
+    setDiff(tabId, diff) {
+      var tab = this._tabBar.getTab(tabId);
+      if (!tab || tab.isImage()) return;
+
+      tab.diff = diff;
+      if (tab === this._currentTab) {
+        if (diff) {
+          this._diffEditor.show(tab);
+        } else {
+          this._diffEditor.hide();
+          this._editor.focus();
+        }
+      }
+    }
+
+    /**
+     * Mark the lines of a tab changed since the last commit
+     * @param {string} tabId - Tab ID
+     * @param {string|null} content - Content of the tab's file in the HEAD
+     *   commit, or null if the file is not committed
+     */
+    setGitBaseContent(tabId, content) {
+      var tab = this._currentTab;
+      if (tab && tab.id === tabId && !tab.isImage()) {
+        this._features.gitGutter.setBaseContent(content);
+      }
+    }
+
+    /**
+     * Get the comparison view of the pane
+     * @returns {DiffEditor}
+     */
+    getDiffEditor() {
+      return this._diffEditor;
+    }
+
+    /**
+     * Show or hide the bar offering to resolve a change on disk to the
+     * current tab's file
+     * @param {boolean} visible - Whether the current tab's file is in conflict
+     */
+    setConflictBar(visible) {
+      var tab = this._currentTab;
+      visible = visible && tab !== null;
+      if (visible) {
+        this._conflictBar.querySelector('.ide-conflict-message').textContent =
+          '\'' + tab.name + '\' was changed on disk. Keep your unsaved changes or load the disk version?';
+      }
+      this._conflictBar.classList.toggle('ide-hidden', !visible);
+    }
+
+    /**
+     * Store the editor's scroll position, selections and undo history in
+     * the current tab
+     */
+    saveTabState() {
+      if (this._currentTab && !this._currentTab.isImage()) {
+        this._currentTab.saveState(this._editor);
+      }
     }
 
     /**
@@ -159,6 +345,43 @@
       return this._editor;
     }
 
+    /**
+     * Get the type checker shared by the editor's language features
+     * @returns {TypeCheckerProxy}
+     */
+    getTypeChecker() {
+      return this._features.typeChecker;
+    }
+
+    /**
+     * Get the value of a context key of keybinding when clauses
+     * @param {string} key - 'editorTextFocus', 'editorFocus', 'editorLangId',
+     *   'editorHasMultipleSelections', 'findWidgetVisible' or 'isInDiffEditor'
+     * @returns {*} Undefined for other keys
+     */
+    getContextValue(key) {
+      var focused = document.activeElement;
+      var hasCode = this._currentTab !== null && !this._currentTab.isImage();
+
+      switch (key) {
+        case 'editorTextFocus':
+          return hasCode && this._editor.isFocused();
+        case 'editorFocus':
+          // The find widget and other editor widgets count too
+          return hasCode && this._editor.view.container.contains(focused);
+        case 'editorLangId':
+          return hasCode ? this._editor.getLanguage() : '';
+        case 'editorHasMultipleSelections':
+          return hasCode && this._editor.hasMultipleCursors();
+        case 'findWidgetVisible':
+          return hasCode && this._features.search.isVisible();
+        case 'isInDiffEditor':
+          return hasCode && this._diffEditor.isVisible() && this._container.contains(focused);
+        default:
+          return undefined;
+      }
+    }
+
     /**
      * Get the TabBar instance
      * @returns {TabBar}
@@ -219,7 +442,9 @@
         if (feature.dispose) feature.dispose();
       });
 
+      if (this._unsubscribeSettings) this._unsubscribeSettings();
       if (this._tabBar) this._tabBar.dispose();
+      if (this._diffEditor) this._diffEditor.dispose();
       this._editor = null;
       this._listeners.clear();
       this._container.innerHTML = '';
@@ -273,6 +498,16 @@
       this._tabBarContainer.className = 'ide-editor-tabs';
       this._container.appendChild(this._tabBarContainer);
 
+      // Bar shown when the current tab's file changed on disk under unsaved edits
+      this._conflictBar = document.createElement('div');
+      this._conflictBar.className = 'ide-conflict-bar ide-hidden';
+      this._conflictBar.innerHTML =
+        '<span class="ide-conflict-message"></span>' +
+        '<button class="ide-dialog-btn ide-dialog-btn-secondary" data-action="compare">Compare</button>' +
+        '<button class="ide-dialog-btn ide-dialog-btn-secondary" data-action="keep">Keep Mine</button>' +
+        '<button class="ide-dialog-btn ide-dialog-btn-primary" data-action="load">Load Disk Version</button>';
+      this._container.appendChild(this._conflictBar);
+
       // Editor container
       this._editorContainer = document.createElement('div');
       this._editorContainer.className = 'ide-editor-container';
@@ -308,12 +543,12 @@
       this._tabBar = new TabBar(this._tabBarContainer);
 
       // Create Editor
-      this._editor = new Editor(this._editorContainer, {
+      this._editor = new Editor(this._editorContainer, Object.assign({
         value: '',
         language: 'javascript',
         fontSize: 14,
         lineHeight: 22,
-      });
+      }, this._getSettingsOptions(null)));
 
       // Editor sets className to 'ec-editor', add back ide-editor-container for flex layout
       this._editorContainer.classList.add('ide-editor-container');
@@ -321,8 +556,14 @@
       // Create image viewer (must be after Editor since Editor clears the container)
       this._createImageViewer();
 
+      this._diffEditor = new DiffEditor(this._editorContainer, this._editor, {
+        fontSize: this._editor.getOption('fontSize'),
+        lineHeight: this._editor.getOption('lineHeight'),
+      });
+
       // Initialize editor features
       this._initFeatures();
+      this._applySettings();
 
       // Initialize image viewer events
       this._bindImageViewerEvents();
@@ -340,8 +581,8 @@
 
       // Auto-indent
       this._features.autoIndent = new AutoIndentFeature(this._editor, {
-        tabSize: 2,
-        useSpaces: true,
+        tabSize: this._editor.getOption('tabSize'),
+        useSpaces: this._editor.getOption('insertSpaces'),
       });
 
       // Bracket matching
@@ -349,7 +590,7 @@
 
       // Indent guides
       this._features.indentGuide = new IndentGuideFeature(this._editor, {
-        tabSize: 2,
+        tabSize: this._editor.getOption('tabSize'),
       });
 
       // Search
@@ -360,6 +601,25 @@
 
       // Line operations (comment, move, duplicate)
       this._features.lineOperations = new LineOperationsFeature(this._editor);
+
+      // Code folding
+      this._features.folding = new FoldingFeature(this._editor, {
+        tabSize: this._editor.getOption('tabSize'),
+      });
+
+      // Markers of the lines changed since the last commit
+      this._features.gitGutter = new GitGutterFeature(this._editor);
+
+      // Type-aware completions, hover info, signature help, diagnostics,
+      // navigation and rename (JavaScript), sharing one analysis kept in a worker
+      var typeChecker = TypeCheckerProxy.forDocument(this._editor.document);
+      this._features.typeChecker = typeChecker;
+      this._features.autocomplete = new AutocompleteFeature(this._editor, { typeChecker: typeChecker });
+      this._features.hover = new HoverFeature(this._editor, { typeChecker: typeChecker });
+      this._features.signatureHelp = new SignatureHelpFeature(this._editor, { typeChecker: typeChecker });
+      this._features.diagnostics = new DiagnosticsFeature(this._editor, { typeChecker: typeChecker });
+      this._features.navigation = new NavigationFeature(this._editor, { typeChecker: typeChecker });
+      this._features.rename = new RenameFeature(this._editor, { typeChecker: typeChecker });
     }
 
     /**
@@ -419,6 +679,18 @@
         }
       });
 
+      // Problems found in the current tab's content
+      this._features.diagnostics.on('change', function(data) {
+        if (self._currentTab && !self._currentTab.isImage()) {
+          self._emit('diagnosticsChange', {
+            tab: self._currentTab,
+            path: self._currentTab.path,
+            diagnostics: data.diagnostics,
+            paneId: self._id,
+          });
+        }
+      });
+
       // Editor selection change
       this._editor.on('selectionChange', function() {
         self._emit('selectionChange', {
@@ -428,6 +700,36 @@
         });
       });
 
+      // Settings apply at once
+      if (this._settingsService) {
+        this._unsubscribeSettings = this._settingsService.on('change', function() {
+          self._applySettings();
+        });
+      }
+
+      // Undo history of the current tab changed
+      this._editor.on('historyChange', function(history) {
+        self._emit('historyChange', { history: history, paneId: self._id });
+      });
+
+      // Comparison closed from its toolbar
+      this._diffEditor.on('close', function(data) {
+        self.setDiff(data.tab.id, null);
+      });
+
+      // Compare with saved button from TabBar
+      this._tabBar.on('compareWithSaved', function() {
+        self._emit('compareRequest', { tab: self._currentTab, paneId: self._id });
+      });
+
+      // Conflict bar buttons
+      this._conflictBar.addEventListener('click', function(e) {
+        var btn = e.target.closest('[data-action]');
+        if (btn && self._currentTab) {
+          self._emit('conflictAction', { action: btn.dataset.action, tab: self._currentTab, paneId: self._id });
+        }
+      });
+
     }
 
     /**
@@ -573,6 +875,8 @@
       if (this._imageViewer) {
         this._imageViewer.style.display = 'none';
       }
+      this._diffEditor.hide();
+      this._conflictBar.classList.add('ide-hidden');
     }
 
     /**
@@ -583,15 +887,53 @@
       // Note: The actual visibility is controlled by _showImageViewer/_showCodeEditor
     }
 
+    /**
+     * Get the editor options the settings give for a language
+     * @param {string|null} language - Language of the tab, or null for none
+     * @returns {Object} Options for Editor; empty without settings
+     */
+    _getSettingsOptions(language) {
+      var settings = this._settingsService;
+      var options = {};
+      if (!settings) return options;
+
+      Object.keys(OPTION_SETTINGS).forEach(function(key) {
+        options[OPTION_SETTINGS[key]] = settings.get(key, language || undefined);
+      });
+      return options;
+    }
+
+    /**
+     * Apply the settings for the current tab's language to the editor and
+     * turn its features on or off by them
+     */
+    _applySettings() {
+      var self = this;
+      if (!this._settingsService) return;
+
+      var tab = this._currentTab;
+      var language = tab && !tab.isImage() ? tab.language : null;
+      this._editor.updateOptions(this._getSettingsOptions(language));
+
+      Object.keys(FEATURE_SETTINGS).forEach(function(key) {
+        var feature = self._features[FEATURE_SETTINGS[key]];
+        var enabled = self._settingsService.get(key, language || undefined) !== false;
+        if (enabled === feature.isEnabled()) return;
+        if (enabled) {
+          feature.enable();
+        } else {
+          feature.disable();
+        }
+      });
+    }
+
     /**
      * Switch to a tab
      * @param {Tab} tab - Tab to switch to
      */
     _switchToTab(tab) {
       // Save current tab state (only for code tabs)
-      if (this._currentTab && !this._currentTab.isImage()) {
-        this._currentTab.saveState(this._editor);
-      }
+      this.saveTabState();
 
       // Load new tab
       this._currentTab = tab;
@@ -627,6 +969,7 @@
       }
       this._imageViewer.style.display = 'flex';
       this._editorContainer.classList.add('image-mode');
+      this._diffEditor.hide();
 
       // Set image source
       var img = this._imageViewer.querySelector('.ide-image-preview');
@@ -649,6 +992,9 @@
         wrapper.style.display = '';
       }
 
+      // The committed content of the new file follows from the IDE
+      this._features.gitGutter.setBaseContent(null);
+
       // Suppress undo recording during tab content switch
       this._editor.setSuppressUndo(true);
 
@@ -658,18 +1004,35 @@
       // Re-enable undo recording
       this._editor.setSuppressUndo(false);
 
-      // Set language
+      // Set language, and the settings for it
       if (tab.language) {
         this._editor.setLanguage(tab.language);
       }
+      this._applySettings();
 
       // Restore tab state (scroll, selection)
       tab.restoreState(this._editor);
 
+      if (tab.diff) {
+        this._diffEditor.show(tab);
+      } else {
+        this._diffEditor.hide();
+      }
+
       // Focus editor
       this._editor.focus();
     }
 
+    /**
+     * Compare a tab again after its content or saved content changed
+     * @param {string} tabId - Tab ID
+     */
+    _updateDiff(tabId) {
+      if (this._currentTab && this._currentTab.id === tabId && this._diffEditor.isVisible()) {
+        this._diffEditor.update();
+      }
+    }
+
     /**
      * Bind image viewer toolbar events
      */
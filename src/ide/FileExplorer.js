@@ -2,7 +2,10 @@
  * FileExplorer - File tree component
  *
  * Displays the file tree with expand/collapse, file icons,
- * and keyboard navigation. Follows VSCode file explorer design.
+ * and keyboard navigation. Files and folders are created, renamed,
+ * duplicated and deleted from the context menu or the keyboard, with names
+ * typed inline in the tree, and moved by dragging them onto a folder.
+ * Follows VSCode file explorer design.
  */
 (function(CodeEditor) {
   'use strict';
@@ -29,6 +32,13 @@
       fileMd: '<svg viewBox="0 0 16 16"><path d="M13.71 4.29l-3-3L10 1H4L3 2v12l1 1h9l1-1V5l-.29-.71zM13 14H4V2h5v4h4v8zm-3-9V2l3 3h-3z"/><text x="4" y="12" font-size="4" fill="currentColor">MD</text></svg>',
     };
 
+    // Badges of the git states
+    static GIT_STATUS_LETTERS = {
+      modified: 'M',
+      added: 'A',
+      untracked: 'U',
+    };
+
     // ============================================
     // Instance Members
     // ============================================
@@ -40,8 +50,20 @@
     _selectedNode = null;
     _focusedNode = null;
     _fileService = null;
+    _workspaceService = null;
     _listeners = new Map();
 
+    // File operations
+    _contextMenu = null;
+    _boundCloseContextMenu = null;
+    _draggedNode = null;
+    _dropTarget = null;
+    _compareNode = null; // File selected to compare another file with
+
+    // Git status: path -> 'modified', 'added' or 'untracked', and the folders holding such files
+    _fileStatus = new Map();
+    _changedFolders = new Set();
+
     // ============================================
     // Constructor
     // ============================================
@@ -50,11 +72,15 @@
      * Create a new FileExplorer
      * @param {HTMLElement} container - Container element
      * @param {Object} options - FileExplorer options
+     * @param {FileService} options.fileService - Reads and changes the files
+     * @param {WorkspaceService} options.workspaceService - Open tabs, to warn
+     *   about unsaved changes before deleting
      */
     constructor(container, options) {
       options = options || {};
       this._container = container;
       this._fileService = options.fileService || null;
+      this._workspaceService = options.workspaceService || null;
       this._createDOM();
       this._bindEvents();
       this._showWelcome();
@@ -82,6 +108,35 @@
       return this._rootNode;
     }
 
+    /**
+     * Offer to reopen the folder of the last session, whose permission the
+     * browser asks for again after a reload
+     * @param {string|null} name - Folder name, or null to remove the offer
+     */
+    setReopenFolder(name) {
+      var btn = this._welcomeElement.querySelector('[data-action="reopen-folder"]');
+      btn.textContent = name ? 'Reopen ' + name : '';
+      btn.classList.toggle('ide-hidden', !name);
+    }
+
+    /**
+     * Color the files by their git status, and the folders holding changed files
+     * @param {Map<string, string>} status - Path -> 'modified', 'added' or 'untracked',
+     *   for the files that differ from the last commit
+     */
+    setFileStatus(status) {
+      var folders = new Set();
+      status.forEach(function(state, path) {
+        for (var i = path.lastIndexOf('/'); i > 0; i = path.lastIndexOf('/', i - 1)) {
+          folders.add(path.slice(0, i));
+        }
+      });
+
+      this._fileStatus = status;
+      this._changedFolders = folders;
+      this._render();
+    }
+
     /**
      * Refresh the file tree
      */
@@ -144,6 +199,131 @@
       }
     }
 
+    // ============================================
+    // Public Methods - File Operations
+    // ============================================
+
+    /**
+     * Create a file, asking for its name in the tree
+     * @param {FileNode} [directory] - Directory to create it in; defaults to
+     *   the selected folder or the folder of the selected file
+     * @returns {Promise<void>}
+     */
+    newFile(directory) {
+      return this._promptNewEntry(directory || this._getTargetDirectory(this._selectedNode), 'file');
+    }
+
+    /**
+     * Create a folder, asking for its name in the tree
+     * @param {FileNode} [directory] - Directory to create it in; defaults to
+     *   the selected folder or the folder of the selected file
+     * @returns {Promise<void>}
+     */
+    newFolder(directory) {
+      return this._promptNewEntry(directory || this._getTargetDirectory(this._selectedNode), 'directory');
+    }
+
+    /**
+     * Rename a file or folder, editing its name in place
+     * @param {FileNode} [node] - Entry to rename; defaults to the selected one
+     */
+    renameNode(node) {
+      var self = this;
+      node = node || this._selectedNode;
+      if (!node || !node.parent || !this._fileService) return;
+
+      var item = this._treeElement.querySelector('[data-id="' + node.id + '"]');
+      if (!item) return;
+      item.querySelector('.ide-tree-label').classList.add('ide-hidden');
+
+      this._editName(item, node.name, {
+        selectBaseName: node.isFile,
+        validate: function(name) {
+          return self._fileService.validateName(node.parent, name, node);
+        },
+        commit: async function(name) {
+          if (name !== node.name) {
+            await self._fileService.renameEntry(node, name);
+          }
+          self._selectNode(node);
+        },
+        errorMessage: 'Failed to rename',
+      });
+    }
+
+    /**
+     * Delete a file or folder after the user confirms
+     * @param {FileNode} [node] - Entry to delete; defaults to the selected one
+     * @returns {Promise<boolean>} True if it was deleted
+     */
+    async deleteNode(node) {
+      node = node || this._selectedNode;
+      if (!node || !node.parent || !this._fileService) return false;
+
+      var parent = node.parent;
+      if (!await this._confirmDelete(node)) {
+        this.focus();
+        return false;
+      }
+
+      try {
+        await this._fileService.deleteEntry(node);
+      } catch (err) {
+        this._emit('error', { message: 'Failed to delete ' + node.name, error: err });
+        return false;
+      }
+
+      if (this._selectedNode && this._isInside(this._selectedNode, node)) {
+        this._selectNode(parent);
+      }
+      this._render();
+      this.focus();
+      return true;
+    }
+
+    /**
+     * Copy a file or folder next to itself
+     * @param {FileNode} [node] - Entry to copy; defaults to the selected one
+     * @returns {Promise<FileNode|null>} The copy
+     */
+    async duplicateNode(node) {
+      node = node || this._selectedNode;
+      if (!node || !node.parent || !this._fileService) return null;
+
+      try {
+        var copy = await this._fileService.duplicateEntry(node);
+        this._selectNode(copy);
+        this._render();
+        this._scrollToNode(copy);
+        return copy;
+      } catch (err) {
+        this._emit('error', { message: 'Failed to duplicate ' + node.name, error: err });
+        return null;
+      }
+    }
+
+    /**
+     * Move a file or folder into another folder
+     * @param {FileNode} node - Entry to move
+     * @param {FileNode} directory - Folder to move it into
+     * @returns {Promise<boolean>} True if it was moved
+     */
+    async moveNode(node, directory) {
+      if (!this._canMove(node, directory)) return false;
+
+      try {
+        await this._fileService.moveEntry(node, directory);
+      } catch (err) {
+        this._emit('error', { message: 'Failed to move ' + node.name, error: err });
+        return false;
+      }
+
+      await this.expandNode(directory);
+      this._selectNode(node);
+      this._scrollToNode(node);
+      return true;
+    }
+
     /**
      * Focus the file explorer
      */
@@ -153,6 +333,14 @@
       }
     }
 
+    /**
+     * Check if the tree has the keyboard focus
+     * @returns {boolean}
+     */
+    hasFocus() {
+      return this._treeElement !== null && document.activeElement === this._treeElement;
+    }
+
     /**
      * Show the file explorer
      */
@@ -187,6 +375,7 @@
      * Dispose FileExplorer
      */
     dispose() {
+      this._closeContextMenu();
       this._listeners.clear();
       this._container.innerHTML = '';
     }
@@ -249,6 +438,8 @@
       this._welcomeElement.innerHTML =
         '<div class="ide-explorer-welcome-icon">📁</div>' +
         '<div class="ide-explorer-welcome-text">No folder opened</div>' +
+        '<button class="ide-explorer-welcome-btn ide-explorer-reopen-btn ide-hidden" data-action="reopen-folder">' +
+        '</button>' +
         '<button class="ide-explorer-welcome-btn" data-action="open-folder">' +
         'Open Folder' +
         '</button>';
@@ -278,11 +469,38 @@
         self._handleKeyDown(e);
       });
 
+      // Context menu on an entry, or on the empty space for the root folder
+      this._treeElement.addEventListener('contextmenu', function(e) {
+        self._handleContextMenu(e);
+      });
+
+      // Drag entries onto folders to move them
+      this._treeElement.addEventListener('dragstart', function(e) {
+        self._handleDragStart(e);
+      });
+      this._treeElement.addEventListener('dragover', function(e) {
+        self._handleDragOver(e);
+      });
+      this._treeElement.addEventListener('dragleave', function(e) {
+        if (!self._treeElement.contains(e.relatedTarget)) {
+          self._setDropTarget(null);
+        }
+      });
+      this._treeElement.addEventListener('drop', function(e) {
+        self._handleDrop(e);
+      });
+      this._treeElement.addEventListener('dragend', function() {
+        self._draggedNode = null;
+        self._setDropTarget(null);
+      });
+
       // Open folder button
       this._welcomeElement.addEventListener('click', function(e) {
-        var btn = e.target.closest('[data-action="open-folder"]');
-        if (btn) {
+        var btn = e.target.closest('[data-action]');
+        if (btn && btn.dataset.action === 'open-folder') {
           self._emit('openFolder', {});
+        } else if (btn && btn.dataset.action === 'reopen-folder') {
+          self._emit('reopenFolder', {});
         }
       });
     }
@@ -331,6 +549,7 @@
       item.dataset.path = node.path;
       item.dataset.id = node.id;
       item.dataset.type = node.type;
+      item.draggable = node.parent !== null;
       item.style.paddingLeft = (node.depth * 12 + 8) + 'px';
 
       // Selected state
@@ -343,6 +562,11 @@
         item.classList.add('focused');
       }
 
+      // Folder entries are being dragged onto
+      if (node === this._dropTarget) {
+        item.classList.add('drop-target');
+      }
+
       // Toggle arrow (for directories)
       if (node.type === 'directory') {
         var toggle = document.createElement('span');
@@ -367,6 +591,19 @@
       label.textContent = node.name;
       item.appendChild(label);
 
+      // Git status
+      var state = this._fileStatus.get(node.path);
+      if (state) {
+        item.classList.add('git-' + state);
+        var badge = document.createElement('span');
+        badge.className = 'ide-tree-git-status';
+        badge.textContent = FileExplorer.GIT_STATUS_LETTERS[state];
+        badge.title = state.charAt(0).toUpperCase() + state.slice(1);
+        item.appendChild(badge);
+      } else if (node.type === 'directory' && this._changedFolders.has(node.path)) {
+        item.classList.add('git-contains-changes');
+      }
+
       return item;
     }
 
@@ -472,6 +709,347 @@
       return this._rootNode.findById(id);
     }
 
+    // ============================================
+    // Private Methods - File Operations
+    // ============================================
+
+    /**
+     * Get the folder new entries go in for a node: the node itself if it is
+     * a folder, otherwise its parent
+     * @param {FileNode|null} node
+     * @returns {FileNode|null}
+     */
+    _getTargetDirectory(node) {
+      if (!node) return this._rootNode;
+      return node.isDirectory ? node : node.parent;
+    }
+
+    /**
+     * Check if a node is another node or inside it
+     * @param {FileNode} node
+     * @param {FileNode} ancestor
+     * @returns {boolean}
+     */
+    _isInside(node, ancestor) {
+      for (; node; node = node.parent) {
+        if (node === ancestor) return true;
+      }
+      return false;
+    }
+
+    /**
+     * Check if an entry can be moved into a folder
+     * @param {FileNode|null} node - Entry to move
+     * @param {FileNode|null} directory - Folder to move it into
+     * @returns {boolean}
+     */
+    _canMove(node, directory) {
+      return !!(node && directory && this._fileService && node.parent &&
+        directory.isDirectory && directory !== node.parent && !this._isInside(directory, node));
+    }
+
+    /**
+     * Add a row for a new entry at the top of a folder and ask for its name
+     * @param {FileNode|null} directory - Folder to create the entry in
+     * @param {string} type - 'file' or 'directory'
+     */
+    async _promptNewEntry(directory, type) {
+      var self = this;
+      if (!directory || !this._fileService) return;
+
+      await this.expandNode(directory);
+      var row = this._treeElement.querySelector('[data-id="' + directory.id + '"]');
+      if (!row) return;
+
+      var item = document.createElement('div');
+      item.className = 'ide-tree-item';
+      item.style.paddingLeft = ((directory.depth + 1) * 12 + 8) + 'px';
+      item.innerHTML =
+        '<span class="ide-tree-toggle-spacer"></span>' +
+        '<span class="ide-tree-icon ' + (type === 'file' ? 'file-default' : 'folder') + '">' +
+        (type === 'file' ? FileExplorer.ICONS.file : FileExplorer.ICONS.folder) +
+        '</span>';
+      row.after(item);
+
+      this._editName(item, '', {
+        selectBaseName: false,
+        validate: function(name) {
+          return self._fileService.validateName(directory, name);
+        },
+        commit: async function(name) {
+          var node = type === 'file'
+            ? await self._fileService.createFile(directory, name)
+            : await self._fileService.createDirectory(directory, name);
+          self._selectNode(node);
+          if (node.isFile) {
+            self._emit('fileSelect', { node: node, path: node.path });
+          }
+        },
+        errorMessage: type === 'file' ? 'Failed to create file' : 'Failed to create folder',
+      });
+    }
+
+    /**
+     * Edit a name in a tree row. Enter accepts a valid name, Escape cancels,
+     * and leaving the field accepts it if it is valid and cancels otherwise.
+     * @param {HTMLElement} item - Row to put the field in
+     * @param {string} value - Initial name
+     * @param {Object} options
+     * @param {boolean} options.selectBaseName - Select the name without its extension
+     * @param {Function} options.validate - Returns why a name cannot be used, or null
+     * @param {Function} options.commit - Applies the name; may return a promise
+     * @param {string} options.errorMessage - Reported if applying the name fails
+     */
+    _editName(item, value, options) {
+      var self = this;
+      var done = false;
+
+      var input = document.createElement('input');
+      input.className = 'ide-tree-input';
+      input.type = 'text';
+      input.spellcheck = false;
+      input.value = value;
+      item.appendChild(input);
+      item.draggable = false;
+
+      var message = document.createElement('div');
+      message.className = 'ide-tree-input-message ide-hidden';
+      message.style.marginLeft = item.style.paddingLeft;
+      item.after(message);
+
+      var validate = function() {
+        var problem = options.validate(input.value);
+        message.textContent = problem || '';
+        message.classList.toggle('ide-hidden', !problem);
+        input.classList.toggle('invalid', !!problem);
+        return problem;
+      };
+
+      var finish = function() {
+        done = true;
+        self._render();
+        self.focus();
+      };
+
+      var commit = async function() {
+        if (done || validate()) return;
+        done = true;
+        try {
+          await options.commit(input.value);
+        } catch (err) {
+          self._emit('error', { message: options.errorMessage, error: err });
+        }
+        finish();
+      };
+
+      input.addEventListener('keydown', function(e) {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          commit();
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          finish();
+        }
+      });
+      input.addEventListener('input', validate);
+      input.addEventListener('blur', function() {
+        if (done) return;
+        if (input.value === value || options.validate(input.value)) {
+          finish();
+        } else {
+          commit();
+        }
+      });
+
+      input.focus();
+      var dot = options.selectBaseName ? value.lastIndexOf('.') : -1;
+      input.setSelectionRange(0, dot > 0 ? dot : value.length);
+    }
+
+    /**
+     * Ask the user to confirm deleting an entry
+     * @param {FileNode} node - Entry to delete
+     * @returns {Promise<boolean>} True if confirmed
+     */
+    _confirmDelete(node) {
+      var unsaved = this._workspaceService
+        ? this._workspaceService.getTabsAt(node.path).filter(function(tab) { return tab.isDirty; }).length
+        : 0;
+
+      return new Promise(function(resolve) {
+        var overlay = document.createElement('div');
+        overlay.className = 'ide-dialog-overlay';
+
+        var dialog = document.createElement('div');
+        dialog.className = 'ide-dialog';
+        dialog.innerHTML =
+          '<div class="ide-dialog-header">Delete</div>' +
+          '<div class="ide-dialog-content">' +
+          '<div class="ide-delete-question"></div>' +
+          '<br>' +
+          '<div class="ide-delete-warning"></div>' +
+          '</div>' +
+          '<div class="ide-dialog-footer">' +
+          '<button class="ide-dialog-btn ide-dialog-btn-secondary" data-action="cancel">Cancel</button>' +
+          '<button class="ide-dialog-btn ide-dialog-btn-primary" data-action="delete">Delete</button>' +
+          '</div>';
+
+        dialog.querySelector('.ide-delete-question').textContent = node.isDirectory
+          ? 'Are you sure you want to delete the folder \'' + node.name + '\' and its contents?'
+          : 'Are you sure you want to delete \'' + node.name + '\'?';
+        dialog.querySelector('.ide-delete-warning').textContent = (unsaved > 0
+          ? (unsaved === 1 ? 'An open file has' : unsaved + ' open files have') +
+            ' unsaved changes, which will be lost. '
+          : '') + 'This cannot be undone.';
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        var close = function(confirmed) {
+          document.removeEventListener('keydown', handleKeyDown);
+          overlay.remove();
+          resolve(confirmed);
+        };
+
+        // Keyboard handlers (Escape = Cancel, Enter = Delete)
+        var handleKeyDown = function(e) {
+          if (e.key === 'Escape') {
+            e.preventDefault();
+            close(false);
+          } else if (e.key === 'Enter') {
+            e.preventDefault();
+            close(true);
+          }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+
+        dialog.addEventListener('click', function(e) {
+          var btn = e.target.closest('[data-action]');
+          if (btn) close(btn.dataset.action === 'delete');
+        });
+
+        // Click outside to cancel
+        overlay.addEventListener('click', function(e) {
+          if (e.target === overlay) close(false);
+        });
+
+        dialog.querySelector('[data-action="delete"]').focus();
+      });
+    }
+
+    /**
+     * Show the file operations for a node at a point
+     * @param {FileNode} node - Entry the menu is for
+     * @param {number} x - Client X
+     * @param {number} y - Client Y
+     */
+    _showContextMenu(node, x, y) {
+      var self = this;
+      this._closeContextMenu();
+      if (!this._fileService) return;
+
+      var directory = this._getTargetDirectory(node);
+      var items = [
+        { label: 'New File...', shortcut: 'Ctrl+Alt+N', action: function() { self.newFile(directory); } },
+        { label: 'New Folder...', shortcut: 'Ctrl+Alt+Shift+N', action: function() { self.newFolder(directory); } },
+      ];
+      if (node.parent) {
+        items.push(null);
+        items.push({ label: 'Rename...', shortcut: 'F2', action: function() { self.renameNode(node); } });
+        items.push({ label: 'Duplicate', shortcut: 'Ctrl+Alt+D', action: function() { self.duplicateNode(node); } });
+        items.push({ label: 'Delete', shortcut: 'Delete', action: function() { self.deleteNode(node); } });
+      }
+      if (node.type === 'file') {
+        var compareNode = this._compareNode;
+        items.push(null);
+        if (compareNode && compareNode !== node) {
+          items.push({
+            label: 'Compare with \'' + compareNode.name + '\'',
+            shortcut: '',
+            action: function() {
+              self._emit('compareFiles', { original: compareNode, modified: node });
+            },
+          });
+        }
+        items.push({ label: 'Select for Compare', shortcut: '', action: function() { self._compareNode = node; } });
+      }
+
+      var menu = document.createElement('div');
+      menu.className = 'ide-context-menu';
+      items.forEach(function(item) {
+        var el = document.createElement('div');
+        if (!item) {
+          el.className = 'ide-context-menu-separator';
+          menu.appendChild(el);
+          return;
+        }
+
+        el.className = 'ide-context-menu-item';
+        el.textContent = item.label;
+        var shortcut = document.createElement('span');
+        shortcut.className = 'ide-context-menu-shortcut';
+        shortcut.textContent = item.shortcut;
+        el.appendChild(shortcut);
+        el.addEventListener('click', function() {
+          self._closeContextMenu();
+          item.action();
+        });
+        menu.appendChild(el);
+      });
+
+      menu.style.left = x + 'px';
+      menu.style.top = y + 'px';
+      document.body.appendChild(menu);
+      this._contextMenu = menu;
+
+      // Keep the menu inside the window
+      var rect = menu.getBoundingClientRect();
+      if (rect.right > window.innerWidth) {
+        menu.style.left = Math.max(0, window.innerWidth - rect.width) + 'px';
+      }
+      if (rect.bottom > window.innerHeight) {
+        menu.style.top = Math.max(0, y - rect.height) + 'px';
+      }
+
+      this._boundCloseContextMenu = function(e) {
+        if (e.type === 'keydown' && e.key !== 'Escape') return;
+        if (e.type === 'mousedown' && menu.contains(e.target)) return;
+        self._closeContextMenu();
+      };
+      document.addEventListener('mousedown', this._boundCloseContextMenu, true);
+      document.addEventListener('keydown', this._boundCloseContextMenu, true);
+      window.addEventListener('blur', this._boundCloseContextMenu);
+    }
+
+    /**
+     * Close the context menu if it is open
+     */
+    _closeContextMenu() {
+      if (!this._contextMenu) return;
+
+      document.removeEventListener('mousedown', this._boundCloseContextMenu, true);
+      document.removeEventListener('keydown', this._boundCloseContextMenu, true);
+      window.removeEventListener('blur', this._boundCloseContextMenu);
+      this._contextMenu.remove();
+      this._contextMenu = null;
+      this._boundCloseContextMenu = null;
+    }
+
+    /**
+     * Highlight the folder entries are being dragged onto
+     * @param {FileNode|null} directory
+     */
+    _setDropTarget(directory) {
+      if (directory === this._dropTarget) return;
+
+      this._dropTarget = directory;
+      var id = directory ? directory.id : null;
+      this._treeElement.querySelectorAll('.ide-tree-item').forEach(function(el) {
+        el.classList.toggle('drop-target', el.dataset.id === id);
+      });
+    }
+
     // ============================================
     // Event Handlers
     // ============================================
@@ -481,6 +1059,8 @@
      * @param {MouseEvent} e
      */
     _handleClick(e) {
+      if (e.target.closest('.ide-tree-input')) return;
+
       var item = e.target.closest('.ide-tree-item');
       if (!item) return;
 
@@ -507,6 +1087,8 @@
      * @param {MouseEvent} e
      */
     _handleDoubleClick(e) {
+      if (e.target.closest('.ide-tree-input')) return;
+
       var item = e.target.closest('.ide-tree-item');
       if (!item) return;
 
@@ -527,7 +1109,17 @@
      * @param {KeyboardEvent} e
      */
     _handleKeyDown(e) {
-      if (!this._rootNode) return;
+      if (!this._rootNode || e.target !== this._treeElement) return;
+
+      // Rename, delete and the other file operations are commands bound to keys
+      if (e.key === 'ContextMenu' || (e.shiftKey && e.key === 'F10')) {
+        e.preventDefault();
+        var selected = this._selectedNode || this._rootNode;
+        var row = this._treeElement.querySelector('[data-id="' + selected.id + '"]');
+        var rect = row ? row.getBoundingClientRect() : this._treeElement.getBoundingClientRect();
+        this._showContextMenu(selected, rect.left + 16, rect.bottom);
+        return;
+      }
 
       var visibleNodes = this._rootNode.getVisibleNodes();
       var currentIndex = visibleNodes.indexOf(this._selectedNode);
@@ -608,6 +1200,75 @@
           break;
       }
     }
+
+    /**
+     * Handle right click on the tree
+     * @param {MouseEvent} e
+     */
+    _handleContextMenu(e) {
+      if (!this._rootNode || e.target.closest('.ide-tree-input')) return;
+      e.preventDefault();
+
+      var item = e.target.closest('.ide-tree-item');
+      var node = item ? this._findNodeByElement(item) : this._rootNode;
+      if (!node) return;
+
+      this._selectNode(node);
+      this._showContextMenu(node, e.clientX, e.clientY);
+    }
+
+    /**
+     * Handle the start of dragging an entry
+     * @param {DragEvent} e
+     */
+    _handleDragStart(e) {
+      var item = e.target.closest('.ide-tree-item');
+      var node = item ? this._findNodeByElement(item) : null;
+      if (!node || !node.parent) {
+        e.preventDefault();
+        return;
+      }
+
+      this._draggedNode = node;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', node.path);
+    }
+
+    /**
+     * Handle dragging over the tree: entries dropped on a file go into its folder
+     * @param {DragEvent} e
+     */
+    _handleDragOver(e) {
+      if (!this._draggedNode) return;
+
+      var item = e.target.closest('.ide-tree-item');
+      var node = item ? this._findNodeByElement(item) : this._rootNode;
+      var directory = this._getTargetDirectory(node);
+
+      if (!this._canMove(this._draggedNode, directory)) {
+        this._setDropTarget(null);
+        return;
+      }
+
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      this._setDropTarget(directory);
+    }
+
+    /**
+     * Handle dropping an entry on a folder
+     * @param {DragEvent} e
+     */
+    _handleDrop(e) {
+      var node = this._draggedNode;
+      var directory = this._dropTarget;
+      this._draggedNode = null;
+      this._setDropTarget(null);
+      if (!node || !directory) return;
+
+      e.preventDefault();
+      this.moveNode(node, directory);
+    }
   }
 
   // ============================================
@@ -14,9 +14,54 @@
   var StatusBar = CodeEditor.IDE.StatusBar;
   var FileExplorer = CodeEditor.IDE.FileExplorer;
   var SearchPanel = CodeEditor.IDE.SearchPanel;
+  var ProblemsPanel = CodeEditor.IDE.ProblemsPanel;
+  var OutlinePanel = CodeEditor.IDE.OutlinePanel;
+  var UndoHistoryPanel = CodeEditor.IDE.UndoHistoryPanel;
+  var SettingsPanel = CodeEditor.IDE.SettingsPanel;
+  var RecoveryDialog = CodeEditor.IDE.RecoveryDialog;
+  var QuickPick = CodeEditor.IDE.QuickPick;
+  var CommandPalette = CodeEditor.IDE.CommandPalette;
+  var QuickOpen = CodeEditor.IDE.QuickOpen;
+  var EditorPane = CodeEditor.IDE.EditorPane;
+  var CommandRegistry = CodeEditor.CommandRegistry;
+  var FuzzyMatch = CodeEditor.FuzzyMatch;
+  var KeybindingService = CodeEditor.KeybindingService;
+  var UserDataService = CodeEditor.UserDataService;
+  var SettingsService = CodeEditor.SettingsService;
+  var ThemeService = CodeEditor.ThemeService;
   var FileService = CodeEditor.FileService;
+  var SessionStore = CodeEditor.SessionStore;
   var WorkspaceService = CodeEditor.WorkspaceService;
+  var BackupService = CodeEditor.BackupService;
+  var FileWatcher = CodeEditor.FileWatcher;
   var GlobalSearchService = CodeEditor.GlobalSearchService;
+  var DiagnosticsService = CodeEditor.DiagnosticsService;
+  var GitService = CodeEditor.GitService;
+
+  // Pause after the last change before the session is saved
+  var SESSION_SAVE_DELAY_MS = 1000;
+
+  // User keybindings, kept with the user's files rather than the folder's
+  var KEYBINDINGS_FILE = 'keybindings.json';
+  var DEFAULT_KEYBINDINGS_FILE = 'defaultKeybindings.json';
+
+  var KEYBINDINGS_TEMPLATE =
+    '// Place your key bindings in this file to override the defaults\n' +
+    '// e.g. { "key": "ctrl+shift+d", "command": "editor.action.copyLinesDownAction", "when": "editorTextFocus" }\n' +
+    '// A command starting with "-" removes its default binding.\n' +
+    '[\n]\n';
+
+  // User settings, like the keybindings; the workspace ones are in the folder
+  var SETTINGS_FILE = 'settings.json';
+  var DEFAULT_SETTINGS_FILE = 'defaultSettings.json';
+  var WORKSPACE_SETTINGS_FOLDER = '.vscode';
+
+  var SETTINGS_TEMPLATE =
+    '// Place your settings in this file to override the defaults\n' +
+    '{\n}\n';
+
+  // Color themes the user installed, kept with the user's files as <id> + this
+  var THEME_FILE_SUFFIX = '.color-theme.json';
 
   class IDE {
     // ============================================
@@ -38,16 +83,48 @@
     _statusBar = null;
     _fileExplorer = null;
     _searchPanel = null;
+    _problemsPanel = null;
+    _outlinePanel = null;
+    _historyPanel = null;
+    _settingsPanel = null;
+    _recoveryDialog = null;
+    _quickPick = null;
+    _commandPalette = null;
+    _quickOpen = null;
 
     // Services
     _fileService = null;
+    _sessionStore = null;
     _workspaceService = null;
+    _backupService = null;
+    _fileWatcher = null;
     _globalSearchService = null;
+    _diagnosticsService = null;
+    _gitService = null;
+    _commandRegistry = null;
+    _keybindingService = null;
+    _userDataService = null;
+    _settingsService = null;
+    _themeService = null;
+
+    // Keyboard listeners of the editors of the panes, by pane id
+    _paneKeybindings = new Map();
+    _detachKeybindings = null;
 
     // State
     _isSidebarVisible = true;
     _activeView = 'explorer';
 
+    // Session persistence: saving starts once the saved session is restored
+    _sessionReady = false;
+    _sessionSaveTimer = null;
+    _recoveryChecked = false;
+
+    // Installed themes are read after startup; the theme before switching to
+    // a high contrast one is the one to switch back to
+    _themesLoaded = false;
+    _themeBeforeHighContrast = null;
+
     // ============================================
     // Constructor
     // ============================================
@@ -66,6 +143,7 @@
         showSidebar: true,
         showStatusBar: true,
         theme: 'dark',
+        persistSession: true,
       };
       options = options || {};
       this._container = container;
@@ -78,7 +156,15 @@
       this._createDOM();
       this._initComponents();
       this._bindEvents();
+      this._registerCommands();
+      this._initKeybindings();
+      this._initSettings();
+      this._initThemes();
       this._applyTheme(this._options.theme);
+
+      if (this._options.persistSession) {
+        this.restoreSession();
+      }
     }
 
     // ============================================
@@ -94,9 +180,13 @@
         var rootNode = await this._fileService.openFolder();
         if (rootNode) {
           this._workspaceService.setRootFolder(rootNode);
-          this._fileExplorer.setRoot(rootNode);
-          this._statusBar.setFolderOpened(true);
-          this._emit('folderOpened', { root: rootNode });
+          this._showFolder(rootNode);
+
+          // A session still waiting to reopen its folder is replaced by this one
+          this._workspaceService.discardPendingSession();
+          if (this._fileExplorer) this._fileExplorer.setReopenFolder(null);
+          if (this._options.persistSession) this._setSessionReady();
+          this._scheduleSessionSave();
         }
         return rootNode;
       } catch (err) {
@@ -106,6 +196,44 @@
       }
     }
 
+    /**
+     * Reopen the folder of the last session and restore its tabs, asking
+     * for the folder permission the browser dropped on reload. Call from a
+     * click handler; browsers only show the prompt after a user gesture.
+     * @returns {Promise<boolean>} True if the session was restored
+     */
+    reopenFolder() {
+      return this._restoreSession(true);
+    }
+
+    /**
+     * Restore the folder, tabs and split layout saved before the last
+     * reload. If the folder needs permission again, the explorer offers to
+     * reopen it instead.
+     * @returns {Promise<boolean>} True if a session was restored
+     */
+    restoreSession() {
+      return this._restoreSession(false);
+    }
+
+    /**
+     * Save the session now rather than after the next pause
+     * @returns {Promise<void>}
+     */
+    async saveSession() {
+      if (this._sessionSaveTimer) {
+        clearTimeout(this._sessionSaveTimer);
+        this._sessionSaveTimer = null;
+      }
+      if (!this._options.persistSession || !this._sessionReady) return;
+
+      try {
+        await this._workspaceService.saveSession(this._splitContainer.getLayout());
+      } catch (err) {
+        console.error('Failed to save session:', err);
+      }
+    }
+
     /**
      * Open a file
      * @param {string} path - File path
@@ -145,11 +273,61 @@
           this._emit('fileSaved', { path: activeTab.path });
         }
       } catch (err) {
+        if (err.name === 'FileChangedError') {
+          // Show the conflict bar so the user can choose which version to keep
+          this._fileWatcher.check();
+          this._emit('error', { message: 'The file was changed on disk. Keep your changes or load the disk version before saving.', error: err });
+          return;
+        }
         console.error('Failed to save file:', err);
         this._emit('error', { message: 'Failed to save file', error: err });
       }
     }
 
+    /**
+     * Compare the current tab with its saved content, or go back to the
+     * plain editor if it is compared already
+     */
+    compareWithSaved() {
+      var pane = this._splitContainer.getActivePane();
+      var tab = pane ? pane.getCurrentTab() : null;
+      if (!tab || tab.isImage()) return;
+
+      pane.setDiff(tab.id, tab.diff ? null : {
+        original: null,
+        originalLabel: tab.name + ' (Saved)',
+        modifiedLabel: tab.name,
+      });
+    }
+
+    /**
+     * Open a file and compare it with another one
+     * @param {string} originalPath - File shown on the left
+     * @param {string} modifiedPath - File opened and shown, editable, on the right
+     * @returns {Promise<void>}
+     */
+    async compareFiles(originalPath, modifiedPath) {
+      // An open file is compared with what its tab holds, unsaved changes included
+      var originalTab = this._workspaceService.getTabByPath(originalPath);
+      var original = originalTab ? { content: originalTab.content } : await this._workspaceService.readFileAtPath(originalPath);
+      var modified = await this._workspaceService.readFileAtPath(modifiedPath);
+      if (!original || !modified || original.isImage || modified.isImage) {
+        this._emit('error', { message: 'Failed to compare ' + originalPath + ' with ' + modifiedPath });
+        return;
+      }
+
+      await this.openFile(modifiedPath);
+      var pane = this._splitContainer.getActivePane();
+      var tab = pane ? pane.getCurrentTab() : null;
+      if (tab && tab.path === modifiedPath) {
+        pane.setDiff(tab.id, {
+          original: original.content,
+          originalLabel: originalPath,
+          modifiedLabel: modifiedPath,
+        });
+      }
+    }
+
     /**
      * Toggle sidebar visibility
      */
@@ -179,7 +357,7 @@
 
     /**
      * Set active view in sidebar
-     * @param {string} viewId - View ID ('explorer', 'search', etc.)
+     * @param {string} viewId - View ID ('explorer', 'search', 'problems', 'outline', 'history', 'settings')
      */
     setActiveView(viewId) {
       this._activeView = viewId;
@@ -195,11 +373,150 @@
 
     /**
      * Set IDE theme
-     * @param {string} theme - 'dark' or 'light'
+     * @param {string} theme - Id or name of a color theme, e.g. 'dark' or 'Light+'
+     * @returns {boolean} False if there is no such theme
      */
     setTheme(theme) {
-      this._applyTheme(theme);
-      this._emit('themeChanged', { theme: theme });
+      var found = this._themeService.getTheme(theme);
+      if (!found) {
+        this._emit('error', { message: 'Unknown color theme "' + theme + '"' });
+        return false;
+      }
+      this._applyTheme(found.id);
+      this._emit('themeChanged', { theme: found.id });
+      return true;
+    }
+
+    /**
+     * Get the service holding the color themes
+     * @returns {ThemeService}
+     */
+    getThemeService() {
+      return this._themeService;
+    }
+
+    /**
+     * Pick a color theme from a list, trying each on the way; closing the
+     * list goes back to the theme before
+     */
+    showThemePicker() {
+      var self = this;
+      var themeService = this._themeService;
+      var previous = this._options.theme;
+
+      var groups = [
+        { label: 'light themes', test: function(type) { return type === 'light'; } },
+        { label: 'dark themes', test: function(type) { return type === 'dark'; } },
+        { label: 'high contrast themes', test: function(type) { return themeService.isHighContrast(type); } },
+      ];
+      var items = [];
+      groups.forEach(function(group) {
+        themeService.getThemes().filter(function(theme) {
+          return group.test(theme.type);
+        }).forEach(function(theme, index) {
+          items.push({
+            label: theme.name,
+            description: theme.builtin ? '' : theme.id,
+            id: theme.id,
+            group: index === 0 ? group.label : undefined,
+            picked: theme.id === previous,
+          });
+        });
+      });
+
+      this._quickPick.show({
+        placeholder: 'Select Color Theme (Up/Down Keys to Preview)',
+        getItems: function(query) {
+          if (!query.trim()) return items;
+          return items.filter(function(item) {
+            return FuzzyMatch.match(query, item.label) !== null;
+          }).map(function(item) {
+            return Object.assign({}, item, { group: undefined, picked: false });
+          });
+        },
+        emptyText: 'No matching color themes',
+        onActive: function(item) {
+          self._applyTheme(item.id);
+        },
+        onAccept: function(item) {
+          self.setTheme(item.id);
+          self.updateSetting('workbench.colorTheme', item.id);
+        },
+        onClose: function() {
+          self._applyTheme(previous);
+        },
+      });
+    }
+
+    /**
+     * Switch between a high contrast theme and the theme before it
+     */
+    toggleHighContrast() {
+      var themeService = this._themeService;
+      var current = themeService.getTheme(this._options.theme);
+      var target;
+      if (current && themeService.isHighContrast(current.type)) {
+        target = this._themeBeforeHighContrast || (current.type === 'hc-light' ? 'light' : 'dark');
+      } else {
+        this._themeBeforeHighContrast = this._options.theme;
+        target = current && themeService.isLight(current.type) ? 'hc-light' : 'hc-dark';
+      }
+      if (this.setTheme(target)) this.updateSetting('workbench.colorTheme', target);
+    }
+
+    /**
+     * Install a color theme from a theme file, as written for VS Code, and
+     * switch to it
+     * @returns {Promise<boolean>} True if a theme was installed
+     */
+    async installColorThemeFromFile() {
+      if (typeof window.showOpenFilePicker !== 'function') {
+        this._emit('error', { message: 'This browser cannot open files' });
+        return false;
+      }
+
+      var handles;
+      try {
+        handles = await window.showOpenFilePicker({
+          types: [{ description: 'Color themes', accept: { 'application/json': ['.json'] } }],
+        });
+      } catch (err) {
+        if (err && err.name === 'AbortError') return false;
+        throw err;
+      }
+
+      try {
+        var file = await handles[0].getFile();
+        var content = await file.text();
+        var theme;
+        try {
+          theme = this._themeService.parseTheme(content);
+        } catch (err) {
+          this._emit('error', { message: file.name + ' is not a color theme: ' + err.message, error: err });
+          return false;
+        }
+
+        var existing = this._themeService.getTheme(theme.id);
+        if (existing && existing.builtin) {
+          this._emit('error', { message: 'The color theme "' + existing.name + '" with the id "' + theme.id + '" is built in' });
+          return false;
+        }
+
+        // The file name keeps the id of a theme that gives none
+        var saved = await this._userDataService.writeFile(theme.id + THEME_FILE_SUFFIX, content);
+        if (!saved) {
+          this._emit('error', { message: 'Color themes cannot be saved in this browser' });
+          return false;
+        }
+
+        this._themeService.loadTheme(content, theme.id);
+        if (this.setTheme(theme.id)) await this.updateSetting('workbench.colorTheme', theme.id);
+        return true;
+      } catch (err) {
+        console.error('Failed to install color theme:', err);
+        this._emit('error', { message: 'Failed to install color theme', error: err });
+        return false;
+      }
     }
 
     /**
@@ -244,6 +561,14 @@
       return this._workspaceService;
     }
 
+    /**
+     * Get diagnostics service
+     * @returns {DiagnosticsService}
+     */
+    getDiagnosticsService() {
+      return this._diagnosticsService;
+    }
+
     /**
      * Focus the editor
      */
@@ -253,25 +578,265 @@
       }
     }
 
+    /**
+     * Show the command palette
+     */
+    showCommandPalette() {
+      this._commandPalette.show();
+    }
+
+    /**
+     * Show the list of the workspace files to open one
+     * @param {string} [value] - Text typed initially, e.g. '@' for the symbols of the active editor
+     */
+    showQuickOpen(value) {
+      if (this._quickOpen) this._quickOpen.show(value);
+    }
+
+    /**
+     * Get the registry of the IDE and editor commands
+     * @returns {CommandRegistry}
+     */
+    getCommandRegistry() {
+      return this._commandRegistry;
+    }
+
+    /**
+     * Get the service running commands from the keyboard
+     * @returns {KeybindingService}
+     */
+    getKeybindingService() {
+      return this._keybindingService;
+    }
+
+    /**
+     * Open the user keybindings file, creating it if needed
+     * @returns {Promise<void>}
+     */
+    async openKeybindingsFile() {
+      try {
+        var node = await this._userDataService.getFileNode(KEYBINDINGS_FILE, KEYBINDINGS_TEMPLATE);
+        if (!node) {
+          this._emit('error', { message: 'Keyboard shortcuts cannot be saved in this browser' });
+          return;
+        }
+        await this.openFile(node.path, node);
+      } catch (err) {
+        console.error('Failed to open keybindings:', err);
+        this._emit('error', { message: 'Failed to open keybindings', error: err });
+      }
+    }
+
+    /**
+     * Open the default keybindings, for reference, as a file that is not saved
+     * @returns {Promise<void>}
+     */
+    async openDefaultKeybindingsFile() {
+      var path = this._userDataService.getPath(DEFAULT_KEYBINDINGS_FILE);
+      var bindings = this._keybindingService.getDefaultKeybindings().map(function(binding) {
+        var entry = { key: binding.key, command: binding.command };
+        if (binding.when) entry.when = binding.when;
+        return '  ' + JSON.stringify(entry);
+      });
+      var content = '// Default key bindings; override them in keybindings.json\n' +
+        '[\n' + bindings.join(',\n') + '\n]\n';
+
+      // Written afresh unless open, so that it lists commands added since
+      if (!this._workspaceService.getTabByPath(path)) {
+        this._fileService.createVirtualFile(path, content);
+      }
+      await this.openFile(path);
+    }
+
+    /**
+     * Get the service holding the values of the settings
+     * @returns {SettingsService}
+     */
+    getSettingsService() {
+      return this._settingsService;
+    }
+
+    /**
+     * Show the settings in the sidebar
+     * @param {string} [query] - Search to start with, e.g. '@modified'
+     */
+    openSettings(query) {
+      if (!this._settingsPanel) {
+        this.openSettingsFile('user');
+        return;
+      }
+      this.setActiveView('settings');
+      if (query !== undefined) this._settingsPanel.search(query);
+    }
+
+    /**
+     * Open a settings file, creating it if needed
+     * @param {string} [target] - 'user' (default) or 'workspace'
+     * @returns {Promise<void>}
+     */
+    async openSettingsFile(target) {
+      try {
+        var node = await this._getSettingsFileNode(target || 'user');
+        if (node) await this.openFile(node.path, node);
+      } catch (err) {
+        console.error('Failed to open settings:', err);
+        this._emit('error', { message: 'Failed to open settings', error: err });
+      }
+    }
+
+    /**
+     * Open the default settings, for reference, as a file that is not saved
+     * @returns {Promise<void>}
+     */
+    async openDefaultSettingsFile() {
+      var path = this._userDataService.getPath(DEFAULT_SETTINGS_FILE);
+      if (!this._workspaceService.getTabByPath(path)) {
+        this._fileService.createVirtualFile(path, this._settingsService.getDefaultSettingsText());
+      }
+      await this.openFile(path);
+    }
+
+    /**
+     * Change a setting in a settings file, keeping the rest of the file
+     * as it is, and apply it
+     * @param {string} key - Setting key, e.g. 'editor.tabSize'
+     * @param {*} value - New value; undefined removes the setting from the file
+     * @param {string} [target] - 'user' (default) or 'workspace'
+     * @param {string} [language] - Change the value for this language only
+     * @returns {Promise<boolean>} True if the file was changed
+     */
+    async updateSetting(key, value, target, language) {
+      target = target || 'user';
+      var settings = this._settingsService;
+
+      var problem = value === undefined ? null : settings.validate(key, value);
+      if (problem) {
+        this._emit('error', { message: problem });
+        return false;
+      }
+
+      try {
+        var node = await this._getSettingsFileNode(target);
+        if (!node) return false;
+
+        // Unsaved edits of the file would be lost, or would hide the change
+        var tab = this._workspaceService.getTabByPath(node.path);
+        if (tab && tab.isDirty) {
+          this._emit('error', { message: 'Save or revert ' + node.path + ' before changing settings' });
+          return false;
+        }
+
+        var file = await node.handle.getFile();
+        var content = await file.text();
+        var newContent;
+        try {
+          newContent = settings.updateSettingsText(content, key, value, language);
+        } catch (err) {
+          this._emit('error', { message: 'Fix ' + node.path + ' before changing settings: ' + err.message, error: err });
+          return false;
+        }
+        if (newContent === content) return false;
+
+        var writable = await node.handle.createWritable();
+        await writable.write(newContent);
+        await writable.close();
+
+        this._applySettings(target, newContent);
+
+        // An open tab of the file shows the new content
+        if (tab) this._fileWatcher.check();
+        return true;
+      } catch (err) {
+        console.error('Failed to update settings:', err);
+        this._emit('error', { message: 'Failed to update settings', error: err });
+        return false;
+      }
+    }
+
+    /**
+     * List the keys bound to several commands that apply at the same time
+     */
+    showKeybindingConflicts() {
+      var self = this;
+      var registry = this._commandRegistry;
+      var items = [];
+
+      this._keybindingService.getConflicts().forEach(function(conflict) {
+        conflict.bindings.forEach(function(binding, index) {
+          var command = registry.get(binding.command);
+          var title = command ? (command.category ? command.category + ': ' : '') + command.title : binding.command;
+          items.push({
+            label: title,
+            description: binding.command + (binding.when ? '  when ' + binding.when : ''),
+            keybinding: binding.key,
+            group: index === 0 ? conflict.key : undefined,
+          });
+        });
+      });
+
+      this._quickPick.show({
+        placeholder: 'Keys bound to several commands; pick one to change the keybindings',
+        getItems: function(query) {
+          if (!query.trim()) return items;
+          return items.filter(function(item) {
+            return FuzzyMatch.match(query, item.label + ' ' + item.keybinding) !== null;
+          }).map(function(item) {
+            return Object.assign({}, item, { group: undefined });
+          });
+        },
+        emptyText: 'No keybinding conflicts',
+        onAccept: function() {
+          self.openKeybindingsFile();
+        },
+      });
+    }
+
+    /**
+     * Run a command by id
+     * @param {string} id - Command id
+     * @param {...*} args - Arguments for the command
+     * @returns {Promise<*>} What the command returns
+     */
+    executeCommand(id) {
+      var registry = this._commandRegistry;
+      return registry.execute.apply(registry, arguments);
+    }
+
     /**
      * Dispose IDE and cleanup
      */
     dispose() {
+      if (this._sessionSaveTimer) clearTimeout(this._sessionSaveTimer);
+      if (this._backupService) this._backupService.dispose();
+      if (this._fileWatcher) this._fileWatcher.dispose();
+      if (this._gitService) this._gitService.dispose();
+      if (this._recoveryDialog) this._recoveryDialog.close();
+      if (this._detachKeybindings) this._detachKeybindings();
+      this._paneKeybindings.forEach(function(detach) {
+        detach();
+      });
+      this._paneKeybindings.clear();
+      if (this._quickOpen) this._quickOpen.dispose();
+      if (this._quickPick) this._quickPick.dispose();
       if (this._activityBar) this._activityBar.dispose();
       if (this._sidebar) this._sidebar.dispose();
       if (this._splitContainer) this._splitContainer.dispose();
       if (this._statusBar) this._statusBar.dispose();
       if (this._fileExplorer) this._fileExplorer.dispose();
       if (this._searchPanel) this._searchPanel.dispose();
+      if (this._problemsPanel) this._problemsPanel.dispose();
+      if (this._outlinePanel) this._outlinePanel.dispose();
+      if (this._historyPanel) this._historyPanel.dispose();
+      if (this._settingsPanel) this._settingsPanel.dispose();
+      if (this._diagnosticsService) this._diagnosticsService.dispose();
       this._listeners.clear();
 
       if (this._rootElement && this._rootElement.parentNode) {
         this._rootElement.parentNode.removeChild(this._rootElement);
       }
 
-      // Remove keyboard handler
-      if (this._boundHandleKeyDown) {
-        document.removeEventListener('keydown', this._boundHandleKeyDown);
+      if (this._boundSaveSession) {
+        window.removeEventListener('pagehide', this._boundSaveSession);
       }
     }
 
@@ -335,7 +900,18 @@
      */
     _initServices() {
       this._fileService = new FileService();
-      this._workspaceService = new WorkspaceService(this._fileService);
+      this._sessionStore = new SessionStore();
+      this._workspaceService = new WorkspaceService(this._fileService, {
+        sessionStore: this._sessionStore,
+      });
+      this._diagnosticsService = new DiagnosticsService();
+      this._commandRegistry = new CommandRegistry();
+      this._keybindingService = new KeybindingService({ registry: this._commandRegistry });
+      this._userDataService = new UserDataService();
+      this._settingsService = new SettingsService({
+        defaults: { 'workbench.colorTheme': this._options.theme },
+      });
+      this._themeService = new ThemeService();
     }
 
     /**
@@ -393,7 +969,7 @@
         });
       }
 
-      // Sidebar with File Explorer and Search Panel
+      // Sidebar with File Explorer, Search, Problems, Outline and Undo History Panels
       if (this._options.showSidebar) {
         this._sidebar = new Sidebar(this._sidebarContainer, {
           width: this._options.sidebarWidth,
@@ -404,6 +980,7 @@
         // File Explorer
         this._fileExplorer = new FileExplorer(this._sidebar.getContentElement(), {
           fileService: this._fileService,
+          workspaceService: this._workspaceService,
         });
 
         // Global Search Service and Panel
@@ -415,20 +992,80 @@
           ide: this,
           searchService: this._globalSearchService,
         });
+
+        // Problems Panel
+        this._problemsPanel = new ProblemsPanel(this._sidebar.getContentElement(), {
+          ide: this,
+          diagnosticsService: this._diagnosticsService,
+        });
       }
 
       // Split Container (replaces EditorArea)
       this._splitContainer = new SplitContainer(this._editorAreaContainer, {
         workspaceService: this._workspaceService,
         fileService: this._fileService,
+        settingsService: this._settingsService,
+      });
+
+      // Backups of unsaved changes in every pane
+      this._backupService = new BackupService({
+        store: this._sessionStore,
+        workspaceService: this._workspaceService,
+        splitContainer: this._splitContainer,
       });
 
+      // Reload of files changed on disk by other programs
+      this._fileWatcher = new FileWatcher({
+        fileService: this._fileService,
+        splitContainer: this._splitContainer,
+      });
+      this._fileWatcher.start();
+
+      // Status of the files against the git repository of the folder, if any
+      this._gitService = new GitService({
+        fileService: this._fileService,
+      });
+      this._gitService.start();
+
+      // Outline, Undo History and Settings Panels (follow the active pane, so created after the panes)
+      if (this._sidebar) {
+        this._outlinePanel = new OutlinePanel(this._sidebar.getContentElement(), {
+          ide: this,
+          splitContainer: this._splitContainer,
+        });
+        this._historyPanel = new UndoHistoryPanel(this._sidebar.getContentElement(), {
+          ide: this,
+          splitContainer: this._splitContainer,
+        });
+        this._settingsPanel = new SettingsPanel(this._sidebar.getContentElement(), {
+          ide: this,
+          settingsService: this._settingsService,
+        });
+      }
+
       // Status Bar
       if (this._options.showStatusBar) {
         this._statusBar = new StatusBar(this._statusBarContainer, {
           editor: this._splitContainer.getEditor(),
         });
       }
+
+      // Command Palette and Quick Open
+      this._quickPick = new QuickPick(this._rootElement);
+      this._commandPalette = new CommandPalette({
+        quickPick: this._quickPick,
+        registry: this._commandRegistry,
+        keybindings: this._keybindingService,
+      });
+      if (this._splitContainer) {
+        this._quickOpen = new QuickOpen({
+          quickPick: this._quickPick,
+          ide: this,
+          workspaceService: this._workspaceService,
+          fileService: this._fileService,
+          splitContainer: this._splitContainer,
+        });
+      }
     }
 
     /**
@@ -447,14 +1084,57 @@
           if (data.view === 'explorer') {
             if (self._fileExplorer) self._fileExplorer.show();
             if (self._searchPanel) self._searchPanel.hide();
+            if (self._problemsPanel) self._problemsPanel.hide();
+            if (self._outlinePanel) self._outlinePanel.hide();
+            if (self._historyPanel) self._historyPanel.hide();
+            if (self._settingsPanel) self._settingsPanel.hide();
             self._sidebar.setTitle('EXPLORER');
           } else if (data.view === 'search') {
             if (self._fileExplorer) self._fileExplorer.hide();
+            if (self._problemsPanel) self._problemsPanel.hide();
+            if (self._outlinePanel) self._outlinePanel.hide();
+            if (self._historyPanel) self._historyPanel.hide();
+            if (self._settingsPanel) self._settingsPanel.hide();
             if (self._searchPanel) {
               self._searchPanel.show();
               self._searchPanel.focus();
             }
             self._sidebar.setTitle('SEARCH');
+          } else if (data.view === 'problems') {
+            if (self._fileExplorer) self._fileExplorer.hide();
+            if (self._searchPanel) self._searchPanel.hide();
+            if (self._outlinePanel) self._outlinePanel.hide();
+            if (self._historyPanel) self._historyPanel.hide();
+            if (self._settingsPanel) self._settingsPanel.hide();
+            if (self._problemsPanel) self._problemsPanel.show();
+            self._sidebar.setTitle('PROBLEMS');
+          } else if (data.view === 'outline') {
+            if (self._fileExplorer) self._fileExplorer.hide();
+            if (self._searchPanel) self._searchPanel.hide();
+            if (self._problemsPanel) self._problemsPanel.hide();
+            if (self._historyPanel) self._historyPanel.hide();
+            if (self._settingsPanel) self._settingsPanel.hide();
+            if (self._outlinePanel) self._outlinePanel.show();
+            self._sidebar.setTitle('OUTLINE');
+          } else if (data.view === 'history') {
+            if (self._fileExplorer) self._fileExplorer.hide();
+            if (self._searchPanel) self._searchPanel.hide();
+            if (self._problemsPanel) self._problemsPanel.hide();
+            if (self._outlinePanel) self._outlinePanel.hide();
+            if (self._settingsPanel) self._settingsPanel.hide();
+            if (self._historyPanel) self._historyPanel.show();
+            self._sidebar.setTitle('UNDO HISTORY');
+          } else if (data.view === 'settings') {
+            if (self._fileExplorer) self._fileExplorer.hide();
+            if (self._searchPanel) self._searchPanel.hide();
+            if (self._problemsPanel) self._problemsPanel.hide();
+            if (self._outlinePanel) self._outlinePanel.hide();
+            if (self._historyPanel) self._historyPanel.hide();
+            if (self._settingsPanel) {
+              self._settingsPanel.show();
+              self._settingsPanel.focus();
+            }
+            self._sidebar.setTitle('SETTINGS');
           }
 
           // Show sidebar if hidden when changing views
@@ -464,6 +1144,11 @@
 
           self._emit('viewChanged', { view: data.view, previousView: previousView });
         });
+
+        // The gear at the bottom opens the settings
+        this._activityBar.on('settingsClick', function() {
+          self.openSettings();
+        });
       }
 
       // Sidebar resize
@@ -479,9 +1164,31 @@
           self.openFile(data.path, data.node);
         });
 
+        this._fileExplorer.on('compareFiles', function(data) {
+          self.compareFiles(data.original.path, data.modified.path);
+        });
+
         this._fileExplorer.on('openFolder', function() {
           self.openFolder();
         });
+
+        this._fileExplorer.on('reopenFolder', function() {
+          self.reopenFolder();
+        });
+
+        this._fileExplorer.on('error', function(data) {
+          self._emit('error', data);
+        });
+      }
+
+      this._commandPalette.on('error', function(data) {
+        self._emit('error', data);
+      });
+
+      if (this._quickOpen) {
+        this._quickOpen.on('error', function(data) {
+          self._emit('error', data);
+        });
       }
 
       // SplitContainer events
@@ -502,10 +1209,55 @@
           self._emit('contentChanged', {});
         });
 
+        this._splitContainer.on('diagnosticsChange', function(data) {
+          self._diagnosticsService.setDiagnostics(data.path, data.diagnostics);
+        });
+
         this._splitContainer.on('openFolder', function() {
           self.openFolder();
         });
 
+        // Files changed on disk under unsaved changes
+        ['tabActivate', 'paneAdded'].forEach(function(event) {
+          self._splitContainer.on(event, function() {
+            self._updateConflictBars();
+          });
+        });
+
+        this._fileWatcher.on('conflictsChanged', function() {
+          self._updateConflictBars();
+        });
+
+        // Git status of the files, and changed lines of each pane's file
+        this._splitContainer.on('paneAdded', function() {
+          self._updateFileStatus();
+        });
+
+        ['tabActivate', 'paneAdded'].forEach(function(event) {
+          self._splitContainer.on(event, function() {
+            self._updateGitBases();
+          });
+        });
+
+        this._gitService.on('headChange', function() {
+          self._updateGitBases();
+        });
+
+        // A file renamed or added to the index may have another committed version
+        this._gitService.on('statusChange', function() {
+          self._updateFileStatus();
+          self._updateGitBases();
+        });
+
+        this._splitContainer.on('conflictAction', function(data) {
+          self._resolveConflict(data);
+        });
+
+        this._splitContainer.on('compareRequest', function(data) {
+          self._splitContainer.setActivePane(data.paneId);
+          self.compareWithSaved();
+        });
+
         this._splitContainer.on('activePaneChanged', function(data) {
           // Update status bar with new pane's editor
           if (self._statusBar && data.pane) {
@@ -532,68 +1284,802 @@
 
       this._workspaceService.on('tabClosed', function(data) {
         self._splitContainer.removeTab(data.tab.id);
+        self._diagnosticsService.clearDiagnostics(data.tab.path);
+      });
+
+      this._workspaceService.on('tabRenamed', function(data) {
+        self._splitContainer.refreshTab(data.tab.id);
+        self._diagnosticsService.clearDiagnostics(data.oldPath);
+        if (self._statusBar && self._splitContainer.getCurrentTab() === data.tab) {
+          self._statusBar.setLanguage(data.tab.language);
+        }
+      });
+
+      // Copies of tabs opened beside others follow their file too
+      this._fileService.on('entryRenamed', function(data) {
+        self._splitContainer.renameTabs(data.oldPath, data.newPath);
+        self._scheduleSessionSave();
+      });
+
+      this._fileService.on('entryDeleted', function(data) {
+        self._splitContainer.removeTabsAt(data.path);
+        self._scheduleSessionSave();
       });
 
-      // Keyboard shortcuts
-      this._boundHandleKeyDown = function(e) {
-        self._handleKeyDown(e);
+      // Problem counts in the status bar and on the activity bar
+      this._diagnosticsService.on('change', function(data) {
+        if (self._statusBar) {
+          self._statusBar.setProblems(data.counts.errors, data.counts.warnings);
+        }
+        if (self._activityBar) {
+          self._activityBar.setBadge('problems', data.counts.errors + data.counts.warnings);
+        }
+        self._emit('problemsChanged', { counts: data.counts });
+      });
+
+      if (this._statusBar) {
+        this._statusBar.on('problemsClick', function() {
+          self.setActiveView('problems');
+        });
+      }
+
+      // Keep the saved session up to date
+      if (this._splitContainer) {
+        [
+          'tabActivate', 'tabClose', 'contentChange', 'selectionChange', 'historyChange',
+          'paneAdded', 'paneRemoved', 'activePaneChanged', 'layoutChanged',
+        ].forEach(function(event) {
+          self._splitContainer.on(event, function() {
+            self._scheduleSessionSave();
+          });
+        });
+      }
+      this._boundSaveSession = function() {
+        self.saveSession();
+        if (self._recoveryChecked) self._backupService.backup();
+      };
+      window.addEventListener('pagehide', this._boundSaveSession);
+    }
+
+    // ============================================
+    // Private Methods - Commands
+    // ============================================
+
+    /**
+     * Register the commands of the IDE and of the editor features
+     */
+    _registerCommands() {
+      var self = this;
+      var registry = this._commandRegistry;
+
+      var hasFolder = function() {
+        return self._workspaceService.getRootFolder() !== null;
+      };
+      var hasSidebar = function() {
+        return self._sidebar !== null;
+      };
+      var hasExplorerFolder = function() {
+        return hasFolder() && self._fileExplorer !== null;
+      };
+      var hasCodeTab = function() {
+        return self._getActiveCodePane() !== null;
+      };
+      var isComparing = function() {
+        var pane = self._getActiveCodePane();
+        return pane !== null && pane.getDiffEditor().isVisible();
+      };
+
+      [
+        // File
+        { id: 'workbench.action.files.openFolder', title: 'Open Folder...', category: 'File',
+          run: function() { return self.openFolder(); } },
+        { id: 'workbench.action.files.save', title: 'Save', category: 'File', keybinding: 'Ctrl+S',
+          isEnabled: hasCodeTab, run: function() { return self.saveCurrentFile(); } },
+        { id: 'workbench.files.action.compareWithSaved', title: 'Compare with Saved', category: 'File',
+          isEnabled: hasCodeTab, run: function() { self.compareWithSaved(); } },
+        { id: 'explorer.newFile', title: 'New File...', category: 'File', keybinding: 'Ctrl+Alt+N',
+          isEnabled: function() { return hasFolder() && self._fileExplorer !== null; },
+          run: function() {
+            self.setActiveView('explorer');
+            return self._fileExplorer.newFile();
+          } },
+        { id: 'explorer.newFolder', title: 'New Folder...', category: 'File', keybinding: 'Ctrl+Alt+Shift+N',
+          isEnabled: function() { return hasFolder() && self._fileExplorer !== null; },
+          run: function() {
+            self.setActiveView('explorer');
+            return self._fileExplorer.newFolder();
+          } },
+
+        // Explorer: act on the entry selected in the tree
+        { id: 'renameFile', title: 'Rename', category: 'Explorer', keybinding: 'F2', when: 'explorerFocus',
+          isEnabled: hasExplorerFolder, run: function() { self._fileExplorer.renameNode(); } },
+        { id: 'deleteFile', title: 'Delete', category: 'Explorer', keybinding: 'Delete', when: 'explorerFocus',
+          isEnabled: hasExplorerFolder, run: function() { return self._fileExplorer.deleteNode(); } },
+        { id: 'explorer.duplicate', title: 'Duplicate', category: 'Explorer', keybinding: 'Ctrl+Alt+D', when: 'explorerFocus',
+          isEnabled: hasExplorerFolder, run: function() { return self._fileExplorer.duplicateNode(); } },
+
+        // View
+        { id: 'workbench.action.showCommands', title: 'Show All Commands', category: 'View', keybinding: 'Ctrl+Shift+P',
+          run: function() { self.showCommandPalette(); } },
+        { id: 'workbench.action.toggleSidebarVisibility', title: 'Toggle Sidebar Visibility', category: 'View', keybinding: 'Ctrl+B',
+          isEnabled: hasSidebar, run: function() { self.toggleSidebar(); } },
+        { id: 'workbench.view.explorer', title: 'Show Explorer', category: 'View', keybinding: 'Ctrl+Shift+E',
+          isEnabled: hasSidebar,
+          run: function() {
+            self.setActiveView('explorer');
+            if (self._fileExplorer) self._fileExplorer.focus();
+          } },
+        { id: 'workbench.view.search', title: 'Show Search', category: 'View', keybinding: 'Ctrl+Shift+F',
+          isEnabled: hasSidebar, run: function() { self.setActiveView('search'); } },
+        { id: 'workbench.actions.view.problems', title: 'Show Problems', category: 'View', keybinding: 'Ctrl+Shift+M',
+          isEnabled: hasSidebar, run: function() { self.setActiveView('problems'); } },
+        { id: 'outline.focus', title: 'Show Outline', category: 'View',
+          isEnabled: hasSidebar, run: function() { self.setActiveView('outline'); } },
+        { id: 'timeline.focus', title: 'Show Undo History', category: 'View',
+          isEnabled: hasSidebar, run: function() { self.setActiveView('history'); } },
+        { id: 'workbench.action.splitEditor', title: 'Split Editor Right', category: 'View', keybinding: 'Ctrl+\\',
+          run: function() { self.splitActivePane('horizontal'); } },
+        { id: 'workbench.action.splitEditorDown', title: 'Split Editor Down', category: 'View', keybinding: 'Ctrl+Shift+\\',
+          run: function() { self.splitActivePane('vertical'); } },
+
+        // Go
+        { id: 'workbench.action.quickOpen', title: 'Go to File...', category: 'Go', keybinding: 'Ctrl+P',
+          isEnabled: hasFolder, run: function() { self.showQuickOpen(); } },
+        { id: 'workbench.action.gotoSymbol', title: 'Go to Symbol in Editor...', category: 'Go', keybinding: 'Ctrl+Shift+O',
+          isEnabled: hasCodeTab, run: function() { self.showQuickOpen('@'); } },
+
+        // Comparison
+        { id: 'workbench.action.compareEditor.nextChange', title: 'Go to Next Change', category: 'Compare', keybinding: 'Alt+F5', when: 'isInDiffEditor',
+          isEnabled: isComparing, run: function() { self._getActiveCodePane().getDiffEditor().nextChange(); } },
+        { id: 'workbench.action.compareEditor.previousChange', title: 'Go to Previous Change', category: 'Compare', keybinding: 'Shift+Alt+F5', when: 'isInDiffEditor',
+          isEnabled: isComparing, run: function() { self._getActiveCodePane().getDiffEditor().previousChange(); } },
+
+        // Preferences
+        { id: 'workbench.action.openSettings', title: 'Open Settings', category: 'Preferences', keybinding: 'Ctrl+,',
+          run: function() { self.openSettings(); } },
+        { id: 'workbench.action.openSettingsJson', title: 'Open User Settings (JSON)', category: 'Preferences',
+          run: function() { return self.openSettingsFile('user'); } },
+        { id: 'workbench.action.openWorkspaceSettingsFile', title: 'Open Workspace Settings (JSON)', category: 'Preferences',
+          isEnabled: hasFolder, run: function() { return self.openSettingsFile('workspace'); } },
+        { id: 'workbench.action.openRawDefaultSettings', title: 'Open Default Settings (JSON)', category: 'Preferences',
+          run: function() { return self.openDefaultSettingsFile(); } },
+        { id: 'workbench.action.openGlobalKeybindingsFile', title: 'Open Keyboard Shortcuts (JSON)', category: 'Preferences',
+          run: function() { return self.openKeybindingsFile(); } },
+        { id: 'workbench.action.openDefaultKeybindingsFile', title: 'Open Default Keyboard Shortcuts (JSON)', category: 'Preferences',
+          run: function() { return self.openDefaultKeybindingsFile(); } },
+        { id: 'workbench.action.showKeybindingConflicts', title: 'Show Keybinding Conflicts', category: 'Preferences',
+          run: function() { self.showKeybindingConflicts(); } },
+        { id: 'workbench.action.selectTheme', title: 'Color Theme', category: 'Preferences', keybinding: 'Ctrl+K Ctrl+T',
+          run: function() { self.showThemePicker(); } },
+        { id: 'workbench.action.installColorThemeFromFile', title: 'Install Color Theme from File...', category: 'Preferences',
+          run: function() { return self.installColorThemeFromFile(); } },
+        { id: 'editor.action.toggleHighContrast', title: 'Toggle High Contrast Theme', category: 'View',
+          run: function() { self.toggleHighContrast(); } },
+
+        // Git
+        { id: 'git.refresh', title: 'Refresh', category: 'Git',
+          isEnabled: function() { return self._gitService.isRepository(); },
+          run: function() { return self._gitService.refresh(); } },
+      ].forEach(function(command) {
+        registry.register(command);
+      });
+
+      // Editor commands act on the editor of the active pane
+      EditorPane.getEditorCommands().forEach(function(command) {
+        registry.register(Object.assign({}, command, {
+          isEnabled: hasCodeTab,
+          run: function() {
+            return command.run(self._getActiveCodePane());
+          },
+        }));
+      });
+    }
+
+    /**
+     * Get the active pane if it shows a code tab
+     * @returns {EditorPane|null}
+     */
+    _getActiveCodePane() {
+      var pane = this._splitContainer.getActivePane();
+      var tab = pane ? pane.getCurrentTab() : null;
+      return tab && !tab.isImage() ? pane : null;
+    }
+
+    // ============================================
+    // Private Methods - Keybindings
+    // ============================================
+
+    /**
+     * Run commands from the keyboard, with the context their when clauses
+     * test, and load the user keybindings
+     */
+    _initKeybindings() {
+      var self = this;
+      var keybindings = this._keybindingService;
+
+      // F1 opens the palette too
+      keybindings.addDefaultKeybinding({ key: 'F1', command: 'workbench.action.showCommands' });
+
+      // Editor keys are about the pane whose editor has the focus
+      ['editorTextFocus', 'editorFocus', 'editorLangId', 'editorHasMultipleSelections', 'findWidgetVisible',
+        'isInDiffEditor'].forEach(function(key) {
+        keybindings.setContext(key, function() {
+          var pane = self._getFocusedPane() || self._getActiveCodePane();
+          return pane ? pane.getContextValue(key) : undefined;
+        });
+      });
+      keybindings.setContext('explorerFocus', function() {
+        return self._fileExplorer !== null && self._fileExplorer.hasFocus();
+      });
+      keybindings.setContext('sideBarVisible', function() {
+        return self._sidebar !== null && self._isSidebarVisible;
+      });
+      keybindings.setContext('inQuickOpen', function() {
+        return self._quickPick.isVisible();
+      });
+
+      // Editors take their keys before their input handling does; the
+      // document gets the keys pressed anywhere else
+      this._detachKeybindings = keybindings.attach(document, false);
+      if (this._splitContainer) {
+        this._splitContainer.getPanes().forEach(function(pane) {
+          self._attachPaneKeybindings(pane);
+        });
+        this._splitContainer.on('paneAdded', function(data) {
+          self._attachPaneKeybindings(data.pane);
+        });
+        this._splitContainer.on('paneRemoved', function(data) {
+          var detach = self._paneKeybindings.get(data.paneId);
+          if (detach) detach();
+          self._paneKeybindings.delete(data.paneId);
+        });
+      }
+
+      // The first key of a chord waits in the status bar for the second
+      keybindings.on('chordStart', function(data) {
+        if (self._statusBar) {
+          self._statusBar.setMessage('(' + data.key + ') was pressed. Waiting for second key of chord...', 0);
+        }
+      });
+      keybindings.on('chordEnd', function(data) {
+        if (!self._statusBar) return;
+        if (data.command) {
+          self._statusBar.hideItem('message');
+        } else {
+          self._statusBar.setMessage('The key combination (' + data.keys + ') is not a command.');
+        }
+      });
+      keybindings.on('error', function(data) {
+        self._emit('error', data);
+      });
+
+      // Saving the user keybindings applies them
+      var keybindingsPath = this._userDataService.getPath(KEYBINDINGS_FILE);
+      this._fileService.on('fileSaved', function(data) {
+        if (data.path !== keybindingsPath) return;
+        var fileData = self._fileService.getFile(data.path);
+        if (fileData) self._applyUserKeybindings(fileData.content);
+      });
+      this._loadUserKeybindings();
+    }
+
+    /**
+     * Run commands from the keys pressed in a pane's editor
+     * @param {EditorPane} pane
+     */
+    _attachPaneKeybindings(pane) {
+      if (this._paneKeybindings.has(pane.getId())) return;
+      var contentElement = pane.getEditor().view.contentElement;
+      this._paneKeybindings.set(pane.getId(), this._keybindingService.attach(contentElement, true));
+    }
+
+    /**
+     * Get the pane holding the focus
+     * @returns {EditorPane|null}
+     */
+    _getFocusedPane() {
+      var focused = document.activeElement;
+      if (!this._splitContainer || !focused) return null;
+      return this._splitContainer.getPanes().find(function(pane) {
+        return pane.getContainer().contains(focused);
+      }) || null;
+    }
+
+    /**
+     * Read the user keybindings file, if there is one
+     * @returns {Promise<void>}
+     */
+    async _loadUserKeybindings() {
+      try {
+        var content = await this._userDataService.readFile(KEYBINDINGS_FILE);
+        if (content !== null) this._applyUserKeybindings(content);
+      } catch (err) {
+        console.error('Failed to read keybindings:', err);
+        this._emit('error', { message: 'Failed to read keybindings', error: err });
+      }
+    }
+
+    /**
+     * Use the content of the user keybindings file
+     * @param {string} content
+     */
+    _applyUserKeybindings(content) {
+      var problems = this._keybindingService.setUserKeybindings(content);
+      if (problems.length > 0) {
+        this._emit('error', { message: 'Problems in ' + KEYBINDINGS_FILE + ': ' + problems.join('; ') });
+      }
+    }
+
+    // ============================================
+    // Private Methods - Settings
+    // ============================================
+
+    /**
+     * Load the settings files and apply the settings that are not about
+     * the editors; the panes apply those themselves
+     */
+    _initSettings() {
+      var self = this;
+      var settings = this._settingsService;
+
+      settings.on('change', function(data) {
+        if (data.keys.indexOf('workbench.colorTheme') === -1) return;
+        var theme = settings.get('workbench.colorTheme');
+        var found = self._themeService.getTheme(theme);
+
+        // An installed theme may not have been read yet; it applies once it is
+        if (!found && !self._themesLoaded) return;
+        if (!found || found.id !== self._options.theme) self.setTheme(theme);
+      });
+
+      // Saving a settings file applies it
+      var userSettingsPath = this._userDataService.getPath(SETTINGS_FILE);
+      this._fileService.on('fileSaved', function(data) {
+        var layer = data.path === userSettingsPath ? 'user' :
+          data.path === self._getWorkspaceSettingsPath() ? 'workspace' : null;
+        if (!layer) return;
+        var fileData = self._fileService.getFile(data.path);
+        if (fileData) self._applySettings(layer, fileData.content);
+      });
+
+      // So does creating, deleting or moving the workspace one
+      var reloadWorkspaceSettings = function(data) {
+        var folderPath = self._getWorkspaceSettingsPath();
+        folderPath = folderPath && folderPath.slice(0, folderPath.lastIndexOf('/'));
+        var paths = [data.path, data.oldPath, data.newPath, data.node && data.node.path];
+        var touches = folderPath && paths.some(function(path) {
+          return path && (path === folderPath || path.indexOf(folderPath + '/') === 0);
+        });
+        if (touches) self._loadWorkspaceSettings();
       };
-      document.addEventListener('keydown', this._boundHandleKeyDown);
+      ['entryCreated', 'entryDeleted', 'entryRenamed'].forEach(function(event) {
+        self._fileService.on(event, reloadWorkspaceSettings);
+      });
+
+      this._loadUserSettings();
     }
 
     /**
-     * Handle global keyboard shortcuts
-     * @param {KeyboardEvent} e
+     * Get the path of the workspace settings file
+     * @returns {string|null} Null if no folder is open
      */
-    _handleKeyDown(e) {
-      // Ctrl+B: Toggle sidebar
-      if (e.ctrlKey && e.key === 'b') {
-        e.preventDefault();
-        this.toggleSidebar();
+    _getWorkspaceSettingsPath() {
+      var root = this._workspaceService.getRootFolder();
+      return root ? root.path + '/' + WORKSPACE_SETTINGS_FOLDER + '/' + SETTINGS_FILE : null;
+    }
+
+    /**
+     * Get the node of a settings file to open or change it, creating the
+     * file if needed
+     * @param {string} target - 'user' or 'workspace'
+     * @returns {Promise<FileNode|null>} Null if the file cannot be kept
+     */
+    async _getSettingsFileNode(target) {
+      if (target !== 'workspace') {
+        var userNode = await this._userDataService.getFileNode(SETTINGS_FILE, SETTINGS_TEMPLATE);
+        if (!userNode) this._emit('error', { message: 'Settings cannot be saved in this browser' });
+        return userNode;
       }
 
-      // Ctrl+S: Save file
-      if (e.ctrlKey && e.key === 's') {
-        e.preventDefault();
-        this.saveCurrentFile();
+      var root = this._workspaceService.getRootFolder();
+      if (!root || !root.handle) {
+        this._emit('error', { message: 'Open a folder to change the workspace settings' });
+        return null;
       }
 
-      // Ctrl+Shift+E: Focus explorer
-      if (e.ctrlKey && e.shiftKey && e.key === 'E') {
-        e.preventDefault();
-        this.setActiveView('explorer');
-        if (this._fileExplorer) this._fileExplorer.focus();
+      var fileService = this._fileService;
+      var findChild = function(parent, name, type) {
+        return parent.children.find(function(child) {
+          return child.name === name && child.type === type;
+        }) || null;
+      };
+
+      if (!root.loaded) await fileService.loadDirectoryContents(root);
+      var folder = findChild(root, WORKSPACE_SETTINGS_FOLDER, 'directory');
+      if (!folder) {
+        folder = await fileService.createDirectory(root, WORKSPACE_SETTINGS_FOLDER);
+      } else if (!folder.loaded) {
+        await fileService.loadDirectoryContents(folder);
       }
 
-      // Ctrl+Shift+F: Open search in files
-      if (e.ctrlKey && e.shiftKey && e.key === 'F') {
-        e.preventDefault();
-        this.setActiveView('search');
+      var node = findChild(folder, SETTINGS_FILE, 'file');
+      if (!node) {
+        node = await fileService.createFile(folder, SETTINGS_FILE);
+        var writable = await node.handle.createWritable();
+        await writable.write(SETTINGS_TEMPLATE);
+        await writable.close();
       }
+      return node;
+    }
 
-      // Ctrl+\: Split editor right (horizontal)
-      if (e.ctrlKey && e.key === '\\') {
-        e.preventDefault();
-        this.splitActivePane('horizontal');
+    /**
+     * Read the user settings file, if there is one
+     * @returns {Promise<void>}
+     */
+    async _loadUserSettings() {
+      try {
+        var content = await this._userDataService.readFile(SETTINGS_FILE);
+        if (content !== null) this._applySettings('user', content);
+      } catch (err) {
+        console.error('Failed to read settings:', err);
+        this._emit('error', { message: 'Failed to read settings', error: err });
       }
+    }
 
-      // Ctrl+Shift+\: Split editor down (vertical)
-      if (e.ctrlKey && e.shiftKey && e.key === '|') {
-        e.preventDefault();
-        this.splitActivePane('vertical');
+    /**
+     * Read the settings file of the open folder; without one, only the
+     * user settings apply
+     * @returns {Promise<void>}
+     */
+    async _loadWorkspaceSettings() {
+      var root = this._workspaceService.getRootFolder();
+      var content = null;
+
+      try {
+        if (root && root.handle) {
+          var folder = await root.handle.getDirectoryHandle(WORKSPACE_SETTINGS_FOLDER);
+          var handle = await folder.getFileHandle(SETTINGS_FILE);
+          content = await (await handle.getFile()).text();
+        }
+      } catch (err) {
+        if (!err || (err.name !== 'NotFoundError' && err.name !== 'TypeMismatchError')) {
+          console.error('Failed to read workspace settings:', err);
+          this._emit('error', { message: 'Failed to read workspace settings', error: err });
+          return;
+        }
       }
+
+      // Another folder may have been opened while reading
+      if (this._workspaceService.getRootFolder() !== root) return;
+      this._applySettings('workspace', content);
+    }
+
+    /**
+     * Use the content of a settings file
+     * @param {string} layer - 'user' or 'workspace'
+     * @param {string|null} content - Null when there is no file
+     */
+    _applySettings(layer, content) {
+      var problems = this._settingsService.setSettings(layer, content);
+      if (problems.length > 0) {
+        var name = layer === 'workspace' ? WORKSPACE_SETTINGS_FOLDER + '/' + SETTINGS_FILE : SETTINGS_FILE;
+        this._emit('error', { message: 'Problems in ' + name + ': ' + problems.join('; ') });
+      }
+    }
+
+    // ============================================
+    // Private Methods - Themes
+    // ============================================
+
+    /**
+     * Load the installed color themes, and reload one when its file is saved
+     */
+    _initThemes() {
+      var self = this;
+      var userData = this._userDataService;
+
+      this._fileService.on('fileSaved', function(data) {
+        var name = userData.isUserDataPath(data.path) ? data.path.slice(userData.getPath('').length) : '';
+        if (!name.endsWith(THEME_FILE_SUFFIX)) return;
+        var fileData = self._fileService.getFile(data.path);
+        if (!fileData) return;
+
+        var id = self._loadThemeFile(name, fileData.content);
+        if (id && id === self._options.theme) self._applyTheme(id);
+      });
+
+      this._loadUserThemes();
+    }
+
+    /**
+     * Read the themes installed with the user's files, then apply the theme
+     * of the settings if it is one of them
+     * @returns {Promise<void>}
+     */
+    async _loadUserThemes() {
+      var userData = this._userDataService;
+
+      try {
+        var names = await userData.listFiles();
+        for (var i = 0; i < names.length; i++) {
+          if (!names[i].endsWith(THEME_FILE_SUFFIX)) continue;
+          var content = await userData.readFile(names[i]);
+          if (content !== null) this._loadThemeFile(names[i], content);
+        }
+      } catch (err) {
+        console.error('Failed to read color themes:', err);
+        this._emit('error', { message: 'Failed to read color themes', error: err });
+      }
+
+      this._themesLoaded = true;
+      var theme = this._settingsService.get('workbench.colorTheme');
+      var found = this._themeService.getTheme(theme);
+      if (!found || found.id !== this._options.theme) this.setTheme(theme);
+    }
+
+    /**
+     * Use the content of an installed theme file
+     * @param {string} name - File name, e.g. 'monokai.color-theme.json'
+     * @param {string} content
+     * @returns {string|null} The theme id, or null if the file is not a theme
+     */
+    _loadThemeFile(name, content) {
+      try {
+        return this._themeService.loadTheme(content, name.slice(0, -THEME_FILE_SUFFIX.length));
+      } catch (err) {
+        this._emit('error', { message: 'Problems in ' + name + ': ' + err.message, error: err });
+        return null;
+      }
+    }
+
+    // ============================================
+    // Private Methods - Session
+    // ============================================
+
+    /**
+     * @param {boolean} requestPermission - Ask for folder permission if needed
+     * @returns {Promise<boolean>} True if a session was restored
+     */
+    async _restoreSession(requestPermission) {
+      try {
+        var session = await this._workspaceService.restoreSession(requestPermission);
+        if (!session) {
+          // Saving now would replace the session still waiting for its folder
+          var pendingFolder = this._workspaceService.getPendingFolderName();
+          if (this._fileExplorer) this._fileExplorer.setReopenFolder(pendingFolder);
+          if (pendingFolder === null) this._setSessionReady();
+          return false;
+        }
+
+        if (this._fileExplorer) this._fileExplorer.setReopenFolder(null);
+        if (session.root) this._showFolder(session.root);
+        this._splitContainer.restoreLayout(session.layout);
+        this._setSessionReady();
+        this._emit('sessionRestored', { root: session.root });
+        return true;
+      } catch (err) {
+        console.error('Failed to restore session:', err);
+        this._emit('error', { message: 'Failed to restore session', error: err });
+        this._setSessionReady();
+        return false;
+      }
+    }
+
+    /**
+     * Start saving the session, and check for backups of unsaved changes
+     * left by a session that did not close normally
+     */
+    _setSessionReady() {
+      this._sessionReady = true;
+      this._recoverBackups();
+    }
+
+    /**
+     * Offer to recover backups not brought back with the session, then
+     * start backing up unsaved changes
+     * @returns {Promise<void>}
+     */
+    async _recoverBackups() {
+      var self = this;
+      if (this._recoveryChecked) return;
+      this._recoveryChecked = true;
+
+      var items = [];
+      try {
+        items = await this._backupService.findRecoverable();
+      } catch (err) {
+        console.error('Failed to read backups:', err);
+      }
+      this._backupService.start();
+      if (items.length === 0) return;
+
+      this._recoveryDialog = new RecoveryDialog(items, {
+        onRestore: function(item) {
+          self._restoreBackup(item);
+        },
+        onDiscard: function(item) {
+          self._backupService.discard(item.path);
+        },
+        onCompare: function(item) {
+          self._compareBackup(item);
+        },
+        onClose: function() {
+          self._recoveryDialog = null;
+        },
+      });
+      this._recoveryDialog.show();
+    }
+
+    /**
+     * Replace the content of a file's tab with its backup
+     * @param {Object} item - Recoverable backup
+     * @returns {Promise<void>}
+     */
+    async _restoreBackup(item) {
+      if (await this._openBackedUpFile(item)) {
+        this._applyBackup(this._splitContainer.getEditor(), item);
+      }
+    }
+
+    /**
+     * Open a file beside a copy holding its backup, compared with the
+     * content of the file
+     * @param {Object} item - Recoverable backup
+     * @returns {Promise<void>}
+     */
+    async _compareBackup(item) {
+      if (!await this._openBackedUpFile(item)) return;
+
+      var pane = this._splitContainer.openToSide();
+      if (pane) {
+        var tab = pane.getCurrentTab();
+        this._applyBackup(pane.getEditor(), item);
+        pane.setDiff(tab.id, {
+          original: null,
+          originalLabel: tab.name + ' (On Disk)',
+          modifiedLabel: tab.name + ' (Backup)',
+        });
+      }
+    }
+
+    /**
+     * Open the tab of a backed up file
+     * @param {Object} item - Recoverable backup
+     * @returns {Promise<boolean>} True if the file's tab is now the current tab
+     */
+    async _openBackedUpFile(item) {
+      if (item.diskContent === null && !this._fileService.hasFile(item.path)) {
+        // The file is gone; its tab starts from the content the backup was made from
+        this._fileService.createVirtualFile(item.path, item.backup.originalContent);
+      }
+
+      await this.openFile(item.path);
+      var tab = this._splitContainer.getCurrentTab();
+      return tab !== null && tab.path === item.path;
+    }
+
+    /**
+     * Put a backup's content in an editor, as one step that undo reverts
+     * @param {Editor} editor - Editor showing the backed up file
+     * @param {Object} item - Recoverable backup
+     */
+    _applyBackup(editor, item) {
+      editor.transact(function() {
+        editor.setValue(item.backup.content);
+      }, 'Restore Backup');
+      this._backupService.resolve(item.path);
+    }
+
+    /**
+     * Show the conflict bar in each pane whose current tab's file was
+     * changed on disk under unsaved changes
+     */
+    _updateConflictBars() {
+      var self = this;
+      this._splitContainer.getPanes().forEach(function(pane) {
+        var tab = pane.getCurrentTab();
+        pane.setConflictBar(tab !== null && self._fileWatcher.getConflict(tab.path) !== null);
+      });
+    }
+
+    /**
+     * Color the files in the explorer and the tabs by their git status
+     */
+    _updateFileStatus() {
+      var status = this._gitService.getAllStatus();
+      if (this._fileExplorer) {
+        this._fileExplorer.setFileStatus(status);
+      }
+      this._splitContainer.getPanes().forEach(function(pane) {
+        pane.getTabBar().setFileStatus(status);
+      });
+    }
+
+    /**
+     * Give each pane the committed content of its current tab's file, to
+     * mark the lines changed since
+     */
+    _updateGitBases() {
+      var self = this;
+      this._splitContainer.getPanes().forEach(function(pane) {
+        var tab = pane.getCurrentTab();
+        if (!tab || tab.isImage()) return;
+
+        self._gitService.getHeadContent(tab.path).then(function(content) {
+          pane.setGitBaseContent(tab.id, content);
+        }).catch(function(err) {
+          console.error('Failed to read ' + tab.path + ' from git:', err);
+        });
+      });
+    }
+
+    /**
+     * Act on a button of a conflict bar
+     * @param {{action: string, tab: Tab, paneId: string}} data - 'compare', 'keep' or 'load'
+     */
+    _resolveConflict(data) {
+      var path = data.tab.path;
+      if (data.action === 'keep') {
+        this._fileWatcher.keepMine(path);
+      } else if (data.action === 'load') {
+        this._fileWatcher.loadDiskVersion(path);
+      } else {
+        var conflict = this._fileWatcher.getConflict(path);
+        if (!conflict) return;
+
+        // Changes on disk can be taken over one at a time by reverting them
+        this._splitContainer.getPane(data.paneId).setDiff(data.tab.id, {
+          original: conflict.content,
+          originalLabel: data.tab.name + ' (On Disk)',
+          modifiedLabel: data.tab.name + ' (Yours)',
+        });
+      }
+    }
+
+    /**
+     * Save the session once changes pause
+     */
+    _scheduleSessionSave() {
+      var self = this;
+      if (!this._options.persistSession || !this._sessionReady) return;
+
+      if (this._sessionSaveTimer) {
+        clearTimeout(this._sessionSaveTimer);
+      }
+      this._sessionSaveTimer = setTimeout(function() {
+        self._sessionSaveTimer = null;
+        self.saveSession();
+      }, SESSION_SAVE_DELAY_MS);
+    }
+
+    /**
+     * Show an opened folder in the explorer and status bar
+     * @param {FileNode} rootNode - Root folder node
+     */
+    _showFolder(rootNode) {
+      if (this._fileExplorer) this._fileExplorer.setRoot(rootNode);
+      if (this._statusBar) this._statusBar.setFolderOpened(true);
+      this._loadWorkspaceSettings();
+      this._emit('folderOpened', { root: rootNode });
     }
 
     /**
      * Apply theme to IDE
-     * @param {string} theme - 'dark' or 'light'
+     * @param {string} theme - Theme id; the default dark theme if unknown
      */
     _applyTheme(theme) {
-      this._rootElement.classList.remove('ide-theme-dark', 'ide-theme-light');
-      if (theme === 'light') {
+      var themeService = this._themeService;
+      var applied = themeService.applyTheme(this._rootElement, theme);
+
+      // The classes keep the styles that are not colors, e.g. the HC outlines
+      this._rootElement.classList.remove('ide-theme-dark', 'ide-theme-light', 'ide-theme-hc');
+      if (themeService.isLight(applied.type)) {
         this._rootElement.classList.add('ide-theme-light');
       }
-      this._options.theme = theme;
+      if (themeService.isHighContrast(applied.type)) {
+        this._rootElement.classList.add('ide-theme-hc');
+      }
+      this._options.theme = applied.id;
     }
 
     // ============================================
@@ -0,0 +1,401 @@
+/**
+ * QuickPick - Input with a filtered list, at the top of the IDE
+ *
+ * Shows the items a provider returns for the text typed, with the matched
+ * characters highlighted. Arrow keys move through the list, Enter picks
+ * the active item and Escape or a click elsewhere closes the list. Used by
+ * the command palette, quick open and the color theme picker.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  // Items rendered at most, of the ones matching
+  var MAX_RENDERED_ITEMS = 200;
+
+  // Items moved by Page Up and Page Down
+  var PAGE_SIZE = 10;
+
+  class QuickPick {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _container = null;
+    _element = null;
+    _input = null;
+    _list = null;
+    _empty = null;
+
+    _options = null;
+    _items = [];
+    _activeIndex = -1;
+
+    // Element focused before the list opened, focused again on close
+    _previousFocus = null;
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new QuickPick
+     * @param {HTMLElement} container - Element to show the list in
+     */
+    constructor(container) {
+      this._container = container;
+      this._createDOM();
+      this._bindEvents();
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Show the list, replacing any shown
+     * @param {Object} options
+     * @param {Function} options.getItems - Returns the items for the text typed:
+     *   {label, labelMatches?, description?, keybinding?, group?, picked?},
+     *   where labelMatches are indices of label characters to highlight,
+     *   group starts a group of items, labelled on its first item, and the
+     *   first picked item is active rather than the first item
+     * @param {Function} options.onAccept - Called with the item picked and the text typed
+     * @param {Function} [options.onActive] - Called with the active item each
+     *   time another one becomes active
+     * @param {Function} [options.onClose] - Called when the list closes
+     *   without an item picked
+     * @param {string} [options.placeholder] - Hint in the empty input
+     * @param {string} [options.value] - Text typed initially
+     * @param {string|Function} [options.emptyText] - Shown when no item matches,
+     *   or a function returning it for the text typed
+     */
+    show(options) {
+      if (!this.isVisible()) {
+        this._previousFocus = document.activeElement;
+      } else if (this._options && this._options.onClose) {
+        this._options.onClose();
+      }
+      this._options = options;
+
+      this._input.placeholder = options.placeholder || '';
+      this._input.value = options.value || '';
+      this._element.classList.remove('ide-hidden');
+      this._input.focus();
+      this.update();
+    }
+
+    /**
+     * Close the list and focus what was focused before it
+     */
+    close() {
+      if (!this.isVisible()) return;
+
+      var options = this._options;
+      this._element.classList.add('ide-hidden');
+      this._options = null;
+      this._items = [];
+      this._list.innerHTML = '';
+
+      var previous = this._previousFocus;
+      this._previousFocus = null;
+      if (previous && previous.isConnected && previous !== document.body) {
+        previous.focus();
+      }
+
+      if (options && options.onClose) options.onClose();
+    }
+
+    /**
+     * Check if the list is showing
+     * @returns {boolean}
+     */
+    isVisible() {
+      return !this._element.classList.contains('ide-hidden');
+    }
+
+    /**
+     * Get the text typed
+     * @returns {string}
+     */
+    getValue() {
+      return this._input.value;
+    }
+
+    /**
+     * Ask the provider for the items again, after they changed
+     */
+    update() {
+      if (!this._options) return;
+
+      var value = this._input.value;
+      var emptyText = this._options.emptyText;
+      this._items = this._options.getItems(value) || [];
+      this._empty.textContent = (typeof emptyText === 'function' ? emptyText(value) : emptyText) ||
+        'No matching results';
+
+      var picked = this._items.slice(0, MAX_RENDERED_ITEMS).findIndex(function(item) {
+        return item.picked;
+      });
+      this._activeIndex = -1;
+      this._render();
+      if (this._items.length > 0) this._setActive(Math.max(picked, 0));
+    }
+
+    /**
+     * Dispose the list
+     */
+    dispose() {
+      this.close();
+      this._element.remove();
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Create DOM structure
+     */
+    _createDOM() {
+      this._element = document.createElement('div');
+      this._element.className = 'ide-quick-pick ide-hidden';
+
+      this._input = document.createElement('input');
+      this._input.className = 'ide-quick-pick-input';
+      this._input.type = 'text';
+      this._input.spellcheck = false;
+      this._input.setAttribute('autocomplete', 'off');
+      this._element.appendChild(this._input);
+
+      this._list = document.createElement('div');
+      this._list.className = 'ide-quick-pick-list';
+      this._list.setAttribute('role', 'listbox');
+      this._element.appendChild(this._list);
+
+      this._empty = document.createElement('div');
+      this._empty.className = 'ide-quick-pick-empty ide-hidden';
+      this._element.appendChild(this._empty);
+
+      this._container.appendChild(this._element);
+    }
+
+    /**
+     * Bind event handlers
+     */
+    _bindEvents() {
+      var self = this;
+
+      this._input.addEventListener('input', function() {
+        self.update();
+      });
+
+      this._input.addEventListener('keydown', function(e) {
+        self._handleKeyDown(e);
+      });
+
+      // Keep the focus in the input while picking with the mouse
+      this._list.addEventListener('mousedown', function(e) {
+        e.preventDefault();
+      });
+
+      this._list.addEventListener('click', function(e) {
+        var row = e.target.closest('.ide-quick-pick-item');
+        if (row) self._accept(Number(row.dataset.index));
+      });
+
+      this._element.addEventListener('focusout', function(e) {
+        if (!e.relatedTarget || !self._element.contains(e.relatedTarget)) {
+          self._previousFocus = null;
+          self.close();
+        }
+      });
+    }
+
+    /**
+     * Handle keys typed in the input
+     * @param {KeyboardEvent} e
+     */
+    _handleKeyDown(e) {
+      var count = Math.min(this._items.length, MAX_RENDERED_ITEMS);
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          if (count > 0) this._setActive((this._activeIndex + 1) % count);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          if (count > 0) this._setActive((this._activeIndex - 1 + count) % count);
+          break;
+        case 'PageDown':
+          e.preventDefault();
+          if (count > 0) this._setActive(Math.min(this._activeIndex + PAGE_SIZE, count - 1));
+          break;
+        case 'PageUp':
+          e.preventDefault();
+          if (count > 0) this._setActive(Math.max(this._activeIndex - PAGE_SIZE, 0));
+          break;
+        case 'Enter':
+          e.preventDefault();
+          if (this._activeIndex !== -1) this._accept(this._activeIndex);
+          break;
+        case 'Escape':
+          e.preventDefault();
+          e.stopPropagation();
+          this.close();
+          break;
+      }
+    }
+
+    /**
+     * Pick an item
+     * @param {number} index - Index of the item
+     */
+    _accept(index) {
+      var item = this._items[index];
+      var options = this._options;
+      var value = this._input.value;
+      if (!item || !options) return;
+
+      // Picked, so not closed without an item
+      this._options = null;
+      this.close();
+      options.onAccept(item, value);
+    }
+
+    /**
+     * Make an item the active one
+     * @param {number} index - Index of the item
+     */
+    _setActive(index) {
+      var previous = this._list.children[this._activeIndex];
+      if (previous) previous.classList.remove('active');
+
+      this._activeIndex = index;
+      var row = this._list.children[index];
+      if (row) {
+        row.classList.add('active');
+        row.scrollIntoView({ block: 'nearest' });
+      }
+
+      if (this._options && this._options.onActive && this._items[index]) {
+        this._options.onActive(this._items[index]);
+      }
+    }
+
+    /**
+     * Render the items
+     */
+    _render() {
+      var self = this;
+      this._list.innerHTML = '';
+      this._empty.classList.toggle('ide-hidden', this._items.length > 0);
+
+      this._items.slice(0, MAX_RENDERED_ITEMS).forEach(function(item, index) {
+        self._list.appendChild(self._renderItem(item, index));
+      });
+      this._list.scrollTop = 0;
+    }
+
+    /**
+     * Render one item
+     * @param {Object} item
+     * @param {number} index
+     * @returns {HTMLElement}
+     */
+    _renderItem(item, index) {
+      var row = document.createElement('div');
+      row.className = 'ide-quick-pick-item' + (index === this._activeIndex ? ' active' : '');
+      row.setAttribute('role', 'option');
+      row.dataset.index = index;
+      if (item.group && index > 0) {
+        row.classList.add('ide-quick-pick-separator');
+      }
+
+      var label = document.createElement('span');
+      label.className = 'ide-quick-pick-label';
+      QuickPick._appendHighlighted(label, item.label, item.labelMatches);
+      row.appendChild(label);
+
+      if (item.description) {
+        var description = document.createElement('span');
+        description.className = 'ide-quick-pick-description';
+        QuickPick._appendHighlighted(description, item.description, item.descriptionMatches);
+        row.appendChild(description);
+      }
+
+      if (item.group) {
+        var group = document.createElement('span');
+        group.className = 'ide-quick-pick-group';
+        group.textContent = item.group;
+        row.appendChild(group);
+      }
+
+      if (item.keybinding) {
+        row.appendChild(QuickPick._renderKeybinding(item.keybinding));
+      }
+
+      return row;
+    }
+
+    /**
+     * Append text with some characters highlighted
+     * @param {HTMLElement} parent
+     * @param {string} text
+     * @param {number[]} [matches] - Indices of the characters to highlight, ascending
+     */
+    static _appendHighlighted(parent, text, matches) {
+      var start = 0;
+      (matches || []).forEach(function(index, i) {
+        // Highlight runs of consecutive matches together
+        if (i > 0 && matches[i - 1] === index - 1) return;
+
+        var end = index;
+        while (matches.indexOf(end + 1) !== -1) end++;
+
+        if (index > start) {
+          parent.appendChild(document.createTextNode(text.slice(start, index)));
+        }
+        var mark = document.createElement('span');
+        mark.className = 'ide-quick-pick-match';
+        mark.textContent = text.slice(index, end + 1);
+        parent.appendChild(mark);
+        start = end + 1;
+      });
+      if (start < text.length) {
+        parent.appendChild(document.createTextNode(text.slice(start)));
+      }
+    }
+
+    /**
+     * Render keys as key caps
+     * @param {string} keybinding - e.g. 'Ctrl+Shift+P' or 'Ctrl+K Ctrl+0'
+     * @returns {HTMLElement}
+     */
+    static _renderKeybinding(keybinding) {
+      var element = document.createElement('span');
+      element.className = 'ide-quick-pick-keybinding';
+
+      keybinding.split(' ').forEach(function(chord, i) {
+        if (i > 0) element.appendChild(document.createTextNode(' '));
+
+        // A '+' at the end is the key itself, as in 'Ctrl++'
+        chord.split(/\+(?!$)/).forEach(function(key) {
+          var kbd = document.createElement('kbd');
+          kbd.textContent = key;
+          element.appendChild(kbd);
+        });
+      });
+
+      return element;
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.IDE = CodeEditor.IDE || {};
+  CodeEditor.IDE.QuickPick = QuickPick;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -25,6 +25,7 @@
 
     _workspaceService = null;
     _fileService = null;
+    _settingsService = null;
     _listeners = new Map();
 
     // ============================================
@@ -41,6 +42,7 @@
       this._container = container;
       this._workspaceService = options.workspaceService || null;
       this._fileService = options.fileService || null;
+      this._settingsService = options.settingsService || null;
       this._minPaneSize = options.minPaneSize || 100;
 
       this._createDOM();
@@ -139,37 +141,13 @@
         return null;
       }
 
-      // Set split direction
-      this._splitDirection = direction;
-      this._container.classList.add(direction);
-
-      // Create divider
-      var divider = new SplitDivider(direction, { minSize: this._minPaneSize });
-      this._bindDividerEvents(divider);
-      this._dividers.push(divider);
-
-      // Create new pane
-      var newPaneContainer = document.createElement('div');
-      var newPane = new EditorPane(newPaneContainer, {
-        workspaceService: this._workspaceService,
-        fileService: this._fileService,
-      });
-      this._bindPaneEvents(newPane);
-      this._panes.push(newPane);
-
-      // Insert divider and new pane after source pane
-      var sourcePaneContainer = sourcePane.getContainer();
-      sourcePaneContainer.after(divider.getElement());
-      divider.getElement().after(newPaneContainer);
+      var newPane = this._addPane(direction, sourcePane);
 
       // Clone the current tab and add to new pane
       var clonedTab = currentTab.clone();
       newPane.addTab(clonedTab);
       newPane.activateTab(clonedTab.id);
 
-      // Set equal sizes
-      this._setEqualSizes();
-
       // Activate new pane
       this.setActivePane(newPane.getId());
 
@@ -178,6 +156,91 @@
       return newPane;
     }
 
+    /**
+     * Show a copy of the active pane's current tab in the pane beside it,
+     * splitting the editor area if it has a single pane
+     * @returns {EditorPane|null} Pane showing the copy
+     */
+    openToSide() {
+      var sourcePane = this.getActivePane();
+      var currentTab = sourcePane ? sourcePane.getCurrentTab() : null;
+      if (!currentTab) return null;
+
+      if (this._panes.length === 1) {
+        return this.splitPane(this._splitDirection || 'horizontal', sourcePane.getId());
+      }
+
+      var targetPane = this._panes.find(function(p) { return p !== sourcePane; });
+      var clonedTab = currentTab.clone();
+      targetPane.addTab(clonedTab);
+      targetPane.activateTab(clonedTab.id);
+      this.setActivePane(targetPane.getId());
+      return targetPane;
+    }
+
+    /**
+     * Get the panes and their tabs, for saving the session. The editor state
+     * of each pane's current tab is stored in the tab first.
+     * @returns {{direction: string|null, sizes: number[]|null, activePane: number,
+     *   panes: Array<{tabs: Tab[], activeTab: number}>}} Sizes are fractions of the container
+     */
+    getLayout() {
+      var self = this;
+      var extents = this._panes.map(function(pane) {
+        var rect = pane.getContainer().getBoundingClientRect();
+        return self._splitDirection === 'vertical' ? rect.height : rect.width;
+      });
+      var total = extents.reduce(function(sum, extent) { return sum + extent; }, 0);
+
+      return {
+        direction: this._splitDirection,
+        sizes: this._panes.length > 1 && total > 0
+          ? extents.map(function(extent) { return extent / total; })
+          : null,
+        activePane: Math.max(0, this._panes.indexOf(this.getActivePane())),
+        panes: this._panes.map(function(pane) {
+          pane.saveTabState();
+          var tabs = pane.getTabBar().getAllTabs();
+          return { tabs: tabs, activeTab: Math.max(0, tabs.indexOf(pane.getCurrentTab())) };
+        }),
+      };
+    }
+
+    /**
+     * Recreate a layout from getLayout() in the empty container of a new
+     * session, adding panes as needed
+     * @param {Object} layout - Layout whose panes hold the tabs to add
+     */
+    restoreLayout(layout) {
+      var panes = layout.panes.filter(function(pane) { return pane.tabs.length > 0; });
+      if (panes.length === 0) return;
+
+      for (var i = 0; i < panes.length; i++) {
+        var pane = this._panes[i] || (layout.direction ? this._addPane(layout.direction, this._panes[i - 1]) : null);
+        if (!pane) break;
+
+        for (var j = 0; j < panes[i].tabs.length; j++) {
+          pane.addTab(panes[i].tabs[j]);
+        }
+        var activeTab = panes[i].tabs[panes[i].activeTab] || panes[i].tabs[0];
+        pane.activateTab(activeTab.id);
+
+        if (i > 0) {
+          this._emit('paneAdded', { pane: pane, direction: layout.direction });
+        }
+      }
+
+      // Sizes saved for another number of panes do not apply
+      if (layout.sizes && layout.sizes.length === this._panes.length) {
+        for (var k = 0; k < this._panes.length; k++) {
+          this._panes[k].getContainer().style.flex = layout.sizes[k] + ' 1 0';
+        }
+      }
+
+      var activePane = this._panes[Math.min(layout.activePane, this._panes.length - 1)];
+      this.setActivePane(activePane.getId());
+    }
+
     /**
      * Close a pane
      * @param {string} paneId - Pane ID to close
@@ -290,6 +353,59 @@
       }
     }
 
+    /**
+     * Show a tab's current name and language in its pane
+     * @param {string} tabId - Tab ID
+     */
+    refreshTab(tabId) {
+      for (var i = 0; i < this._panes.length; i++) {
+        if (this._panes[i].getTabBar().hasTab(tabId)) {
+          this._panes[i].refreshTab(tabId);
+          break;
+        }
+      }
+    }
+
+    /**
+     * Point the tabs of a renamed or moved file, or of the files inside a
+     * renamed or moved directory, at their new path. The workspace renames
+     * its own tabs; this covers the copies opened beside them.
+     * @param {string} oldPath - Path before the move
+     * @param {string} newPath - Path after the move
+     */
+    renameTabs(oldPath, newPath) {
+      var self = this;
+      this._forEachTabAt(oldPath, function(pane, tab) {
+        var path = newPath + tab.path.slice(oldPath.length);
+        var fileData = self._fileService ? self._fileService.getFile(path) : null;
+        tab.rename(path, fileData ? fileData.handle : null);
+        pane.refreshTab(tab.id);
+      });
+    }
+
+    /**
+     * Give every tab of a file the content of the file on disk
+     * @param {string} path - File path
+     * @param {string} content - Content of the file on disk
+     * @param {string} label - Name of the undo step in editors showing the file
+     */
+    reloadTabs(path, content, label) {
+      this._forEachTabAt(path, function(pane, tab) {
+        pane.reloadTab(tab.id, content, label);
+      });
+    }
+
+    /**
+     * Close the tabs of a deleted file, or of the files inside a deleted
+     * directory, without asking to save them
+     * @param {string} path - Deleted path
+     */
+    removeTabsAt(path) {
+      this._forEachTabAt(path, function(pane, tab) {
+        pane.removeTab(tab.id);
+      });
+    }
+
     /**
      * Get the editor from the active pane
      * @returns {Editor|null}
@@ -383,6 +499,7 @@
       var pane = new EditorPane(paneContainer, {
         workspaceService: this._workspaceService,
         fileService: this._fileService,
+        settingsService: this._settingsService,
       });
 
       this._bindPaneEvents(pane);
@@ -393,6 +510,60 @@
       pane.setActive(true);
     }
 
+    /**
+     * Add an empty pane after another, splitting in the given direction
+     * @param {string} direction - 'horizontal' or 'vertical'
+     * @param {EditorPane} sourcePane - Pane to insert the new one after
+     * @returns {EditorPane|null} New pane or null at the pane limit
+     */
+    _addPane(direction, sourcePane) {
+      if (this._panes.length >= 2) return null;
+
+      // Set split direction
+      this._splitDirection = direction;
+      this._container.classList.add(direction);
+
+      // Create divider
+      var divider = new SplitDivider(direction, { minSize: this._minPaneSize });
+      this._bindDividerEvents(divider);
+      this._dividers.push(divider);
+
+      // Create new pane
+      var newPaneContainer = document.createElement('div');
+      var newPane = new EditorPane(newPaneContainer, {
+        workspaceService: this._workspaceService,
+        fileService: this._fileService,
+        settingsService: this._settingsService,
+      });
+      this._bindPaneEvents(newPane);
+      this._panes.push(newPane);
+
+      // Insert divider and new pane after source pane
+      var sourcePaneContainer = sourcePane.getContainer();
+      sourcePaneContainer.after(divider.getElement());
+      divider.getElement().after(newPaneContainer);
+
+      // Set equal sizes
+      this._setEqualSizes();
+
+      return newPane;
+    }
+
+    /**
+     * Call a function for each tab of a file, or of the files inside a directory
+     * @param {string} path - File or directory path
+     * @param {Function} callback - Called with the pane and the tab
+     */
+    _forEachTabAt(path, callback) {
+      this._panes.slice().forEach(function(pane) {
+        pane.getTabBar().getAllTabs().forEach(function(tab) {
+          if (tab.path === path || tab.path.indexOf(path + '/') === 0) {
+            callback(pane, tab);
+          }
+        });
+      });
+    }
+
     /**
      * Bind events from an EditorPane
      * @param {EditorPane} pane
@@ -431,6 +602,22 @@
         self._emit('selectionChange', data);
       });
 
+      pane.on('historyChange', function(data) {
+        self._emit('historyChange', data);
+      });
+
+      pane.on('conflictAction', function(data) {
+        self._emit('conflictAction', data);
+      });
+
+      pane.on('compareRequest', function(data) {
+        self._emit('compareRequest', data);
+      });
+
+      pane.on('diagnosticsChange', function(data) {
+        self._emit('diagnosticsChange', data);
+      });
+
       pane.on('openFolder', function(data) {
         self._emit('openFolder', data);
       });
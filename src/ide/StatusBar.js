@@ -247,7 +247,11 @@
      */
     setProblems(errors, warnings) {
       var text = errors > 0 || warnings > 0 ? errors + ' ' + warnings : 'No Problems';
-      this.updateItem('problems', { text: text });
+      this.updateItem('problems', {
+        text: text,
+        tooltip: errors + (errors === 1 ? ' error, ' : ' errors, ') +
+          warnings + (warnings === 1 ? ' warning' : ' warnings'),
+      });
 
       // Update status bar state
       this._container.classList.remove('error', 'warning');
@@ -346,6 +350,9 @@
         text: '0 0',
         tooltip: 'Problems',
         priority: 3,
+        onClick: function() {
+          self._emit('problemsClick', {});
+        },
       });
 
       this.addItem('message', {
@@ -23,6 +23,7 @@
     static ICONS = {
       close: '<svg viewBox="0 0 16 16"><path d="M8 8.707l3.646 3.647.708-.707L8.707 8l3.647-3.646-.707-.708L8 7.293 4.354 3.646l-.707.708L7.293 8l-3.646 3.646.707.708L8 8.707z"/></svg>',
       splitEditor: '<svg viewBox="0 0 16 16"><path d="M14 1H3L2 2v11l1 1h11l1-1V2l-1-1zM8 13H3V2h5v11zm6 0H9V2h5v11z"/></svg>',
+      compare: '<svg viewBox="0 0 16 16"><path d="M2 2h5v1H3v10h4v1H2l-1-1V3l1-1zm7 0h5l1 1v10l-1 1H9v-1h5V3H9V2zM7 0h1v16H7V0zM4 6h2v1H4V6zm0 3h2v1H4V9zm6-3h2v1h-2V6zm0 3h2v1h-2V9z"/></svg>',
       more: '<svg viewBox="0 0 16 16"><path d="M4 8a1 1 0 1 1-2 0 1 1 0 0 1 2 0zm5 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0zm5 0a1 1 0 1 1-2 0 1 1 0 0 1 2 0z"/></svg>',
       fileJs: '<svg viewBox="0 0 16 16"><rect fill="#f7df1e" width="16" height="16" rx="2"/><text x="4" y="12" font-size="8" font-weight="bold" fill="#000">JS</text></svg>',
       fileTs: '<svg viewBox="0 0 16 16"><rect fill="#3178c6" width="16" height="16" rx="2"/><text x="4" y="12" font-size="8" font-weight="bold" fill="#fff">TS</text></svg>',
@@ -42,6 +43,7 @@
     _actionsContainer = null;
     _tabs = new Map(); // id -> { tab, element }
     _activeTabId = null;
+    _fileStatus = new Map(); // path -> 'modified' | 'added' | 'untracked'
     _listeners = new Map();
 
     // ============================================
@@ -80,7 +82,9 @@
       this._tabsContainer.appendChild(element);
 
       // Store tab
-      this._tabs.set(tab.id, { tab: tab, element: element });
+      var tabData = { tab: tab, element: element };
+      this._tabs.set(tab.id, tabData);
+      this._applyFileStatus(tabData);
 
       // Activate if first tab
       if (this._tabs.size === 1) {
@@ -174,6 +178,32 @@
       }
     }
 
+    /**
+     * Show a tab's current name and language icon, after its file was renamed
+     * @param {string} tabId - Tab ID
+     */
+    refreshTab(tabId) {
+      var tabData = this._tabs.get(tabId);
+      if (!tabData) return;
+
+      tabData.element.querySelector('.ide-tab-icon').innerHTML = this._getLanguageIcon(tabData.tab.language);
+      tabData.element.querySelector('.ide-tab-label').textContent = tabData.tab.name;
+      this._applyFileStatus(tabData);
+    }
+
+    /**
+     * Color the tabs by the git status of their files
+     * @param {Map<string, string>} status - Path -> 'modified', 'added' or 'untracked',
+     *   for the files that differ from the last commit
+     */
+    setFileStatus(status) {
+      var self = this;
+      this._fileStatus = status;
+      this._tabs.forEach(function(tabData) {
+        self._applyFileStatus(tabData);
+      });
+    }
+
     /**
      * Get tab by ID
      * @param {string} tabId - Tab ID
@@ -303,6 +333,16 @@
       this._actionsContainer.className = 'ide-tab-actions';
       this._container.appendChild(this._actionsContainer);
 
+      // Compare with saved button
+      var compareBtn = document.createElement('div');
+      compareBtn.className = 'ide-tab-action';
+      compareBtn.title = 'Compare with Saved';
+      compareBtn.innerHTML = TabBar.ICONS.compare;
+      compareBtn.addEventListener('click', function() {
+        self._emit('compareWithSaved', {});
+      });
+      this._actionsContainer.appendChild(compareBtn);
+
       // Split editor button
       var splitBtn = document.createElement('div');
       splitBtn.className = 'ide-tab-action';
@@ -342,6 +382,17 @@
       });
     }
 
+    /**
+     * Show the git status of a tab's file
+     * @param {{tab: Tab, element: HTMLElement}} tabData
+     */
+    _applyFileStatus(tabData) {
+      var state = tabData.tab.path ? this._fileStatus.get(tabData.tab.path) : null;
+      ['modified', 'added', 'untracked'].forEach(function(name) {
+        tabData.element.classList.toggle('git-' + name, name === state);
+      });
+    }
+
     /**
      * Create tab element
      * @param {Tab} tab - Tab data
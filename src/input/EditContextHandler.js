@@ -150,10 +150,11 @@
     _bindDocumentEvents() {
       var self = this;
 
-      // Sync EditContext when document changes externally
+      // Apply every document change to the EditContext, so it keeps
+      // mirroring the document without copying all of it
       this._editor.document.on('change', function (change) {
         if (!self._isComposing) {
-          self._syncEditContextText();
+          self._editContext.updateText(change.startOffset, change.endOffset, change.insertedText);
         }
       });
 
@@ -172,12 +173,22 @@
     _handleTextUpdate(event) {
       const { text } = event;
 
+      // The EditContext holds the typed text already. Outside a composition
+      // it is taken back out, and the document's changes, which can differ
+      // (other cursors, closed brackets), reach it through the change event.
+      if (!this._isComposing) {
+        var replaced = this._editor.document.getTextRange(event.updateRangeStart, event.updateRangeEnd);
+        this._editContext.updateText(event.updateRangeStart, event.updateRangeStart + text.length, replaced);
+      }
+
       // Use insertText for multi-cursor support
       // insertText handles all cursors and updates selections properly
       this._editor.insertText(text);
 
       // Sync EditContext with new state
-      this._syncEditContextText();
+      if (this._isComposing) {
+        this._syncEditContextText();
+      }
       this._syncEditContextSelection();
 
       // Emit event for view update
@@ -239,6 +250,7 @@
       var metaKey = event.metaKey;
       var shiftKey = event.shiftKey;
       var modKey = ctrlKey || metaKey;
+      var self = this;
 
       switch (key) {
         case 'ArrowLeft':
@@ -308,7 +320,9 @@
 
         case 'x':
           if (modKey) {
-            this._handleCut();
+            this._editor.transact(function () {
+              self._handleCut();
+            }, 'Cut');
             event.preventDefault();
           }
           break;
@@ -392,9 +406,10 @@
     }
 
     _handleBackspace(modKey) {
+      if (this._editor.isReadOnly()) return;
+
       if (this._editor.hasMultipleCursors()) {
         if (this._editor.deleteAtAllCursors(false, modKey)) {
-          this._syncEditContextText();
           this._syncEditContextSelection();
           return;
         }
@@ -419,7 +434,6 @@
       if (start !== end) {
         doc.delete(start, end);
         this._editor.setSelection(start, start);
-        this._syncEditContextText();
         this._syncEditContextSelection();
 
         // Emit input event for autocomplete to detect deletion
@@ -432,9 +446,10 @@
     }
 
     _handleDelete(modKey) {
+      if (this._editor.isReadOnly()) return;
+
       if (this._editor.hasMultipleCursors()) {
         if (this._editor.deleteAtAllCursors(true, modKey)) {
-          this._syncEditContextText();
           this._syncEditContextSelection();
           return;
         }
@@ -459,7 +474,6 @@
       if (start !== end) {
         doc.delete(start, end);
         this._editor.setSelection(start, start);
-        this._syncEditContextText();
         this._syncEditContextSelection();
 
         // Emit input event for autocomplete to detect deletion
@@ -473,14 +487,12 @@
 
     _handleEnter() {
       this._editor.insertText('\n');
-      this._syncEditContextText();
       this._syncEditContextSelection();
     }
 
     _handleTab(shiftKey) {
-      var tabText = '  ';
+      var tabText = this._editor.getIndentText();
       this._editor.insertText(tabText);
-      this._syncEditContextText();
       this._syncEditContextSelection();
     }
 
@@ -516,6 +528,12 @@
     }
 
     _handleCut() {
+      // Read-only text is copied and left in place
+      if (this._editor.isReadOnly()) {
+        this._handleCopy();
+        return;
+      }
+
       if (this._editor.hasMultipleCursors()) {
         var texts = this._editor.getAllSelectedTexts();
         var hasSelection = texts.some(function (t) {
@@ -530,7 +548,6 @@
             .join('\n');
           navigator.clipboard.writeText(combinedText);
           this._editor.insertText('');
-          this._syncEditContextText();
           this._syncEditContextSelection();
         }
         return;
@@ -542,44 +559,48 @@
         navigator.clipboard.writeText(text);
         this._editor.document.delete(selection.start, selection.end);
         this._editor.setSelection(selection.start, selection.start);
-        this._syncEditContextText();
         this._syncEditContextSelection();
       }
     }
 
     _handlePaste() {
       var self = this;
+      if (this._editor.isReadOnly()) return;
 
       navigator.clipboard
         .readText()
         .then(function (text) {
-          if (self._editor.hasMultipleCursors()) {
-            var normalizedText = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-            var lines = normalizedText.split('\n');
-            var selections = self._editor.getSelections();
-
-            if (lines.length === selections.count) {
-              self._smartPasteMultiCursor(lines, selections);
-            } else {
-              self._editor.insertText(text);
-            }
-
-            self._syncEditContextText();
-            self._syncEditContextSelection();
-            return;
-          }
-
-          var selection = self._editor.getSelection();
-          self._editor.document.replaceRange(selection.start, selection.end, text);
-          self._editor.setSelection(selection.start + text.length, selection.start + text.length);
-          self._syncEditContextText();
-          self._syncEditContextSelection();
+          self._editor.transact(function () {
+            self._pasteText(text);
+          }, 'Paste');
         })
         .catch(function (err) {
           console.error('Paste failed:', err);
         });
     }
 
+    _pasteText(text) {
+      if (this._editor.hasMultipleCursors()) {
+        var normalizedText = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+        var lines = normalizedText.split('\n');
+        var selections = this._editor.getSelections();
+
+        if (lines.length === selections.count) {
+          this._smartPasteMultiCursor(lines, selections);
+        } else {
+          this._editor.insertText(text);
+        }
+
+        this._syncEditContextSelection();
+        return;
+      }
+
+      var selection = this._editor.getSelection();
+      this._editor.document.replaceRange(selection.start, selection.end, text);
+      this._editor.setSelection(selection.start + text.length, selection.start + text.length);
+      this._syncEditContextSelection();
+    }
+
     _smartPasteMultiCursor(lines, selections) {
       var doc = this._editor.document;
       var sortedSels = selections.sorted(false);
@@ -695,6 +716,8 @@
     // Synchronization with EditContext
     // ----------------------------------------
 
+    // Copies the whole document; only compositions, where the EditContext
+    // and the document part ways, need it
     _syncEditContextText() {
       var text = this._editor.document.getText();
       this._editContext.updateText(0, this._editContext.text.length, text);
@@ -109,9 +109,9 @@
       ta.addEventListener('keydown', function(e) { self._handleKeyDown(e); });
       ta.addEventListener('focus', function() { self._handleFocus(); });
       ta.addEventListener('blur', function() { self._handleBlur(); });
-      ta.addEventListener('paste', function(e) { self._handlePaste(e); });
+      ta.addEventListener('paste', function(e) { self._editor.transact(function() { self._handlePaste(e); }, 'Paste'); });
       ta.addEventListener('copy', function(e) { self._handleCopy(e); });
-      ta.addEventListener('cut', function(e) { self._handleCut(e); });
+      ta.addEventListener('cut', function(e) { self._editor.transact(function() { self._handleCut(e); }, 'Cut'); });
 
       this._element.addEventListener('mousedown', function(e) {
         if (e.target !== self._textarea) {
@@ -164,7 +164,7 @@
       var text = event.data || this._textarea.value;
       var selection = this._editor.getSelection();
 
-      if (text) {
+      if (text && !this._editor.isReadOnly()) {
         this._editor.document.replaceRange(selection.start, selection.end, text);
         this._editor.setSelection(selection.start + text.length, selection.start + text.length);
       }
@@ -272,6 +272,8 @@
     }
 
     _handleBackspace(modKey) {
+      if (this._editor.isReadOnly()) return;
+
       if (this._editor.hasMultipleCursors()) {
         this._editor.deleteAtAllCursors(false, modKey);
         return;
@@ -293,6 +295,8 @@
     }
 
     _handleDelete(modKey) {
+      if (this._editor.isReadOnly()) return;
+
       if (this._editor.hasMultipleCursors()) {
         this._editor.deleteAtAllCursors(true, modKey);
         return;
@@ -318,7 +322,7 @@
     }
 
     _handleTab(shiftKey) {
-      var tabText = '  ';
+      var tabText = this._editor.getIndentText();
       this._editor.insertText(tabText);
     }
 
@@ -384,6 +388,7 @@
 
     _handlePaste(event) {
       event.preventDefault();
+      if (this._editor.isReadOnly()) return;
 
       var text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
       if (!text) return;
@@ -465,6 +470,12 @@
     }
 
     _handleCut(event) {
+      // Read-only text is copied and left in place
+      if (this._editor.isReadOnly()) {
+        this._handleCopy(event);
+        return;
+      }
+
       if (this._editor.hasMultipleCursors()) {
         var texts = this._editor.getAllSelectedTexts();
         var hasSelection = texts.some(function(t) { return t.length > 0; });
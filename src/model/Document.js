@@ -5,29 +5,33 @@
 (function(CodeEditor) {
   'use strict';
 
+  var PieceTable = CodeEditor.PieceTable;
+
   // ============================================
   // Class Definition
   // ============================================
 
   /**
    * Represents the text document being edited.
-   * Stores content as an array of lines for efficient line-based operations.
+   * Content lives in a PieceTable so edits, position conversion and range
+   * reads stay logarithmic; full text and the line array are materialized
+   * lazily and cached per version.
    */
   class Document {
     // ----------------------------------------
     // Instance Properties
     // ----------------------------------------
-    _lines = [''];
+    _pieces = null;
     _version = 0;
     _listeners = new Map();
+    _textCache = null;
+    _linesCache = null;
 
     // ----------------------------------------
     // Constructor
     // ----------------------------------------
     constructor(initialText = '') {
-      if (initialText) {
-        this._lines = initialText.split('\n');
-      }
+      this._pieces = new PieceTable(initialText || '');
     }
 
     // ----------------------------------------
@@ -39,7 +43,10 @@
      * @returns {string}
      */
     getText() {
-      return this._lines.join('\n');
+      if (this._textCache === null) {
+        this._textCache = this._pieces.getTextRange(0, this._pieces.getLength());
+      }
+      return this._textCache;
     }
 
     /**
@@ -49,8 +56,7 @@
      * @returns {string}
      */
     getTextRange(startOffset, endOffset) {
-      var text = this.getText();
-      return text.slice(startOffset, endOffset);
+      return this._pieces.getTextRange(startOffset, endOffset);
     }
 
     /**
@@ -59,15 +65,39 @@
      * @returns {string}
      */
     getLine(lineIndex) {
-      return this._lines[lineIndex] || '';
+      if (lineIndex < 0 || lineIndex >= this._pieces.getLineCount()) {
+        return '';
+      }
+      if (this._linesCache) {
+        return this._linesCache[lineIndex];
+      }
+
+      var start = this._pieces.getLineStartOffset(lineIndex);
+      return this._pieces.getTextRange(start, start + this._pieces.getLineLength(lineIndex));
+    }
+
+    /**
+     * Get the length of a line without reading its content
+     * @param {number} lineIndex - 0-based line index
+     * @returns {number}
+     */
+    getLineLength(lineIndex) {
+      if (lineIndex < 0 || lineIndex >= this._pieces.getLineCount()) {
+        return 0;
+      }
+      return this._pieces.getLineLength(lineIndex);
     }
 
     /**
-     * Get all lines
+     * Get all lines.
+     * Materializes the whole document; prefer getLine() for ranges of lines.
      * @returns {string[]}
      */
     getLines() {
-      return this._lines;
+      if (this._linesCache === null) {
+        this._linesCache = this.getText().split('\n');
+      }
+      return this._linesCache;
     }
 
     /**
@@ -75,7 +105,7 @@
      * @returns {number}
      */
     getLineCount() {
-      return this._lines.length;
+      return this._pieces.getLineCount();
     }
 
     /**
@@ -83,7 +113,7 @@
      * @returns {number}
      */
     getLength() {
-      return this.getText().length;
+      return this._pieces.getLength();
     }
 
     // ----------------------------------------
@@ -98,14 +128,19 @@
      * @returns {Object} Change info
      */
     replaceRange(startOffset, endOffset, newText) {
-      var oldText = this.getText();
-      var deletedText = oldText.slice(startOffset, endOffset);
-
-      var newFullText = oldText.slice(0, startOffset) + newText + oldText.slice(endOffset);
+      var length = this._pieces.getLength();
+      var deletedText = this._pieces.getTextRange(startOffset, endOffset);
+
+      if (startOffset <= 0 && endOffset >= length) {
+        // Whole-document replace: start over instead of growing the add buffer
+        this._pieces.reset(newText);
+      } else {
+        this._pieces.replace(startOffset, endOffset, newText);
+      }
 
-      var oldLines = this._lines.slice();
-      this._lines = newFullText.split('\n');
       this._version++;
+      this._textCache = null;
+      this._linesCache = null;
 
       // Calculate affected line range
       var startPos = this.offsetToPosition(startOffset);
@@ -117,7 +152,7 @@
         deletedText: deletedText,
         newEndOffset: startOffset + newText.length,
         startLine: startPos.line,
-        endLine: Math.max(startPos.line, this._lines.length - 1),
+        endLine: Math.max(startPos.line, this._pieces.getLineCount() - 1),
       };
 
       this._emit('change', change);
@@ -160,23 +195,12 @@
      * @returns {{ line: number, column: number }}
      */
     offsetToPosition(offset) {
-      var remaining = offset;
-
-      for (var line = 0; line < this._lines.length; line++) {
-        var lineLength = this._lines[line].length;
-
-        if (remaining <= lineLength) {
-          return { line: line, column: remaining };
-        }
-
-        remaining -= lineLength + 1; // +1 for newline
-      }
+      var clamped = Math.max(0, Math.min(offset, this._pieces.getLength()));
+      var line = this._pieces.getLineIndexAt(clamped);
 
-      // Past end of document
-      var lastLine = this._lines.length - 1;
       return {
-        line: lastLine,
-        column: this._lines[lastLine].length,
+        line: line,
+        column: clamped - this._pieces.getLineStartOffset(line),
       };
     }
 
@@ -187,17 +211,13 @@
      * @returns {number}
      */
     positionToOffset(line, column) {
-      var offset = 0;
-
-      for (var i = 0; i < line && i < this._lines.length; i++) {
-        offset += this._lines[i].length + 1; // +1 for newline
-      }
-
-      if (line < this._lines.length) {
-        offset += Math.min(column, this._lines[line].length);
+      if (line >= this._pieces.getLineCount()) {
+        return this._pieces.getLength();
       }
 
-      return offset;
+      var lineIndex = Math.max(0, line);
+      var lineStart = this._pieces.getLineStartOffset(lineIndex);
+      return lineStart + Math.max(0, Math.min(column, this._pieces.getLineLength(lineIndex)));
     }
 
     // ----------------------------------------
@@ -269,7 +289,7 @@
     }
 
     get lines() {
-      return this._lines;
+      return this.getLines();
     }
   }
 
@@ -0,0 +1,432 @@
+/**
+ * @fileoverview Piece table text storage backed by a balanced tree
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  var ORIGINAL_BUFFER = 0;
+  var ADD_BUFFER = 1;
+
+  // ============================================
+  // Class Definition
+  // ============================================
+
+  /**
+   * Piece table storing text as spans over two buffers: the original text and
+   * an append-only add buffer. Pieces are kept in a treap ordered by document
+   * position, with subtree totals for length and line feeds, so offset and line
+   * lookups, range reads and edits are O(log n) in the number of pieces.
+   */
+  class PieceTable {
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+    _buffers = [];
+    _root = null;
+
+    // ----------------------------------------
+    // Constructor
+    // ----------------------------------------
+    constructor(initialText = '') {
+      this.reset(initialText);
+    }
+
+    // ----------------------------------------
+    // Public Methods - Text Access
+    // ----------------------------------------
+
+    /**
+     * Replace all content, discarding both buffers
+     * @param {string} text
+     */
+    reset(text) {
+      this._buffers = [this._createBuffer(text), this._createBuffer('')];
+      this._root = text.length > 0 ? this._createNode(ORIGINAL_BUFFER, 0, text.length) : null;
+    }
+
+    /**
+     * Get total character count
+     * @returns {number}
+     */
+    getLength() {
+      return this._root ? this._root.totalLength : 0;
+    }
+
+    /**
+     * Get total number of lines
+     * @returns {number}
+     */
+    getLineCount() {
+      return (this._root ? this._root.totalLineFeeds : 0) + 1;
+    }
+
+    /**
+     * Get text within a range
+     * @param {number} startOffset
+     * @param {number} endOffset
+     * @returns {string}
+     */
+    getTextRange(startOffset, endOffset) {
+      var length = this.getLength();
+      var start = Math.max(0, Math.min(startOffset, length));
+      var end = Math.max(start, Math.min(endOffset, length));
+
+      if (start === end) return '';
+
+      var parts = [];
+      this._collectText(this._root, 0, start, end, parts);
+      return parts.join('');
+    }
+
+    /**
+     * Get offset of the first character of a line
+     * @param {number} lineIndex - 0-based line index (clamped)
+     * @returns {number}
+     */
+    getLineStartOffset(lineIndex) {
+      var line = Math.max(0, Math.min(lineIndex, this.getLineCount() - 1));
+      if (line === 0) return 0;
+
+      // Find the offset just past the line-th line feed
+      var remaining = line;
+      var offset = 0;
+      var node = this._root;
+
+      while (node) {
+        var leftLineFeeds = node.left ? node.left.totalLineFeeds : 0;
+
+        if (remaining <= leftLineFeeds) {
+          node = node.left;
+          continue;
+        }
+
+        remaining -= leftLineFeeds;
+        var leftLength = node.left ? node.left.totalLength : 0;
+
+        if (remaining <= node.lineFeeds) {
+          var lineFeeds = this._buffers[node.buffer].lineFeeds;
+          var first = lowerBound(lineFeeds, node.start);
+          var position = lineFeeds[first + remaining - 1];
+          return offset + leftLength + (position - node.start) + 1;
+        }
+
+        remaining -= node.lineFeeds;
+        offset += leftLength + node.length;
+        node = node.right;
+      }
+
+      return this.getLength();
+    }
+
+    /**
+     * Get the length of a line, excluding its line feed
+     * @param {number} lineIndex - 0-based line index (clamped)
+     * @returns {number}
+     */
+    getLineLength(lineIndex) {
+      var start = this.getLineStartOffset(lineIndex);
+      var end = lineIndex + 1 < this.getLineCount()
+        ? this.getLineStartOffset(lineIndex + 1) - 1
+        : this.getLength();
+      return end - start;
+    }
+
+    /**
+     * Count line feeds before an offset (i.e. the line containing it)
+     * @param {number} offset
+     * @returns {number}
+     */
+    getLineIndexAt(offset) {
+      var remaining = Math.max(0, Math.min(offset, this.getLength()));
+      var count = 0;
+      var node = this._root;
+
+      while (node) {
+        var leftLength = node.left ? node.left.totalLength : 0;
+
+        if (remaining < leftLength) {
+          node = node.left;
+          continue;
+        }
+
+        count += node.left ? node.left.totalLineFeeds : 0;
+        remaining -= leftLength;
+
+        if (remaining <= node.length) {
+          return count + this._countLineFeeds(node.buffer, node.start, node.start + remaining);
+        }
+
+        count += node.lineFeeds;
+        remaining -= node.length;
+        node = node.right;
+      }
+
+      return count;
+    }
+
+    // ----------------------------------------
+    // Public Methods - Text Modification
+    // ----------------------------------------
+
+    /**
+     * Replace text in a range with new text
+     * @param {number} startOffset - Start character offset (clamped)
+     * @param {number} endOffset - End character offset (clamped)
+     * @param {string} text - Text to insert
+     */
+    replace(startOffset, endOffset, text) {
+      var length = this.getLength();
+      var start = Math.max(0, Math.min(startOffset, length));
+      var end = Math.max(start, Math.min(endOffset, length));
+
+      var head = this._split(this._root, start);
+      var tail = this._split(head[1], end - start)[1];
+      var left = head[0];
+
+      if (text) {
+        left = this._appendPiece(left, text);
+      }
+
+      this._root = this._merge(left, tail);
+    }
+
+    // ----------------------------------------
+    // Private Methods - Buffers
+    // ----------------------------------------
+
+    /**
+     * @private
+     * @param {string} text
+     * @returns {{ text: string, lineFeeds: number[] }}
+     */
+    _createBuffer(text) {
+      var buffer = { text: '', lineFeeds: [] };
+      this._appendToBuffer(buffer, text);
+      return buffer;
+    }
+
+    /**
+     * Append text to a buffer, recording its line feed positions
+     * @private
+     */
+    _appendToBuffer(buffer, text) {
+      var base = buffer.text.length;
+      var index = text.indexOf('\n');
+
+      while (index !== -1) {
+        buffer.lineFeeds.push(base + index);
+        index = text.indexOf('\n', index + 1);
+      }
+
+      buffer.text += text;
+    }
+
+    /**
+     * Count line feeds in buffer[start, end)
+     * @private
+     */
+    _countLineFeeds(bufferIndex, start, end) {
+      var lineFeeds = this._buffers[bufferIndex].lineFeeds;
+      return lowerBound(lineFeeds, end) - lowerBound(lineFeeds, start);
+    }
+
+    /**
+     * Append text to the add buffer and attach a piece for it after `left`.
+     * Consecutive typing extends the previous add-buffer piece instead of
+     * creating a new one.
+     * @private
+     * @param {Object|null} left - Tree holding everything before the insertion
+     * @param {string} text
+     * @returns {Object} New tree
+     */
+    _appendPiece(left, text) {
+      var buffer = this._buffers[ADD_BUFFER];
+      var start = buffer.text.length;
+      var lineFeedsBefore = buffer.lineFeeds.length;
+
+      this._appendToBuffer(buffer, text);
+      var addedLineFeeds = buffer.lineFeeds.length - lineFeedsBefore;
+
+      var last = left;
+      while (last && last.right) {
+        last = last.right;
+      }
+
+      if (last && last.buffer === ADD_BUFFER && last.start + last.length === start) {
+        var node = left;
+        while (node) {
+          if (node === last) {
+            node.length += text.length;
+            node.lineFeeds += addedLineFeeds;
+          }
+          node.totalLength += text.length;
+          node.totalLineFeeds += addedLineFeeds;
+          node = node.right;
+        }
+        return left;
+      }
+
+      return this._merge(left, this._createNode(ADD_BUFFER, start, text.length));
+    }
+
+    // ----------------------------------------
+    // Private Methods - Tree
+    // ----------------------------------------
+
+    /**
+     * @private
+     */
+    _createNode(bufferIndex, start, length) {
+      var lineFeeds = this._countLineFeeds(bufferIndex, start, start + length);
+      return {
+        buffer: bufferIndex,
+        start: start,
+        length: length,
+        lineFeeds: lineFeeds,
+        totalLength: length,
+        totalLineFeeds: lineFeeds,
+        priority: Math.random(),
+        left: null,
+        right: null,
+      };
+    }
+
+    /**
+     * Recompute subtree totals from children
+     * @private
+     */
+    _update(node) {
+      node.totalLength = node.length;
+      node.totalLineFeeds = node.lineFeeds;
+
+      if (node.left) {
+        node.totalLength += node.left.totalLength;
+        node.totalLineFeeds += node.left.totalLineFeeds;
+      }
+      if (node.right) {
+        node.totalLength += node.right.totalLength;
+        node.totalLineFeeds += node.right.totalLineFeeds;
+      }
+    }
+
+    /**
+     * Split a tree so the left part holds exactly `offset` characters.
+     * A piece straddling the split point is cut in two.
+     * @private
+     * @returns {Array} [left, right]
+     */
+    _split(node, offset) {
+      if (!node) return [null, null];
+
+      var leftLength = node.left ? node.left.totalLength : 0;
+      var result;
+
+      if (offset <= leftLength) {
+        result = this._split(node.left, offset);
+        node.left = result[1];
+        this._update(node);
+        return [result[0], node];
+      }
+
+      if (offset >= leftLength + node.length) {
+        result = this._split(node.right, offset - leftLength - node.length);
+        node.right = result[0];
+        this._update(node);
+        return [node, result[1]];
+      }
+
+      var local = offset - leftLength;
+      var rest = this._createNode(node.buffer, node.start + local, node.length - local);
+      var right = node.right;
+
+      node.length = local;
+      node.lineFeeds -= rest.lineFeeds;
+      node.right = null;
+      this._update(node);
+
+      return [node, this._merge(rest, right)];
+    }
+
+    /**
+     * Concatenate two trees (all of `left` precedes `right`)
+     * @private
+     */
+    _merge(left, right) {
+      if (!left) return right;
+      if (!right) return left;
+
+      if (left.priority > right.priority) {
+        left.right = this._merge(left.right, right);
+        this._update(left);
+        return left;
+      }
+
+      right.left = this._merge(left, right.left);
+      this._update(right);
+      return right;
+    }
+
+    /**
+     * In-order collect of text overlapping [start, end)
+     * @private
+     */
+    _collectText(node, base, start, end, parts) {
+      if (!node) return;
+
+      var pieceStart = base + (node.left ? node.left.totalLength : 0);
+      var pieceEnd = pieceStart + node.length;
+
+      if (start < pieceStart) {
+        this._collectText(node.left, base, start, end, parts);
+      }
+
+      if (start < pieceEnd && end > pieceStart) {
+        var from = node.start + Math.max(start, pieceStart) - pieceStart;
+        var to = node.start + Math.min(end, pieceEnd) - pieceStart;
+        parts.push(this._buffers[node.buffer].text.substring(from, to));
+      }
+
+      if (end > pieceEnd) {
+        this._collectText(node.right, pieceEnd, start, end, parts);
+      }
+    }
+  }
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Index of the first element >= value in a sorted array
+   * @param {number[]} array
+   * @param {number} value
+   * @returns {number}
+   */
+  function lowerBound(array, value) {
+    var low = 0;
+    var high = array.length;
+
+    while (low < high) {
+      var mid = (low + high) >>> 1;
+      if (array[mid] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  // ============================================
+  // Export to Namespace
+  // ============================================
+
+  CodeEditor.PieceTable = PieceTable;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -7,6 +7,10 @@
 (function(CodeEditor) {
   'use strict';
 
+  // Get dependencies
+  var Selection = CodeEditor.Selection;
+  var UndoManager = CodeEditor.UndoManager;
+
   // Image file extensions
   var IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp', 'bmp', 'ico'];
 
@@ -37,6 +41,7 @@
     _cursorPosition = { line: 0, column: 0 };
     _undoStack = [];
     _redoStack = [];
+    _diff = null; // Other text shown beside the content; see the diff property
 
     // ============================================
     // Constructor
@@ -56,7 +61,7 @@
       this._isPinned = options.isPinned || false;
       this._isPreview = options.isPreview || false;
       this._content = options.content || '';
-      this._originalContent = options.content || '';
+      this._originalContent = options.originalContent !== undefined ? options.originalContent : this._content;
       this._handle = options.handle || null;
       this._scrollPosition = options.scrollPosition || { top: 0, left: 0 };
       this._selections = options.selections || [];
@@ -93,6 +98,16 @@
       this._isDirty = this._content !== this._originalContent;
     }
 
+    /**
+     * Replace the content the tab compares against to be dirty, such as
+     * after its file was changed on disk
+     * @param {string} content - Content of the file on disk
+     */
+    setOriginalContent(content) {
+      this._originalContent = content;
+      this._isDirty = this._content !== this._originalContent;
+    }
+
     /**
      * Save editor state from an editor instance
      * @param {Editor} editor - Editor instance
@@ -164,6 +179,18 @@
       }
     }
 
+    /**
+     * Point this tab at the new path of its renamed or moved file
+     * @param {string} path - New file path
+     * @param {FileSystemFileHandle|null} handle - Handle of the file at its new path
+     */
+    rename(path, handle) {
+      this._path = path;
+      this._name = this._extractName(path);
+      this._language = this._detectLanguage(path);
+      this._handle = handle;
+    }
+
     /**
      * Pin this tab (prevent closing, move to start)
      */
@@ -213,7 +240,9 @@
         name: this._name,
         type: this._type,
         language: this._language,
+        isDirty: this._isDirty,
         content: this._content,
+        originalContent: this._originalContent,
         handle: this._handle,
         scrollPosition: { top: this._scrollPosition.top, left: this._scrollPosition.left },
         selections: this._selections.map(function(s) { return { start: s.start, end: s.end }; }),
@@ -223,6 +252,64 @@
       });
     }
 
+    /**
+     * Get the state to keep across page reloads: the buffer, view state and
+     * undo history. Image tabs keep only their path; the image is read again.
+     * @returns {Object} Plain object for Tab.deserialize
+     */
+    serialize() {
+      var data = {
+        path: this._path,
+        type: this._type,
+        language: this._language,
+        isPinned: this._isPinned,
+        isPreview: this._isPreview,
+      };
+      if (this.isImage()) return data;
+
+      data.content = this._content;
+      if (this._isDirty) {
+        data.originalContent = this._originalContent;
+      }
+      data.scrollPosition = { top: this._scrollPosition.top, left: this._scrollPosition.left };
+      data.selections = this._selections.map(function(s) {
+        // {start, end} read as {anchor, cursor}, which keeps the direction
+        return s instanceof Selection ? { start: s.anchor, end: s.cursor } : { start: s.start, end: s.end };
+      });
+      data.cursorPosition = { line: this._cursorPosition.line, column: this._cursorPosition.column };
+      data.undoStack = UndoManager.serializeStack(this._undoStack);
+      data.redoStack = UndoManager.serializeStack(this._redoStack);
+      return data;
+    }
+
+    /**
+     * Create a tab from state saved by serialize()
+     * @param {Object} data - Serialized tab
+     * @param {FileSystemFileHandle} [handle] - Handle of the file on disk
+     * @returns {Tab}
+     */
+    static deserialize(data, handle) {
+      var content = data.content || '';
+      var originalContent = data.originalContent !== undefined ? data.originalContent : content;
+
+      return new Tab({
+        path: data.path,
+        type: data.type,
+        language: data.language,
+        isPinned: data.isPinned,
+        isPreview: data.isPreview,
+        isDirty: content !== originalContent,
+        content: content,
+        originalContent: originalContent,
+        handle: handle || null,
+        scrollPosition: data.scrollPosition,
+        selections: data.selections,
+        cursorPosition: data.cursorPosition,
+        undoStack: UndoManager.deserializeStack(data.undoStack),
+        redoStack: UndoManager.deserializeStack(data.redoStack),
+      });
+    }
+
     // ============================================
     // Private Methods
     // ============================================
@@ -396,6 +483,21 @@
       this._redoStack = value;
     }
 
+    /**
+     * Text the tab is compared against, shown beside its content until the
+     * comparison is closed; null when the tab is shown as a plain editor.
+     * An original of null compares against the saved content. Comparisons
+     * are not kept in clones or saved sessions.
+     * @type {{original: string|null, originalLabel: string, modifiedLabel: string}|null}
+     */
+    get diff() {
+      return this._diff;
+    }
+
+    set diff(value) {
+      this._diff = value;
+    }
+
     /**
      * Get display title (name with dirty indicator)
      * @returns {string} Display title
@@ -0,0 +1,532 @@
+/**
+ * @fileoverview Undo history with transactions and typing coalescing
+ *
+ * Each history entry is one undo step: the document changes it made, in
+ * the order they were applied, and the selections before and after.
+ * Changes made inside a transaction form a single entry. Consecutive
+ * typing, or consecutive deletions, merge into one entry while the edits
+ * follow each other closely in time and the cursor has not moved between
+ * them; typing the start of a new word begins a new entry.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  var Selection = CodeEditor.Selection;
+  var SelectionCollection = CodeEditor.SelectionCollection;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  /**
+   * Labels of entries that were not given one
+   * @enum {string}
+   */
+  var UndoLabel = Object.freeze({
+    TYPING: 'Typing',
+    DELETE: 'Delete',
+    EDIT: 'Edit',
+  });
+
+  // Longest pause between edits that still merge into one entry
+  var COALESCE_DELAY_MS = 1000;
+
+  var WORD_CHAR = /\w/;
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Label changes by what they did
+   * @param {Array<{deletedText: string, insertedText: string}>} changes
+   * @returns {string} UndoLabel
+   */
+  function describeChanges(changes) {
+    var inserts = changes.every(function(change) {
+      return change.insertedText !== '';
+    });
+    if (inserts) return UndoLabel.TYPING;
+
+    var deletes = changes.every(function(change) {
+      return change.insertedText === '';
+    });
+    return deletes ? UndoLabel.DELETE : UndoLabel.EDIT;
+  }
+
+  /**
+   * @param {SelectionCollection|null} a
+   * @param {SelectionCollection|null} b
+   * @returns {boolean}
+   */
+  function sameSelections(a, b) {
+    if (!a || !b || a.count !== b.count) return false;
+
+    var first = a.all;
+    var second = b.all;
+    for (var i = 0; i < first.length; i++) {
+      if (!first[i].equals(second[i])) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether typing an entry starts a new word after the previous one
+   * @param {Object} previous - Entry typed before
+   * @param {Object} next - Entry typed after
+   * @returns {boolean}
+   */
+  function startsWord(previous, next) {
+    var before = previous.changes[previous.changes.length - 1].insertedText;
+    var typed = next.changes[0].insertedText;
+    return WORD_CHAR.test(typed.charAt(0)) && !WORD_CHAR.test(before.charAt(before.length - 1));
+  }
+
+  /**
+   * @param {SelectionCollection} selections
+   * @returns {{selections: Array<{start: number, end: number}>, primaryIndex: number}}
+   */
+  function serializeSelections(selections) {
+    return {
+      // {start, end} read as {anchor, cursor}, which keeps the direction
+      selections: selections.all.map(function(sel) {
+        return { start: sel.anchor, end: sel.cursor };
+      }),
+      primaryIndex: selections.primaryIndex,
+    };
+  }
+
+  /**
+   * @param {{selections: Array<{start: number, end: number}>, primaryIndex: number}} data
+   * @returns {SelectionCollection}
+   */
+  function deserializeSelections(data) {
+    return new SelectionCollection(data.selections).setPrimaryIndex(data.primaryIndex);
+  }
+
+  // ============================================
+  // Class Definition
+  // ============================================
+
+  /**
+   * Undo and redo stacks of one document.
+   * The owner applies the changes of the entries it gets back from undo()
+   * and redo(); the manager only keeps the history.
+   *
+   * @example
+   * var history = new UndoManager();
+   * history.begin('Move Line Up', selections);
+   * history.record(change, selections);
+   * history.end(selections);
+   * var entry = history.undo(); // Revert entry.changes in reverse order
+   */
+  class UndoManager {
+    // ----------------------------------------
+    // Instance Properties
+    // ----------------------------------------
+    _undoStack = [];
+    _redoStack = [];
+    _listeners = new Map();
+
+    // Open transaction: {label, changes, selectionsBefore}, and its nesting depth
+    _transaction = null;
+    _depth = 0;
+
+    // Entry recorded outside a transaction whose selections after are not known yet
+    _unsettled = null;
+
+    // Whether the next entry may merge into the top of the undo stack
+    _canMerge = false;
+
+    // ----------------------------------------
+    // Public Methods - Recording
+    // ----------------------------------------
+
+    /**
+     * Record a document change. Inside a transaction it joins the
+     * transaction; otherwise it becomes an entry of its own, which may
+     * merge into the previous one.
+     * @param {{startOffset: number, deletedText: string, insertedText: string}} change
+     * @param {SelectionCollection} selections - Selections before the change
+     */
+    record(change, selections) {
+      var recorded = {
+        startOffset: change.startOffset,
+        deletedText: change.deletedText,
+        insertedText: change.insertedText,
+      };
+
+      if (this._transaction) {
+        this._transaction.changes.push(recorded);
+        return;
+      }
+
+      this._commit({
+        label: describeChanges([recorded]),
+        changes: [recorded],
+        selectionsBefore: selections.clone(),
+        selectionsAfter: null,
+        timestamp: Date.now(),
+      });
+    }
+
+    /**
+     * Start a transaction; changes recorded until the matching end() form
+     * one entry. Transactions nest into the outermost one.
+     * @param {string} [label] - Name of the entry; derived from its changes if omitted
+     * @param {SelectionCollection} selections - Selections before the transaction
+     */
+    begin(label, selections) {
+      this._depth++;
+
+      if (this._depth === 1) {
+        this._settle(selections);
+        this._transaction = {
+          label: label || null,
+          changes: [],
+          selectionsBefore: selections.clone(),
+        };
+      } else if (!this._transaction.label && label) {
+        this._transaction.label = label;
+      }
+    }
+
+    /**
+     * End a transaction, committing it once the outermost one ends
+     * @param {SelectionCollection} selections - Selections after the transaction
+     */
+    end(selections) {
+      if (this._depth === 0) return;
+
+      this._depth--;
+      if (this._depth > 0) return;
+
+      var transaction = this._transaction;
+      this._transaction = null;
+      if (transaction.changes.length === 0) return;
+
+      this._commit({
+        label: transaction.label || describeChanges(transaction.changes),
+        changes: transaction.changes,
+        selectionsBefore: transaction.selectionsBefore,
+        selectionsAfter: selections.clone(),
+        timestamp: Date.now(),
+      });
+    }
+
+    /**
+     * Check whether a transaction is open
+     * @returns {boolean}
+     */
+    isInTransaction() {
+      return this._transaction !== null;
+    }
+
+    /**
+     * Give the last entry the selections its change left behind. Called
+     * on the first selection change after an edit; a no-op afterwards.
+     * @param {SelectionCollection} selections
+     */
+    settle(selections) {
+      if (!this._transaction) this._settle(selections);
+    }
+
+    /**
+     * Stop the next entry from merging into the current one
+     */
+    closeGroup() {
+      this._canMerge = false;
+    }
+
+    // ----------------------------------------
+    // Public Methods - Undo/Redo
+    // ----------------------------------------
+
+    /**
+     * Move the last entry to the redo stack
+     * @returns {Object|null} The entry, whose changes the caller reverts in reverse order
+     */
+    undo() {
+      if (this._undoStack.length === 0) return null;
+
+      var entry = this._undoStack.pop();
+      this._redoStack.push(entry);
+      this._canMerge = false;
+      this._emit('change');
+      return entry;
+    }
+
+    /**
+     * Move the last undone entry back to the undo stack
+     * @returns {Object|null} The entry, whose changes the caller applies in order
+     */
+    redo() {
+      if (this._redoStack.length === 0) return null;
+
+      var entry = this._redoStack.pop();
+      this._undoStack.push(entry);
+      this._canMerge = false;
+      this._emit('change');
+      return entry;
+    }
+
+    /**
+     * Check if undo is available
+     * @returns {boolean}
+     */
+    canUndo() {
+      return this._undoStack.length > 0;
+    }
+
+    /**
+     * Check if redo is available
+     * @returns {boolean}
+     */
+    canRedo() {
+      return this._redoStack.length > 0;
+    }
+
+    /**
+     * Get every entry, oldest first, and how many of them are applied
+     * @returns {{entries: Array<{label: string, timestamp: number}>, index: number}}
+     */
+    getHistory() {
+      return {
+        entries: this._undoStack.concat(this._redoStack.slice().reverse()),
+        index: this._undoStack.length,
+      };
+    }
+
+    // ----------------------------------------
+    // Public Methods - Stacks
+    // ----------------------------------------
+
+    /**
+     * Get the undo stack (for tab switching)
+     * @returns {Array} Entries, oldest first
+     */
+    getUndoStack() {
+      return this._undoStack;
+    }
+
+    /**
+     * Replace the undo stack (for tab switching)
+     * @param {Array} stack - Entries, oldest first
+     */
+    setUndoStack(stack) {
+      this._undoStack = stack || [];
+      this._unsettled = null;
+      this._canMerge = false;
+      this._emit('change');
+    }
+
+    /**
+     * Get the redo stack (for tab switching)
+     * @returns {Array} Entries, most recently undone last
+     */
+    getRedoStack() {
+      return this._redoStack;
+    }
+
+    /**
+     * Replace the redo stack (for tab switching)
+     * @param {Array} stack - Entries, most recently undone last
+     */
+    setRedoStack(stack) {
+      this._redoStack = stack || [];
+      this._emit('change');
+    }
+
+    /**
+     * Forget all entries
+     */
+    clear() {
+      this._undoStack = [];
+      this._redoStack = [];
+      this._unsettled = null;
+      this._canMerge = false;
+      this._emit('change');
+    }
+
+    // ----------------------------------------
+    // Static Methods - Persistence
+    // ----------------------------------------
+
+    /**
+     * Convert entries to plain objects that can be stored across reloads
+     * @param {Array} stack - Undo or redo stack
+     * @returns {Array<Object>}
+     */
+    static serializeStack(stack) {
+      return stack.map(function(entry) {
+        return {
+          label: entry.label,
+          changes: entry.changes.map(function(change) {
+            return {
+              startOffset: change.startOffset,
+              deletedText: change.deletedText,
+              insertedText: change.insertedText,
+            };
+          }),
+          selectionsBefore: serializeSelections(entry.selectionsBefore),
+          selectionsAfter: entry.selectionsAfter ? serializeSelections(entry.selectionsAfter) : null,
+          timestamp: entry.timestamp,
+        };
+      });
+    }
+
+    /**
+     * Rebuild entries stored by serializeStack()
+     * @param {Array<Object>} data
+     * @returns {Array} Undo or redo stack
+     */
+    static deserializeStack(data) {
+      return (data || []).map(function(entry) {
+        var last = entry.changes[entry.changes.length - 1];
+        return {
+          label: entry.label,
+          changes: entry.changes.slice(),
+          selectionsBefore: deserializeSelections(entry.selectionsBefore),
+          // An entry saved before its selections settled ends at its last change
+          selectionsAfter: entry.selectionsAfter
+            ? deserializeSelections(entry.selectionsAfter)
+            : new SelectionCollection([Selection.cursor(last.startOffset + last.insertedText.length)]),
+          timestamp: entry.timestamp,
+        };
+      });
+    }
+
+    // ----------------------------------------
+    // Event System
+    // ----------------------------------------
+
+    /**
+     * Subscribe to an event ('change' when the stacks change)
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, []);
+      }
+      this._listeners.get(event).push(callback);
+
+      return () => this.off(event, callback);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler to remove
+     */
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        var index = listeners.indexOf(callback);
+        if (index !== -1) {
+          listeners.splice(index, 1);
+        }
+      }
+    }
+
+    /**
+     * Emit an event to all subscribers
+     * @private
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(callback) {
+          try {
+            callback(data);
+          } catch (err) {
+            console.error('Error in ' + event + ' handler:', err);
+          }
+        });
+      }
+    }
+
+    /**
+     * Clear all event listeners
+     */
+    dispose() {
+      this._listeners.clear();
+    }
+
+    // ----------------------------------------
+    // Private Methods
+    // ----------------------------------------
+
+    /**
+     * Push an entry, or merge it into the top of the undo stack
+     * @param {Object} entry
+     */
+    _commit(entry) {
+      this._settle(entry.selectionsBefore);
+
+      var top = this._undoStack[this._undoStack.length - 1];
+      if (this._canMerge && top && this._shouldMerge(top, entry)) {
+        // A new object, so stacks copied by Tab#clone keep their own entry
+        entry = {
+          label: top.label,
+          changes: top.changes.concat(entry.changes),
+          selectionsBefore: top.selectionsBefore,
+          selectionsAfter: entry.selectionsAfter,
+          timestamp: entry.timestamp,
+        };
+        this._undoStack[this._undoStack.length - 1] = entry;
+      } else {
+        this._undoStack.push(entry);
+      }
+
+      this._redoStack = [];
+      this._unsettled = entry.selectionsAfter ? null : entry;
+      this._canMerge = true;
+      this._emit('change');
+    }
+
+    /**
+     * @param {Object} previous - Top of the undo stack
+     * @param {Object} next - Entry being committed
+     * @returns {boolean}
+     */
+    _shouldMerge(previous, next) {
+      if (previous.label !== next.label) return false;
+      if (next.label !== UndoLabel.TYPING && next.label !== UndoLabel.DELETE) return false;
+      if (next.timestamp - previous.timestamp > COALESCE_DELAY_MS) return false;
+
+      // The cursor moved between the edits
+      if (!sameSelections(previous.selectionsAfter, next.selectionsBefore)) return false;
+
+      // Typing over a selection starts a new entry
+      var replaces = next.changes.some(function(change) {
+        return change.deletedText !== '' && change.insertedText !== '';
+      });
+      if (replaces) return false;
+
+      return next.label !== UndoLabel.TYPING || !startsWord(previous, next);
+    }
+
+    /**
+     * @param {SelectionCollection} selections
+     */
+    _settle(selections) {
+      if (this._unsettled) {
+        this._unsettled.selectionsAfter = selections.clone();
+        this._unsettled = null;
+      }
+    }
+  }
+
+  // ============================================
+  // Export to Namespace
+  // ============================================
+
+  CodeEditor.UndoLabel = UndoLabel;
+  CodeEditor.UndoManager = UndoManager;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -4,6 +4,7 @@
  * Handles file and directory operations including:
  * - Opening folders via File System Access API
  * - Reading and writing files
+ * - Creating, renaming, moving, duplicating and deleting entries
  * - Building file tree structure
  * - File content caching
  */
@@ -21,7 +22,8 @@
     // Instance Members
     // ============================================
 
-    _files = new Map(); // path -> { content, handle, node }
+    _files = new Map(); // path -> { content, handle, node, lastModified }
+    _saving = new Set(); // Paths being written
     _directoryHandle = null; // Root directory handle
     _listeners = new Map();
 
@@ -56,19 +58,11 @@
       }
 
       try {
-        this._directoryHandle = await window.showDirectoryPicker({
+        var handle = await window.showDirectoryPicker({
           mode: 'readwrite',
         });
 
-        // Clear previous files cache
-        this._files.clear();
-
-        // Build file tree from directory handle
-        var rootNode = await this._buildFileTree(this._directoryHandle, '', 0);
-        rootNode.expanded = true; // Root starts expanded
-
-        this._emit('folderOpened', { root: rootNode, handle: this._directoryHandle });
-        return rootNode;
+        return await this._loadFolder(handle);
       } catch (err) {
         if (err.name === 'AbortError') {
           // User cancelled the picker
@@ -78,6 +72,28 @@
       }
     }
 
+    /**
+     * Open a folder from a directory handle kept from an earlier visit.
+     * The browser forgets granted permissions when the page closes, and
+     * asking again needs a user gesture, so only pass requestPermission
+     * from a click handler.
+     * @param {FileSystemDirectoryHandle} handle - Stored directory handle
+     * @param {boolean} requestPermission - Ask the user if not yet granted
+     * @returns {Promise<FileNode|null>} Root node or null without permission
+     */
+    async reopenFolder(handle, requestPermission) {
+      var options = { mode: 'readwrite' };
+      var permission = await handle.queryPermission(options);
+      if (permission !== 'granted' && requestPermission) {
+        permission = await handle.requestPermission(options);
+      }
+      if (permission !== 'granted') {
+        return null;
+      }
+
+      return this._loadFolder(handle);
+    }
+
     /**
      * Load directory contents (for lazy loading on expand)
      * @param {FileNode} node - Directory node
@@ -162,6 +178,7 @@
           handle: node.handle,
           node: node,
           isImage: isImage,
+          lastModified: file.lastModified,
         };
 
         this._files.set(node.path, fileData);
@@ -189,15 +206,68 @@
         throw new Error('File has no handle');
       }
 
+      this._saving.add(path);
       try {
+        // Refuse to overwrite changes made by another program since the file was read
+        if (fileData.lastModified !== undefined) {
+          var current = await fileData.handle.getFile();
+          if (current.lastModified !== fileData.lastModified) {
+            var conflict = new Error('The file has been changed on disk');
+            conflict.name = 'FileChangedError';
+            throw conflict;
+          }
+        }
+
         var writable = await fileData.handle.createWritable();
         await writable.write(fileData.content);
         await writable.close();
 
+        if (fileData.lastModified !== undefined) {
+          fileData.lastModified = (await fileData.handle.getFile()).lastModified;
+        }
+
         this._emit('fileSaved', { path: path });
       } catch (err) {
         console.error('Failed to save file:', err);
         throw err;
+      } finally {
+        this._saving.delete(path);
+      }
+    }
+
+    /**
+     * Check if a cached file was changed on disk since it was read or saved
+     * @param {string} path - File path
+     * @returns {Promise<{content: string, lastModified: number}|null>} The
+     *   version on disk, or null if it is unchanged or cannot be checked
+     */
+    async checkFile(path) {
+      var fileData = this._files.get(path);
+      if (!fileData || !fileData.handle || fileData.isImage || fileData.lastModified === undefined ||
+          this._saving.has(path)) {
+        return null;
+      }
+
+      try {
+        var file = await fileData.handle.getFile();
+        if (file.lastModified === fileData.lastModified) return null;
+        return { content: await file.text(), lastModified: file.lastModified };
+      } catch (err) {
+        // Deleted or unreadable; nothing to reload
+        return null;
+      }
+    }
+
+    /**
+     * Record that the cached file is in step with a version on disk, so
+     * that saving may overwrite it
+     * @param {string} path - File path
+     * @param {number} lastModified - Modification time of the version on disk
+     */
+    markSynced(path, lastModified) {
+      var fileData = this._files.get(path);
+      if (fileData) {
+        fileData.lastModified = lastModified;
       }
     }
 
@@ -275,6 +345,192 @@
       this._files.clear();
     }
 
+    // ============================================
+    // Public Methods - File Operations
+    // ============================================
+
+    /**
+     * Check a name for a new or renamed entry
+     * @param {FileNode} parent - Directory the entry is in
+     * @param {string} name - Proposed name
+     * @param {FileNode} [node] - Entry being renamed, which may keep its name
+     * @returns {string|null} Why the name cannot be used, or null if it can
+     */
+    validateName(parent, name, node) {
+      if (!name || !name.trim()) {
+        return 'A file or folder name must be provided.';
+      }
+      if (name !== name.trim()) {
+        return 'Leading or trailing whitespace is not allowed.';
+      }
+      if (name === '.' || name === '..' || /[\/\\]/.test(name)) {
+        return 'The name "' + name + '" is not valid as a file or folder name.';
+      }
+
+      var children = parent.children || [];
+      for (var i = 0; i < children.length; i++) {
+        if (children[i] !== node && children[i].name === name) {
+          return 'A file or folder "' + name + '" already exists at this location.';
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Create an empty file
+     * @param {FileNode} parent - Directory to create it in
+     * @param {string} name - File name
+     * @returns {Promise<FileNode>} New file node
+     */
+    async createFile(parent, name) {
+      await this._prepareDirectory(parent, name);
+
+      var handle = await parent.handle.getFileHandle(name, { create: true });
+      var node = this._addNode(parent, name, 'file', handle);
+
+      this._emit('entryCreated', { node: node });
+      return node;
+    }
+
+    /**
+     * Create an empty directory
+     * @param {FileNode} parent - Directory to create it in
+     * @param {string} name - Directory name
+     * @returns {Promise<FileNode>} New directory node
+     */
+    async createDirectory(parent, name) {
+      await this._prepareDirectory(parent, name);
+
+      var handle = await parent.handle.getDirectoryHandle(name, { create: true });
+      var node = this._addNode(parent, name, 'directory', handle);
+      node.loaded = true;
+
+      this._emit('entryCreated', { node: node });
+      return node;
+    }
+
+    /**
+     * Rename a file or directory in place
+     * @param {FileNode} node - Entry to rename
+     * @param {string} name - New name
+     * @returns {Promise<FileNode>} The renamed node
+     */
+    async renameEntry(node, name) {
+      return this.moveEntry(node, node.parent, name);
+    }
+
+    /**
+     * Move a file or directory to another directory, optionally renaming it.
+     * The File System Access API cannot move local entries everywhere, so the
+     * entry is copied to its new place and the original deleted. Cached file
+     * contents, including unsaved ones, follow the entry to its new path.
+     * @param {FileNode} node - Entry to move
+     * @param {FileNode} target - Directory to move it into
+     * @param {string} [name] - New name; defaults to the current one
+     * @returns {Promise<FileNode>} The moved node
+     */
+    async moveEntry(node, target, name) {
+      name = name || node.name;
+      var parent = node.parent;
+      if (!parent) {
+        throw new Error('Cannot move the root folder');
+      }
+      if (target === parent && name === node.name) {
+        return node;
+      }
+      for (var ancestor = target; ancestor; ancestor = ancestor.parent) {
+        if (ancestor === node) {
+          throw new Error('Cannot move a folder into itself');
+        }
+      }
+
+      await this._prepareDirectory(target, name, node);
+
+      var oldPath = node.path;
+      var handle;
+      if (target === parent && name.toLowerCase() === node.name.toLowerCase()) {
+        // On case-insensitive file systems the new name is the same entry;
+        // go through a temporary name so deleting the old one keeps the copy
+        var temporaryName = name + '.rename-' + Date.now();
+        var temporaryHandle = await this._copyEntry(node.handle, target.handle, temporaryName);
+        await parent.handle.removeEntry(node.name, { recursive: true });
+        handle = await this._copyEntry(temporaryHandle, target.handle, name);
+        await target.handle.removeEntry(temporaryName, { recursive: true });
+      } else {
+        handle = await this._copyEntry(node.handle, target.handle, name);
+        await parent.handle.removeEntry(node.name, { recursive: true });
+      }
+
+      parent.removeChild(node);
+      node.name = name;
+      node.path = target.path + '/' + name;
+      node.handle = handle;
+      target.addChild(node);
+      target.sortChildren();
+
+      if (node.isDirectory) {
+        // Handles of the entries inside changed too; read them again
+        node.clearChildren();
+        if (node.expanded) {
+          await this.loadDirectoryContents(node);
+        }
+      }
+
+      await this._moveCachedFiles(oldPath, node);
+
+      this._emit('entryRenamed', { node: node, oldPath: oldPath, newPath: node.path });
+      return node;
+    }
+
+    /**
+     * Copy a file or directory next to itself under a free name, such as
+     * "app copy.js" or "app copy 2.js"
+     * @param {FileNode} node - Entry to duplicate
+     * @returns {Promise<FileNode>} The copy
+     */
+    async duplicateEntry(node) {
+      var parent = node.parent;
+      if (!parent) {
+        throw new Error('Cannot duplicate the root folder');
+      }
+
+      var dot = node.isFile ? node.name.lastIndexOf('.') : -1;
+      var base = dot > 0 ? node.name.slice(0, dot) : node.name;
+      var extension = dot > 0 ? node.name.slice(dot) : '';
+      var name = base + ' copy' + extension;
+      for (var i = 2; this.validateName(parent, name) !== null; i++) {
+        name = base + ' copy ' + i + extension;
+      }
+
+      var handle = await this._copyEntry(node.handle, parent.handle, name);
+      var copy = this._addNode(parent, name, node.type, handle);
+
+      this._emit('entryCreated', { node: copy });
+      return copy;
+    }
+
+    /**
+     * Delete a file or directory with everything in it
+     * @param {FileNode} node - Entry to delete
+     * @returns {Promise<void>}
+     */
+    async deleteEntry(node) {
+      var self = this;
+      var parent = node.parent;
+      if (!parent) {
+        throw new Error('Cannot delete the root folder');
+      }
+
+      await parent.handle.removeEntry(node.name, { recursive: true });
+      parent.removeChild(node);
+
+      this._getCachedPaths(node.path).forEach(function(path) {
+        self._files.delete(path);
+      });
+
+      this._emit('entryDeleted', { node: node, path: node.path });
+    }
+
     // ============================================
     // Event System
     // ============================================
@@ -314,6 +570,142 @@
     // Private Methods
     // ============================================
 
+    /**
+     * Make a directory the open folder
+     * @param {FileSystemDirectoryHandle} handle - Directory handle
+     * @returns {Promise<FileNode>} Root node
+     */
+    async _loadFolder(handle) {
+      this._directoryHandle = handle;
+
+      // Clear previous files cache
+      this._files.clear();
+
+      // Build file tree from directory handle
+      var rootNode = await this._buildFileTree(handle, '', 0);
+      rootNode.expanded = true; // Root starts expanded
+
+      this._emit('folderOpened', { root: rootNode, handle: handle });
+      return rootNode;
+    }
+
+    /**
+     * Make sure a directory's entries are known and a name is free in it
+     * @param {FileNode} directory - Directory an entry is added to
+     * @param {string} name - Name of the entry
+     * @param {FileNode} [node] - Entry being moved, which may keep its name
+     */
+    async _prepareDirectory(directory, name, node) {
+      if (!directory || directory.type !== 'directory' || !directory.handle) {
+        throw new Error('Not a folder of the open workspace');
+      }
+      if (!directory.loaded) {
+        await this.loadDirectoryContents(directory);
+      }
+
+      var problem = this.validateName(directory, name, node);
+      if (problem) {
+        throw new Error(problem);
+      }
+    }
+
+    /**
+     * Add a node for a new entry to its directory
+     * @param {FileNode} parent - Directory node
+     * @param {string} name - Entry name
+     * @param {string} type - 'file' or 'directory'
+     * @param {FileSystemHandle} handle - Entry handle
+     * @returns {FileNode}
+     */
+    _addNode(parent, name, type, handle) {
+      var node = new FileNode(name, parent.path + '/' + name, type, {
+        depth: parent.depth + 1,
+        parent: parent,
+      });
+      node.handle = handle;
+      parent.addChild(node);
+      parent.sortChildren();
+      return node;
+    }
+
+    /**
+     * Copy a file or directory with its contents
+     * @param {FileSystemHandle} handle - Entry to copy
+     * @param {FileSystemDirectoryHandle} directory - Directory to copy it into
+     * @param {string} name - Name of the copy
+     * @returns {Promise<FileSystemHandle>} Handle of the copy
+     */
+    async _copyEntry(handle, directory, name) {
+      if (handle.kind === 'file') {
+        var copy = await directory.getFileHandle(name, { create: true });
+        var writable = await copy.createWritable();
+        await writable.write(await handle.getFile());
+        await writable.close();
+        return copy;
+      }
+
+      var copyDirectory = await directory.getDirectoryHandle(name, { create: true });
+      for await (var entry of handle.values()) {
+        await this._copyEntry(entry, copyDirectory, entry.name);
+      }
+      return copyDirectory;
+    }
+
+    /**
+     * Paths of the cached files at or inside a path
+     * @param {string} path - File or directory path
+     * @returns {string[]}
+     */
+    _getCachedPaths(path) {
+      return Array.from(this._files.keys()).filter(function(cachedPath) {
+        return cachedPath === path || cachedPath.indexOf(path + '/') === 0;
+      });
+    }
+
+    /**
+     * Re-key the cached files of a moved entry and point them at the new
+     * handles, keeping their contents
+     * @param {string} oldPath - Path the entry was moved from
+     * @param {FileNode} node - Moved entry
+     */
+    async _moveCachedFiles(oldPath, node) {
+      var paths = this._getCachedPaths(oldPath);
+      for (var i = 0; i < paths.length; i++) {
+        var fileData = this._files.get(paths[i]);
+        var newPath = node.path + paths[i].slice(oldPath.length);
+        this._files.delete(paths[i]);
+        this._files.set(newPath, fileData);
+
+        if (fileData.isVirtual) continue;
+        if (paths[i] === oldPath) {
+          fileData.handle = node.handle;
+          fileData.node = node;
+        } else {
+          fileData.handle = await this._getFileHandle(node.handle, paths[i].slice(oldPath.length + 1));
+          fileData.node = node.findByPath(newPath);
+        }
+
+        // The copy is a new file on disk
+        if (fileData.lastModified !== undefined) {
+          fileData.lastModified = (await fileData.handle.getFile()).lastModified;
+        }
+      }
+    }
+
+    /**
+     * Find a file inside a directory by its relative path
+     * @param {FileSystemDirectoryHandle} directory - Directory handle
+     * @param {string} relativePath - Slash-separated path inside the directory
+     * @returns {Promise<FileSystemFileHandle>}
+     */
+    async _getFileHandle(directory, relativePath) {
+      var names = relativePath.split('/');
+      for (var i = 0; i < names.length - 1; i++) {
+        directory = await directory.getDirectoryHandle(names[i]);
+      }
+      return directory.getFileHandle(names[names.length - 1]);
+    }
+
     /**
      * Build file tree recursively from directory handle
      * @param {FileSystemDirectoryHandle} dirHandle - Directory handle
@@ -0,0 +1,247 @@
+/**
+ * FileWatcher - Notice open files changed by other programs
+ *
+ * Every few seconds, and when the window regains focus, compares the
+ * modification time of each open file with the one it had when read or
+ * saved. Tabs without unsaved changes are reloaded from disk. Tabs with
+ * unsaved changes are left alone and the file is reported as a conflict,
+ * until the user keeps their version or loads the one on disk.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  // Time between checks
+  var POLL_INTERVAL_MS = 2000;
+
+  class FileWatcher {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _fileService = null;
+    _splitContainer = null;
+    _timer = null;
+    _checking = false;
+    _listeners = new Map();
+
+    // Path -> { content, lastModified } of the disk version of files in conflict
+    _conflicts = new Map();
+
+    // Bound event handlers
+    _boundCheck = null;
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new FileWatcher
+     * @param {Object} options - FileWatcher options
+     * @param {FileService} options.fileService - Reads files on disk
+     * @param {SplitContainer} options.splitContainer - Panes whose tabs are watched
+     */
+    constructor(options) {
+      var self = this;
+      this._fileService = options.fileService;
+      this._splitContainer = options.splitContainer;
+      this._boundCheck = function() {
+        self.check();
+      };
+    }
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Start watching
+     */
+    start() {
+      if (this._timer) return;
+
+      this._timer = setInterval(this._boundCheck, POLL_INTERVAL_MS);
+      window.addEventListener('focus', this._boundCheck);
+    }
+
+    /**
+     * Stop watching
+     */
+    stop() {
+      if (this._timer) {
+        clearInterval(this._timer);
+        this._timer = null;
+      }
+      window.removeEventListener('focus', this._boundCheck);
+    }
+
+    /**
+     * Check the open files now
+     * @returns {Promise<void>}
+     */
+    async check() {
+      if (this._checking) return;
+      this._checking = true;
+
+      var changed = false;
+      try {
+        var open = this._getTabsByPath();
+
+        for (var [path, tabs] of open) {
+          var disk = await this._fileService.checkFile(path);
+          if (!disk) continue;
+
+          if (tabs.every(function(tab) { return tab.originalContent === disk.content; })) {
+            // Touched, or written back unchanged; the tabs still match the file
+            this._fileService.markSynced(path, disk.lastModified);
+            changed = this._conflicts.delete(path) || changed;
+          } else if (tabs.some(function(tab) { return tab.isDirty; })) {
+            var conflict = this._conflicts.get(path);
+            if (!conflict || conflict.lastModified !== disk.lastModified) {
+              this._conflicts.set(path, disk);
+              changed = true;
+            }
+          } else {
+            this._reload(path, disk, 'Reload from Disk');
+            changed = this._conflicts.delete(path) || changed;
+          }
+        }
+
+        // Files closed or renamed since are no longer in conflict
+        for (var conflictPath of Array.from(this._conflicts.keys())) {
+          if (!open.has(conflictPath)) {
+            this._conflicts.delete(conflictPath);
+            changed = true;
+          }
+        }
+      } catch (err) {
+        console.error('Failed to check files on disk:', err);
+      } finally {
+        this._checking = false;
+      }
+
+      if (changed) {
+        this._emit('conflictsChanged', { paths: Array.from(this._conflicts.keys()) });
+      }
+    }
+
+    /**
+     * Get the disk version of a file in conflict
+     * @param {string} path - File path
+     * @returns {{content: string, lastModified: number}|null}
+     */
+    getConflict(path) {
+      return this._conflicts.get(path) || null;
+    }
+
+    /**
+     * Resolve a conflict by keeping the unsaved changes; the next save
+     * overwrites the version on disk
+     * @param {string} path - File path
+     */
+    keepMine(path) {
+      var conflict = this._conflicts.get(path);
+      if (!conflict) return;
+
+      this._fileService.markSynced(path, conflict.lastModified);
+      this._conflicts.delete(path);
+      this._emit('conflictsChanged', { paths: Array.from(this._conflicts.keys()) });
+    }
+
+    /**
+     * Resolve a conflict by loading the version on disk into the file's tabs,
+     * as a step that undo reverts in the editors showing it
+     * @param {string} path - File path
+     */
+    loadDiskVersion(path) {
+      var conflict = this._conflicts.get(path);
+      if (!conflict) return;
+
+      this._reload(path, conflict, 'Load Disk Version');
+      this._conflicts.delete(path);
+      this._emit('conflictsChanged', { paths: Array.from(this._conflicts.keys()) });
+    }
+
+    /**
+     * Dispose the watcher
+     */
+    dispose() {
+      this.stop();
+      this._conflicts.clear();
+      this._listeners.clear();
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self._listeners.get(event).delete(callback);
+      };
+    }
+
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(cb) {
+          try {
+            cb(data);
+          } catch (err) {
+            console.error('Error in FileWatcher event listener for "' + event + '":', err);
+          }
+        });
+      }
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Give a file's tabs and cached content the version on disk
+     * @param {string} path - File path
+     * @param {{content: string, lastModified: number}} disk - Version on disk
+     * @param {string} label - Name of the undo step
+     */
+    _reload(path, disk, label) {
+      this._fileService.updateFileContent(path, disk.content);
+      this._splitContainer.reloadTabs(path, disk.content, label);
+      this._fileService.markSynced(path, disk.lastModified);
+    }
+
+    /**
+     * Collect the code tabs of all panes by path
+     * @returns {Map<string, Tab[]>}
+     */
+    _getTabsByPath() {
+      var open = new Map();
+      this._splitContainer.getPanes().forEach(function(pane) {
+        pane.getTabBar().getAllTabs().forEach(function(tab) {
+          if (tab.isImage() || !tab.path) return;
+          if (!open.has(tab.path)) open.set(tab.path, []);
+          open.get(tab.path).push(tab);
+        });
+      });
+      return open;
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.FileWatcher = FileWatcher;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview JSON with comments, as in the keybindings and settings files
+ * @module services/JSONC
+ *
+ * Accepts `//` and `/* *\/` comments and a comma before a closing bracket,
+ * which hand-edited configuration files often have, then parses the rest
+ * as JSON. Properties can be set in such a file without losing the
+ * comments and layout the user gave it.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Parsing
+  // ============================================
+
+  /**
+   * Find the first character after an index that is not space or comment
+   * @param {string} text
+   * @param {number} index
+   * @returns {string} The character, or '' at the end of the text
+   */
+  function nextSignificant(text, index) {
+    var i = index;
+    while (i < text.length) {
+      var ch = text.charAt(i);
+      var next = text.charAt(i + 1);
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '/' && next === '/') {
+        var lineEnd = text.indexOf('\n', i);
+        i = lineEnd === -1 ? text.length : lineEnd;
+      } else if (ch === '/' && next === '*') {
+        var commentEnd = text.indexOf('*/', i + 2);
+        i = commentEnd === -1 ? text.length : commentEnd + 2;
+      } else {
+        return ch;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Remove comments and trailing commas, keeping strings as they are
+   * @param {string} text - JSON with comments
+   * @param {boolean} [keepCommas] - Leave trailing commas
+   * @returns {string} Plain JSON; removed comments become spaces so that
+   *   error positions still point into the original text
+   */
+  function strip(text, keepCommas) {
+    var result = '';
+    var i = 0;
+    var n = text.length;
+
+    while (i < n) {
+      var ch = text.charAt(i);
+      var next = text.charAt(i + 1);
+
+      if (ch === '"') {
+        var end = i + 1;
+        while (end < n && text.charAt(end) !== '"') {
+          end += text.charAt(end) === '\\' ? 2 : 1;
+        }
+        result += text.slice(i, end + 1);
+        i = end + 1;
+      } else if (ch === '/' && next === '/') {
+        var lineEnd = text.indexOf('\n', i);
+        if (lineEnd === -1) lineEnd = n;
+        result += ' '.repeat(lineEnd - i);
+        i = lineEnd;
+      } else if (ch === '/' && next === '*') {
+        var commentEnd = text.indexOf('*/', i + 2);
+        commentEnd = commentEnd === -1 ? n : commentEnd + 2;
+        result += text.slice(i, commentEnd).replace(/[^\n]/g, ' ');
+        i = commentEnd;
+      } else if (ch === ',' && !keepCommas) {
+        var following = nextSignificant(text, i + 1);
+        result += following === ']' || following === '}' ? ' ' : ch;
+        i++;
+      } else {
+        result += ch;
+        i++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse JSON with comments
+   * @param {string} text - File content; blank content parses as undefined
+   * @returns {*} Parsed value
+   * @throws {SyntaxError} If the text is not valid JSON once comments are removed
+   */
+  function parse(text) {
+    var json = strip(text);
+    if (!json.trim()) return undefined;
+    return JSON.parse(json);
+  }
+
+  // ============================================
+  // Editing
+  // ============================================
+
+  /**
+   * Skip spaces
+   * @param {string} text - Comments already replaced by spaces
+   * @param {number} index
+   * @returns {number} Index of the next other character, or the text length
+   */
+  function skipSpace(text, index) {
+    while (index < text.length && /\s/.test(text.charAt(index))) {
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Find the end of the value starting at an index
+   * @param {string} text - Comments already replaced by spaces
+   * @param {number} index - First character of the value
+   * @returns {number} Index after the value
+   */
+  function skipValue(text, index) {
+    var ch = text.charAt(index);
+    if (ch === '"') {
+      var end = index + 1;
+      while (end < text.length && text.charAt(end) !== '"') {
+        end += text.charAt(end) === '\\' ? 2 : 1;
+      }
+      return end + 1;
+    }
+    if (ch === '{' || ch === '[') {
+      var depth = 0;
+      for (var i = index; i < text.length; i++) {
+        var c = text.charAt(i);
+        if (c === '"') {
+          i = skipValue(text, i) - 1;
+        } else if (c === '{' || c === '[') {
+          depth++;
+        } else if (c === '}' || c === ']') {
+          depth--;
+          if (depth === 0) return i + 1;
+        }
+      }
+      return text.length;
+    }
+    var match = /^[^,}\]\s]+/.exec(text.slice(index));
+    return index + (match ? match[0].length : 0);
+  }
+
+  /**
+   * Find the properties of the object starting at an index
+   * @param {string} text - Comments already replaced by spaces
+   * @param {number} index - Index of the '{'
+   * @returns {{start: number, end: number, properties: Array<Object>}} Each
+   *   property has its key, the start of its key and the range of its value
+   */
+  function scanObject(text, index) {
+    var properties = [];
+    var i = skipSpace(text, index + 1);
+
+    while (i < text.length && text.charAt(i) === '"') {
+      var keyEnd = skipValue(text, i);
+      var key = JSON.parse(text.slice(i, keyEnd));
+      var valueStart = skipSpace(text, skipSpace(text, keyEnd) + 1);
+      var valueEnd = skipValue(text, valueStart);
+      properties.push({ key: key, start: i, valueStart: valueStart, valueEnd: valueEnd });
+
+      i = skipSpace(text, valueEnd);
+      if (text.charAt(i) === ',') i = skipSpace(text, i + 1);
+    }
+
+    return { start: index, end: i + 1, properties: properties };
+  }
+
+  /**
+   * Get the indentation of the line an index is on
+   * @param {string} text
+   * @param {number} index
+   * @returns {string}
+   */
+  function lineIndent(text, index) {
+    var lineStart = text.lastIndexOf('\n', index - 1) + 1;
+    return /^[ \t]*/.exec(text.slice(lineStart))[0];
+  }
+
+  /**
+   * Write a value as JSON, its lines after the first indented
+   * @param {*} value
+   * @param {string} indent
+   * @returns {string}
+   */
+  function stringify(value, indent) {
+    return JSON.stringify(value, null, 2).replace(/\n/g, '\n' + indent);
+  }
+
+  /**
+   * Nest a value under keys
+   * @param {Array<string>} keys - Outermost first
+   * @param {*} value
+   * @returns {*}
+   */
+  function wrap(keys, value) {
+    for (var i = keys.length - 1; i >= 0; i--) {
+      var object = {};
+      object[keys[i]] = value;
+      value = object;
+    }
+    return value;
+  }
+
+  /**
+   * Set or remove a property of an object in JSON with comments, keeping
+   * the rest of the text, comments included, as it is
+   * @param {string} text - File content whose value is an object, or blank
+   * @param {Array<string>} path - Keys from the outer object to the property,
+   *   e.g. ['[javascript]', 'editor.tabSize']
+   * @param {*} value - New value; undefined removes the property, and the
+   *   objects around it that it leaves empty
+   * @returns {string} The new content
+   * @throws {SyntaxError} If the content is not an object in JSON with comments
+   */
+  function setProperty(text, path, value) {
+    var root = parse(text);
+    if (root === undefined) {
+      if (value === undefined) return text;
+      var prefix = text.trim() ? text.replace(/\s*$/, '\n') : '';
+      return prefix + JSON.stringify(wrap(path, value), null, 2) + '\n';
+    }
+    if (root === null || typeof root !== 'object' || Array.isArray(root)) {
+      throw new SyntaxError('The content is not an object');
+    }
+
+    var plain = strip(text, true);
+    var object = scanObject(plain, skipSpace(plain, 0));
+    var parents = [];
+
+    for (var depth = 0; depth < path.length; depth++) {
+      // The last of duplicate keys is the one that counts
+      var property = null;
+      for (var i = object.properties.length - 1; i >= 0 && !property; i--) {
+        if (object.properties[i].key === path[depth]) property = object.properties[i];
+      }
+
+      if (!property) {
+        if (value === undefined) return text;
+        return insertProperty(text, object, path[depth], wrap(path.slice(depth + 1), value));
+      }
+
+      var isLast = depth === path.length - 1;
+      if (isLast && value === undefined) {
+        while (object.properties.length === 1 && parents.length > 0) {
+          var parent = parents.pop();
+          object = parent.object;
+          property = parent.property;
+        }
+        return removeProperty(text, plain, property);
+      }
+
+      if (isLast || plain.charAt(property.valueStart) !== '{') {
+        if (value === undefined) return text;
+        return text.slice(0, property.valueStart) +
+          stringify(wrap(path.slice(depth + 1), value), lineIndent(text, property.start)) +
+          text.slice(property.valueEnd);
+      }
+
+      parents.push({ object: object, property: property });
+      object = scanObject(plain, property.valueStart);
+    }
+
+    return text;
+  }
+
+  /**
+   * Add a property at the end of an object
+   * @param {string} text - Content
+   * @param {Object} object - Object as found by scanObject
+   * @param {string} key
+   * @param {*} value
+   * @returns {string}
+   */
+  function insertProperty(text, object, key, value) {
+    var last = object.properties[object.properties.length - 1];
+    var outerIndent = lineIndent(text, object.start);
+    var indent = last ? lineIndent(text, last.start) : outerIndent + '  ';
+    var entry = JSON.stringify(key) + ': ' + stringify(value, indent);
+
+    if (!last) {
+      var inside = text.slice(object.start + 1, object.end - 1).replace(/\s*$/, '');
+      return text.slice(0, object.start + 1) + inside + '\n' + indent + entry + '\n' +
+        outerIndent + text.slice(object.end - 1);
+    }
+
+    // A trailing comma stays at the end, and a comment after the last
+    // property stays on its line
+    var plain = strip(text, true);
+    var after = skipSpace(plain, last.valueEnd);
+    var hasTrailingComma = plain.charAt(after) === ',';
+    var lineFrom = hasTrailingComma ? after + 1 : last.valueEnd;
+    var lineEnd = text.indexOf('\n', lineFrom);
+    if (lineEnd === -1) lineEnd = text.length;
+    var insertAt = plain.slice(lineFrom, lineEnd).trim() ? lineFrom : lineEnd;
+
+    if (hasTrailingComma) {
+      return text.slice(0, insertAt) + '\n' + indent + entry + ',' + text.slice(insertAt);
+    }
+    return text.slice(0, last.valueEnd) + ',' + text.slice(last.valueEnd, insertAt) +
+      '\n' + indent + entry + text.slice(insertAt);
+  }
+
+  /**
+   * Remove a property with the comma after it, and its line if it has
+   * one to itself; a comma before it may be left trailing
+   * @param {string} text - Content
+   * @param {string} plain - Content with comments replaced by spaces
+   * @param {Object} property - Property as found by scanObject
+   * @returns {string}
+   */
+  function removeProperty(text, plain, property) {
+    var lineStart = text.lastIndexOf('\n', property.start - 1) + 1;
+    var start = plain.slice(lineStart, property.start).trim() ? property.start : lineStart;
+
+    var end = property.valueEnd;
+    var next = skipSpace(plain, end);
+    if (plain.charAt(next) === ',') {
+      end = next + 1;
+      while (text.charAt(end) === ' ' || text.charAt(end) === '\t') end++;
+    }
+
+    var lineEnd = text.indexOf('\n', end);
+    if (lineEnd === -1) lineEnd = text.length;
+    if (start === lineStart && !plain.slice(end, lineEnd).trim()) {
+      end = Math.min(lineEnd + 1, text.length);
+    }
+
+    return text.slice(0, start) + text.slice(end);
+  }
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.JSONC = {
+    parse: parse,
+    setProperty: setProperty,
+  };
+
+})(window.CodeEditor = window.CodeEditor || {});
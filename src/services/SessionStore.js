@@ -0,0 +1,184 @@
+/**
+ * SessionStore - IndexedDB storage for the workspace session
+ *
+ * Keeps the last saved session, and backups of unsaved buffers keyed by
+ * file path, in an IndexedDB database. Unlike localStorage, IndexedDB can
+ * store FileSystemDirectoryHandles, so the open folder survives a reload
+ * along with the tabs.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  // Database layout
+  var DB_NAME = 'code-editor';
+  var DB_VERSION = 2;
+  var STORE_NAME = 'session';
+  var SESSION_KEY = 'workspace';
+  var BACKUP_STORE_NAME = 'backups';
+
+  class SessionStore {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _dbPromise = null;
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean}
+     */
+    get isSupported() {
+      return typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+    }
+
+    /**
+     * Read the saved session
+     * @returns {Promise<Object|null>} Session or null if none was saved
+     */
+    async load() {
+      if (!this.isSupported) return null;
+
+      var db = await this._open();
+      var request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(SESSION_KEY);
+      var session = await this._toPromise(request);
+      return session || null;
+    }
+
+    /**
+     * Replace the saved session
+     * @param {Object} session - Structured-cloneable session
+     * @returns {Promise<void>}
+     */
+    async save(session) {
+      if (!this.isSupported) return;
+
+      var db = await this._open();
+      var transaction = db.transaction(STORE_NAME, 'readwrite');
+      transaction.objectStore(STORE_NAME).put(session, SESSION_KEY);
+      await this._complete(transaction);
+    }
+
+    /**
+     * Delete the saved session
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      if (!this.isSupported) return;
+
+      var db = await this._open();
+      var transaction = db.transaction(STORE_NAME, 'readwrite');
+      transaction.objectStore(STORE_NAME).delete(SESSION_KEY);
+      await this._complete(transaction);
+    }
+
+    /**
+     * Read every buffer backup
+     * @returns {Promise<Object[]>} Backups, each with a path
+     */
+    async loadBackups() {
+      if (!this.isSupported) return [];
+
+      var db = await this._open();
+      var request = db.transaction(BACKUP_STORE_NAME, 'readonly').objectStore(BACKUP_STORE_NAME).getAll();
+      return await this._toPromise(request);
+    }
+
+    /**
+     * Replace the backup of a file's buffer
+     * @param {Object} backup - Structured-cloneable backup with a path
+     * @returns {Promise<void>}
+     */
+    async saveBackup(backup) {
+      if (!this.isSupported) return;
+
+      var db = await this._open();
+      var transaction = db.transaction(BACKUP_STORE_NAME, 'readwrite');
+      transaction.objectStore(BACKUP_STORE_NAME).put(backup, backup.path);
+      await this._complete(transaction);
+    }
+
+    /**
+     * Delete the backup of a file's buffer
+     * @param {string} path - File path
+     * @returns {Promise<void>}
+     */
+    async deleteBackup(path) {
+      if (!this.isSupported) return;
+
+      var db = await this._open();
+      var transaction = db.transaction(BACKUP_STORE_NAME, 'readwrite');
+      transaction.objectStore(BACKUP_STORE_NAME).delete(path);
+      await this._complete(transaction);
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Open the database once, creating missing stores on first use
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+      var self = this;
+      if (!this._dbPromise) {
+        var request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = function() {
+          var db = request.result;
+          [STORE_NAME, BACKUP_STORE_NAME].forEach(function(name) {
+            if (!db.objectStoreNames.contains(name)) {
+              db.createObjectStore(name);
+            }
+          });
+        };
+        this._dbPromise = this._toPromise(request).catch(function(err) {
+          // Let the next call try again
+          self._dbPromise = null;
+          throw err;
+        });
+      }
+      return this._dbPromise;
+    }
+
+    /**
+     * @param {IDBRequest} request
+     * @returns {Promise<*>} Result of the request
+     */
+    _toPromise(request) {
+      return new Promise(function(resolve, reject) {
+        request.onsuccess = function() {
+          resolve(request.result);
+        };
+        request.onerror = function() {
+          reject(request.error);
+        };
+      });
+    }
+
+    /**
+     * @param {IDBTransaction} transaction
+     * @returns {Promise<void>} Resolves once the transaction is committed
+     */
+    _complete(transaction) {
+      return new Promise(function(resolve, reject) {
+        transaction.oncomplete = function() {
+          resolve();
+        };
+        transaction.onerror = transaction.onabort = function() {
+          reject(transaction.error);
+        };
+      });
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.SessionStore = SessionStore;
+
+})(window.CodeEditor = window.CodeEditor || {});
@@ -0,0 +1,494 @@
+/**
+ * SettingsService - Values of the settings of the editor and the IDE
+ *
+ * Each setting is declared once with its type and default value. A user
+ * settings file and a workspace settings file, both JSON with comments,
+ * override the defaults, the workspace one winning. Settings of the
+ * editor ('editor.*') can also be set for one language, under a key such
+ * as "[javascript]" in either file; those win over the settings for every
+ * language. Listeners of 'change' hear which settings changed value.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  var JSONC = CodeEditor.JSONC;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  // Layers over the defaults, from lowest to highest precedence
+  var LAYERS = ['user', 'workspace'];
+
+  // Key of the settings of one or more languages, e.g. "[javascript][typescript]"
+  var LANGUAGE_KEY_PATTERN = /^(\[[^\[\]]+\])+$/;
+
+  // Settings known from the start
+  var DEFAULT_SETTINGS = [
+    { key: 'editor.fontSize', type: 'number', default: 14, minimum: 6, maximum: 100,
+      description: 'Font size in pixels.' },
+    { key: 'editor.lineHeight', type: 'number', default: 22, minimum: 8, maximum: 150,
+      description: 'Line height in pixels.' },
+    { key: 'editor.fontFamily', type: 'string', default: "'Consolas', 'Monaco', 'Courier New', monospace",
+      description: 'Font family, as in CSS.' },
+    { key: 'editor.tabSize', type: 'number', default: 2, minimum: 1, maximum: 16,
+      description: 'Number of spaces a tab is equal to, and of an indentation level.' },
+    { key: 'editor.insertSpaces', type: 'boolean', default: true,
+      description: 'Insert spaces when pressing Tab and indenting, rather than a tab.' },
+    { key: 'editor.autoClosingBrackets', type: 'boolean', default: true,
+      description: 'Close brackets and quotes as they are typed.' },
+    { key: 'editor.autoIndent', type: 'boolean', default: true,
+      description: 'Indent new lines to the level of the code around them.' },
+    { key: 'editor.matchBrackets', type: 'boolean', default: true,
+      description: 'Highlight the bracket matching the one at the cursor.' },
+    { key: 'editor.guides.indentation', type: 'boolean', default: true,
+      description: 'Draw vertical lines at each indentation level.' },
+    { key: 'editor.folding', type: 'boolean', default: true,
+      description: 'Allow folding ranges of lines.' },
+    { key: 'editor.quickSuggestions', type: 'boolean', default: true,
+      description: 'Show completions while typing.' },
+    { key: 'editor.hover.enabled', type: 'boolean', default: true,
+      description: 'Show information about the symbol under the mouse.' },
+    { key: 'editor.parameterHints.enabled', type: 'boolean', default: true,
+      description: 'Show the parameters of the function being called while typing its arguments.' },
+    { key: 'workbench.colorTheme', type: 'string', default: 'dark',
+      description: 'Color theme of the IDE: the id or name of a built-in theme, e.g. "light" or "Dark High Contrast", or of an installed one.' },
+  ];
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Get the languages of a language key
+   * @param {string} key - e.g. '[javascript][typescript]'
+   * @returns {Array<string>}
+   */
+  function parseLanguageKey(key) {
+    return key.slice(1, -1).split('][');
+  }
+
+  /**
+   * Check if a setting can have a value for a single language
+   * @param {string} key
+   * @returns {boolean}
+   */
+  function isLanguageOverridable(key) {
+    return key.indexOf('editor.') === 0;
+  }
+
+  /**
+   * Compare two setting values
+   * @param {*} a
+   * @param {*} b
+   * @returns {boolean}
+   */
+  function sameValue(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // ============================================
+  // SettingsService Class
+  // ============================================
+
+  class SettingsService {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    // Declared settings by key, in the order declared
+    _definitions = new Map();
+    _listeners = new Map();
+
+    // Per layer: values for every language, values by language, and the
+    // problems found in its file when last loaded
+    _layers = {
+      user: { values: {}, languages: {}, problems: [] },
+      workspace: { values: {}, languages: {}, problems: [] },
+    };
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new SettingsService
+     * @param {Object} [options] - SettingsService options
+     * @param {Object} [options.defaults] - Default values replacing the
+     *   declared ones, by setting key
+     */
+    constructor(options) {
+      var self = this;
+      var defaults = (options && options.defaults) || {};
+
+      DEFAULT_SETTINGS.forEach(function(definition) {
+        if (Object.prototype.hasOwnProperty.call(defaults, definition.key)) {
+          definition = Object.assign({}, definition, { default: defaults[definition.key] });
+        }
+        self.register(definition);
+      });
+    }
+
+    // ============================================
+    // Public Methods - Definitions
+    // ============================================
+
+    /**
+     * Declare a setting
+     * @param {Object} definition
+     * @param {string} definition.key - e.g. 'editor.tabSize'
+     * @param {string} definition.type - 'number', 'boolean' or 'string'
+     * @param {*} definition.default - Value when no file sets one
+     * @param {string} definition.description - One sentence for the settings editor
+     * @param {Array<string>} [definition.enum] - Allowed values of a string setting
+     * @param {number} [definition.minimum] - Lowest value of a number setting
+     * @param {number} [definition.maximum] - Highest value of a number setting
+     */
+    register(definition) {
+      if (!definition || typeof definition.key !== 'string' || !definition.key) {
+        throw new Error('A setting needs a key');
+      }
+      if (this._definitions.has(definition.key)) {
+        throw new Error('Setting "' + definition.key + '" is already declared');
+      }
+      this._definitions.set(definition.key, Object.assign({}, definition));
+    }
+
+    /**
+     * Get a declared setting
+     * @param {string} key
+     * @returns {Object|null} Its definition, with languageOverridable added
+     */
+    getDefinition(key) {
+      var definition = this._definitions.get(key);
+      if (!definition) return null;
+      return Object.assign({}, definition, { languageOverridable: isLanguageOverridable(key) });
+    }
+
+    /**
+     * Get every declared setting, in the order declared
+     * @returns {Array<Object>}
+     */
+    getDefinitions() {
+      var self = this;
+      return Array.from(this._definitions.keys()).map(function(key) {
+        return self.getDefinition(key);
+      });
+    }
+
+    // ============================================
+    // Public Methods - Values
+    // ============================================
+
+    /**
+     * Get the value of a setting
+     * @param {string} key - e.g. 'editor.tabSize'
+     * @param {string} [language] - Language the value is for, e.g. 'javascript'
+     * @returns {*} The value, or undefined for an undeclared setting
+     */
+    get(key, language) {
+      return this.inspect(key, language).value;
+    }
+
+    /**
+     * Get the value of a setting in each layer
+     * @param {string} key
+     * @param {string} [language]
+     * @returns {{key: string, defaultValue: *, userValue: *, workspaceValue: *,
+     *   userLanguageValue: *, workspaceLanguageValue: *, value: *}} Values a
+     *   layer does not set are undefined; value is the one that applies
+     */
+    inspect(key, language) {
+      var definition = this._definitions.get(key);
+      var user = this._layers.user;
+      var workspace = this._layers.workspace;
+      var result = {
+        key: key,
+        defaultValue: definition ? definition.default : undefined,
+        userValue: user.values[key],
+        workspaceValue: workspace.values[key],
+        userLanguageValue: language && user.languages[language] ? user.languages[language][key] : undefined,
+        workspaceLanguageValue: language && workspace.languages[language] ? workspace.languages[language][key] : undefined,
+      };
+
+      var order = ['workspaceLanguageValue', 'userLanguageValue', 'workspaceValue', 'userValue', 'defaultValue'];
+      for (var i = 0; i < order.length; i++) {
+        if (result[order[i]] !== undefined) {
+          result.value = result[order[i]];
+          break;
+        }
+      }
+      return result;
+    }
+
+    /**
+     * Get the languages a layer has settings for
+     * @param {string} layer - 'user' or 'workspace'
+     * @returns {Array<string>}
+     */
+    getLanguages(layer) {
+      return Object.keys(this._layers[layer].languages);
+    }
+
+    /**
+     * Replace the values of a layer with the content of its settings file
+     * @param {string} layer - 'user' or 'workspace'
+     * @param {string|null} text - File content; null when there is no file
+     * @returns {Array<string>} Problems found; values with a problem are
+     *   left out, and content that is not valid JSON keeps the previous values
+     */
+    setSettings(layer, text) {
+      var self = this;
+      var target = this._layers[layer];
+      if (!target) throw new Error('Unknown settings layer "' + layer + '"');
+
+      var content;
+      try {
+        content = text === null ? undefined : JSONC.parse(text);
+      } catch (err) {
+        target.problems = ['The settings file is not valid JSON: ' + err.message];
+        this._emit('problemsChange', { layer: layer, problems: target.problems });
+        return target.problems;
+      }
+
+      var values = {};
+      var languages = {};
+      var problems = [];
+
+      if (content !== undefined && (content === null || typeof content !== 'object' || Array.isArray(content))) {
+        problems.push('The settings file must contain an object');
+        content = {};
+      }
+
+      Object.keys(content || {}).forEach(function(key) {
+        if (!LANGUAGE_KEY_PATTERN.test(key)) {
+          self._readValue(key, content[key], values, problems);
+          return;
+        }
+
+        var overrides = content[key];
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+          problems.push('"' + key + '" must contain an object');
+          return;
+        }
+        parseLanguageKey(key).forEach(function(language) {
+          var languageValues = languages[language] || (languages[language] = {});
+          Object.keys(overrides).forEach(function(overrideKey) {
+            if (!isLanguageOverridable(overrideKey) && self._definitions.has(overrideKey)) {
+              problems.push('"' + overrideKey + '" cannot be set for a language');
+              return;
+            }
+            self._readValue(overrideKey, overrides[overrideKey], languageValues, problems);
+          });
+        });
+      });
+
+      var before = this._snapshot();
+      target.values = values;
+      target.languages = languages;
+      target.problems = problems;
+      this._emitChanges(before, layer);
+      this._emit('problemsChange', { layer: layer, problems: problems });
+      return problems;
+    }
+
+    /**
+     * Get the problems found in a layer's settings file when last loaded
+     * @param {string} layer - 'user' or 'workspace'
+     * @returns {Array<string>}
+     */
+    getProblems(layer) {
+      return this._layers[layer].problems.slice();
+    }
+
+    /**
+     * Check a value for a setting
+     * @param {string} key
+     * @param {*} value
+     * @returns {string|null} Why the value cannot be used, or null if it can
+     */
+    validate(key, value) {
+      var definition = this._definitions.get(key);
+      if (!definition) return 'Unknown setting "' + key + '"';
+
+      if (typeof value !== definition.type) {
+        return '"' + key + '" must be a ' + definition.type;
+      }
+      if (definition.type === 'number') {
+        if (!isFinite(value)) return '"' + key + '" must be a number';
+        if (definition.minimum !== undefined && value < definition.minimum) {
+          return '"' + key + '" must be at least ' + definition.minimum;
+        }
+        if (definition.maximum !== undefined && value > definition.maximum) {
+          return '"' + key + '" must be at most ' + definition.maximum;
+        }
+      }
+      if (definition.enum && definition.enum.indexOf(value) === -1) {
+        return '"' + key + '" must be one of ' + definition.enum.map(function(option) {
+          return JSON.stringify(option);
+        }).join(', ');
+      }
+      return null;
+    }
+
+    /**
+     * Get the content of a settings file with one value changed
+     * @param {string} text - Current content of the file
+     * @param {string} key - Setting to change
+     * @param {*} value - New value; undefined removes the setting from the file
+     * @param {string} [language] - Change the value for this language only
+     * @returns {string} The new content, comments kept
+     * @throws {SyntaxError} If the current content cannot be edited
+     */
+    updateSettingsText(text, key, value, language) {
+      var path = language ? ['[' + language + ']', key] : [key];
+      return JSONC.setProperty(text, path, value);
+    }
+
+    /**
+     * Write the default settings as the content of a settings file
+     * @returns {string}
+     */
+    getDefaultSettingsText() {
+      var lines = this.getDefinitions().map(function(definition, index, definitions) {
+        var comma = index < definitions.length - 1 ? ',' : '';
+        return '  // ' + definition.description + '\n' +
+          '  ' + JSON.stringify(definition.key) + ': ' + JSON.stringify(definition.default) + comma;
+      });
+      return '// Default settings; override them in your settings.json\n' +
+        '{\n' + lines.join('\n\n') + '\n}\n';
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    /**
+     * Subscribe to an event: 'change' ({keys, layer}) when settings change
+     * value, 'problemsChange' ({layer, problems}) when a file is loaded
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self._listeners.get(event).delete(callback);
+      };
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    /**
+     * Emit an event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(callback) {
+          try {
+            callback(data);
+          } catch (err) {
+            console.error('Error in ' + event + ' handler:', err);
+          }
+        });
+      }
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Take a value from a settings file if it is valid
+     * @param {string} key
+     * @param {*} value
+     * @param {Object} values - Receives the value
+     * @param {Array<string>} problems - Receives why the value is left out
+     */
+    _readValue(key, value, values, problems) {
+      // Settings of other programs sharing the file are no problem
+      if (!this._definitions.has(key)) return;
+
+      var problem = this.validate(key, value);
+      if (problem) {
+        problems.push(problem);
+        return;
+      }
+      values[key] = value;
+    }
+
+    /**
+     * Record the value of every setting, for every language set anywhere
+     * @returns {Map<string, Array<*>>} Values by setting key; the first is
+     *   the value for every language, the others by language
+     */
+    _snapshot() {
+      var self = this;
+      var languages = {};
+      LAYERS.forEach(function(layer) {
+        Object.keys(self._layers[layer].languages).forEach(function(language) {
+          languages[language] = true;
+        });
+      });
+
+      var snapshot = new Map();
+      this._definitions.forEach(function(definition, key) {
+        var values = { '': self.get(key) };
+        Object.keys(languages).forEach(function(language) {
+          values[language] = self.get(key, language);
+        });
+        snapshot.set(key, values);
+      });
+      return snapshot;
+    }
+
+    /**
+     * Tell the listeners which settings changed value since a snapshot
+     * @param {Map<string, Object>} before - Snapshot taken before the change
+     * @param {string} layer - Layer that changed
+     */
+    _emitChanges(before, layer) {
+      var after = this._snapshot();
+      var keys = [];
+
+      after.forEach(function(values, key) {
+        var previous = before.get(key) || {};
+        var languages = Object.keys(values).concat(Object.keys(previous));
+        var changed = languages.some(function(language) {
+          var a = language in values ? values[language] : values[''];
+          var b = language in previous ? previous[language] : previous[''];
+          return !sameValue(a, b);
+        });
+        if (changed) keys.push(key);
+      });
+
+      if (keys.length > 0) {
+        this._emit('change', { keys: keys, layer: layer });
+      }
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.SettingsService = SettingsService;
+
+})(window.CodeEditor = window.CodeEditor || {});
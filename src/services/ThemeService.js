@@ -0,0 +1,612 @@
+/**
+ * ThemeService - Color themes of the editor and the IDE
+ *
+ * A theme is JSON in the format of VS Code color themes: a name, a type
+ * ('dark', 'light', 'hc-dark' or 'hc-light'), UI colors by the names VS Code
+ * gives them, e.g. "editor.background", and token colors as TextMate rules,
+ * {scope, settings: {foreground, fontStyle}}. A rule's scope can be one of
+ * the editor's token types, e.g. 'keyword.control', 'string.template' or
+ * 'number.hex', or a TextMate scope such as 'constant.numeric', so themes
+ * written for VS Code or TextMate color the editor too. As in TextMate, the
+ * rule with the longest scope matching a token wins, and of equally long
+ * ones the last.
+ *
+ * Applying a theme to an element sets CSS variables on it: the --ide-* and
+ * --ec-* colors of the stylesheets, and a color and font style per token
+ * type, which rules added to the document use for the tokens inside the
+ * element.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  var JSONC = CodeEditor.JSONC;
+
+  // ============================================
+  // Constants
+  // ============================================
+
+  var THEME_TYPES = ['dark', 'light', 'hc-dark', 'hc-light'];
+
+  // Types of VS Code's older theme files
+  var TYPE_ALIASES = {
+    'vs-dark': 'dark',
+    'vs': 'light',
+    'hc-black': 'hc-dark',
+    'hc': 'hc-dark',
+  };
+
+  // Theme used when the one asked for is unknown
+  var DEFAULT_THEME_ID = 'dark';
+
+  // CSS variables of the stylesheets, with the theme colors giving them; the
+  // first color the theme has is used, and without any the stylesheet's
+  var COLOR_VARIABLES = {
+    '--ide-bg': ['editor.background'],
+    '--ide-fg': ['foreground'],
+    '--ide-border': ['contrastBorder', 'sideBar.border'],
+    '--ide-activity-bar-bg': ['activityBar.background'],
+    '--ide-sidebar-bg': ['sideBar.background'],
+    '--ide-editor-bg': ['editor.background'],
+    '--ide-status-bar-bg': ['statusBar.background'],
+    '--ide-status-bar-fg': ['statusBar.foreground'],
+    '--ide-tab-active-bg': ['tab.activeBackground', 'editor.background'],
+    '--ide-tab-inactive-bg': ['tab.inactiveBackground'],
+    '--ide-tab-border': ['tab.activeBorderTop', 'focusBorder'],
+    '--ide-hover-bg': ['toolbar.hoverBackground', 'list.hoverBackground'],
+    '--ide-active-bg': ['list.inactiveSelectionBackground'],
+    '--ide-focus-border': ['focusBorder'],
+    '--ide-list-active-bg': ['list.activeSelectionBackground'],
+    '--ide-list-hover-bg': ['list.hoverBackground'],
+    '--ide-icon-fg': ['icon.foreground', 'activityBar.foreground', 'foreground'],
+    '--ide-icon-fg-inactive': ['activityBar.inactiveForeground'],
+    '--ide-git-modified': ['gitDecoration.modifiedResourceForeground'],
+    '--ide-git-added': ['gitDecoration.addedResourceForeground'],
+    '--ide-git-untracked': ['gitDecoration.untrackedResourceForeground'],
+
+    '--ec-bg': ['editor.background'],
+    '--ec-fg': ['editor.foreground', 'foreground'],
+    '--ec-gutter-bg': ['editorGutter.background', 'editor.background'],
+    '--ec-gutter-fg': ['editorLineNumber.foreground'],
+    '--ec-cursor-color': ['editorCursor.foreground'],
+    '--ec-selection-bg': ['editor.selectionBackground'],
+    '--ec-line-highlight': ['editor.lineHighlightBackground'],
+    '--ec-border': ['contrastBorder', 'editorGroup.border'],
+    '--ec-indent-1': ['editorIndentGuide.background1'],
+    '--ec-indent-2': ['editorIndentGuide.background2'],
+    '--ec-indent-3': ['editorIndentGuide.background3'],
+    '--ec-indent-4': ['editorIndentGuide.background4'],
+    '--ec-indent-5': ['editorIndentGuide.background5'],
+    '--ec-indent-6': ['editorIndentGuide.background6'],
+    '--ec-hover-bg': ['editorHoverWidget.background'],
+    '--ec-hover-border': ['editorHoverWidget.border', 'contrastBorder'],
+    '--ec-hover-code-bg': ['textCodeBlock.background', 'editor.background'],
+    '--ec-hover-text': ['editorHoverWidget.foreground', 'foreground'],
+    '--ec-hover-code': ['textPreformat.foreground'],
+    '--ec-signature-help-active': ['editorHoverWidget.highlightForeground'],
+    '--ec-autocomplete-bg': ['editorSuggestWidget.background'],
+    '--ec-autocomplete-border': ['editorSuggestWidget.border', 'contrastBorder'],
+    '--ec-autocomplete-hover': ['list.hoverBackground'],
+    '--ec-autocomplete-selected': ['editorSuggestWidget.selectedBackground', 'list.activeSelectionBackground'],
+  };
+
+  // TextMate scope of each token type, for themes written for TextMate
+  // grammars; a token matches rules for either
+  var TEXTMATE_SCOPES = {
+    'keyword': 'storage.type',
+    'keyword.control': 'keyword.control',
+    'keyword.literal': 'constant.language',
+    'keyword.important': 'keyword.other.important',
+    'string': 'string.quoted',
+    'string.template': 'string.template',
+    'string.escape': 'constant.character.escape',
+    'string.invalid': 'invalid.illegal',
+    'number': 'constant.numeric',
+    'number.float': 'constant.numeric.float',
+    'number.hex': 'constant.numeric.hex',
+    'comment': 'comment',
+    'operator': 'keyword.operator',
+    'delimiter': 'punctuation',
+    'delimiter.bracket': 'punctuation.bracket',
+    'delimiter.tag': 'punctuation.definition.tag',
+    'identifier': 'variable',
+    'function': 'entity.name.function',
+    'class': 'entity.name.type.class',
+    'property': 'support.type.property-name',
+    'tag': 'entity.name.tag',
+    'metatag': 'meta.tag.metadata.doctype',
+    'metatag.content': 'entity.other.attribute-name',
+    'attribute.name': 'entity.other.attribute-name',
+    'attribute.value': 'string.quoted',
+    'selector.tag': 'entity.name.tag.css',
+    'selector.class': 'entity.other.attribute-name.class.css',
+    'selector.id': 'entity.other.attribute-name.id.css',
+    'selector.pseudo': 'entity.other.attribute-name.pseudo-class.css',
+    'selector.attribute': 'entity.other.attribute-name.attribute.css',
+    'at-rule': 'keyword.control.at-rule',
+    'at-rule.name': 'variable.parameter.keyframe-list',
+    'at-rule.keyword': 'keyword.operator.logical',
+    'value': 'support.constant.property-value',
+    'unit': 'keyword.other.unit',
+  };
+
+  // Colors a theme can give, as in VS Code themes: #rgb, #rgba, #rrggbb or #rrggbbaa
+  var COLOR_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+  // Class of the elements a theme is applied to, and id of the style
+  // element with the token rules
+  var THEMED_CLASS = 'ec-themed';
+  var TOKEN_STYLE_ID = 'ec-theme-token-styles';
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Get the token types of the loaded grammars
+   * @returns {Array<string>}
+   */
+  function getTokenTypes() {
+    var types = { plain: true };
+    var grammars = CodeEditor.Grammars || {};
+    Object.keys(grammars).forEach(function(name) {
+      if (!/TokenType$/.test(name)) return;
+      Object.keys(grammars[name]).forEach(function(key) {
+        types[grammars[name][key]] = true;
+      });
+    });
+    Object.keys(TEXTMATE_SCOPES).forEach(function(type) {
+      types[type] = true;
+    });
+    return Object.keys(types).sort();
+  }
+
+  /**
+   * Get the CSS variable of a token type's property
+   * @param {string} type - e.g. 'number.hex'
+   * @param {string} [property] - e.g. 'font-style'; the color if omitted
+   * @returns {string} e.g. '--ec-token-number-hex-font-style'
+   */
+  function tokenVariable(type, property) {
+    return '--ec-token-' + type.replace(/\./g, '-') + (property ? '-' + property : '');
+  }
+
+  /**
+   * Get the selectors of a rule's scope
+   * @param {string|Array<string>} scope - e.g. 'string, comment' or ['string', 'comment']
+   * @returns {Array<string>} Each the last scope of a selector; descendant
+   *   selectors match on their last scope only, and exclusions are left out
+   */
+  function parseScope(scope) {
+    var selectors = Array.isArray(scope) ? scope : String(scope).split(',');
+    return selectors.map(function(selector) {
+      var parts = String(selector).split(' - ')[0].trim().split(/\s+/);
+      return parts[parts.length - 1];
+    }).filter(Boolean);
+  }
+
+  /**
+   * Check if a selector matches a scope, as 'string' matches 'string.template'
+   * @param {string} selector
+   * @param {string} scope
+   * @returns {boolean}
+   */
+  function matchesScope(selector, scope) {
+    return scope === selector || scope.indexOf(selector + '.') === 0;
+  }
+
+  /**
+   * Get the CSS of a TextMate font style
+   * @param {string} fontStyle - Words among 'italic', 'bold', 'underline'
+   *   and 'strikethrough'; empty for none
+   * @returns {{fontStyle: string, fontWeight: string, textDecoration: string}}
+   */
+  function fontStyleToCSS(fontStyle) {
+    var words = String(fontStyle || '').split(/\s+/);
+    var decorations = [];
+    if (words.indexOf('underline') !== -1) decorations.push('underline');
+    if (words.indexOf('strikethrough') !== -1) decorations.push('line-through');
+    return {
+      fontStyle: words.indexOf('italic') !== -1 ? 'italic' : 'normal',
+      fontWeight: words.indexOf('bold') !== -1 ? 'bold' : 'normal',
+      textDecoration: decorations.length > 0 ? decorations.join(' ') : 'none',
+    };
+  }
+
+  // ============================================
+  // ThemeService Class
+  // ============================================
+
+  class ThemeService {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    // Themes by id, in the order registered
+    _themes = new Map();
+    _listeners = new Map();
+
+    // ============================================
+    // Constructor
+    // ============================================
+
+    /**
+     * Create a new ThemeService with the default themes
+     */
+    constructor() {
+      var self = this;
+      (CodeEditor.DefaultThemes || []).forEach(function(theme) {
+        self.registerTheme(Object.assign({}, theme, { builtin: true }));
+      });
+    }
+
+    // ============================================
+    // Public Methods - Themes
+    // ============================================
+
+    /**
+     * Read a theme file
+     * @param {string} text - JSON with comments, as VS Code color theme files
+     * @param {string} [id] - Id of the theme if the file gives none
+     * @returns {Object} The theme, not yet registered
+     * @throws {Error} If the content is not a theme
+     */
+    parseTheme(text, id) {
+      var content = JSONC.parse(text);
+      if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        throw new Error('A color theme must be an object');
+      }
+      return this._normalize(id && !content.id ? Object.assign({ id: id }, content) : content);
+    }
+
+    /**
+     * Read a theme file and add the theme, replacing one with the same id
+     * @param {string} text - JSON with comments
+     * @param {string} [id] - Id of the theme if the file gives none
+     * @returns {string} The theme id
+     * @throws {Error} If the content is not a theme
+     */
+    loadTheme(text, id) {
+      return this._add(this.parseTheme(text, id));
+    }
+
+    /**
+     * Add a theme, replacing one with the same id
+     * @param {Object} theme
+     * @param {string} theme.name - Name shown in the picker
+     * @param {string} [theme.id] - Id used by the workbench.colorTheme
+     *   setting; made from the name if omitted
+     * @param {string} [theme.type] - 'dark' (default), 'light', 'hc-dark' or 'hc-light'
+     * @param {Object} [theme.colors] - UI colors by VS Code color name
+     * @param {Array<Object>} [theme.tokenColors] - TextMate rules; a
+     *   'settings' array, as in converted .tmTheme files, is read as well
+     * @returns {string} The theme id
+     * @throws {Error} If the theme is not valid
+     */
+    registerTheme(theme) {
+      return this._add(this._normalize(theme));
+    }
+
+    /**
+     * Remove a theme added with registerTheme; the default ones stay
+     * @param {string} id
+     * @returns {boolean} True if a theme was removed
+     */
+    removeTheme(id) {
+      var theme = this._themes.get(id);
+      if (!theme || theme.builtin) return false;
+      this._themes.delete(id);
+      this._emit('themesChange', { id: id });
+      return true;
+    }
+
+    /**
+     * Get a theme by id or name
+     * @param {string} idOrName - e.g. 'dark' or 'Dark+'
+     * @returns {Object|null}
+     */
+    getTheme(idOrName) {
+      if (this._themes.has(idOrName)) return this._themes.get(idOrName);
+      var found = null;
+      this._themes.forEach(function(theme) {
+        if (!found && theme.name === idOrName) found = theme;
+      });
+      return found;
+    }
+
+    /**
+     * Get every theme, in the order registered
+     * @returns {Array<{id: string, name: string, type: string, builtin: boolean}>}
+     */
+    getThemes() {
+      return Array.from(this._themes.values()).map(function(theme) {
+        return { id: theme.id, name: theme.name, type: theme.type, builtin: theme.builtin };
+      });
+    }
+
+    /**
+     * Check if a theme type is a high contrast one
+     * @param {string} type
+     * @returns {boolean}
+     */
+    isHighContrast(type) {
+      return type === 'hc-dark' || type === 'hc-light';
+    }
+
+    /**
+     * Check if a theme type has dark text on a light background
+     * @param {string} type
+     * @returns {boolean}
+     */
+    isLight(type) {
+      return type === 'light' || type === 'hc-light';
+    }
+
+    // ============================================
+    // Public Methods - Styles
+    // ============================================
+
+    /**
+     * Get the style a theme gives a token type
+     * @param {string} idOrName - Theme
+     * @param {string} tokenType - e.g. 'keyword.control'
+     * @returns {{foreground: string, fontStyle: string}} Font style words,
+     *   empty for none; the foreground is the editor's for tokens no rule matches
+     */
+    getTokenStyle(idOrName, tokenType) {
+      var theme = this.getTheme(idOrName) || this._themes.get(DEFAULT_THEME_ID);
+      var scopes = [tokenType];
+      if (TEXTMATE_SCOPES[tokenType]) scopes.push(TEXTMATE_SCOPES[tokenType]);
+
+      // Foreground and font style are found apart, as in TextMate: a rule
+      // giving only a font style keeps the color of a shorter match
+      var style = { foreground: theme.foreground, fontStyle: '' };
+      var scores = { foreground: -1, fontStyle: -1 };
+
+      theme.rules.forEach(function(rule) {
+        rule.selectors.forEach(function(selector) {
+          var matches = scopes.some(function(scope) {
+            return matchesScope(selector, scope);
+          });
+          if (!matches) return;
+
+          var score = selector.split('.').length;
+          Object.keys(scores).forEach(function(property) {
+            if (rule[property] !== undefined && score >= scores[property]) {
+              style[property] = rule[property];
+              scores[property] = score;
+            }
+          });
+        });
+      });
+
+      return style;
+    }
+
+    /**
+     * Get the CSS variables a theme sets
+     * @param {string} idOrName - Theme
+     * @returns {Object} Values by variable name
+     */
+    getVariables(idOrName) {
+      var self = this;
+      var theme = this.getTheme(idOrName) || this._themes.get(DEFAULT_THEME_ID);
+      var variables = {};
+
+      Object.keys(COLOR_VARIABLES).forEach(function(variable) {
+        var keys = COLOR_VARIABLES[variable];
+        for (var i = 0; i < keys.length; i++) {
+          if (theme.colors[keys[i]]) {
+            variables[variable] = theme.colors[keys[i]];
+            break;
+          }
+        }
+      });
+
+      getTokenTypes().forEach(function(type) {
+        var style = self.getTokenStyle(theme.id, type);
+        var css = fontStyleToCSS(style.fontStyle);
+        variables[tokenVariable(type)] = style.foreground;
+        variables[tokenVariable(type, 'font-style')] = css.fontStyle;
+        variables[tokenVariable(type, 'font-weight')] = css.fontWeight;
+        variables[tokenVariable(type, 'text-decoration')] = css.textDecoration;
+      });
+
+      return variables;
+    }
+
+    /**
+     * Color an element and what it contains with a theme
+     * @param {HTMLElement} element - e.g. the root of the IDE
+     * @param {string} idOrName - Theme; the default one if unknown
+     * @returns {Object} The theme applied
+     */
+    applyTheme(element, idOrName) {
+      var theme = this.getTheme(idOrName) || this._themes.get(DEFAULT_THEME_ID);
+      var variables = this.getVariables(theme.id);
+
+      // Variables of the theme applied before that this one leaves to the stylesheets
+      var previous = element._ecThemeVariables || [];
+      previous.forEach(function(name) {
+        if (!(name in variables)) element.style.removeProperty(name);
+      });
+      Object.keys(variables).forEach(function(name) {
+        element.style.setProperty(name, variables[name]);
+      });
+      element._ecThemeVariables = Object.keys(variables);
+      element.classList.add(THEMED_CLASS);
+
+      this._installTokenRules(element.ownerDocument);
+      return theme;
+    }
+
+    // ============================================
+    // Event System
+    // ============================================
+
+    /**
+     * Subscribe to an event: 'themesChange' ({id}) when a theme is added,
+     * replaced or removed
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, new Set());
+      }
+      this._listeners.get(event).add(callback);
+      var self = this;
+      return function() {
+        self._listeners.get(event).delete(callback);
+      };
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    }
+
+    /**
+     * Emit an event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.forEach(function(callback) {
+          try {
+            callback(data);
+          } catch (err) {
+            console.error('Error in ' + event + ' handler:', err);
+          }
+        });
+      }
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Keep a theme
+     * @param {Object} theme - Normalized
+     * @returns {string} The theme id
+     * @throws {Error} If a default theme has the id
+     */
+    _add(theme) {
+      var existing = this._themes.get(theme.id);
+      if (existing && existing.builtin) {
+        throw new Error('The color theme "' + existing.name + '" with the id "' + theme.id + '" is built in');
+      }
+      this._themes.set(theme.id, theme);
+      this._emit('themesChange', { id: theme.id });
+      return theme.id;
+    }
+
+    /**
+     * Check a theme and bring it to one form
+     * @param {Object} theme - As given to registerTheme
+     * @returns {Object} {id, name, type, builtin, colors, foreground, rules}
+     * @throws {Error} If the theme is not valid
+     */
+    _normalize(theme) {
+      if (!theme || typeof theme.name !== 'string' || !theme.name.trim()) {
+        throw new Error('A color theme needs a name');
+      }
+
+      var type = TYPE_ALIASES[theme.type] || theme.type || 'dark';
+      if (THEME_TYPES.indexOf(type) === -1) {
+        throw new Error('Unknown color theme type "' + theme.type + '"; use one of ' + THEME_TYPES.join(', '));
+      }
+
+      var id = typeof theme.id === 'string' && theme.id ? theme.id :
+        theme.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      if (!id) throw new Error('The name of a color theme needs a letter or digit');
+
+      // Colors that are not colors are left out rather than breaking the stylesheets
+      var colors = {};
+      Object.keys(theme.colors || {}).forEach(function(key) {
+        var value = theme.colors[key];
+        if (typeof value === 'string' && COLOR_PATTERN.test(value)) colors[key] = value;
+      });
+
+      var rules = [];
+      var ruleList = Array.isArray(theme.tokenColors) ? theme.tokenColors :
+        Array.isArray(theme.settings) ? theme.settings : [];
+      ruleList.forEach(function(entry) {
+        var settings = entry && entry.settings;
+        if (!settings || typeof settings !== 'object') return;
+
+        var foreground = typeof settings.foreground === 'string' && COLOR_PATTERN.test(settings.foreground) ?
+          settings.foreground : undefined;
+        var fontStyle = typeof settings.fontStyle === 'string' ? settings.fontStyle.trim() : undefined;
+
+        // A rule without a scope gives the colors of the whole editor
+        if (entry.scope === undefined) {
+          if (foreground && !colors['editor.foreground']) colors['editor.foreground'] = foreground;
+          if (typeof settings.background === 'string' && COLOR_PATTERN.test(settings.background) &&
+            !colors['editor.background']) {
+            colors['editor.background'] = settings.background;
+          }
+          return;
+        }
+
+        var selectors = parseScope(entry.scope);
+        if (selectors.length === 0 || (foreground === undefined && fontStyle === undefined)) return;
+        rules.push({ selectors: selectors, foreground: foreground, fontStyle: fontStyle });
+      });
+
+      var fallback = this.isLight(type) ? '#333333' : '#d4d4d4';
+      return {
+        id: id,
+        name: theme.name.trim(),
+        type: type,
+        builtin: theme.builtin === true,
+        colors: colors,
+        foreground: colors['editor.foreground'] || colors['foreground'] || fallback,
+        rules: rules,
+      };
+    }
+
+    /**
+     * Add the rules giving tokens the colors of the theme variables, once
+     * per document, and again when grammars with new token types were loaded
+     * @param {Document} doc
+     */
+    _installTokenRules(doc) {
+      var types = getTokenTypes();
+      var style = doc.getElementById(TOKEN_STYLE_ID);
+      if (style && style.dataset.types === types.join(' ')) return;
+
+      if (!style) {
+        style = doc.createElement('style');
+        style.id = TOKEN_STYLE_ID;
+        doc.head.appendChild(style);
+      }
+      style.dataset.types = types.join(' ');
+      style.textContent = types.map(function(type) {
+        return '.' + THEMED_CLASS + ' .ec-token-' + type.replace(/\./g, '-') + ' {\n' +
+          '  color: var(' + tokenVariable(type) + ');\n' +
+          '  font-style: var(' + tokenVariable(type, 'font-style') + ');\n' +
+          '  font-weight: var(' + tokenVariable(type, 'font-weight') + ');\n' +
+          '  text-decoration: var(' + tokenVariable(type, 'text-decoration') + ');\n' +
+          '}';
+      }).join('\n');
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.ThemeService = ThemeService;
+
+})(window.CodeEditor = window.CodeEditor || {});
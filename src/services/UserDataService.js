@@ -0,0 +1,167 @@
+/**
+ * UserDataService - Files of the user's own configuration
+ *
+ * Keeps files such as keybindings.json in the browser's origin private
+ * file system, apart from any workspace folder, so they apply to every
+ * folder and survive a reload. Each file gets a FileNode with a handle,
+ * so it opens in a tab and saves through FileService like any other file.
+ * Without the origin private file system the files cannot be kept, and
+ * reading them gives nothing.
+ */
+(function(CodeEditor) {
+  'use strict';
+
+  var FileNode = CodeEditor.FileNode;
+
+  // Folder of the files in the origin private file system
+  var FOLDER_NAME = 'User';
+
+  // Start of the paths of user files; ':' keeps them apart from workspace paths
+  var PATH_PREFIX = 'user-data:/';
+
+  class UserDataService {
+    // ============================================
+    // Instance Members
+    // ============================================
+
+    _folderPromise = null;
+
+    // ============================================
+    // Public Methods
+    // ============================================
+
+    /**
+     * Check if the browser can keep user files
+     * @returns {boolean}
+     */
+    isAvailable() {
+      return typeof navigator !== 'undefined' && !!navigator.storage &&
+        typeof navigator.storage.getDirectory === 'function';
+    }
+
+    /**
+     * Get the path a user file opens with
+     * @param {string} name - File name, e.g. 'keybindings.json'
+     * @returns {string} e.g. 'user-data:/keybindings.json'
+     */
+    getPath(name) {
+      return PATH_PREFIX + name;
+    }
+
+    /**
+     * Check if a path is that of a user file
+     * @param {string} path
+     * @returns {boolean}
+     */
+    isUserDataPath(path) {
+      return typeof path === 'string' && path.indexOf(PATH_PREFIX) === 0;
+    }
+
+    /**
+     * Read a user file
+     * @param {string} name - File name
+     * @returns {Promise<string|null>} Content, or null if there is no such file
+     */
+    async readFile(name) {
+      var folder = await this._getFolder();
+      if (!folder) return null;
+
+      try {
+        var handle = await folder.getFileHandle(name);
+        var file = await handle.getFile();
+        return await file.text();
+      } catch (err) {
+        if (err && err.name === 'NotFoundError') return null;
+        throw err;
+      }
+    }
+
+    /**
+     * Write a user file, creating it if needed
+     * @param {string} name - File name
+     * @param {string} content
+     * @returns {Promise<boolean>} False if user files cannot be kept
+     */
+    async writeFile(name, content) {
+      var folder = await this._getFolder();
+      if (!folder) return false;
+
+      var handle = await folder.getFileHandle(name, { create: true });
+      var writable = await handle.createWritable();
+      await writable.write(content);
+      await writable.close();
+      return true;
+    }
+
+    /**
+     * List the user files
+     * @returns {Promise<Array<string>>} File names, sorted
+     */
+    async listFiles() {
+      var folder = await this._getFolder();
+      if (!folder) return [];
+
+      var names = [];
+      for await (var entry of folder.values()) {
+        if (entry.kind === 'file') names.push(entry.name);
+      }
+      return names.sort();
+    }
+
+    /**
+     * Get the node of a user file to open it, creating the file if needed
+     * @param {string} name - File name
+     * @param {string} [defaultContent] - Content of a new file
+     * @returns {Promise<FileNode|null>} Null if user files cannot be kept
+     */
+    async getFileNode(name, defaultContent) {
+      var folder = await this._getFolder();
+      if (!folder) return null;
+
+      var handle;
+      try {
+        handle = await folder.getFileHandle(name);
+      } catch (err) {
+        if (!err || err.name !== 'NotFoundError') throw err;
+
+        handle = await folder.getFileHandle(name, { create: true });
+        var writable = await handle.createWritable();
+        await writable.write(defaultContent || '');
+        await writable.close();
+      }
+
+      var node = new FileNode(name, this.getPath(name), 'file');
+      node.handle = handle;
+      return node;
+    }
+
+    // ============================================
+    // Private Methods
+    // ============================================
+
+    /**
+     * Get the folder of the user files, once
+     * @returns {Promise<FileSystemDirectoryHandle|null>}
+     */
+    _getFolder() {
+      if (!this._folderPromise) {
+        if (!this.isAvailable()) return Promise.resolve(null);
+
+        this._folderPromise = navigator.storage.getDirectory().then(function(root) {
+          return root.getDirectoryHandle(FOLDER_NAME, { create: true });
+        }).catch(function(err) {
+          console.warn('User files are not available:', err);
+          return null;
+        });
+      }
+      return this._folderPromise;
+    }
+  }
+
+  // ============================================
+  // Export to namespace
+  // ============================================
+
+  CodeEditor.UserDataService = UserDataService;
+
+})(window.CodeEditor = window.CodeEditor || {});
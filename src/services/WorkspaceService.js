@@ -5,12 +5,18 @@
  * - Open tabs tracking
  * - Active tab management
  * - Coordination between FileService and UI components
+ * - Saving the session (folder, tabs, split layout, unsaved buffers and
+ *   undo history) to IndexedDB and restoring it after a reload
  */
 (function(CodeEditor) {
   'use strict';
 
   // Get dependencies
   var Tab = CodeEditor.Tab;
+  var SessionStore = CodeEditor.SessionStore;
+
+  // Format of saved sessions; others are ignored
+  var SESSION_VERSION = 1;
 
   class WorkspaceService {
     // ============================================
@@ -23,6 +29,10 @@
     _rootNode = null;
     _listeners = new Map();
 
+    // Session persistence
+    _sessionStore = null;
+    _pendingSession = null; // Session waiting for folder permission
+
     // ============================================
     // Constructor
     // ============================================
@@ -30,9 +40,13 @@
     /**
      * Create a new WorkspaceService
      * @param {FileService} fileService - File service instance
+     * @param {Object} options - WorkspaceService options
+     * @param {SessionStore} options.sessionStore - Where the session is saved
      */
-    constructor(fileService) {
+    constructor(fileService, options) {
+      options = options || {};
       this._fileService = fileService;
+      this._sessionStore = options.sessionStore || new SessionStore();
       this._bindFileServiceEvents();
     }
 
@@ -65,6 +79,25 @@
       return this._rootNode !== null;
     }
 
+    /**
+     * Read a file of the open folder by its path
+     * @param {string} path - File path
+     * @returns {Promise<Object|null>} File data or null if it cannot be read
+     */
+    async readFileAtPath(path) {
+      if (this._fileService.hasFile(path)) {
+        return this._fileService.getFile(path);
+      }
+
+      try {
+        var node = await this._findFileNode(path);
+        return node ? await this._fileService.readFile(node) : null;
+      } catch (err) {
+        console.error('Failed to read file:', err);
+        return null;
+      }
+    }
+
     // ============================================
     // Public Methods - Tab Management
     // ============================================
@@ -290,6 +323,17 @@
       return this._openTabs.some(function(t) { return t.path === path; });
     }
 
+    /**
+     * Get the open tabs of a file, or of the files inside a directory
+     * @param {string} path - File or directory path
+     * @returns {Tab[]}
+     */
+    getTabsAt(path) {
+      return this._openTabs.filter(function(tab) {
+        return tab.path === path || tab.path.indexOf(path + '/') === 0;
+      });
+    }
+
     /**
      * Get open tab count
      * @returns {number}
@@ -373,6 +417,130 @@
       });
     }
 
+    // ============================================
+    // Public Methods - Session
+    // ============================================
+
+    /**
+     * Save the session so it can be restored after a reload
+     * @param {Object} layout - Panes and their tabs, from SplitContainer#getLayout
+     * @returns {Promise<void>}
+     */
+    async saveSession(layout) {
+      // Where each tab is in the layout, to find the workspace's tabs again
+      var locations = new Map();
+      var panes = layout.panes.map(function(pane, paneIndex) {
+        return {
+          tabs: pane.tabs.map(function(tab, tabIndex) {
+            locations.set(tab, { pane: paneIndex, tab: tabIndex });
+            return tab.serialize();
+          }),
+          activeTab: pane.activeTab,
+        };
+      });
+
+      var openTabs = this._openTabs.filter(function(tab) { return locations.has(tab); });
+
+      await this._sessionStore.save({
+        version: SESSION_VERSION,
+        folder: this._fileService.getDirectoryHandle(),
+        layout: {
+          direction: layout.direction,
+          sizes: layout.sizes,
+          activePane: layout.activePane,
+          panes: panes,
+        },
+        openTabs: openTabs.map(function(tab) { return locations.get(tab); }),
+        activeTab: openTabs.indexOf(this.getActiveTab()),
+        savedAt: Date.now(),
+      });
+    }
+
+    /**
+     * Restore the saved session: reopen its folder and recreate its tabs.
+     * When the folder needs permission the user has not given yet, the
+     * session is kept pending; call again with requestPermission from a
+     * click to ask for it.
+     * @param {boolean} requestPermission - Ask for folder permission if needed
+     * @returns {Promise<Object|null>} {root, layout} with Tabs in place of saved
+     *   tabs, or null if there was nothing to restore or permission is missing
+     */
+    async restoreSession(requestPermission) {
+      var self = this;
+      var session = this._pendingSession || await this._sessionStore.load();
+      if (!session || session.version !== SESSION_VERSION) return null;
+
+      var root = null;
+      if (session.folder) {
+        root = await this._fileService.reopenFolder(session.folder, requestPermission);
+        if (!root) {
+          this._pendingSession = session;
+          return null;
+        }
+        this.setRootFolder(root);
+      }
+      this._pendingSession = null;
+
+      var panes = [];
+      for (var i = 0; i < session.layout.panes.length; i++) {
+        var paneData = session.layout.panes[i];
+        var tabs = [];
+        for (var j = 0; j < paneData.tabs.length; j++) {
+          tabs.push(await this._restoreTab(paneData.tabs[j]));
+        }
+        panes.push({ tabs: tabs, activeTab: paneData.activeTab });
+      }
+
+      // Tabs of the workspace; split copies live only in their pane
+      session.openTabs.forEach(function(location, index) {
+        var tab = panes[location.pane] ? panes[location.pane].tabs[location.tab] : null;
+        if (!tab) return;
+        if (index === session.activeTab) {
+          self._activeTabIndex = self._openTabs.length;
+        }
+        self._openTabs.push(tab);
+      });
+
+      // Drop tabs whose file is gone, keeping each pane's active tab if it was restored
+      panes = panes.map(function(pane) {
+        var active = pane.tabs[pane.activeTab];
+        var restored = pane.tabs.filter(function(tab) { return tab !== null; });
+        return { tabs: restored, activeTab: Math.max(0, restored.indexOf(active)) };
+      });
+
+      var layout = {
+        direction: session.layout.direction,
+        sizes: session.layout.sizes,
+        activePane: session.layout.activePane,
+        panes: panes,
+      };
+      this._emit('sessionRestored', { root: root, layout: layout });
+      return { root: root, layout: layout };
+    }
+
+    /**
+     * Check if a restored session is waiting for folder permission
+     * @returns {boolean}
+     */
+    hasPendingSession() {
+      return this._pendingSession !== null;
+    }
+
+    /**
+     * Get the name of the folder a pending session needs permission for
+     * @returns {string|null}
+     */
+    getPendingFolderName() {
+      return this._pendingSession && this._pendingSession.folder ? this._pendingSession.folder.name : null;
+    }
+
+    /**
+     * Give up on restoring the pending session (another folder was opened)
+     */
+    discardPendingSession() {
+      this._pendingSession = null;
+    }
+
     // ============================================
     // Event System
     // ============================================
@@ -427,6 +595,95 @@
           self._emit('tabSaved', { tab: tab });
         }
       });
+
+      // Tabs follow their file when it or a folder above it is renamed or moved
+      this._fileService.on('entryRenamed', function(data) {
+        self.getTabsAt(data.oldPath).forEach(function(tab) {
+          var oldPath = tab.path;
+          var newPath = data.newPath + oldPath.slice(data.oldPath.length);
+          var fileData = self._fileService.getFile(newPath);
+          tab.rename(newPath, fileData ? fileData.handle : null);
+          self._emit('tabRenamed', { tab: tab, oldPath: oldPath });
+        });
+      });
+
+      // Tabs of deleted files are closed, unsaved changes included
+      this._fileService.on('entryDeleted', function(data) {
+        self.getTabsAt(data.path).forEach(function(tab) {
+          self.forceCloseTabById(tab.id);
+        });
+      });
+    }
+
+
+    /**
+     * Recreate a saved tab. Unsaved edits and undo history are restored
+     * onto the file as it is on disk; a clean tab whose file changed since
+     * shows the new content without its history, which no longer applies.
+     * @param {Object} data - Serialized tab
+     * @returns {Promise<Tab|null>} Tab or null if it cannot be restored
+     */
+    async _restoreTab(data) {
+      var fileData = await this.readFileAtPath(data.path);
+
+      if (data.type === 'image') {
+        if (!fileData) return null;
+        return new Tab({
+          path: data.path,
+          content: fileData.content,
+          handle: fileData.handle,
+          isPinned: data.isPinned,
+          isPreview: data.isPreview,
+        });
+      }
+
+      if (!fileData) {
+        // Keep the buffer of a file that can no longer be read
+        var original = data.originalContent !== undefined ? data.originalContent : data.content;
+        fileData = this._fileService.createVirtualFile(data.path, original);
+      }
+
+      if (data.originalContent === undefined && data.content !== fileData.content) {
+        data = {
+          path: data.path,
+          type: data.type,
+          language: data.language,
+          isPinned: data.isPinned,
+          isPreview: data.isPreview,
+          content: fileData.content,
+          scrollPosition: data.scrollPosition,
+        };
+      } else {
+        data = Object.assign({}, data, { originalContent: fileData.content });
+      }
+
+      var tab = Tab.deserialize(data, fileData.handle);
+      if (tab.isDirty) {
+        // Saving writes the cached content
+        this._fileService.updateFileContent(tab.path, tab.content);
+      }
+      return tab;
+    }
+
+    /**
+     * Find a file's node, loading the directories on its path
+     * @param {string} path - File path
+     * @returns {Promise<FileNode|null>}
+     */
+    async _findFileNode(path) {
+      var node = this._rootNode;
+      if (!node || path.indexOf(node.path + '/') !== 0) return null;
+
+      var names = path.slice(node.path.length + 1).split('/');
+      for (var i = 0; i < names.length && node; i++) {
+        if (node.type !== 'directory') return null;
+        if (!node.loaded) {
+          await this._fileService.loadDirectoryContents(node);
+        }
+        node = node.children.find(function(child) { return child.name === names[i]; }) || null;
+      }
+
+      return node && node.type === 'file' ? node : null;
     }
 
     /**
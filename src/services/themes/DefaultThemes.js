@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Color themes that come with the editor
+ *
+ * Written in the format of VS Code color themes: UI colors by the names
+ * VS Code gives them, and token colors as TextMate rules. The scopes are
+ * the editor's own token types, e.g. 'keyword.control' or 'number.hex'.
+ * Dark+ and Light+ give the colors of the stylesheets; the high contrast
+ * themes are for low vision.
+ */
+
+(function(CodeEditor) {
+  'use strict';
+
+  // ============================================
+  // Dark+
+  // ============================================
+
+  var DARK = {
+    id: 'dark',
+    name: 'Dark+',
+    type: 'dark',
+    colors: {
+      'foreground': '#d4d4d4',
+      'focusBorder': '#007acc',
+      'sideBar.border': '#3e3e42',
+      'editor.background': '#1e1e1e',
+      'editor.foreground': '#d4d4d4',
+      'editorGutter.background': '#1e1e1e',
+      'editorLineNumber.foreground': '#858585',
+      'editorCursor.foreground': '#aeafad',
+      'editor.selectionBackground': '#264f7899',
+      'editor.lineHighlightBackground': '#ffffff0d',
+      'editorGroup.border': '#333333',
+      'editorIndentGuide.background1': '#ffd7004d',
+      'editorIndentGuide.background2': '#e91e634d',
+      'editorIndentGuide.background3': '#9c27b04d',
+      'editorIndentGuide.background4': '#2196f34d',
+      'editorIndentGuide.background5': '#00bcd44d',
+      'editorIndentGuide.background6': '#4caf504d',
+      'editorHoverWidget.background': '#252526',
+      'editorHoverWidget.border': '#454545',
+      'editorHoverWidget.foreground': '#cccccc',
+      'editorHoverWidget.highlightForeground': '#18a3ff',
+      'textCodeBlock.background': '#1e1e1e',
+      'textPreformat.foreground': '#9cdcfe',
+      'editorSuggestWidget.background': '#252526',
+      'editorSuggestWidget.border': '#454545',
+      'editorSuggestWidget.selectedBackground': '#094771',
+      'activityBar.background': '#333333',
+      'activityBar.inactiveForeground': '#858585',
+      'icon.foreground': '#c5c5c5',
+      'sideBar.background': '#252526',
+      'statusBar.background': '#007acc',
+      'statusBar.foreground': '#ffffff',
+      'tab.activeBackground': '#1e1e1e',
+      'tab.inactiveBackground': '#2d2d30',
+      'tab.activeBorderTop': '#007acc',
+      'toolbar.hoverBackground': '#2a2d2e',
+      'list.activeSelectionBackground': '#094771',
+      'list.inactiveSelectionBackground': '#37373d',
+      'list.hoverBackground': '#2a2d2e',
+      'gitDecoration.modifiedResourceForeground': '#e2c08d',
+      'gitDecoration.addedResourceForeground': '#81b88b',
+      'gitDecoration.untrackedResourceForeground': '#73c991',
+    },
+    tokenColors: [
+      { scope: ['keyword', 'keyword.literal', 'keyword.important', 'tag', 'metatag'], settings: { foreground: '#569cd6' } },
+      { scope: ['keyword.control', 'at-rule', 'at-rule.keyword'], settings: { foreground: '#c586c0' } },
+      { scope: ['string', 'value'], settings: { foreground: '#ce9178' } },
+      { scope: 'string.escape', settings: { foreground: '#d7ba7d' } },
+      { scope: ['number', 'unit'], settings: { foreground: '#b5cea8' } },
+      { scope: 'comment', settings: { foreground: '#6a9955', fontStyle: 'italic' } },
+      { scope: ['operator', 'delimiter'], settings: { foreground: '#d4d4d4' } },
+      { scope: 'delimiter.tag', settings: { foreground: '#808080' } },
+      { scope: 'function', settings: { foreground: '#dcdcaa' } },
+      { scope: 'class', settings: { foreground: '#4ec9b0' } },
+      { scope: ['identifier', 'property', 'at-rule.name', 'metatag.content', 'attribute.name'], settings: { foreground: '#9cdcfe' } },
+      { scope: 'attribute.value', settings: { foreground: '#ce9178' } },
+      { scope: 'selector', settings: { foreground: '#d7ba7d' } },
+    ],
+  };
+
+  // ============================================
+  // Light+
+  // ============================================
+
+  var LIGHT = {
+    id: 'light',
+    name: 'Light+',
+    type: 'light',
+    colors: {
+      'foreground': '#333333',
+      'focusBorder': '#007acc',
+      'sideBar.border': '#e0e0e0',
+      'editor.background': '#ffffff',
+      'editor.foreground': '#333333',
+      'editorGutter.background': '#f5f5f5',
+      'editorLineNumber.foreground': '#999999',
+      'editorCursor.foreground': '#000000',
+      'editor.selectionBackground': '#add6ff99',
+      'editor.lineHighlightBackground': '#0000000a',
+      'editorGroup.border': '#e0e0e0',
+      'editorIndentGuide.background1': '#ffc10766',
+      'editorIndentGuide.background2': '#e91e6366',
+      'editorIndentGuide.background3': '#9c27b066',
+      'editorIndentGuide.background4': '#2196f366',
+      'editorIndentGuide.background5': '#00bcd466',
+      'editorIndentGuide.background6': '#4caf5066',
+      'editorHoverWidget.background': '#f3f3f3',
+      'editorHoverWidget.border': '#c8c8c8',
+      'editorHoverWidget.foreground': '#333333',
+      'editorHoverWidget.highlightForeground': '#0066bf',
+      'textCodeBlock.background': '#ffffff',
+      'textPreformat.foreground': '#001080',
+      'editorSuggestWidget.background': '#f3f3f3',
+      'editorSuggestWidget.border': '#c8c8c8',
+      'editorSuggestWidget.selectedBackground': '#d6ebff',
+      'activityBar.background': '#2c2c2c',
+      'activityBar.inactiveForeground': '#959595',
+      'icon.foreground': '#424242',
+      'sideBar.background': '#f3f3f3',
+      'statusBar.background': '#007acc',
+      'statusBar.foreground': '#ffffff',
+      'tab.activeBackground': '#ffffff',
+      'tab.inactiveBackground': '#ececec',
+      'tab.activeBorderTop': '#007acc',
+      'toolbar.hoverBackground': '#e8e8e8',
+      'list.activeSelectionBackground': '#0060c0',
+      'list.inactiveSelectionBackground': '#d4d4d4',
+      'list.hoverBackground': '#e8e8e8',
+      'gitDecoration.modifiedResourceForeground': '#895503',
+      'gitDecoration.addedResourceForeground': '#587c0c',
+      'gitDecoration.untrackedResourceForeground': '#007100',
+    },
+    tokenColors: [
+      { scope: ['keyword', 'keyword.literal', 'keyword.important'], settings: { foreground: '#0000ff' } },
+      { scope: ['keyword.control', 'at-rule', 'at-rule.keyword'], settings: { foreground: '#af00db' } },
+      { scope: 'string', settings: { foreground: '#a31515' } },
+      { scope: 'string.escape', settings: { foreground: '#ee0000' } },
+      { scope: ['number', 'unit'], settings: { foreground: '#098658' } },
+      { scope: 'comment', settings: { foreground: '#008000', fontStyle: 'italic' } },
+      { scope: ['operator', 'delimiter'], settings: { foreground: '#333333' } },
+      { scope: ['tag', 'delimiter.tag', 'metatag', 'selector'], settings: { foreground: '#800000' } },
+      { scope: 'metatag.content', settings: { foreground: '#000000' } },
+      { scope: 'function', settings: { foreground: '#795e26' } },
+      { scope: 'class', settings: { foreground: '#267f99' } },
+      { scope: 'identifier', settings: { foreground: '#001080' } },
+      { scope: ['property', 'at-rule.name', 'attribute.name'], settings: { foreground: '#ff0000' } },
+      { scope: 'attribute.value', settings: { foreground: '#0000ff' } },
+      { scope: 'value', settings: { foreground: '#0451a5' } },
+    ],
+  };
+
+  // ============================================
+  // Dark High Contrast
+  // ============================================
+
+  var HIGH_CONTRAST_DARK = {
+    id: 'hc-dark',
+    name: 'Dark High Contrast',
+    type: 'hc-dark',
+    colors: {
+      'foreground': '#ffffff',
+      'focusBorder': '#f38518',
+      'contrastBorder': '#6fc3df',
+      'editor.background': '#000000',
+      'editor.foreground': '#ffffff',
+      'editorGutter.background': '#000000',
+      'editorLineNumber.foreground': '#ffffff',
+      'editorCursor.foreground': '#ffffff',
+      'editor.selectionBackground': '#ffffff40',
+      'editor.lineHighlightBackground': '#ffffff14',
+      'editorIndentGuide.background1': '#ffd70080',
+      'editorIndentGuide.background2': '#ff69b480',
+      'editorIndentGuide.background3': '#da70d680',
+      'editorIndentGuide.background4': '#87cefa80',
+      'editorIndentGuide.background5': '#00ffff80',
+      'editorIndentGuide.background6': '#7fff0080',
+      'editorHoverWidget.background': '#0c141f',
+      'editorHoverWidget.border': '#6fc3df',
+      'editorHoverWidget.foreground': '#ffffff',
+      'editorHoverWidget.highlightForeground': '#f38518',
+      'textCodeBlock.background': '#000000',
+      'textPreformat.foreground': '#9cdcfe',
+      'editorSuggestWidget.background': '#0c141f',
+      'editorSuggestWidget.border': '#6fc3df',
+      'editorSuggestWidget.selectedBackground': '#0f4a85',
+      'activityBar.background': '#000000',
+      'activityBar.inactiveForeground': '#c0c0c0',
+      'icon.foreground': '#ffffff',
+      'sideBar.background': '#000000',
+      'statusBar.background': '#000000',
+      'statusBar.foreground': '#ffffff',
+      'tab.activeBackground': '#000000',
+      'tab.inactiveBackground': '#000000',
+      'tab.activeBorderTop': '#f38518',
+      'toolbar.hoverBackground': '#1f1f1f',
+      'list.activeSelectionBackground': '#0f4a85',
+      'list.inactiveSelectionBackground': '#262626',
+      'list.hoverBackground': '#1f1f1f',
+      'gitDecoration.modifiedResourceForeground': '#e2c08d',
+      'gitDecoration.addedResourceForeground': '#81b88b',
+      'gitDecoration.untrackedResourceForeground': '#73c991',
+    },
+    tokenColors: [
+      { scope: ['keyword', 'keyword.literal', 'keyword.important', 'tag', 'metatag'], settings: { foreground: '#569cd6' } },
+      { scope: ['keyword.control', 'at-rule', 'at-rule.keyword'], settings: { foreground: '#c586c0' } },
+      { scope: ['string', 'value', 'attribute.value'], settings: { foreground: '#ce9178' } },
+      { scope: 'string.escape', settings: { foreground: '#d7ba7d' } },
+      { scope: 'string.invalid', settings: { foreground: '#f44747', fontStyle: 'underline' } },
+      { scope: ['number', 'unit'], settings: { foreground: '#b5cea8' } },
+      { scope: 'comment', settings: { foreground: '#7ca668', fontStyle: 'italic' } },
+      { scope: ['operator', 'delimiter'], settings: { foreground: '#ffffff' } },
+      { scope: 'delimiter.tag', settings: { foreground: '#c0c0c0' } },
+      { scope: 'function', settings: { foreground: '#dcdcaa' } },
+      { scope: 'class', settings: { foreground: '#4ec9b0' } },
+      { scope: ['identifier', 'property', 'at-rule.name', 'metatag.content', 'attribute.name'], settings: { foreground: '#9cdcfe' } },
+      { scope: 'selector', settings: { foreground: '#d7ba7d' } },
+    ],
+  };
+
+  // ============================================
+  // Light High Contrast
+  // ============================================
+
+  var HIGH_CONTRAST_LIGHT = {
+    id: 'hc-light',
+    name: 'Light High Contrast',
+    type: 'hc-light',
+    colors: {
+      'foreground': '#292929',
+      'focusBorder': '#006bbd',
+      'contrastBorder': '#0f4a85',
+      'editor.background': '#ffffff',
+      'editor.foreground': '#292929',
+      'editorGutter.background': '#ffffff',
+      'editorLineNumber.foreground': '#292929',
+      'editorCursor.foreground': '#0f4a85',
+      'editor.selectionBackground': '#0f4a8533',
+      'editor.lineHighlightBackground': '#0f4a850d',
+      'editorIndentGuide.background1': '#b8860b99',
+      'editorIndentGuide.background2': '#c2185b99',
+      'editorIndentGuide.background3': '#7b1fa299',
+      'editorIndentGuide.background4': '#1565c099',
+      'editorIndentGuide.background5': '#00838f99',
+      'editorIndentGuide.background6': '#2e7d3299',
+      'editorHoverWidget.background': '#ffffff',
+      'editorHoverWidget.border': '#0f4a85',
+      'editorHoverWidget.foreground': '#292929',
+      'editorHoverWidget.highlightForeground': '#0f4a85',
+      'textCodeBlock.background': '#f2f2f2',
+      'textPreformat.foreground': '#0f4a85',
+      'editorSuggestWidget.background': '#ffffff',
+      'editorSuggestWidget.border': '#0f4a85',
+      'editorSuggestWidget.selectedBackground': '#0f4a8533',
+      'activityBar.background': '#ffffff',
+      'activityBar.inactiveForeground': '#5a5a5a',
+      'icon.foreground': '#292929',
+      'sideBar.background': '#ffffff',
+      'statusBar.background': '#ffffff',
+      'statusBar.foreground': '#292929',
+      'tab.activeBackground': '#ffffff',
+      'tab.inactiveBackground': '#ffffff',
+      'tab.activeBorderTop': '#b5200d',
+      'toolbar.hoverBackground': '#0f4a851a',
+      'list.activeSelectionBackground': '#0f4a8533',
+      'list.inactiveSelectionBackground': '#0f4a8526',
+      'list.hoverBackground': '#0f4a851a',
+      'gitDecoration.modifiedResourceForeground': '#895503',
+      'gitDecoration.addedResourceForeground': '#374e06',
+      'gitDecoration.untrackedResourceForeground': '#007100',
+    },
+    tokenColors: [
+      { scope: ['keyword', 'keyword.literal', 'keyword.important', 'tag', 'delimiter.tag', 'metatag', 'selector'], settings: { foreground: '#0f4a85' } },
+      { scope: ['keyword.control', 'at-rule', 'at-rule.keyword'], settings: { foreground: '#b5200d' } },
+      { scope: ['string', 'attribute.value'], settings: { foreground: '#a31515' } },
+      { scope: 'string.escape', settings: { foreground: '#ee0000' } },
+      { scope: 'string.invalid', settings: { foreground: '#b5200d', fontStyle: 'underline' } },
+      { scope: ['number', 'unit'], settings: { foreground: '#096d48' } },
+      { scope: 'comment', settings: { foreground: '#515151', fontStyle: 'italic' } },
+      { scope: ['operator', 'delimiter', 'metatag.content'], settings: { foreground: '#292929' } },
+      { scope: 'function', settings: { foreground: '#5e2cbc' } },
+      { scope: 'class', settings: { foreground: '#185e73' } },
+      { scope: 'identifier', settings: { foreground: '#001080' } },
+      { scope: ['property', 'at-rule.name', 'attribute.name'], settings: { foreground: '#264f78' } },
+      { scope: 'value', settings: { foreground: '#0451a5' } },
+    ],
+  };
+
+  // ============================================
+  // Export
+  // ============================================
+
+  CodeEditor.DefaultThemes = [DARK, LIGHT, HIGH_CONTRAST_DARK, HIGH_CONTRAST_LIGHT];
+
+})(window.CodeEditor = window.CodeEditor || {});
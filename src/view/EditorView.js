@@ -8,6 +8,7 @@
   // Dependencies from namespace
   var Tokenizer = CodeEditor.Tokenizer;
   var TokenizerState = CodeEditor.TokenizerState;
+  var Selection = CodeEditor.Selection;
 
   // ============================================
   // Constants
@@ -22,12 +23,67 @@
     language: 'javascript',
   };
 
+  // Lines rendered above and below the visible area
+  var VIEWPORT_BUFFER_LINES = 10;
+
+  // Width from the left of a gutter line where a click opens its change marker
+  var CHANGE_MARKER_HIT_WIDTH = 8;
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  function compareRanges(a, b) {
+    return a.startLine - b.startLine || b.endLine - a.endLine;
+  }
+
+  function copyRange(range) {
+    return { startLine: range.startLine, endLine: range.endLine };
+  }
+
+  function sameRanges(a, b) {
+    if (a.length !== b.length) return false;
+    for (var i = 0; i < a.length; i++) {
+      if (a[i].startLine !== b[i].startLine || a[i].endLine !== b[i].endLine) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Move a line range after an edit of the lines changeStart..changeEnd
+   * @param {{startLine: number, endLine: number}} range
+   * @param {number} changeStart - First edited line
+   * @param {number} changeEnd - Last edited line, before the edit
+   * @param {number} lineDelta - Lines added by the edit (negative when removed)
+   * @returns {{startLine: number, endLine: number} | null} Null when the edit breaks the range
+   */
+  function shiftRange(range, changeStart, changeEnd, lineDelta) {
+    if (changeEnd < range.startLine) {
+      return { startLine: range.startLine + lineDelta, endLine: range.endLine + lineDelta };
+    }
+    if (changeStart > range.endLine) {
+      return range;
+    }
+    if (changeStart === range.startLine && changeEnd === range.startLine && lineDelta === 0) {
+      return range;
+    }
+    if (changeStart > range.startLine && changeEnd < range.endLine) {
+      return { startLine: range.startLine, endLine: range.endLine + lineDelta };
+    }
+    return null;
+  }
+
   // ============================================
   // Class Definition
   // ============================================
 
   /**
    * Handles rendering of the editor content, cursor, and selection.
+   * Only lines inside the viewport (plus a buffer) have DOM elements; spacers
+   * above and below keep the scroll height of the full document, and line
+   * elements leaving the viewport are recycled for lines entering it.
+   * Folded lines take no rows: positions on screen go through rows of
+   * shown lines rather than line indices.
    */
   class EditorView {
     // ----------------------------------------
@@ -48,6 +104,7 @@
     _cursorElements = []; // Array of cursor elements
     _selectionElement = null;
     _compositionElement = null;
+    _markerElement = null; // Squiggles of diagnostic markers
 
     // Metrics cache
     _charWidth = 0;
@@ -60,9 +117,33 @@
     _backgroundQueue = []; // Lines waiting to be tokenized in background
 
     // Incremental rendering state
-    _currentLineCount = 0; // Track line count for incremental updates
     _pendingChange = null; // Store change info for incremental render
 
+    // Virtual viewport state
+    _topSpacer = null;
+    _bottomSpacer = null;
+    _gutterTopSpacer = null;
+    _gutterBottomSpacer = null;
+    _lineElements = new Map(); // Rendered line elements by line index
+    _linePool = []; // Detached line elements ready for reuse
+    _viewportStart = 0;
+    _viewportEnd = -1;
+    _scrollRafId = null;
+    _resizeObserver = null;
+    _listeners = new Map();
+
+    // Diagnostic markers
+    _markers = []; // Sorted by start offset
+    _markerLines = new Map(); // Most severe marker per line index, for the gutter
+
+    // Line index -> 'added', 'modified' or 'deleted' (lines removed below it), for the gutter
+    _lineChanges = new Map();
+
+    // Folding
+    _foldingRanges = []; // Foldable line ranges, sorted by start line
+    _folds = []; // Collapsed ranges, sorted by start line; the lines after the start are hidden
+    _hiddenRanges = []; // Merged runs of hidden lines, sorted
+
     // ----------------------------------------
     // Constructor
     // ----------------------------------------
@@ -118,10 +199,25 @@
       this._compositionElement = document.createElement('div');
       this._compositionElement.className = 'ec-composition-layer';
 
+      // Marker layer (squiggles drawn over the text)
+      this._markerElement = document.createElement('div');
+      this._markerElement.className = 'ec-marker-layer';
+
       // Lines container
       this._linesElement = document.createElement('div');
       this._linesElement.className = 'ec-lines';
 
+      // Spacers standing in for lines outside the viewport
+      this._topSpacer = this._createSpacer('ec-spacer-top');
+      this._bottomSpacer = this._createSpacer('ec-spacer-bottom');
+      this._linesElement.appendChild(this._topSpacer);
+      this._linesElement.appendChild(this._bottomSpacer);
+
+      this._gutterTopSpacer = this._createSpacer('ec-spacer-top');
+      this._gutterBottomSpacer = this._createSpacer('ec-spacer-bottom');
+      this._gutterElement.appendChild(this._gutterTopSpacer);
+      this._gutterElement.appendChild(this._gutterBottomSpacer);
+
       // Cursor container for multiple cursors
       this._cursorContainer = document.createElement('div');
       this._cursorContainer.className = 'ec-cursor-container';
@@ -130,6 +226,7 @@
       this._contentElement.appendChild(this._selectionElement);
       this._contentElement.appendChild(this._compositionElement);
       this._contentElement.appendChild(this._linesElement);
+      this._contentElement.appendChild(this._markerElement);
       this._contentElement.appendChild(this._cursorContainer);
 
       this._wrapper.appendChild(this._gutterElement);
@@ -142,16 +239,24 @@
       this._applyStyles();
     }
 
+    _createSpacer(className) {
+      var spacer = document.createElement('div');
+      spacer.className = className;
+      spacer.style.height = '0px';
+      return spacer;
+    }
+
     _applyStyles() {
       var fontSize = this._options.fontSize;
       var fontFamily = this._options.fontFamily;
       var lineHeight = this._options.lineHeight;
       var padding = this._options.padding;
 
-      this._container.style.cssText =
-        'font-size: ' + fontSize + 'px; ' +
-        'font-family: ' + fontFamily + '; ' +
-        'line-height: ' + lineHeight + 'px;';
+      // Set one by one so that a redraw with new options keeps other styles
+      this._container.style.fontSize = fontSize + 'px';
+      this._container.style.fontFamily = fontFamily;
+      this._container.style.lineHeight = lineHeight + 'px';
+      this._container.style.tabSize = String(this._options.tabSize);
 
       this._contentElement.style.padding = padding + 'px';
       this._gutterElement.style.padding = padding + 'px 0';
@@ -183,6 +288,7 @@
         'position: absolute; ' +
         'visibility: hidden; ' +
         'white-space: pre; ' +
+        'tab-size: ' + this._options.tabSize + '; ' +
         'font-size: ' + this._options.fontSize + 'px; ' +
         'font-family: ' + this._options.fontFamily + ';';
       document.body.appendChild(this._measureElement);
@@ -216,12 +322,19 @@
         // Invalidate tokenizer cache
         self._tokenizer.invalidateFrom(change.startLine);
 
+        // Keep markers on the text they were reported for until replaced
+        self._shiftMarkers(change);
+
+        // Keep folds on the lines they were made on; folds the edit touched open
+        self._shiftFolds(change);
+
         // Store change for incremental render
         self._pendingChange = change;
 
         // Use incremental render instead of full re-render
         self._renderIncremental(change);
         self._renderGutter();
+        self._renderMarkers();
         self._renderCursor();
         self._renderSelection();
 
@@ -230,6 +343,7 @@
 
       // Re-render cursor/selection on selection change
       this._editor.on('selectionChange', function() {
+        self._revealSelections();
         self._renderCursor();
         self._renderSelection();
       });
@@ -262,10 +376,37 @@
         }
       });
 
-      // Keep gutter fixed during horizontal scroll
+      // Fold and unfold from the chevrons in the gutter
+      this._gutterElement.addEventListener('mousedown', function(e) {
+        // Change markers take the left edge of the gutter
+        var changeEl = e.target.closest ? e.target.closest('.ec-gutter-change') : null;
+        if (changeEl && e.clientX - changeEl.getBoundingClientRect().left < CHANGE_MARKER_HIT_WIDTH) {
+          e.preventDefault();
+          self._emit('lineChangeClick', { line: Number(changeEl.dataset.lineIndex) });
+          return;
+        }
+
+        var lineEl = e.target.closest ? e.target.closest('.ec-gutter-foldable') : null;
+        if (!lineEl) return;
+
+        e.preventDefault();
+        self.toggleFold(Number(lineEl.dataset.lineIndex));
+      });
+
+      // Keep gutter fixed during horizontal scroll, update viewport on vertical scroll
       this._scrollContainer.addEventListener('scroll', function() {
         self._gutterElement.style.transform = 'translateX(' + self._scrollContainer.scrollLeft + 'px)';
+        self._scheduleViewportUpdate();
+        self._emit('scroll', self.getScrollPosition());
       });
+
+      // Viewport height changes with layout (split panes, window resize)
+      if (typeof ResizeObserver !== 'undefined') {
+        this._resizeObserver = new ResizeObserver(function() {
+          self._scheduleViewportUpdate();
+        });
+        this._resizeObserver.observe(this._scrollContainer);
+      }
     }
 
     // ----------------------------------------
@@ -275,6 +416,7 @@
     _render() {
       this._renderLines();
       this._renderGutter();
+      this._renderMarkers();
       this._renderCursor();
       this._renderSelection();
     }
@@ -283,36 +425,21 @@
      * Full render - used for initial load and language change
      */
     _renderLines() {
-      var doc = this._editor._document;
-      var lines = doc.getLines();
-      var totalLines = lines.length;
-
-      // Clear and create all line elements
-      this._linesElement.innerHTML = '';
-
-      // Create all line elements
-      for (var i = 0; i < totalLines; i++) {
-        var lineEl = document.createElement('div');
-        lineEl.className = 'ec-line';
-        lineEl.dataset.lineIndex = i;
-        lineEl.innerHTML = '<span>\u00A0</span>';
-        this._linesElement.appendChild(lineEl);
-      }
-
-      // Track current line count
-      this._currentLineCount = totalLines;
+      var self = this;
+      var totalLines = this._editor._document.getLineCount();
 
-      // Get visible range with buffer
-      var visibleRange = this._getVisibleLineRange();
-      var startLine = visibleRange.startLine;
-      var endLine = visibleRange.endLine;
+      // Drop all rendered lines so the viewport pass re-renders them
+      this._lineElements.forEach(function(lineEl) {
+        self._recycleLineElement(lineEl);
+      });
+      this._lineElements.clear();
 
-      // Phase 1: Synchronously tokenize visible lines (priority)
-      this._tokenizeAndRenderRange(0, endLine, lines);
+      // Phase 1: Synchronously tokenize and render visible lines (priority)
+      this._renderViewport();
 
       // Phase 2: Schedule background tokenization for remaining lines
-      if (endLine < totalLines - 1) {
-        this._scheduleBackgroundTokenization(endLine + 1, totalLines - 1, lines);
+      if (this._viewportEnd < totalLines - 1) {
+        this._scheduleBackgroundTokenization(this._viewportEnd + 1, totalLines - 1);
       }
     }
 
@@ -321,52 +448,29 @@
      * @param {Object} change - Change info from document
      */
     _renderIncremental(change) {
-      var doc = this._editor._document;
-      var lines = doc.getLines();
-      var newLineCount = lines.length;
-      var oldLineCount = this._currentLineCount;
+      var self = this;
+      var newLineCount = this._editor._document.getLineCount();
 
       // Calculate line delta from the change
       var deletedLines = change.deletedText.split('\n').length - 1;
       var insertedLines = change.insertedText.split('\n').length - 1;
       var lineDelta = insertedLines - deletedLines;
 
-      // Handle line count changes
-      if (lineDelta > 0) {
-        // Lines were added - insert new DOM elements
-        var insertPoint = change.startLine + 1;
-        var referenceNode = this._linesElement.children[insertPoint] || null;
-
-        for (var i = 0; i < lineDelta; i++) {
-          var lineEl = document.createElement('div');
-          lineEl.className = 'ec-line';
-          lineEl.innerHTML = '<span>\u00A0</span>';
-          this._linesElement.insertBefore(lineEl, referenceNode);
-        }
-      } else if (lineDelta < 0) {
-        // Lines were removed - remove DOM elements
-        var removeCount = Math.abs(lineDelta);
-        var removeStart = change.startLine + 1;
-
-        for (var j = 0; j < removeCount; j++) {
-          var lineEl = this._linesElement.children[removeStart];
-          if (lineEl) {
-            lineEl.remove();
-          }
-        }
-      }
-
-      // Update line indices for all lines after the change
+      // Shift rendered lines after the change; lines that were deleted are recycled
       if (lineDelta !== 0) {
-        var startUpdate = change.startLine;
-        for (var k = startUpdate; k < this._linesElement.children.length; k++) {
-          this._linesElement.children[k].dataset.lineIndex = k;
-        }
+        var shifted = new Map();
+        this._lineElements.forEach(function(lineEl, index) {
+          if (index <= change.startLine) {
+            shifted.set(index, lineEl);
+          } else if (index > change.startLine + deletedLines) {
+            shifted.set(index + lineDelta, lineEl);
+          } else {
+            self._recycleLineElement(lineEl);
+          }
+        });
+        this._lineElements = shifted;
       }
 
-      // Update current line count
-      this._currentLineCount = newLineCount;
-
       // Determine which lines need re-tokenization
       // At minimum, re-tokenize the changed line and any new lines
       var affectedStart = change.startLine;
@@ -375,47 +479,131 @@
         newLineCount - 1
       );
 
-      // Re-tokenize affected lines
-      this._tokenizeAndRenderRange(affectedStart, affectedEnd, lines);
+      // Affected lines are dropped and re-rendered by the viewport pass
+      for (var i = affectedStart; i <= affectedEnd; i++) {
+        var lineEl = this._lineElements.get(i);
+        if (lineEl) {
+          this._recycleLineElement(lineEl);
+          this._lineElements.delete(i);
+        }
+      }
+
+      this._renderViewport();
 
       // For multi-line changes, schedule background tokenization for lines after
       // (in case state changed and affects subsequent lines)
       if (affectedEnd < newLineCount - 1) {
-        this._scheduleBackgroundTokenization(affectedEnd + 1, newLineCount - 1, lines);
+        this._scheduleBackgroundTokenization(affectedEnd + 1, newLineCount - 1);
       }
     }
 
     /**
-     * Tokenize and render a range of lines synchronously
-     * @param {number} fromLine - Start line (inclusive)
-     * @param {number} toLine - End line (inclusive)
-     * @param {string[]} lines - All document lines
+     * Sync line elements with the current viewport.
+     * Lines already rendered keep their DOM; lines leaving the viewport are
+     * recycled and lines entering it are tokenized and rendered.
      */
-    _tokenizeAndRenderRange(fromLine, toLine, lines) {
-      var tokenizer = this._tokenizer;
-
-      // Get starting state for the range
-      var state = this._getStateForLine(fromLine, lines);
+    _renderViewport() {
+      var self = this;
+      var doc = this._editor._document;
+      var totalLines = doc.getLineCount();
+      var range = this._getVisibleLineRange();
+      var startLine = range.startLine;
+      var endLine = range.endLine;
+
+      // Recycle lines outside the new range, past the end of the document or folded away
+      this._lineElements.forEach(function(lineEl, index) {
+        if (index < startLine || index > endLine || self.isLineHidden(index)) {
+          self._recycleLineElement(lineEl);
+          self._lineElements.delete(index);
+        }
+      });
 
-      for (var i = fromLine; i <= toLine; i++) {
-        var lineText = lines[i];
-        var lineEl = this._linesElement.children[i];
+      // Build the visible run in document order
+      var fragment = document.createDocumentFragment();
+      for (var i = startLine; i <= endLine; i++) {
+        var hidden = this.getHiddenLineRange(i);
+        if (hidden) {
+          i = hidden.endLine;
+          continue;
+        }
 
-        if (!lineEl) continue;
+        var lineEl = this._lineElements.get(i);
+        if (!lineEl) {
+          lineEl = this._linePool.pop() || this._createLineElement();
+          this._lineElements.set(i, lineEl);
+          this._tokenizeAndRenderLine(i, lineEl);
+        }
+        lineEl.dataset.lineIndex = i;
+        lineEl.classList.toggle('ec-line-folded', this._isFoldStart(i));
+        fragment.appendChild(lineEl);
+      }
+      this._linesElement.insertBefore(fragment, this._bottomSpacer);
 
-        // Tokenize the line
-        var result = tokenizer.getLineTokens(i, lineText, state);
-        var tokens = result.tokens;
+      var rowCount = totalLines - this._getHiddenLineCount();
+      this._topSpacer.style.height = (this._lineToRow(startLine) * this._lineHeight) + 'px';
+      this._bottomSpacer.style.height = (Math.max(0, rowCount - 1 - this._lineToRow(endLine)) * this._lineHeight) + 'px';
 
-        // Cache the end state for this line
-        this._lineStates.set(i, result.endState);
-        state = result.endState;
+      var changed = startLine !== this._viewportStart || endLine !== this._viewportEnd;
+      this._viewportStart = startLine;
+      this._viewportEnd = endLine;
 
-        // Render tokens to DOM
-        this._renderLineTokens(lineEl, tokens, lineText);
+      if (changed) {
+        this._emit('viewportChange', { startLine: startLine, endLine: endLine });
       }
     }
 
+    /**
+     * Debounce viewport updates from scroll/resize with requestAnimationFrame
+     */
+    _scheduleViewportUpdate() {
+      var self = this;
+
+      if (this._scrollRafId) return;
+
+      this._scrollRafId = requestAnimationFrame(function() {
+        self._scrollRafId = null;
+        if (!self._tokenizer) return;
+
+        var range = self._getVisibleLineRange();
+        if (range.startLine === self._viewportStart && range.endLine === self._viewportEnd) {
+          return;
+        }
+
+        self._renderViewport();
+        self._renderGutter();
+        self._renderMarkers();
+        self._renderSelection();
+      });
+    }
+
+    _createLineElement() {
+      var lineEl = document.createElement('div');
+      lineEl.className = 'ec-line';
+      lineEl.innerHTML = '<span>\u00A0</span>';
+      return lineEl;
+    }
+
+    _recycleLineElement(lineEl) {
+      lineEl.remove();
+      this._linePool.push(lineEl);
+    }
+
+    /**
+     * Tokenize a single line and render it into its element
+     * @param {number} lineIndex - Line index
+     * @param {HTMLElement} lineEl - The line DOM element
+     */
+    _tokenizeAndRenderLine(lineIndex, lineEl) {
+      var lineText = this._editor._document.getLine(lineIndex);
+      var state = this._getStateForLine(lineIndex);
+      var result = this._tokenizer.getLineTokens(lineIndex, lineText, state);
+
+      // Cache the end state for this line
+      this._lineStates.set(lineIndex, result.endState);
+
+      this._renderLineTokens(lineEl, result.tokens, lineText);
+    }
+
     /**
      * Render tokens to a line element
      * @param {HTMLElement} lineEl - The line DOM element
@@ -442,32 +630,34 @@
     }
 
     /**
-     * Get the visible line range based on scroll position
+     * Get the line range to render: visible lines plus a buffer on each side
      * @returns {{ startLine: number, endLine: number }}
      */
     _getVisibleLineRange() {
-      var scrollTop = this._wrapper.scrollTop;
-      var viewportHeight = this._wrapper.clientHeight;
-      var totalLines = this._editor.document.getLineCount();
-
-      // Calculate visible lines
-      var startLine = Math.max(0, Math.floor(scrollTop / this._lineHeight) - 5); // 5 line buffer above
-      var endLine = Math.min(
-        totalLines - 1,
-        Math.ceil((scrollTop + viewportHeight) / this._lineHeight) + 5 // 5 line buffer below
+      var scrollTop = Math.max(0, this._scrollContainer.scrollTop - this._options.padding);
+      // Hidden or not-yet-laid-out editors report 0; fall back to the window height
+      var viewportHeight = this._scrollContainer.clientHeight || window.innerHeight;
+      var rowCount = this._editor.document.getLineCount() - this._getHiddenLineCount();
+
+      // Rows count visible lines only; folded lines take no space
+      var startRow = Math.max(0, Math.floor(scrollTop / this._lineHeight) - VIEWPORT_BUFFER_LINES);
+      var endRow = Math.min(
+        rowCount - 1,
+        Math.ceil((scrollTop + viewportHeight) / this._lineHeight) + VIEWPORT_BUFFER_LINES
       );
 
-      return { startLine: startLine, endLine: endLine };
+      var startLine = this._rowToLine(Math.min(startRow, rowCount - 1));
+      var endLine = this._rowToLine(Math.max(startRow, endRow));
+      return { startLine: startLine, endLine: Math.max(startLine, endLine) };
     }
 
     /**
      * Get the tokenizer state for a specific line
      * Must tokenize from the beginning if state is not cached
      * @param {number} lineIndex - Target line index
-     * @param {string[]} lines - All document lines
      * @returns {TokenizerState}
      */
-    _getStateForLine(lineIndex, lines) {
+    _getStateForLine(lineIndex) {
       if (lineIndex === 0) {
         return TokenizerState.initial();
       }
@@ -488,11 +678,12 @@
       }
 
       // Tokenize from the nearest cached state (or beginning) to build up state
+      var doc = this._editor._document;
       var state = nearestLine >= 0 ? this._lineStates.get(nearestLine) : TokenizerState.initial();
       var startFrom = nearestLine >= 0 ? nearestLine + 1 : 0;
 
       for (var j = startFrom; j < lineIndex; j++) {
-        var result = this._tokenizer.getLineTokens(j, lines[j], state);
+        var result = this._tokenizer.getLineTokens(j, doc.getLine(j), state);
         this._lineStates.set(j, result.endState);
         state = result.endState;
       }
@@ -505,9 +696,8 @@
      * Uses VS Code's pattern - setTimeout is faster than requestIdleCallback
      * @param {number} fromLine - Start line
      * @param {number} toLine - End line
-     * @param {string[]} lines - All document lines
      */
-    _scheduleBackgroundTokenization(fromLine, toLine, lines) {
+    _scheduleBackgroundTokenization(fromLine, toLine) {
       this._cancelBackgroundTokenization();
 
       this._backgroundQueue = [];
@@ -516,16 +706,17 @@
       }
 
       this._isBackgroundTokenizing = true;
-      this._processBackgroundChunk(lines);
+      this._processBackgroundChunk();
     }
 
     /**
      * Process a chunk of background tokenization
-     * Uses setTimeout(0) for better performance than requestIdleCallback
-     * @param {string[]} lines - All document lines
+     * Uses setTimeout(0) for better performance than requestIdleCallback.
+     * States are computed for every line; only lines in the viewport are re-rendered.
      */
-    _processBackgroundChunk(lines) {
+    _processBackgroundChunk() {
       var self = this;
+      var doc = this._editor._document;
 
       if (!this._isBackgroundTokenizing || this._backgroundQueue.length === 0) {
         this._isBackgroundTokenizing = false;
@@ -536,21 +727,19 @@
       var chunk = this._backgroundQueue.splice(0, CHUNK_SIZE);
 
       // Get state for first line in chunk
-      var state = this._getStateForLine(chunk[0], lines);
+      var state = this._getStateForLine(chunk[0]);
       var statesConverged = false;
 
       for (var i = 0; i < chunk.length; i++) {
         var lineIndex = chunk[i];
 
-        // Check if document changed (lines array might be stale)
-        if (lineIndex >= this._linesElement.children.length) {
+        // Check if document changed (queue might be stale)
+        if (lineIndex >= doc.getLineCount()) {
           break;
         }
 
-        var lineText = lines[lineIndex];
-        var lineEl = this._linesElement.children[lineIndex];
-
-        if (!lineEl) continue;
+        var lineText = doc.getLine(lineIndex);
+        var lineEl = this._lineElements.get(lineIndex);
 
         // Tokenize the line
         var result = this._tokenizer.getLineTokens(lineIndex, lineText, state);
@@ -566,8 +755,10 @@
         this._lineStates.set(lineIndex, result.endState);
         state = result.endState;
 
-        // Render tokens to DOM
-        this._renderLineTokens(lineEl, result.tokens, lineText);
+        // Render tokens to DOM if the line is in the viewport
+        if (lineEl) {
+          this._renderLineTokens(lineEl, result.tokens, lineText);
+        }
 
         if (statesConverged) {
           // States have converged - remaining lines don't need retokenization
@@ -579,7 +770,7 @@
       // Schedule next chunk if there's more work
       if (this._backgroundQueue.length > 0 && !statesConverged) {
         this._pendingTokenization = setTimeout(function() {
-          self._processBackgroundChunk(lines);
+          self._processBackgroundChunk();
         }, 0);
       } else {
         this._isBackgroundTokenizing = false;
@@ -626,24 +817,66 @@
 
     _renderGutter() {
       var totalLines = this._editor.document.getLineCount();
-      var currentGutterLines = this._gutterElement.children.length;
-
-      // Incremental update: only add/remove what's needed
-      if (totalLines > currentGutterLines) {
-        // Add new line numbers
-        for (var i = currentGutterLines; i < totalLines; i++) {
-          var lineNumEl = document.createElement('div');
-          lineNumEl.className = 'ec-gutter-line';
-          lineNumEl.textContent = String(i + 1);
-          this._gutterElement.appendChild(lineNumEl);
+      var startLine = this._viewportStart;
+      var endLine = Math.min(this._viewportEnd, totalLines - 1);
+
+      // Folded lines have no gutter line
+      var lineIndices = [];
+      for (var line = startLine; line <= endLine; line++) {
+        var hidden = this.getHiddenLineRange(line);
+        if (hidden) {
+          line = hidden.endLine;
+        } else {
+          lineIndices.push(line);
         }
-      } else if (totalLines < currentGutterLines) {
-        // Remove excess line numbers
-        while (this._gutterElement.children.length > totalLines) {
-          this._gutterElement.lastChild.remove();
+      }
+      var needed = lineIndices.length;
+
+      // Gutter lines sit between the two spacers; add/remove only what's needed
+      var gutterLines = [];
+      var node = this._gutterTopSpacer.nextSibling;
+      while (node && node !== this._gutterBottomSpacer) {
+        gutterLines.push(node);
+        node = node.nextSibling;
+      }
+
+      while (gutterLines.length < needed) {
+        var lineNumEl = document.createElement('div');
+        lineNumEl.className = 'ec-gutter-line';
+        this._gutterElement.insertBefore(lineNumEl, this._gutterBottomSpacer);
+        gutterLines.push(lineNumEl);
+      }
+      while (gutterLines.length > needed) {
+        gutterLines.pop().remove();
+      }
+
+      for (var i = 0; i < needed; i++) {
+        var lineIndex = lineIndices[i];
+        var text = String(lineIndex + 1);
+        if (gutterLines[i].textContent !== text) {
+          gutterLines[i].textContent = text;
+        }
+        gutterLines[i].dataset.lineIndex = lineIndex;
+
+        var marker = this._markerLines.get(lineIndex);
+        var className = marker ? 'ec-gutter-line ec-gutter-' + marker.severity : 'ec-gutter-line';
+        var change = this._lineChanges.get(lineIndex);
+        if (change) {
+          className += ' ec-gutter-change ec-gutter-change-' + change;
         }
+        if (this._isFoldStart(lineIndex)) {
+          className += ' ec-gutter-foldable ec-gutter-folded';
+        } else if (this._findFoldingRange(lineIndex)) {
+          className += ' ec-gutter-foldable';
+        }
+        if (gutterLines[i].className !== className) {
+          gutterLines[i].className = className;
+        }
+        gutterLines[i].title = marker ? marker.message : '';
       }
-      // If line count is the same, no DOM changes needed
+
+      this._gutterTopSpacer.style.height = this._topSpacer.style.height;
+      this._gutterBottomSpacer.style.height = this._bottomSpacer.style.height;
     }
 
     /**
@@ -670,7 +903,7 @@
         // Use actual text measurement for proper cursor positioning with variable-width chars
         var lineText = doc.getLine(pos.line);
         var textBeforeCursor = lineText.slice(0, pos.column);
-        var top = pos.line * this._lineHeight + this._options.padding;
+        var top = this.getLineTop(pos.line) + this._options.padding;
         var left = this._measureTextWidth(textBeforeCursor) + this._options.padding;
 
         // Create cursor element
@@ -713,8 +946,17 @@
         var startPos = doc.offsetToPosition(sel.start);
         var endPos = doc.offsetToPosition(sel.end);
 
-        // Render selection rectangles for each line
-        for (var line = startPos.line; line <= endPos.line; line++) {
+        // Render selection rectangles for each line in the viewport
+        var firstLine = Math.max(startPos.line, this._viewportStart);
+        var lastLine = Math.min(endPos.line, this._viewportEnd);
+
+        for (var line = firstLine; line <= lastLine; line++) {
+          var hidden = this.getHiddenLineRange(line);
+          if (hidden) {
+            line = hidden.endLine;
+            continue;
+          }
+
           var lineText = doc.getLine(line);
 
           var startCol = line === startPos.line ? startPos.column : 0;
@@ -737,7 +979,7 @@
 
           var selRect = document.createElement('div');
           selRect.className = 'ec-selection-rect';
-          selRect.style.top = (line * this._lineHeight + offset) + 'px';
+          selRect.style.top = (this.getLineTop(line) + offset) + 'px';
           selRect.style.left = (startX + offset) + 'px';
           selRect.style.width = Math.max(endX - startX + trailingWidth, 4) + 'px';
           selRect.style.height = this._lineHeight + 'px';
@@ -768,7 +1010,7 @@
         // For simplicity, handle single-line composition
         var decoration = document.createElement('div');
         decoration.className = 'ec-composition-decoration ec-' + range.underlineStyle;
-        decoration.style.top = (startPos.line * this._lineHeight + this._lineHeight - 2 + padding) + 'px';
+        decoration.style.top = (this.getLineTop(startPos.line) + this._lineHeight - 2 + padding) + 'px';
         decoration.style.left = (startX + padding) + 'px';
         decoration.style.width = Math.max(width, 4) + 'px';
 
@@ -792,7 +1034,8 @@
       var x = clientX - contentRect.left - this._options.padding;
       var y = clientY - contentRect.top - this._options.padding;
 
-      var line = Math.max(0, Math.min(Math.floor(y / this._lineHeight), this._editor.document.getLineCount() - 1));
+      var rowCount = this._editor.document.getLineCount() - this._getHiddenLineCount();
+      var line = this._rowToLine(Math.max(0, Math.min(Math.floor(y / this._lineHeight), rowCount - 1)));
 
       var lineText = this._editor.document.getLine(line);
 
@@ -858,7 +1101,7 @@
       var textBeforeCursor = lineText.slice(0, pos.column);
 
       var x = contentRect.left + this._options.padding + this._measureTextWidth(textBeforeCursor);
-      var y = contentRect.top + this._options.padding + pos.line * this._lineHeight;
+      var y = contentRect.top + this._options.padding + this.getLineTop(pos.line);
 
       return new DOMRect(x, y, this._charWidth, this._lineHeight);
     }
@@ -901,21 +1144,10 @@
       var pos = this._editor.document.offsetToPosition(primary.cursor);
 
       // Scroll padding (like VSCode) - keeps cursor away from edges
-      var verticalPadding = this._lineHeight * 3; // 3 lines padding
       var horizontalPadding = this._charWidth * 3; // 3 chars padding
 
       // Vertical scrolling
-      var cursorTop = pos.line * this._lineHeight;
-      var cursorBottom = cursorTop + this._lineHeight;
-
-      var viewTop = this._scrollContainer.scrollTop;
-      var viewBottom = viewTop + this._scrollContainer.clientHeight;
-
-      if (cursorTop < viewTop + verticalPadding) {
-        this._scrollContainer.scrollTop = Math.max(0, cursorTop - verticalPadding);
-      } else if (cursorBottom > viewBottom - verticalPadding) {
-        this._scrollContainer.scrollTop = cursorBottom - this._scrollContainer.clientHeight + verticalPadding;
-      }
+      this.revealLine(pos.line);
 
       // Horizontal scrolling (account for gutter width)
       var gutterWidth = this._gutterElement.offsetWidth;
@@ -932,6 +1164,61 @@
       }
     }
 
+    /**
+     * Scroll vertically so a line is visible, keeping 3 lines of padding.
+     * Folds hiding the line are opened.
+     * @param {number} lineIndex - 0-based line index
+     */
+    revealLine(lineIndex) {
+      this._unfoldHiddenLines([lineIndex]);
+
+      var verticalPadding = this._lineHeight * 3;
+      var lineTop = this.getLineTop(lineIndex);
+      var lineBottom = lineTop + this._lineHeight;
+
+      var viewTop = this._scrollContainer.scrollTop;
+      var viewBottom = viewTop + this._scrollContainer.clientHeight;
+
+      if (lineTop < viewTop + verticalPadding) {
+        this._scrollContainer.scrollTop = Math.max(0, lineTop - verticalPadding);
+      } else if (lineBottom > viewBottom - verticalPadding) {
+        this._scrollContainer.scrollTop = lineBottom - this._scrollContainer.clientHeight + verticalPadding;
+      }
+    }
+
+    /**
+     * Get the range of lines currently rendered (viewport plus buffer).
+     * Decoration layers should limit their work to this range and
+     * re-render on 'viewportChange'.
+     * @returns {{ startLine: number, endLine: number }}
+     */
+    getVisibleLineRange() {
+      return { startLine: this._viewportStart, endLine: this._viewportEnd };
+    }
+
+    /**
+     * Get the syntax token covering the character before an offset
+     * @param {number} offset
+     * @returns {{ type: string, value: string, start: number, end: number, line: number } | null}
+     */
+    getTokenAt(offset) {
+      if (!this._tokenizer) return null;
+
+      var doc = this._editor._document;
+      var pos = doc.offsetToPosition(offset);
+      var lineText = doc.getLine(pos.line);
+      var result = this._tokenizer.getLineTokens(pos.line, lineText, this._getStateForLine(pos.line));
+
+      for (var i = 0; i < result.tokens.length; i++) {
+        var token = result.tokens[i];
+        if (token.start < pos.column && pos.column <= token.end) {
+          return token;
+        }
+      }
+
+      return null;
+    }
+
     /**
      * Set language for syntax highlighting
      * @param {string} language - Language identifier
@@ -951,6 +1238,527 @@
       this._render();
     }
 
+    /**
+     * Redraw with new font and size options, keeping the top line in view
+     * @param {Object} options - Any of lineHeight, fontSize, fontFamily, tabSize
+     */
+    updateOptions(options) {
+      var topRow = this._lineHeight > 0
+        ? Math.max(0, this._scrollContainer.scrollTop - this._options.padding) / this._lineHeight
+        : 0;
+
+      Object.assign(this._options, options);
+      this._applyStyles();
+      if (this._measureElement) {
+        this._measureElement.remove();
+        this._measureElement = null;
+      }
+      this._measureCharacter();
+
+      this._scrollContainer.scrollTop = topRow > 0 ? topRow * this._lineHeight + this._options.padding : 0;
+      this._render();
+
+      // Lines inside the viewport moved even when its line range did not change
+      this._emit('viewportChange', { startLine: this._viewportStart, endLine: this._viewportEnd });
+    }
+
+    // ----------------------------------------
+    // Markers
+    // ----------------------------------------
+
+    /**
+     * Replace the diagnostic markers: each is drawn as a wavy underline,
+     * and its line gets an icon in the gutter
+     * @param {Array<{start: number, end: number, severity: string, message: string}>} markers -
+     *   Ranges with severity 'error' or 'warning'
+     */
+    setMarkers(markers) {
+      this._markers = (markers || []).slice().sort(function(a, b) {
+        return a.start - b.start;
+      });
+      this._updateMarkerLines();
+      this._renderGutter();
+      this._renderMarkers();
+    }
+
+    /**
+     * Replace the markers of lines changed from another version of the
+     * text, drawn at the left edge of the gutter. Clicking one emits
+     * 'lineChangeClick'.
+     * @param {Array<{startLine: number, endLine: number, type: string}>} changes - Line ranges
+     *   with exclusive ends and type 'added' or 'modified'; for type 'deleted', lines
+     *   were removed below startLine
+     */
+    setLineChanges(changes) {
+      var lineChanges = new Map();
+      (changes || []).forEach(function(change) {
+        if (change.type === 'deleted') {
+          lineChanges.set(change.startLine, 'deleted');
+          return;
+        }
+        for (var line = change.startLine; line < change.endLine; line++) {
+          lineChanges.set(line, change.type);
+        }
+      });
+      this._lineChanges = lineChanges;
+      this._renderGutter();
+    }
+
+    /**
+     * Get the current markers, moved along with the edits made since they were set
+     * @returns {Array<{start: number, end: number, severity: string, message: string}>}
+     */
+    getMarkers() {
+      return this._markers.slice();
+    }
+
+    /**
+     * Get the markers covering an offset
+     * @param {number} offset
+     * @returns {Array<{start: number, end: number, severity: string, message: string}>}
+     */
+    getMarkersAt(offset) {
+      return this._markers.filter(function(marker) {
+        return marker.start <= offset && offset <= Math.max(marker.end, marker.start + 1);
+      });
+    }
+
+    /**
+     * Move markers after an edit by its length change; markers the edit
+     * touched are dropped until the next setMarkers()
+     * @param {Object} change - Document change
+     */
+    _shiftMarkers(change) {
+      if (this._markers.length === 0) return;
+
+      var delta = change.insertedText.length - (change.endOffset - change.startOffset);
+      var shifted = [];
+
+      for (var i = 0; i < this._markers.length; i++) {
+        var marker = this._markers[i];
+        if (marker.end < change.startOffset) {
+          shifted.push(marker);
+        } else if (marker.start > change.endOffset) {
+          shifted.push(Object.assign({}, marker, { start: marker.start + delta, end: marker.end + delta }));
+        }
+      }
+
+      this._markers = shifted;
+      this._updateMarkerLines();
+    }
+
+    /**
+     * Rebuild the per-line gutter markers; errors win over warnings
+     */
+    _updateMarkerLines() {
+      var doc = this._editor._document;
+      var length = doc.getLength();
+      var lines = new Map();
+
+      for (var i = 0; i < this._markers.length; i++) {
+        var marker = this._markers[i];
+        var line = doc.offsetToPosition(Math.min(marker.start, length)).line;
+        var current = lines.get(line);
+
+        if (!current) {
+          lines.set(line, { severity: marker.severity, message: marker.message });
+        } else {
+          if (marker.severity === 'error') current.severity = 'error';
+          current.message += '\n' + marker.message;
+        }
+      }
+
+      this._markerLines = lines;
+    }
+
+    /**
+     * Draw the underlines of the markers inside the viewport
+     */
+    _renderMarkers() {
+      this._markerElement.innerHTML = '';
+      if (this._markers.length === 0) return;
+
+      var doc = this._editor._document;
+      var length = doc.getLength();
+      var padding = this._options.padding;
+
+      for (var i = 0; i < this._markers.length; i++) {
+        var marker = this._markers[i];
+        var start = Math.min(marker.start, length);
+        var startPos = doc.offsetToPosition(start);
+        if (startPos.line > this._viewportEnd) break;
+
+        var endPos = doc.offsetToPosition(Math.min(Math.max(marker.end, start), length));
+        if (endPos.line < this._viewportStart) continue;
+
+        for (var line = Math.max(startPos.line, this._viewportStart); line <= Math.min(endPos.line, this._viewportEnd); line++) {
+          var hidden = this.getHiddenLineRange(line);
+          if (hidden) {
+            line = hidden.endLine;
+            continue;
+          }
+
+          var lineText = doc.getLine(line);
+          var startCol = line === startPos.line ? startPos.column : 0;
+          var endCol = line === endPos.line ? endPos.column : lineText.length;
+
+          // Empty ranges (e.g. a missing token at the end of a line) still show one character wide
+          var width = Math.max(endCol - startCol, 1);
+
+          var squiggle = document.createElement('div');
+          squiggle.className = 'ec-marker ec-marker-' + marker.severity;
+          squiggle.style.top = (this.getLineTop(line) + padding) + 'px';
+          squiggle.style.left = (startCol * this._charWidth + padding) + 'px';
+          squiggle.style.width = (width * this._charWidth) + 'px';
+          squiggle.style.height = this._lineHeight + 'px';
+          this._markerElement.appendChild(squiggle);
+        }
+      }
+    }
+
+    // ----------------------------------------
+    // Folding
+    // ----------------------------------------
+
+    /**
+     * Replace the ranges that can be folded; each shows a chevron in the
+     * gutter on its first line. Folded ranges keep folded while a range
+     * still starts on their first line, and open otherwise.
+     * @param {Array<{startLine: number, endLine: number}>} ranges - Line ranges spanning at least two lines
+     */
+    setFoldingRanges(ranges) {
+      var byStart = new Map();
+      (ranges || []).forEach(function(range) {
+        if (range.endLine <= range.startLine) return;
+        // The outermost range wins when several start on one line
+        var current = byStart.get(range.startLine);
+        if (!current || range.endLine > current.endLine) {
+          byStart.set(range.startLine, { startLine: range.startLine, endLine: range.endLine });
+        }
+      });
+
+      this._foldingRanges = Array.from(byStart.values()).sort(compareRanges);
+
+      var folds = [];
+      for (var i = 0; i < this._folds.length; i++) {
+        var range = byStart.get(this._folds[i].startLine);
+        if (range) folds.push({ startLine: range.startLine, endLine: range.endLine });
+      }
+
+      if (!sameRanges(folds, this._folds)) {
+        this._setFolds(folds);
+      } else {
+        this._renderGutter();
+      }
+    }
+
+    /**
+     * Get the ranges that can be folded
+     * @returns {Array<{startLine: number, endLine: number}>}
+     */
+    getFoldingRanges() {
+      return this._foldingRanges.map(copyRange);
+    }
+
+    /**
+     * Get the folded ranges, outer ones before the ones inside them
+     * @returns {Array<{startLine: number, endLine: number}>}
+     */
+    getFoldedRanges() {
+      return this._folds.map(copyRange);
+    }
+
+    /**
+     * Fold the innermost open range containing a line
+     * @param {number} lineIndex - 0-based line index
+     * @returns {boolean} Whether a range was folded
+     */
+    fold(lineIndex) {
+      var range = null;
+      for (var i = 0; i < this._foldingRanges.length; i++) {
+        var candidate = this._foldingRanges[i];
+        if (candidate.startLine > lineIndex) break;
+        if (candidate.endLine >= lineIndex && !this._isFoldStart(candidate.startLine)) {
+          range = candidate;
+        }
+      }
+      if (!range) return false;
+
+      this._setFolds(this._folds.concat([copyRange(range)]));
+      return true;
+    }
+
+    /**
+     * Open the fold starting on a line, or else the innermost fold containing it
+     * @param {number} lineIndex - 0-based line index
+     * @returns {boolean} Whether a fold was opened
+     */
+    unfold(lineIndex) {
+      var fold = null;
+      for (var i = 0; i < this._folds.length; i++) {
+        var candidate = this._folds[i];
+        if (candidate.startLine > lineIndex) break;
+        if (candidate.endLine >= lineIndex) fold = candidate;
+      }
+      if (!fold) return false;
+
+      this._setFolds(this._folds.filter(function(other) {
+        return other !== fold;
+      }));
+      return true;
+    }
+
+    /**
+     * Fold or open the range starting on a line
+     * @param {number} lineIndex - 0-based line index
+     * @returns {boolean} Whether anything changed
+     */
+    toggleFold(lineIndex) {
+      if (this._isFoldStart(lineIndex)) return this.unfold(lineIndex);
+
+      var range = this._findFoldingRange(lineIndex);
+      if (!range) return false;
+
+      this._setFolds(this._folds.concat([copyRange(range)]));
+      return true;
+    }
+
+    /**
+     * Fold every range
+     */
+    foldAll() {
+      this._setFolds(this._foldingRanges.map(copyRange));
+    }
+
+    /**
+     * Open every fold
+     */
+    unfoldAll() {
+      if (this._folds.length > 0) this._setFolds([]);
+    }
+
+    /**
+     * Check if a line is hidden inside a fold
+     * @param {number} lineIndex - 0-based line index
+     * @returns {boolean}
+     */
+    isLineHidden(lineIndex) {
+      return this.getHiddenLineRange(lineIndex) !== null;
+    }
+
+    /**
+     * Get the run of hidden lines a line belongs to
+     * @param {number} lineIndex - 0-based line index
+     * @returns {{ startLine: number, endLine: number } | null} Null when the line is shown
+     */
+    getHiddenLineRange(lineIndex) {
+      for (var i = 0; i < this._hiddenRanges.length; i++) {
+        var hidden = this._hiddenRanges[i];
+        if (hidden.startLine > lineIndex) break;
+        if (hidden.endLine >= lineIndex) return copyRange(hidden);
+      }
+      return null;
+    }
+
+    /**
+     * Get the shown line a number of rows above or below a line, skipping
+     * folded lines; clamped to the first and last shown lines
+     * @param {number} lineIndex - 0-based line index
+     * @param {number} rowDelta - Rows to move, negative for up
+     * @returns {number} Line index
+     */
+    getVisibleLine(lineIndex, rowDelta) {
+      var rowCount = this._editor.document.getLineCount() - this._getHiddenLineCount();
+      var row = Math.max(0, Math.min(this._lineToRow(lineIndex) + rowDelta, rowCount - 1));
+      return this._rowToLine(row);
+    }
+
+    /**
+     * Get the top of a line relative to the first line, leaving out folded
+     * lines above it. Hidden lines report the top of their fold's first line.
+     * @param {number} lineIndex - 0-based line index
+     * @returns {number} Offset in pixels
+     */
+    getLineTop(lineIndex) {
+      return this._lineToRow(lineIndex) * this._lineHeight;
+    }
+
+    _findFoldingRange(lineIndex) {
+      for (var i = 0; i < this._foldingRanges.length; i++) {
+        if (this._foldingRanges[i].startLine === lineIndex) return this._foldingRanges[i];
+        if (this._foldingRanges[i].startLine > lineIndex) break;
+      }
+      return null;
+    }
+
+    _isFoldStart(lineIndex) {
+      for (var i = 0; i < this._folds.length; i++) {
+        if (this._folds[i].startLine === lineIndex) return true;
+        if (this._folds[i].startLine > lineIndex) break;
+      }
+      return false;
+    }
+
+    /**
+     * Replace the folds, re-render and notify listeners
+     * @param {Array<{startLine: number, endLine: number}>} folds
+     */
+    _setFolds(folds) {
+      this._folds = folds.slice().sort(compareRanges);
+      this._updateHiddenRanges();
+
+      // Cursors never stay inside a fold; they move to its first line
+      this._moveSelectionsOutOfFolds();
+
+      this._render();
+
+      // Lines inside the viewport moved even when its line range did not change
+      this._emit('viewportChange', { startLine: this._viewportStart, endLine: this._viewportEnd });
+      this._emit('foldingChange', { folds: this.getFoldedRanges() });
+    }
+
+    /**
+     * Merge the lines hidden by each fold into sorted, disjoint runs
+     */
+    _updateHiddenRanges() {
+      var hidden = [];
+
+      for (var i = 0; i < this._folds.length; i++) {
+        var fold = this._folds[i];
+        var last = hidden[hidden.length - 1];
+
+        if (last && fold.startLine + 1 <= last.endLine + 1) {
+          last.endLine = Math.max(last.endLine, fold.endLine);
+        } else {
+          hidden.push({ startLine: fold.startLine + 1, endLine: fold.endLine });
+        }
+      }
+
+      this._hiddenRanges = hidden;
+    }
+
+    _getHiddenLineCount() {
+      var count = 0;
+      for (var i = 0; i < this._hiddenRanges.length; i++) {
+        count += this._hiddenRanges[i].endLine - this._hiddenRanges[i].startLine + 1;
+      }
+      return count;
+    }
+
+    /**
+     * Map a line to its row on screen; hidden lines map to the row of their fold
+     * @param {number} lineIndex
+     * @returns {number}
+     */
+    _lineToRow(lineIndex) {
+      var row = lineIndex;
+      for (var i = 0; i < this._hiddenRanges.length; i++) {
+        var hidden = this._hiddenRanges[i];
+        if (hidden.startLine > lineIndex) break;
+        row -= Math.min(lineIndex, hidden.endLine) - hidden.startLine + 1;
+      }
+      return row;
+    }
+
+    /**
+     * Map a row on screen to the line shown on it
+     * @param {number} row
+     * @returns {number}
+     */
+    _rowToLine(row) {
+      var line = row;
+      for (var i = 0; i < this._hiddenRanges.length; i++) {
+        var hidden = this._hiddenRanges[i];
+        if (hidden.startLine > line) break;
+        line += hidden.endLine - hidden.startLine + 1;
+      }
+      return line;
+    }
+
+    /**
+     * Move folds and folding ranges after an edit. Edits above a range move
+     * it, edits inside it resize it, and edits on its first line keep it
+     * unless they add or remove lines; other edits drop it.
+     * @param {Object} change - Document change
+     */
+    _shiftFolds(change) {
+      if (this._foldingRanges.length === 0 && this._folds.length === 0) return;
+
+      var deletedLines = change.deletedText.split('\n').length - 1;
+      var insertedLines = change.insertedText.split('\n').length - 1;
+      var shift = function(ranges) {
+        var shifted = [];
+        for (var i = 0; i < ranges.length; i++) {
+          var range = shiftRange(ranges[i], change.startLine, change.startLine + deletedLines, insertedLines - deletedLines);
+          if (range) shifted.push(range);
+        }
+        return shifted;
+      };
+
+      var foldCount = this._folds.length;
+      this._foldingRanges = shift(this._foldingRanges);
+      this._folds = shift(this._folds);
+      this._updateHiddenRanges();
+
+      if (this._folds.length !== foldCount) {
+        this._emit('foldingChange', { folds: this.getFoldedRanges() });
+      }
+    }
+
+    /**
+     * Open the folds hiding any of the given lines
+     * @param {number[]} lines - Line indices
+     * @returns {boolean} Whether a fold was opened
+     */
+    _unfoldHiddenLines(lines) {
+      if (this._folds.length === 0) return false;
+
+      var folds = this._folds.filter(function(fold) {
+        return !lines.some(function(line) {
+          return line > fold.startLine && line <= fold.endLine;
+        });
+      });
+      if (folds.length === this._folds.length) return false;
+
+      this._setFolds(folds);
+      return true;
+    }
+
+    /**
+     * Open folds a selection was moved into, e.g. by search or go to definition
+     */
+    _revealSelections() {
+      if (this._folds.length === 0) return;
+
+      var doc = this._editor.document;
+      var lines = this._editor.getSelections().all.map(function(sel) {
+        return doc.offsetToPosition(sel.cursor).line;
+      });
+      this._unfoldHiddenLines(lines);
+    }
+
+    /**
+     * Move cursors hidden by new folds to the end of the fold's first line
+     */
+    _moveSelectionsOutOfFolds() {
+      var self = this;
+      var doc = this._editor.document;
+      var selections = this._editor.getSelections().all;
+      var moved = false;
+
+      var mapped = selections.map(function(sel) {
+        var hidden = self.getHiddenLineRange(doc.offsetToPosition(sel.cursor).line);
+        if (!hidden) return sel;
+
+        moved = true;
+        var line = hidden.startLine - 1;
+        var offset = doc.positionToOffset(line, doc.getLine(line).length);
+        return Selection.cursor(offset);
+      });
+
+      if (moved) this._editor.setSelections(mapped, true);
+    }
+
     // ----------------------------------------
     // Scroll Position
     // ----------------------------------------
@@ -977,6 +1785,59 @@
       if (position.left !== undefined) {
         this._scrollContainer.scrollLeft = position.left;
       }
+      this._scheduleViewportUpdate();
+    }
+
+    // ----------------------------------------
+    // Event System
+    // ----------------------------------------
+
+    /**
+     * Subscribe to a view event ('viewportChange', 'foldingChange', 'scroll', 'lineChangeClick')
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+      if (!this._listeners.has(event)) {
+        this._listeners.set(event, []);
+      }
+      this._listeners.get(event).push(callback);
+
+      return () => this.off(event, callback);
+    }
+
+    /**
+     * Unsubscribe from a view event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler to remove
+     */
+    off(event, callback) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        var index = listeners.indexOf(callback);
+        if (index !== -1) {
+          listeners.splice(index, 1);
+        }
+      }
+    }
+
+    /**
+     * @private
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    _emit(event, data) {
+      var listeners = this._listeners.get(event);
+      if (listeners) {
+        listeners.slice().forEach(function(callback) {
+          try {
+            callback(data);
+          } catch (err) {
+            console.error('Error in ' + event + ' handler:', err);
+          }
+        });
+      }
     }
 
     // ----------------------------------------
@@ -1007,8 +1868,20 @@
       // Cancel any pending background tokenization
       this._cancelBackgroundTokenization();
 
-      // Clear cached states
+      if (this._scrollRafId) {
+        cancelAnimationFrame(this._scrollRafId);
+        this._scrollRafId = null;
+      }
+      if (this._resizeObserver) {
+        this._resizeObserver.disconnect();
+        this._resizeObserver = null;
+      }
+      this._listeners.clear();
+
+      // Clear cached states and recycled lines
       this._lineStates.clear();
+      this._lineElements.clear();
+      this._linePool = [];
 
       // Clear tokenizer
       if (this._tokenizer) {
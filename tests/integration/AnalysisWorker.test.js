@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Integration tests for the analysis worker protocol
+ */
+
+describe('AnalysisWorker', function() {
+  var AnalysisWorkerHost = CodeEditor.AnalysisWorkerHost;
+  var WorkerProtocol = CodeEditor.WorkerProtocol;
+  var MessageType = WorkerProtocol.MessageType;
+  var RemoteType = CodeEditor.RemoteType;
+  var FunctionType = CodeEditor.FunctionType;
+  var PrimitiveType = CodeEditor.PrimitiveType;
+
+  var SOURCE =
+    'class Point { constructor() { this.x = 0; } move(dx, dy) { return this; } }\n' +
+    'const p = new Point();\n';
+
+  var host;
+  var replies;
+  var nextId;
+
+  beforeEach(function() {
+    replies = [];
+    nextId = 1;
+    host = new AnalysisWorkerHost({
+      postMessage: function(message) {
+        // Replies cross a structured clone in a real worker
+        replies.push(JSON.parse(JSON.stringify(message)));
+      },
+      schedule: function() {}
+    });
+    host.receive({ type: MessageType.OPEN, documentId: 1, source: SOURCE });
+  });
+
+  /**
+   * Helper: Send a query and return its id
+   */
+  function query(type, offset, extra) {
+    var message = { type: type, id: nextId++, documentId: 1, offset: offset };
+    for (var key in extra) {
+      message[key] = extra[key];
+    }
+    host.receive(message);
+    return message.id;
+  }
+
+  function replyTo(id) {
+    for (var i = 0; i < replies.length; i++) {
+      if (replies[i].id === id) return replies[i];
+    }
+    return null;
+  }
+
+  describe('serialization', function() {
+    it('should describe types inside results', function() {
+      var type = new FunctionType([{ name: 'n', type: PrimitiveType.NUMBER }], PrimitiveType.STRING);
+      var data = WorkerProtocol.serialize({ name: 'f', type: type, items: [{ type: null }] });
+
+      expect(data.type.$type).toBe('function');
+      expect(data.type.text).toBe(type.toString());
+      expect(data.items[0].type).toBeNull();
+    });
+
+    it('should revive types with their signatures', function() {
+      var type = new FunctionType([{ name: 'n', type: PrimitiveType.NUMBER, rest: true }], PrimitiveType.STRING);
+      var result = WorkerProtocol.deserialize(JSON.parse(JSON.stringify(WorkerProtocol.serialize({ type: type }))));
+
+      expect(result.type instanceof RemoteType).toBe(true);
+      expect(result.type.toString()).toBe(type.toString());
+      expect(result.type.params[0].name).toBe('n');
+      expect(result.type.params[0].rest).toBe(true);
+      expect(result.type.params[0].type.toString()).toBe('number');
+      expect(result.type.returnType.toString()).toBe('string');
+    });
+  });
+
+  describe('queries', function() {
+    it('should answer completions once the queue runs', function() {
+      var source = SOURCE + 'p.';
+      host.receive({
+        type: MessageType.CHANGE,
+        documentId: 1,
+        change: { startOffset: SOURCE.length, endOffset: SOURCE.length, insertedText: 'p.' }
+      });
+      var id = query(MessageType.COMPLETIONS, source.length);
+
+      expect(replyTo(id)).toBeNull();
+      host.processQueue();
+
+      var result = WorkerProtocol.deserialize(replyTo(id).result);
+      var names = result.items.map(function(item) {
+        return item.name;
+      });
+      expect(replyTo(id).type).toBe(MessageType.RESULT);
+      expect(result.isMember).toBe(true);
+      expect(names).toEqual(['move', 'x']);
+      expect(result.items[0].type.params).toHaveLength(2);
+    });
+
+    it('should answer hover and signature queries', function() {
+      var hoverId = query(MessageType.HOVER, SOURCE.indexOf('p ='));
+      var callSource = SOURCE + 'p.move(1, ';
+      var signatureId = query(MessageType.SIGNATURE_HELP, callSource.length, { source: callSource });
+      host.processQueue();
+
+      var hover = WorkerProtocol.deserialize(replyTo(hoverId).result);
+      var help = WorkerProtocol.deserialize(replyTo(signatureId).result);
+      expect(hover.name).toBe('p');
+      expect(hover.type.toString()).toBe('Point');
+      expect(help.activeParameter).toBe(1);
+      expect(help.signature.params[1].name).toBe('dy');
+    });
+
+    it('should analyze a source sent with a query without replacing the document', function() {
+      var id = query(MessageType.TYPE_AT_OFFSET, 10, { source: 'var s = "a";' });
+      host.processQueue();
+
+      expect(replyTo(id).result.text).toBe('string');
+      expect(host.getDocument(1).getSource()).toBe(SOURCE);
+    });
+
+    it('should answer diagnostics queries for the sent source', function() {
+      var id = query(MessageType.DIAGNOSTICS, 0, { source: 'const n = 1;\nn();\nmissing;\n' });
+      host.processQueue();
+
+      var codes = replyTo(id).result.map(function(diagnostic) {
+        return diagnostic.code;
+      });
+      expect(codes).toEqual(['not-callable', 'undefined-identifier']);
+    });
+
+    it('should answer definition and references queries', function() {
+      var use = SOURCE.lastIndexOf('Point');
+      var definitionId = query(MessageType.DEFINITION, use);
+      var referencesId = query(MessageType.REFERENCES, use);
+      host.processQueue();
+
+      expect(replyTo(definitionId).result).toEqual({ name: 'Point', start: 6, end: 11 });
+      expect(replyTo(referencesId).result).toHaveLength(2);
+    });
+
+    it('should answer rename queries', function() {
+      var id = query(MessageType.RENAME_LOCATIONS, SOURCE.lastIndexOf('Point'));
+      host.processQueue();
+
+      var result = replyTo(id).result;
+      expect(result.name).toBe('Point');
+      expect(result.locations).toHaveLength(2);
+      expect(result.locations[0]).toEqual({ start: 6, end: 11, prefixText: '', suffixText: '' });
+    });
+
+    it('should answer document symbol queries', function() {
+      var id = query(MessageType.DOCUMENT_SYMBOLS, 0);
+      host.processQueue();
+
+      var result = replyTo(id).result;
+      expect(result.map(function(symbol) {
+        return symbol.name;
+      })).toEqual(['Point', 'p']);
+      expect(result[0].children.map(function(symbol) {
+        return symbol.kind + ' ' + symbol.name;
+      })).toEqual(['constructor constructor', 'property x', 'method move']);
+    });
+
+    it('should reply with an error for an unknown document', function() {
+      host.receive({ type: MessageType.HOVER, id: 99, documentId: 7, offset: 0 });
+      host.processQueue();
+
+      expect(replyTo(99).type).toBe(MessageType.ERROR);
+    });
+  });
+
+  describe('cancellation', function() {
+    it('should drop a cancelled query before it runs', function() {
+      var first = query(MessageType.COMPLETIONS, 1);
+      var second = query(MessageType.COMPLETIONS, 2);
+      host.receive({ type: MessageType.CANCEL, requestId: first });
+
+      expect(replyTo(first).type).toBe(MessageType.CANCELLED);
+      expect(host.getPendingCount()).toBe(1);
+
+      host.processQueue();
+      expect(replyTo(second).type).toBe(MessageType.RESULT);
+    });
+
+    it('should cancel the queries of a closed document', function() {
+      var id = query(MessageType.HOVER, 1);
+      host.receive({ type: MessageType.CLOSE, documentId: 1 });
+
+      expect(replyTo(id).type).toBe(MessageType.CANCELLED);
+      expect(host.getDocument(1)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Integration tests for source-level completions
+ */
+
+describe('Completions', function() {
+  var TypeChecker = CodeEditor.TypeChecker;
+  var TypeKind = CodeEditor.TypeKind;
+
+  var checker;
+
+  beforeEach(function() {
+    checker = TypeChecker.create();
+  });
+
+  /**
+   * Helper: Get completions at the '|' marker in source
+   */
+  function completeAt(source) {
+    var offset = source.indexOf('|');
+    return checker.getCompletionsAtOffset(source.replace('|', ''), offset);
+  }
+
+  function names(result) {
+    return result.items.map(function(item) {
+      return item.name;
+    });
+  }
+
+  describe('member completions', function() {
+    it('should complete members of a class instance', function() {
+      var result = completeAt(
+        'class Foo { constructor() { this.x = 1; } bar(a) { return "s"; } }\n' +
+        'const f = new Foo();\n' +
+        'f.|'
+      );
+
+      expect(result.isMember).toBe(true);
+      expect(names(result)).toEqual(['bar', 'x']);
+      expect(result.items[0].kind).toBe('method');
+    });
+
+    it('should complete array methods on a declared array', function() {
+      var result = completeAt('const arr = [1, 2, 3];\narr.|');
+      expect(result.objectType.kind).toBe(TypeKind.ARRAY);
+      expect(names(result)).toContain('map');
+    });
+
+    it('should keep the typed prefix and its start', function() {
+      var result = completeAt('const arr = [1, 2, 3];\narr.fi|');
+      expect(result.prefix).toBe('fi');
+      expect(result.start).toBe('const arr = [1, 2, 3];\narr.'.length);
+    });
+
+    it('should complete nested object members', function() {
+      var result = completeAt('const o = { x: 1, y: { z: 2 } };\no.y.|');
+      expect(names(result)).toEqual(['z']);
+    });
+
+    it('should complete on the result of a call chain', function() {
+      var result = completeAt('const s = "abc";\ns.toUpperCase().|');
+      expect(result.objectType.kind).toBe(TypeKind.STRING);
+      expect(names(result)).toContain('charAt');
+    });
+
+    it('should type array callback parameters from the element type', function() {
+      var result = completeAt('const arr = [1, 2, 3];\narr.map(n => n.|)');
+      expect(result.objectType.kind).toBe(TypeKind.NUMBER);
+      expect(names(result)).toContain('toFixed');
+    });
+
+    it('should resolve this inside class methods', function() {
+      var result = completeAt('class Foo { bar() { this.| } baz() {} }');
+      expect(names(result)).toEqual(['bar', 'baz']);
+    });
+
+    it('should not complete after a number literal', function() {
+      var result = completeAt('var x = 1.|');
+      expect(result.items).toHaveLength(0);
+    });
+  });
+
+  describe('identifier completions', function() {
+    it('should list parameters and locals before outer symbols', function() {
+      var result = completeAt('function g(alpha, beta) { const gamma = 1; al| }\nconst top = 2;');
+      var list = names(result);
+
+      expect(result.isMember).toBe(false);
+      expect(result.prefix).toBe('al');
+      expect(list.slice(0, 3)).toEqual(['alpha', 'beta', 'gamma']);
+      expect(list).toContain('top');
+    });
+
+    it('should not see locals of other functions', function() {
+      var result = completeAt('function a() { const hidden = 1; }\nfunction b() { | }');
+      expect(names(result)).not.toContain('hidden');
+    });
+
+    it('should include builtins and keywords', function() {
+      var result = completeAt('|');
+      var kinds = result.items.map(function(item) {
+        return item.kind;
+      });
+
+      expect(names(result)).toContain('Math');
+      expect(kinds).toContain('builtin');
+      expect(kinds).toContain('keyword');
+    });
+  });
+
+  describe('scope tracking', function() {
+    it('should infer types inside functions from the scope at the offset', function() {
+      var source = 'function f() { const items = ["a"]; return items; }';
+      var type = checker.getTypeAtOffset(source, source.lastIndexOf('items') + 1);
+      expect(type.kind).toBe(TypeKind.ARRAY);
+    });
+
+    it('should restore the scope tree for a cached source', function() {
+      var first = 'const a = 1;\n';
+      completeAt(first + '|');
+      completeAt('const b = "x";\n|');
+
+      expect(names(completeAt(first + '|'))).toContain('a');
+      expect(names(completeAt(first + '|'))).not.toContain('b');
+    });
+
+    it('should type for-of loop variables from the array element type', function() {
+      var result = completeAt('const words = ["a"];\nfor (const word of words) {\n  word.|\n}');
+      expect(result.objectType.kind).toBe(TypeKind.STRING);
+    });
+
+    it('should define destructured names with their member types', function() {
+      var result = completeAt('const { name, tags: [first] } = { name: "x", tags: [1] };\nfirst.|');
+      expect(result.objectType.kind).toBe(TypeKind.NUMBER);
+      expect(checker.getTypeAtOffset('const { name } = { name: "x" }; name', 33).kind).toBe(TypeKind.STRING);
+    });
+
+    it('should scope catch parameters to the handler', function() {
+      expect(names(completeAt('try {} catch (err) { | }\n'))).toContain('err');
+      expect(names(completeAt('try {} catch (err) {}\n|'))).not.toContain('err');
+    });
+
+    it('should keep declarations after a syntax error', function() {
+      var result = completeAt('const a = 1;\nif (a b) {}\nconst later = 2;\n|');
+      expect(names(result)).toContain('a');
+      expect(names(result)).toContain('later');
+    });
+  });
+});
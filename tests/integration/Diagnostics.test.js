@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Integration tests for diagnostics
+ */
+
+describe('Diagnostics', function() {
+  var TypeChecker = CodeEditor.TypeChecker;
+  var DiagnosticSeverity = CodeEditor.DiagnosticSeverity;
+
+  var checker;
+
+  beforeEach(function() {
+    checker = TypeChecker.create();
+  });
+
+  /**
+   * Helper: Get the diagnostics of a source with the given code
+   */
+  function diagnosticsOf(source, code) {
+    return checker.getDiagnostics(source).filter(function(diagnostic) {
+      return diagnostic.code === code;
+    });
+  }
+
+  function undefinedNames(source) {
+    return diagnosticsOf(source, 'undefined-identifier').map(function(diagnostic) {
+      return source.slice(diagnostic.start, diagnostic.end);
+    });
+  }
+
+  describe('syntax errors', function() {
+    it('should report parse errors as errors', function() {
+      var diagnostics = diagnosticsOf('if (x {}\n', 'syntax-error');
+      expect(diagnostics.length).toBeGreaterThan(0);
+      expect(diagnostics[0].severity).toBe(DiagnosticSeverity.ERROR);
+    });
+
+    it('should report nothing for valid code', function() {
+      var source =
+        'function add(a, b) { return a + b; }\n' +
+        'const total = add(1, 2);\n' +
+        'console.log(total);\n';
+      expect(checker.getDiagnostics(source)).toEqual([]);
+    });
+
+    it('should sort diagnostics by position', function() {
+      var diagnostics = checker.getDiagnostics('missing();\nif (x {}\nother();\n');
+      for (var i = 1; i < diagnostics.length; i++) {
+        expect(diagnostics[i].start).toBeGreaterThanOrEqual(diagnostics[i - 1].start);
+      }
+    });
+  });
+
+  describe('undefined identifiers', function() {
+    it('should warn about names that are never declared', function() {
+      var source = 'const a = 1;\nconsole.log(a + missing);\n';
+      var diagnostics = diagnosticsOf(source, 'undefined-identifier');
+      expect(diagnostics).toHaveLength(1);
+      expect(diagnostics[0].severity).toBe(DiagnosticSeverity.WARNING);
+      expect(diagnostics[0].message).toBe("'missing' is not defined");
+      expect(source.slice(diagnostics[0].start, diagnostics[0].end)).toBe('missing');
+    });
+
+    it('should accept declarations later in an enclosing scope', function() {
+      expect(undefinedNames('function f() { return g(); }\nfunction g() { return 1; }\n')).toEqual([]);
+    });
+
+    it('should accept parameters, catch bindings and destructuring defaults', function() {
+      var source =
+        'function f(a, { b = a } = {}) { return a + b; }\n' +
+        'try { f(1); } catch (err) { console.log(err); }\n';
+      expect(undefinedNames(source)).toEqual([]);
+    });
+
+    it('should accept a named function expression referring to itself', function() {
+      expect(undefinedNames('const f = function fact(n) { return n ? n * fact(n - 1) : 1; };\n')).toEqual([]);
+    });
+
+    it('should accept typeof guards, labels and property names', function() {
+      var source =
+        'if (typeof maybe !== "undefined") {}\n' +
+        'outer: for (const x of [1]) { break outer; }\n' +
+        'const o = { key: 1 };\n' +
+        'o.other = o.key;\n';
+      expect(undefinedNames(source)).toEqual([]);
+    });
+
+    it('should accept imported names and browser globals', function() {
+      var source =
+        'import { helper } from "./helper.js";\n' +
+        'helper(window, document);\n' +
+        'setTimeout(function() {}, 0);\n';
+      expect(undefinedNames(source)).toEqual([]);
+    });
+
+    it('should accept var declarations used outside their block', function() {
+      var source =
+        'function f(a, o) {\n' +
+        '  if (a) { var x = 1; }\n' +
+        '  for (var i = 0; ;) {}\n' +
+        '  for (var k in o) {}\n' +
+        '  return x + i + k;\n' +
+        '}\n' +
+        'while (true) { var y = 1; }\n' +
+        'y++;\n';
+      expect(undefinedNames(source)).toEqual([]);
+    });
+
+    it('should still warn about let and const used outside their block', function() {
+      expect(undefinedNames('function f() { if (a) { let x = 1; } return x; }\n')).toEqual(['a', 'x']);
+    });
+
+    it('should accept the streams and EditContext globals', function() {
+      var source =
+        'const stream = new DecompressionStream("deflate");\n' +
+        'const context = new EditContext();\n';
+      expect(undefinedNames(source)).toEqual([]);
+    });
+
+    it('should look inside shorthand properties and computed keys', function() {
+      var source = 'const o = { first, [second]: 1 };\n';
+      expect(undefinedNames(source)).toEqual(['first', 'second']);
+    });
+  });
+
+  describe('values that are not callable', function() {
+    it('should report calling a number', function() {
+      var source = 'const n = 1;\nn();\n';
+      var diagnostics = diagnosticsOf(source, 'not-callable');
+      expect(diagnostics).toHaveLength(1);
+      expect(diagnostics[0].severity).toBe(DiagnosticSeverity.ERROR);
+      expect(diagnostics[0].message).toBe("'n' is not callable: its type is number");
+    });
+
+    it('should report calling a class without new', function() {
+      var source = 'class Point {}\nconst p = Point();\n';
+      var diagnostics = diagnosticsOf(source, 'not-callable');
+      expect(diagnostics).toHaveLength(1);
+      expect(diagnostics[0].message).toBe("Class constructor 'Point' cannot be invoked without 'new'");
+    });
+
+    it('should accept calls of functions and methods', function() {
+      var source =
+        'class Point { move() { return this; } }\n' +
+        'const p = new Point();\n' +
+        'p.move().move();\n' +
+        'const arrow = () => 1;\n' +
+        'arrow();\n';
+      expect(diagnosticsOf(source, 'not-callable')).toEqual([]);
+    });
+
+    it('should not report super calls', function() {
+      var source = 'class A {}\nclass B extends A { constructor() { super(); } }\n';
+      expect(diagnosticsOf(source, 'not-callable')).toEqual([]);
+    });
+  });
+});
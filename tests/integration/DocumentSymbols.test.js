@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Integration tests for the outline of a program
+ */
+
+describe('DocumentSymbols', function() {
+  var TypeChecker = CodeEditor.TypeChecker;
+  var SymbolKind = CodeEditor.SymbolKind;
+
+  var SOURCE =
+    'import helper from "./helper.js";\n' +
+    'class Shape {\n' +
+    '  static count = 0;\n' +
+    '  constructor(name) { this.name = name; this.sides = 0; }\n' +
+    '  get label() { return "Shape " + this.name; }\n' +
+    '  area() { function half(n) { return n / 2; } return 0; }\n' +
+    '}\n' +
+    'class Square extends Shape { area() { return 1; } }\n' +
+    'export function make(kind, size = 1) { const local = 2; return new Square(kind); }\n' +
+    'const double = (n) => n * 2;\n' +
+    'let total = 0, { a, b: [c] } = {};\n';
+
+  var checker;
+
+  beforeEach(function() {
+    checker = TypeChecker.create();
+  });
+
+  /**
+   * Helper: Describe a symbol list as "kind name" strings
+   */
+  function summarize(symbols) {
+    return symbols.map(function(symbol) {
+      return symbol.kind + ' ' + symbol.name;
+    });
+  }
+
+  function find(symbols, name) {
+    return symbols.filter(function(symbol) {
+      return symbol.name === name;
+    })[0];
+  }
+
+  describe('top level', function() {
+    it('should list classes, functions and variables in source order', function() {
+      expect(summarize(checker.getDocumentSymbols(SOURCE))).toEqual([
+        SymbolKind.CLASS + ' Shape',
+        SymbolKind.CLASS + ' Square',
+        SymbolKind.FUNCTION + ' make',
+        SymbolKind.FUNCTION + ' double',
+        SymbolKind.VARIABLE + ' total',
+        SymbolKind.VARIABLE + ' a',
+        SymbolKind.VARIABLE + ' c'
+      ]);
+    });
+
+    it('should report the range of the declaration and of its name', function() {
+      var make = find(checker.getDocumentSymbols(SOURCE), 'make');
+      expect(make.start).toBe(SOURCE.indexOf('export function make'));
+      expect(make.end).toBe(SOURCE.indexOf('\nconst double'));
+      expect(make.nameStart).toBe(SOURCE.indexOf('make('));
+      expect(make.nameEnd).toBe(SOURCE.indexOf('make(') + 4);
+    });
+
+    it('should describe symbols with their inferred types', function() {
+      var symbols = checker.getDocumentSymbols(SOURCE);
+      expect(find(symbols, 'total').detail).toBe('number');
+      expect(find(symbols, 'double').detail).toBe('(n: any) => number');
+      expect(find(symbols, 'Square').detail).toBe('extends Shape');
+    });
+
+    it('should list constants as constants', function() {
+      expect(summarize(checker.getDocumentSymbols('const LIMIT = 10;\n'))).toEqual([SymbolKind.CONSTANT + ' LIMIT']);
+    });
+
+    it('should name anonymous default exports default', function() {
+      var symbols = checker.getDocumentSymbols('export default class { run() {} }\n');
+      expect(summarize(symbols)).toEqual([SymbolKind.CLASS + ' default']);
+      expect(summarize(symbols[0].children)).toEqual([SymbolKind.METHOD + ' run']);
+    });
+  });
+
+  describe('classes', function() {
+    it('should nest members, with fields assigned in methods', function() {
+      var shape = find(checker.getDocumentSymbols(SOURCE), 'Shape');
+      expect(summarize(shape.children)).toEqual([
+        SymbolKind.PROPERTY + ' count',
+        SymbolKind.CONSTRUCTOR + ' constructor',
+        SymbolKind.PROPERTY + ' name',
+        SymbolKind.PROPERTY + ' sides',
+        SymbolKind.GETTER + ' label',
+        SymbolKind.METHOD + ' area'
+      ]);
+    });
+
+    it('should point fields assigned to this at the assignment', function() {
+      var shape = find(checker.getDocumentSymbols(SOURCE), 'Shape');
+      var sides = find(shape.children, 'sides');
+      expect(sides.nameStart).toBe(SOURCE.indexOf('sides'));
+      expect(sides.detail).toBe('number');
+    });
+
+    it('should show the value type of getters', function() {
+      var shape = find(checker.getDocumentSymbols(SOURCE), 'Shape');
+      expect(find(shape.children, 'label').detail).toBe('string');
+    });
+
+    it('should ignore this in nested functions', function() {
+      var source = 'class A { run() { const f = function() { this.other = 1; }; } }\n';
+      var symbols = checker.getDocumentSymbols(source);
+      expect(summarize(symbols[0].children)).toEqual([SymbolKind.METHOD + ' run']);
+    });
+  });
+
+  describe('nesting', function() {
+    it('should nest functions declared in function and method bodies', function() {
+      var symbols = checker.getDocumentSymbols(SOURCE);
+      var area = find(find(symbols, 'Shape').children, 'area');
+      expect(summarize(area.children)).toEqual([SymbolKind.FUNCTION + ' half']);
+      expect(find(symbols, 'make').children).toEqual([]);
+    });
+  });
+
+  it('should return nothing for sources without declarations', function() {
+    expect(checker.getDocumentSymbols('')).toEqual([]);
+    expect(checker.getDocumentSymbols('console.log(1);\n')).toEqual([]);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Integration tests for hover information
+ */
+
+describe('HoverInfo', function() {
+  var TypeChecker = CodeEditor.TypeChecker;
+  var TypeKind = CodeEditor.TypeKind;
+
+  var checker;
+
+  var SOURCE =
+    'class Base { greet(name) { return "hi " + name; } }\n' +
+    'class Foo extends Base {\n' +
+    '  constructor() { super(); this.count = 1; }\n' +
+    '  bar(a, b) { return this.count; }\n' +
+    '  static make() { return new Foo(); }\n' +
+    '}\n' +
+    'const f = new Foo();\n' +
+    'f.greet("x");\n' +
+    'Foo.make();\n' +
+    'function add(x, y = 2) { return x + y; }\n' +
+    'let s = "a";';
+
+  beforeEach(function() {
+    checker = TypeChecker.create();
+  });
+
+  /**
+   * Helper: Get hover info inside the given occurrence of a word
+   */
+  function hoverOn(word, occurrence) {
+    var index = -1;
+    for (var i = 0; i <= (occurrence || 0); i++) {
+      index = SOURCE.indexOf(word, index + 1);
+    }
+    return checker.getHoverInfo(SOURCE, index + 1);
+  }
+
+  describe('identifiers', function() {
+    it('should describe variables with their declaration keyword', function() {
+      var info = hoverOn('s =');
+      expect(info.name).toBe('s');
+      expect(info.kind).toBe('variable');
+      expect(info.declarationKind).toBe('let');
+      expect(info.type.kind).toBe(TypeKind.STRING);
+    });
+
+    it('should describe functions with parameter names', function() {
+      var info = hoverOn('add');
+      expect(info.kind).toBe('function');
+      expect(info.type.params.map(function(p) { return p.name; })).toEqual(['x', 'y']);
+    });
+
+    it('should describe parameters from the enclosing function scope', function() {
+      var info = hoverOn('y =');
+      expect(info.kind).toBe('parameter');
+      expect(info.type.kind).toBe(TypeKind.NUMBER);
+    });
+
+    it('should cover the whole word', function() {
+      var info = hoverOn('add');
+      var start = SOURCE.indexOf('add');
+      expect(info.start).toBe(start);
+      expect(info.end).toBe(start + 3);
+    });
+
+    it('should return null for keywords and number literals', function() {
+      expect(hoverOn('return')).toBeNull();
+      expect(checker.getHoverInfo('var x = 42;', 9)).toBeNull();
+    });
+  });
+
+  describe('class members', function() {
+    it('should name the declaring class of an inherited method', function() {
+      var info = hoverOn('greet', 1);
+      expect(info.kind).toBe('method');
+      expect(info.containerName).toBe('Base');
+      expect(info.isStatic).toBe(false);
+    });
+
+    it('should describe static members accessed on the class', function() {
+      var info = hoverOn('make', 1);
+      expect(info.containerName).toBe('Foo');
+      expect(info.isStatic).toBe(true);
+    });
+
+    it('should describe properties assigned in the constructor', function() {
+      var info = hoverOn('count', 1);
+      expect(info.kind).toBe('property');
+      expect(info.containerName).toBe('Foo');
+      expect(info.type.kind).toBe(TypeKind.NUMBER);
+    });
+
+    it('should describe method names in a class body', function() {
+      var info = hoverOn('bar');
+      expect(info.kind).toBe('method');
+      expect(info.containerName).toBe('Foo');
+    });
+  });
+
+  describe('builtins', function() {
+    it('should describe members of built-in types', function() {
+      var source = 'const arr = [1, 2];\narr.map(n => n.toFixed());';
+      var info = checker.getHoverInfo(source, source.indexOf('toFixed') + 1);
+      expect(info.kind).toBe('method');
+      expect(info.containerName).toBeNull();
+    });
+
+    it('should fall back to global types', function() {
+      var info = checker.getHoverInfo('Math.max(1, 2);', 1);
+      expect(info.kind).toBe('builtin');
+    });
+  });
+});
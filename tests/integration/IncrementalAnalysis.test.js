@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Integration tests for incremental analysis of edited documents
+ */
+
+describe('IncrementalAnalysis', function() {
+  var TypeChecker = CodeEditor.TypeChecker;
+  var AnalysisService = CodeEditor.AnalysisService;
+  var ExpressionParser = CodeEditor.ExpressionParser;
+
+  var SOURCE =
+    'const a = 1;\n' +
+    'function f(x) {\n' +
+    '  return x;\n' +
+    '}\n' +
+    'const s = "text";\n' +
+    'class Point { constructor() { this.x = 0; } }\n' +
+    'const p = new Point();\n';
+
+  var checker;
+  var service;
+
+  beforeEach(function() {
+    checker = TypeChecker.create();
+    service = new AnalysisService({ typeChecker: checker });
+    service.open(SOURCE);
+    service.getAnalysis();
+  });
+
+  afterEach(function() {
+    service.dispose();
+  });
+
+  /**
+   * Helper: Replace the first occurrence of `search` after `from`
+   */
+  function edit(search, text, from) {
+    var start = service.getSource().indexOf(search, from || 0);
+    service.applyChange({ startOffset: start, endOffset: start + search.length, insertedText: text });
+  }
+
+  function names(result) {
+    return result.items.map(function(item) {
+      return item.name;
+    });
+  }
+
+  /**
+   * Helper: Strip the `start`/`end` fields a full parse and an incremental
+   * one must agree on into a comparable list
+   */
+  function statementRanges(ast) {
+    return ast.body.map(function(stmt) {
+      return stmt.type + ':' + stmt.start + '-' + stmt.end;
+    });
+  }
+
+  describe('reparsing', function() {
+    it('should reparse only the statements around an edit', function() {
+      edit('return x;', 'return x + 1;');
+      var result = service.getAnalysis();
+      var update = service.getLastUpdate();
+
+      expect(update.full).toBe(false);
+      expect(update.reused).toBeGreaterThan(2);
+      expect(result.ast.body).toHaveLength(5);
+    });
+
+    it('should move the statements after an edit', function() {
+      edit('return x;', 'return x + 1;');
+      var result = service.getAnalysis();
+      var full = ExpressionParser.parse(service.getSource());
+
+      expect(statementRanges(result.ast)).toEqual(statementRanges(full));
+      expect(result.ast.body[4].declarations[0].init.start).toBe(full.body[4].declarations[0].init.start);
+    });
+
+    it('should apply several edits at once', function() {
+      edit('const a = 1;', 'const a = [1];');
+      edit('"text"', '42');
+      var result = service.getAnalysis();
+
+      expect(statementRanges(result.ast)).toEqual(statementRanges(ExpressionParser.parse(service.getSource())));
+      expect(result.scopeManager.resolve('a').type.toString()).toBe('number[]');
+      expect(result.scopeManager.resolve('s').type.toString()).toBe('number');
+    });
+
+    it('should add statements typed at the end', function() {
+      edit('const p = new Point();\n', 'const p = new Point();\nconst q = p;\n');
+      var result = service.getAnalysis();
+
+      expect(result.ast.body).toHaveLength(6);
+      expect(result.scopeManager.resolve('q')).not.toBeNull();
+    });
+
+    it('should follow the edits of an attached document', function() {
+      var listeners = [];
+      var text = SOURCE;
+      var document = {
+        getText: function() { return text; },
+        on: function(event, listener) {
+          listeners.push(listener);
+          return function() { listeners.splice(listeners.indexOf(listener), 1); };
+        }
+      };
+      service.attach(document);
+
+      var offset = text.indexOf('const p');
+      text = text.slice(0, offset) + 'const t = true;\n' + text.slice(offset);
+      listeners[0]({ startOffset: offset, endOffset: offset, insertedText: 'const t = true;\n' });
+
+      expect(service.getSource()).toBe(text);
+      expect(service.getAnalysis().scopeManager.resolve('t').type.toString()).toBe('boolean');
+
+      service.detach();
+      expect(listeners).toHaveLength(0);
+    });
+  });
+
+  describe('scope tree', function() {
+    it('should keep the scopes of untouched statements in sync', function() {
+      edit('return x;', 'var y = x;\n  return y;');
+      var source = service.getSource();
+      var offset = source.indexOf('this.x') + 1;
+      var scope = service.getAnalysis().scopeManager.getScopeAtOffset(offset);
+
+      expect(scope.type).toBe('function');
+      expect(scope.startOffset).toBeGreaterThan(source.indexOf('class Point'));
+    });
+
+    it('should answer completions like a full analysis', function() {
+      edit('return x;', 'return x;\n  // note');
+      var source = service.getSource() + 'p.';
+      service.applyChange({ startOffset: source.length - 2, endOffset: source.length - 2, insertedText: 'p.' });
+
+      var incremental = checker.getCompletionsAtOffset(source, source.length);
+      var full = TypeChecker.create().getCompletionsAtOffset(source, source.length);
+
+      expect(service.getLastUpdate().full).toBe(false);
+      expect(names(incremental)).toEqual(names(full));
+      expect(names(incremental)).toContain('x');
+    });
+
+    it('should rebuild every scope when a global type changes', function() {
+      edit('const a = 1;', 'const a = "one";');
+      var result = service.getAnalysis();
+
+      expect(result.scopeManager.resolve('a').type.toString()).toBe('string');
+      expect(checker.getCompletionsAtOffset(service.getSource() + 'a.', service.getSource().length + 2).items.length)
+        .toBeGreaterThan(0);
+    });
+  });
+
+  describe('half-typed code', function() {
+    it('should keep the following declarations with an unclosed brace', function() {
+      edit('return x;\n}', 'if (x) {\n  return x;\n}');
+      var result = service.getAnalysis();
+
+      expect(result.errors.length).toBeGreaterThan(0);
+      expect(result.scopeManager.resolve('a')).not.toBeNull();
+    });
+
+    it('should complete after a dangling dot', function() {
+      edit('  return x;', '  s.\n  return x;');
+      var source = service.getSource();
+      var result = checker.getCompletionsAtOffset(source, source.indexOf('s.') + 2);
+
+      expect(result.isMember).toBe(true);
+      expect(names(result)).toContain('toUpperCase');
+    });
+
+    it('should clear errors once the code is completed', function() {
+      edit('const s = "text";', 'const s = ;\nconst t = (');
+      expect(service.getAnalysis().errors.length).toBeGreaterThan(0);
+
+      edit('const s = ;\nconst t = (', 'const s = "text";');
+      expect(service.getAnalysis().errors).toHaveLength(0);
+      expect(service.getLastUpdate().full).toBe(false);
+    });
+  });
+
+  describe('syntax errors', function() {
+    /**
+     * Helper: List the errors of an analysis as comparable strings
+     */
+    function errorList(errors) {
+      return errors.map(function(error) {
+        return error.message + '@' + error.start + '-' + error.end;
+      });
+    }
+
+    it('should report the errors of a full parse after edits', function() {
+      service.open(
+        'x = (1 + ;\n' +
+        'if (a) {\n  foo(1, 2;\n}\n' +
+        'const b = ;\n' +
+        'while (b) { y(; }\n' +
+        'const c = 3;\n');
+      service.getAnalysis();
+
+      [
+        ['x = (1 + ;', 'x = (1 + 2);'],
+        ['const b = ;', 'const b = 1;'],
+        ['const c = 3;', 'const c = (;'],
+        ['x = (1 + 2);', 'x = (1 + ;'],
+        ['foo(1, 2;', 'foo(1, 2);'],
+      ].forEach(function(change) {
+        edit(change[0], change[1]);
+        var result = service.getAnalysis();
+        var full = ExpressionParser.parse(service.getSource());
+
+        expect(service.getLastUpdate().full).toBe(false);
+        expect(errorList(result.ast.errors)).toEqual(errorList(full.errors));
+      });
+    });
+
+    it('should keep an error found by looking ahead into the reparsed statements', function() {
+      service.open('const c = 1;\nfunction a(x)\n  var y = x;\n  y++;\n  return y;\n');
+      service.getAnalysis();
+
+      edit('y++', 'z++');
+      var result = service.getAnalysis();
+
+      expect(errorList(result.ast.errors)).toEqual(['Expected lbrace, got var@29-32']);
+    });
+
+    it('should report the errors of a full parse over random edits', function() {
+      var source =
+        'const c = 1;\nfunction a(x) {\n  var y = x;\n  y++;\n  return y;\n}\nlet e = a(1);\n';
+      var texts = ['}', '{', '\n', '(', ')', ';', 'var x;', ''];
+      var seed = 1;
+
+      // Deterministic, so a failure can be replayed
+      function random(n) {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return Math.floor(seed / 0x80000000 * n);
+      }
+
+      for (var trial = 0; trial < 400; trial++) {
+        service.open(source);
+        service.getAnalysis();
+
+        for (var step = 0; step < 4; step++) {
+          var length = service.getSource().length;
+          var start = random(length);
+          var end = Math.min(length, start + random(3));
+
+          service.applyChange({ startOffset: start, endOffset: end, insertedText: texts[random(texts.length)] });
+
+          var incremental = errorList(service.getAnalysis().ast.errors);
+          var full = errorList(ExpressionParser.parse(service.getSource()).errors);
+          if (incremental.join() !== full.join()) {
+            expect(incremental).toEqual(full);
+            return;
+          }
+        }
+      }
+    });
+
+    it('should report the errors of each statement after a failed one', function() {
+      var ast = ExpressionParser.parse('x = (1 + ;\nif (a) {\n  foo(1, 2;\n}\n');
+
+      expect(ast.errors).toHaveLength(2);
+    });
+  });
+});
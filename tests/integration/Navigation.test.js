@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Integration tests for go to definition and find all references
+ */
+
+describe('Navigation', function() {
+  var TypeChecker = CodeEditor.TypeChecker;
+  var AnalysisService = CodeEditor.AnalysisService;
+
+  var SOURCE =
+    'class Base {\n' +
+    '  constructor(x) { this.x = x; }\n' +
+    '  greet(n) { return n; }\n' +
+    '  static make() { return new Base(1); }\n' +
+    '}\n' +
+    'class Sub extends Base {\n' +
+    '  greet(n) { return super.greet(n); }\n' +
+    '  run() { return this.greet(1) + this.x; }\n' +
+    '}\n' +
+    'const s = new Sub(2);\n' +
+    's.greet(3); s.x; Base.make();\n' +
+    'function outer(a) { const x = a; function inner(x) { return x + a; } return inner(x); }\n' +
+    'let y = 1; { let y = 2; y++; } y--;\n' +
+    'const fact = function self(n) { return n ? self(n - 1) : 1; };\n' +
+    'const count = (...rest) => rest.length;\n';
+
+  var checker;
+
+  beforeEach(function() {
+    checker = TypeChecker.create();
+  });
+
+  /**
+   * Helper: Offset of the given occurrence of a text
+   */
+  function offsetOf(text, occurrence, source) {
+    source = source || SOURCE;
+    var index = -1;
+    for (var i = 0; i <= (occurrence || 0); i++) {
+      index = source.indexOf(text, index + 1);
+    }
+    return index;
+  }
+
+  function definitionAt(text, occurrence) {
+    return checker.getDefinition(SOURCE, offsetOf(text, occurrence));
+  }
+
+  function referenceStarts(text, occurrence) {
+    return checker.getReferences(SOURCE, offsetOf(text, occurrence)).map(function(reference) {
+      return reference.start;
+    });
+  }
+
+  describe('definitions of bindings', function() {
+    it('should find the declaration of a variable', function() {
+      var definition = definitionAt('s.greet(3)');
+      expect(definition).toEqual({ name: 's', start: offsetOf('s = new'), end: offsetOf('s = new') + 1 });
+    });
+
+    it('should resolve shadowed names to the innermost declaration', function() {
+      expect(definitionAt('y++').start).toBe(offsetOf('y = 2'));
+      expect(definitionAt('y--').start).toBe(offsetOf('y = 1'));
+      expect(definitionAt('x + a').start).toBe(offsetOf('x) { return x + a'));
+    });
+
+    it('should resolve names captured by closures', function() {
+      expect(definitionAt('a; function').start).toBe(offsetOf('a) { const'));
+      expect(definitionAt('a; }').start).toBe(offsetOf('a) { const'));
+    });
+
+    it('should find a named function expression from its body', function() {
+      expect(definitionAt('self(n -').start).toBe(offsetOf('self(n)'));
+    });
+
+    it('should find rest parameters by their name', function() {
+      var definition = definitionAt('rest.length');
+      expect(definition.start).toBe(offsetOf('rest)'));
+      expect(definition.end).toBe(offsetOf('rest)') + 4);
+    });
+
+    it('should return the declaration itself on a declaration', function() {
+      expect(definitionAt('outer').start).toBe(offsetOf('outer'));
+    });
+
+    it('should return null for names that are not declared', function() {
+      expect(checker.getDefinition('missing();\n', 2)).toBeNull();
+      expect(checker.getDefinition('const a = 1; // note\n', 16)).toBeNull();
+    });
+  });
+
+  describe('definitions of class members', function() {
+    it('should find methods through the type of an instance', function() {
+      expect(definitionAt('greet(3)').start).toBe(offsetOf('greet(n) { return super'));
+    });
+
+    it('should find inherited methods in the parent class', function() {
+      expect(definitionAt('greet(n);').start).toBe(offsetOf('greet(n) { return n'));
+    });
+
+    it('should find methods called on this', function() {
+      expect(definitionAt('greet(1)').start).toBe(offsetOf('greet(n) { return super'));
+    });
+
+    it('should find fields assigned in the constructor', function() {
+      expect(definitionAt('x; Base').start).toBe(offsetOf('x = x'));
+      expect(definitionAt('x;', 1).start).toBe(offsetOf('x = x'));
+    });
+
+    it('should find static methods through the class', function() {
+      expect(definitionAt('make();').start).toBe(offsetOf('make()'));
+    });
+  });
+
+  describe('references', function() {
+    it('should list every occurrence of a binding and mark its declaration', function() {
+      var references = checker.getReferences(SOURCE, offsetOf('Base', 2));
+      expect(references).toHaveLength(4);
+      expect(references[0]).toEqual({ start: 6, end: 10, isDefinition: true });
+      expect(references.filter(function(reference) {
+        return reference.isDefinition;
+      })).toHaveLength(1);
+    });
+
+    it('should keep shadowed bindings apart', function() {
+      expect(referenceStarts('y = 1')).toEqual([offsetOf('y = 1'), offsetOf('y--')]);
+      expect(referenceStarts('y++')).toEqual([offsetOf('y = 2'), offsetOf('y++')]);
+    });
+
+    it('should keep overriding methods apart from the overridden one', function() {
+      expect(referenceStarts('greet(n) { return n')).toEqual([
+        offsetOf('greet(n) { return n'),
+        offsetOf('greet(n);')
+      ]);
+      expect(referenceStarts('greet(3)')).toEqual([
+        offsetOf('greet(n) { return super'),
+        offsetOf('greet(1)'),
+        offsetOf('greet(3)')
+      ]);
+    });
+
+    it('should return null outside of names', function() {
+      expect(checker.getReferences(SOURCE, offsetOf('{\n'))).toBeNull();
+    });
+  });
+
+  describe('hoisted var declarations', function() {
+    var HOISTED = 'function f(a) { x = 0; if (a) { var x = 1; } for (var i = 0; i < x; i++) {} return x + i; }\n';
+
+    it('should find a var declared in a block from outside of it', function() {
+      var definition = checker.getDefinition(HOISTED, offsetOf('x + i', 0, HOISTED));
+      expect(definition).toEqual({ name: 'x', start: offsetOf('x = 1', 0, HOISTED), end: offsetOf('x = 1', 0, HOISTED) + 1 });
+      expect(checker.getDefinition(HOISTED, offsetOf('i;', 0, HOISTED)).start).toBe(offsetOf('i = 0', 0, HOISTED));
+    });
+
+    it('should list the uses of a var before and after its block', function() {
+      var references = checker.getReferences(HOISTED, offsetOf('x = 1', 0, HOISTED)).map(function(reference) {
+        return reference.start;
+      });
+      expect(references).toEqual([
+        offsetOf('x = 0', 0, HOISTED),
+        offsetOf('x = 1', 0, HOISTED),
+        offsetOf('x; i++', 0, HOISTED),
+        offsetOf('x + i', 0, HOISTED)
+      ]);
+    });
+  });
+
+  describe('edited documents', function() {
+    it('should report declarations at their shifted positions', function() {
+      var service = new AnalysisService({ typeChecker: checker });
+      service.open(SOURCE);
+      service.getAnalysis();
+
+      var at = offsetOf('let y = 1');
+      service.applyChange({ startOffset: at, endOffset: at, insertedText: '// moved\n' });
+      service.getAnalysis();
+
+      var source = service.getSource();
+      expect(checker.getDefinition(source, offsetOf('y++', 0, source)).start).toBe(offsetOf('y = 2', 0, source));
+      expect(checker.getDefinition(source, offsetOf('rest.length', 0, source)).start).toBe(offsetOf('rest)', 0, source));
+
+      service.dispose();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Integration tests for renaming symbols
+ */
+
+describe('Rename', function() {
+  var TypeChecker = CodeEditor.TypeChecker;
+
+  var checker;
+
+  beforeEach(function() {
+    checker = TypeChecker.create();
+  });
+
+  /**
+   * Helper: Rename the symbol at the given occurrence of a text and
+   * return the edited source, or null when it cannot be renamed
+   */
+  function renameAt(source, text, occurrence, newName) {
+    var offset = -1;
+    for (var i = 0; i <= occurrence; i++) {
+      offset = source.indexOf(text, offset + 1);
+    }
+
+    var result = checker.getRenameLocations(source, offset);
+    if (!result) return null;
+
+    var edited = source;
+    for (var j = result.locations.length - 1; j >= 0; j--) {
+      var location = result.locations[j];
+      edited = edited.slice(0, location.start) + location.prefixText + newName +
+        location.suffixText + edited.slice(location.end);
+    }
+    return edited;
+  }
+
+  describe('locations', function() {
+    it('should report the name at the offset and its occurrences in order', function() {
+      var source = 'let count = 0;\ncount++;\nconsole.log(count);\n';
+      var result = checker.getRenameLocations(source, source.indexOf('count++'));
+
+      expect(result.name).toBe('count');
+      expect(result.start).toBe(source.indexOf('count++'));
+      expect(result.locations.map(function(location) {
+        return location.start;
+      })).toEqual([4, 15, 36]);
+    });
+
+    it('should refuse names declared outside the file', function() {
+      expect(checker.getRenameLocations('console.log(1);\n', 2)).toBeNull();
+      expect(checker.getRenameLocations('const a = [];\na.push(1);\n', 17)).toBeNull();
+    });
+
+    it('should refuse offsets outside of names', function() {
+      expect(checker.getRenameLocations('const a = 1; // a\n', 16)).toBeNull();
+    });
+  });
+
+  describe('scopes', function() {
+    it('should leave shadowing variables in inner scopes alone', function() {
+      var source =
+        'let value = 1;\n' +
+        'function f(value) { return value; }\n' +
+        '{ let value = 2; value++; }\n' +
+        'value--;\n';
+      expect(renameAt(source, 'value', 0, 'total')).toBe(
+        'let total = 1;\n' +
+        'function f(value) { return value; }\n' +
+        '{ let value = 2; value++; }\n' +
+        'total--;\n'
+      );
+    });
+
+    it('should rename a parameter inside its function only', function() {
+      var source = 'const x = 1;\nfunction f(x) { return x * 2; }\nf(x);\n';
+      expect(renameAt(source, 'x)', 0, 'n')).toBe('const x = 1;\nfunction f(n) { return n * 2; }\nf(x);\n');
+    });
+
+    it('should follow names into closures', function() {
+      var source = 'function outer() { let n = 0; return function() { return n++; }; }\n';
+      expect(renameAt(source, 'n++', 0, 'counter')).toBe(
+        'function outer() { let counter = 0; return function() { return counter++; }; }\n'
+      );
+    });
+  });
+
+  describe('var hoisting', function() {
+    it('should rename a var declared in a block throughout its function', function() {
+      var source = 'function f() { if (a) { var x = 1; } x = 2; return x; }\n';
+      var expected = 'function f() { if (a) { var y = 1; } y = 2; return y; }\n';
+      expect(renameAt(source, 'x', 0, 'y')).toBe(expected);
+      expect(renameAt(source, 'x;', 0, 'y')).toBe(expected);
+    });
+
+    it('should rename a var declared in a for head after the loop', function() {
+      var source = 'function f(o) { for (var i = 0; i < 3; i++) {} for (var k in o) {} return i + k; }\n';
+      expect(renameAt(source, 'i +', 0, 'n')).toBe(
+        'function f(o) { for (var n = 0; n < 3; n++) {} for (var k in o) {} return n + k; }\n'
+      );
+      expect(renameAt(source, 'k in', 0, 'key')).toBe(
+        'function f(o) { for (var i = 0; i < 3; i++) {} for (var key in o) {} return i + key; }\n'
+      );
+    });
+
+    it('should rename a top-level var declared in a block', function() {
+      var source = 'if (a) { var x = 1; }\nx++;\n';
+      expect(renameAt(source, 'x++', 0, 'y')).toBe('if (a) { var y = 1; }\ny++;\n');
+    });
+
+    it('should keep let and const in their blocks', function() {
+      var source = 'let x = 0;\nfunction f() { { let x = 1; } return x; }\n';
+      expect(renameAt(source, 'x;', 0, 'y')).toBe('let y = 0;\nfunction f() { { let x = 1; } return y; }\n');
+    });
+  });
+
+  describe('properties and variables', function() {
+    it('should not rename properties that share the name of a variable', function() {
+      var source = 'const name = "a";\nconst o = { name: name };\no.name = name;\n';
+      expect(renameAt(source, 'name', 0, 'label')).toBe(
+        'const label = "a";\nconst o = { name: label };\no.name = label;\n'
+      );
+    });
+
+    it('should keep the property of a shorthand', function() {
+      var source = 'const x = 1;\nconst o = { x };\nconst { x: y, z = x } = o;\n';
+      expect(renameAt(source, 'x', 0, 'px')).toBe(
+        'const px = 1;\nconst o = { x: px };\nconst { x: y, z = px } = o;\n'
+      );
+    });
+
+    it('should keep the property of a destructured shorthand', function() {
+      var source = 'function f({ size }) { return size; }\n';
+      expect(renameAt(source, 'size;', 0, 'n')).toBe('function f({ size: n }) { return n; }\n');
+    });
+
+    it('should rename class members through instances and this', function() {
+      var source =
+        'class Counter {\n' +
+        '  constructor() { this.count = 0; }\n' +
+        '  add() { this.count++; }\n' +
+        '}\n' +
+        'const c = new Counter();\n' +
+        'c.count;\n' +
+        'const other = { count: 1 };\n' +
+        'other.count;\n';
+      expect(renameAt(source, 'count;', 0, 'total')).toBe(
+        'class Counter {\n' +
+        '  constructor() { this.total = 0; }\n' +
+        '  add() { this.total++; }\n' +
+        '}\n' +
+        'const c = new Counter();\n' +
+        'c.total;\n' +
+        'const other = { count: 1 };\n' +
+        'other.count;\n'
+      );
+    });
+  });
+
+  describe('modules', function() {
+    it('should keep imported and exported names', function() {
+      var source = 'import { a, b as c } from "./m.js";\na(c);\nexport { a };\n';
+      expect(renameAt(source, 'a(', 0, 'first')).toBe(
+        'import { a as first, b as c } from "./m.js";\nfirst(c);\nexport { first as a };\n'
+      );
+    });
+  });
+});
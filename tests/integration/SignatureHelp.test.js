@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Integration tests for signature help
+ */
+
+describe('SignatureHelp', function() {
+  var TypeChecker = CodeEditor.TypeChecker;
+  var TypeKind = CodeEditor.TypeKind;
+
+  var checker;
+
+  var PRELUDE =
+    'class Base { constructor(x, y) {} greet(name) { return "hi"; } }\n' +
+    'class Foo extends Base { bar(a, b = 1) { return 2; } }\n' +
+    'const f = new Foo(1, 2);\n' +
+    'function add(x, y) { return x + y; }\n' +
+    'const arr = [1, 2, 3];\n';
+
+  beforeEach(function() {
+    checker = TypeChecker.create();
+  });
+
+  /**
+   * Helper: Get signature help at the '|' marker in source
+   */
+  function helpAt(source) {
+    var offset = source.indexOf('|');
+    return checker.getSignatureHelpAtOffset(source.replace('|', ''), offset);
+  }
+
+  function paramNames(help) {
+    return help.signature.params.map(function(param) {
+      return param.name;
+    });
+  }
+
+  describe('call context', function() {
+    it('should count top-level commas only', function() {
+      var source = 'add(g(1, 2), [3, 4], "a,b", ';
+      var context = checker.getCallContext(source, source.length);
+      expect(context.start).toBe(3);
+      expect(context.argumentIndex).toBe(3);
+    });
+
+    it('should not treat statement headers as calls', function() {
+      expect(checker.getCallContext('if (a, ', 7)).toBeNull();
+      expect(checker.getCallContext('function q(a, ', 14)).toBeNull();
+    });
+
+    it('should stop at blocks and statement ends', function() {
+      expect(checker.getCallContext('add(1, 2); x', 12)).toBeNull();
+      expect(checker.getCallContext('add(() => { x', 13)).toBeNull();
+    });
+  });
+
+  describe('signatures', function() {
+    it('should give the parameters of a declared function', function() {
+      var help = helpAt(PRELUDE + 'add(1, |)');
+      expect(help.name).toBe('add');
+      expect(paramNames(help)).toEqual(['x', 'y']);
+      expect(help.activeParameter).toBe(1);
+    });
+
+    it('should work while the argument list is still open', function() {
+      var help = helpAt(PRELUDE + 'function w() { add(|\n}');
+      expect(help.name).toBe('add');
+    });
+
+    it('should name the declaring class of a method', function() {
+      var help = helpAt(PRELUDE + 'f.greet(|)');
+      expect(help.containerName).toBe('Base');
+      expect(paramNames(help)).toEqual(['name']);
+    });
+
+    it('should use the inherited constructor for new expressions', function() {
+      var help = helpAt(PRELUDE + 'new Foo(|)');
+      expect(help.isConstructor).toBe(true);
+      expect(paramNames(help)).toEqual(['x', 'y']);
+    });
+
+    it('should keep extra arguments on a rest parameter', function() {
+      var help = helpAt('Math.max(1, 2, 3, |)');
+      expect(help.activeParameter).toBe(0);
+    });
+
+    it('should return null for unknown callees', function() {
+      expect(helpAt(PRELUDE + 'f.nope(|)')).toBeNull();
+    });
+  });
+
+  describe('array callbacks', function() {
+    it('should instantiate callback parameters from the element type', function() {
+      var help = helpAt(PRELUDE + 'arr.map(n => |)');
+      var callback = help.signature.params[0].type;
+
+      expect(callback.kind).toBe(TypeKind.FUNCTION);
+      expect(callback.params[0].type.kind).toBe(TypeKind.NUMBER);
+    });
+
+    it('should leave methods without callbacks unchanged', function() {
+      var help = helpAt(PRELUDE + 'arr.push(|)');
+      expect(paramNames(help)).toEqual(['items']);
+    });
+  });
+});
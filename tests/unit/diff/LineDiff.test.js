@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Unit tests for LineDiff
+ */
+
+describe('LineDiff', function() {
+  var LineDiff = CodeEditor.LineDiff;
+
+  /**
+   * Helper: Compact a change as 'originalStart-originalEnd:modifiedStart-modifiedEnd'
+   */
+  function ranges(changes) {
+    return changes.map(function(change) {
+      return change.originalStart + '-' + change.originalEnd + ':' + change.modifiedStart + '-' + change.modifiedEnd;
+    });
+  }
+
+  /**
+   * Helper: Revert every change of the modified text, last one first
+   */
+  function revertAll(original, modified) {
+    var changes = LineDiff.compute(original, modified);
+    var text = modified;
+
+    for (var i = changes.length - 1; i >= 0; i--) {
+      var edit = LineDiff.revertEdit(changes[i], original, modified);
+      text = text.slice(0, edit.start) + edit.text + text.slice(edit.end);
+    }
+    return text;
+  }
+
+  describe('compute', function() {
+    it('should find no changes between identical texts', function() {
+      expect(LineDiff.compute('a\nb\nc', 'a\nb\nc')).toEqual([]);
+      expect(LineDiff.compute('', '')).toEqual([]);
+    });
+
+    it('should report a change of every line against an empty side', function() {
+      expect(ranges(LineDiff.compute('', 'a\nb'))).toEqual(['0-1:0-2']);
+      expect(ranges(LineDiff.compute('a\nb', ''))).toEqual(['0-2:0-1']);
+    });
+
+    it('should report insertions and deletions as empty ranges on one side', function() {
+      expect(ranges(LineDiff.compute('a\nc', 'a\nb\nc'))).toEqual(['1-1:1-2']);
+      expect(ranges(LineDiff.compute('a\nb\nc', 'a\nc'))).toEqual(['1-2:1-1']);
+    });
+
+    it('should report all-insert and all-delete edits between unchanged lines', function() {
+      expect(ranges(LineDiff.compute('x\ny', 'x\n1\n2\n3\ny'))).toEqual(['1-1:1-4']);
+      expect(ranges(LineDiff.compute('x\n1\n2\n3\ny', 'x\ny'))).toEqual(['1-4:1-1']);
+    });
+
+    it('should keep the common lines between separate changes', function() {
+      var original = 'a\nb\nc\nd\ne';
+      var modified = 'a\nB\nc\nd\ne\nf';
+      expect(ranges(LineDiff.compute(original, modified))).toEqual(['1-2:1-2', '5-5:5-6']);
+    });
+
+    it('should see a missing trailing newline as a changed last line', function() {
+      expect(ranges(LineDiff.compute('a\nb\n', 'a\nb'))).toEqual(['2-3:2-2']);
+      expect(ranges(LineDiff.compute('a\nb', 'a\nb\n'))).toEqual(['2-2:2-3']);
+    });
+
+    it('should count the lines removed and added', function() {
+      var changes = LineDiff.compute('a\nb\nc', 'a\nB\nC\nD');
+      expect(LineDiff.countLines(changes)).toEqual({ removed: 2, added: 3 });
+    });
+  });
+
+  describe('computeWords', function() {
+    it('should find the changed words inside a line', function() {
+      var changes = LineDiff.computeWords('const total = a + b;', 'const sum = a + b;');
+      expect(changes).toEqual([{ originalStart: 6, originalEnd: 11, modifiedStart: 6, modifiedEnd: 9 }]);
+    });
+  });
+
+  describe('revertEdit', function() {
+    it('should give back the original lines of a change in the middle', function() {
+      var original = 'a\nb\nc\n';
+      var modified = 'a\nB\nB2\nc\n';
+      var changes = LineDiff.compute(original, modified);
+      expect(LineDiff.revertEdit(changes[0], original, modified)).toEqual({ start: 2, end: 7, text: 'b\n' });
+    });
+
+    it('should round-trip insertions, deletions and replacements', function() {
+      var pairs = [
+        ['', ''],
+        ['', 'a\nb'],
+        ['a\nb', ''],
+        ['a\nb\nc', 'a\nb\nc'],
+        ['x\ny', 'x\n1\n2\ny'],
+        ['x\n1\n2\ny', 'x\ny'],
+        ['a\nb\n', 'a\nb'],
+        ['a\nb', 'a\nb\n'],
+        ['one\ntwo\nthree', 'zero\none\nthree\nfour'],
+        ['a\nb\nc\nd', 'b\nd\ne']
+      ];
+
+      pairs.forEach(function(pair) {
+        expect(revertAll(pair[0], pair[1])).toBe(pair[0]);
+      });
+    });
+
+    it('should round-trip random edits', function() {
+      var lines = ['a', 'b', 'c', '', 'long line'];
+      var seed = 3;
+
+      // Deterministic, so a failure can be replayed
+      function random(n) {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return Math.floor(seed / 0x80000000 * n);
+      }
+
+      function randomText() {
+        var count = random(8);
+        var text = [];
+        for (var i = 0; i < count; i++) {
+          text.push(lines[random(lines.length)]);
+        }
+        return text.join('\n');
+      }
+
+      for (var i = 0; i < 100; i++) {
+        var original = randomText();
+        var modified = randomText();
+        expect(revertAll(original, modified)).toBe(original);
+      }
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Unit tests for the bracket ranges of FoldingRanges
+ */
+
+describe('FoldingRanges', function() {
+  var FoldingRanges = CodeEditor.FoldingRanges;
+
+  var IF_BLOCK = 'if (x) {\n  y();\n}\n';
+
+  function rangesOf(text, language) {
+    return FoldingRanges.compute(text, language || 'javascript').map(function(range) {
+      return range.startLine + '-' + range.endLine;
+    });
+  }
+
+  describe('brackets', function() {
+    it('should fold blocks up to the line before their closing bracket', function() {
+      expect(rangesOf('function f() {\n  if (x) {\n    y();\n  }\n}\n')).toEqual(['0-3', '1-2']);
+    });
+
+    it('should fold brackets closed after text on their line', function() {
+      expect(rangesOf('call(a,\n  b);\n')).toEqual(['0-1']);
+    });
+  });
+
+  describe('brackets that do not pair', function() {
+    it('should skip brackets in strings and comments', function() {
+      expect(rangesOf('const s = "}";\n// }\n' + IF_BLOCK)).toEqual(['2-3']);
+      expect(rangesOf('function f() {\n  var s = \'}\';\n  /* ) */\n}\n')).toEqual(['0-2']);
+    });
+
+    it('should skip brackets in regular expressions', function() {
+      expect(rangesOf('function f(s) {\n  return /[}]/.test(s);\n}\n')).toEqual(['0-1']);
+      expect(rangesOf('const r = /[/*]/g;\n' + IF_BLOCK)).toEqual(['1-2']);
+      expect(rangesOf('if (/\\)/.test(s)) {\n  y();\n}\n')).toEqual(['0-1']);
+    });
+
+    it('should read a slash after a value as a division', function() {
+      expect(rangesOf('const a = b / c / (d +\n  e);\n' + IF_BLOCK)).toEqual(['0-1', '2-3']);
+      expect(rangesOf('const a = (b) / 2, c = [1] / 3; const d = {\n  e: 1\n};\n')).toEqual(['0-1']);
+    });
+
+    it('should skip brackets in the text of template literals', function() {
+      expect(rangesOf('const t = `{\n  (`;\n' + IF_BLOCK)).toEqual(['2-3']);
+      expect(rangesOf('const t = `${ {a: 1}.a } }`;\n' + IF_BLOCK)).toEqual(['1-2']);
+    });
+
+    it('should fold code inside template substitutions', function() {
+      var text = 'const t = `<ul>${items.map(x => {\n  return `<li>${x}</li>`;\n})}</ul>`;\n' + IF_BLOCK;
+      expect(rangesOf(text)).toEqual(['0-2', '0-1', '3-4']);
+    });
+
+    it('should keep slashes in style sheets as divisions', function() {
+      expect(rangesOf('.a {\n  width: calc(100% / 2);\n}\n', 'css')).toEqual(['0-1']);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Unit tests for the parsers of GitRepository
+ *
+ * The fixtures come from a repository with one file of twelve lines,
+ * committed twice with line 5 changed, then packed by git gc: the older
+ * version of the file is stored as an OFS_DELTA against the newer one.
+ */
+
+describe('GitRepository', function() {
+  var GitRepository = CodeEditor.GitRepository;
+
+  var FILE_ID = 'f6ee43da4961e0e97f9877c8c46b897099d4affc';
+
+  // Objects of the pack, by id, with their offsets as listed by git verify-pack
+  var PACKED = [
+    ['498db9ab39dd8e6d843dd80152b3f99009912ad0', 138],
+    ['7bdf839c9c0bbadbc69792a21359473a13e1a232', 306],
+    ['858e7a08400d1dc863203983bb5d6a2222aa66b7', 350],
+    ['e3c5ed7b2040ab246b32ed6dbda7d59462841a96', 394],
+    ['ed0677c175ea4e4640668b268ef025ed7e2d592c', 12],
+    [FILE_ID, 232],
+  ];
+
+  // Index holding a.txt, sub/b.txt and sub/c.txt, then a TREE extension
+  var INDEX_V2 =
+    '4449524300000002000000036ad66b8d040835166ad66b8d040835160000fe0000cea09b000081a4' +
+    '000000000000000000000149f6ee43da4961e0e97f9877c8c46b897099d4affc0005612e74787400' +
+    '000000006ad66be53af416f96ad66be53af416f90000fe0000cea0a4000081a40000000000000000' +
+    '00000002587be6b4c3f93f93c489c0111bba5596147a26cb00097375622f622e747874006ad66be5' +
+    '3af416f96ad66be53af416f90000fe0000cea0ac000081a400000000000000000000000297' +
+    '5fbec8256d3e8a3797e7a3611380f27c49f4ac00097375622f632e74787400545245450000000600' +
+    '2d3120300a56d4c7e1a878be666d82d1ffc938a056498fd5bf';
+
+  // The same entries after git update-index --index-version 4
+  var INDEX_V4 =
+    '4449524300000004000000036ad66b8d040835166ad66b8d040835160000fe0000cea09b000081a4' +
+    '000000000000000000000149f6ee43da4961e0e97f9877c8c46b897099d4affc000500612e747874' +
+    '006ad66be53af416f96ad66be53af416f90000fe0000cea0a4000081a40000000000000000000000' +
+    '02587be6b4c3f93f93c489c0111bba5596147a26cb0009057375622f622e747874006ad66be53af4' +
+    '16f96ad66be53af416f90000fe0000cea0ac000081a4000000000000000000000002975fbec8256d' +
+    '3e8a3797e7a3611380f27c49f4ac000905632e747874005452454500000006002d3120300acb9740' +
+    'ec5be5c1e69d6264a2f6b43fb1becd6797';
+
+  /**
+   * Helper: Bytes of a hex string
+   */
+  function bytes(hex) {
+    var result = new Uint8Array(hex.length / 2);
+    for (var i = 0; i < result.length; i++) {
+      result[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return result;
+  }
+
+  function text(data) {
+    return new TextDecoder().decode(data);
+  }
+
+  /**
+   * Helper: Content of the fixture file, with line 5 as given
+   */
+  function fileContent(line5) {
+    var lines = [];
+    for (var i = 0; i < 12; i++) {
+      lines.push('line ' + (i === 5 ? line5 : i) + ' of the fixture file\n');
+    }
+    return lines.join('');
+  }
+
+  /**
+   * Helper: Write a version 2 pack index, as git does but with zero CRCs
+   * and checksums. Offsets of 2 GB and over go to the table of large ones.
+   * @param {Array<[string, number]>} objects - Id and offset, sorted by id
+   */
+  function packIndex(objects) {
+    var count = objects.length;
+    var large = objects.filter(function(object) {
+      return object[1] >= 0x80000000;
+    });
+    var data = new Uint8Array(8 + 256 * 4 + count * 28 + large.length * 8 + 40);
+    var view = new DataView(data.buffer);
+    view.setUint32(0, 0xff744f63);
+    view.setUint32(4, 2);
+
+    var idsStart = 8 + 256 * 4;
+    var offsetsStart = idsStart + count * 24;
+    var largeStart = offsetsStart + count * 4;
+    var largeCount = 0;
+
+    objects.forEach(function(object, i) {
+      var first = parseInt(object[0].slice(0, 2), 16);
+      for (var j = first; j < 256; j++) {
+        view.setUint32(8 + j * 4, view.getUint32(8 + j * 4) + 1);
+      }
+      data.set(bytes(object[0]), idsStart + i * 20);
+
+      if (object[1] >= 0x80000000) {
+        view.setUint32(offsetsStart + i * 4, 0x80000000 | largeCount);
+        view.setUint32(largeStart + largeCount * 8, Math.floor(object[1] / 0x100000000));
+        view.setUint32(largeStart + largeCount * 8 + 4, object[1] % 0x100000000);
+        largeCount++;
+      } else {
+        view.setUint32(offsetsStart + i * 4, object[1]);
+      }
+    });
+    return data;
+  }
+
+  describe('loose objects', function() {
+    it('should split an inflated object into its type and content', function() {
+      var object = GitRepository.parseObject(new TextEncoder().encode('blob 12\0hello world\n'));
+
+      expect(object.type).toBe('blob');
+      expect(text(object.data)).toBe('hello world\n');
+    });
+
+    it('should keep the NULs of the content', function() {
+      var object = GitRepository.parseObject(new TextEncoder().encode('tree 3\0a\0b'));
+
+      expect(object.type).toBe('tree');
+      expect(Array.from(object.data)).toEqual([0x61, 0, 0x62]);
+    });
+  });
+
+  describe('pack index', function() {
+    it('should find the offset of every object', function() {
+      var index = GitRepository.parsePackIndex(packIndex(PACKED));
+
+      expect(index.offsets).toHaveLength(6);
+      expect(index.sortedOffsets).toEqual([12, 138, 232, 306, 350, 394]);
+      PACKED.forEach(function(object) {
+        expect(GitRepository.findInPackIndex(index, object[0])).toBe(object[1]);
+      });
+    });
+
+    it('should return -1 for objects not in the pack', function() {
+      var index = GitRepository.parsePackIndex(packIndex(PACKED));
+
+      expect(GitRepository.findInPackIndex(index, 'e3c5ed7b2040ab246b32ed6dbda7d59462841a97')).toBe(-1);
+      expect(GitRepository.findInPackIndex(index, '0000000000000000000000000000000000000000')).toBe(-1);
+      expect(GitRepository.findInPackIndex(index, 'ffffffffffffffffffffffffffffffffffffffff')).toBe(-1);
+    });
+
+    it('should read offsets from the table of large ones', function() {
+      var index = GitRepository.parsePackIndex(packIndex([
+        [PACKED[0][0], 12],
+        [FILE_ID, 0x123456789],
+      ]));
+
+      expect(GitRepository.findInPackIndex(index, FILE_ID)).toBe(0x123456789);
+      expect(GitRepository.findInPackIndex(index, PACKED[0][0])).toBe(12);
+    });
+
+    it('should refuse other versions', function() {
+      var data = packIndex(PACKED);
+      data[7] = 1;
+
+      expect(function() { GitRepository.parsePackIndex(data); }).toThrow('Unsupported pack index version');
+    });
+  });
+
+  describe('pack objects', function() {
+    it('should parse the header of a whole object', function() {
+      var header = GitRepository.parsePackObjectHeader(bytes('b914789c'), 232);
+
+      expect(header).toEqual({ type: 3, baseOffset: -1, baseId: null, length: 2 });
+    });
+
+    it('should find the base of an OFS_DELTA before the object', function() {
+      var header = GitRepository.parsePackObjectHeader(bytes('6e8022789c'), 394);
+
+      expect(header).toEqual({ type: 6, baseOffset: 232, baseId: null, length: 3 });
+    });
+
+    it('should read the base id of a REF_DELTA', function() {
+      var header = GitRepository.parsePackObjectHeader(bytes('7e' + FILE_ID + '789c'), 394);
+
+      expect(header).toEqual({ type: 7, baseOffset: -1, baseId: FILE_ID, length: 21 });
+    });
+
+    it('should rebuild an object from its delta', function() {
+      var base = new TextEncoder().encode(fileContent('FIVE'));
+      // The inflated data of the OFS_DELTA at offset 394
+      var delta = bytes('c902c602908c013591211a91aa9f');
+
+      expect(text(GitRepository.applyDelta(base, delta))).toBe(fileContent(5));
+    });
+
+    it('should reject a delta with a zero command', function() {
+      expect(function() {
+        GitRepository.applyDelta(new Uint8Array(1), bytes('010100'));
+      }).toThrow('Invalid delta');
+    });
+  });
+
+  describe('index', function() {
+    var ENTRIES = [
+      ['a.txt', { id: FILE_ID, size: 329, mtime: 1792437133067, stage: 0 }],
+      ['sub/b.txt', { id: '587be6b4c3f93f93c489c0111bba5596147a26cb', size: 2, mtime: 1792437221989, stage: 0 }],
+      ['sub/c.txt', { id: '975fbec8256d3e8a3797e7a3611380f27c49f4ac', size: 2, mtime: 1792437221989, stage: 0 }],
+    ];
+
+    it('should read the entries of a version 2 index', function() {
+      expect(Array.from(GitRepository.parseIndex(bytes(INDEX_V2)))).toEqual(ENTRIES);
+    });
+
+    it('should rebuild the prefix-compressed paths of a version 4 index', function() {
+      expect(Array.from(GitRepository.parseIndex(bytes(INDEX_V4)))).toEqual(ENTRIES);
+    });
+
+    it('should refuse files that are not an index', function() {
+      expect(function() { GitRepository.parseIndex(bytes('5041434b00000002')); }).toThrow('Not a git index');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Unit tests for Document
+ */
+
+describe('Document', function() {
+  var Document = CodeEditor.Document;
+
+  describe('lines', function() {
+    it('should read lines and their lengths', function() {
+      var doc = new Document('const a = 1;\n\n  return a;');
+      expect(doc.getLineCount()).toBe(3);
+      expect(doc.getLine(0)).toBe('const a = 1;');
+      expect(doc.getLine(1)).toBe('');
+      expect(doc.getLine(2)).toBe('  return a;');
+      expect(doc.getLineLength(0)).toBe(12);
+      expect(doc.getLineLength(2)).toBe(11);
+    });
+
+    it('should return nothing for lines outside the document', function() {
+      var doc = new Document('a\nb');
+      expect(doc.getLine(-1)).toBe('');
+      expect(doc.getLine(2)).toBe('');
+      expect(doc.getLineLength(5)).toBe(0);
+    });
+
+    it('should read lines the same before and after the line cache fills', function() {
+      var doc = new Document('one\ntwo');
+      doc.insert(3, '\nmiddle');
+      expect(doc.getLine(1)).toBe('middle');
+      expect(doc.getLines()).toEqual(['one', 'middle', 'two']);
+      expect(doc.getLine(2)).toBe('two');
+    });
+  });
+
+  describe('positions', function() {
+    it('should convert offsets to positions and back', function() {
+      var doc = new Document('ab\ncde\n\nf');
+      var positions = [
+        [0, 0, 0], [2, 0, 2], [3, 1, 0], [6, 1, 3], [7, 2, 0], [8, 3, 0], [9, 3, 1]
+      ];
+
+      positions.forEach(function(position) {
+        expect(doc.offsetToPosition(position[0])).toEqual({ line: position[1], column: position[2] });
+        expect(doc.positionToOffset(position[1], position[2])).toBe(position[0]);
+      });
+    });
+
+    it('should clamp offsets and columns', function() {
+      var doc = new Document('ab\ncd');
+      expect(doc.offsetToPosition(-3)).toEqual({ line: 0, column: 0 });
+      expect(doc.offsetToPosition(99)).toEqual({ line: 1, column: 2 });
+      expect(doc.positionToOffset(0, 10)).toBe(2);
+      expect(doc.positionToOffset(7, 0)).toBe(5);
+    });
+  });
+
+  describe('changes', function() {
+    it('should report the replaced text and the lines it touched', function() {
+      var doc = new Document('one\ntwo\nthree');
+      var changes = [];
+      doc.on('change', function(change) {
+        changes.push(change);
+      });
+
+      doc.replaceRange(4, 7, 'TWO\n2');
+
+      expect(doc.getText()).toBe('one\nTWO\n2\nthree');
+      expect(changes).toHaveLength(1);
+      expect(changes[0].deletedText).toBe('two');
+      expect(changes[0].newEndOffset).toBe(9);
+      expect(changes[0].startLine).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Unit tests for PieceTable
+ */
+
+describe('PieceTable', function() {
+  var PieceTable = CodeEditor.PieceTable;
+
+  /**
+   * Helper: Expect a piece table to hold exactly the given text, line by line
+   */
+  function expectText(table, text) {
+    var lines = text.split('\n');
+    var offset = 0;
+
+    expect(table.getLength()).toBe(text.length);
+    expect(table.getTextRange(0, table.getLength())).toBe(text);
+    expect(table.getLineCount()).toBe(lines.length);
+
+    for (var i = 0; i < lines.length; i++) {
+      expect(table.getLineStartOffset(i)).toBe(offset);
+      expect(table.getLineLength(i)).toBe(lines[i].length);
+      offset += lines[i].length + 1;
+    }
+  }
+
+  describe('reading', function() {
+    it('should hold the initial text', function() {
+      expectText(new PieceTable('one\ntwo\n\nfour'), 'one\ntwo\n\nfour');
+    });
+
+    it('should be empty with one line by default', function() {
+      var table = new PieceTable();
+      expectText(table, '');
+      expect(table.getTextRange(0, 10)).toBe('');
+    });
+
+    it('should clamp ranges to the text', function() {
+      var table = new PieceTable('abc');
+      expect(table.getTextRange(-5, 2)).toBe('ab');
+      expect(table.getTextRange(1, 50)).toBe('bc');
+      expect(table.getTextRange(2, 1)).toBe('');
+    });
+
+    it('should find the line of each offset', function() {
+      var table = new PieceTable('ab\n\ncd\n');
+      var lines = [0, 0, 0, 1, 2, 2, 2, 3];
+      for (var offset = 0; offset < lines.length; offset++) {
+        expect(table.getLineIndexAt(offset)).toBe(lines[offset]);
+      }
+      expect(table.getLineIndexAt(100)).toBe(3);
+    });
+  });
+
+  describe('editing', function() {
+    it('should insert, delete and replace across pieces', function() {
+      var table = new PieceTable('hello world');
+      table.replace(5, 5, ',\n');
+      table.replace(0, 0, '> ');
+      table.replace(9, 15, 'there');
+      expectText(table, '> hello,\nthere');
+
+      table.replace(3, 10, '');
+      expectText(table, '> hhere');
+    });
+
+    it('should start over on reset', function() {
+      var table = new PieceTable('a\nb');
+      table.replace(1, 1, 'xyz');
+      table.reset('new\ntext\n');
+      expectText(table, 'new\ntext\n');
+    });
+
+    it('should match a plain string over random edits', function() {
+      var texts = ['', 'a', '\n', 'xy\nz', '\n\n', 'long piece of text\n'];
+      var seed = 7;
+      var table = new PieceTable('first line\nsecond line\n');
+      var text = 'first line\nsecond line\n';
+
+      // Deterministic, so a failure can be replayed
+      function random(n) {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return Math.floor(seed / 0x80000000 * n);
+      }
+
+      for (var i = 0; i < 300; i++) {
+        var start = random(text.length + 1);
+        var end = Math.min(text.length, start + random(6));
+        var inserted = texts[random(texts.length)];
+
+        table.replace(start, end, inserted);
+        text = text.slice(0, start) + inserted + text.slice(end);
+
+        var from = random(text.length + 1);
+        expect(table.getTextRange(from, from + 8)).toBe(text.slice(from, from + 8));
+        expect(table.getLineIndexAt(from)).toBe(text.slice(0, from).split('\n').length - 1);
+      }
+
+      expectText(table, text);
+    });
+  });
+});
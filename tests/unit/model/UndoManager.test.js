@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Unit tests for UndoManager
+ */
+
+describe('UndoManager', function() {
+  var UndoManager = CodeEditor.UndoManager;
+  var UndoLabel = CodeEditor.UndoLabel;
+  var Selection = CodeEditor.Selection;
+  var SelectionCollection = CodeEditor.SelectionCollection;
+
+  var history;
+
+  beforeEach(function() {
+    history = new UndoManager();
+  });
+
+  function cursorAt(offset) {
+    return new SelectionCollection([Selection.cursor(offset)]);
+  }
+
+  /**
+   * Helper: Record an edit as the editor does: the change with the
+   * selections before it, then the selections it leaves
+   */
+  function edit(startOffset, deletedText, insertedText, selectionsBefore) {
+    history.record(
+      { startOffset: startOffset, deletedText: deletedText, insertedText: insertedText },
+      selectionsBefore || cursorAt(startOffset + deletedText.length)
+    );
+    history.settle(cursorAt(startOffset + insertedText.length));
+  }
+
+  function type(offset, text) {
+    edit(offset, '', text);
+  }
+
+  function entries() {
+    return history.getHistory().entries;
+  }
+
+  function insertedTexts(entry) {
+    return entry.changes.map(function(change) {
+      return change.insertedText;
+    }).join('');
+  }
+
+  describe('typing coalescing', function() {
+    it('should merge consecutive typing into one entry', function() {
+      type(0, 'a');
+      type(1, 'b');
+      type(2, 'c');
+
+      expect(entries()).toHaveLength(1);
+      expect(entries()[0].label).toBe(UndoLabel.TYPING);
+      expect(insertedTexts(entries()[0])).toBe('abc');
+      expect(entries()[0].selectionsBefore.primary.cursor).toBe(0);
+      expect(entries()[0].selectionsAfter.primary.cursor).toBe(3);
+    });
+
+    it('should start a new entry at the start of a new word', function() {
+      type(0, 'f');
+      type(1, 'oo');
+      type(3, ' ');
+      type(4, 'b');
+      type(5, 'ar');
+
+      expect(entries().map(insertedTexts)).toEqual(['foo ', 'bar']);
+    });
+
+    it('should keep punctuation typed after a word in its entry', function() {
+      type(0, 'a');
+      type(1, '.');
+      type(2, '(');
+
+      expect(entries()).toHaveLength(1);
+    });
+
+    it('should start a new entry after a pause', function() {
+      type(0, 'a');
+      history.getUndoStack()[0].timestamp -= 1001;
+      type(1, 'b');
+
+      expect(entries().map(insertedTexts)).toEqual(['a', 'b']);
+    });
+
+    it('should start a new entry when the cursor moved between edits', function() {
+      type(0, 'ab');
+      type(1, 'c');
+
+      expect(entries()).toHaveLength(2);
+    });
+
+    it('should merge consecutive deletions but not a deletion into typing', function() {
+      type(0, 'abc');
+      edit(2, 'c', '');
+      edit(1, 'b', '');
+
+      expect(entries()).toHaveLength(2);
+      expect(entries()[1].label).toBe(UndoLabel.DELETE);
+      expect(entries()[1].changes).toHaveLength(2);
+    });
+
+    it('should start a new entry when typing over a selection', function() {
+      type(0, 'ab');
+      edit(0, 'ab', 'x', new SelectionCollection([Selection.range(2, 0)]));
+
+      expect(entries().map(insertedTexts)).toEqual(['ab', 'x']);
+    });
+
+    it('should not merge across closeGroup()', function() {
+      type(0, 'a');
+      history.closeGroup();
+      type(1, 'b');
+
+      expect(entries()).toHaveLength(2);
+    });
+  });
+
+  describe('transactions', function() {
+    it('should record the changes of a transaction as one entry', function() {
+      history.begin('Move Line Up', cursorAt(4));
+      history.record({ startOffset: 0, deletedText: 'a\n', insertedText: '' }, cursorAt(4));
+      history.record({ startOffset: 2, deletedText: '', insertedText: 'a\n' }, cursorAt(0));
+      history.end(cursorAt(0));
+
+      expect(entries()).toHaveLength(1);
+      expect(entries()[0].label).toBe('Move Line Up');
+      expect(entries()[0].changes).toHaveLength(2);
+      expect(entries()[0].selectionsBefore.primary.cursor).toBe(4);
+      expect(entries()[0].selectionsAfter.primary.cursor).toBe(0);
+    });
+
+    it('should nest into the outermost transaction', function() {
+      history.begin(null, cursorAt(0));
+      history.begin('Paste', cursorAt(0));
+      history.record({ startOffset: 0, deletedText: '', insertedText: 'x' }, cursorAt(0));
+      history.end(cursorAt(1));
+
+      expect(history.isInTransaction()).toBe(true);
+      expect(entries()).toHaveLength(0);
+
+      history.end(cursorAt(1));
+      expect(history.isInTransaction()).toBe(false);
+      expect(entries()).toHaveLength(1);
+      expect(entries()[0].label).toBe('Paste');
+    });
+
+    it('should not add an entry for a transaction without changes', function() {
+      history.begin('Nothing', cursorAt(0));
+      history.end(cursorAt(0));
+
+      expect(history.canUndo()).toBe(false);
+    });
+
+    it('should merge unlabelled transactions of typing, as typed at several cursors', function() {
+      var cursors = new SelectionCollection([Selection.cursor(0), Selection.cursor(4)]);
+      history.begin(null, cursors);
+      history.record({ startOffset: 4, deletedText: '', insertedText: 'a' }, cursors);
+      history.record({ startOffset: 0, deletedText: '', insertedText: 'a' }, cursors);
+      cursors = new SelectionCollection([Selection.cursor(1), Selection.cursor(6)]);
+      history.end(cursors);
+
+      history.begin(null, cursors);
+      history.record({ startOffset: 6, deletedText: '', insertedText: 'b' }, cursors);
+      history.record({ startOffset: 1, deletedText: '', insertedText: 'b' }, cursors);
+      history.end(new SelectionCollection([Selection.cursor(2), Selection.cursor(8)]));
+
+      expect(entries()).toHaveLength(1);
+      expect(entries()[0].changes).toHaveLength(4);
+    });
+
+    it('should not merge typing into a labelled transaction', function() {
+      history.begin('Paste', cursorAt(0));
+      history.record({ startOffset: 0, deletedText: '', insertedText: 'a' }, cursorAt(0));
+      history.end(cursorAt(1));
+      type(1, 'b');
+
+      expect(entries()).toHaveLength(2);
+    });
+  });
+
+  describe('undo and redo', function() {
+    /**
+     * Helper: One typing entry, then a transaction of two changes
+     */
+    function recordGroup() {
+      type(0, 'abc');
+      history.begin('Indent', cursorAt(3));
+      history.record({ startOffset: 0, deletedText: '', insertedText: '  ' }, cursorAt(3));
+      history.record({ startOffset: 6, deletedText: '', insertedText: '  ' }, cursorAt(5));
+      history.end(cursorAt(5));
+    }
+
+    it('should undo then redo a group as a whole', function() {
+      recordGroup();
+
+      var undone = history.undo();
+      expect(undone.label).toBe('Indent');
+      expect(undone.changes).toHaveLength(2);
+      expect(history.getHistory().index).toBe(1);
+      expect(history.canRedo()).toBe(true);
+
+      var redone = history.redo();
+      expect(redone).toBe(undone);
+      expect(history.getHistory().index).toBe(2);
+      expect(history.canRedo()).toBe(false);
+    });
+
+    it('should undo every entry back to the start and redo them in order', function() {
+      recordGroup();
+
+      expect(history.undo().label).toBe('Indent');
+      expect(history.undo().label).toBe(UndoLabel.TYPING);
+      expect(history.undo()).toBeNull();
+
+      expect(history.redo().label).toBe(UndoLabel.TYPING);
+      expect(history.redo().label).toBe('Indent');
+      expect(history.redo()).toBeNull();
+    });
+
+    it('should not merge typing after a redo into the redone entry', function() {
+      type(0, 'a');
+      history.undo();
+      history.redo();
+      type(1, 'b');
+
+      expect(entries().map(insertedTexts)).toEqual(['a', 'b']);
+    });
+
+    it('should drop the redo stack on a new edit', function() {
+      recordGroup();
+      history.undo();
+      type(3, 'd');
+
+      expect(history.canRedo()).toBe(false);
+      expect(entries()).toHaveLength(2);
+    });
+
+    it('should tell listeners when the stacks change', function() {
+      var changes = 0;
+      history.on('change', function() {
+        changes++;
+      });
+
+      type(0, 'a');
+      history.undo();
+      history.redo();
+      history.undo();
+      history.undo();
+
+      expect(changes).toBe(4);
+    });
+  });
+});
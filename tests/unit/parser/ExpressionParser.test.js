@@ -222,4 +222,267 @@ describe('ExpressionParser', function() {
       expect(ast.body[0].async).toBe(true);
     });
   });
+
+  describe('control flow statements', function() {
+    it('should parse if/else', function() {
+      var ast = ExpressionParser.parse('if (a) { b(); } else c();');
+      var stmt = ast.body[0];
+      expect(stmt.type).toBe(NodeType.IF_STATEMENT);
+      expect(stmt.consequent.type).toBe(NodeType.BLOCK_STATEMENT);
+      expect(stmt.alternate.type).toBe(NodeType.EXPRESSION_STATEMENT);
+    });
+
+    it('should parse for statement', function() {
+      var ast = ExpressionParser.parse('for (let i = 0; i < n; i++) {}');
+      var stmt = ast.body[0];
+      expect(stmt.type).toBe(NodeType.FOR_STATEMENT);
+      expect(stmt.init.kind).toBe('let');
+      expect(stmt.test.operator).toBe('<');
+      expect(stmt.update.type).toBe(NodeType.UPDATE_EXPRESSION);
+    });
+
+    it('should parse for-of and for-in', function() {
+      var ast = ExpressionParser.parse('for (const [k, v] of pairs) {}\nfor (key in obj) ;');
+      expect(ast.body[0].type).toBe(NodeType.FOR_OF_STATEMENT);
+      expect(ast.body[0].left.declarations[0].id.type).toBe(NodeType.ARRAY_PATTERN);
+      expect(ast.body[1].type).toBe(NodeType.FOR_IN_STATEMENT);
+      expect(ast.body[1].left.name).toBe('key');
+    });
+
+    it('should parse while and do-while', function() {
+      var ast = ExpressionParser.parse('while (x) x--;\ndo { x++; } while (x < 3)');
+      expect(ast.body[0].type).toBe(NodeType.WHILE_STATEMENT);
+      expect(ast.body[1].type).toBe(NodeType.DO_WHILE_STATEMENT);
+    });
+
+    it('should parse switch statement', function() {
+      var ast = ExpressionParser.parse('switch (x) { case 1: a(); break; default: b(); }');
+      var stmt = ast.body[0];
+      expect(stmt.type).toBe(NodeType.SWITCH_STATEMENT);
+      expect(stmt.cases).toHaveLength(2);
+      expect(stmt.cases[0].consequent).toHaveLength(2);
+      expect(stmt.cases[1].test).toBeNull();
+    });
+
+    it('should parse try/catch/finally', function() {
+      var ast = ExpressionParser.parse('try { a(); } catch ({ message }) {} finally { b(); }');
+      var stmt = ast.body[0];
+      expect(stmt.type).toBe(NodeType.TRY_STATEMENT);
+      expect(stmt.handler.param.type).toBe(NodeType.OBJECT_PATTERN);
+      expect(stmt.finalizer.body).toHaveLength(1);
+    });
+
+    it('should parse optional catch binding', function() {
+      var ast = ExpressionParser.parse('try {} catch {}');
+      expect(ast.body[0].handler.param).toBeNull();
+      expect(ast.errors).toHaveLength(0);
+    });
+
+    it('should parse labeled break and continue', function() {
+      var ast = ExpressionParser.parse('outer: for (;;) { continue outer; break; }');
+      var stmt = ast.body[0];
+      expect(stmt.type).toBe(NodeType.LABELED_STATEMENT);
+      expect(stmt.body.body.body[0].label.name).toBe('outer');
+      expect(stmt.body.body.body[1].label).toBeNull();
+    });
+
+    it('should parse throw statement', function() {
+      var ast = ExpressionParser.parse('throw new Error("x");');
+      expect(ast.body[0].type).toBe(NodeType.THROW_STATEMENT);
+      expect(ast.body[0].argument.type).toBe(NodeType.NEW_EXPRESSION);
+    });
+
+    it('should end return at a line break', function() {
+      var ast = ExpressionParser.parse('function f() { return\nx; }');
+      var body = ast.body[0].body.body;
+      expect(body[0].argument).toBeNull();
+      expect(body[1].type).toBe(NodeType.EXPRESSION_STATEMENT);
+    });
+  });
+
+  describe('modules', function() {
+    it('should parse import declarations', function() {
+      var ast = ExpressionParser.parse('import a, { b as c, d } from "m";\nimport * as ns from "n";');
+      var specifiers = ast.body[0].specifiers;
+      expect(specifiers[0].type).toBe(NodeType.IMPORT_DEFAULT_SPECIFIER);
+      expect(specifiers[1].imported.name).toBe('b');
+      expect(specifiers[1].local.name).toBe('c');
+      expect(specifiers[2].local.name).toBe('d');
+      expect(ast.body[0].source.value).toBe('m');
+      expect(ast.body[1].specifiers[0].type).toBe(NodeType.IMPORT_NAMESPACE_SPECIFIER);
+    });
+
+    it('should parse export declarations', function() {
+      var ast = ExpressionParser.parse(
+        'export const x = 1;\nexport default class {}\nexport { x as y };\nexport * from "m";'
+      );
+      expect(ast.body[0].declaration.type).toBe(NodeType.VARIABLE_DECLARATION);
+      expect(ast.body[1].declaration.type).toBe(NodeType.CLASS_DECLARATION);
+      expect(ast.body[1].declaration.id).toBeNull();
+      expect(ast.body[2].specifiers[0].exported.name).toBe('y');
+      expect(ast.body[3].type).toBe(NodeType.EXPORT_ALL_DECLARATION);
+    });
+
+    it('should parse dynamic import and import.meta', function() {
+      var ast = ExpressionParser.parse('import("./m");\nimport.meta.url;');
+      expect(ast.body[0].expression.type).toBe(NodeType.IMPORT_EXPRESSION);
+      expect(ast.body[1].expression.object.type).toBe(NodeType.META_PROPERTY);
+    });
+  });
+
+  describe('destructuring patterns', function() {
+    it('should parse object pattern with rename, default and rest', function() {
+      var ast = ExpressionParser.parse('const { a, b: c, d = 1, ...rest } = obj;');
+      var id = ast.body[0].declarations[0].id;
+      expect(id.type).toBe(NodeType.OBJECT_PATTERN);
+      expect(id.properties[1].value.name).toBe('c');
+      expect(id.properties[2].value.type).toBe(NodeType.ASSIGNMENT_PATTERN);
+      expect(id.properties[3].type).toBe(NodeType.REST_ELEMENT);
+    });
+
+    it('should parse nested array pattern with holes', function() {
+      var ast = ExpressionParser.parse('let [, [x], ...ys] = list;');
+      var elements = ast.body[0].declarations[0].id.elements;
+      expect(elements[0]).toBeNull();
+      expect(elements[1].type).toBe(NodeType.ARRAY_PATTERN);
+      expect(elements[2].argument.name).toBe('ys');
+    });
+
+    it('should parse destructured parameters', function() {
+      var ast = ExpressionParser.parse('function f({ x, y }, [z] = []) {}');
+      var params = ast.body[0].params;
+      expect(params[0].name.type).toBe(NodeType.OBJECT_PATTERN);
+      expect(params[1].name.type).toBe(NodeType.ARRAY_PATTERN);
+      expect(params[1].defaultValue.type).toBe(NodeType.ARRAY_LITERAL);
+    });
+
+    it('should convert assignment targets to patterns', function() {
+      var ast = ExpressionParser.parse('[a, b] = [b, a];');
+      expect(ast.body[0].expression.left.type).toBe(NodeType.ARRAY_PATTERN);
+    });
+
+    it('should list bound identifiers', function() {
+      var ast = ExpressionParser.parse('const { a, b: [c, ...d], e = 1 } = obj;');
+      var names = CodeEditor.getBoundIdentifiers(ast.body[0].declarations[0].id).map(function(id) {
+        return id.name;
+      });
+      expect(names).toEqual(['a', 'c', 'd', 'e']);
+    });
+  });
+
+  describe('ES2022 syntax', function() {
+    it('should parse private class members and static blocks', function() {
+      var ast = ExpressionParser.parse('class A { #x = 1; static { init(); } #m() { return this.#x; } }');
+      var members = ast.body[0].body.body;
+      expect(members[0].key.type).toBe(NodeType.PRIVATE_IDENTIFIER);
+      expect(members[0].key.name).toBe('#x');
+      expect(members[1].type).toBe(NodeType.STATIC_BLOCK);
+      expect(members[2].type).toBe(NodeType.METHOD_DEFINITION);
+    });
+
+    it('should parse regular expression literals', function() {
+      var ast = ExpressionParser.parseExpression('/a\\/b[/]/gi');
+      expect(ast.type).toBe(NodeType.REGEX_LITERAL);
+      expect(ast.pattern).toBe('a\\/b[/]');
+      expect(ast.flags).toBe('gi');
+    });
+
+    it('should parse division after an operand', function() {
+      var ast = ExpressionParser.parseExpression('a / b / c');
+      expect(ast.type).toBe(NodeType.BINARY_EXPRESSION);
+      expect(ast.operator).toBe('/');
+    });
+
+    it('should parse a regular expression after a control statement head', function() {
+      var ast = ExpressionParser.parse('if (x) /re/.test(s);\nwhile ((a)) /b/g.exec(s);');
+      expect(ast.errors).toHaveLength(0);
+      expect(ast.body[0].consequent.expression.callee.object.type).toBe(NodeType.REGEX_LITERAL);
+      expect(ast.body[1].body.expression.callee.object.type).toBe(NodeType.REGEX_LITERAL);
+    });
+
+    it('should parse division after a parenthesized expression', function() {
+      var ast = ExpressionParser.parse('a = (b) / 2 / c;\nif (f(x) / 2) y();');
+      expect(ast.errors).toHaveLength(0);
+      expect(ast.body[0].expression.right.operator).toBe('/');
+      expect(ast.body[1].test.operator).toBe('/');
+    });
+
+    it('should parse identifiers with unicode escapes and characters', function() {
+      var ast = ExpressionParser.parse('var \\u0061bc = 1, \\u{62}c = 2, café = 3;');
+      var names = ast.body[0].declarations.map(function(decl) {
+        return decl.id.name;
+      });
+      expect(ast.errors).toHaveLength(0);
+      expect(names).toEqual(['abc', 'bc', 'café']);
+    });
+
+    it('should parse numeric separators and BigInt', function() {
+      expect(ExpressionParser.parseExpression('1_000').value).toBe(1000);
+      expect(ExpressionParser.parseExpression('10n').value).toBe(10);
+    });
+
+    it('should parse template literal expressions', function() {
+      var ast = ExpressionParser.parseExpression('`a ${b + 1} c ${d}`');
+      expect(ast.type).toBe(NodeType.TEMPLATE_LITERAL);
+      expect(ast.expressions).toHaveLength(2);
+      expect(ast.expressions[0].type).toBe(NodeType.BINARY_EXPRESSION);
+    });
+
+    it('should parse await, yield and generators', function() {
+      var ast = ExpressionParser.parse('async function* g() { yield* other(); await p; }');
+      var body = ast.body[0].body.body;
+      expect(ast.body[0].generator).toBe(true);
+      expect(body[0].expression.delegate).toBe(true);
+      expect(body[1].expression.type).toBe(NodeType.AWAIT_EXPRESSION);
+    });
+
+    it('should parse logical assignment and bitwise operators', function() {
+      var ast = ExpressionParser.parse('a ??= b;\nc = d >>> 1 | e & 3;');
+      expect(ast.body[0].expression.operator).toBe('??=');
+      expect(ast.body[1].expression.right.operator).toBe('|');
+    });
+
+    it('should parse sequence expressions', function() {
+      var ast = ExpressionParser.parseExpression('a, b, c');
+      expect(ast.type).toBe(NodeType.SEQUENCE_EXPRESSION);
+      expect(ast.expressions).toHaveLength(3);
+    });
+  });
+
+  describe('error recovery', function() {
+    it('should record errors and keep parsing later statements', function() {
+      var ast = ExpressionParser.parse('var a = 1;\nif (a b) {}\nvar c = 2;');
+      expect(ast.errors).toHaveLength(1);
+      expect(ast.body[0].declarations[0].id.name).toBe('a');
+      expect(ast.body[ast.body.length - 1].declarations[0].id.name).toBe('c');
+    });
+
+    it('should report error positions', function() {
+      var source = 'let x = @;';
+      var ast = ExpressionParser.parse(source);
+      expect(ast.errors[0].start).toBe(source.indexOf('@'));
+    });
+
+    it('should extend unclosed blocks to the end of the source', function() {
+      var source = 'function f() {\n  const x = 1;\n  x.';
+      var ast = ExpressionParser.parse(source);
+      expect(ast.body[0].end).toBe(source.length);
+      expect(ast.body[0].body.body).toHaveLength(2);
+    });
+
+    it('should recover inside class bodies', function() {
+      var ast = ExpressionParser.parse('class A {\n  a() {}\n  b( {}\n  c() {}\n}');
+      var names = ast.body[0].body.body.map(function(member) {
+        return member.key.name;
+      });
+      expect(ast.errors.length).toBeGreaterThan(0);
+      expect(names).toContain('a');
+      expect(names).toContain('c');
+    });
+
+    it('should report nothing for valid code', function() {
+      var ast = ExpressionParser.parse('label: { break label; }\nwith (o) {}\ndebugger;');
+      expect(ast.errors).toHaveLength(0);
+    });
+  });
 });
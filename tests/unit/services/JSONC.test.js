@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Unit tests for JSONC
+ */
+
+describe('JSONC', function() {
+  var JSONC = CodeEditor.JSONC;
+
+  var SETTINGS =
+    '// User settings\n' +
+    '{\n' +
+    '  /* Editor */\n' +
+    '  "editor.tabSize": 2, // spaces, not tabs\n' +
+    '  "[javascript]": {\n' +
+    '    "editor.tabSize": 4,\n' +
+    '  },\n' +
+    '  "files.exclude": ["node_modules", ".git",],\n' +
+    '}\n';
+
+  describe('parse', function() {
+    it('should parse plain JSON', function() {
+      expect(JSONC.parse('{"a": [1, "two", null], "b": {"c": true}}')).toEqual({
+        a: [1, 'two', null],
+        b: { c: true }
+      });
+    });
+
+    it('should ignore comments and trailing commas', function() {
+      expect(JSONC.parse(SETTINGS)).toEqual({
+        'editor.tabSize': 2,
+        '[javascript]': { 'editor.tabSize': 4 },
+        'files.exclude': ['node_modules', '.git']
+      });
+    });
+
+    it('should keep comment markers and commas inside strings', function() {
+      expect(JSONC.parse('{"url": "http://a/*b*/", "list": "a,]", "quote": "\\"//"}')).toEqual({
+        url: 'http://a/*b*/',
+        list: 'a,]',
+        quote: '"//'
+      });
+    });
+
+    it('should take a comma before a comment and a bracket as trailing', function() {
+      expect(JSONC.parse('[1, 2, // last\n]')).toEqual([1, 2]);
+      expect(JSONC.parse('{"a": 1, /* end */ }')).toEqual({ a: 1 });
+    });
+
+    it('should return undefined for blank or comment-only content', function() {
+      expect(JSONC.parse('')).toBe(undefined);
+      expect(JSONC.parse('  // nothing yet\n/* */\n')).toBe(undefined);
+    });
+
+    it('should throw a SyntaxError for invalid content', function() {
+      var error = null;
+      try {
+        JSONC.parse('// comment\n{"a": }');
+      } catch (err) {
+        error = err;
+      }
+      expect(error instanceof SyntaxError).toBe(true);
+      expect(function() { JSONC.parse('{"a": 1 "b": 2}'); }).toThrow();
+    });
+  });
+
+  describe('setProperty', function() {
+    it('should replace a value and keep the comments and trailing commas', function() {
+      expect(JSONC.setProperty(SETTINGS, ['editor.tabSize'], 8)).toBe(
+        SETTINGS.replace('"editor.tabSize": 2,', '"editor.tabSize": 8,')
+      );
+    });
+
+    it('should replace a nested value', function() {
+      expect(JSONC.setProperty(SETTINGS, ['[javascript]', 'editor.tabSize'], 2)).toBe(
+        SETTINGS.replace('"editor.tabSize": 4,', '"editor.tabSize": 2,')
+      );
+    });
+
+    it('should add a property after a trailing comma', function() {
+      var result = JSONC.setProperty(SETTINGS, ['editor.wordWrap'], 'on');
+
+      expect(result).toBe(SETTINGS.replace(
+        '".git",],\n',
+        '".git",],\n  "editor.wordWrap": "on",\n'
+      ));
+      expect(JSONC.parse(result)['editor.wordWrap']).toBe('on');
+    });
+
+    it('should add a property after a comment on the last line', function() {
+      expect(JSONC.setProperty('{\n  "a": 1 // one, two\n}', ['b'], 2)).toBe(
+        '{\n  "a": 1, // one, two\n  "b": 2\n}'
+      );
+    });
+
+    it('should create the objects of a nested path', function() {
+      expect(JSONC.setProperty('{\n  "a": 1\n}', ['[css]', 'editor.tabSize'], 4)).toBe(
+        '{\n  "a": 1,\n  "[css]": {\n    "editor.tabSize": 4\n  }\n}'
+      );
+    });
+
+    it('should start an object in blank or comment-only content', function() {
+      expect(JSONC.setProperty('', ['a'], 1)).toBe('{\n  "a": 1\n}\n');
+      expect(JSONC.setProperty('// Settings\n', ['a'], true)).toBe('// Settings\n{\n  "a": true\n}\n');
+    });
+
+    it('should add to an empty object below its comment', function() {
+      expect(JSONC.setProperty('{\n  // put here\n}\n', ['a'], true)).toBe('{\n  // put here\n  "a": true\n}\n');
+    });
+
+    it('should remove a property with its line and keep the others', function() {
+      expect(JSONC.setProperty(SETTINGS, ['files.exclude'], undefined)).toBe(
+        SETTINGS.replace('  "files.exclude": ["node_modules", ".git",],\n', '')
+      );
+      expect(JSONC.setProperty('{"a": 1, "b": 2}', ['a'], undefined)).toBe('{"b": 2}');
+    });
+
+    it('should remove the objects a removal leaves empty', function() {
+      var result = JSONC.setProperty(SETTINGS, ['[javascript]', 'editor.tabSize'], undefined);
+
+      expect(result).toBe(SETTINGS.replace('  "[javascript]": {\n    "editor.tabSize": 4,\n  },\n', ''));
+      expect(JSONC.parse(result)).toEqual({ 'editor.tabSize': 2, 'files.exclude': ['node_modules', '.git'] });
+    });
+
+    it('should leave the content alone when removing a missing property', function() {
+      expect(JSONC.setProperty(SETTINGS, ['editor.fontSize'], undefined)).toBe(SETTINGS);
+      expect(JSONC.setProperty(SETTINGS, ['[css]', 'editor.tabSize'], undefined)).toBe(SETTINGS);
+    });
+
+    it('should not be misled by braces and commas inside strings', function() {
+      expect(JSONC.setProperty('{\n  "f": "x}{,\\"",\n  "g": 1\n}', ['g'], 2)).toBe(
+        '{\n  "f": "x}{,\\"",\n  "g": 2\n}'
+      );
+    });
+
+    it('should set the last of duplicate keys', function() {
+      expect(JSONC.setProperty('{"a": 1, "a": 2}', ['a'], 5)).toBe('{"a": 1, "a": 5}');
+    });
+
+    it('should refuse content that is not an object', function() {
+      expect(function() { JSONC.setProperty('[1, 2]', ['a'], 1); }).toThrow('The content is not an object');
+    });
+  });
+});